@@ -0,0 +1,66 @@
+/**
+ * Coordinates Backfill Script
+ * Geocodes the profiles and events that have no coordinates yet
+ *
+ * Usage: npm run geocode:backfill [-- --all]
+ *   --all  Geocode every row again, replacing the coordinates it has
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const geocodingService = require('../src/services/geocodingService');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 500;
+
+async function backfill(model, label, all) {
+  const pending = all ? {} : { OR: [{ latitude: null }, { longitude: null }] };
+  let located = 0;
+  let missing = 0;
+  let lastId = null;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      where: { ...pending, ...(lastId && { id: { gt: lastId } }) },
+      select: { id: true, address: true, city: true, state: true, zipCode: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      const coordinates = await geocodingService.geocode(row);
+
+      if (coordinates) {
+        await prisma[model].update({ where: { id: row.id }, data: coordinates });
+        located++;
+      } else {
+        missing++;
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  console.log(`✅ ${label}: ${located} located, ${missing} could not be located`);
+}
+
+async function main() {
+  const all = process.argv.includes('--all');
+
+  console.log(`📍 Geocoding ${all ? 'all' : 'unlocated'} profiles and events...`);
+  await backfill('profile', 'Profiles', all);
+  await backfill('event', 'Events', all);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error backfilling coordinates:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
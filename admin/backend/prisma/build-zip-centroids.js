@@ -0,0 +1,57 @@
+/**
+ * ZIP Centroid Dataset Builder
+ * Writes src/data/zip-centroids.csv, the offline geocoding data, from the
+ * Census Bureau's ZCTA gazetteer file (2023_Gaz_zcta_national.txt, from the
+ * Gazetteer Files page). ZCTA internal points stand in for ZIP code centroids.
+ *
+ * Usage: npm run geocode:build-zips -- path/to/2023_Gaz_zcta_national.txt
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_FILE = path.join(__dirname, '../src/data/zip-centroids.csv');
+
+function main() {
+  const source = process.argv[2];
+  if (!source) {
+    console.error('Usage: npm run geocode:build-zips -- path/to/2023_Gaz_zcta_national.txt');
+    process.exit(1);
+  }
+
+  const [header, ...lines] = fs.readFileSync(source, 'utf8').split(/\r?\n/);
+  const columns = header.split('\t').map(column => column.trim());
+  const zipIndex = columns.indexOf('GEOID');
+  const latitudeIndex = columns.indexOf('INTPTLAT');
+  const longitudeIndex = columns.indexOf('INTPTLONG');
+
+  if ([zipIndex, latitudeIndex, longitudeIndex].includes(-1)) {
+    console.error('❌ Not a ZCTA gazetteer file: expected GEOID, INTPTLAT and INTPTLONG columns');
+    process.exit(1);
+  }
+
+  const rows = [];
+  for (const line of lines) {
+    const fields = line.split('\t').map(field => field.trim());
+    const zip = fields[zipIndex];
+    const latitude = Number(fields[latitudeIndex]);
+    const longitude = Number(fields[longitudeIndex]);
+
+    if (/^\d{5}$/.test(zip || '') && Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      rows.push(`${zip},${latitude},${longitude}`);
+    }
+  }
+
+  rows.sort();
+
+  fs.writeFileSync(OUTPUT_FILE, [
+    '# ZIP code centroids: zip,latitude,longitude',
+    `# ZCTA internal points from the Census Bureau gazetteer file ${path.basename(source)}`,
+    'zip,latitude,longitude',
+    ...rows
+  ].join('\n') + '\n');
+
+  console.log(`✅ Wrote ${rows.length} ZIP codes to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main();
@@ -0,0 +1,52 @@
+/**
+ * Super-Admin Grant Script
+ * Gives an account access to every organization, or takes it away again.
+ * Admins are otherwise limited to the organizations they belong to.
+ *
+ * Usage: npm run admin:super-admin -- <email> [--revoke]
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const email = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+  const revoke = process.argv.includes('--revoke');
+
+  if (!email) {
+    console.error('Usage: npm run admin:super-admin -- <email> [--revoke]');
+    process.exit(1);
+  }
+
+  const user = await prisma.user.findFirst({
+    where: { email: { equals: email, mode: 'insensitive' } }
+  });
+  if (!user) {
+    console.error(`❌ No account found for ${email}`);
+    process.exit(1);
+  }
+
+  if (!revoke && user.role !== 'ADMIN') {
+    console.error(`❌ ${email} is not an admin; only admins can be super-admins`);
+    process.exit(1);
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { isSuperAdmin: !revoke }
+  });
+
+  console.log(revoke
+    ? `✅ ${email} is no longer a super-admin`
+    : `✅ ${email} is now a super-admin and can see every organization`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error updating super-admin access:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
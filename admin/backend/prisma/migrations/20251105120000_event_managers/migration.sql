@@ -0,0 +1,28 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'COORDINATOR';
+
+-- CreateTable
+CREATE TABLE "event_managers" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "grantedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "event_managers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "event_managers_userId_idx" ON "event_managers"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_managers_eventId_userId_key" ON "event_managers"("eventId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "event_managers" ADD CONSTRAINT "event_managers_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "events"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_managers" ADD CONSTRAINT "event_managers_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_managers" ADD CONSTRAINT "event_managers_grantedBy_fkey" FOREIGN KEY ("grantedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,65 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "isSuperAdmin" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "organizations" (
+    "id" TEXT NOT NULL,
+    "name" VARCHAR(200) NOT NULL,
+    "slug" VARCHAR(100) NOT NULL,
+    "requireAdminTwoFactor" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "organizations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "organization_members" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "organization_members_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing data becomes the default organization, keeping its 2FA policy
+INSERT INTO "organizations" ("id", "name", "slug", "requireAdminTwoFactor", "updatedAt")
+SELECT 'default', 'Default Organization', 'default',
+       COALESCE((SELECT "requireAdminTwoFactor" FROM "organization_settings" WHERE "id" = 'default'), false),
+       CURRENT_TIMESTAMP;
+
+INSERT INTO "organization_members" ("id", "organizationId", "userId")
+SELECT gen_random_uuid()::text, 'default', "id" FROM "users";
+
+-- Existing admins stay admins of the default organization. Super-admins, who
+-- see every organization, are granted explicitly with npm run admin:super-admin
+
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN     "organizationId" TEXT;
+UPDATE "events" SET "organizationId" = 'default';
+ALTER TABLE "events" ALTER COLUMN "organizationId" SET NOT NULL;
+
+-- DropTable
+DROP TABLE "organization_settings";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organizations_slug_key" ON "organizations"("slug");
+
+-- CreateIndex
+CREATE INDEX "organization_members_userId_idx" ON "organization_members"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organization_members_organizationId_userId_key" ON "organization_members"("organizationId", "userId");
+
+-- CreateIndex
+CREATE INDEX "events_organizationId_idx" ON "events"("organizationId");
+
+-- AddForeignKey
+ALTER TABLE "organization_members" ADD CONSTRAINT "organization_members_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_members" ADD CONSTRAINT "organization_members_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "events" ADD CONSTRAINT "events_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
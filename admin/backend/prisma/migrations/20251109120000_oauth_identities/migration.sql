@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "oauth_identities" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "provider" VARCHAR(50) NOT NULL,
+    "providerUserId" VARCHAR(255) NOT NULL,
+    "email" VARCHAR(255),
+    "displayName" VARCHAR(255),
+    "lastUsedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oauth_identities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_identities_provider_providerUserId_key" ON "oauth_identities"("provider", "providerUserId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_identities_userId_provider_key" ON "oauth_identities"("userId", "provider");
+
+-- AddForeignKey
+ALTER TABLE "oauth_identities" ADD CONSTRAINT "oauth_identities_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move existing single-provider links into the new table
+INSERT INTO "oauth_identities" ("id", "userId", "provider", "providerUserId", "email")
+SELECT gen_random_uuid()::text, "id", "oauthProvider", "oauthId", "email"
+FROM "users"
+WHERE "oauthProvider" IS NOT NULL AND "oauthId" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "users" DROP COLUMN "oauthId",
+DROP COLUMN "oauthProvider";
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "deletionRequestedAt" TIMESTAMP(3),
+ADD COLUMN "deletionScheduledFor" TIMESTAMP(3),
+ADD COLUMN "anonymizedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "users_deletionScheduledFor_idx" ON "users"("deletionScheduledFor");
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "RecurrenceFrequency" AS ENUM ('WEEKLY', 'MONTHLY');
+
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN "seriesId" TEXT,
+ADD COLUMN "seriesIndex" INTEGER;
+
+-- CreateTable
+CREATE TABLE "event_series" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "createdBy" TEXT NOT NULL,
+    "frequency" "RecurrenceFrequency" NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "daysOfWeek" INTEGER[],
+    "weekOfMonth" INTEGER,
+    "dayOfWeek" INTEGER,
+    "until" TIMESTAMP(3),
+    "count" INTEGER,
+    "timezone" VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "event_series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "events_seriesId_idx" ON "events"("seriesId");
+
+-- CreateIndex
+CREATE INDEX "event_series_organizationId_idx" ON "event_series"("organizationId");
+
+-- AddForeignKey
+ALTER TABLE "events" ADD CONSTRAINT "events_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "event_series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_series" ADD CONSTRAINT "event_series_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,75 @@
+-- CreateTable
+CREATE TABLE "event_shifts" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "event_shifts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shift_positions" (
+    "id" TEXT NOT NULL,
+    "shiftId" TEXT NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "capacity" INTEGER NOT NULL,
+    "filled" INTEGER NOT NULL DEFAULT 0,
+    "skillId" TEXT,
+    "minLevel" "ProficiencyLevel" NOT NULL DEFAULT 'BEGINNER',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shift_positions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shift_signups" (
+    "id" TEXT NOT NULL,
+    "assignmentId" TEXT NOT NULL,
+    "shiftId" TEXT NOT NULL,
+    "positionId" TEXT NOT NULL,
+    "checkInAt" TIMESTAMP(3),
+    "checkOutAt" TIMESTAMP(3),
+    "hoursWorked" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shift_signups_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "event_shifts_eventId_idx" ON "event_shifts"("eventId");
+
+-- CreateIndex
+CREATE INDEX "shift_positions_shiftId_idx" ON "shift_positions"("shiftId");
+
+-- CreateIndex
+CREATE INDEX "shift_signups_shiftId_idx" ON "shift_signups"("shiftId");
+
+-- CreateIndex
+CREATE INDEX "shift_signups_positionId_idx" ON "shift_signups"("positionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shift_signups_assignmentId_shiftId_key" ON "shift_signups"("assignmentId", "shiftId");
+
+-- AddForeignKey
+ALTER TABLE "event_shifts" ADD CONSTRAINT "event_shifts_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "events"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shift_positions" ADD CONSTRAINT "shift_positions_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "event_shifts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shift_positions" ADD CONSTRAINT "shift_positions_skillId_fkey" FOREIGN KEY ("skillId") REFERENCES "skills"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shift_signups" ADD CONSTRAINT "shift_signups_assignmentId_fkey" FOREIGN KEY ("assignmentId") REFERENCES "assignments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shift_signups" ADD CONSTRAINT "shift_signups_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "event_shifts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shift_signups" ADD CONSTRAINT "shift_signups_positionId_fkey" FOREIGN KEY ("positionId") REFERENCES "shift_positions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
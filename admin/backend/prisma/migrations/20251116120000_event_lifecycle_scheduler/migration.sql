@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN "signupsClosedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "events_status_startDate_idx" ON "events"("status", "startDate");
+
+-- CreateTable
+CREATE TABLE "job_locks" (
+    "name" VARCHAR(100) NOT NULL,
+    "lockedBy" VARCHAR(255),
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_locks_pkey" PRIMARY KEY ("name")
+);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "cancellationReason" TEXT;
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "event_templates" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "createdBy" TEXT,
+    "name" VARCHAR(100) NOT NULL,
+    "title" VARCHAR(200) NOT NULL,
+    "description" TEXT NOT NULL,
+    "category" VARCHAR(100) NOT NULL,
+    "urgencyLevel" "UrgencyLevel" NOT NULL DEFAULT 'MEDIUM',
+    "maxVolunteers" INTEGER NOT NULL,
+    "durationMinutes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "event_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "event_template_requirements" (
+    "id" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "skillId" TEXT NOT NULL,
+    "minLevel" "ProficiencyLevel" NOT NULL,
+    "isRequired" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "event_template_requirements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_templates_organizationId_name_key" ON "event_templates"("organizationId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_template_requirements_templateId_skillId_key" ON "event_template_requirements"("templateId", "skillId");
+
+-- AddForeignKey
+ALTER TABLE "event_templates" ADD CONSTRAINT "event_templates_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_templates" ADD CONSTRAINT "event_templates_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_template_requirements" ADD CONSTRAINT "event_template_requirements_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "event_templates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_template_requirements" ADD CONSTRAINT "event_template_requirements_skillId_fkey" FOREIGN KEY ("skillId") REFERENCES "skills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
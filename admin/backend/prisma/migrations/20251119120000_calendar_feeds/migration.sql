@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "calendarTokenHash" VARCHAR(64);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_calendarTokenHash_key" ON "users"("calendarTokenHash");
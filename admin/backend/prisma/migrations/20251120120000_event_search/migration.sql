@@ -0,0 +1,18 @@
+-- Trigram similarity for typo-tolerant event search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', "title"), 'A')
+    || setweight(to_tsvector('english', "category"), 'B')
+    || setweight(to_tsvector('english', "description"), 'C')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "events_searchVector_idx" ON "events" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "events_title_idx" ON "events" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "events_category_idx" ON "events" USING GIN ("category" gin_trgm_ops);
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "events_latitude_longitude_idx" ON "events"("latitude", "longitude");
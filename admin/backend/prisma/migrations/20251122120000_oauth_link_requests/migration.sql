@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "oauth_link_requests" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "provider" VARCHAR(50) NOT NULL,
+    "tokenHash" VARCHAR(64) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oauth_link_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_link_requests_tokenHash_key" ON "oauth_link_requests"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "oauth_link_requests_userId_idx" ON "oauth_link_requests"("userId");
+
+-- AddForeignKey
+ALTER TABLE "oauth_link_requests" ADD CONSTRAINT "oauth_link_requests_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -110,10 +110,12 @@ async function main() {
 
   const adminUser = await prisma.user.create({
     data: {
+      memberships: { create: { organizationId: 'default' } },
       username: 'admin',
       email: 'admin@jacsshiftpilot.com',
       password: hashedPassword,
       role: 'ADMIN',
+      isSuperAdmin: true,
       verified: true
     }
   });
@@ -78,10 +78,12 @@ async function main() {
     where: { email: 'admin@jacsshiftpilot.com' },
     update: {},
     create: {
+      memberships: { create: { organizationId: 'default' } },
       username: 'admin',
       email: 'admin@jacsshiftpilot.com',
       password: hashPassword('Admin123!'),
       role: 'ADMIN',
+      isSuperAdmin: true,
       verified: true
     }
   });
@@ -112,6 +114,7 @@ async function main() {
     where: { email: 'john.smith@email.com' },
     update: {},
     create: {
+      memberships: { create: { organizationId: 'default' } },
       username: 'johnsmith',
       email: 'john.smith@email.com',
       password: hashPassword('Volunteer123!'),
@@ -203,6 +206,7 @@ async function main() {
     where: { email: 'sarah.jones@email.com' },
     update: {},
     create: {
+      memberships: { create: { organizationId: 'default' } },
       username: 'sarahjones',
       email: 'sarah.jones@email.com',
       password: hashPassword('Volunteer123!'),
@@ -273,6 +277,7 @@ async function main() {
     where: { email: 'mike.brown@email.com' },
     update: {},
     create: {
+      memberships: { create: { organizationId: 'default' } },
       username: 'mikebrown',
       email: 'mike.brown@email.com',
       password: hashPassword('Volunteer123!'),
@@ -368,6 +373,7 @@ async function main() {
     where: { id: 'event-food-drive-001' },
     update: {},
     create: {
+      organizationId: 'default',
       id: 'event-food-drive-001',
       title: 'Community Food Drive',
       description: 'Help organize and distribute food to families in need. We need volunteers to sort donations, pack bags, and distribute to local families.',
@@ -425,6 +431,7 @@ async function main() {
     where: { id: 'event-park-cleanup-001' },
     update: {},
     create: {
+      organizationId: 'default',
       id: 'event-park-cleanup-001',
       title: 'Memorial Park Cleanup',
       description: 'Join us for a community park cleanup to beautify our local green spaces. Tools provided.',
@@ -466,6 +473,7 @@ async function main() {
     where: { id: 'event-health-fair-001' },
     update: {},
     create: {
+      organizationId: 'default',
       id: 'event-health-fair-001',
       title: 'Community Health Fair',
       description: 'Free health screenings and wellness education for the community. Need volunteers with healthcare background.',
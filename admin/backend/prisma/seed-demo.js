@@ -116,10 +116,12 @@ async function main() {
   // Admin user
   const admin = await prisma.user.create({
     data: {
+      memberships: { create: { organizationId: 'default' } },
       username: 'admin',
       email: 'admin@jacsshiftpilot.com',
       password: hashPassword('Admin123!'),
       role: 'ADMIN',
+      isSuperAdmin: true,
       verified: true,
       createdAt: randomPastDate(365),
       updatedAt: new Date()
@@ -450,6 +452,7 @@ async function main() {
     const joinedDate = randomPastDate(vol.joinedDaysAgo);
     const user = await prisma.user.create({
       data: {
+        memberships: { create: { organizationId: 'default' } },
         username: vol.username,
         email: vol.email,
         password: hashPassword('Volunteer123!'),
@@ -670,6 +673,7 @@ async function main() {
 
     const event = await prisma.event.create({
       data: {
+        organizationId: 'default',
         id: evt.id,
         title: evt.title,
         description: evt.description,
@@ -943,6 +947,7 @@ async function main() {
 
     const event = await prisma.event.create({
       data: {
+        organizationId: 'default',
         id: evt.id,
         title: evt.title,
         description: evt.description,
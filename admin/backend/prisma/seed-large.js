@@ -99,10 +99,12 @@ async function main() {
     where: { email: 'admin@jacsshiftpilot.com' },
     update: {},
     create: {
+      memberships: { create: { organizationId: 'default' } },
       username: 'admin',
       email: 'admin@jacsshiftpilot.com',
       password: hashPassword('Admin123!'),
       role: 'ADMIN',
+      isSuperAdmin: true,
       verified: true
     }
   });
@@ -334,6 +336,7 @@ async function main() {
       where: { email: vol.email },
       update: {},
       create: {
+        memberships: { create: { organizationId: 'default' } },
         username: vol.username,
         email: vol.email,
         password: hashPassword('Volunteer123!'),
@@ -636,6 +639,7 @@ async function main() {
       where: { id: evt.id },
       update: {},
       create: {
+        organizationId: 'default',
         id: evt.id,
         title: evt.title,
         description: evt.description,
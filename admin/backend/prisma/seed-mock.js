@@ -156,6 +156,7 @@ async function main() {
   for (const vol of volunteers) {
     const user = await prisma.user.create({
       data: {
+        memberships: { create: { organizationId: 'default' } },
         username: vol.username,
         email: vol.email,
         password: hashedPassword,
@@ -363,6 +364,7 @@ async function main() {
   for (const event of events) {
     const createdEvent = await prisma.event.create({
       data: {
+        organizationId: 'default',
         title: event.title,
         description: event.description,
         category: event.category,
@@ -120,13 +120,18 @@ async function main() {
     // Create user
     const createdUser = await prisma.user.create({
       data: {
+        memberships: { create: { organizationId: 'default' } },
         username: user.username,
         email: user.email,
         password: user.password, // Already hashed in source data
         role: user.role.toUpperCase(),
+        isSuperAdmin: user.role === 'admin',
         verified: user.verified || false,
-        oauthProvider: user.oauthProvider || null,
-        oauthId: user.oauthId || null,
+        ...(user.oauthProvider && user.oauthId && {
+          identities: {
+            create: { provider: user.oauthProvider, providerUserId: user.oauthId, email: user.email }
+          }
+        }),
         createdAt: user.createdAt ? new Date(user.createdAt) : new Date(),
         updatedAt: user.updatedAt ? new Date(user.updatedAt) : new Date()
       }
@@ -264,6 +269,7 @@ async function main() {
 
     const createdEvent = await prisma.event.create({
       data: {
+        organizationId: 'default',
         title: event.title,
         description: event.description,
         category: event.category,
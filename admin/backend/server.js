@@ -9,22 +9,19 @@ const cookieParser = require('cookie-parser');
 const passport = require('./src/config/passport');
 
 // Import routes
-const authRoutes = require('./src/routes/auth');
-const profileRoutes = require('./src/routes/profile');
-const eventRoutes = require('./src/routes/events');
-const matchingRoutes = require('./src/routes/matching');
-const notificationRoutes = require('./src/routes/notifications');
-const historyRoutes = require('./src/routes/history');
-const adminRoutes = require('./src/routes/admin');
-const reportingRoutes = require('./src/routes/reporting');
-const attendanceRoutes = require('./src/routes/attendance');
-const uploadRoutes = require('./src/routes/upload');
+const { mountRoutes } = require('./src/routes');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
 const { apiLimiter } = require('./src/middleware/rateLimiter');
 const { contentSecurityPolicy, strictTransportSecurity } = require('./src/middleware/securityHeaders');
 
+// Import services
+const accountService = require('./src/services/accountService');
+const waitlistService = require('./src/services/waitlistService');
+const eventLifecycleService = require('./src/services/eventLifecycleService');
+const scheduler = require('./src/services/schedulerService');
+
 const app = express();
 
 const isProduction = process.env.NODE_ENV === 'production';
@@ -64,16 +61,7 @@ app.use(cookieParser());
 app.use(passport.initialize());
 
 // API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/profile', profileRoutes);
-app.use('/api/events', eventRoutes);
-app.use('/api/matching', matchingRoutes);
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/history', historyRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/admin/reporting', reportingRoutes);
-app.use('/api/attendance', attendanceRoutes);
-app.use('/api/upload', uploadRoutes);
+mountRoutes(app);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -103,9 +91,45 @@ const server = app.listen(PORT, () => {
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Background jobs; each runs on one instance at a time (see schedulerService)
+
+// Anonymize accounts whose deletion grace period has ended (hourly)
+scheduler.register('account-anonymization', {
+  intervalMs: 60 * 60 * 1000,
+  runOnStart: true,
+  task: async () => {
+    const count = await accountService.anonymizeDueAccounts();
+    if (count > 0) console.log(`🗑️  Anonymized ${count} deleted account(s)`);
+  }
+});
+
+// Pass on waitlist places whose offers were not confirmed in time (every 5 minutes)
+scheduler.register('waitlist-offer-expiry', {
+  intervalMs: 5 * 60 * 1000,
+  task: async () => {
+    const count = await waitlistService.processExpiredOffers();
+    if (count > 0) console.log(`⏳ Passed on expired waitlist offers for ${count} event(s)`);
+  }
+});
+
+// Close signups, start events and finalize finished ones (every minute)
+scheduler.register('event-lifecycle', {
+  intervalMs: 60 * 1000,
+  runOnStart: true,
+  task: async () => {
+    const { signupsClosed, started, finalized } = await eventLifecycleService.run();
+    if (signupsClosed + started + finalized > 0) {
+      console.log(`📅 Event lifecycle: ${signupsClosed} signup(s) closed, ${started} started, ${finalized} finalized`);
+    }
+  }
+});
+
+scheduler.start();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received, shutting down gracefully');
+  scheduler.stop();
   server.close(() => {
     console.log('💤 Process terminated');
   });
@@ -0,0 +1,80 @@
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+
+/**
+ * Access Token Controller
+ * Handles HTTP requests for personal access tokens
+ */
+class AccessTokenController {
+  /**
+   * List the current user's tokens
+   * GET /api/auth/tokens
+   */
+  async listTokens(req, res, next) {
+    try {
+      const result = await personalAccessTokenService.listTokens(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a token; the plain token is only returned here
+   * POST /api/auth/tokens
+   */
+  async createToken(req, res, next) {
+    try {
+      const result = await personalAccessTokenService.createToken(req.user.id, req.body);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('Unknown scope')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a token
+   * DELETE /api/auth/tokens/:tokenId
+   */
+  async revokeToken(req, res, next) {
+    try {
+      const result = await personalAccessTokenService.revokeToken(req.user.id, req.params.tokenId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new AccessTokenController();
@@ -0,0 +1,131 @@
+const accountService = require('../services/accountService');
+const authService = require('../services/authService');
+
+/**
+ * Account Controller
+ * Handles HTTP requests for data export and self-service account deletion
+ */
+class AccountController {
+  /**
+   * Download everything stored about the current user as JSON
+   * GET /api/profile/export
+   */
+  async exportData(req, res, next) {
+    try {
+      const data = await accountService.exportData(req.user.id);
+
+      res.attachment(`shiftpilot-export-${new Date().toISOString().slice(0, 10)}.json`);
+      res.status(200).json(data);
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Get the deletion status of the current user's account
+   * GET /api/profile/account
+   */
+  async getDeletionStatus(req, res, next) {
+    try {
+      const result = await accountService.getDeletionStatus(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Schedule the current user's account for deletion
+   * Signs the user out everywhere
+   * DELETE /api/profile/account
+   */
+  async requestDeletion(req, res, next) {
+    try {
+      if (req.accessToken) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access tokens cannot delete accounts',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await accountService.requestDeletion(req.user.id, req.body);
+
+      authService.clearAuthCookies(res);
+
+      res.status(202).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Password is incorrect') {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('must be removed by another admin')) {
+        return res.status(403).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('already scheduled')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a pending deletion
+   * POST /api/profile/account/restore
+   */
+  async cancelDeletion(req, res, next) {
+    try {
+      const result = await accountService.cancelDeletion(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not scheduled')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new AccountController();
@@ -2,6 +2,11 @@ const bcrypt = require('bcryptjs');
 const userRepository = require('../database/repositories/userRepository');
 const eventRepository = require('../database/repositories/eventRepository');
 const historyRepository = require('../database/repositories/historyRepository');
+const organizationRepository = require('../database/repositories/organizationRepository');
+const loginThrottleService = require('../services/loginThrottleService');
+const sessionService = require('../services/sessionService');
+const eventService = require('../services/eventService');
+const organizationScope = require('../utils/organizationScope');
 
 /**
  * Admin Controller
@@ -17,10 +22,11 @@ class AdminController {
     try {
       const users = await userRepository.findAll();
 
-      // Normalize roles to lowercase
-      const normalizedUsers = users.map(user => ({
+      // Normalize roles to lowercase and drop credentials
+      const normalizedUsers = users.map(({ password, twoFactorSecret, twoFactorLastStep, ...user }) => ({
         ...user,
-        role: user.role.toLowerCase()
+        role: user.role.toLowerCase(),
+        locked: loginThrottleService.isLocked(user)
       }));
 
       res.status(200).json({
@@ -117,6 +123,16 @@ class AdminController {
         });
       }
 
+      // New users join the organization the admin is working in
+      const organizationId = organizationScope.activeOrganizationId();
+      if (!organizationId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Select an organization to add the user to',
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // Hash password
       const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -126,7 +142,8 @@ class AdminController {
         email: email.toLowerCase(),
         password: hashedPassword,
         role,
-        verified: true
+        verified: true,
+        organizationId
       });
 
       // Create initial profile
@@ -267,6 +284,26 @@ class AdminController {
         });
       }
 
+      // Users who also belong to organizations outside the admin's reach
+      // only lose their membership in the admin's organizations
+      const visibleIds = organizationScope.organizationIds();
+      if (visibleIds !== null) {
+        const memberships = await organizationRepository.findMembershipsByUser(userId);
+        const visible = memberships.filter(membership => visibleIds.includes(membership.organizationId));
+
+        if (visible.length < memberships.length) {
+          await Promise.all(visible.map(membership =>
+            organizationRepository.removeMember(membership.organizationId, userId)
+          ));
+
+          return res.status(200).json({
+            status: 'success',
+            message: 'User removed from your organization',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
       await userRepository.delete(userId);
 
       res.status(200).json({
@@ -279,6 +316,58 @@ class AdminController {
     }
   }
 
+  /**
+   * Unlock an account locked by failed login attempts
+   * POST /api/admin/users/:userId/unlock
+   */
+  async unlockUser(req, res, next) {
+    try {
+      const result = await loginThrottleService.unlock(req.params.userId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Force sign-out of every session a user has
+   * DELETE /api/admin/users/:userId/sessions
+   */
+  async signOutUser(req, res, next) {
+    try {
+      const result = await sessionService.forceSignOut(req.params.userId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
   /**
    * Get volunteer-specific metrics
    * GET /api/admin/users/:userId/metrics
@@ -456,6 +545,7 @@ class AdminController {
       const totalUsers = users.length;
       const adminUsers = users.filter(u => u.role.toLowerCase() === 'admin').length;
       const volunteerUsers = users.filter(u => u.role.toLowerCase() === 'volunteer').length;
+      const coordinatorUsers = users.filter(u => u.role.toLowerCase() === 'coordinator').length;
       const verifiedUsers = users.filter(u => u.verified).length;
 
       // User registration trend (last 6 months)
@@ -625,6 +715,7 @@ class AdminController {
             totalUsers,
             adminUsers,
             volunteerUsers,
+            coordinatorUsers,
             verifiedUsers,
             totalEvents,
             publishedEvents,
@@ -654,6 +745,95 @@ class AdminController {
       next(error);
     }
   }
+
+  /**
+   * Recompute event volunteer counts from active assignments
+   * POST /api/admin/events/recount-volunteers
+   */
+  async recountVolunteers(req, res, next) {
+    try {
+      const result = await eventService.recountVolunteers();
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get settings of the organization the admin is working in
+   * GET /api/admin/settings
+   */
+  async getSettings(req, res, next) {
+    try {
+      const organizationId = organizationScope.activeOrganizationId();
+      const settings = organizationId && await organizationRepository.findById(organizationId);
+      if (!settings) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Select an organization to manage its settings',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          requireAdminTwoFactor: settings.requireAdminTwoFactor
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update settings of the organization the admin is working in
+   * PUT /api/admin/settings
+   */
+  async updateSettings(req, res, next) {
+    try {
+      const organizationId = organizationScope.activeOrganizationId();
+      if (!organizationId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Select an organization to manage its settings',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Don't let an admin lock themselves out of the settings they just changed
+      if (req.body.requireAdminTwoFactor === true) {
+        const admin = await userRepository.findById(req.user.id);
+        if (!admin?.twoFactorEnabled) {
+          return res.status(400).json({
+            status: 'error',
+            message: 'Enable two-factor authentication on your own account before requiring it for admins',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      const settings = await organizationRepository.update(organizationId, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Settings updated successfully',
+        data: {
+          requireAdminTwoFactor: settings.requireAdminTwoFactor
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AdminController();
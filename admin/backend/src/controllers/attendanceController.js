@@ -13,11 +13,12 @@ class AttendanceController {
     try {
       const { eventId } = req.params;
       const volunteerId = req.user.id;
-      const { latitude, longitude } = req.body; // Optional location verification
+      const { latitude, longitude, shiftId } = req.body; // Optional location verification and shift
 
       const result = await attendanceService.checkIn(eventId, volunteerId, {
         latitude,
-        longitude
+        longitude,
+        shiftId
       });
 
       res.status(200).json({
@@ -41,10 +42,11 @@ class AttendanceController {
     try {
       const { eventId } = req.params;
       const volunteerId = req.user.id;
-      const { feedback } = req.body; // Optional volunteer feedback
+      const { feedback, shiftId } = req.body; // Optional volunteer feedback and shift
 
       const result = await attendanceService.checkOut(eventId, volunteerId, {
-        feedback
+        feedback,
+        shiftId
       });
 
       res.status(200).json({
@@ -85,13 +87,15 @@ class AttendanceController {
 
   /**
    * Get event attendance roster (admin only)
-   * GET /api/attendance/events/:eventId/roster
+   * GET /api/attendance/events/:eventId/roster?shiftId=
    */
   async getEventRoster(req, res) {
     try {
       const { eventId } = req.params;
 
-      const result = await attendanceService.getEventRoster(eventId);
+      const result = await attendanceService.getEventRoster(eventId, {
+        shiftId: req.query.shiftId
+      });
 
       res.status(200).json({
         success: true,
@@ -1,5 +1,13 @@
 const authService = require('../services/authService');
-const jwt = require('jsonwebtoken');
+const oauthService = require('../services/oauthService');
+
+/**
+ * Device details recorded with a new session
+ */
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
 
 /**
  * Authentication Controller
@@ -8,29 +16,56 @@ const jwt = require('jsonwebtoken');
 class AuthController {
   /**
    * Handle OAuth callback success
-   * Generates JWT token and redirects to frontend with token
+   * Starts a session and redirects to frontend with token, or back to the
+   * profile page when a provider was linked to a signed-in account
    */
   async oauthCallback(req, res, next) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
     try {
       if (!req.user) {
-        return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:5173'}/login?error=oauth_failed`);
+        return res.redirect(`${frontendUrl}/login?error=oauth_failed`);
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      if (req.authInfo?.linked) {
+        oauthService.clearLinkCookie(res);
+        return res.redirect(`${frontendUrl}/dashboard/profile?linked=success#sign-in-methods`);
+      }
+
+      // The provider replaces the password, not the second factor
+      if (req.user.twoFactorEnabled) {
+        const challengeToken = authService.generateTwoFactorChallenge(req.user.id);
+        return res.redirect(`${frontendUrl}/oauth/callback?challenge=${challengeToken}`);
+      }
+
+      // Start a session like a password login would
+      const { accessToken, refreshToken } = await authService.startSession(req.user.id, sessionContext(req));
+      authService.setAuthCookies(res, accessToken, refreshToken);
 
       // Redirect to frontend with token
-      res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:5173'}/oauth/callback?token=${token}`);
+      res.redirect(`${frontendUrl}/oauth/callback?token=${accessToken}`);
     } catch (error) {
       console.error('OAuth callback error:', error);
-      res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:5173'}/login?error=oauth_error`);
+      res.redirect(`${frontendUrl}/login?error=oauth_error`);
     }
   }
 
+  /**
+   * Handle errors raised while verifying the provider account
+   * Sign-in failures go to the callback page, link failures back to the profile
+   */
+  oauthError(error, req, res, next) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const code = error.code && error.code.startsWith('oauth_') ? error.code : 'oauth_error';
+
+    if (error.linking) {
+      oauthService.clearLinkCookie(res);
+      return res.redirect(`${frontendUrl}/dashboard/profile?linkError=${code}#sign-in-methods`);
+    }
+
+    res.redirect(`${frontendUrl}/oauth/callback?error=${code}`);
+  }
+
   /**
    * Handle OAuth failure
    * Redirects to login with error message
@@ -46,11 +81,11 @@ class AuthController {
     try {
       const result = await authService.register(req.body);
 
-      // Generate refresh token
-      const refreshToken = authService.generateRefreshToken(result.data.user.id);
+      // Start a session for this device (a new refresh token family)
+      const { accessToken, refreshToken } = await authService.startSession(result.data.user.id, sessionContext(req));
 
       // Set httpOnly cookies for secure token storage
-      authService.setAuthCookies(res, result.data.token, refreshToken);
+      authService.setAuthCookies(res, accessToken, refreshToken);
 
       res.status(201).json({
         status: 'success',
@@ -58,7 +93,7 @@ class AuthController {
         data: {
           ...result.data,
           // Also include token in response for backwards compatibility
-          token: result.data.token
+          token: accessToken
         },
         timestamp: new Date().toISOString()
       });
@@ -72,6 +107,14 @@ class AuthController {
         });
       }
 
+      if (error.message === 'Organization not found') {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       next(error);
     }
   }
@@ -84,11 +127,21 @@ class AuthController {
     try {
       const result = await authService.login(req.body);
 
-      // Generate refresh token
-      const refreshToken = authService.generateRefreshToken(result.data.user.id);
+      // Password accepted but a second factor is needed; no session yet
+      if (result.data.twoFactorRequired) {
+        return res.status(200).json({
+          status: 'success',
+          message: result.message,
+          data: result.data,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Start a session for this device (a new refresh token family)
+      const { accessToken, refreshToken } = await authService.startSession(result.data.user.id, sessionContext(req));
 
       // Set httpOnly cookies for secure token storage
-      authService.setAuthCookies(res, result.data.token, refreshToken);
+      authService.setAuthCookies(res, accessToken, refreshToken);
 
       res.status(200).json({
         status: 'success',
@@ -96,11 +149,22 @@ class AuthController {
         data: {
           ...result.data,
           // Also include token in response for backwards compatibility
-          token: result.data.token
+          token: accessToken
         },
         timestamp: new Date().toISOString()
       });
     } catch (error) {
+      // Per-account throttling (backoff or lockout)
+      if (error.message.includes('failed login attempts')) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          status: 'error',
+          message: error.message,
+          retryAfter: error.retryAfter,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // Handle authentication errors
       if (error.message.includes('Invalid email or password') ||
           error.message.includes('verify your email')) {
@@ -115,13 +179,62 @@ class AuthController {
     }
   }
 
+  /**
+   * Complete login with a two-factor code
+   * POST /api/auth/2fa/verify
+   */
+  async verifyTwoFactorLogin(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+      const result = await authService.verifyTwoFactorLogin(challengeToken, code);
+
+      // Start a session for this device (a new refresh token family)
+      const { accessToken, refreshToken } = await authService.startSession(result.data.user.id, sessionContext(req));
+
+      // Set httpOnly cookies for secure token storage
+      authService.setAuthCookies(res, accessToken, refreshToken);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: {
+          ...result.data,
+          token: accessToken
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      // Per-account throttling (backoff or lockout)
+      if (error.message.includes('failed login attempts')) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          status: 'error',
+          message: error.message,
+          retryAfter: error.retryAfter,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('two-factor challenge') ||
+          error.message.includes('Invalid verification code')) {
+        return res.status(401).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
   /**
    * Logout user
    * POST /api/auth/logout
    */
   async logout(req, res, next) {
     try {
-      const result = await authService.logout(req.user.id);
+      const result = await authService.logout(req.user.id, req.cookies?.refreshToken);
 
       // Clear authentication cookies
       authService.clearAuthCookies(res);
@@ -178,6 +291,10 @@ class AuthController {
     try {
       const result = await authService.changePassword(req.user.id, req.body);
 
+      // All sessions were revoked; keep this device signed in with a fresh one
+      const { accessToken, refreshToken } = await authService.startSession(req.user.id, sessionContext(req));
+      authService.setAuthCookies(res, accessToken, refreshToken);
+
       res.status(200).json({
         status: 'success',
         message: result.message,
@@ -196,6 +313,129 @@ class AuthController {
     }
   }
 
+  /**
+   * Set a password on an account that only signs in with OAuth
+   * POST /api/auth/set-password
+   */
+  async setPassword(req, res, next) {
+    try {
+      const result = await authService.setPassword(req.user.id, req.body.newPassword);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('already has a password')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Request a password reset email
+   * POST /api/auth/forgot-password
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const result = await authService.requestPasswordReset(req.body.email);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reset password with a token from the reset email
+   * POST /api/auth/reset-password
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
+      const result = await authService.resetPassword(token, newPassword);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('Invalid or expired reset token')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Verify email address with a token from the verification email
+   * GET /api/auth/verify-email/:token
+   */
+  async verifyEmail(req, res, next) {
+    try {
+      const result = await authService.verifyEmail(req.params.token);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('Invalid or expired verification token')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Resend the email verification link to the current user
+   * POST /api/auth/resend-verification
+   */
+  async resendVerification(req, res, next) {
+    try {
+      const result = await authService.resendVerificationEmail(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('already verified')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
   /**
    * Get current user profile
    * GET /api/auth/me
@@ -250,11 +490,11 @@ class AuthController {
         });
       }
 
-      // Validate refresh token and generate new access token
+      // Rotate refresh token and generate new access token
       const result = await authService.refreshAccessToken(refreshToken);
 
-      // Set new access token in cookie
-      authService.setAuthCookies(res, result.data.accessToken, refreshToken);
+      // Set new token pair in cookies
+      authService.setAuthCookies(res, result.data.accessToken, result.data.refreshToken);
 
       res.status(200).json({
         status: 'success',
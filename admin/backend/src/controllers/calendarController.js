@@ -0,0 +1,65 @@
+const calendarService = require('../services/calendarService');
+
+const sendCalendar = (res, calendar, filename) => {
+  res.header('Content-Type', 'text/calendar; charset=utf-8');
+  res.header('Content-Disposition', `inline; filename="${filename}"`);
+  // Feeds carry personal schedules; don't let shared caches keep them
+  res.header('Cache-Control', 'private, max-age=0, must-revalidate');
+  res.status(200).send(calendar);
+};
+
+/**
+ * Calendar Controller
+ * Handles HTTP requests for iCalendar subscription feeds
+ */
+class CalendarController {
+  /**
+   * Create a new calendar link, replacing the current one
+   * POST /api/calendar/token
+   */
+  async regenerateToken(req, res, next) {
+    try {
+      const result = await calendarService.regenerateToken(req.user);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the caller's feed of assigned events and shifts
+   * GET /api/calendar/:token.ics
+   */
+  async getPersonalFeed(req, res, next) {
+    try {
+      const calendar = await calendarService.getPersonalFeed(req.user);
+
+      sendCalendar(res, calendar, 'my-shifts.ics');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a coordinator feed of one event or a category of events
+   * GET /api/calendar/:token/events.ics?eventId=...&category=...
+   */
+  async getEventFeed(req, res, next) {
+    try {
+      const { eventId, category } = req.query;
+      const calendar = await calendarService.getEventFeed({ eventId, category });
+
+      sendCalendar(res, calendar, 'events.ics');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CalendarController();
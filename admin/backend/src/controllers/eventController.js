@@ -1,4 +1,38 @@
 const eventService = require('../services/eventService');
+const shiftService = require('../services/shiftService');
+const waitlistService = require('../services/waitlistService');
+const eventTemplateService = require('../services/eventTemplateService');
+const eventImportService = require('../services/eventImportService');
+
+// Errors from shift management that are the caller's fault
+const isShiftRequestError = (message) =>
+  message.includes('Shift') ||
+  message.includes('shift') ||
+  message.includes('position') ||
+  message.includes('capacity') ||
+  message.includes('cannot be removed') ||
+  message.includes('proficiency') ||
+  message.startsWith('Skill with ID');
+
+// Errors from template management that are the caller's fault
+const isTemplateRequestError = (message) =>
+  message.includes('organization') ||
+  message.includes('date') ||
+  message.includes('proficiency') ||
+  message.startsWith('Skill with ID');
+
+// Errors from a bulk import that are the caller's fault
+const isImportRequestError = (message) =>
+  message.includes('organization') ||
+  message.includes('time zone') ||
+  message.includes('import') ||
+  message.includes('CSV') ||
+  message.includes('iCalendar') ||
+  message.includes('Imports are limited');
+
+// Errors from the location filters of an event listing
+const isLocationRequestError = (message) =>
+  /\b(near|radius|bounds|sort)\b/.test(message);
 
 /**
  * Event Controller
@@ -18,7 +52,11 @@ class EventController {
         startDate: req.query.startDate,
         endDate: req.query.endDate,
         needsVolunteers: req.query.needsVolunteers === 'true',
-        search: req.query.search
+        search: req.query.search,
+        near: req.query.near,
+        radius: req.query.radius,
+        bounds: req.query.bounds,
+        sort: req.query.sort
       };
 
       const pagination = {
@@ -28,6 +66,42 @@ class EventController {
         sortOrder: req.query.sortOrder || 'asc'
       };
 
+      const result = await eventService.getEvents(filters, pagination, req.user?.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (isLocationRequestError(error.message)) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get events the current user created or co-manages
+   * GET /api/events/managed
+   */
+  async getManagedEvents(req, res, next) {
+    try {
+      const filters = {
+        status: req.query.status,
+        search: req.query.search,
+        managedBy: req.user.id
+      };
+
+      const pagination = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10
+      };
+
       const result = await eventService.getEvents(filters, pagination);
 
       res.status(200).json({
@@ -84,7 +158,38 @@ class EventController {
       if (error.message.includes('Skill') ||
           error.message.includes('date') ||
           error.message.includes('duration') ||
-          error.message.includes('proficiency')) {
+          error.message.includes('proficiency') ||
+          error.message.includes('organization') ||
+          error.message.includes('ecurrence') ||
+          error.message.includes('series') ||
+          error.message.includes('time zone') ||
+          error.message.includes('day of the week')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Preview or run a bulk import of events from a CSV or .ics file
+   * POST /api/events/import
+   */
+  async importEvents(req, res, next) {
+    try {
+      const result = await eventImportService.importEvents(req.user.id, req.body);
+
+      res.status(result.data.dryRun ? 200 : 201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (isImportRequestError(error.message)) {
         return res.status(400).json({
           status: 'error',
           message: error.message,
@@ -122,7 +227,8 @@ class EventController {
       if (error.message.includes('Skill') ||
           error.message.includes('date') ||
           error.message.includes('duration') ||
-          error.message.includes('proficiency')) {
+          error.message.includes('proficiency') ||
+          error.message.includes('cancel action')) {
         return res.status(400).json({
           status: 'error',
           message: error.message,
@@ -172,6 +278,43 @@ class EventController {
     }
   }
 
+  /**
+   * Cancel event with a reason
+   * POST /api/events/:id/cancel
+   */
+  async cancelEvent(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await eventService.cancelEvent(id, req.user.id, req.body.reason);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('already cancelled') ||
+          error.message.includes('Cannot cancel')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
   /**
    * Get event assignments
    * GET /api/events/:id/assignments
@@ -205,7 +348,7 @@ class EventController {
   async assignVolunteer(req, res, next) {
     try {
       const { id: eventId } = req.params;
-      const { volunteerId, matchScore, notes } = req.body;
+      const { volunteerId, matchScore, notes, positionId } = req.body;
 
       if (!volunteerId) {
         return res.status(400).json({
@@ -218,6 +361,7 @@ class EventController {
       const result = await eventService.assignVolunteer(eventId, volunteerId, {
         matchScore,
         notes,
+        positionId,
         status: 'pending'
       });
 
@@ -231,8 +375,10 @@ class EventController {
       if (error.message.includes('not found') ||
           error.message.includes('not a volunteer') ||
           error.message.includes('not accepting') ||
+          error.message.includes('have closed') ||
           error.message.includes('capacity') ||
-          error.message.includes('already assigned')) {
+          error.message.includes('already assigned') ||
+          error.message.includes('shift')) {
         return res.status(400).json({
           status: 'error',
           message: error.message,
@@ -389,7 +535,7 @@ class EventController {
   async joinEvent(req, res, next) {
     try {
       const { id: eventId } = req.params;
-      const { notes } = req.body;
+      const { notes, positionId } = req.body;
 
       // Only volunteers can join events
       if (req.user.role !== 'volunteer') {
@@ -402,27 +548,93 @@ class EventController {
 
       const result = await eventService.assignVolunteer(eventId, req.user.id, {
         notes: notes || '',
+        positionId,
         status: 'pending',
-        matchScore: 0 // Will be calculated later by matching algorithm
+        matchScore: 0, // Will be calculated later by matching algorithm
+        waitlist: true
       });
 
       res.status(200).json({
         status: 'success',
-        message: 'Successfully applied to join event',
+        message: positionId || result.data.waitlisted ? result.message : 'Successfully applied to join event',
         data: result.data,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
       if (error.message.includes('not found') ||
           error.message.includes('not accepting') ||
+          error.message.includes('have closed') ||
           error.message.includes('capacity') ||
-          error.message.includes('already assigned')) {
+          error.message.includes('already assigned') ||
+          error.message.includes('waitlist') ||
+          error.message.includes('shift')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Join every upcoming occurrence of a series (volunteer self-assignment)
+   * POST /api/events/:id/join-series
+   */
+  async joinSeries(req, res, next) {
+    try {
+      const result = await eventService.joinSeries(req.params.id, req.user.id, req.body.notes || '');
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('series')) {
         return res.status(400).json({
           status: 'error',
           message: error.message,
           timestamp: new Date().toISOString()
         });
       }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Get the series an event belongs to, with all its occurrences
+   * GET /api/events/:id/series
+   */
+  async getEventSeries(req, res, next) {
+    try {
+      const result = await eventService.getEventSeries(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message.includes('not part of a series')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       next(error);
     }
   }
@@ -449,21 +661,13 @@ class EventController {
         });
       }
 
-      // Update assignment status to cancelled
+      // Cancelling gives the place back and offers it to the waitlist
       const result = await eventService.updateAssignmentStatus(
         userAssignment.id,
         'cancelled',
         'Volunteer cancelled their participation'
       );
-
-      // Decrement the event's currentVolunteers count
-      const eventRepository = require('../database/repositories/eventRepository');
-      const event = await eventRepository.findById(eventId);
-      if (event && event.currentVolunteers > 0) {
-        await eventRepository.update(eventId, {
-          currentVolunteers: event.currentVolunteers - 1
-        });
-      }
+      const { event } = result.data;
 
       // Send cancellation notification to volunteer
       try {
@@ -757,6 +961,623 @@ class EventController {
       next(error);
     }
   }
+
+  /**
+   * Get event co-managers
+   * GET /api/events/:id/managers
+   */
+  async getEventManagers(req, res, next) {
+    try {
+      const result = await eventService.getEventManagers(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Grant a coordinator co-manager access to an event
+   * POST /api/events/:id/managers
+   */
+  async addEventManager(req, res, next) {
+    try {
+      const result = await eventService.addEventManager(req.params.id, req.body.email, req.user.id);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('can manage events') ||
+          error.message.includes('already manages') ||
+          error.message.includes('not a member')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke co-manager access to an event
+   * DELETE /api/events/:id/managers/:userId
+   */
+  async removeEventManager(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      const result = await eventService.removeEventManager(id, userId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('not a manager')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get the shifts of an event with their positions
+   * GET /api/events/:id/shifts
+   */
+  async getShifts(req, res, next) {
+    try {
+      const result = await shiftService.getShifts(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Add a shift to an event
+   * POST /api/events/:id/shifts
+   */
+  async createShift(req, res, next) {
+    try {
+      const result = await shiftService.createShift(req.params.id, req.body);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (isShiftRequestError(error.message)) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update a shift and its positions
+   * PUT /api/events/:id/shifts/:shiftId
+   */
+  async updateShift(req, res, next) {
+    try {
+      const { id, shiftId } = req.params;
+      const result = await shiftService.updateShift(id, shiftId, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message === 'Shift not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (isShiftRequestError(error.message)) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a shift nobody has signed up for
+   * DELETE /api/events/:id/shifts/:shiftId
+   */
+  async deleteShift(req, res, next) {
+    try {
+      const { id, shiftId } = req.params;
+      const result = await shiftService.deleteShift(id, shiftId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message === 'Shift not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('volunteers signed up')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Give up one shift of an event (volunteer)
+   * DELETE /api/events/:id/shifts/:shiftId/leave
+   */
+  async leaveShift(req, res, next) {
+    try {
+      const { id, shiftId } = req.params;
+      const result = await eventService.leaveShift(id, shiftId, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message.startsWith('You are not')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get an event's waitlist (admin/event manager)
+   * GET /api/events/:id/waitlist
+   */
+  async getWaitlist(req, res, next) {
+    try {
+      const result = await waitlistService.getWaitlist(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Move a volunteer to another place on the waitlist (admin/event manager)
+   * PUT /api/events/:id/waitlist/:volunteerId
+   */
+  async reorderWaitlist(req, res, next) {
+    try {
+      const { id, volunteerId } = req.params;
+      const result = await waitlistService.reorder(id, volunteerId, req.body.position);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message.includes('not on the waitlist')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (error.message.startsWith('Position must be')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get the waitlists I am on (volunteer)
+   * GET /api/events/my-waitlist
+   */
+  async getMyWaitlist(req, res, next) {
+    try {
+      const result = await waitlistService.getVolunteerEntries(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get my place on an event's waitlist (volunteer)
+   * GET /api/events/:id/waitlist/me
+   */
+  async getMyWaitlistEntry(req, res, next) {
+    try {
+      const result = await waitlistService.getEntry(req.params.id, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message.includes('not on the waitlist')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Take up a place offered from the waitlist (volunteer)
+   * POST /api/events/:id/waitlist/confirm
+   */
+  async confirmWaitlistOffer(req, res, next) {
+    try {
+      const result = await waitlistService.confirmOffer(req.params.id, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Your place is confirmed',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message.includes('not on the waitlist')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (error.message.includes('offer') ||
+          error.message.includes('not accepting') ||
+          error.message.includes('have closed') ||
+          error.message.includes('capacity')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Leave an event's waitlist or decline an offered place (volunteer)
+   * DELETE /api/events/:id/waitlist/me
+   */
+  async leaveWaitlist(req, res, next) {
+    try {
+      const result = await waitlistService.leave(req.params.id, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found' || error.message.includes('not on the waitlist')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get the event templates of the caller's organizations
+   * GET /api/events/templates
+   */
+  async getEventTemplates(req, res, next) {
+    try {
+      const result = await eventTemplateService.getTemplates();
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an event template
+   * GET /api/events/templates/:templateId
+   */
+  async getEventTemplate(req, res, next) {
+    try {
+      const result = await eventTemplateService.getTemplate(req.params.templateId);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event template not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Create an event template
+   * POST /api/events/templates
+   */
+  async createEventTemplate(req, res, next) {
+    try {
+      const result = await eventTemplateService.createTemplate(req.user.id, req.body);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (isTemplateRequestError(error.message)) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update an event template
+   * PUT /api/events/templates/:templateId
+   */
+  async updateEventTemplate(req, res, next) {
+    try {
+      const result = await eventTemplateService.updateTemplate(req.params.templateId, req.body);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event template not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (isTemplateRequestError(error.message)) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an event template
+   * DELETE /api/events/templates/:templateId
+   */
+  async deleteEventTemplate(req, res, next) {
+    try {
+      const result = await eventTemplateService.deleteTemplate(req.params.templateId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event template not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Create an event from a template
+   * POST /api/events/templates/:templateId/events
+   */
+  async createEventFromTemplate(req, res, next) {
+    try {
+      const result = await eventTemplateService.createEventFromTemplate(req.user.id, req.params.templateId, req.body);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event template not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (isTemplateRequestError(error.message)) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Save an event as a template
+   * POST /api/events/:id/save-as-template
+   */
+  async saveEventAsTemplate(req, res, next) {
+    try {
+      const result = await eventTemplateService.saveEventAsTemplate(req.user.id, req.params.id, req.body.name);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Event not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
 }
 
 module.exports = new EventController();
\ No newline at end of file
@@ -16,7 +16,7 @@ class HistoryController {
       const { page, limit, status, startDate, endDate } = req.query;
 
       // Authorization check - volunteers can only see their own history
-      if (req.user.role === 'volunteer' && req.user.id !== volunteerId) {
+      if (req.user.role !== 'admin' && req.user.id !== volunteerId) {
         return res.status(403).json({
           success: false,
           message: 'You can only view your own history'
@@ -143,7 +143,7 @@ class HistoryController {
       const { volunteerId } = req.params;
 
       // Authorization check - volunteers can only see their own stats
-      if (req.user.role === 'volunteer' && req.user.id !== volunteerId) {
+      if (req.user.role !== 'admin' && req.user.id !== volunteerId) {
         return res.status(403).json({
           success: false,
           message: 'You can only view your own statistics'
@@ -196,7 +196,7 @@ class HistoryController {
       const { months } = req.query;
 
       // Authorization check - volunteers can only see their own performance
-      if (req.user.role === 'volunteer' && req.user.id !== volunteerId) {
+      if (req.user.role !== 'admin' && req.user.id !== volunteerId) {
         return res.status(403).json({
           success: false,
           message: 'You can only view your own performance metrics'
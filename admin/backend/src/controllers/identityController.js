@@ -0,0 +1,89 @@
+const oauthService = require('../services/oauthService');
+
+/**
+ * Identity Controller
+ * Handles HTTP requests for OAuth accounts linked to the current user
+ */
+class IdentityController {
+  /**
+   * List linked accounts and the providers that can be linked
+   * GET /api/auth/identities
+   */
+  async listIdentities(req, res, next) {
+    try {
+      const result = await oauthService.listIdentities(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue a link token; the client then opens /api/auth/:provider?link=<token>
+   * The token is also set in a cookie that the callback checks it against
+   * POST /api/auth/identities/:provider/link
+   */
+  async createLinkToken(req, res, next) {
+    try {
+      const result = await oauthService.createLinkToken(req.user.id, req.params.provider);
+      oauthService.setLinkCookie(res, result.data.linkToken);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('provider')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Unlink an account
+   * DELETE /api/auth/identities/:identityId
+   */
+  async unlinkIdentity(req, res, next) {
+    try {
+      const result = await oauthService.unlinkIdentity(req.user.id, req.params.identityId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('only sign-in method')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new IdentityController();
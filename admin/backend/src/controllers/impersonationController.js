@@ -0,0 +1,129 @@
+const impersonationService = require('../services/impersonationService');
+const authService = require('../services/authService');
+
+/**
+ * Impersonation Controller
+ * Handles HTTP requests for admin "view as volunteer" sessions
+ */
+class ImpersonationController {
+  /**
+   * Start viewing as a user
+   * The impersonation token replaces the access token cookie; the admin's
+   * refresh token cookie is kept so stopping returns to their own session
+   * POST /api/admin/users/:userId/impersonate
+   */
+  async start(req, res, next) {
+    try {
+      const result = await impersonationService.start(req.user.id, req.params.userId, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      const { expiresAt } = result.data.impersonation;
+      authService.setAccessCookie(res, result.data.token, new Date(expiresAt).getTime() - Date.now());
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('cannot impersonate') || error.message.includes('cannot be impersonated')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Stop the current impersonation
+   * POST /api/auth/impersonation/stop
+   */
+  async stop(req, res, next) {
+    try {
+      if (!req.impersonation) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Not impersonating a user',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await impersonationService.stop(req.impersonation);
+
+      authService.clearAccessCookie(res);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List impersonation sessions
+   * GET /api/admin/impersonations
+   */
+  async listSessions(req, res, next) {
+    try {
+      const { adminId, targetUserId } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const result = await impersonationService.listSessions({ adminId, targetUserId }, { page, limit });
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an impersonation session and its audit trail
+   * GET /api/admin/impersonations/:impersonationId
+   */
+  async getSession(req, res, next) {
+    try {
+      const result = await impersonationService.getSession(req.params.impersonationId);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new ImpersonationController();
@@ -0,0 +1,199 @@
+const invitationService = require('../services/invitationService');
+const authService = require('../services/authService');
+const organizationScope = require('../utils/organizationScope');
+
+/**
+ * Device details recorded with a new session
+ */
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Send a 400/404/409 for known invitation errors, or pass the error on
+ */
+const handleInvitationError = (error, res, next) => {
+  const send = (statusCode) => res.status(statusCode).json({
+    status: 'error',
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+
+  if (error.message === 'Invitation not found') {
+    return send(404);
+  }
+
+  if (error.message.includes('already exists') || error.message.includes('already pending') || error.message.includes('already taken')) {
+    return send(409);
+  }
+
+  if (error.message.includes('Only pending') || error.message.includes('Invalid or expired') ||
+      error.message.includes('No email') || error.message.includes('at most')) {
+    return send(400);
+  }
+
+  next(error);
+};
+
+/**
+ * Invitation Controller
+ * Handles HTTP requests for admin invitations and for invitees accepting them
+ */
+class InvitationController {
+  /**
+   * List invitations
+   * GET /api/admin/invitations
+   */
+  async listInvitations(req, res, next) {
+    try {
+      const result = await invitationService.listInvitations({ status: req.query.status });
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Invite one person
+   * POST /api/admin/invitations
+   */
+  async createInvitation(req, res, next) {
+    try {
+      const organizationId = organizationScope.activeOrganizationId();
+      if (!organizationId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Select an organization to invite users to',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await invitationService.createInvitation(req.user, req.body, organizationId);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleInvitationError(error, res, next);
+    }
+  }
+
+  /**
+   * Invite a list of emails
+   * POST /api/admin/invitations/bulk
+   */
+  async bulkInvite(req, res, next) {
+    try {
+      const organizationId = organizationScope.activeOrganizationId();
+      if (!organizationId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Select an organization to invite users to',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await invitationService.bulkInvite(req.user, req.body, organizationId);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleInvitationError(error, res, next);
+    }
+  }
+
+  /**
+   * Resend an invitation with a new link
+   * POST /api/admin/invitations/:invitationId/resend
+   */
+  async resendInvitation(req, res, next) {
+    try {
+      const result = await invitationService.resendInvitation(req.user, req.params.invitationId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleInvitationError(error, res, next);
+    }
+  }
+
+  /**
+   * Revoke an invitation
+   * DELETE /api/admin/invitations/:invitationId
+   */
+  async revokeInvitation(req, res, next) {
+    try {
+      const result = await invitationService.revokeInvitation(req.user, req.params.invitationId);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleInvitationError(error, res, next);
+    }
+  }
+
+  /**
+   * Invitation details for the registration page
+   * GET /api/auth/invitations/:token
+   */
+  async getInvitation(req, res, next) {
+    try {
+      const result = await invitationService.getInvitationByToken(req.params.token);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleInvitationError(error, res, next);
+    }
+  }
+
+  /**
+   * Create an account from an invitation and sign it in
+   * POST /api/auth/invitations/accept
+   */
+  async acceptInvitation(req, res, next) {
+    try {
+      const result = await invitationService.acceptInvitation(req.body);
+
+      const { accessToken, refreshToken } = await authService.startSession(result.data.user.id, sessionContext(req));
+      authService.setAuthCookies(res, accessToken, refreshToken);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: {
+          ...result.data,
+          token: accessToken
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      handleInvitationError(error, res, next);
+    }
+  }
+}
+
+module.exports = new InvitationController();
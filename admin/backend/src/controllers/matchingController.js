@@ -15,7 +15,8 @@ class MatchingController {
       const options = {
         limit: parseInt(req.query.limit) || 20,
         minScore: parseInt(req.query.minScore) || 0,
-        includeAssigned: req.query.includeAssigned === 'true'
+        includeAssigned: req.query.includeAssigned === 'true',
+        shiftId: req.query.shiftId
       };
 
       const result = await matchingService.findMatchesForEvent(eventId, options);
@@ -26,7 +27,7 @@ class MatchingController {
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      if (error.message === 'Event not found') {
+      if (error.message === 'Event not found' || error.message === 'Shift not found') {
         return res.status(404).json({
           status: 'error',
           message: error.message,
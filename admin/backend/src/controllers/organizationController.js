@@ -0,0 +1,173 @@
+const organizationService = require('../services/organizationService');
+
+/**
+ * Organization Controller
+ * Handles HTTP requests for organizations and their membership
+ */
+class OrganizationController {
+  /**
+   * Get organizations visible to the current user
+   * GET /api/organizations
+   */
+  async getOrganizations(req, res, next) {
+    try {
+      const result = await organizationService.getOrganizations(req.user);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an organization
+   * POST /api/organizations
+   */
+  async createOrganization(req, res, next) {
+    try {
+      const result = await organizationService.createOrganization(req.body);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('already in use')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update an organization
+   * PUT /api/organizations/:id
+   */
+  async updateOrganization(req, res, next) {
+    try {
+      const result = await organizationService.updateOrganization(req.params.id, req.body, req.user);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('already in use')) {
+        return res.status(409).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get members of an organization
+   * GET /api/organizations/:id/members
+   */
+  async getMembers(req, res, next) {
+    try {
+      const result = await organizationService.getMembers(req.params.id, req.user);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Add a user to an organization
+   * POST /api/organizations/:id/members
+   */
+  async addMember(req, res, next) {
+    try {
+      const result = await organizationService.addMember(req.params.id, req.body.email, req.user);
+
+      res.status(201).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a user from an organization
+   * DELETE /api/organizations/:id/members/:userId
+   */
+  async removeMember(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      const result = await organizationService.removeMember(id, userId, req.user);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('not a member') ||
+          error.message.includes('at least one organization')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = new OrganizationController();
@@ -0,0 +1,59 @@
+const sessionService = require('../services/sessionService');
+const authService = require('../services/authService');
+
+/**
+ * Session Controller
+ * Handles HTTP requests for a user's login sessions
+ */
+class SessionController {
+  /**
+   * List the current user's signed-in sessions
+   * GET /api/auth/sessions
+   */
+  async listSessions(req, res, next) {
+    try {
+      const result = await sessionService.listSessions(req.user.id, req.sessionId);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign out one of the current user's sessions
+   * DELETE /api/auth/sessions/:sessionId
+   */
+  async revokeSession(req, res, next) {
+    try {
+      const result = await sessionService.revokeSession(req.user.id, req.params.sessionId);
+
+      // Signing out this device works like logout
+      if (req.params.sessionId === req.sessionId) {
+        authService.clearAuthCookies(res);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new SessionController();
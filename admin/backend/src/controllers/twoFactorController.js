@@ -0,0 +1,146 @@
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Two-Factor Controller
+ * Handles HTTP requests for TOTP enrollment and recovery codes
+ */
+class TwoFactorController {
+  /**
+   * Get two-factor status for the current user
+   * GET /api/auth/2fa/status
+   */
+  async getStatus(req, res, next) {
+    try {
+      const result = await twoFactorService.getStatus(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start enrollment and return the QR provisioning data
+   * POST /api/auth/2fa/setup
+   */
+  async setup(req, res, next) {
+    try {
+      const result = await twoFactorService.beginSetup(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('already enabled')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * POST /api/auth/2fa/enable
+   */
+  async enable(req, res, next) {
+    try {
+      const result = await twoFactorService.enable(req.user.id, req.body.code);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('already enabled') ||
+          error.message.includes('not been started') ||
+          error.message.includes('Invalid verification code')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * POST /api/auth/2fa/disable
+   */
+  async disable(req, res, next) {
+    try {
+      const { password, code } = req.body;
+      const result = await twoFactorService.disable(req.user.id, password, code);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('required for admin accounts')) {
+        return res.status(403).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.message.includes('not enabled') ||
+          error.message.includes('Invalid password or verification code')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Replace recovery codes
+   * POST /api/auth/2fa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+      res.status(200).json({
+        status: 'success',
+        message: result.message,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message.includes('not enabled') ||
+          error.message.includes('Invalid verification code')) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
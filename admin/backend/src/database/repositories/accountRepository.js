@@ -0,0 +1,235 @@
+/**
+ * Account Repository
+ * Handles database operations for self-service data export and account deletion
+ */
+
+const prisma = require('../prisma');
+
+class AccountRepository {
+  /**
+   * Get everything stored about a user for a data export
+   * Reads the user's own records, so it is not limited by organization
+   */
+  async findForExport(userId) {
+    return await prisma.user.findUnique({
+      where: { id: userId },
+      include: {
+        profile: {
+          include: {
+            skills: {
+              include: {
+                skill: true
+              }
+            },
+            availability: true
+          }
+        },
+        assignments: {
+          include: {
+            event: {
+              select: { id: true, title: true, startDate: true, endDate: true, city: true, state: true }
+            }
+          },
+          orderBy: { assignedAt: 'desc' }
+        },
+        history: {
+          include: {
+            event: {
+              select: { id: true, title: true, startDate: true }
+            }
+          },
+          orderBy: { participationDate: 'desc' }
+        },
+        notifications: {
+          orderBy: { createdAt: 'desc' }
+        },
+        identities: true,
+        memberships: {
+          include: {
+            organization: {
+              select: { id: true, name: true }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Schedule a user's account for deletion
+   */
+  async scheduleDeletion(userId, scheduledFor) {
+    return await prisma.user.update({
+      where: { id: userId },
+      data: {
+        deletionRequestedAt: new Date(),
+        deletionScheduledFor: scheduledFor
+      }
+    });
+  }
+
+  /**
+   * Cancel a pending deletion
+   */
+  async cancelDeletion(userId) {
+    return await prisma.user.update({
+      where: { id: userId },
+      data: {
+        deletionRequestedAt: null,
+        deletionScheduledFor: null
+      }
+    });
+  }
+
+  /**
+   * Get accounts whose grace period has ended
+   */
+  async findDueForAnonymization(now = new Date()) {
+    return await prisma.user.findMany({
+      where: {
+        deletionScheduledFor: { lte: now },
+        anonymizedAt: null
+      },
+      select: { id: true }
+    });
+  }
+
+  /**
+   * Remove a user's personal data in one transaction
+   * Volunteer history rows are kept (minus free text) so organization
+   * reporting still counts the hours; upcoming sign-ups and waitlist places
+   * are released
+   * @returns {Promise<Object>} { user, releasedEventIds } where releasedEventIds
+   *   are the events with a place to pass on to their waitlist
+   */
+  async anonymize(userId, placeholder) {
+    const now = new Date();
+    const releasedEventIds = new Set();
+
+    const user = await prisma.$transaction(async (tx) => {
+      const profile = await tx.profile.findUnique({ where: { userId } });
+
+      if (profile) {
+        await tx.volunteerSkill.deleteMany({ where: { profileId: profile.id } });
+        await tx.availability.deleteMany({ where: { profileId: profile.id } });
+        await tx.profile.update({
+          where: { id: profile.id },
+          data: {
+            firstName: 'Deleted',
+            lastName: 'User',
+            phone: null,
+            address: null,
+            city: null,
+            state: null,
+            zipCode: null,
+            latitude: null,
+            longitude: null,
+            bio: null,
+            avatar: null,
+            preferredDays: [],
+            preferredTimeSlots: [],
+            preferredCauses: [],
+            emailNotifications: false,
+            eventReminders: false,
+            lastActive: null
+          }
+        });
+      }
+
+      const upcoming = await tx.assignment.findMany({
+        where: {
+          volunteerId: userId,
+          event: { startDate: { gt: now } }
+        },
+        select: { id: true, eventId: true, status: true }
+      });
+
+      for (const assignment of upcoming) {
+        await tx.assignment.delete({ where: { id: assignment.id } });
+
+        // Cancelled and declined assignments already gave their place back
+        if (['CANCELLED', 'DECLINED'].includes(assignment.status)) {
+          continue;
+        }
+
+        await tx.event.updateMany({
+          where: { id: assignment.eventId, currentVolunteers: { gt: 0 } },
+          data: { currentVolunteers: { decrement: 1 } }
+        });
+        releasedEventIds.add(assignment.eventId);
+      }
+
+      // Leave every waitlist, moving the volunteers behind up one place;
+      // a place held by an offer opens up again
+      const waitlistEntries = await tx.waitlistEntry.findMany({
+        where: { volunteerId: userId },
+        select: { id: true, eventId: true }
+      });
+
+      for (const { id, eventId } of waitlistEntries) {
+        // Lock the event as waitlistRepository does, then read the place in line
+        await tx.$queryRaw`SELECT id FROM events WHERE id = ${eventId} FOR UPDATE`;
+        const entry = await tx.waitlistEntry.findUnique({
+          where: { id },
+          select: { id: true, eventId: true, position: true, status: true }
+        });
+
+        if (!entry) {
+          continue;
+        }
+
+        await tx.waitlistEntry.delete({ where: { id: entry.id } });
+        await tx.waitlistEntry.updateMany({
+          where: { eventId: entry.eventId, position: { gt: entry.position } },
+          data: { position: { decrement: 1 } }
+        });
+
+        if (entry.status === 'OFFERED') {
+          releasedEventIds.add(entry.eventId);
+        }
+      }
+
+      await tx.assignment.updateMany({
+        where: { volunteerId: userId },
+        data: { notes: null }
+      });
+
+      await tx.volunteerHistory.updateMany({
+        where: { volunteerId: userId },
+        data: { feedback: null, adminNotes: null }
+      });
+
+      await tx.notification.deleteMany({ where: { userId } });
+      await tx.oAuthIdentity.deleteMany({ where: { userId } });
+      await tx.oAuthLinkRequest.deleteMany({ where: { userId } });
+      await tx.personalAccessToken.deleteMany({ where: { userId } });
+      await tx.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+      await tx.passwordResetToken.deleteMany({ where: { userId } });
+      await tx.refreshToken.deleteMany({ where: { userId } });
+      await tx.session.deleteMany({ where: { userId } });
+
+      return await tx.user.update({
+        where: { id: userId },
+        data: {
+          username: placeholder.username,
+          email: placeholder.email,
+          password: null,
+          verified: false,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          calendarTokenHash: null,
+          deletionScheduledFor: null,
+          anonymizedAt: now
+        }
+      });
+    });
+
+    return { user, releasedEventIds: [...releasedEventIds] };
+  }
+}
+
+module.exports = new AccountRepository();
@@ -0,0 +1,38 @@
+/**
+ * Audit Log Repository
+ * Handles database operations for audit log entries
+ */
+
+const prisma = require('../prisma');
+
+class AuditLogRepository {
+  /**
+   * Append an entry
+   */
+  async create(entry) {
+    return await prisma.auditLog.create({
+      data: {
+        action: entry.action,
+        actorId: entry.actorId,
+        targetUserId: entry.targetUserId,
+        impersonationId: entry.impersonationId,
+        method: entry.method,
+        path: entry.path,
+        statusCode: entry.statusCode,
+        metadata: entry.metadata
+      }
+    });
+  }
+
+  /**
+   * Get the entries recorded during an impersonation, oldest first
+   */
+  async findByImpersonation(impersonationId) {
+    return await prisma.auditLog.findMany({
+      where: { impersonationId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+}
+
+module.exports = new AuditLogRepository();
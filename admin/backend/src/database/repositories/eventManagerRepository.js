@@ -0,0 +1,81 @@
+/**
+ * Event Manager Repository
+ * Handles database operations for per-event manager grants
+ */
+
+const prisma = require('../prisma');
+
+class EventManagerRepository {
+  /**
+   * Whether the user created the event or has been granted co-manager access
+   */
+  async isManager(eventId, userId) {
+    const count = await prisma.event.count({
+      where: {
+        id: eventId,
+        OR: [
+          { createdBy: userId },
+          { managers: { some: { userId } } }
+        ]
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Get co-managers of an event
+   */
+  async findByEvent(eventId) {
+    return await prisma.eventManager.findMany({
+      where: { eventId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            email: true,
+            role: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Grant co-manager access (no-op if already granted)
+   */
+  async add(eventId, userId, grantedBy = null) {
+    return await prisma.eventManager.upsert({
+      where: {
+        eventId_userId: { eventId, userId }
+      },
+      update: {},
+      create: { eventId, userId, grantedBy },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            email: true,
+            role: true
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Revoke co-manager access
+   */
+  async remove(eventId, userId) {
+    const result = await prisma.eventManager.deleteMany({
+      where: { eventId, userId }
+    });
+
+    return result.count > 0;
+  }
+}
+
+module.exports = new EventManagerRepository();
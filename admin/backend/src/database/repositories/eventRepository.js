@@ -3,15 +3,105 @@
  * Handles all database operations for events and assignments
  */
 
+const { Prisma } = require('@prisma/client');
 const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
+
+// Assignments in these states don't hold a place on the event
+const INACTIVE_ASSIGNMENT_STATUSES = ['CANCELLED', 'DECLINED'];
+
+const isActiveStatus = (status) => !INACTIVE_ASSIGNMENT_STATUSES.includes(status.toUpperCase());
+
+// Interactive transactions give up after 5 seconds by default, too little for
+// an import creating up to 500 events one at a time, so allow time per event
+const CREATE_MANY_MIN_TIMEOUT_MS = 5 * 1000;
+const CREATE_MANY_TIMEOUT_PER_EVENT_MS = 100;
+const CREATE_MANY_MAX_WAIT_MS = 10 * 1000;
+
+// Relations returned with events in listings and search results
+const LIST_INCLUDE = {
+  creator: {
+    select: {
+      id: true,
+      username: true,
+      email: true
+    }
+  },
+  requirements: {
+    include: {
+      skill: true
+    }
+  },
+  _count: {
+    select: {
+      assignments: true
+    }
+  }
+};
+
+// Relations anonymous visitors get with an event; no contact details
+const PUBLIC_INCLUDE = {
+  creator: {
+    select: {
+      id: true,
+      username: true
+    }
+  },
+  requirements: {
+    include: {
+      skill: true
+    }
+  },
+  _count: {
+    select: {
+      assignments: true
+    }
+  }
+};
+
+// Listing relations for the current caller
+const listInclude = () => organizationScope.isAnonymous() ? PUBLIC_INCLUDE : LIST_INCLUDE;
+
+// Minimum pg_trgm word similarity for a misspelled search to still match
+const SEARCH_SIMILARITY_THRESHOLD = 0.4;
+
+// How much a close-but-not-exact match adds to the full-text rank
+const SEARCH_SIMILARITY_WEIGHT = 0.5;
+
+const MAX_SEARCH_LENGTH = 200;
+
+// ts_headline options; matched words are wrapped in <mark></mark>
+const HEADLINE_TITLE_OPTIONS = 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>';
+const HEADLINE_SNIPPET_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+// Valid Date for a date filter value, or null to ignore it
+const toFilterDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
 
 class EventRepository {
   /**
    * Find event by ID
    */
   async findById(eventId) {
+    if (organizationScope.isAnonymous()) {
+      return await prisma.event.findUnique({
+        where: { id: eventId, ...organizationScope.where(), ...organizationScope.publicEventWhere() },
+        include: PUBLIC_INCLUDE
+      });
+    }
+
     return await prisma.event.findUnique({
-      where: { id: eventId },
+      where: { id: eventId, ...organizationScope.where() },
       include: {
         creator: {
           select: {
@@ -43,12 +133,25 @@ class EventRepository {
 
   /**
    * Get all events with filters and pagination
+   * With a search term the results are ranked by relevance (see search()), and
+   * near a location they include their distance (see findNearby()).
+   * @param {Object} filters - { status, category, urgencyLevel, startDate, endDate,
+   *   search, managedBy, near, radius, bounds, sort }; near, bounds and sort come
+   *   from eventService.resolveLocationFilters
    */
   async findAll(filters = {}, pagination = {}) {
+    if (typeof filters.search === 'string' && filters.search.trim()) {
+      return this.search(filters, pagination);
+    }
+
+    if (filters.near) {
+      return this.findNearby(filters, pagination);
+    }
+
     const { page = 1, limit = 10 } = pagination;
     const skip = (page - 1) * limit;
 
-    const where = {};
+    const where = { ...organizationScope.where(), AND: [organizationScope.publicEventWhere()] };
 
     if (filters.status) {
       where.status = filters.status.toUpperCase().replace('-', '_');
@@ -62,11 +165,37 @@ class EventRepository {
       where.urgencyLevel = filters.urgencyLevel.toUpperCase();
     }
 
-    if (filters.search) {
-      where.OR = [
-        { title: { contains: filters.search, mode: 'insensitive' } },
-        { description: { contains: filters.search, mode: 'insensitive' } }
-      ];
+    // Events that start on or after startDate and end on or before endDate
+    const from = toFilterDate(filters.startDate);
+    if (from) {
+      where.startDate = { gte: from };
+    }
+
+    const to = toFilterDate(filters.endDate);
+    if (to) {
+      where.endDate = { lte: to };
+    }
+
+    if (filters.bounds) {
+      const { south, west, north, east } = filters.bounds;
+      where.latitude = { gte: south, lte: north };
+
+      // A box across the antimeridian has its west edge east of its east edge
+      if (west <= east) {
+        where.longitude = { gte: west, lte: east };
+      } else {
+        where.OR = [{ longitude: { gte: west } }, { longitude: { lte: east } }];
+      }
+    }
+
+    // Events the user created or co-manages
+    if (filters.managedBy) {
+      where.AND.push({
+        OR: [
+          { createdBy: filters.managedBy },
+          { managers: { some: { userId: filters.managedBy } } }
+        ]
+      });
     }
 
     const [events, total] = await Promise.all([
@@ -74,25 +203,7 @@ class EventRepository {
         where,
         skip,
         take: limit,
-        include: {
-          creator: {
-            select: {
-              id: true,
-              username: true,
-              email: true
-            }
-          },
-          requirements: {
-            include: {
-              skill: true
-            }
-          },
-          _count: {
-            select: {
-              assignments: true
-            }
-          }
-        },
+        include: listInclude(),
         orderBy: {
           startDate: 'asc'
         }
@@ -103,6 +214,269 @@ class EventRepository {
     return { events, total, page, limit };
   }
 
+  /**
+   * Events near a location, with their distance in miles
+   * Sorted by distance with sort=distance, otherwise by start date. Events
+   * without coordinates are only included when there is no radius, and have
+   * a null distance. Takes the same filters as findAll.
+   * @returns {Object} { events, total, page, limit }
+   */
+  async findNearby(filters, pagination = {}) {
+    const { page = 1, limit = 10 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const order = filters.sort === 'distance'
+      ? Prisma.sql`distance ASC NULLS LAST, "startDate" ASC, id`
+      : Prisma.sql`"startDate" ASC, id`;
+
+    const rows = await prisma.$queryRaw(Prisma.sql`
+      WITH matches AS (
+        SELECT e.id, e."startDate", ${this.distanceSql(filters.near)} AS distance
+        FROM events e
+        WHERE ${Prisma.join(this.searchConditions(filters), ' AND ')}
+      )
+      SELECT id, distance, COUNT(*) OVER () AS total
+      FROM matches
+      ORDER BY ${order}
+      LIMIT ${limit} OFFSET ${skip}
+    `);
+
+    return {
+      events: await this.loadInOrder(rows, row => ({ distance: this.roundDistance(row.distance) })),
+      total: rows.length > 0 ? Number(rows[0].total) : 0,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Full-text search of events, most relevant first
+   * Matches the stemmed words of the search against the title, required skill
+   * names, category and description (weighted in that order), any word being
+   * enough; events matching more of the words rank higher. Misspelled searches
+   * still match titles, categories and skill names through pg_trgm word
+   * similarity. Candidates come from the indexed searchVector column and
+   * trigram indexes, so only matching events are ranked. Takes the same
+   * filters as findAll; near a location the results include their distance,
+   * and sort=distance puts the nearest first.
+   * @param {Object} filters - findAll filters with a search term
+   * @param {Object} pagination - { page, limit }
+   * @returns {Object} { events, total, page, limit }; each event has a search
+   *   field { rank, title, snippet } with matched words wrapped in <mark></mark>.
+   *   The highlighted text is not HTML-escaped.
+   */
+  async search(filters, pagination = {}) {
+    const { page = 1, limit = 10 } = pagination;
+    const skip = (page - 1) * limit;
+    const term = filters.search.trim().slice(0, MAX_SEARCH_LENGTH);
+
+    // Any of the words rather than all of them
+    const query = Prisma.sql`replace(plainto_tsquery('english', ${term})::text, '&', '|')::tsquery`;
+
+    const distance = filters.near ? this.distanceSql(filters.near) : Prisma.sql`NULL::double precision`;
+    const order = filters.sort === 'distance'
+      ? Prisma.sql`distance ASC NULLS LAST, rank DESC, "startDate" ASC, id`
+      : Prisma.sql`rank DESC, "startDate" ASC, id`;
+
+    const matches = await prisma.$transaction(async (tx) => {
+      // The <% operator compares against this setting rather than a literal,
+      // which is what lets it use the trigram indexes
+      await tx.$executeRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(SEARCH_SIMILARITY_THRESHOLD)}, true)`;
+
+      return tx.$queryRaw(Prisma.sql`
+        WITH candidates AS (
+          SELECT id FROM events WHERE "searchVector" @@ ${query}
+          UNION
+          SELECT id FROM events WHERE ${term} <% title OR ${term} <% category
+          UNION
+          SELECT r."eventId"
+          FROM event_requirements r
+          JOIN skills s ON s.id = r."skillId"
+          WHERE to_tsvector('english', s.name) @@ ${query} OR ${term} <% s.name
+        ),
+        matches AS (
+          SELECT e.id,
+                 e."startDate",
+                 ${distance} AS distance,
+                 ts_rank_cd(e."searchVector" || setweight(to_tsvector('english', skills.names), 'B'), q.query)
+                   + ${SEARCH_SIMILARITY_WEIGHT} * word_similarity(${term}, e.title || ' ' || e.category || ' ' || skills.names) AS rank
+          FROM candidates c
+          JOIN events e ON e.id = c.id
+          CROSS JOIN LATERAL (
+            SELECT coalesce(string_agg(s.name, ' '), '') AS names
+            FROM event_requirements r
+            JOIN skills s ON s.id = r."skillId"
+            WHERE r."eventId" = e.id
+          ) skills
+          CROSS JOIN (SELECT ${query} AS query) q
+          WHERE ${Prisma.join(this.searchConditions(filters), ' AND ')}
+        ),
+        page AS (
+          SELECT id, rank, distance, "startDate", COUNT(*) OVER () AS total
+          FROM matches
+          ORDER BY ${order}
+          LIMIT ${limit} OFFSET ${skip}
+        )
+        SELECT page.id,
+               page.rank,
+               page.distance,
+               page."startDate",
+               page.total,
+               ts_headline('english', e.title, q.query, ${HEADLINE_TITLE_OPTIONS}) AS title,
+               ts_headline('english', e.description, q.query, ${HEADLINE_SNIPPET_OPTIONS}) AS snippet
+        FROM page
+        JOIN events e ON e.id = page.id
+        CROSS JOIN (SELECT ${query} AS query) q
+        ORDER BY ${order}
+      `);
+    });
+
+    return {
+      events: await this.loadInOrder(matches, match => ({
+        ...(filters.near && { distance: this.roundDistance(match.distance) }),
+        search: {
+          rank: Number(match.rank),
+          title: match.title,
+          snippet: match.snippet
+        }
+      })),
+      total: matches.length > 0 ? Number(matches[0].total) : 0,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Load the events of a page of raw query rows, keeping the rows' order
+   * @param {Array<Object>} rows - Rows with an id
+   * @param {Function} describe - Extra fields for an event from its row
+   * @returns {Array<Object>} Events with their listing relations
+   */
+  async loadInOrder(rows, describe) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const events = await prisma.event.findMany({
+      where: { id: { in: rows.map(row => row.id) } },
+      include: listInclude()
+    });
+    const eventsById = new Map(events.map(event => [event.id, event]));
+
+    return rows
+      .filter(row => eventsById.has(row.id))
+      .map(row => ({ ...eventsById.get(row.id), ...describe(row) }));
+  }
+
+  /**
+   * SQL conditions on the events table (aliased e) for findAll's filters
+   * Statuses and urgency levels are compared as text so an unknown value
+   * matches nothing rather than failing the enum cast.
+   * @returns {Array<Prisma.Sql>} Conditions to AND together
+   */
+  searchConditions(filters) {
+    const conditions = [Prisma.sql`TRUE`];
+
+    const organizationIds = organizationScope.organizationIds();
+    if (organizationIds !== null) {
+      conditions.push(organizationIds.length > 0
+        ? Prisma.sql`e."organizationId" IN (${Prisma.join(organizationIds)})`
+        : Prisma.sql`FALSE`);
+    }
+
+    if (organizationScope.isAnonymous()) {
+      conditions.push(Prisma.sql`e.status::text IN (${Prisma.join(organizationScope.PUBLIC_EVENT_STATUSES)})`);
+    }
+
+    if (filters.status) {
+      conditions.push(Prisma.sql`e.status::text = ${filters.status.toUpperCase().replace('-', '_')}`);
+    }
+
+    if (filters.category) {
+      conditions.push(Prisma.sql`e.category = ${filters.category}`);
+    }
+
+    if (filters.urgencyLevel) {
+      conditions.push(Prisma.sql`e."urgencyLevel"::text = ${filters.urgencyLevel.toUpperCase()}`);
+    }
+
+    const from = toFilterDate(filters.startDate);
+    if (from) {
+      conditions.push(Prisma.sql`e."startDate" >= ${from}`);
+    }
+
+    const to = toFilterDate(filters.endDate);
+    if (to) {
+      conditions.push(Prisma.sql`e."endDate" <= ${to}`);
+    }
+
+    if (filters.bounds) {
+      const { south, west, north, east } = filters.bounds;
+      conditions.push(Prisma.sql`e.latitude BETWEEN ${south} AND ${north}`);
+      conditions.push(west <= east
+        ? Prisma.sql`e.longitude BETWEEN ${west} AND ${east}`
+        : Prisma.sql`(e.longitude >= ${west} OR e.longitude <= ${east})`);
+    }
+
+    if (filters.near && filters.radius) {
+      conditions.push(...this.radiusConditions(filters.near, filters.radius));
+    }
+
+    if (filters.managedBy) {
+      conditions.push(Prisma.sql`(e."createdBy" = ${filters.managedBy} OR EXISTS (
+        SELECT 1 FROM event_managers m WHERE m."eventId" = e.id AND m."userId" = ${filters.managedBy}
+      ))`);
+    }
+
+    return conditions;
+  }
+
+  /**
+   * SQL conditions for events within a radius of a point
+   * A bounding box around the circle is checked first, which the
+   * (latitude, longitude) index can answer, before the exact distance.
+   * @param {Object} near - { latitude, longitude }
+   * @param {number} radius - Miles
+   * @returns {Array<Prisma.Sql>} Conditions to AND together
+   */
+  radiusConditions(near, radius) {
+    const { latitude, longitude } = near;
+    const latitudeDelta = radius / MILES_PER_DEGREE_LATITUDE;
+    const conditions = [
+      Prisma.sql`e.latitude BETWEEN ${latitude - latitudeDelta} AND ${latitude + latitudeDelta}`
+    ];
+
+    // Degrees of longitude shrink towards the poles; near a pole or across the
+    // antimeridian the box would wrap, so only the latitude band is used there
+    const longitudeDelta = radius / (MILES_PER_DEGREE_LATITUDE * Math.cos(latitude * Math.PI / 180));
+    if (Math.abs(latitude) + latitudeDelta < 90 &&
+        longitude - longitudeDelta >= -180 && longitude + longitudeDelta <= 180) {
+      conditions.push(Prisma.sql`e.longitude BETWEEN ${longitude - longitudeDelta} AND ${longitude + longitudeDelta}`);
+    }
+
+    conditions.push(Prisma.sql`${this.distanceSql(near)} <= ${radius}`);
+
+    return conditions;
+  }
+
+  /**
+   * SQL for the great-circle (haversine) distance in miles from a point to an
+   * event (aliased e); null for events without coordinates
+   * @param {Object} near - { latitude, longitude }
+   * @returns {Prisma.Sql} Distance expression
+   */
+  distanceSql({ latitude, longitude }) {
+    return Prisma.sql`(${EARTH_RADIUS_MILES}::double precision * 2 * asin(least(1, sqrt(
+      power(sin(radians(e.latitude - ${latitude}::double precision) / 2), 2)
+        + cos(radians(${latitude}::double precision)) * cos(radians(e.latitude))
+        * power(sin(radians(e.longitude - ${longitude}::double precision) / 2), 2)
+    ))))`;
+  }
+
+  roundDistance(distance) {
+    return distance == null ? null : Math.round(Number(distance) * 10) / 10;
+  }
+
   /**
    * Create new event
    */
@@ -134,6 +508,36 @@ class EventRepository {
     });
   }
 
+  /**
+   * Create several events in one transaction, so an import adds all of them or none
+   */
+  async createMany(eventsData) {
+    return await prisma.$transaction(async (tx) => {
+      const events = [];
+      for (const { requiredSkills = [], ...fields } of eventsData) {
+        events.push(await tx.event.create({
+          data: {
+            ...fields,
+            status: fields.status ? fields.status.toUpperCase() : 'DRAFT',
+            urgencyLevel: fields.urgencyLevel ? fields.urgencyLevel.toUpperCase() : 'MEDIUM',
+            requirements: {
+              create: requiredSkills.map(skill => ({
+                skillId: skill.skillId,
+                minLevel: skill.minLevel.toUpperCase(),
+                isRequired: skill.isRequired !== false
+              }))
+            }
+          }
+        }));
+      }
+
+      return events;
+    }, {
+      maxWait: CREATE_MANY_MAX_WAIT_MS,
+      timeout: Math.max(CREATE_MANY_MIN_TIMEOUT_MS, eventsData.length * CREATE_MANY_TIMEOUT_PER_EVENT_MS)
+    });
+  }
+
   /**
    * Update event
    */
@@ -153,7 +557,7 @@ class EventRepository {
     // If required skills are being updated, delete old ones and create new ones
     if (requiredSkills) {
       await prisma.eventRequirement.deleteMany({
-        where: { eventId }
+        where: { eventId, ...organizationScope.eventWhere() }
       });
 
       data.requirements = {
@@ -166,7 +570,7 @@ class EventRepository {
     }
 
     return await prisma.event.update({
-      where: { id: eventId },
+      where: { id: eventId, ...organizationScope.where() },
       data,
       include: {
         creator: true,
@@ -184,7 +588,7 @@ class EventRepository {
    */
   async delete(eventId) {
     return await prisma.event.delete({
-      where: { id: eventId }
+      where: { id: eventId, ...organizationScope.where() }
     });
   }
 
@@ -193,7 +597,7 @@ class EventRepository {
    */
   async getAssignments(eventId) {
     return await prisma.assignment.findMany({
-      where: { eventId },
+      where: { eventId, ...organizationScope.eventWhere() },
       include: {
         volunteer: {
           select: {
@@ -220,7 +624,7 @@ class EventRepository {
    */
   async getAssignmentsByVolunteer(volunteerId) {
     return await prisma.assignment.findMany({
-      where: { volunteerId },
+      where: { volunteerId, ...organizationScope.eventWhere() },
       include: {
         event: {
           select: {
@@ -243,7 +647,7 @@ class EventRepository {
    */
   async getVolunteerAssignments(volunteerId) {
     return await prisma.assignment.findMany({
-      where: { volunteerId },
+      where: { volunteerId, ...organizationScope.eventWhere() },
       include: {
         event: {
           include: {
@@ -266,44 +670,152 @@ class EventRepository {
   }
 
   /**
-   * Create assignment
+   * Get a volunteer's assignments for their calendar feed, with shift signups
+   * Declined and cancelled assignments, and those of cancelled events, are
+   * included so calendar apps show them as cancelled instead of dropping them.
    */
-  async createAssignment(assignmentData) {
-    // Update event volunteer count
-    await prisma.event.update({
-      where: { id: assignmentData.eventId },
-      data: {
-        currentVolunteers: {
-          increment: 1
+  async getCalendarAssignments(volunteerId, since) {
+    return await prisma.assignment.findMany({
+      where: {
+        volunteerId,
+        event: {
+          endDate: { gte: since },
+          ...organizationScope.where()
         }
-      }
-    });
-
-    return await prisma.assignment.create({
-      data: {
-        eventId: assignmentData.eventId,
-        volunteerId: assignmentData.volunteerId,
-        status: assignmentData.status ? assignmentData.status.toUpperCase() : 'PENDING',
-        matchScore: assignmentData.matchScore || 0,
-        notes: assignmentData.notes || null
       },
       include: {
         event: true,
-        volunteer: {
+        shiftSignups: {
           include: {
-            profile: true
+            shift: true,
+            position: true
           }
         }
+      },
+      orderBy: {
+        event: { startDate: 'asc' }
       }
     });
   }
 
+  /**
+   * Get events for a coordinator calendar feed
+   * @param {Object} filters - { eventId, category, since }
+   */
+  async findForCalendar({ eventId, category, since }) {
+    const where = {
+      endDate: { gte: since },
+      ...organizationScope.where()
+    };
+
+    if (eventId) {
+      where.id = eventId;
+    }
+
+    if (category) {
+      where.category = category;
+    }
+
+    return await prisma.event.findMany({
+      where,
+      include: {
+        shifts: {
+          orderBy: { startDate: 'asc' }
+        }
+      },
+      orderBy: { startDate: 'asc' }
+    });
+  }
+
+  /**
+   * Create an assignment and take a place on the event in one transaction
+   * The headcount is only incremented while it is below capacity, checked in
+   * the same UPDATE, so simultaneous signups cannot overfill the event. A
+   * cancelled or declined assignment is reactivated instead of duplicated.
+   * @param {Object} assignmentData - { eventId, volunteerId, status, matchScore, notes }
+   * @param {Object} [capacity] - { maxVolunteers, reserved } where reserved places
+   *   (e.g. held waitlist offers) are not available; omit to skip the check
+   * @returns {Promise<Object|null>} Assignment, or null if the event is full
+   */
+  async createAssignment(assignmentData, capacity) {
+    const { eventId, volunteerId } = assignmentData;
+    const data = {
+      status: assignmentData.status ? assignmentData.status.toUpperCase() : 'PENDING',
+      matchScore: assignmentData.matchScore || 0,
+      notes: assignmentData.notes || null
+    };
+    const include = {
+      event: true,
+      volunteer: {
+        include: {
+          profile: true
+        }
+      }
+    };
+
+    return await prisma.$transaction(async (tx) => {
+      const where = { id: eventId };
+      if (capacity) {
+        // Matching maxVolunteers too means a capacity edit in the meantime fails the claim rather than overfilling
+        where.maxVolunteers = capacity.maxVolunteers;
+        where.currentVolunteers = { lt: capacity.maxVolunteers - (capacity.reserved || 0) };
+      }
+
+      const { count } = await tx.event.updateMany({
+        where,
+        data: {
+          currentVolunteers: {
+            increment: 1
+          }
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const existing = await tx.assignment.findUnique({
+        where: {
+          eventId_volunteerId: { eventId, volunteerId }
+        }
+      });
+
+      if (!existing) {
+        return await tx.assignment.create({
+          data: { eventId, volunteerId, ...data },
+          include
+        });
+      }
+
+      // Only an inactive assignment can be reactivated; losing this race means the volunteer just joined
+      const reactivated = await tx.assignment.updateMany({
+        where: { id: existing.id, status: { in: INACTIVE_ASSIGNMENT_STATUSES } },
+        data: { ...data, updatedAt: new Date() }
+      });
+
+      if (reactivated.count === 0) {
+        throw new Error('Volunteer is already assigned to this event');
+      }
+
+      return await tx.assignment.findUnique({
+        where: { id: existing.id },
+        include
+      });
+    });
+  }
+
   /**
    * Update assignment status
+   * Cancelling or declining gives the volunteer's place back and reinstating
+   * takes one (if the event has room), in the same transaction as the status
+   * change. The update is conditional on the status read, so two requests
+   * cannot both release the same place.
+   * @returns {Promise<Object|null>} Updated assignment, or null if not found
    */
   async updateAssignmentStatus(assignmentId, status, notes = null) {
+    const newStatus = status.toUpperCase();
     const data = {
-      status: status.toUpperCase(),
+      status: newStatus,
       updatedAt: new Date()
     };
 
@@ -311,17 +823,54 @@ class EventRepository {
       data.notes = notes;
     }
 
-    if (status.toUpperCase() === 'CONFIRMED') {
+    if (newStatus === 'CONFIRMED') {
       data.confirmedAt = new Date();
     }
 
-    return await prisma.assignment.update({
-      where: { id: assignmentId },
-      data,
-      include: {
-        event: true,
-        volunteer: true
+    return await prisma.$transaction(async (tx) => {
+      const current = await tx.assignment.findUnique({
+        where: { id: assignmentId }
+      });
+
+      if (!current) {
+        return null;
       }
+
+      const { count } = await tx.assignment.updateMany({
+        where: { id: assignmentId, status: current.status },
+        data
+      });
+
+      if (count === 0) {
+        throw new Error('Assignment was changed by another request; please try again');
+      }
+
+      const wasActive = isActiveStatus(current.status);
+      const isActive = isActiveStatus(newStatus);
+
+      if (wasActive && !isActive) {
+        await tx.event.updateMany({
+          where: { id: current.eventId, currentVolunteers: { gt: 0 } },
+          data: { currentVolunteers: { decrement: 1 } }
+        });
+      } else if (!wasActive && isActive) {
+        const claimed = await tx.event.updateMany({
+          where: { id: current.eventId, currentVolunteers: { lt: prisma.event.fields.maxVolunteers } },
+          data: { currentVolunteers: { increment: 1 } }
+        });
+
+        if (claimed.count === 0) {
+          throw new Error('Event is at capacity');
+        }
+      }
+
+      return await tx.assignment.findUnique({
+        where: { id: assignmentId },
+        include: {
+          event: true,
+          volunteer: true
+        }
+      });
     });
   }
 
@@ -330,7 +879,7 @@ class EventRepository {
    */
   async findAssignmentById(assignmentId) {
     return await prisma.assignment.findUnique({
-      where: { id: assignmentId },
+      where: { id: assignmentId, ...organizationScope.eventWhere() },
       include: {
         event: true,
         volunteer: {
@@ -344,29 +893,80 @@ class EventRepository {
 
   /**
    * Delete assignment
+   * An active assignment gives its place back in the same transaction.
    */
   async deleteAssignment(assignmentId) {
-    const assignment = await prisma.assignment.findUnique({
-      where: { id: assignmentId }
+    return await prisma.$transaction(async (tx) => {
+      const assignment = await tx.assignment.findUnique({
+        where: { id: assignmentId }
+      });
+
+      if (!assignment) {
+        return null;
+      }
+
+      const deleted = await tx.assignment.delete({
+        where: { id: assignmentId }
+      });
+
+      if (isActiveStatus(assignment.status)) {
+        await tx.event.updateMany({
+          where: { id: assignment.eventId, currentVolunteers: { gt: 0 } },
+          data: { currentVolunteers: { decrement: 1 } }
+        });
+      }
+
+      return deleted;
     });
+  }
 
-    if (assignment) {
-      // Decrement event volunteer count
-      await prisma.event.update({
-        where: { id: assignment.eventId },
-        data: {
-          currentVolunteers: {
-            decrement: 1
-          }
+  /**
+   * Recompute every event's currentVolunteers from its active assignments
+   * Repairs counts that drifted, e.g. after a failed request or a manual
+   * database edit. Each event is fixed in its own transaction that first
+   * locks the event row: signups take that lock before inserting their
+   * assignment, so the count cannot miss a signup that is in flight.
+   * @returns {Promise<Object>} { checked, corrections: [{ id, title, previous, current }] }
+   */
+  async recountVolunteers() {
+    const events = await prisma.event.findMany({
+      where: organizationScope.where(),
+      select: { id: true, title: true },
+      orderBy: { startDate: 'asc' }
+    });
+
+    const corrections = [];
+
+    for (const event of events) {
+      const correction = await prisma.$transaction(async (tx) => {
+        const locked = await tx.event.update({
+          where: { id: event.id },
+          data: { currentVolunteers: { increment: 0 } },
+          select: { currentVolunteers: true }
+        });
+
+        const active = await tx.assignment.count({
+          where: { eventId: event.id, status: { notIn: INACTIVE_ASSIGNMENT_STATUSES } }
+        });
+
+        if (active === locked.currentVolunteers) {
+          return null;
         }
-      });
 
-      return await prisma.assignment.delete({
-        where: { id: assignmentId }
+        await tx.event.update({
+          where: { id: event.id },
+          data: { currentVolunteers: active }
+        });
+
+        return { id: event.id, title: event.title, previous: locked.currentVolunteers, current: active };
       });
+
+      if (correction) {
+        corrections.push(correction);
+      }
     }
 
-    return null;
+    return { checked: events.length, corrections };
   }
 
   /**
@@ -376,7 +976,8 @@ class EventRepository {
     // Get published events where currentVolunteers < maxVolunteers
     const events = await prisma.event.findMany({
       where: {
-        status: 'PUBLISHED'
+        status: 'PUBLISHED',
+        ...organizationScope.where()
       },
       include: {
         creator: {
@@ -402,13 +1003,14 @@ class EventRepository {
    * Get event statistics
    */
   async getEventStats() {
+    const scope = organizationScope.where();
     const [total, published, inProgress, completed, draft, cancelled] = await Promise.all([
-      prisma.event.count(),
-      prisma.event.count({ where: { status: 'PUBLISHED' } }),
-      prisma.event.count({ where: { status: 'IN_PROGRESS' } }),
-      prisma.event.count({ where: { status: 'COMPLETED' } }),
-      prisma.event.count({ where: { status: 'DRAFT' } }),
-      prisma.event.count({ where: { status: 'CANCELLED' } })
+      prisma.event.count({ where: scope }),
+      prisma.event.count({ where: { ...scope, status: 'PUBLISHED' } }),
+      prisma.event.count({ where: { ...scope, status: 'IN_PROGRESS' } }),
+      prisma.event.count({ where: { ...scope, status: 'COMPLETED' } }),
+      prisma.event.count({ where: { ...scope, status: 'DRAFT' } }),
+      prisma.event.count({ where: { ...scope, status: 'CANCELLED' } })
     ]);
 
     return {
@@ -423,6 +1025,152 @@ class EventRepository {
     };
   }
 
+  /**
+   * Get published events whose signups should close (they start before the cutoff)
+   * Used by the background scheduler, so not scoped to an organization
+   * @param {Date} startsBefore - Cutoff start time
+   */
+  async findDueToCloseSignups(startsBefore) {
+    return await prisma.event.findMany({
+      where: {
+        status: 'PUBLISHED',
+        signupsClosedAt: null,
+        startDate: { lte: startsBefore }
+      },
+      select: { id: true, title: true }
+    });
+  }
+
+  /**
+   * Close an event's signups unless they are already closed
+   * @returns {Promise<boolean>} True if this call closed them
+   */
+  async closeSignups(eventId) {
+    const { count } = await prisma.event.updateMany({
+      where: { id: eventId, signupsClosedAt: null },
+      data: { signupsClosedAt: new Date() }
+    });
+    return count === 1;
+  }
+
+  /**
+   * Get published events that have started
+   * Used by the background scheduler, so not scoped to an organization
+   * @param {Date} now - Current time
+   */
+  async findDueToStart(now) {
+    return await prisma.event.findMany({
+      where: {
+        status: 'PUBLISHED',
+        startDate: { lte: now }
+      },
+      select: { id: true, title: true }
+    });
+  }
+
+  /**
+   * Move a published event to IN_PROGRESS
+   * @returns {Promise<boolean>} True if the event was still published
+   */
+  async markInProgress(eventId) {
+    const { count } = await prisma.event.updateMany({
+      where: { id: eventId, status: 'PUBLISHED' },
+      data: { status: 'IN_PROGRESS' }
+    });
+    return count === 1;
+  }
+
+  /**
+   * Cancel an event and every active assignment on it
+   * The event is kept (with the reason) so it stays in volunteers' history.
+   * Runs in one transaction that only proceeds if the event was still open,
+   * so two cancel requests cannot both notify the volunteers.
+   * @param {string} eventId - Event ID
+   * @param {string} reason - Why the event was cancelled
+   * @returns {Promise<Object|null>} { event, assignments } with the assignments that
+   *   were cancelled, or null if the event was already cancelled or completed
+   */
+  async cancelEvent(eventId, reason) {
+    return await prisma.$transaction(async (tx) => {
+      const { count } = await tx.event.updateMany({
+        where: { id: eventId, status: { notIn: ['CANCELLED', 'COMPLETED'] }, ...organizationScope.where() },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: new Date(),
+          cancellationReason: reason,
+          currentVolunteers: 0
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const assignments = await tx.assignment.findMany({
+        where: { eventId, status: { notIn: INACTIVE_ASSIGNMENT_STATUSES } },
+        include: {
+          volunteer: {
+            select: {
+              id: true,
+              username: true,
+              email: true
+            }
+          }
+        }
+      });
+
+      await tx.assignment.updateMany({
+        where: { id: { in: assignments.map(assignment => assignment.id) } },
+        data: { status: 'CANCELLED' }
+      });
+
+      await tx.volunteerHistory.updateMany({
+        where: { eventId, status: { in: ['REGISTERED', 'CONFIRMED'] } },
+        data: { status: 'CANCELLED' }
+      });
+
+      // Nobody is waiting for a place on a cancelled event
+      await tx.waitlistEntry.deleteMany({
+        where: { eventId }
+      });
+
+      const event = await tx.event.findUnique({
+        where: { id: eventId },
+        include: {
+          creator: {
+            select: {
+              id: true,
+              username: true,
+              email: true
+            }
+          },
+          requirements: {
+            include: {
+              skill: true
+            }
+          }
+        }
+      });
+
+      return { event, assignments };
+    });
+  }
+
+  /**
+   * Get running events that ended before the given time
+   * Used by the background scheduler, so not scoped to an organization
+   * @param {Date} endedBefore - Latest end time
+   */
+  async findDueToFinalize(endedBefore) {
+    return await prisma.event.findMany({
+      where: {
+        status: { in: ['PUBLISHED', 'IN_PROGRESS'] },
+        endDate: { lte: endedBefore }
+      },
+      select: { id: true, title: true }
+    });
+  }
+
   /**
    * Assign volunteer to event (alias for createAssignment)
    */
@@ -473,7 +1221,7 @@ class EventRepository {
    * Count events with optional filters
    */
   async count(filters = {}) {
-    const where = {};
+    const where = { ...organizationScope.where() };
 
     if (filters.status) {
       where.status = filters.status.toUpperCase();
@@ -499,7 +1247,8 @@ class EventRepository {
         startDate: {
           gte: new Date(startDate),
           lte: new Date(endDate)
-        }
+        },
+        ...organizationScope.where()
       },
       include: {
         creator: {
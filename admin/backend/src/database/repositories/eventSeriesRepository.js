@@ -0,0 +1,92 @@
+/**
+ * Event Series Repository
+ * Handles database operations for recurring event series
+ */
+
+const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
+
+class EventSeriesRepository {
+  /**
+   * Create a series together with an event for each occurrence
+   * Runs in one transaction so a series is never left half created
+   * @param {Object} seriesData - Recurrence rule, organizationId and createdBy
+   * @param {Object} eventData - Fields shared by every occurrence
+   * @param {Array<{startDate: Date, endDate: Date}>} occurrences - Occurrence dates
+   * @returns {Promise<Object>} { series, events }
+   */
+  async createWithOccurrences(seriesData, eventData, occurrences) {
+    const { requiredSkills = [], ...fields } = eventData;
+
+    return await prisma.$transaction(async (tx) => {
+      const series = await tx.eventSeries.create({
+        data: seriesData
+      });
+
+      const events = [];
+      for (const [index, occurrence] of occurrences.entries()) {
+        events.push(await tx.event.create({
+          data: {
+            ...fields,
+            startDate: occurrence.startDate,
+            endDate: occurrence.endDate,
+            seriesId: series.id,
+            seriesIndex: index,
+            status: fields.status ? fields.status.toUpperCase() : 'DRAFT',
+            urgencyLevel: fields.urgencyLevel ? fields.urgencyLevel.toUpperCase() : 'MEDIUM',
+            requirements: {
+              create: requiredSkills.map(skill => ({
+                skillId: skill.skillId,
+                minLevel: skill.minLevel.toUpperCase(),
+                isRequired: skill.isRequired !== false
+              }))
+            }
+          },
+          include: {
+            creator: true,
+            requirements: {
+              include: {
+                skill: true
+              }
+            }
+          }
+        }));
+      }
+
+      return { series, events };
+    });
+  }
+
+  /**
+   * Find a series in one of the caller's organizations
+   */
+  async findById(seriesId) {
+    return await prisma.eventSeries.findFirst({
+      where: { id: seriesId, ...organizationScope.where() }
+    });
+  }
+
+  /**
+   * Get the occurrences of a series in order, optionally from an index on
+   */
+  async findOccurrences(seriesId, fromIndex = 0) {
+    return await prisma.event.findMany({
+      where: {
+        seriesId,
+        seriesIndex: { gte: fromIndex },
+        ...organizationScope.where(),
+        ...organizationScope.publicEventWhere()
+      },
+      include: {
+        requirements: {
+          include: {
+            skill: true
+          }
+        }
+      },
+      orderBy: { seriesIndex: 'asc' }
+    });
+  }
+}
+
+module.exports = new EventSeriesRepository();
@@ -0,0 +1,118 @@
+/**
+ * Event Template Repository
+ * Handles database operations for reusable event templates
+ */
+
+const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
+
+const templateInclude = {
+  requirements: {
+    include: {
+      skill: true
+    }
+  },
+  creator: {
+    select: {
+      id: true,
+      username: true
+    }
+  }
+};
+
+const toRequirements = (requiredSkills) => requiredSkills.map(skill => ({
+  skillId: skill.skillId,
+  minLevel: skill.minLevel.toUpperCase(),
+  isRequired: skill.isRequired !== false
+}));
+
+class EventTemplateRepository {
+  /**
+   * Get the templates of the caller's organizations, by name
+   */
+  async findAll() {
+    return await prisma.eventTemplate.findMany({
+      where: organizationScope.where(),
+      include: templateInclude,
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  /**
+   * Find a template in one of the caller's organizations
+   */
+  async findById(templateId) {
+    return await prisma.eventTemplate.findFirst({
+      where: { id: templateId, ...organizationScope.where() },
+      include: templateInclude
+    });
+  }
+
+  /**
+   * Find an organization's template by name
+   */
+  async findByName(organizationId, name) {
+    return await prisma.eventTemplate.findUnique({
+      where: {
+        organizationId_name: { organizationId, name }
+      }
+    });
+  }
+
+  /**
+   * Create a template with its required skills
+   */
+  async create(templateData) {
+    const { requiredSkills = [], ...fields } = templateData;
+
+    return await prisma.eventTemplate.create({
+      data: {
+        ...fields,
+        urgencyLevel: fields.urgencyLevel ? fields.urgencyLevel.toUpperCase() : 'MEDIUM',
+        requirements: {
+          create: toRequirements(requiredSkills)
+        }
+      },
+      include: templateInclude
+    });
+  }
+
+  /**
+   * Update a template
+   * Required skills, when given, replace the existing ones in the same transaction.
+   */
+  async update(templateId, updateData) {
+    const { requiredSkills, ...data } = updateData;
+    if (data.urgencyLevel) {
+      data.urgencyLevel = data.urgencyLevel.toUpperCase();
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      if (requiredSkills) {
+        await tx.eventTemplateRequirement.deleteMany({
+          where: { templateId }
+        });
+        data.requirements = {
+          create: toRequirements(requiredSkills)
+        };
+      }
+
+      return await tx.eventTemplate.update({
+        where: { id: templateId, ...organizationScope.where() },
+        data,
+        include: templateInclude
+      });
+    });
+  }
+
+  /**
+   * Delete a template; events created from it are unaffected
+   */
+  async delete(templateId) {
+    return await prisma.eventTemplate.delete({
+      where: { id: templateId, ...organizationScope.where() }
+    });
+  }
+}
+
+module.exports = new EventTemplateRepository();
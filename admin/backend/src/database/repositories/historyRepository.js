@@ -4,13 +4,14 @@
  */
 
 const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
 
 class HistoryRepository {
   /**
    * Get all history records
    */
   async findAll(filters = {}) {
-    const where = {};
+    const where = { ...organizationScope.eventWhere() };
 
     if (filters.status) {
       where.status = filters.status.toUpperCase();
@@ -58,7 +59,7 @@ class HistoryRepository {
    * Get volunteer history
    */
   async getVolunteerHistory(volunteerId, filters = {}) {
-    const where = { volunteerId };
+    const where = { volunteerId, ...organizationScope.eventWhere() };
 
     if (filters.status) {
       where.status = filters.status.toUpperCase();
@@ -111,7 +112,7 @@ class HistoryRepository {
    */
   async getEventHistory(eventId) {
     return await prisma.volunteerHistory.findMany({
-      where: { eventId },
+      where: { eventId, ...organizationScope.eventWhere() },
       include: {
         volunteer: {
           select: {
@@ -141,7 +142,7 @@ class HistoryRepository {
    */
   async findById(historyId) {
     return await prisma.volunteerHistory.findUnique({
-      where: { id: historyId },
+      where: { id: historyId, ...organizationScope.eventWhere() },
       include: {
         volunteer: {
           select: {
@@ -209,7 +210,7 @@ class HistoryRepository {
     }
 
     return await prisma.volunteerHistory.update({
-      where: { id: historyId },
+      where: { id: historyId, ...organizationScope.eventWhere() },
       data,
       include: {
         volunteer: {
@@ -230,7 +231,7 @@ class HistoryRepository {
    */
   async delete(historyId) {
     return await prisma.volunteerHistory.delete({
-      where: { id: historyId }
+      where: { id: historyId, ...organizationScope.eventWhere() }
     });
   }
 
@@ -239,7 +240,7 @@ class HistoryRepository {
    */
   async getVolunteerStats(volunteerId) {
     const history = await prisma.volunteerHistory.findMany({
-      where: { volunteerId }
+      where: { volunteerId, ...organizationScope.eventWhere() }
     });
 
     const completed = history.filter(h => h.status === 'COMPLETED');
@@ -266,7 +267,7 @@ class HistoryRepository {
    */
   async getAllVolunteerStats() {
     const volunteers = await prisma.user.findMany({
-      where: { role: 'VOLUNTEER' },
+      where: { role: 'VOLUNTEER', ...organizationScope.userWhere() },
       select: {
         id: true,
         username: true,
@@ -299,7 +300,8 @@ class HistoryRepository {
         volunteerId,
         participationDate: {
           gte: startDate
-        }
+        },
+        ...organizationScope.eventWhere()
       },
       orderBy: {
         participationDate: 'asc'
@@ -356,7 +358,7 @@ class HistoryRepository {
    * Count history records with optional filters
    */
   async count(filters = {}) {
-    const where = {};
+    const where = { ...organizationScope.eventWhere() };
 
     if (filters.volunteerId) {
       where.volunteerId = filters.volunteerId;
@@ -378,7 +380,7 @@ class HistoryRepository {
    */
   async getTotalHours(volunteerId) {
     const records = await prisma.volunteerHistory.findMany({
-      where: { volunteerId, status: 'COMPLETED' },
+      where: { volunteerId, status: 'COMPLETED', ...organizationScope.eventWhere() },
       select: { hoursWorked: true }
     });
 
@@ -394,7 +396,8 @@ class HistoryRepository {
     const records = await prisma.volunteerHistory.findMany({
       where: {
         volunteerId,
-        performanceRating: { not: null }
+        performanceRating: { not: null },
+        ...organizationScope.eventWhere()
       },
       select: { performanceRating: true }
     });
@@ -416,7 +419,8 @@ class HistoryRepository {
       participationDate: {
         gte: new Date(startDate),
         lte: new Date(endDate)
-      }
+      },
+      ...organizationScope.eventWhere()
     };
 
     if (volunteerId) {
@@ -454,7 +458,8 @@ class HistoryRepository {
     return await prisma.volunteerHistory.count({
       where: {
         volunteerId,
-        status: 'COMPLETED'
+        status: 'COMPLETED',
+        ...organizationScope.eventWhere()
       }
     });
   }
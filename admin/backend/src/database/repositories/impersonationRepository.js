@@ -0,0 +1,94 @@
+/**
+ * Impersonation Repository
+ * Handles database operations for admin impersonation sessions
+ */
+
+const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
+
+const PARTICIPANT_SELECT = {
+  select: {
+    id: true,
+    username: true,
+    email: true
+  }
+};
+
+class ImpersonationRepository {
+  /**
+   * Create an impersonation session
+   */
+  async create(sessionData) {
+    return await prisma.impersonationSession.create({
+      data: {
+        adminId: sessionData.adminId,
+        targetUserId: sessionData.targetUserId,
+        reason: sessionData.reason,
+        readOnly: sessionData.readOnly,
+        expiresAt: sessionData.expiresAt
+      }
+    });
+  }
+
+  /**
+   * Find a session by ID regardless of state
+   */
+  async findById(impersonationId) {
+    return await prisma.impersonationSession.findUnique({
+      where: { id: impersonationId },
+      include: {
+        admin: PARTICIPANT_SELECT,
+        targetUser: PARTICIPANT_SELECT
+      }
+    });
+  }
+
+  /**
+   * Get sessions, newest first
+   * Limited to sessions whose target user the caller can see
+   */
+  async findAll(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const userWhere = organizationScope.userWhere();
+    const where = {
+      ...(filters.adminId && { adminId: filters.adminId }),
+      ...(filters.targetUserId && { targetUserId: filters.targetUserId }),
+      ...(Object.keys(userWhere).length > 0 && { targetUser: userWhere })
+    };
+
+    const [sessions, total] = await Promise.all([
+      prisma.impersonationSession.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          admin: PARTICIPANT_SELECT,
+          targetUser: PARTICIPANT_SELECT
+        }
+      }),
+      prisma.impersonationSession.count({ where })
+    ]);
+
+    return { sessions, total };
+  }
+
+  /**
+   * End a session that is still open
+   */
+  async end(impersonationId) {
+    const result = await prisma.impersonationSession.updateMany({
+      where: {
+        id: impersonationId,
+        endedAt: null
+      },
+      data: { endedAt: new Date() }
+    });
+
+    return result.count > 0;
+  }
+}
+
+module.exports = new ImpersonationRepository();
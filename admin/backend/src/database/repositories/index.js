@@ -8,5 +8,23 @@ module.exports = {
   skillRepository: require('./skillRepository'),
   eventRepository: require('./eventRepository'),
   historyRepository: require('./historyRepository'),
-  notificationRepository: require('./notificationRepository')
+  notificationRepository: require('./notificationRepository'),
+  passwordResetRepository: require('./passwordResetRepository'),
+  refreshTokenRepository: require('./refreshTokenRepository'),
+  sessionRepository: require('./sessionRepository'),
+  oauthIdentityRepository: require('./oauthIdentityRepository'),
+  oauthLinkRequestRepository: require('./oauthLinkRequestRepository'),
+  impersonationRepository: require('./impersonationRepository'),
+  auditLogRepository: require('./auditLogRepository'),
+  accountRepository: require('./accountRepository'),
+  invitationRepository: require('./invitationRepository'),
+  twoFactorRepository: require('./twoFactorRepository'),
+  organizationRepository: require('./organizationRepository'),
+  personalAccessTokenRepository: require('./personalAccessTokenRepository'),
+  eventManagerRepository: require('./eventManagerRepository'),
+  eventSeriesRepository: require('./eventSeriesRepository'),
+  shiftRepository: require('./shiftRepository'),
+  waitlistRepository: require('./waitlistRepository'),
+  jobLockRepository: require('./jobLockRepository'),
+  eventTemplateRepository: require('./eventTemplateRepository')
 };
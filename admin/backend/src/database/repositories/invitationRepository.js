@@ -0,0 +1,176 @@
+/**
+ * Invitation Repository
+ * Handles database operations for admin invitations
+ */
+
+const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
+
+const INVITATION_INCLUDE = {
+  organization: {
+    select: { id: true, name: true, slug: true }
+  },
+  inviter: {
+    select: { id: true, username: true }
+  }
+};
+
+class InvitationRepository {
+  /**
+   * Create an invitation
+   */
+  async create(invitationData) {
+    return await prisma.invitation.create({
+      data: {
+        id: invitationData.id,
+        email: invitationData.email,
+        role: invitationData.role,
+        organizationId: invitationData.organizationId,
+        invitedBy: invitationData.invitedBy,
+        tokenHash: invitationData.tokenHash,
+        profileData: invitationData.profileData,
+        expiresAt: invitationData.expiresAt
+      },
+      include: INVITATION_INCLUDE
+    });
+  }
+
+  /**
+   * Find an invitation in one of the caller's organizations
+   */
+  async findById(invitationId) {
+    return await prisma.invitation.findFirst({
+      where: { id: invitationId, ...organizationScope.where() },
+      include: INVITATION_INCLUDE
+    });
+  }
+
+  /**
+   * Find an invitation by the hash of its token
+   * Used by the invitee, who has no organization scope yet
+   */
+  async findByTokenHash(tokenHash) {
+    return await prisma.invitation.findUnique({
+      where: { tokenHash },
+      include: INVITATION_INCLUDE
+    });
+  }
+
+  /**
+   * Find a pending invitation for an email in an organization
+   */
+  async findPendingByEmail(email, organizationId) {
+    return await prisma.invitation.findFirst({
+      where: {
+        email,
+        organizationId,
+        status: 'PENDING',
+        expiresAt: { gt: new Date() }
+      }
+    });
+  }
+
+  /**
+   * Get invitations in the caller's organizations, newest first
+   */
+  async findAll(filters = {}) {
+    return await prisma.invitation.findMany({
+      where: {
+        ...organizationScope.where(),
+        ...(filters.status && { status: filters.status })
+      },
+      include: INVITATION_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Mark pending invitations past their expiry as expired
+   */
+  async expireStale() {
+    return await prisma.invitation.updateMany({
+      where: {
+        status: 'PENDING',
+        expiresAt: { lte: new Date() }
+      },
+      data: { status: 'EXPIRED' }
+    });
+  }
+
+  /**
+   * Issue a new token for an invitation and send it again
+   */
+  async renew(invitationId, tokenHash, expiresAt) {
+    return await prisma.invitation.update({
+      where: { id: invitationId, ...organizationScope.where() },
+      data: {
+        tokenHash,
+        expiresAt,
+        status: 'PENDING',
+        sentAt: new Date(),
+        sendCount: { increment: 1 }
+      },
+      include: INVITATION_INCLUDE
+    });
+  }
+
+  /**
+   * Revoke an invitation that has not been accepted
+   */
+  async revoke(invitationId) {
+    const result = await prisma.invitation.updateMany({
+      where: {
+        id: invitationId,
+        status: { in: ['PENDING', 'EXPIRED'] },
+        ...organizationScope.where()
+      },
+      data: { status: 'REVOKED' }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Claim a pending invitation for acceptance
+   * Only succeeds once, so concurrent requests cannot both accept it
+   */
+  async claim(invitationId) {
+    const result = await prisma.invitation.updateMany({
+      where: {
+        id: invitationId,
+        status: 'PENDING'
+      },
+      data: {
+        status: 'ACCEPTED',
+        acceptedAt: new Date()
+      }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Record the account created from an accepted invitation
+   */
+  async setAcceptedUser(invitationId, userId) {
+    return await prisma.invitation.update({
+      where: { id: invitationId },
+      data: { acceptedUserId: userId }
+    });
+  }
+
+  /**
+   * Put a claimed invitation back if creating the account failed
+   */
+  async releaseClaim(invitationId) {
+    return await prisma.invitation.update({
+      where: { id: invitationId },
+      data: {
+        status: 'PENDING',
+        acceptedAt: null
+      }
+    });
+  }
+}
+
+module.exports = new InvitationRepository();
@@ -0,0 +1,62 @@
+/**
+ * Job Lock Repository
+ * Handles database operations for background job claims
+ *
+ * One row per job. An instance may run the job while it holds the row, i.e.
+ * between claiming it and lockedUntil; claims are single conditional writes,
+ * so two instances can never hold the same job at once.
+ */
+
+const prisma = require('../prisma');
+
+class JobLockRepository {
+  /**
+   * Claim a job if nobody else holds it
+   * @param {string} name - Job name
+   * @param {string} owner - Instance claiming the job
+   * @param {Date} lockedUntil - When the claim lapses if it is not released
+   * @returns {Promise<boolean>} True if the claim was taken
+   */
+  async acquire(name, owner, lockedUntil) {
+    // First run of a job anywhere: create its row
+    const created = await prisma.jobLock.createMany({
+      data: [{ name, lockedBy: owner, lockedUntil }],
+      skipDuplicates: true
+    });
+
+    if (created.count === 1) {
+      return true;
+    }
+
+    const taken = await prisma.jobLock.updateMany({
+      where: {
+        name,
+        lockedUntil: { lte: new Date() }
+      },
+      data: {
+        lockedBy: owner,
+        lockedUntil
+      }
+    });
+
+    return taken.count === 1;
+  }
+
+  /**
+   * Finish a run, keeping other instances off the job until lockedUntil
+   * @param {string} name - Job name
+   * @param {string} owner - Instance that holds the job
+   * @param {Date} lockedUntil - When the job may next be claimed
+   */
+  async release(name, owner, lockedUntil) {
+    return await prisma.jobLock.updateMany({
+      where: { name, lockedBy: owner },
+      data: {
+        lockedUntil,
+        lastRunAt: new Date()
+      }
+    });
+  }
+}
+
+module.exports = new JobLockRepository();
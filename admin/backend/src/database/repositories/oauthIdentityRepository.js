@@ -0,0 +1,68 @@
+/**
+ * OAuth Identity Repository
+ * Handles database operations for OAuth provider accounts linked to users
+ */
+
+const prisma = require('../prisma');
+
+class OAuthIdentityRepository {
+  /**
+   * Find the identity for a provider account, with its user
+   */
+  async findByProviderAccount(provider, providerUserId) {
+    return await prisma.oAuthIdentity.findUnique({
+      where: {
+        provider_providerUserId: { provider, providerUserId }
+      },
+      include: { user: true }
+    });
+  }
+
+  /**
+   * Get the identities linked to a user
+   */
+  async findByUser(userId) {
+    return await prisma.oAuthIdentity.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Link a provider account to a user
+   */
+  async create(identityData) {
+    return await prisma.oAuthIdentity.create({
+      data: {
+        userId: identityData.userId,
+        provider: identityData.provider,
+        providerUserId: identityData.providerUserId,
+        email: identityData.email,
+        displayName: identityData.displayName
+      }
+    });
+  }
+
+  /**
+   * Record a sign-in with an identity
+   */
+  async touch(identityId) {
+    return await prisma.oAuthIdentity.update({
+      where: { id: identityId },
+      data: { lastUsedAt: new Date() }
+    });
+  }
+
+  /**
+   * Unlink one of a user's identities
+   */
+  async delete(identityId, userId) {
+    const result = await prisma.oAuthIdentity.deleteMany({
+      where: { id: identityId, userId }
+    });
+
+    return result.count > 0;
+  }
+}
+
+module.exports = new OAuthIdentityRepository();
@@ -0,0 +1,50 @@
+/**
+ * OAuth Link Request Repository
+ * Handles database operations for pending OAuth link flows
+ */
+
+const prisma = require('../prisma');
+
+class OAuthLinkRequestRepository {
+  /**
+   * Start a link flow, replacing any the user left unfinished
+   */
+  async replaceForUser(requestData) {
+    return await prisma.$transaction([
+      prisma.oAuthLinkRequest.deleteMany({
+        where: { userId: requestData.userId }
+      }),
+      prisma.oAuthLinkRequest.create({
+        data: {
+          userId: requestData.userId,
+          provider: requestData.provider,
+          tokenHash: requestData.tokenHash,
+          expiresAt: requestData.expiresAt
+        }
+      })
+    ]);
+  }
+
+  /**
+   * Redeem a link request by its token hash
+   * The request is deleted, so concurrent callbacks cannot both use it
+   * @returns {Promise<Object|null>} The request, or null if unknown or already used
+   */
+  async consume(tokenHash) {
+    const request = await prisma.oAuthLinkRequest.findUnique({
+      where: { tokenHash }
+    });
+
+    if (!request) {
+      return null;
+    }
+
+    const { count } = await prisma.oAuthLinkRequest.deleteMany({
+      where: { id: request.id }
+    });
+
+    return count > 0 ? request : null;
+  }
+}
+
+module.exports = new OAuthLinkRequestRepository();
@@ -0,0 +1,148 @@
+/**
+ * Organization Repository
+ * Handles database operations for organizations and their members
+ */
+
+const prisma = require('../prisma');
+
+const MEMBER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  role: true
+};
+
+class OrganizationRepository {
+  /**
+   * Get organizations, optionally limited to a set of IDs
+   * @param {Array<string>|null} ids - Organization IDs, or null for all
+   */
+  async findAll(ids = null) {
+    return await prisma.organization.findMany({
+      where: ids === null ? {} : { id: { in: ids } },
+      include: {
+        _count: { select: { members: true, events: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  /**
+   * Find organization by ID
+   */
+  async findById(id) {
+    return await prisma.organization.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Find organization by slug
+   */
+  async findBySlug(slug) {
+    return await prisma.organization.findUnique({
+      where: { slug }
+    });
+  }
+
+  /**
+   * Create organization
+   */
+  async create(organizationData) {
+    return await prisma.organization.create({
+      data: organizationData
+    });
+  }
+
+  /**
+   * Update organization
+   */
+  async update(id, organizationData) {
+    return await prisma.organization.update({
+      where: { id },
+      data: organizationData
+    });
+  }
+
+  /**
+   * Get the organizations a user belongs to
+   */
+  async findMembershipsByUser(userId) {
+    return await prisma.organizationMember.findMany({
+      where: { userId },
+      include: {
+        organization: {
+          select: { id: true, name: true, slug: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Get members of an organization
+   */
+  async findMembers(organizationId) {
+    return await prisma.organizationMember.findMany({
+      where: { organizationId },
+      include: {
+        user: { select: MEMBER_SELECT }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Whether a user belongs to an organization
+   */
+  async isMember(organizationId, userId) {
+    const count = await prisma.organizationMember.count({
+      where: { organizationId, userId }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Add a user to an organization (no-op if already a member)
+   */
+  async addMember(organizationId, userId) {
+    return await prisma.organizationMember.upsert({
+      where: {
+        organizationId_userId: { organizationId, userId }
+      },
+      update: {},
+      create: { organizationId, userId },
+      include: {
+        user: { select: MEMBER_SELECT }
+      }
+    });
+  }
+
+  /**
+   * Remove a user from an organization
+   */
+  async removeMember(organizationId, userId) {
+    const result = await prisma.organizationMember.deleteMany({
+      where: { organizationId, userId }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Whether any of the user's organizations requires admins to use 2FA
+   */
+  async requiresAdminTwoFactor(userId) {
+    const count = await prisma.organizationMember.count({
+      where: {
+        userId,
+        organization: { requireAdminTwoFactor: true }
+      }
+    });
+
+    return count > 0;
+  }
+}
+
+module.exports = new OrganizationRepository();
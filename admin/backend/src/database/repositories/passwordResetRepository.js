@@ -0,0 +1,75 @@
+/**
+ * Password Reset Repository
+ * Handles all database operations for password reset tokens
+ */
+
+const prisma = require('../prisma');
+
+class PasswordResetRepository {
+  /**
+   * Create a new reset token record
+   */
+  async create(tokenData) {
+    return await prisma.passwordResetToken.create({
+      data: {
+        userId: tokenData.userId,
+        tokenHash: tokenData.tokenHash,
+        expiresAt: tokenData.expiresAt
+      }
+    });
+  }
+
+  /**
+   * Find an unused, unexpired token by its hash
+   */
+  async findValidByHash(tokenHash) {
+    return await prisma.passwordResetToken.findFirst({
+      where: {
+        tokenHash,
+        usedAt: null,
+        expiresAt: {
+          gt: new Date()
+        }
+      },
+      include: {
+        user: true
+      }
+    });
+  }
+
+  /**
+   * Mark a token as used
+   * Only succeeds if the token has not been used yet, so a token
+   * cannot be redeemed twice by concurrent requests
+   */
+  async markUsed(tokenId) {
+    const result = await prisma.passwordResetToken.updateMany({
+      where: {
+        id: tokenId,
+        usedAt: null
+      },
+      data: {
+        usedAt: new Date()
+      }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Invalidate all outstanding tokens for a user
+   */
+  async invalidateForUser(userId) {
+    return await prisma.passwordResetToken.updateMany({
+      where: {
+        userId,
+        usedAt: null
+      },
+      data: {
+        usedAt: new Date()
+      }
+    });
+  }
+}
+
+module.exports = new PasswordResetRepository();
@@ -0,0 +1,89 @@
+/**
+ * Personal Access Token Repository
+ * Handles database operations for user-created API tokens
+ */
+
+const prisma = require('../prisma');
+
+// Never hand the hash back to callers listing tokens
+const TOKEN_SELECT = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+class PersonalAccessTokenRepository {
+  /**
+   * Create a token record
+   */
+  async create(tokenData) {
+    return await prisma.personalAccessToken.create({
+      data: {
+        userId: tokenData.userId,
+        name: tokenData.name,
+        tokenPrefix: tokenData.tokenPrefix,
+        tokenHash: tokenData.tokenHash,
+        scopes: tokenData.scopes,
+        expiresAt: tokenData.expiresAt
+      },
+      select: TOKEN_SELECT
+    });
+  }
+
+  /**
+   * Find a token by its hash, with its owner
+   */
+  async findByHash(tokenHash) {
+    return await prisma.personalAccessToken.findUnique({
+      where: { tokenHash },
+      include: { user: true }
+    });
+  }
+
+  /**
+   * Get a user's tokens that have not been revoked
+   */
+  async findByUser(userId) {
+    return await prisma.personalAccessToken.findMany({
+      where: { userId, revokedAt: null },
+      select: TOKEN_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   */
+  async revoke(tokenId, userId) {
+    const result = await prisma.personalAccessToken.updateMany({
+      where: { id: tokenId, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Record use of a token
+   * Skips the write if the token was already marked as used recently
+   */
+  async touch(tokenId, since) {
+    return await prisma.personalAccessToken.updateMany({
+      where: {
+        id: tokenId,
+        OR: [
+          { lastUsedAt: null },
+          { lastUsedAt: { lt: since } }
+        ]
+      },
+      data: { lastUsedAt: new Date() }
+    });
+  }
+}
+
+module.exports = new PersonalAccessTokenRepository();
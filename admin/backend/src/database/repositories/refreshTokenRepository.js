@@ -0,0 +1,83 @@
+/**
+ * Refresh Token Repository
+ * Handles all database operations for refresh tokens and token families
+ */
+
+const prisma = require('../prisma');
+
+class RefreshTokenRepository {
+  /**
+   * Create a new refresh token record
+   */
+  async create(tokenData) {
+    return await prisma.refreshToken.create({
+      data: {
+        userId: tokenData.userId,
+        familyId: tokenData.familyId,
+        tokenHash: tokenData.tokenHash,
+        expiresAt: tokenData.expiresAt
+      }
+    });
+  }
+
+  /**
+   * Find a token by its hash regardless of state
+   */
+  async findByHash(tokenHash) {
+    return await prisma.refreshToken.findUnique({
+      where: { tokenHash }
+    });
+  }
+
+  /**
+   * Mark a token as rotated
+   * Only succeeds if the token is still active, so two concurrent
+   * refreshes cannot both rotate the same token
+   */
+  async markUsed(tokenId) {
+    const result = await prisma.refreshToken.updateMany({
+      where: {
+        id: tokenId,
+        usedAt: null,
+        revokedAt: null
+      },
+      data: {
+        usedAt: new Date()
+      }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Revoke every token in a family
+   */
+  async revokeFamily(familyId) {
+    return await prisma.refreshToken.updateMany({
+      where: {
+        familyId,
+        revokedAt: null
+      },
+      data: {
+        revokedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Revoke every token belonging to a user
+   */
+  async revokeAllForUser(userId) {
+    return await prisma.refreshToken.updateMany({
+      where: {
+        userId,
+        revokedAt: null
+      },
+      data: {
+        revokedAt: new Date()
+      }
+    });
+  }
+}
+
+module.exports = new RefreshTokenRepository();
@@ -0,0 +1,101 @@
+/**
+ * Session Repository
+ * Handles database operations for login sessions
+ */
+
+const prisma = require('../prisma');
+
+class SessionRepository {
+  /**
+   * Create a session record
+   */
+  async create(sessionData) {
+    return await prisma.session.create({
+      data: {
+        id: sessionData.id,
+        userId: sessionData.userId,
+        userAgent: sessionData.userAgent,
+        ipAddress: sessionData.ipAddress,
+        expiresAt: sessionData.expiresAt
+      }
+    });
+  }
+
+  /**
+   * Find a session by ID regardless of state
+   */
+  async findById(sessionId) {
+    return await prisma.session.findUnique({
+      where: { id: sessionId }
+    });
+  }
+
+  /**
+   * Get a user's sessions that are still signed in, most recently used first
+   */
+  async findActiveByUser(userId) {
+    return await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { lastSeenAt: 'desc' }
+    });
+  }
+
+  /**
+   * Record activity on a session
+   */
+  async touch(sessionId) {
+    return await prisma.session.update({
+      where: { id: sessionId },
+      data: { lastSeenAt: new Date() }
+    });
+  }
+
+  /**
+   * Push back the expiry when the session's refresh token rotates
+   * Families issued before sessions were tracked have no row to update
+   */
+  async extend(sessionId, expiresAt) {
+    return await prisma.session.updateMany({
+      where: { id: sessionId },
+      data: {
+        lastSeenAt: new Date(),
+        expiresAt
+      }
+    });
+  }
+
+  /**
+   * Revoke a session, optionally only if it belongs to the given user
+   */
+  async revoke(sessionId, userId) {
+    const result = await prisma.session.updateMany({
+      where: {
+        id: sessionId,
+        ...(userId && { userId }),
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Revoke every session belonging to a user
+   */
+  async revokeAllForUser(userId) {
+    return await prisma.session.updateMany({
+      where: {
+        userId,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+  }
+}
+
+module.exports = new SessionRepository();
@@ -0,0 +1,262 @@
+/**
+ * Shift Repository
+ * Handles database operations for event shifts, their positions and signups
+ */
+
+const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
+
+const positionInclude = {
+  skill: true
+};
+
+const shiftInclude = {
+  positions: {
+    include: positionInclude,
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+class ShiftRepository {
+  /**
+   * Get the shifts of an event in time order, with their positions
+   */
+  async findByEvent(eventId) {
+    return await prisma.eventShift.findMany({
+      where: { eventId, ...organizationScope.eventWhere() },
+      include: shiftInclude,
+      orderBy: { startDate: 'asc' }
+    });
+  }
+
+  /**
+   * Find a shift of an event
+   */
+  async findById(eventId, shiftId) {
+    return await prisma.eventShift.findFirst({
+      where: { id: shiftId, eventId, ...organizationScope.eventWhere() },
+      include: shiftInclude
+    });
+  }
+
+  /**
+   * Find a position of an event, with its shift
+   */
+  async findPosition(eventId, positionId) {
+    return await prisma.shiftPosition.findFirst({
+      where: {
+        id: positionId,
+        shift: { eventId, ...organizationScope.eventWhere() }
+      },
+      include: {
+        ...positionInclude,
+        shift: true
+      }
+    });
+  }
+
+  /**
+   * Count the shifts of an event
+   */
+  async countByEvent(eventId) {
+    return await prisma.eventShift.count({
+      where: { eventId }
+    });
+  }
+
+  /**
+   * Create a shift with its positions
+   * @param {string} eventId - Event ID
+   * @param {Object} shiftData - { name, startDate, endDate }
+   * @param {Array<Object>} positions - { name, capacity, skillId, minLevel }
+   */
+  async create(eventId, shiftData, positions) {
+    return await prisma.eventShift.create({
+      data: {
+        ...shiftData,
+        eventId,
+        positions: {
+          create: positions.map(position => this.positionData(position))
+        }
+      },
+      include: shiftInclude
+    });
+  }
+
+  /**
+   * Update a shift and add, change or remove its positions in one transaction
+   * @param {string} shiftId - Shift ID
+   * @param {Object} shiftData - Shift fields to change
+   * @param {Object} positions - { create: [], update: [{ id, ...fields }], remove: [ids] }
+   */
+  async update(shiftId, shiftData, positions = {}) {
+    const { create = [], update = [], remove = [] } = positions;
+
+    return await prisma.$transaction(async (tx) => {
+      if (remove.length > 0) {
+        await tx.shiftPosition.deleteMany({
+          where: { id: { in: remove }, shiftId }
+        });
+      }
+
+      for (const { id, ...position } of update) {
+        await tx.shiftPosition.update({
+          where: { id, shiftId },
+          data: this.positionData(position)
+        });
+      }
+
+      if (create.length > 0) {
+        await tx.shiftPosition.createMany({
+          data: create.map(position => ({ ...this.positionData(position), shiftId }))
+        });
+      }
+
+      return await tx.eventShift.update({
+        where: { id: shiftId, ...organizationScope.eventWhere() },
+        data: shiftData,
+        include: shiftInclude
+      });
+    });
+  }
+
+  /**
+   * Delete a shift (positions and signups cascade)
+   */
+  async delete(shiftId) {
+    return await prisma.eventShift.delete({
+      where: { id: shiftId, ...organizationScope.eventWhere() }
+    });
+  }
+
+  /**
+   * Count the signups of a shift, or of a single position
+   */
+  async countSignups({ shiftId, positionId }) {
+    return await prisma.shiftSignup.count({
+      where: positionId ? { positionId } : { shiftId }
+    });
+  }
+
+  /**
+   * Take a place in a position and record the signup
+   * The headcount is only incremented while it is below capacity, so two
+   * volunteers racing for the last place cannot both get it.
+   * @returns {Promise<Object|null>} Signup, or null if the position is full
+   */
+  async claimPosition(assignmentId, position) {
+    return await prisma.$transaction(async (tx) => {
+      const { count } = await tx.shiftPosition.updateMany({
+        where: {
+          id: position.id,
+          filled: { lt: prisma.shiftPosition.fields.capacity }
+        },
+        data: {
+          filled: { increment: 1 }
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      return await tx.shiftSignup.create({
+        data: {
+          assignmentId,
+          shiftId: position.shiftId,
+          positionId: position.id
+        },
+        include: {
+          shift: true,
+          position: true
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove signups and give their places back
+   * @param {Object} where - Signup filter, e.g. { assignmentId } or { assignmentId, shiftId }
+   * @returns {Promise<number>} Number of signups removed
+   */
+  async releaseSignups(where) {
+    return await prisma.$transaction(async (tx) => {
+      const signups = await tx.shiftSignup.findMany({ where });
+
+      for (const signup of signups) {
+        await tx.shiftSignup.delete({
+          where: { id: signup.id }
+        });
+        await tx.shiftPosition.update({
+          where: { id: signup.positionId },
+          data: { filled: { decrement: 1 } }
+        });
+      }
+
+      return signups.length;
+    });
+  }
+
+  /**
+   * Get a volunteer's signups for an event
+   */
+  async findSignupsForVolunteer(eventId, volunteerId) {
+    return await prisma.shiftSignup.findMany({
+      where: {
+        shift: { eventId },
+        assignment: { volunteerId }
+      },
+      include: {
+        shift: true,
+        position: true
+      },
+      orderBy: { shift: { startDate: 'asc' } }
+    });
+  }
+
+  /**
+   * Get every signup of an event with the volunteer, for rosters
+   */
+  async findSignupsForEvent(eventId) {
+    return await prisma.shiftSignup.findMany({
+      where: {
+        shift: { eventId }
+      },
+      include: {
+        position: true,
+        assignment: {
+          include: {
+            volunteer: {
+              include: { profile: true }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Update a signup (check-in and check-out times, hours)
+   */
+  async updateSignup(signupId, data) {
+    return await prisma.shiftSignup.update({
+      where: { id: signupId },
+      data,
+      include: {
+        shift: true,
+        position: true
+      }
+    });
+  }
+
+  positionData(position) {
+    const data = {};
+    if (position.name !== undefined) data.name = position.name;
+    if (position.capacity !== undefined) data.capacity = position.capacity;
+    if (position.skillId !== undefined) data.skillId = position.skillId || null;
+    if (position.minLevel !== undefined) data.minLevel = position.minLevel.toUpperCase();
+    return data;
+  }
+}
+
+module.exports = new ShiftRepository();
@@ -0,0 +1,86 @@
+/**
+ * Two-Factor Repository
+ * Handles database operations for TOTP state and recovery codes
+ */
+
+const prisma = require('../prisma');
+
+class TwoFactorRepository {
+  /**
+   * Record the TOTP time step that was just accepted
+   * Only succeeds for a step newer than the last one, so a code
+   * cannot be replayed within its validity window
+   */
+  async recordStep(userId, step) {
+    const result = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        OR: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { lt: step } }
+        ]
+      },
+      data: {
+        twoFactorLastStep: step
+      }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Replace all recovery codes for a user
+   */
+  async replaceRecoveryCodes(userId, codeHashes) {
+    return await prisma.$transaction([
+      prisma.twoFactorRecoveryCode.deleteMany({
+        where: { userId }
+      }),
+      prisma.twoFactorRecoveryCode.createMany({
+        data: codeHashes.map(codeHash => ({ userId, codeHash }))
+      })
+    ]);
+  }
+
+  /**
+   * Consume an unused recovery code
+   * Returns false if the code does not exist or was already used
+   */
+  async useRecoveryCode(userId, codeHash) {
+    const result = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId,
+        codeHash,
+        usedAt: null
+      },
+      data: {
+        usedAt: new Date()
+      }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Count unused recovery codes
+   */
+  async countRemainingRecoveryCodes(userId) {
+    return await prisma.twoFactorRecoveryCode.count({
+      where: {
+        userId,
+        usedAt: null
+      }
+    });
+  }
+
+  /**
+   * Delete all recovery codes for a user
+   */
+  async deleteRecoveryCodes(userId) {
+    return await prisma.twoFactorRecoveryCode.deleteMany({
+      where: { userId }
+    });
+  }
+}
+
+module.exports = new TwoFactorRepository();
@@ -4,6 +4,7 @@
  */
 
 const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
 
 class UserRepository {
   /**
@@ -11,7 +12,7 @@ class UserRepository {
    */
   async findById(userId) {
     return await prisma.user.findUnique({
-      where: { id: userId },
+      where: { id: userId, ...organizationScope.userWhere() },
       include: {
         profile: {
           include: {
@@ -64,7 +65,7 @@ class UserRepository {
    * Get all users with optional filters
    */
   async findAll(filters = {}) {
-    const where = {};
+    const where = { ...organizationScope.userWhere() };
 
     if (filters.role) {
       where.role = filters.role.toUpperCase();
@@ -86,7 +87,7 @@ class UserRepository {
   }
 
   /**
-   * Create new user
+   * Create new user as a member of one organization, optionally with a linked OAuth identity
    */
   async create(userData) {
     return await prisma.user.create({
@@ -96,8 +97,12 @@ class UserRepository {
         password: userData.password,
         role: userData.role ? userData.role.toUpperCase() : 'VOLUNTEER',
         verified: userData.verified || false,
-        oauthProvider: userData.oauthProvider || null,
-        oauthId: userData.oauthId || null
+        ...(userData.identity && {
+          identities: { create: userData.identity }
+        }),
+        memberships: {
+          create: { organizationId: userData.organizationId || organizationScope.DEFAULT_ORGANIZATION_ID }
+        }
       },
       include: {
         profile: true
@@ -110,7 +115,7 @@ class UserRepository {
    */
   async update(userId, updateData) {
     return await prisma.user.update({
-      where: { id: userId },
+      where: { id: userId, ...organizationScope.userWhere() },
       data: updateData,
       include: {
         profile: true
@@ -123,7 +128,7 @@ class UserRepository {
    */
   async delete(userId) {
     return await prisma.user.delete({
-      where: { id: userId }
+      where: { id: userId, ...organizationScope.userWhere() }
     });
   }
 
@@ -271,9 +276,11 @@ class UserRepository {
    */
   async getAllProfiles(page = 1, limit = 10) {
     const skip = (page - 1) * limit;
+    const where = { user: organizationScope.userWhere() };
 
     const [profiles, total] = await Promise.all([
       prisma.profile.findMany({
+        where,
         skip,
         take: limit,
         include: {
@@ -297,7 +304,7 @@ class UserRepository {
           updatedAt: 'desc'
         }
       }),
-      prisma.profile.count()
+      prisma.profile.count({ where })
     ]);
 
     return {
@@ -316,7 +323,7 @@ class UserRepository {
    */
   async getVolunteers() {
     return await prisma.user.findMany({
-      where: { role: 'VOLUNTEER' },
+      where: { role: 'VOLUNTEER', ...organizationScope.userWhere() },
       select: {
         id: true,
         username: true,
@@ -333,7 +340,7 @@ class UserRepository {
    */
   async getVolunteersWithProfiles() {
     return await prisma.user.findMany({
-      where: { role: 'VOLUNTEER' },
+      where: { role: 'VOLUNTEER', ...organizationScope.userWhere() },
       include: {
         profile: {
           include: {
@@ -353,11 +360,12 @@ class UserRepository {
    * Get user statistics
    */
   async getUserStats() {
+    const scope = organizationScope.userWhere();
     const [totalUsers, volunteers, admins, verifiedUsers] = await Promise.all([
-      prisma.user.count(),
-      prisma.user.count({ where: { role: 'VOLUNTEER' } }),
-      prisma.user.count({ where: { role: 'ADMIN' } }),
-      prisma.user.count({ where: { verified: true } })
+      prisma.user.count({ where: scope }),
+      prisma.user.count({ where: { ...scope, role: 'VOLUNTEER' } }),
+      prisma.user.count({ where: { ...scope, role: 'ADMIN' } }),
+      prisma.user.count({ where: { ...scope, verified: true } })
     ]);
 
     return {
@@ -374,7 +382,7 @@ class UserRepository {
    */
   async findByRole(role) {
     return await prisma.user.findMany({
-      where: { role: role.toUpperCase() },
+      where: { role: role.toUpperCase(), ...organizationScope.userWhere() },
       include: {
         profile: true
       },
@@ -394,6 +402,97 @@ class UserRepository {
     });
   }
 
+  /**
+   * Count a login attempt before its password is checked
+   * The increment is atomic, so concurrent attempts each get their own number
+   * @returns {number} Failed attempts including this one
+   */
+  async recordLoginAttempt(userId) {
+    const { failedLoginAttempts } = await prisma.user.update({
+      where: { id: userId },
+      data: { failedLoginAttempts: { increment: 1 } },
+      select: { failedLoginAttempts: true }
+    });
+
+    return failedLoginAttempts;
+  }
+
+  /**
+   * Stop counting a login attempt that was refused or did not fail
+   */
+  async releaseLoginAttempt(userId) {
+    await prisma.user.updateMany({
+      where: { id: userId, failedLoginAttempts: { gt: 0 } },
+      data: { failedLoginAttempts: { decrement: 1 } }
+    });
+  }
+
+  /**
+   * Record when the latest failed login happened
+   */
+  async recordFailedLogin(userId) {
+    return await prisma.user.update({
+      where: { id: userId },
+      data: { lastFailedLoginAt: new Date() }
+    });
+  }
+
+  /**
+   * Lock an account until the given time
+   * Only one concurrent request wins, so the lockout is reported once
+   * @returns {boolean} True if this call applied the lock
+   */
+  async lockAccount(userId, lockedUntil) {
+    const result = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        OR: [
+          { lockedUntil: null },
+          { lockedUntil: { lt: new Date() } }
+        ]
+      },
+      data: {
+        lockedUntil,
+        failedLoginAttempts: 0
+      }
+    });
+
+    return result.count > 0;
+  }
+
+  /**
+   * Clear failed login attempts and any lockout
+   */
+  async resetLoginFailures(userId) {
+    return await prisma.user.update({
+      where: { id: userId },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null
+      }
+    });
+  }
+
+  /**
+   * Find the user whose calendar feed token has this hash
+   */
+  async findByCalendarTokenHash(calendarTokenHash) {
+    return await prisma.user.findUnique({
+      where: { calendarTokenHash }
+    });
+  }
+
+  /**
+   * Replace a user's calendar feed token; the previous feed URL stops working
+   */
+  async setCalendarTokenHash(userId, calendarTokenHash) {
+    return await prisma.user.update({
+      where: { id: userId },
+      data: { calendarTokenHash }
+    });
+  }
+
   /**
    * Verify user email
    */
@@ -401,8 +500,7 @@ class UserRepository {
     return await prisma.user.update({
       where: { id: userId },
       data: {
-        verified: true,
-        verificationToken: null
+        verified: true
       }
     });
   }
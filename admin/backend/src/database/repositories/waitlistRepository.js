@@ -0,0 +1,256 @@
+/**
+ * Waitlist Repository
+ * Handles database operations for event waitlists
+ *
+ * Positions are kept contiguous from 1, so removing or moving an entry
+ * shifts the entries behind it. Changes to a waitlist lock the event row
+ * first, so concurrent joins, removals and offers on one event run one after
+ * another.
+ */
+
+const prisma = require('../prisma');
+const organizationScope = require('../../utils/organizationScope');
+
+const entryOrder = [{ position: 'asc' }, { createdAt: 'asc' }];
+
+// Lock an event row until the transaction ends; returns its capacity
+const lockEvent = async (tx, eventId) => {
+  const [event] = await tx.$queryRaw`
+    SELECT id, "maxVolunteers", "currentVolunteers" FROM events WHERE id = ${eventId} FOR UPDATE
+  `;
+  return event || null;
+};
+
+class WaitlistRepository {
+  /**
+   * Get an event's waitlist in order, with volunteer profiles
+   */
+  async findByEvent(eventId) {
+    return await prisma.waitlistEntry.findMany({
+      where: { eventId, ...organizationScope.eventWhere() },
+      include: {
+        volunteer: {
+          include: { profile: true }
+        }
+      },
+      orderBy: entryOrder
+    });
+  }
+
+  /**
+   * Get every waitlist a volunteer is on, with the events
+   */
+  async findByVolunteer(volunteerId) {
+    return await prisma.waitlistEntry.findMany({
+      where: { volunteerId, ...organizationScope.eventWhere() },
+      include: {
+        event: true
+      },
+      orderBy: { event: { startDate: 'asc' } }
+    });
+  }
+
+  /**
+   * Find a volunteer's entry on an event's waitlist
+   */
+  async findEntry(eventId, volunteerId) {
+    return await prisma.waitlistEntry.findUnique({
+      where: {
+        eventId_volunteerId: { eventId, volunteerId }
+      }
+    });
+  }
+
+  /**
+   * Count the entries on an event's waitlist
+   */
+  async countByEvent(eventId) {
+    return await prisma.waitlistEntry.count({
+      where: { eventId }
+    });
+  }
+
+  /**
+   * Count unexpired offers, i.e. places held for waitlisted volunteers
+   * @param {string} eventId - Event ID
+   * @param {string} [excludeVolunteerId] - Leave out this volunteer's own offer
+   */
+  async countHeldOffers(eventId, excludeVolunteerId) {
+    return await prisma.waitlistEntry.count({
+      where: {
+        eventId,
+        status: 'OFFERED',
+        offerExpiresAt: { gt: new Date() },
+        ...(excludeVolunteerId && { volunteerId: { not: excludeVolunteerId } })
+      }
+    });
+  }
+
+  /**
+   * Get offers whose time has run out
+   * @param {string} [eventId] - Limit to one event; all events when omitted
+   */
+  async findExpiredOffers(eventId) {
+    return await prisma.waitlistEntry.findMany({
+      where: {
+        ...(eventId && { eventId }),
+        status: 'OFFERED',
+        offerExpiresAt: { lte: new Date() }
+      },
+      include: {
+        event: true
+      },
+      orderBy: entryOrder
+    });
+  }
+
+  /**
+   * Add a volunteer to the end of an event's waitlist
+   */
+  async add(eventId, volunteerId, notes) {
+    return await prisma.$transaction(async (tx) => {
+      await lockEvent(tx, eventId);
+
+      const { _max } = await tx.waitlistEntry.aggregate({
+        where: { eventId },
+        _max: { position: true }
+      });
+
+      return await tx.waitlistEntry.create({
+        data: {
+          eventId,
+          volunteerId,
+          notes: notes || null,
+          position: (_max.position || 0) + 1
+        }
+      });
+    });
+  }
+
+  /**
+   * Offer an event's open places to the volunteers at the front of the line
+   * Open places are those not taken by volunteers or held by unexpired
+   * offers. Counting and offering happen with the event locked, and only
+   * entries still waiting are offered, so concurrent calls never offer the
+   * same place or entry twice.
+   * @param {string} eventId - Event ID
+   * @param {Date} offerExpiresAt - When the offers lapse
+   * @returns {Promise<Array>} Entries that were offered a place
+   */
+  async offerOpenPlaces(eventId, offerExpiresAt) {
+    return await prisma.$transaction(async (tx) => {
+      const event = await lockEvent(tx, eventId);
+      if (!event) {
+        return [];
+      }
+
+      const held = await tx.waitlistEntry.count({
+        where: {
+          eventId,
+          status: 'OFFERED',
+          offerExpiresAt: { gt: new Date() }
+        }
+      });
+
+      const open = event.maxVolunteers - event.currentVolunteers - held;
+      if (open <= 0) {
+        return [];
+      }
+
+      const waiting = await tx.waitlistEntry.findMany({
+        where: { eventId, status: 'WAITING' },
+        orderBy: entryOrder,
+        take: open
+      });
+
+      const offered = [];
+      for (const entry of waiting) {
+        const offer = await this.markOffered(tx, entry, offerExpiresAt);
+        if (offer) {
+          offered.push(offer);
+        }
+      }
+
+      return offered;
+    });
+  }
+
+  /**
+   * Offer a place to an entry that is still waiting
+   * @param {Object} tx - Transaction client
+   * @param {Object} entry - Waitlist entry
+   * @param {Date} offerExpiresAt - When the offer lapses
+   * @returns {Promise<Object|null>} Offered entry, or null if it was no longer waiting
+   */
+  async markOffered(tx, entry, offerExpiresAt) {
+    const data = {
+      status: 'OFFERED',
+      offeredAt: new Date(),
+      offerExpiresAt
+    };
+
+    const { count } = await tx.waitlistEntry.updateMany({
+      where: { id: entry.id, status: 'WAITING' },
+      data
+    });
+
+    return count > 0 ? { ...entry, ...data } : null;
+  }
+
+  /**
+   * Remove an entry and move everyone behind it up one place
+   */
+  async remove(entry) {
+    return await prisma.$transaction(async (tx) => {
+      await lockEvent(tx, entry.eventId);
+
+      await tx.waitlistEntry.delete({
+        where: { id: entry.id }
+      });
+
+      await tx.waitlistEntry.updateMany({
+        where: {
+          eventId: entry.eventId,
+          position: { gt: entry.position }
+        },
+        data: { position: { decrement: 1 } }
+      });
+    });
+  }
+
+  /**
+   * Move an entry to a new position, shifting the entries in between
+   * @param {Object} entry - Entry being moved
+   * @param {number} position - New 1-based position
+   */
+  async move(entry, position) {
+    return await prisma.$transaction(async (tx) => {
+      await lockEvent(tx, entry.eventId);
+
+      if (position < entry.position) {
+        await tx.waitlistEntry.updateMany({
+          where: {
+            eventId: entry.eventId,
+            position: { gte: position, lt: entry.position }
+          },
+          data: { position: { increment: 1 } }
+        });
+      } else if (position > entry.position) {
+        await tx.waitlistEntry.updateMany({
+          where: {
+            eventId: entry.eventId,
+            position: { gt: entry.position, lte: position }
+          },
+          data: { position: { decrement: 1 } }
+        });
+      }
+
+      return await tx.waitlistEntry.update({
+        where: { id: entry.id },
+        data: { position }
+      });
+    });
+  }
+}
+
+module.exports = new WaitlistRepository();
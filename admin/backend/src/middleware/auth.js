@@ -1,10 +1,98 @@
 const jwt = require('jsonwebtoken');
 const userRepository = require('../database/repositories/userRepository');
+const eventManagerRepository = require('../database/repositories/eventManagerRepository');
+const organizationRepository = require('../database/repositories/organizationRepository');
+const twoFactorService = require('../services/twoFactorService');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+const sessionService = require('../services/sessionService');
+const impersonationService = require('../services/impersonationService');
+const calendarService = require('../services/calendarService');
+const organizationScope = require('../utils/organizationScope');
+
+/**
+ * Permissions checked by management routes
+ */
+const Permissions = Object.freeze({
+  EVENT_CREATE: 'event:create',
+  EVENT_EDIT: 'event:edit',
+  EVENT_DELETE: 'event:delete',
+  EVENT_ASSIGN: 'event:assign',
+  EVENT_ATTENDANCE: 'event:attendance',
+  EVENT_MANAGERS: 'event:managers'
+});
+
+// Permissions a role holds on every event
+const ROLE_PERMISSIONS = {
+  admin: Object.values(Permissions),
+  coordinator: [Permissions.EVENT_CREATE],
+  volunteer: []
+};
+
+// Permissions a coordinator holds on events they created or co-manage
+const EVENT_MANAGER_PERMISSIONS = [
+  Permissions.EVENT_EDIT,
+  Permissions.EVENT_ASSIGN,
+  Permissions.EVENT_ATTENDANCE,
+  Permissions.EVENT_MANAGERS
+];
+
+/**
+ * Work out which organizations a request can see
+ * Members see the organizations they belong to; super-admins see all of them.
+ * An X-Organization-Id header narrows the request to a single organization.
+ * @param {Object} user - User record
+ * @param {string} [requestedId] - Organization selected by the client
+ * @returns {Promise<Object|null>} Scope, or null if the user cannot access the requested organization
+ */
+const resolveOrganizationScope = async (user, requestedId) => {
+  const memberships = await organizationRepository.findMembershipsByUser(user.id);
+  const memberOf = memberships.map(membership => membership.organizationId);
+
+  if (requestedId && !user.isSuperAdmin && !memberOf.includes(requestedId)) {
+    return null;
+  }
+
+  let organizationIds = user.isSuperAdmin ? null : memberOf;
+  if (requestedId) {
+    organizationIds = [requestedId];
+  }
+
+  return {
+    userId: user.id,
+    organizationIds,
+    activeOrganizationId: requestedId || null,
+    organizations: memberships.map(membership => membership.organization)
+  };
+};
+
+/**
+ * Attach an impersonation session to the request and audit the request
+ * The entry is written once the response is sent so refused requests are
+ * recorded with their status too
+ */
+const trackImpersonation = (req, res, impersonation) => {
+  req.impersonation = {
+    id: impersonation.id,
+    adminId: impersonation.adminId,
+    targetUserId: impersonation.targetUserId,
+    readOnly: impersonation.readOnly,
+    expiresAt: impersonation.expiresAt
+  };
+
+  res.on('finish', () => {
+    impersonationService.recordRequest(req.impersonation, {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode
+    });
+  });
+};
 
 /**
  * Authentication Middleware
  * Verifies JWT tokens from httpOnly cookies OR Authorization header
  * Priority: 1. httpOnly cookie (secure), 2. Authorization header (backwards compatible)
+ * The Authorization header also accepts personal access tokens, limited to their scopes
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -27,11 +115,75 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let user;
+    let accessToken = null;
+    let sessionId = null;
+    let impersonation = null;
+
+    if (personalAccessTokenService.isPersonalAccessToken(token)) {
+      accessToken = await personalAccessTokenService.verify(token);
+
+      if (!accessToken) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid or expired access token'
+        });
+      }
 
-    // Find user in database
-    const user = await userRepository.findById(decoded.userId);
+      const requiredScope = personalAccessTokenService.requiredScope(req.baseUrl, req.method);
+      if (!personalAccessTokenService.hasScope(accessToken.scopes, requiredScope)) {
+        return res.status(403).json({
+          status: 'error',
+          message: requiredScope
+            ? `Access token is missing the ${requiredScope} scope`
+            : 'Access tokens cannot be used for this endpoint',
+          code: 'INSUFFICIENT_SCOPE'
+        });
+      }
+
+      user = accessToken.user;
+    } else {
+      // Verify token
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Two-factor challenges and other single-purpose tokens share the
+      // secret but must never authenticate a request
+      if (decoded.type !== 'access' && decoded.type !== 'impersonation') {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid token'
+        });
+      }
+
+      // "View as" tokens stop working when the admin stops or the session expires
+      if (decoded.type === 'impersonation') {
+        impersonation = await impersonationService.verify(decoded.imp);
+
+        if (!impersonation) {
+          return res.status(401).json({
+            status: 'error',
+            message: 'Impersonation session has ended',
+            code: 'IMPERSONATION_ENDED'
+          });
+        }
+      }
+
+      // Access tokens stop working as soon as their session is signed out
+      if (decoded.sid) {
+        if (!(await sessionService.verify(decoded.sid))) {
+          return res.status(401).json({
+            status: 'error',
+            message: 'Session has been signed out',
+            code: 'SESSION_REVOKED'
+          });
+        }
+
+        sessionId = decoded.sid;
+      }
+
+      // Find user in database
+      user = await userRepository.findById(decoded.userId);
+    }
 
     if (!user) {
       return res.status(401).json({
@@ -40,16 +192,58 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    const scope = await resolveOrganizationScope(user, req.headers['x-organization-id']);
+
+    if (!scope) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not a member of this organization'
+      });
+    }
+
     // Add user info to request object
     // Normalize Prisma enum to lowercase for consistency
     req.user = {
       id: user.id,
       email: user.email,
       role: user.role.toLowerCase(),
-      username: user.username
+      username: user.username,
+      verified: user.verified,
+      superAdmin: user.isSuperAdmin === true,
+      organizations: scope.organizations,
+      twoFactorSetupRequired: await twoFactorService.isSetupRequired(user)
     };
 
-    next();
+    if (accessToken) {
+      req.accessToken = { id: accessToken.id, scopes: accessToken.scopes };
+    }
+
+    if (sessionId) {
+      req.sessionId = sessionId;
+    }
+
+    if (impersonation) {
+      trackImpersonation(req, res, impersonation);
+
+      if (!impersonationService.isAllowedWhileImpersonating(req.method, req.baseUrl + req.path)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'This action is not available while impersonating',
+          code: 'IMPERSONATION_FORBIDDEN'
+        });
+      }
+
+      if (impersonation.readOnly && !impersonationService.isAllowedWhileReadOnly(req.method, req.baseUrl + req.path)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'This impersonation session is read-only',
+          code: 'IMPERSONATION_READ_ONLY'
+        });
+      }
+    }
+
+    // Repositories filter every query made while handling the request
+    organizationScope.run(scope, next);
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -73,6 +267,17 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Respond for admins who must enroll in 2FA before using protected routes
+ */
+const twoFactorSetupRequired = (res) => {
+  return res.status(403).json({
+    status: 'error',
+    message: 'Two-factor authentication must be enabled for admin accounts',
+    code: 'TWO_FACTOR_SETUP_REQUIRED'
+  });
+};
+
 /**
  * Authorization Middleware
  * Checks if user has required role(s)
@@ -93,37 +298,158 @@ const authorize = (...roles) => {
       });
     }
 
+    if (req.user.twoFactorSetupRequired) {
+      return twoFactorSetupRequired(res);
+    }
+
     next();
   };
 };
 
+/**
+ * Scope for anonymous requests
+ * Visitors see the published events of one organization, picked by the
+ * X-Organization-Id header or an ?organization= slug, and nothing without one
+ * @returns {Promise<Object>} Scope without a user
+ */
+const resolveVisitorScope = async (req) => {
+  const requestedId = req.headers['x-organization-id'];
+  const slug = req.query?.organization;
+
+  let organization = null;
+  if (requestedId) {
+    organization = await organizationRepository.findById(requestedId);
+  } else if (typeof slug === 'string' && slug) {
+    organization = await organizationRepository.findBySlug(slug);
+  }
+
+  return {
+    userId: null,
+    organizationIds: organization ? [organization.id] : [],
+    activeOrganizationId: null,
+    organizations: []
+  };
+};
+
+/**
+ * Find the user behind an optional credential
+ * Same sources as authenticate; anything invalid, revoked or out of scope
+ * counts as no credential
+ * @returns {Promise<Object>} { user, impersonation }, with a null user when anonymous
+ */
+const findOptionalUser = async (req) => {
+  let token = null;
+
+  if (req.cookies && req.cookies.accessToken) {
+    token = req.cookies.accessToken;
+  } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+    token = req.headers.authorization.substring(7);
+  }
+
+  if (!token) {
+    return { user: null, impersonation: null };
+  }
+
+  try {
+    if (personalAccessTokenService.isPersonalAccessToken(token)) {
+      const accessToken = await personalAccessTokenService.verify(token);
+      const requiredScope = personalAccessTokenService.requiredScope(req.baseUrl, req.method);
+
+      if (accessToken && personalAccessTokenService.hasScope(accessToken.scopes, requiredScope)) {
+        return { user: accessToken.user, impersonation: null };
+      }
+
+      return { user: null, impersonation: null };
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type === 'impersonation') {
+      const impersonation = await impersonationService.verify(decoded.imp);
+
+      // Ended sessions and refused writes continue anonymously
+      const path = req.baseUrl + req.path;
+      if (impersonation &&
+          impersonationService.isAllowedWhileImpersonating(req.method, path) &&
+          (!impersonation.readOnly || impersonationService.isAllowedWhileReadOnly(req.method, path))) {
+        return { user: await userRepository.findById(decoded.userId), impersonation };
+      }
+    } else if (decoded.type === 'access' && (!decoded.sid || await sessionService.verify(decoded.sid))) {
+      return { user: await userRepository.findById(decoded.userId), impersonation: null };
+    }
+  } catch (error) {
+    // Continue without authentication if token is invalid
+  }
+
+  return { user: null, impersonation: null };
+};
+
 /**
  * Optional Authentication Middleware
- * Sets user info if token is provided, but doesn't require it
+ * Sets user info if token is provided, but doesn't require it. Requests
+ * without a usable token run in a visitor scope (see resolveVisitorScope).
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
+    const { user, impersonation } = await findOptionalUser(req);
+    const scope = user && await resolveOrganizationScope(user, req.headers['x-organization-id']);
 
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await userRepository.findById(decoded.userId);
-
-      if (user) {
-        req.user = {
-          id: user.id,
-          email: user.email,
-          role: user.role.toLowerCase(),
-          username: user.username
-        };
+    if (scope) {
+      req.user = {
+        id: user.id,
+        email: user.email,
+        role: user.role.toLowerCase(),
+        username: user.username,
+        superAdmin: user.isSuperAdmin === true,
+        organizations: scope.organizations
+      };
+
+      if (impersonation) {
+        trackImpersonation(req, res, impersonation);
       }
+
+      return organizationScope.run(scope, next);
     }
 
-    next();
+    organizationScope.run(await resolveVisitorScope(req), next);
   } catch (error) {
-    // Continue without authentication if token is invalid
-    next();
+    next(error);
+  }
+};
+
+/**
+ * Calendar Feed Authentication Middleware
+ * Authenticates by the secret token in a calendar feed URL (req.params.token),
+ * since calendar apps subscribing to a feed can't send credentials
+ */
+const authenticateCalendarToken = async (req, res, next) => {
+  try {
+    const user = await calendarService.verify(req.params.token);
+    const scope = user && await resolveOrganizationScope(user);
+
+    if (!scope) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar feed not found'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role.toLowerCase(),
+      username: user.username,
+      superAdmin: user.isSuperAdmin === true,
+      organizations: scope.organizations,
+      twoFactorSetupRequired: await twoFactorService.isSetupRequired(user)
+    };
+
+    organizationScope.run(scope, next);
+  } catch (error) {
+    return res.status(500).json({
+      status: 'error',
+      message: 'Authentication error'
+    });
   }
 };
 
@@ -146,12 +472,172 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
+  if (req.user.twoFactorSetupRequired) {
+    return twoFactorSetupRequired(res);
+  }
+
+  next();
+};
+
+/**
+ * Super-admin-only Middleware
+ * For operations that span organizations
+ */
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.superAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Super-admin access required'
+    });
+  }
+
+  if (req.user.twoFactorSetupRequired) {
+    return twoFactorSetupRequired(res);
+  }
+
+  next();
+};
+
+/**
+ * Check whether a user holds a permission, optionally on a specific event
+ * @param {Object} user - req.user
+ * @param {string} permission - One of Permissions
+ * @param {string} [eventId] - Target event
+ * @returns {Promise<boolean>} True if allowed
+ */
+const hasPermission = async (user, permission, eventId = null) => {
+  if (!user) {
+    return false;
+  }
+
+  if ((ROLE_PERMISSIONS[user.role] || []).includes(permission)) {
+    return true;
+  }
+
+  if (!eventId || user.role !== 'coordinator' || !EVENT_MANAGER_PERMISSIONS.includes(permission)) {
+    return false;
+  }
+
+  return await eventManagerRepository.isManager(eventId, user.id);
+};
+
+/**
+ * Permission Middleware
+ * Requires a permission the user's role holds globally
+ */
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required'
+      });
+    }
+
+    if (!(await hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Insufficient permissions'
+      });
+    }
+
+    if (req.user.twoFactorSetupRequired) {
+      return twoFactorSetupRequired(res);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Event Permission Middleware
+ * Requires a permission on the event targeted by the request
+ * @param {string} permission - One of Permissions
+ * @param {string|Function} [eventIdFrom='id'] - Route param holding the event ID,
+ *   or an async function (req) => eventId for routes that address a child record
+ */
+const requireEventPermission = (permission, eventIdFrom = 'id') => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      let allowed = await hasPermission(req.user, permission);
+
+      if (!allowed) {
+        const eventId = typeof eventIdFrom === 'function'
+          ? await eventIdFrom(req)
+          : req.params[eventIdFrom];
+
+        allowed = await hasPermission(req.user, permission, eventId);
+      }
+
+      if (!allowed) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Insufficient permissions'
+        });
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    if (req.user.twoFactorSetupRequired) {
+      return twoFactorSetupRequired(res);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Verified Email Middleware
+ * Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.verified) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Please verify your email address before joining events',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
   next();
 };
 
 module.exports = {
+  Permissions,
   authenticate,
   authorize,
   optionalAuth,
-  requireAdmin
+  authenticateCalendarToken,
+  requireAdmin,
+  requireSuperAdmin,
+  requireVerifiedEmail,
+  hasPermission,
+  requirePermission,
+  requireEventPermission
 };
\ No newline at end of file
@@ -54,6 +54,12 @@ const errorHandler = (err, req, res, next) => {
     message = 'Duplicate field value entered';
   }
 
+  // Prisma record not found, including records outside the caller's organizations
+  if (err.code === 'P2025') {
+    statusCode = 404;
+    message = 'Resource not found';
+  }
+
   // Cast errors (for future database implementation)
   if (err.name === 'CastError') {
     statusCode = 400;
@@ -31,6 +31,17 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// A role to fill in an event shift, e.g. 4 drivers
+const shiftPosition = Joi.object({
+  name: Joi.string().max(100),
+  capacity: Joi.number().integer().min(1).max(1000),
+  skillId: Joi.string().allow(null, ''),
+  minLevel: Joi.string()
+    .valid('beginner', 'intermediate', 'advanced', 'expert')
+});
+
 /**
  * Common Validation Schemas
  */
@@ -63,8 +74,10 @@ const schemas = {
         'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
       }),
     role: Joi.string()
-      .valid('volunteer', 'admin')
-      .default('volunteer')
+      .valid('volunteer', 'coordinator', 'admin')
+      .default('volunteer'),
+    organization: Joi.string()
+      .max(100)
   }),
 
   login: Joi.object({
@@ -75,6 +88,208 @@ const schemas = {
       .required()
   }),
 
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address'
+      })
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages({
+        'string.hex': 'Invalid reset token',
+        'string.length': 'Invalid reset token'
+      }),
+    newPassword: Joi.string()
+      .min(8)
+      .max(128)
+      .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
+      })
+  }),
+
+  setPassword: Joi.object({
+    newPassword: Joi.string()
+      .min(8)
+      .max(128)
+      .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
+      })
+  }),
+
+  // Two-factor schemas
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string()
+      .trim()
+      .max(20)
+      .required()
+      .messages({
+        'any.required': 'Verification code is required'
+      })
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Verification code must be 6 digits'
+      })
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  createAccessToken: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required(),
+    scopes: Joi.array()
+      .items(Joi.string())
+      .min(1)
+      .required(),
+    expiresInDays: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .allow(null)
+  }),
+
+  deleteAccount: Joi.object({
+    password: Joi.string().max(128),
+    confirm: Joi.string()
+      .valid('DELETE')
+      .required()
+      .messages({
+        'any.only': 'Type DELETE to confirm'
+      })
+  }),
+
+  startImpersonation: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(3)
+      .max(500)
+      .required(),
+    readOnly: Joi.boolean(),
+    durationMinutes: Joi.number()
+      .integer()
+      .min(5)
+      .max(60)
+  }),
+
+  // Invitation schemas
+  createInvitation: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address'
+      }),
+    role: Joi.string()
+      .valid('volunteer', 'coordinator', 'admin'),
+    profile: Joi.object({
+      firstName: Joi.string().max(50).allow(''),
+      lastName: Joi.string().max(50).allow(''),
+      phone: Joi.string().max(20).allow(''),
+      city: Joi.string().max(100).allow(''),
+      state: Joi.string().max(50).allow(''),
+      zipCode: Joi.string().max(10).allow('')
+    })
+  }),
+
+  bulkInvitations: Joi.object({
+    emails: Joi.alternatives()
+      .try(
+        Joi.string().max(20000),
+        Joi.array().items(Joi.string().max(255)).max(200)
+      )
+      .required(),
+    role: Joi.string()
+      .valid('volunteer', 'coordinator', 'admin')
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string()
+      .required(),
+    username: Joi.string()
+      .alphanum()
+      .min(3)
+      .max(30)
+      .required()
+      .messages({
+        'string.alphanum': 'Username must contain only alphanumeric characters',
+        'string.min': 'Username must be at least 3 characters long',
+        'string.max': 'Username cannot exceed 30 characters'
+      }),
+    password: Joi.string()
+      .min(8)
+      .max(128)
+      .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
+      })
+  }),
+
+  organizationSettings: Joi.object({
+    requireAdminTwoFactor: Joi.boolean()
+  }).min(1),
+
+  // Organization schemas
+  createOrganization: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(200)
+      .required(),
+    slug: Joi.string()
+      .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+      .max(100)
+      .required()
+      .messages({
+        'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens'
+      }),
+    requireAdminTwoFactor: Joi.boolean()
+  }),
+
+  updateOrganization: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(200),
+    slug: Joi.string()
+      .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+      .max(100)
+      .messages({
+        'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens'
+      }),
+    requireAdminTwoFactor: Joi.boolean()
+  }).min(1),
+
+  addOrganizationMember: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+  }),
+
   // Profile schemas
   updateProfile: Joi.object({
     firstName: Joi.string()
@@ -284,7 +499,40 @@ const schemas = {
       .max(10),
     category: Joi.string()
       .valid('community', 'environmental', 'educational', 'healthcare', 'food', 'disaster', 'fundraising', 'administrative')
-      .required()
+      .required(),
+    organizationId: Joi.string(),
+    // Repeat the event; each occurrence becomes its own event in a series
+    recurrence: Joi.object({
+      frequency: Joi.string()
+        .valid('weekly', 'monthly')
+        .required(),
+      interval: Joi.number()
+        .integer()
+        .min(1)
+        .max(12),
+      daysOfWeek: Joi.array()
+        .items(Joi.string().valid(...daysOfWeek))
+        .min(1)
+        .max(7)
+        .when('frequency', { is: 'weekly', then: Joi.required() }),
+      weekOfMonth: Joi.number()
+        .valid(1, 2, 3, 4, -1)
+        .when('frequency', { is: 'monthly', then: Joi.required() }),
+      dayOfWeek: Joi.string()
+        .valid(...daysOfWeek)
+        .when('frequency', { is: 'monthly', then: Joi.required() }),
+      until: Joi.date(),
+      count: Joi.number()
+        .integer()
+        .min(1)
+        .max(100),
+      timezone: Joi.string()
+        .max(64)
+    })
+      .or('until', 'count')
+      .messages({
+        'object.missing': 'Recurrence must end on a date or after a number of occurrences'
+      })
   }),
 
   updateEvent: Joi.object({
@@ -324,14 +572,234 @@ const schemas = {
       }))
       .max(10),
     status: Joi.string()
-      .valid('draft', 'published', 'in-progress', 'completed', 'cancelled')
+      .valid('draft', 'published', 'in-progress', 'completed', 'cancelled'),
+    // Which occurrences of a series to change
+    applyTo: Joi.string()
+      .valid('this', 'following', 'all')
+  }),
+
+  createEventTemplate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(100)
+      .required(),
+    title: Joi.string()
+      .min(5)
+      .max(100)
+      .required(),
+    description: Joi.string()
+      .min(10)
+      .max(1000)
+      .required(),
+    category: Joi.string()
+      .valid('community', 'environmental', 'educational', 'healthcare', 'food', 'disaster', 'fundraising', 'administrative')
+      .required(),
+    urgencyLevel: Joi.string()
+      .valid('low', 'medium', 'high', 'critical')
+      .default('medium'),
+    maxVolunteers: Joi.number()
+      .integer()
+      .min(1)
+      .max(1000)
+      .required(),
+    // How long events created from the template last
+    durationMinutes: Joi.number()
+      .integer()
+      .min(15)
+      .max(7 * 24 * 60)
+      .required(),
+    requiredSkills: Joi.array()
+      .items(Joi.object({
+        skillId: Joi.string().required(),
+        minLevel: Joi.string()
+          .valid('beginner', 'intermediate', 'advanced', 'expert')
+          .required(),
+        isRequired: Joi.boolean()
+      }))
+      .max(10),
+    organizationId: Joi.string()
+  }),
+
+  updateEventTemplate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(100),
+    title: Joi.string()
+      .min(5)
+      .max(100),
+    description: Joi.string()
+      .min(10)
+      .max(1000),
+    category: Joi.string()
+      .valid('community', 'environmental', 'educational', 'healthcare', 'food', 'disaster', 'fundraising', 'administrative'),
+    urgencyLevel: Joi.string()
+      .valid('low', 'medium', 'high', 'critical'),
+    maxVolunteers: Joi.number()
+      .integer()
+      .min(1)
+      .max(1000),
+    durationMinutes: Joi.number()
+      .integer()
+      .min(15)
+      .max(7 * 24 * 60),
+    requiredSkills: Joi.array()
+      .items(Joi.object({
+        skillId: Joi.string().required(),
+        minLevel: Joi.string()
+          .valid('beginner', 'intermediate', 'advanced', 'expert')
+          .required(),
+        isRequired: Joi.boolean()
+      }))
+      .max(10)
+  }).min(1),
+
+  // Only what changes from one run of a templated event to the next
+  createEventFromTemplate: Joi.object({
+    startDate: Joi.date()
+      .min('now')
+      .required()
+      .messages({
+        'date.min': 'Event start date must be in the future'
+      }),
+    endDate: Joi.date()
+      .min(Joi.ref('startDate'))
+      .messages({
+        'date.min': 'Event end date must be after start date'
+      }),
+    address: Joi.string()
+      .min(5)
+      .max(200)
+      .required(),
+    city: Joi.string()
+      .min(2)
+      .max(100)
+      .required(),
+    state: Joi.string()
+      .length(2)
+      .uppercase()
+      .required(),
+    zipCode: Joi.string()
+      .pattern(/^\d{5}(-\d{4})?$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'ZIP code must be in format 12345 or 12345-6789'
+      }),
+    title: Joi.string()
+      .min(5)
+      .max(100),
+    status: Joi.string()
+      .valid('draft', 'published')
   }),
 
+  saveEventAsTemplate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(100)
+      .required()
+  }),
+
+  cancelEvent: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(3)
+      .max(1000)
+      .required()
+  }),
+
+  // Bulk import of events from a CSV or .ics file's contents; rows are
+  // validated against createEvent one by one
+  importEvents: Joi.object({
+    format: Joi.string()
+      .valid('csv', 'ics')
+      .required(),
+    content: Joi.string()
+      .max(2 * 1024 * 1024)
+      .required()
+      .messages({
+        'string.max': 'Import files are limited to 2MB'
+      }),
+    // Event field => CSV column header
+    mapping: Joi.object()
+      .pattern(Joi.string(), Joi.string().max(200)),
+    // Values for fields a row leaves blank, e.g. a category for a whole .ics file
+    defaults: Joi.object({
+      description: Joi.string(),
+      address: Joi.string(),
+      city: Joi.string(),
+      state: Joi.string(),
+      zipCode: Joi.string(),
+      maxVolunteers: Joi.number().integer(),
+      urgencyLevel: Joi.string(),
+      category: Joi.string(),
+      requiredSkills: Joi.string()
+    }),
+    timezone: Joi.string()
+      .max(64),
+    organizationId: Joi.string(),
+    dryRun: Joi.boolean()
+  }),
+
+  // Calendar schemas
+  eventCalendarFeed: Joi.object({
+    eventId: Joi.string(),
+    category: Joi.string().max(100)
+  }).or('eventId', 'category'),
+
   // Matching schemas
   assignVolunteer: Joi.object({
     eventId: Joi.string().required(),
     volunteerId: Joi.string().required(),
-    notes: Joi.string().max(500).allow('')
+    notes: Joi.string().max(500).allow(''),
+    positionId: Joi.string()
+  }),
+
+  addEventManager: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+  }),
+
+  createShift: Joi.object({
+    name: Joi.string()
+      .max(100)
+      .required(),
+    startDate: Joi.date()
+      .required(),
+    endDate: Joi.date()
+      .greater(Joi.ref('startDate'))
+      .required(),
+    positions: Joi.array()
+      .items(shiftPosition.keys({
+        name: Joi.string().max(100).required(),
+        capacity: Joi.number().integer().min(1).max(1000).required()
+      }))
+      .min(1)
+      .max(20)
+      .required()
+  }),
+
+  // Positions with an id are changed, without one are added, and missing ones removed
+  updateShift: Joi.object({
+    name: Joi.string()
+      .max(100),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    positions: Joi.array()
+      .items(shiftPosition.keys({
+        id: Joi.string()
+      }))
+      .min(1)
+      .max(20)
+  }),
+
+  reorderWaitlist: Joi.object({
+    position: Joi.number()
+      .integer()
+      .min(1)
+      .required()
   }),
 
   // Notification schemas
@@ -1,6 +1,9 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
+const impersonationController = require('../controllers/impersonationController');
+const invitationController = require('../controllers/invitationController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -48,6 +51,85 @@ router.put('/users/:userId', adminController.updateUser);
  */
 router.delete('/users/:userId', adminController.deleteUser);
 
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Clear failed login attempts and lift a lockout
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/unlock', adminController.unlockUser);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/sessions
+ * @desc    Sign a user out of every session
+ * @access  Private (Admin only)
+ */
+router.delete('/users/:userId/sessions', adminController.signOutUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/impersonate
+ * @desc    View the app as a user (read-only unless readOnly is false)
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/impersonate',
+  validate(schemas.startImpersonation),
+  impersonationController.start
+);
+
+/**
+ * @route   GET /api/admin/impersonations
+ * @desc    List impersonation sessions
+ * @access  Private (Admin only)
+ */
+router.get('/impersonations', impersonationController.listSessions);
+
+/**
+ * @route   GET /api/admin/impersonations/:impersonationId
+ * @desc    Get an impersonation session and its audit trail
+ * @access  Private (Admin only)
+ */
+router.get('/impersonations/:impersonationId', impersonationController.getSession);
+
+/**
+ * @route   GET /api/admin/invitations
+ * @desc    List invitations (optionally filtered by status)
+ * @access  Private (Admin only)
+ */
+router.get('/invitations', invitationController.listInvitations);
+
+/**
+ * @route   POST /api/admin/invitations
+ * @desc    Invite someone with a role and optional pre-filled profile
+ * @access  Private (Admin only)
+ */
+router.post('/invitations',
+  validate(schemas.createInvitation),
+  invitationController.createInvitation
+);
+
+/**
+ * @route   POST /api/admin/invitations/bulk
+ * @desc    Invite a list of emails with the same role
+ * @access  Private (Admin only)
+ */
+router.post('/invitations/bulk',
+  validate(schemas.bulkInvitations),
+  invitationController.bulkInvite
+);
+
+/**
+ * @route   POST /api/admin/invitations/:invitationId/resend
+ * @desc    Resend an invitation with a new link and expiry
+ * @access  Private (Admin only)
+ */
+router.post('/invitations/:invitationId/resend', invitationController.resendInvitation);
+
+/**
+ * @route   DELETE /api/admin/invitations/:invitationId
+ * @desc    Revoke an invitation
+ * @access  Private (Admin only)
+ */
+router.delete('/invitations/:invitationId', invitationController.revokeInvitation);
+
 /**
  * @route   GET /api/admin/metrics
  * @desc    Get analytics metrics and statistics
@@ -62,6 +144,30 @@ router.get('/metrics', adminController.getMetrics);
  */
 router.get('/users/:userId/metrics', adminController.getVolunteerMetrics);
 
+/**
+ * @route   POST /api/admin/events/recount-volunteers
+ * @desc    Recompute every event's volunteer count from its active assignments
+ * @access  Private (Admin only)
+ */
+router.post('/events/recount-volunteers', adminController.recountVolunteers);
+
+/**
+ * @route   GET /api/admin/settings
+ * @desc    Get organization settings
+ * @access  Private (Admin only)
+ */
+router.get('/settings', adminController.getSettings);
+
+/**
+ * @route   PUT /api/admin/settings
+ * @desc    Update organization settings (e.g. require 2FA for admins)
+ * @access  Private (Admin only)
+ */
+router.put('/settings',
+  validate(schemas.organizationSettings),
+  adminController.updateSettings
+);
+
 /**
  * Error handling for admin routes
  */
@@ -31,14 +31,16 @@ router.post('/events/:eventId/check-out', auth.authenticate, attendanceControlle
 router.get('/events/:eventId/my-status', auth.authenticate, attendanceController.getMyAttendanceStatus);
 
 // ============================================================
-// ADMIN ENDPOINTS
+// EVENT MANAGER ENDPOINTS (admins and the event's coordinators)
 // ============================================================
 
+const canManageAttendance = auth.requireEventPermission(auth.Permissions.EVENT_ATTENDANCE, 'eventId');
+
 /**
  * Get event attendance roster with all volunteers
  * GET /api/attendance/events/:eventId/roster
  */
-router.get('/events/:eventId/roster', auth.authenticate, auth.authorize('admin'), attendanceController.getEventRoster);
+router.get('/events/:eventId/roster', auth.authenticate, canManageAttendance, attendanceController.getEventRoster);
 
 /**
  * Update volunteer attendance record (mark as present/late/absent/no-show)
@@ -47,7 +49,7 @@ router.get('/events/:eventId/roster', auth.authenticate, auth.authorize('admin')
 router.put(
   '/events/:eventId/volunteers/:volunteerId',
   auth.authenticate,
-  auth.authorize('admin'),
+  canManageAttendance,
   attendanceController.updateAttendance
 );
 
@@ -58,7 +60,7 @@ router.put(
 router.post(
   '/events/:eventId/bulk-update',
   auth.authenticate,
-  auth.authorize('admin'),
+  canManageAttendance,
   attendanceController.bulkUpdateAttendance
 );
 
@@ -69,7 +71,7 @@ router.post(
 router.post(
   '/events/:eventId/finalize',
   auth.authenticate,
-  auth.authorize('admin'),
+  canManageAttendance,
   attendanceController.finalizeEventAttendance
 );
 
@@ -80,7 +82,7 @@ router.post(
 router.post(
   '/events/:eventId/volunteers/:volunteerId/no-show',
   auth.authenticate,
-  auth.authorize('admin'),
+  canManageAttendance,
   attendanceController.markNoShow
 );
 
@@ -2,9 +2,15 @@ const express = require('express');
 const Joi = require('joi');
 const passport = require('../config/passport');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const accessTokenController = require('../controllers/accessTokenController');
+const sessionController = require('../controllers/sessionController');
+const identityController = require('../controllers/identityController');
+const impersonationController = require('../controllers/impersonationController');
+const invitationController = require('../controllers/invitationController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
-const { authLimiter } = require('../middleware/rateLimiter');
+const { authLimiter, passwordResetLimiter, emailVerificationLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -19,15 +25,25 @@ const router = express.Router();
  * OAuth Routes
  */
 
+/**
+ * Start an OAuth flow
+ * A ?link= token (from POST /api/auth/identities/:provider/link) is passed
+ * through the provider as the state parameter to link instead of sign in
+ */
+const startOAuth = (provider, scope) => (req, res, next) =>
+  passport.authenticate(provider, {
+    scope,
+    state: typeof req.query.link === 'string' ? req.query.link : undefined,
+    session: false
+  })(req, res, next);
+
 // Google OAuth
 /**
  * @route   GET /api/auth/google
- * @desc    Initiate Google OAuth flow
+ * @desc    Initiate Google OAuth flow (sign in, or link with ?link=)
  * @access  Public
  */
-router.get('/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
-);
+router.get('/google', startOAuth('google', ['profile', 'email']));
 
 /**
  * @route   GET /api/auth/google/callback
@@ -39,18 +55,17 @@ router.get('/google/callback',
     failureRedirect: '/api/auth/oauth/failure',
     session: false
   }),
-  authController.oauthCallback
+  authController.oauthCallback,
+  authController.oauthError
 );
 
 // GitHub OAuth
 /**
  * @route   GET /api/auth/github
- * @desc    Initiate GitHub OAuth flow
+ * @desc    Initiate GitHub OAuth flow (sign in, or link with ?link=)
  * @access  Public
  */
-router.get('/github',
-  passport.authenticate('github', { scope: ['user:email'] })
-);
+router.get('/github', startOAuth('github', ['user:email']));
 
 /**
  * @route   GET /api/auth/github/callback
@@ -62,18 +77,17 @@ router.get('/github/callback',
     failureRedirect: '/api/auth/oauth/failure',
     session: false
   }),
-  authController.oauthCallback
+  authController.oauthCallback,
+  authController.oauthError
 );
 
 // Microsoft OAuth
 /**
  * @route   GET /api/auth/microsoft
- * @desc    Initiate Microsoft OAuth flow
+ * @desc    Initiate Microsoft OAuth flow (sign in, or link with ?link=)
  * @access  Public
  */
-router.get('/microsoft',
-  passport.authenticate('microsoft', { scope: ['user.read'] })
-);
+router.get('/microsoft', startOAuth('microsoft', ['user.read']));
 
 /**
  * @route   GET /api/auth/microsoft/callback
@@ -85,7 +99,8 @@ router.get('/microsoft/callback',
     failureRedirect: '/api/auth/oauth/failure',
     session: false
   }),
-  authController.oauthCallback
+  authController.oauthCallback,
+  authController.oauthError
 );
 
 /**
@@ -106,6 +121,24 @@ router.post('/register',
   authController.register
 );
 
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Get the details of an invitation for the registration page
+ * @access  Public
+ */
+router.get('/invitations/:token', invitationController.getInvitation);
+
+/**
+ * @route   POST /api/auth/invitations/accept
+ * @desc    Register from an invitation
+ * @access  Public
+ */
+router.post('/invitations/accept',
+  authLimiter, // Rate limit like registration
+  validate(schemas.acceptInvitation),
+  invitationController.acceptInvitation
+);
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
@@ -117,6 +150,46 @@ router.post('/login',
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires challenge token from login)
+ */
+router.post('/2fa/verify',
+  authLimiter, // Wrong codes count toward the brute force limit
+  validate(schemas.twoFactorLogin),
+  authController.verifyTwoFactorLogin
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link to the account email
+ * @access  Public
+ */
+router.post('/forgot-password',
+  passwordResetLimiter, // Rate limit reset emails
+  validate(schemas.forgotPassword),
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password',
+  authLimiter, // Failed token attempts count toward the brute force limit
+  validate(schemas.resetPassword),
+  authController.resetPassword
+);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Mark the account email as verified using a signed token
+ * @access  Public
+ */
+router.get('/verify-email/:token', authController.verifyEmail);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify JWT token
@@ -169,6 +242,173 @@ router.get('/me',
   authController.getCurrentUser
 );
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification',
+  authenticate,
+  emailVerificationLimiter, // Rate limit verification emails
+  authController.resendVerification
+);
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa/status',
+  authenticate,
+  twoFactorController.getStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Generate a TOTP secret and QR code for enrollment
+ * @access  Private
+ */
+router.post('/2fa/setup',
+  authenticate,
+  twoFactorController.setup
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable',
+  authenticate,
+  validate(schemas.twoFactorCode),
+  twoFactorController.enable
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  authenticate,
+  authLimiter,
+  validate(schemas.twoFactorDisable),
+  twoFactorController.disable
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+  authenticate,
+  validate(schemas.twoFactorCode),
+  twoFactorController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List personal access tokens
+ * @access  Private
+ */
+router.get('/tokens',
+  authenticate,
+  accessTokenController.listTokens
+);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token (returned once)
+ * @access  Private
+ */
+router.post('/tokens',
+  authenticate,
+  validate(schemas.createAccessToken),
+  accessTokenController.createToken
+);
+
+/**
+ * @route   DELETE /api/auth/tokens/:tokenId
+ * @desc    Revoke a personal access token
+ * @access  Private
+ */
+router.delete('/tokens/:tokenId',
+  authenticate,
+  accessTokenController.revokeToken
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List signed-in sessions and their devices
+ * @access  Private
+ */
+router.get('/sessions',
+  authenticate,
+  sessionController.listSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out a session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId',
+  authenticate,
+  sessionController.revokeSession
+);
+
+/**
+ * @route   GET /api/auth/identities
+ * @desc    List linked OAuth accounts and available providers
+ * @access  Private
+ */
+router.get('/identities',
+  authenticate,
+  identityController.listIdentities
+);
+
+/**
+ * @route   POST /api/auth/identities/:provider/link
+ * @desc    Get a short-lived token to start linking a provider
+ * @access  Private
+ */
+router.post('/identities/:provider/link',
+  authenticate,
+  identityController.createLinkToken
+);
+
+/**
+ * @route   DELETE /api/auth/identities/:identityId
+ * @desc    Unlink an OAuth account
+ * @access  Private
+ */
+router.delete('/identities/:identityId',
+  authenticate,
+  identityController.unlinkIdentity
+);
+
+/**
+ * @route   POST /api/auth/set-password
+ * @desc    Set a password on an account that only signs in with OAuth
+ * @access  Private
+ */
+router.post('/set-password',
+  authenticate,
+  validate(schemas.setPassword),
+  authController.setPassword
+);
+
+/**
+ * @route   POST /api/auth/impersonation/stop
+ * @desc    Stop viewing as another user and return to the admin session
+ * @access  Private (impersonation token)
+ */
+router.post('/impersonation/stop',
+  authenticate,
+  impersonationController.stop
+);
+
 /**
  * @route   PUT /api/auth/change-password
  * @desc    Change user password
@@ -191,13 +431,10 @@ router.put('/change-password',
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh JWT token
- * @access  Private
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Private (refresh token cookie; the access token may already be expired)
  */
-router.post('/refresh',
-  authenticate,
-  authController.refreshToken
-);
+router.post('/refresh', authController.refreshToken);
 
 // Admin-only routes
 
@@ -0,0 +1,45 @@
+const express = require('express');
+const calendarController = require('../controllers/calendarController');
+const {
+  Permissions,
+  authenticate,
+  authenticateCalendarToken,
+  requirePermission
+} = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Calendar Routes
+ * iCalendar subscription feeds
+ * Feed URLs carry the user's secret calendar token in place of credentials
+ */
+
+/**
+ * @route   POST /api/calendar/token
+ * @desc    Create a new calendar link; the previous link stops working
+ * @access  Private
+ */
+router.post('/token', authenticate, calendarController.regenerateToken);
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    Feed of the token owner's assigned events and shifts, including cancelled ones
+ * @access  Calendar token
+ */
+router.get('/:token.ics', authenticateCalendarToken, calendarController.getPersonalFeed);
+
+/**
+ * @route   GET /api/calendar/:token/events.ics?eventId=...&category=...
+ * @desc    Feed of one event or of every event in a category
+ * @access  Calendar token (Coordinators and admins)
+ */
+router.get('/:token/events.ics',
+  authenticateCalendarToken,
+  requirePermission(Permissions.EVENT_CREATE),
+  validate(schemas.eventCalendarFeed, 'query'),
+  calendarController.getEventFeed
+);
+
+module.exports = router;
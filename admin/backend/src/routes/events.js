@@ -1,10 +1,25 @@
 const express = require('express');
 const eventController = require('../controllers/eventController');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const eventRepository = require('../database/repositories/eventRepository');
+const {
+  Permissions,
+  authenticate,
+  authorize,
+  optionalAuth,
+  requireVerifiedEmail,
+  requirePermission,
+  requireEventPermission
+} = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Resolve the event an assignment belongs to for permission checks
+const assignmentEventId = async (req) => {
+  const assignment = await eventRepository.findAssignmentById(req.params.assignmentId);
+  return assignment?.eventId;
+};
+
 /**
  * Event Management Routes
  */
@@ -31,6 +46,17 @@ router.get('/my-events',
   eventController.getMyEvents
 );
 
+/**
+ * @route   GET /api/events/my-waitlist
+ * @desc    Get the waitlists the current volunteer is on, with any offers
+ * @access  Private (Volunteers only)
+ */
+router.get('/my-waitlist',
+  authenticate,
+  authorize('volunteer'),
+  eventController.getMyWaitlist
+);
+
 /**
  * @route   GET /api/events/recommended
  * @desc    Get recommended events based on user's availability
@@ -55,6 +81,17 @@ router.get('/stats',
   eventController.getEventStats
 );
 
+/**
+ * @route   GET /api/events/managed
+ * @desc    Get events the current user created or co-manages
+ * @access  Private (Coordinator/Admin)
+ */
+router.get('/managed',
+  authenticate,
+  authorize('coordinator', 'admin'),
+  eventController.getManagedEvents
+);
+
 /**
  * @route   GET /api/events/volunteer/:volunteerId
  * @desc    Get volunteer's events (admin can view any, volunteers only their own)
@@ -65,9 +102,80 @@ router.get('/volunteer/:volunteerId',
   eventController.getVolunteerEvents
 );
 
+// Event template routes (before /:id so "templates" is not taken for an event ID)
+
+/**
+ * @route   GET /api/events/templates
+ * @desc    Get the event templates of the caller's organizations
+ * @access  Private (Coordinator/Admin)
+ */
+router.get('/templates',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  eventController.getEventTemplates
+);
+
+/**
+ * @route   POST /api/events/templates
+ * @desc    Create an event template
+ * @access  Private (Coordinator/Admin)
+ */
+router.post('/templates',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  validate(schemas.createEventTemplate),
+  eventController.createEventTemplate
+);
+
+/**
+ * @route   GET /api/events/templates/:templateId
+ * @desc    Get an event template
+ * @access  Private (Coordinator/Admin)
+ */
+router.get('/templates/:templateId',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  eventController.getEventTemplate
+);
+
+/**
+ * @route   PUT /api/events/templates/:templateId
+ * @desc    Update an event template
+ * @access  Private (Coordinator/Admin)
+ */
+router.put('/templates/:templateId',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  validate(schemas.updateEventTemplate),
+  eventController.updateEventTemplate
+);
+
+/**
+ * @route   DELETE /api/events/templates/:templateId
+ * @desc    Delete an event template
+ * @access  Private (Coordinator/Admin)
+ */
+router.delete('/templates/:templateId',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  eventController.deleteEventTemplate
+);
+
+/**
+ * @route   POST /api/events/templates/:templateId/events
+ * @desc    Create an event from a template, giving only its date and location
+ * @access  Private (Coordinator/Admin)
+ */
+router.post('/templates/:templateId/events',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  validate(schemas.createEventFromTemplate),
+  eventController.createEventFromTemplate
+);
+
 /**
  * @route   GET /api/events
- * @desc    Get all events with filtering and pagination
+ * @desc    Get all events with filtering and pagination; ?search= ranks by relevance
  * @access  Public (with optional auth for personalization)
  */
 router.get('/',
@@ -81,10 +189,13 @@ router.get('/',
 /**
  * @route   GET /api/events/:id
  * @desc    Get event by ID
- * @access  Public
+ * @access  Public (with optional auth for organization scope)
  * NOTE: This route must be AFTER all specific string routes like /recommended, /stats, etc.
  */
-router.get('/:id', eventController.getEventById);
+router.get('/:id',
+  optionalAuth,
+  eventController.getEventById
+);
 
 /**
  * @route   POST /api/events/:id/join
@@ -94,9 +205,87 @@ router.get('/:id', eventController.getEventById);
 router.post('/:id/join',
   authenticate,
   authorize('volunteer'),
+  requireVerifiedEmail,
   eventController.joinEvent
 );
 
+/**
+ * @route   GET /api/events/:id/series
+ * @desc    Get the recurrence rule and occurrences of an event's series
+ * @access  Public (with optional auth for organization scope)
+ */
+router.get('/:id/series',
+  optionalAuth,
+  eventController.getEventSeries
+);
+
+/**
+ * @route   POST /api/events/:id/join-series
+ * @desc    Join every upcoming occurrence of an event's series
+ * @access  Private (Volunteers only)
+ */
+router.post('/:id/join-series',
+  authenticate,
+  authorize('volunteer'),
+  requireVerifiedEmail,
+  eventController.joinSeries
+);
+
+/**
+ * @route   GET /api/events/:id/shifts
+ * @desc    Get the shifts of an event with their positions and open places
+ * @access  Public (with optional auth for organization scope)
+ */
+router.get('/:id/shifts',
+  optionalAuth,
+  eventController.getShifts
+);
+
+/**
+ * @route   DELETE /api/events/:id/shifts/:shiftId/leave
+ * @desc    Give up one shift (leaving the last shift leaves the event)
+ * @access  Private (Volunteers only)
+ */
+router.delete('/:id/shifts/:shiftId/leave',
+  authenticate,
+  authorize('volunteer'),
+  eventController.leaveShift
+);
+
+/**
+ * @route   GET /api/events/:id/waitlist/me
+ * @desc    Get my place on an event's waitlist and any offer
+ * @access  Private (Volunteers only)
+ */
+router.get('/:id/waitlist/me',
+  authenticate,
+  authorize('volunteer'),
+  eventController.getMyWaitlistEntry
+);
+
+/**
+ * @route   POST /api/events/:id/waitlist/confirm
+ * @desc    Take up a place offered from the waitlist
+ * @access  Private (Volunteers only)
+ */
+router.post('/:id/waitlist/confirm',
+  authenticate,
+  authorize('volunteer'),
+  requireVerifiedEmail,
+  eventController.confirmWaitlistOffer
+);
+
+/**
+ * @route   DELETE /api/events/:id/waitlist/me
+ * @desc    Leave an event's waitlist or decline an offered place
+ * @access  Private (Volunteers only)
+ */
+router.delete('/:id/waitlist/me',
+  authenticate,
+  authorize('volunteer'),
+  eventController.leaveWaitlist
+);
+
 /**
  * @route   DELETE /api/events/:id/leave
  * @desc    Leave event (volunteer self-removal)
@@ -129,32 +318,148 @@ router.get('/:id/assignments',
   eventController.getEventAssignments
 );
 
-// More admin-only routes
+/**
+ * @route   GET /api/events/:id/managers
+ * @desc    Get event co-managers
+ * @access  Private (Admin or event manager)
+ */
+router.get('/:id/managers',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_MANAGERS),
+  eventController.getEventManagers
+);
+
+/**
+ * @route   POST /api/events/:id/managers
+ * @desc    Grant a coordinator co-manager access to an event
+ * @access  Private (Admin or event manager)
+ */
+router.post('/:id/managers',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_MANAGERS),
+  validate(schemas.addEventManager),
+  eventController.addEventManager
+);
+
+/**
+ * @route   DELETE /api/events/:id/managers/:userId
+ * @desc    Revoke co-manager access to an event
+ * @access  Private (Admin or event manager)
+ */
+router.delete('/:id/managers/:userId',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_MANAGERS),
+  eventController.removeEventManager
+);
+
+/**
+ * @route   POST /api/events/:id/shifts
+ * @desc    Add a shift with its positions to an event
+ * @access  Private (Admin or event manager)
+ */
+router.post('/:id/shifts',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_EDIT),
+  validate(schemas.createShift),
+  eventController.createShift
+);
+
+/**
+ * @route   PUT /api/events/:id/shifts/:shiftId
+ * @desc    Update a shift and its positions
+ * @access  Private (Admin or event manager)
+ */
+router.put('/:id/shifts/:shiftId',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_EDIT),
+  validate(schemas.updateShift),
+  eventController.updateShift
+);
+
+/**
+ * @route   DELETE /api/events/:id/shifts/:shiftId
+ * @desc    Delete a shift nobody has signed up for
+ * @access  Private (Admin or event manager)
+ */
+router.delete('/:id/shifts/:shiftId',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_EDIT),
+  eventController.deleteShift
+);
+
+/**
+ * @route   GET /api/events/:id/waitlist
+ * @desc    Get an event's waitlist in order
+ * @access  Private (Admin or event manager)
+ */
+router.get('/:id/waitlist',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_ASSIGN),
+  eventController.getWaitlist
+);
+
+/**
+ * @route   PUT /api/events/:id/waitlist/:volunteerId
+ * @desc    Move a volunteer to another place on the waitlist
+ * @access  Private (Admin or event manager)
+ */
+router.put('/:id/waitlist/:volunteerId',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_ASSIGN),
+  validate(schemas.reorderWaitlist),
+  eventController.reorderWaitlist
+);
+
+// Management routes
 
 /**
  * @route   POST /api/events
  * @desc    Create new event
- * @access  Private (Admin only)
+ * @access  Private (Coordinator/Admin)
  */
 router.post('/',
   authenticate,
-  authorize('admin'),
+  requirePermission(Permissions.EVENT_CREATE),
   validate(schemas.createEvent),
   eventController.createEvent
 );
 
+/**
+ * @route   POST /api/events/import
+ * @desc    Import events from a CSV or .ics file as drafts; a dry run (the default) previews them with per-row errors
+ * @access  Private (Coordinator/Admin)
+ */
+router.post('/import',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  validate(schemas.importEvents),
+  eventController.importEvents
+);
+
 /**
  * @route   PUT /api/events/:id
  * @desc    Update event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.put('/:id',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_EDIT),
   validate(schemas.updateEvent),
   eventController.updateEvent
 );
 
+/**
+ * @route   POST /api/events/:id/cancel
+ * @desc    Cancel event with a reason, notifying its volunteers
+ * @access  Private (Admin or event manager)
+ */
+router.post('/:id/cancel',
+  authenticate,
+  requireEventPermission(Permissions.EVENT_EDIT),
+  validate(schemas.cancelEvent),
+  eventController.cancelEvent
+);
+
 /**
  * @route   DELETE /api/events/:id
  * @desc    Delete event
@@ -162,18 +467,18 @@ router.put('/:id',
  */
 router.delete('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission(Permissions.EVENT_DELETE),
   eventController.deleteEvent
 );
 
 /**
  * @route   POST /api/events/:id/assign
  * @desc    Assign volunteer to event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.post('/:id/assign',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_ASSIGN),
   validate(schemas.assignVolunteer),
   eventController.assignVolunteer
 );
@@ -181,47 +486,61 @@ router.post('/:id/assign',
 /**
  * @route   DELETE /api/events/:id/unassign/:volunteerId
  * @desc    Remove volunteer from event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.delete('/:id/unassign/:volunteerId',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_ASSIGN),
   eventController.unassignVolunteer
 );
 
 /**
  * @route   PUT /api/events/assignments/:assignmentId
  * @desc    Update assignment status
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.put('/assignments/:assignmentId',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_ASSIGN, assignmentEventId),
   eventController.updateAssignmentStatus
 );
 
 /**
  * @route   PUT /api/events/:eventId/volunteers/:volunteerId/review
  * @desc    Update volunteer review and feedback for an event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.put('/:eventId/volunteers/:volunteerId/review',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_ATTENDANCE, 'eventId'),
   eventController.updateVolunteerReview
 );
 
 /**
  * @route   POST /api/events/:id/duplicate
  * @desc    Duplicate event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.post('/:id/duplicate',
   authenticate,
-  authorize('admin'),
+  requirePermission(Permissions.EVENT_CREATE),
+  requireEventPermission(Permissions.EVENT_EDIT),
   eventController.duplicateEvent
 );
 
+/**
+ * @route   POST /api/events/:id/save-as-template
+ * @desc    Save an event as a template
+ * @access  Private (Admin or event manager)
+ */
+router.post('/:id/save-as-template',
+  authenticate,
+  requirePermission(Permissions.EVENT_CREATE),
+  requireEventPermission(Permissions.EVENT_EDIT),
+  validate(schemas.saveEventAsTemplate),
+  eventController.saveEventAsTemplate
+);
+
 /**
  * Error handling for event routes
  */
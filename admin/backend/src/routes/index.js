@@ -0,0 +1,36 @@
+const authRoutes = require('./auth');
+const profileRoutes = require('./profile');
+const eventRoutes = require('./events');
+const matchingRoutes = require('./matching');
+const notificationRoutes = require('./notifications');
+const historyRoutes = require('./history');
+const adminRoutes = require('./admin');
+const reportingRoutes = require('./reporting');
+const attendanceRoutes = require('./attendance');
+const uploadRoutes = require('./upload');
+const organizationRoutes = require('./organizations');
+const calendarRoutes = require('./calendar');
+
+/**
+ * Mount the API routers on an app
+ * Nested paths are mounted before their parents: the admin router
+ * authenticates every /api/admin request, so reporting has to run first for
+ * access tokens to be checked against the reports scope.
+ * @param {Object} app - Express app
+ */
+const mountRoutes = (app) => {
+  app.use('/api/auth', authRoutes);
+  app.use('/api/profile', profileRoutes);
+  app.use('/api/events', eventRoutes);
+  app.use('/api/matching', matchingRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  app.use('/api/history', historyRoutes);
+  app.use('/api/admin/reporting', reportingRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/attendance', attendanceRoutes);
+  app.use('/api/upload', uploadRoutes);
+  app.use('/api/organizations', organizationRoutes);
+  app.use('/api/calendar', calendarRoutes);
+};
+
+module.exports = { mountRoutes };
@@ -1,6 +1,6 @@
 const express = require('express');
 const matchingController = require('../controllers/matchingController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { Permissions, authenticate, authorize, requireEventPermission } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 
 const router = express.Router();
@@ -12,11 +12,11 @@ const router = express.Router();
 /**
  * @route   POST /api/matching/event/:eventId/volunteers
  * @desc    Find volunteer matches for an event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.post('/event/:eventId/volunteers',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_ASSIGN, 'eventId'),
   matchingController.findVolunteersForEvent
 );
 
@@ -65,22 +65,22 @@ router.get('/suggestions',
 /**
  * @route   POST /api/matching/optimize/:eventId
  * @desc    Optimize volunteer assignments for an event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.post('/optimize/:eventId',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_ASSIGN, 'eventId'),
   matchingController.optimizeAssignments
 );
 
 /**
  * @route   POST /api/matching/bulk-assign/:eventId
  * @desc    Bulk assign optimized volunteers to an event
- * @access  Private (Admin only)
+ * @access  Private (Admin or event manager)
  */
 router.post('/bulk-assign/:eventId',
   authenticate,
-  authorize('admin'),
+  requireEventPermission(Permissions.EVENT_ASSIGN, 'eventId'),
   matchingController.bulkAssignOptimized
 );
 
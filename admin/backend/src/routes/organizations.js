@@ -0,0 +1,70 @@
+const express = require('express');
+const organizationController = require('../controllers/organizationController');
+const { authenticate, authorize, requireSuperAdmin } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Organization Routes
+ * Organizations and their membership
+ * Admins manage the organizations they belong to; super-admins manage all of them
+ */
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/organizations
+ * @desc    Get organizations visible to the current user (used by the organization switcher)
+ * @access  Private
+ */
+router.get('/', organizationController.getOrganizations);
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization
+ * @access  Private (Super-admin only)
+ */
+router.post('/',
+  requireSuperAdmin,
+  validate(schemas.createOrganization),
+  organizationController.createOrganization
+);
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Update an organization
+ * @access  Private (Admins of the organization)
+ */
+router.put('/:id',
+  authorize('admin'),
+  validate(schemas.updateOrganization),
+  organizationController.updateOrganization
+);
+
+/**
+ * @route   GET /api/organizations/:id/members
+ * @desc    Get members of an organization
+ * @access  Private (Admins of the organization)
+ */
+router.get('/:id/members', authorize('admin'), organizationController.getMembers);
+
+/**
+ * @route   POST /api/organizations/:id/members
+ * @desc    Add an existing user to an organization
+ * @access  Private (Admins of the organization)
+ */
+router.post('/:id/members',
+  authorize('admin'),
+  validate(schemas.addOrganizationMember),
+  organizationController.addMember
+);
+
+/**
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @desc    Remove a user from an organization
+ * @access  Private (Admins of the organization)
+ */
+router.delete('/:id/members/:userId', authorize('admin'), organizationController.removeMember);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const profileController = require('../controllers/profileController');
+const accountController = require('../controllers/accountController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 
@@ -114,6 +115,37 @@ router.delete('/avatar', profileController.deleteAvatar);
  */
 router.post('/validate', profileController.validateProfile);
 
+/**
+ * @route   GET /api/profile/export
+ * @desc    Download a JSON archive of the user's data
+ * @access  Private
+ */
+router.get('/export', accountController.exportData);
+
+/**
+ * @route   GET /api/profile/account
+ * @desc    Get account deletion status
+ * @access  Private
+ */
+router.get('/account', accountController.getDeletionStatus);
+
+/**
+ * @route   DELETE /api/profile/account
+ * @desc    Schedule the account for deletion after a grace period
+ * @access  Private
+ */
+router.delete('/account',
+  validate(schemas.deleteAccount),
+  accountController.requestDeletion
+);
+
+/**
+ * @route   POST /api/profile/account/restore
+ * @desc    Cancel a scheduled account deletion
+ * @access  Private
+ */
+router.post('/account/restore', accountController.cancelDeletion);
+
 // Admin-only routes
 
 /**
@@ -0,0 +1,283 @@
+const bcrypt = require('bcryptjs');
+const userRepository = require('../database/repositories/userRepository');
+const accountRepository = require('../database/repositories/accountRepository');
+const refreshTokenRepository = require('../database/repositories/refreshTokenRepository');
+const sessionRepository = require('../database/repositories/sessionRepository');
+const auditLogService = require('./auditLogService');
+const waitlistService = require('./waitlistService');
+
+const DEFAULT_GRACE_PERIOD_DAYS = 14;
+
+/**
+ * Account Service
+ * Self-service data export and account deletion
+ *
+ * Deleting an account schedules it; the user can sign back in and cancel
+ * until the grace period ends. After that anonymizeDueAccounts replaces the
+ * personal data with placeholders. The user row and volunteer history are
+ * kept so organization reports still add up.
+ */
+class AccountService {
+  /**
+   * Days between a deletion request and anonymization
+   * @returns {number} Grace period in days
+   */
+  gracePeriodDays() {
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_GRACE_PERIOD_DAYS;
+  }
+
+  /**
+   * Build a machine-readable copy of everything stored about a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Export document
+   */
+  async exportData(userId) {
+    const user = await accountRepository.findForExport(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const profile = user.profile;
+
+    return {
+      format: 'shiftpilot-account-export',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      account: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role.toLowerCase(),
+        verified: user.verified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        createdAt: user.createdAt,
+        deletionScheduledFor: user.deletionScheduledFor
+      },
+      organizations: user.memberships.map(membership => ({
+        id: membership.organization.id,
+        name: membership.organization.name,
+        joinedAt: membership.createdAt
+      })),
+      linkedAccounts: user.identities.map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        displayName: identity.displayName,
+        linkedAt: identity.createdAt,
+        lastUsedAt: identity.lastUsedAt
+      })),
+      profile: profile ? {
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        phone: profile.phone,
+        address: profile.address,
+        city: profile.city,
+        state: profile.state,
+        zipCode: profile.zipCode,
+        latitude: profile.latitude,
+        longitude: profile.longitude,
+        bio: profile.bio,
+        avatar: profile.avatar,
+        maxTravelDistance: profile.maxTravelDistance,
+        preferredDays: profile.preferredDays,
+        preferredTimeSlots: profile.preferredTimeSlots,
+        preferredCauses: profile.preferredCauses,
+        emailNotifications: profile.emailNotifications,
+        eventReminders: profile.eventReminders,
+        weekendsOnly: profile.weekendsOnly,
+        createdAt: profile.createdAt,
+        updatedAt: profile.updatedAt
+      } : null,
+      skills: profile ? profile.skills.map(volunteerSkill => ({
+        name: volunteerSkill.skill.name,
+        category: volunteerSkill.skill.category,
+        proficiency: volunteerSkill.proficiency.toLowerCase(),
+        yearsOfExperience: volunteerSkill.yearsOfExp,
+        certified: volunteerSkill.certified
+      })) : [],
+      availability: profile ? profile.availability.map(slot => ({
+        dayOfWeek: slot.dayOfWeek,
+        specificDate: slot.specificDate,
+        isRecurring: slot.isRecurring,
+        startTime: slot.startTime,
+        endTime: slot.endTime
+      })) : [],
+      assignments: user.assignments.map(assignment => ({
+        event: assignment.event,
+        status: assignment.status.toLowerCase(),
+        notes: assignment.notes,
+        assignedAt: assignment.assignedAt,
+        confirmedAt: assignment.confirmedAt
+      })),
+      history: user.history.map(record => ({
+        event: record.event,
+        status: record.status.toLowerCase(),
+        attendance: record.attendance.toLowerCase(),
+        hoursWorked: record.hoursWorked,
+        performanceRating: record.performanceRating,
+        feedback: record.feedback,
+        skillsUtilized: record.skillsUtilized,
+        participationDate: record.participationDate,
+        completionDate: record.completionDate
+      })),
+      notifications: user.notifications.map(notification => ({
+        type: notification.type.toLowerCase(),
+        priority: notification.priority.toLowerCase(),
+        title: notification.title,
+        message: notification.message,
+        read: notification.read,
+        createdAt: notification.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Get the deletion status of the current user's account
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Deletion status
+   */
+  async getDeletionStatus(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      success: true,
+      data: {
+        deletionRequestedAt: user.deletionRequestedAt,
+        deletionScheduledFor: user.deletionScheduledFor,
+        gracePeriodDays: this.gracePeriodDays(),
+        requiresPassword: !!user.password
+      }
+    };
+  }
+
+  /**
+   * Schedule the user's account for deletion and sign them out everywhere
+   * @param {string} userId - User ID
+   * @param {Object} confirmation - { password } (required when the account has one)
+   * @returns {Promise<Object>} Deletion date
+   */
+  async requestDeletion(userId, { password } = {}) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.role === 'ADMIN') {
+      throw new Error('Admin accounts must be removed by another admin');
+    }
+
+    if (user.deletionScheduledFor) {
+      throw new Error('Account deletion is already scheduled');
+    }
+
+    if (user.password && !(password && await bcrypt.compare(password, user.password))) {
+      throw new Error('Password is incorrect');
+    }
+
+    const scheduledFor = new Date(Date.now() + this.gracePeriodDays() * 24 * 60 * 60 * 1000);
+    await accountRepository.scheduleDeletion(userId, scheduledFor);
+
+    await refreshTokenRepository.revokeAllForUser(userId);
+    await sessionRepository.revokeAllForUser(userId);
+
+    await auditLogService.record('account.deletion_requested', {
+      actorId: userId,
+      targetUserId: userId,
+      metadata: { scheduledFor }
+    });
+
+    return {
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Sign in before then to cancel.`,
+      data: {
+        deletionScheduledFor: scheduledFor
+      }
+    };
+  }
+
+  /**
+   * Cancel a pending deletion
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Success response
+   */
+  async cancelDeletion(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.deletionScheduledFor) {
+      throw new Error('Account deletion is not scheduled');
+    }
+
+    await accountRepository.cancelDeletion(userId);
+
+    await auditLogService.record('account.deletion_cancelled', {
+      actorId: userId,
+      targetUserId: userId
+    });
+
+    return {
+      success: true,
+      message: 'Account deletion cancelled'
+    };
+  }
+
+  /**
+   * Anonymize every account whose grace period has ended
+   * A failure on one account is logged and the rest still run
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of accounts anonymized
+   */
+  async anonymizeDueAccounts(now = new Date()) {
+    const due = await accountRepository.findDueForAnonymization(now);
+    let anonymized = 0;
+
+    for (const { id } of due) {
+      let releasedEventIds;
+
+      try {
+        ({ releasedEventIds } = await accountRepository.anonymize(id, this.placeholderFor(id)));
+        await auditLogService.record('account.anonymized', { targetUserId: id });
+        anonymized++;
+      } catch (error) {
+        console.error(`Failed to anonymize account ${id}:`, error.message);
+        continue;
+      }
+
+      await this.offerReleasedPlaces(releasedEventIds);
+    }
+
+    return anonymized;
+  }
+
+  /**
+   * Offer places given up by an anonymized account to the events' waitlists
+   * @param {Array<string>} eventIds - Events with a place to pass on
+   */
+  async offerReleasedPlaces(eventIds) {
+    for (const eventId of eventIds) {
+      try {
+        await waitlistService.promote(eventId);
+      } catch (error) {
+        console.error(`Failed to offer released place on event ${eventId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Unique username and email that replace a deleted user's
+   * .invalid is reserved, so the address can never receive mail
+   */
+  placeholderFor(userId) {
+    return {
+      username: `deleted_${userId.replace(/-/g, '')}`,
+      email: `deleted+${userId}@deleted.invalid`
+    };
+  }
+}
+
+module.exports = new AccountService();
@@ -1,4 +1,6 @@
 const prisma = require('../database/prisma');
+const shiftRepository = require('../database/repositories/shiftRepository');
+const organizationScope = require('../utils/organizationScope');
 const NotificationService = require('./notificationService');
 const emailService = require('./emailService');
 
@@ -9,30 +11,19 @@ const emailService = require('./emailService');
 class AttendanceService {
   /**
    * Volunteer checks in to an event
+   * For events with shifts, check-in is to one of the volunteer's shifts:
+   * options.shiftId, or else their next shift that has not finished.
    */
   async checkIn(eventId, volunteerId, options = {}) {
     // Verify event exists and is active
     const event = await prisma.event.findUnique({
-      where: { id: eventId }
+      where: { id: eventId, ...organizationScope.where() }
     });
 
     if (!event) {
       throw new Error('Event not found');
     }
 
-    // Check if event has started (allow check-in 30 minutes before)
-    const now = new Date();
-    const eventStart = new Date(event.startDate);
-    const earlyCheckInWindow = new Date(eventStart.getTime() - 30 * 60 * 1000); // 30 minutes before
-
-    if (now < earlyCheckInWindow) {
-      throw new Error('Cannot check in more than 30 minutes before event starts');
-    }
-
-    if (now > new Date(event.endDate)) {
-      throw new Error('Cannot check in after event has ended');
-    }
-
     // Verify volunteer is assigned to this event
     const assignment = await prisma.assignment.findFirst({
       where: {
@@ -46,6 +37,23 @@ class AttendanceService {
       throw new Error('You are not assigned to this event');
     }
 
+    const now = new Date();
+    const signup = await this.findShiftSignup(eventId, volunteerId, options.shiftId, now);
+
+    // Check if event (or shift) has started (allow check-in 30 minutes before)
+    const window = signup ? signup.shift : event;
+    const label = signup ? 'shift' : 'event';
+    const eventStart = new Date(window.startDate);
+    const earlyCheckInWindow = new Date(eventStart.getTime() - 30 * 60 * 1000); // 30 minutes before
+
+    if (now < earlyCheckInWindow) {
+      throw new Error(`Cannot check in more than 30 minutes before ${label} starts`);
+    }
+
+    if (now > new Date(window.endDate)) {
+      throw new Error(`Cannot check in after ${label} has ended`);
+    }
+
     // Check if already checked in
     const existingRecord = await prisma.volunteerHistory.findFirst({
       where: {
@@ -54,7 +62,16 @@ class AttendanceService {
       }
     });
 
-    if (existingRecord && existingRecord.status === 'COMPLETED') {
+    if (signup) {
+      if (signup.checkOutAt) {
+        throw new Error('You have already checked out from this shift');
+      }
+      if (signup.checkInAt) {
+        throw new Error('You are already checked in to this shift');
+      }
+
+      await shiftRepository.updateSignup(signup.id, { checkInAt: now });
+    } else if (existingRecord && existingRecord.status === 'COMPLETED') {
       throw new Error('You have already checked out from this event');
     }
 
@@ -69,7 +86,8 @@ class AttendanceService {
       update: {
         status: 'CONFIRMED',
         attendance: 'PRESENT',
-        participationDate: now
+        // A later shift keeps the time of the first check-in
+        participationDate: signup && existingRecord ? existingRecord.participationDate : now
       },
       create: {
         volunteerId,
@@ -114,7 +132,8 @@ class AttendanceService {
     return {
       historyRecord,
       checkInTime: now,
-      message: 'Successfully checked in'
+      shift: signup ? { id: signup.shift.id, name: signup.shift.name, position: signup.position.name } : null,
+      message: signup ? `Successfully checked in to ${signup.shift.name}` : 'Successfully checked in'
     };
   }
 
@@ -137,7 +156,16 @@ class AttendanceService {
       throw new Error('No check-in record found. Please check in first.');
     }
 
-    if (historyRecord.status === 'COMPLETED') {
+    const signups = await shiftRepository.findSignupsForVolunteer(eventId, volunteerId);
+    const signup = signups.length > 0
+      ? signups.find(s => s.checkInAt && !s.checkOutAt && (!options.shiftId || s.shiftId === options.shiftId))
+      : null;
+
+    if (signups.length > 0 && !signup) {
+      throw new Error(options.shiftId ? 'You are not checked in to this shift' : 'You are not checked in to a shift');
+    }
+
+    if (!signup && historyRecord.status === 'COMPLETED') {
       throw new Error('You have already checked out from this event');
     }
 
@@ -146,17 +174,27 @@ class AttendanceService {
     }
 
     // Calculate hours worked
-    const checkInTime = new Date(historyRecord.participationDate);
+    const checkInTime = new Date(signup ? signup.checkInAt : historyRecord.participationDate);
     const checkOutTime = new Date();
     const hoursWorked = this.calculateHoursWorked(checkInTime, checkOutTime);
 
+    // With shifts, the event's hours are the total across the volunteer's shifts
+    let totalHours = hoursWorked;
+    if (signup) {
+      await shiftRepository.updateSignup(signup.id, {
+        checkOutAt: checkOutTime,
+        hoursWorked
+      });
+      totalHours = signups.reduce((sum, s) => sum + (s.id === signup.id ? hoursWorked : s.hoursWorked), 0);
+    }
+
     // Update history record
     const updatedRecord = await prisma.volunteerHistory.update({
       where: { id: historyRecord.id },
       data: {
         status: 'COMPLETED',
         completionDate: checkOutTime,
-        hoursWorked,
+        hoursWorked: Math.round(totalHours * 100) / 100,
         feedback: options.feedback || historyRecord.feedback
       },
       include: {
@@ -196,6 +234,7 @@ class AttendanceService {
       historyRecord: updatedRecord,
       checkOutTime,
       hoursWorked,
+      shift: signup ? { id: signup.shift.id, name: signup.shift.name, position: signup.position.name } : null,
       message: `Successfully checked out. Hours worked: ${hoursWorked}`
     };
   }
@@ -233,6 +272,43 @@ class AttendanceService {
     const eventEnd = new Date(assignment.event.endDate);
     const earlyCheckInWindow = new Date(eventStart.getTime() - 30 * 60 * 1000);
 
+    const signups = await shiftRepository.findSignupsForVolunteer(eventId, volunteerId);
+    const shifts = signups.map(signup => {
+      const shiftStart = new Date(signup.shift.startDate);
+      const shiftEnd = new Date(signup.shift.endDate);
+
+      return {
+        shiftId: signup.shiftId,
+        name: signup.shift.name,
+        position: signup.position.name,
+        startDate: signup.shift.startDate,
+        endDate: signup.shift.endDate,
+        canCheckIn: !signup.checkInAt && now >= new Date(shiftStart.getTime() - 30 * 60 * 1000) && now <= shiftEnd,
+        canCheckOut: !!signup.checkInAt && !signup.checkOutAt,
+        checkedIn: !!signup.checkInAt,
+        checkedOut: !!signup.checkOutAt,
+        checkInTime: signup.checkInAt,
+        checkOutTime: signup.checkOutAt,
+        hoursWorked: signup.hoursWorked
+      };
+    });
+
+    if (shifts.length > 0) {
+      return {
+        assigned: true,
+        canCheckIn: shifts.some(shift => shift.canCheckIn),
+        canCheckOut: shifts.some(shift => shift.canCheckOut),
+        checkedIn: !!historyRecord,
+        checkedOut: shifts.every(shift => shift.checkedOut),
+        checkInTime: historyRecord?.participationDate,
+        checkOutTime: historyRecord?.completionDate,
+        hoursWorked: historyRecord?.hoursWorked || 0,
+        attendance: historyRecord?.attendance || 'PENDING',
+        status: historyRecord?.status || 'REGISTERED',
+        shifts
+      };
+    }
+
     return {
       assigned: true,
       canCheckIn: now >= earlyCheckInWindow && now <= eventEnd && (!historyRecord || historyRecord.status !== 'COMPLETED'),
@@ -249,10 +325,11 @@ class AttendanceService {
 
   /**
    * Get event roster with all volunteers and their attendance status (admin only)
+   * Events with shifts also get a roster per shift, optionally just options.shiftId.
    */
-  async getEventRoster(eventId) {
+  async getEventRoster(eventId, options = {}) {
     const event = await prisma.event.findUnique({
-      where: { id: eventId },
+      where: { id: eventId, ...organizationScope.where() },
       include: {
         assignments: {
           include: {
@@ -299,6 +376,8 @@ class AttendanceService {
       };
     });
 
+    const shifts = await this.getShiftRosters(eventId, options.shiftId);
+
     return {
       event: {
         id: event.id,
@@ -308,6 +387,7 @@ class AttendanceService {
         status: event.status
       },
       roster,
+      ...(shifts && { shifts }),
       summary: {
         total: roster.length,
         present: roster.filter(r => r.attendance === 'PRESENT').length,
@@ -440,9 +520,11 @@ class AttendanceService {
    */
   async finalizeEventAttendance(eventId, adminId) {
     const event = await prisma.event.findUnique({
-      where: { id: eventId },
+      where: { id: eventId, ...organizationScope.where() },
       include: {
+        // Volunteers who cancelled or declined aren't no-shows
         assignments: {
+          where: { status: { notIn: ['CANCELLED', 'DECLINED'] } },
           include: {
             volunteer: {
               include: { profile: true }
@@ -462,6 +544,7 @@ class AttendanceService {
     });
 
     const updates = [];
+    const shiftHours = await this.closeOpenShifts(eventId);
 
     // Process each assignment
     for (const assignment of event.assignments) {
@@ -486,7 +569,9 @@ class AttendanceService {
         // Checked in but not checked out - auto checkout
         const eventEnd = new Date(event.endDate);
         const checkInTime = new Date(history.participationDate);
-        const hoursWorked = this.calculateHoursWorked(checkInTime, eventEnd);
+        const hoursWorked = shiftHours.has(assignment.volunteerId)
+          ? Math.round(shiftHours.get(assignment.volunteerId) * 100) / 100
+          : this.calculateHoursWorked(checkInTime, eventEnd);
 
         const updatedRecord = await prisma.volunteerHistory.update({
           where: { id: history.id },
@@ -617,6 +702,121 @@ class AttendanceService {
     return historyRecord;
   }
 
+  /**
+   * Pick the shift signup a check-in is for
+   * @returns {Object|null} Signup with shift and position, or null if the
+   *   volunteer has no shifts at this event
+   */
+  async findShiftSignup(eventId, volunteerId, shiftId, now) {
+    const signups = await shiftRepository.findSignupsForVolunteer(eventId, volunteerId);
+    if (signups.length === 0) {
+      if (shiftId) {
+        throw new Error('You are not signed up for this shift');
+      }
+      return null;
+    }
+
+    if (shiftId) {
+      const signup = signups.find(s => s.shiftId === shiftId);
+      if (!signup) {
+        throw new Error('You are not signed up for this shift');
+      }
+      return signup;
+    }
+
+    // Signups are in start order, so this is the current or next shift
+    const next = signups.find(s => !s.checkOutAt && new Date(s.shift.endDate) >= now);
+    if (!next) {
+      throw new Error('You have no remaining shifts to check in to');
+    }
+    return next;
+  }
+
+  /**
+   * Per-shift rosters for an event with shifts
+   * @returns {Array|null} Shifts with their positions and volunteers, or null without shifts
+   */
+  async getShiftRosters(eventId, shiftId) {
+    const shifts = await shiftRepository.findByEvent(eventId);
+    if (shifts.length === 0) {
+      return null;
+    }
+
+    const signups = await shiftRepository.findSignupsForEvent(eventId);
+
+    return shifts
+      .filter(shift => !shiftId || shift.id === shiftId)
+      .map(shift => {
+        const roster = signups
+          .filter(signup => signup.shiftId === shift.id)
+          .map(signup => {
+            const volunteer = signup.assignment.volunteer;
+            return {
+              volunteerId: volunteer.id,
+              volunteerName: volunteer.profile
+                ? `${volunteer.profile.firstName} ${volunteer.profile.lastName}`
+                : volunteer.username,
+              email: volunteer.email,
+              positionId: signup.positionId,
+              position: signup.position.name,
+              assignmentStatus: signup.assignment.status,
+              checkedIn: !!signup.checkInAt,
+              checkedOut: !!signup.checkOutAt,
+              checkInTime: signup.checkInAt,
+              checkOutTime: signup.checkOutAt,
+              hoursWorked: signup.hoursWorked
+            };
+          });
+
+        return {
+          id: shift.id,
+          name: shift.name,
+          startDate: shift.startDate,
+          endDate: shift.endDate,
+          positions: shift.positions.map(position => ({
+            id: position.id,
+            name: position.name,
+            capacity: position.capacity,
+            filled: position.filled
+          })),
+          roster,
+          summary: {
+            total: roster.length,
+            checkedIn: roster.filter(r => r.checkedIn).length,
+            checkedOut: roster.filter(r => r.checkedOut).length
+          }
+        };
+      });
+  }
+
+  /**
+   * Check out anyone still checked in to a shift, at the end of that shift
+   * @returns {Map<string, number>} Total shift hours per volunteer
+   */
+  async closeOpenShifts(eventId) {
+    const signups = await shiftRepository.findSignupsForEvent(eventId);
+    const shifts = new Map((await shiftRepository.findByEvent(eventId)).map(shift => [shift.id, shift]));
+    const totals = new Map();
+
+    for (const signup of signups) {
+      let hoursWorked = signup.hoursWorked;
+
+      if (signup.checkInAt && !signup.checkOutAt) {
+        const shiftEnd = new Date(shifts.get(signup.shiftId).endDate);
+        hoursWorked = this.calculateHoursWorked(signup.checkInAt, shiftEnd);
+        await shiftRepository.updateSignup(signup.id, {
+          checkOutAt: shiftEnd,
+          hoursWorked
+        });
+      }
+
+      const volunteerId = signup.assignment.volunteerId;
+      totals.set(volunteerId, (totals.get(volunteerId) || 0) + hoursWorked);
+    }
+
+    return totals;
+  }
+
   /**
    * Calculate hours worked between two timestamps
    */
@@ -0,0 +1,46 @@
+const auditLogRepository = require('../database/repositories/auditLogRepository');
+
+/**
+ * Audit Log Service
+ * Append-only record of sensitive actions
+ * Recording never throws: a failed write is logged rather than failing the
+ * action being audited
+ */
+class AuditLogService {
+  /**
+   * Record an action
+   * @param {string} action - Dotted action name, e.g. impersonation.start
+   * @param {Object} details - actorId, targetUserId, impersonationId, method, path, statusCode, metadata
+   * @returns {Promise<Object|null>} Entry, or null if it could not be written
+   */
+  async record(action, details = {}) {
+    try {
+      return await auditLogRepository.create({ action, ...details });
+    } catch (error) {
+      console.error('Failed to write audit log entry:', action, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Entries recorded during an impersonation
+   * @param {string} impersonationId - Impersonation session ID
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  async forImpersonation(impersonationId) {
+    const entries = await auditLogRepository.findByImpersonation(impersonationId);
+
+    return entries.map(entry => ({
+      id: entry.id,
+      action: entry.action,
+      actorId: entry.actorId,
+      method: entry.method,
+      path: entry.path,
+      statusCode: entry.statusCode,
+      metadata: entry.metadata,
+      createdAt: entry.createdAt
+    }));
+  }
+}
+
+module.exports = new AuditLogService();
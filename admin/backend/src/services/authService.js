@@ -1,7 +1,20 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const userRepository = require('../database/repositories/userRepository');
+const passwordResetRepository = require('../database/repositories/passwordResetRepository');
+const refreshTokenRepository = require('../database/repositories/refreshTokenRepository');
+const sessionRepository = require('../database/repositories/sessionRepository');
+const organizationRepository = require('../database/repositories/organizationRepository');
 const emailService = require('./emailService');
+const twoFactorService = require('./twoFactorService');
+const loginThrottleService = require('./loginThrottleService');
+
+// Reset links expire after 1 hour (matches the copy in the reset email)
+const PASSWORD_RESET_EXPIRY_MS = 60 * 60 * 1000;
+
+// Audience of email verification tokens, which share the access token secret
+const EMAIL_VERIFICATION_AUDIENCE = 'email-verification';
 
 /**
  * Authentication Service
@@ -15,7 +28,7 @@ class AuthService {
    * @returns {Object} Success response with user data (excluding password)
    */
   async register(userData) {
-    const { username, email, password, role = 'volunteer' } = userData;
+    const { username, email, password, role = 'volunteer', organization } = userData;
 
     // Check if user already exists
     const existingUserByEmail = await userRepository.findByEmail(email.toLowerCase());
@@ -28,6 +41,16 @@ class AuthService {
       throw new Error('Username already taken');
     }
 
+    // Join the organization named at sign-up, otherwise the default one
+    let organizationId;
+    if (organization) {
+      const found = await organizationRepository.findBySlug(organization.toLowerCase());
+      if (!found) {
+        throw new Error('Organization not found');
+      }
+      organizationId = found.id;
+    }
+
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -37,7 +60,8 @@ class AuthService {
       email: email.toLowerCase(),
       password: hashedPassword,
       role,
-      verified: true // For Assignment 3, skip email verification
+      verified: false,
+      organizationId
     });
 
     // Create initial profile
@@ -71,6 +95,13 @@ class AuthService {
       // Don't fail registration if email fails
     }
 
+    try {
+      await this.sendVerificationEmail(newUser, username);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+      // User can request another link from their account
+    }
+
     // Generate JWT token
     const token = this.generateToken(newUser.id);
 
@@ -106,17 +137,77 @@ class AuthService {
       throw new Error('Invalid email or password');
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Locked or backing off accounts are refused before the password is checked
+    const attempts = await loginThrottleService.beginAttempt(user);
+
+    // Verify password (accounts created through OAuth may not have one)
+    const isPasswordValid = user.password ? await bcrypt.compare(password, user.password) : false;
     if (!isPasswordValid) {
+      await loginThrottleService.recordFailure(user, attempts);
       throw new Error('Invalid email or password');
     }
 
-    // Check if user is verified
-    if (!user.verified) {
-      throw new Error('Please verify your email before logging in');
+    // Second step required before any tokens are issued
+    // (earlier failures are only cleared once the code is verified)
+    if (user.twoFactorEnabled) {
+      await loginThrottleService.releaseAttempt(user);
+      return {
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: this.generateTwoFactorChallenge(user.id)
+        }
+      };
+    }
+
+    await loginThrottleService.recordSuccess(user);
+
+    return await this.completeLogin(user);
+  }
+
+  /**
+   * Complete a login that is waiting on a two-factor code
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {string} code - TOTP or recovery code
+   * @returns {Object} Success response with token and user data
+   */
+  async verifyTwoFactorLogin(challengeToken, code) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired two-factor challenge');
     }
 
+    if (decoded.type !== 'two_factor') {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    const user = await userRepository.findById(decoded.userId);
+    if (!user || !user.twoFactorEnabled) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    // Wrong codes count toward the same per-account limit as wrong passwords
+    const attempts = await loginThrottleService.beginAttempt(user);
+
+    if (!(await twoFactorService.verifyCode(user, code))) {
+      await loginThrottleService.recordFailure(user, attempts);
+      throw new Error('Invalid verification code');
+    }
+
+    await loginThrottleService.recordSuccess(user);
+
+    return await this.completeLogin(user);
+  }
+
+  /**
+   * Build the login response once all factors are verified
+   * @param {Object} user - User record
+   * @returns {Object} Success response with token and user data
+   */
+  async completeLogin(user) {
     // Get user profile
     const profile = await userRepository.getProfile(user.id);
 
@@ -137,6 +228,8 @@ class AuthService {
           email: user.email,
           role: user.role.toLowerCase(),
           verified: user.verified,
+          twoFactorEnabled: user.twoFactorEnabled,
+          twoFactorSetupRequired: await twoFactorService.isSetupRequired(user),
           lastLogin: new Date()
         },
         token,
@@ -146,15 +239,21 @@ class AuthService {
   }
 
   /**
-   * Logout user (in a real app, this would invalidate the token)
+   * Logout user by ending the session the refresh token belongs to
    * @param {string} userId - User ID
+   * @param {string} [refreshToken] - Refresh token from the session cookie
    * @returns {Object} Success response
    */
-  async logout(userId) {
-    // In a real application, we would:
-    // 1. Add token to blacklist
-    // 2. Update user's last logout time
-    // 3. Clear any cached session data
+  async logout(userId, refreshToken) {
+    if (refreshToken) {
+      const tokenRecord = await refreshTokenRepository.findByHash(this.hashToken(refreshToken));
+
+      // Ignore tokens that belong to someone else
+      if (tokenRecord && tokenRecord.userId === userId) {
+        await refreshTokenRepository.revokeFamily(tokenRecord.familyId);
+        await sessionRepository.revoke(tokenRecord.familyId);
+      }
+    }
 
     return {
       success: true,
@@ -170,6 +269,10 @@ class AuthService {
   async verifyToken(token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.type !== 'access' && decoded.type !== 'impersonation') {
+        throw new Error('Not an access token');
+      }
+
       const user = await userRepository.findById(decoded.userId);
 
       if (!user) {
@@ -208,7 +311,7 @@ class AuthService {
     }
 
     // Verify current password
-    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    const isCurrentPasswordValid = user.password ? await bcrypt.compare(currentPassword, user.password) : false;
     if (!isCurrentPasswordValid) {
       throw new Error('Current password is incorrect');
     }
@@ -221,12 +324,215 @@ class AuthService {
       password: hashedNewPassword
     });
 
+    // Sign out every session; the controller issues a fresh one for the caller
+    await refreshTokenRepository.revokeAllForUser(userId);
+    await sessionRepository.revokeAllForUser(userId);
+
     return {
       success: true,
       message: 'Password changed successfully'
     };
   }
 
+  /**
+   * Set the first password on an account created through OAuth
+   * @param {string} userId - User ID
+   * @param {string} newPassword - New password
+   * @returns {Object} Success response
+   */
+  async setPassword(userId, newPassword) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.password) {
+      throw new Error('Account already has a password; use change password instead');
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await userRepository.updatePassword(userId, hashedPassword);
+
+    return {
+      success: true,
+      message: 'Password set. You can now sign in with your email and password.'
+    };
+  }
+
+  /**
+   * Request a password reset link
+   * Responds identically whether or not the email is registered so the
+   * endpoint cannot be used to discover accounts
+   * @param {string} email - Account email address
+   * @returns {Object} Success response
+   */
+  async requestPasswordReset(email) {
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await userRepository.findByEmail(email.toLowerCase());
+    if (!user) {
+      return response;
+    }
+
+    // Only the most recently issued link should work
+    await passwordResetRepository.invalidateForUser(user.id);
+
+    // Email the raw token, store only its hash
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await passwordResetRepository.create({
+      userId: user.id,
+      tokenHash: this.hashToken(resetToken),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRY_MS)
+    });
+
+    try {
+      await emailService.sendPasswordResetEmail(
+        user.email,
+        user.profile?.firstName || user.username,
+        resetToken
+      );
+    } catch (emailError) {
+      console.error('Failed to send password reset email:', emailError);
+      // Don't reveal delivery failures to the caller
+    }
+
+    return response;
+  }
+
+  /**
+   * Reset password using a reset token
+   * @param {string} resetToken - Raw token from the reset email
+   * @param {string} newPassword - New password
+   * @returns {Object} Success response
+   */
+  async resetPassword(resetToken, newPassword) {
+    const tokenRecord = await passwordResetRepository.findValidByHash(this.hashToken(resetToken));
+    if (!tokenRecord) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    // Claim the token before changing anything so it can only be redeemed once
+    const claimed = await passwordResetRepository.markUsed(tokenRecord.id);
+    if (!claimed) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await userRepository.updatePassword(tokenRecord.userId, hashedPassword);
+
+    // Any other outstanding links for this account are now stale
+    await passwordResetRepository.invalidateForUser(tokenRecord.userId);
+
+    // Whoever knew the old password may still hold a session
+    await refreshTokenRepository.revokeAllForUser(tokenRecord.userId);
+    await sessionRepository.revokeAllForUser(tokenRecord.userId);
+
+    // Proving access to the mailbox lifts any lockout
+    await userRepository.resetLoginFailures(tokenRecord.userId);
+
+    return {
+      success: true,
+      message: 'Password has been reset successfully'
+    };
+  }
+
+  /**
+   * Hash a reset or refresh token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Verify a user's email address from a verification link
+   * @param {string} verificationToken - Signed token from the verification email
+   * @returns {Object} Success response
+   */
+  async verifyEmail(verificationToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(verificationToken, process.env.JWT_SECRET, { audience: EMAIL_VERIFICATION_AUDIENCE });
+    } catch (error) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    if (decoded.type !== 'email_verification') {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    const user = await userRepository.findById(decoded.userId);
+
+    // A link issued for a previous address must not verify the current one
+    if (!user || user.email !== decoded.email) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    if (!user.verified) {
+      await userRepository.verifyEmail(user.id);
+    }
+
+    return {
+      success: true,
+      message: 'Email verified successfully'
+    };
+  }
+
+  /**
+   * Send a fresh verification link to the current user
+   * @param {string} userId - User ID
+   * @returns {Object} Success response
+   */
+  async resendVerificationEmail(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.verified) {
+      throw new Error('Email is already verified');
+    }
+
+    await this.sendVerificationEmail(user, user.profile?.firstName || user.username);
+
+    return {
+      success: true,
+      message: 'Verification email sent'
+    };
+  }
+
+  /**
+   * Generate and email a verification link
+   * @param {Object} user - User record
+   * @param {string} displayName - Name used in the email greeting
+   */
+  async sendVerificationEmail(user, displayName) {
+    const verificationToken = this.generateEmailVerificationToken(user);
+    return emailService.sendVerificationEmail(user.email, displayName, verificationToken);
+  }
+
+  /**
+   * Generate signed email verification token
+   * The address is embedded so the token stops working if the email changes.
+   * Its own audience keeps it from being accepted anywhere an access token is.
+   * @param {Object} user - User record
+   * @returns {string} JWT verification token
+   */
+  generateEmailVerificationToken(user) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, type: 'email_verification' },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+        audience: EMAIL_VERIFICATION_AUDIENCE
+      }
+    );
+  }
+
   /**
    * Get user profile with statistics
    * @param {string} userId - User ID
@@ -272,33 +578,101 @@ class AuthService {
   /**
    * Generate JWT access token for user
    * @param {string} userId - User ID
+   * @param {string} [sessionId] - Session the token belongs to
    * @returns {string} JWT access token (short-lived)
    */
-  generateToken(userId) {
+  generateToken(userId, sessionId) {
     return jwt.sign(
-      { userId, type: 'access' },
+      { userId, type: 'access', ...(sessionId && { sid: sessionId }) },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
   }
 
+  /**
+   * Generate short-lived token linking the password step to the 2FA step
+   * @param {string} userId - User ID
+   * @returns {string} JWT challenge token
+   */
+  generateTwoFactorChallenge(userId) {
+    return jwt.sign(
+      { userId, type: 'two_factor' },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+  }
+
   /**
    * Generate refresh token for user
    * @param {string} userId - User ID
+   * @param {string} familyId - Token family the refresh token belongs to
    * @returns {string} JWT refresh token (long-lived)
    */
-  generateRefreshToken(userId) {
+  generateRefreshToken(userId, familyId) {
     return jwt.sign(
-      { userId, type: 'refresh' },
+      { userId, familyId, type: 'refresh' },
       process.env.REFRESH_TOKEN_SECRET,
-      { expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d' }
+      {
+        expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+        jwtid: crypto.randomUUID() // Keeps tokens unique within a family
+      }
     );
   }
 
   /**
-   * Verify refresh token and generate new access token
+   * Issue and persist a refresh token
+   * Omitting the family starts a new one (a new login session)
+   * @param {string} userId - User ID
+   * @param {string} [familyId] - Existing token family when rotating
+   * @returns {string} JWT refresh token
+   */
+  async createRefreshToken(userId, familyId = crypto.randomUUID()) {
+    const refreshToken = this.generateRefreshToken(userId, familyId);
+    const { exp } = jwt.decode(refreshToken);
+
+    await refreshTokenRepository.create({
+      userId,
+      familyId,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: new Date(exp * 1000)
+    });
+
+    return refreshToken;
+  }
+
+  /**
+   * Start a login session for a device
+   * The session ID doubles as the refresh token family
+   * @param {string} userId - User ID
+   * @param {Object} [context] - { userAgent, ipAddress } of the login request
+   * @returns {Object} Access token, refresh token and session ID
+   */
+  async startSession(userId, { userAgent, ipAddress } = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = await this.createRefreshToken(userId, sessionId);
+    const { exp } = jwt.decode(refreshToken);
+
+    await sessionRepository.create({
+      id: sessionId,
+      userId,
+      userAgent: userAgent ? userAgent.slice(0, 512) : null,
+      ipAddress: ipAddress || null,
+      expiresAt: new Date(exp * 1000)
+    });
+
+    return {
+      accessToken: this.generateToken(userId, sessionId),
+      refreshToken,
+      sessionId
+    };
+  }
+
+  /**
+   * Rotate a refresh token and generate new access token
+   * Presenting a token that was already rotated means it has leaked, so
+   * the whole family is revoked and every holder must log in again
    * @param {string} refreshToken - Refresh token
-   * @returns {Object} New access token
+   * @returns {Object} New access and refresh tokens
    */
   async refreshAccessToken(refreshToken) {
     try {
@@ -308,19 +682,38 @@ class AuthService {
         throw new Error('Invalid token type');
       }
 
-      const user = await userRepository.findById(decoded.userId);
+      const tokenRecord = await refreshTokenRepository.findByHash(this.hashToken(refreshToken));
+
+      if (!tokenRecord || tokenRecord.revokedAt) {
+        throw new Error('Refresh token revoked');
+      }
+
+      const rotated = tokenRecord.usedAt ? false : await refreshTokenRepository.markUsed(tokenRecord.id);
+
+      if (!rotated) {
+        await refreshTokenRepository.revokeFamily(tokenRecord.familyId);
+        await sessionRepository.revoke(tokenRecord.familyId);
+        console.warn(`Refresh token reuse detected for user ${tokenRecord.userId}; family ${tokenRecord.familyId} revoked`);
+        throw new Error('Refresh token reuse detected');
+      }
+
+      const user = await userRepository.findById(tokenRecord.userId);
 
       if (!user) {
         throw new Error('User not found');
       }
 
-      // Generate new access token
-      const newAccessToken = this.generateToken(user.id);
+      // Generate new token pair in the same family (session)
+      const newAccessToken = this.generateToken(user.id, tokenRecord.familyId);
+      const newRefreshToken = await this.createRefreshToken(user.id, tokenRecord.familyId);
+      const { exp } = jwt.decode(newRefreshToken);
+      await sessionRepository.extend(tokenRecord.familyId, new Date(exp * 1000));
 
       return {
         success: true,
         data: {
           accessToken: newAccessToken,
+          refreshToken: newRefreshToken,
           user: {
             id: user.id,
             username: user.username,
@@ -344,19 +737,46 @@ class AuthService {
     const isProduction = process.env.NODE_ENV === 'production';
 
     // Access token cookie (short-lived)
+    this.setAccessCookie(res, accessToken);
+
+    // Refresh token cookie (long-lived)
+    res.cookie('refreshToken', refreshToken, {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: isProduction ? 'none' : 'lax', // 'none' for cross-domain in production (requires secure=true)
+      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+  }
+
+  /**
+   * Set only the access token cookie, leaving the refresh token in place
+   * @param {Object} res - Express response object
+   * @param {string} accessToken - JWT access token
+   * @param {number} [maxAge] - Cookie lifetime in milliseconds (default 15 minutes)
+   */
+  setAccessCookie(res, accessToken, maxAge = 15 * 60 * 1000) {
+    const isProduction = process.env.NODE_ENV === 'production';
+
     res.cookie('accessToken', accessToken, {
       httpOnly: true, // Prevents JavaScript access (XSS protection)
       secure: isProduction, // HTTPS only in production
       sameSite: isProduction ? 'none' : 'lax', // 'none' for cross-domain in production (requires secure=true)
-      maxAge: 15 * 60 * 1000 // 15 minutes
+      maxAge
     });
+  }
 
-    // Refresh token cookie (long-lived)
-    res.cookie('refreshToken', refreshToken, {
+  /**
+   * Clear only the access token cookie
+   * The next request refreshes from the refresh token cookie
+   * @param {Object} res - Express response object
+   */
+  clearAccessCookie(res) {
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    res.clearCookie('accessToken', {
       httpOnly: true,
       secure: isProduction,
-      sameSite: isProduction ? 'none' : 'lax', // 'none' for cross-domain in production (requires secure=true)
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+      sameSite: isProduction ? 'none' : 'lax'
     });
   }
 
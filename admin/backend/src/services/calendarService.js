@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const eventRepository = require('../database/repositories/eventRepository');
+const userRepository = require('../database/repositories/userRepository');
+const ical = require('../utils/ical');
+
+// Marks a calendar feed token, so a leaked one is recognizable in logs
+const TOKEN_PREFIX = 'cal_';
+
+// Events that ended longer ago than this are left out of feeds
+const DEFAULT_FEED_HISTORY_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar Service
+ * iCalendar feeds that volunteers and coordinators subscribe to from their
+ * own calendar apps
+ *
+ * Calendar apps can't send an Authorization header, so each user has one
+ * secret token that goes in their feed URLs. Only a SHA-256 hash is stored;
+ * regenerating the token replaces it, which stops the old URLs working.
+ */
+class CalendarService {
+  /**
+   * Issue a new calendar token for a user, replacing any previous one
+   * @param {Object} user - req.user
+   * @returns {Object} Plain token and the feed URLs built from it
+   */
+  async regenerateToken(user) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    await userRepository.setCalendarTokenHash(user.id, this.hashToken(token));
+
+    return {
+      success: true,
+      message: 'Calendar link created; any previous link has stopped working',
+      data: {
+        token,
+        ...this.getFeedUrls(token, user)
+      }
+    };
+  }
+
+  /**
+   * Look up the user a calendar token belongs to
+   * @param {string} token - Token from the feed URL
+   * @returns {Promise<Object|null>} User, or null if the token is unknown
+   */
+  async verify(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    return await userRepository.findByCalendarTokenHash(this.hashToken(token));
+  }
+
+  /**
+   * Build a volunteer's personal feed of the events they are assigned to
+   * Assignments with shift signups appear once per shift.
+   * @param {Object} user - req.user
+   * @returns {Promise<string>} iCalendar document
+   */
+  async getPersonalFeed(user) {
+    const assignments = await eventRepository.getCalendarAssignments(user.id, this.getFeedStart());
+
+    return ical.buildCalendar({
+      name: 'JACS ShiftPilot - My shifts',
+      events: assignments.flatMap(assignment => this.toAssignmentEntries(assignment))
+    });
+  }
+
+  /**
+   * Build a coordinator feed of one event or of every event in a category
+   * Events with shifts appear once per shift.
+   * @param {Object} filters - { eventId, category }
+   * @returns {Promise<string>} iCalendar document
+   */
+  async getEventFeed({ eventId, category }) {
+    const events = await eventRepository.findForCalendar({
+      eventId,
+      category,
+      since: this.getFeedStart()
+    });
+
+    let name = 'JACS ShiftPilot - Events';
+    if (eventId && events.length > 0) {
+      name = `JACS ShiftPilot - ${events[0].title}`;
+    } else if (category) {
+      name = `JACS ShiftPilot - ${category} events`;
+    }
+
+    return ical.buildCalendar({
+      name,
+      events: events.flatMap(event => this.toEventEntries(event))
+    });
+  }
+
+  /**
+   * Build the subscription URLs for a token
+   * Coordinators and admins also get the event feed URL.
+   */
+  getFeedUrls(token, user) {
+    const base = `${process.env.BACKEND_URL || 'http://localhost:3001'}/api/calendar/${token}`;
+
+    const urls = { feedUrl: `${base}.ics` };
+    if (['admin', 'coordinator'].includes(user.role)) {
+      urls.eventFeedUrl = `${base}/events.ics`;
+    }
+
+    return urls;
+  }
+
+  getFeedStart() {
+    const days = parseInt(process.env.CALENDAR_FEED_HISTORY_DAYS, 10) || DEFAULT_FEED_HISTORY_DAYS;
+    return new Date(Date.now() - days * DAY_MS);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Calendar entries for one assignment
+   */
+  toAssignmentEntries(assignment) {
+    const { event } = assignment;
+
+    let status = assignment.status === 'PENDING' ? 'TENTATIVE' : 'CONFIRMED';
+    if (['CANCELLED', 'DECLINED'].includes(assignment.status) || event.status === 'CANCELLED') {
+      status = 'CANCELLED';
+    }
+
+    const entry = {
+      summary: status === 'CANCELLED' ? `Cancelled: ${event.title}` : event.title,
+      description: this.describeEvent(event, `Your assignment: ${assignment.status.toLowerCase()}`),
+      location: this.formatLocation(event),
+      status,
+      url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard/schedule`,
+      lastModified: assignment.updatedAt
+    };
+
+    const signups = assignment.shiftSignups || [];
+    if (signups.length === 0) {
+      return [{ ...entry, uid: `assignment-${assignment.id}`, start: event.startDate, end: event.endDate }];
+    }
+
+    return signups.map(signup => ({
+      ...entry,
+      uid: `shift-signup-${signup.id}`,
+      summary: `${entry.summary} (${signup.shift.name}, ${signup.position.name})`,
+      start: signup.shift.startDate,
+      end: signup.shift.endDate
+    }));
+  }
+
+  /**
+   * Calendar entries for one event in a coordinator feed
+   */
+  toEventEntries(event) {
+    const statuses = { CANCELLED: 'CANCELLED', DRAFT: 'TENTATIVE' };
+
+    const entry = {
+      summary: event.status === 'CANCELLED' ? `Cancelled: ${event.title}` : event.title,
+      description: this.describeEvent(
+        event,
+        `Volunteers: ${event.currentVolunteers}/${event.maxVolunteers}`
+      ),
+      location: this.formatLocation(event),
+      status: statuses[event.status] || 'CONFIRMED',
+      lastModified: event.updatedAt
+    };
+
+    const shifts = event.shifts || [];
+    if (shifts.length === 0) {
+      return [{ ...entry, uid: `event-${event.id}`, start: event.startDate, end: event.endDate }];
+    }
+
+    return shifts.map(shift => ({
+      ...entry,
+      uid: `shift-${shift.id}`,
+      summary: `${entry.summary} (${shift.name})`,
+      start: shift.startDate,
+      end: shift.endDate
+    }));
+  }
+
+  describeEvent(event, statusLine) {
+    const lines = [event.description, '', `Status: ${event.status.toLowerCase().replace('_', ' ')}`, statusLine];
+
+    if (event.status === 'CANCELLED' && event.cancellationReason) {
+      lines.push(`Cancellation reason: ${event.cancellationReason}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  formatLocation(event) {
+    return [event.address, event.city, `${event.state} ${event.zipCode}`.trim()]
+      .filter(Boolean)
+      .join(', ');
+  }
+}
+
+module.exports = new CalendarService();
@@ -681,6 +681,142 @@ class EmailService {
     return this.sendEmail({ to: userEmail, subject, text, html });
   }
 
+  /**
+   * Send account locked notification after repeated failed logins
+   */
+  async sendAccountLockedEmail(userEmail, userName, lockedUntil) {
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password`;
+    const subject = '🔒 Account Temporarily Locked - JACS ShiftPilot';
+    const unlockTime = new Date(lockedUntil).toLocaleString('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+
+    const text = `Hi ${userName},\n\nYour JACS ShiftPilot account was temporarily locked after several failed login attempts. You can try again after ${unlockTime}.\n\nIf this was you, no action is needed. If you've forgotten your password, you can reset it now (this also unlocks your account):\n${resetUrl}\n\nIf this wasn't you, someone may be trying to guess your password. We recommend resetting it and enabling two-factor authentication.\n\nBest regards,\nThe JACS ShiftPilot Team`;
+
+    const content = `
+      <div class="content-section">
+        <h2 class="greeting">Account Temporarily Locked 🔒</h2>
+        <p class="text">
+          Hi ${userName},
+        </p>
+        <p class="text">
+          Your JACS ShiftPilot account was temporarily locked after several failed login attempts. You can try again after <strong>${unlockTime}</strong>.
+        </p>
+      </div>
+
+      <div class="button-container">
+        <a href="${resetUrl}" class="button">
+          Reset Your Password
+        </a>
+      </div>
+
+      <div class="content-section">
+        <p class="text">
+          <strong>Wasn't you?</strong> Someone may be trying to guess your password. Resetting it also unlocks your account, and we recommend turning on two-factor authentication in your profile.
+        </p>
+        <p class="text" style="margin-top: 24px;">
+          Stay safe,<br>
+          The JACS ShiftPilot Security Team
+        </p>
+      </div>
+    `;
+
+    const html = this.getEmailTemplate(content);
+    return this.sendEmail({ to: userEmail, subject, text, html });
+  }
+
+  /**
+   * Send email address verification email
+   */
+  async sendVerificationEmail(userEmail, userName, verificationToken) {
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}`;
+    const subject = '✉️ Verify Your Email - JACS ShiftPilot';
+
+    const text = `Hi ${userName},\n\nPlease confirm your email address for your JACS ShiftPilot account so we can send you assignment updates and event reminders.\n\nVerify your email here:\n${verifyUrl}\n\nThis link will expire in 24 hours.\n\nIf you didn't create an account, please ignore this email.\n\nBest regards,\nThe JACS ShiftPilot Team`;
+
+    const content = `
+      <div class="content-section">
+        <h2 class="greeting">Confirm Your Email ✉️</h2>
+        <p class="text">
+          Hi ${userName},
+        </p>
+        <p class="text">
+          Please confirm this is the right address for your JACS ShiftPilot account. We use it to send you assignment updates and event reminders.
+        </p>
+      </div>
+
+      <div class="button-container">
+        <a href="${verifyUrl}" class="button">
+          Verify Email Address
+        </a>
+      </div>
+
+      <div class="content-section">
+        <p class="text">
+          <strong>Didn't sign up?</strong> If you didn't create an account, you can safely ignore this email.
+        </p>
+        <p class="text" style="margin-top: 16px; padding: 12px; background: #fef3c7; border-left: 4px solid #f59e0b; border-radius: 4px;">
+          <strong>Alternative link:</strong> If the button doesn't work, copy and paste this URL into your browser (valid for 24 hours):<br>
+          <span style="word-break: break-all; font-size: 13px; color: #475569;">${verifyUrl}</span>
+        </p>
+        <p class="text" style="margin-top: 24px;">
+          Best regards,<br>
+          The JACS ShiftPilot Team
+        </p>
+      </div>
+    `;
+
+    const html = this.getEmailTemplate(content);
+    return this.sendEmail({ to: userEmail, subject, text, html });
+  }
+
+  /**
+   * Send an invitation to join an organization
+   */
+  async sendInvitationEmail(inviteeEmail, { inviterName, organizationName, role, inviteToken, expiresAt }) {
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/register?invite=${inviteToken}`;
+    const subject = `🎉 You're Invited to Join ${organizationName} on JACS ShiftPilot`;
+    const expiryDate = new Date(expiresAt).toLocaleDateString('en-US', { dateStyle: 'medium' });
+
+    const text = `Hi there,\n\n${inviterName} has invited you to join ${organizationName} on JACS ShiftPilot as a ${role}.\n\nCreate your account here:\n${inviteUrl}\n\nThis invitation expires on ${expiryDate}.\n\nIf you weren't expecting this invitation, you can ignore this email.\n\nBest regards,\nThe JACS ShiftPilot Team`;
+
+    const content = `
+      <div class="content-section">
+        <h2 class="greeting">You're Invited! 🎉</h2>
+        <p class="text">
+          Hi there,
+        </p>
+        <p class="text">
+          <strong>${inviterName}</strong> has invited you to join <strong>${organizationName}</strong> on JACS ShiftPilot as a <strong>${role}</strong>.
+        </p>
+      </div>
+
+      <div class="button-container">
+        <a href="${inviteUrl}" class="button">
+          Accept Invitation
+        </a>
+      </div>
+
+      <div class="content-section">
+        <p class="text">
+          This invitation expires on <strong>${expiryDate}</strong>. If you weren't expecting it, you can safely ignore this email.
+        </p>
+        <p class="text" style="margin-top: 16px; padding: 12px; background: #fef3c7; border-left: 4px solid #f59e0b; border-radius: 4px;">
+          <strong>Alternative link:</strong> If the button doesn't work, copy and paste this URL into your browser:<br>
+          <span style="word-break: break-all; font-size: 13px; color: #475569;">${inviteUrl}</span>
+        </p>
+        <p class="text" style="margin-top: 24px;">
+          Best regards,<br>
+          The JACS ShiftPilot Team
+        </p>
+      </div>
+    `;
+
+    const html = this.getEmailTemplate(content);
+    return this.sendEmail({ to: inviteeEmail, subject, text, html });
+  }
+
   /**
    * Send check-in confirmation email
    */
@@ -0,0 +1,393 @@
+const papaparse = require('papaparse');
+const eventRepository = require('../database/repositories/eventRepository');
+const skillRepository = require('../database/repositories/skillRepository');
+const organizationScope = require('../utils/organizationScope');
+const recurrence = require('../utils/recurrence');
+const ical = require('../utils/ical');
+const { schemas } = require('../middleware/validation');
+const eventService = require('./eventService');
+const geocodingService = require('./geocodingService');
+
+// Event fields a CSV column can be mapped to. date/startTime/endTime are an
+// alternative to startDate/endDate for spreadsheets that split them up.
+const IMPORT_FIELDS = Object.freeze([
+  'title',
+  'description',
+  'startDate',
+  'endDate',
+  'date',
+  'startTime',
+  'endTime',
+  'address',
+  'city',
+  'state',
+  'zipCode',
+  'maxVolunteers',
+  'urgencyLevel',
+  'category',
+  'requiredSkills'
+]);
+
+const MAX_IMPORT_ROWS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "1 Ocean Drive, Galveston, TX 77550", as most calendar apps write addresses
+const LOCATION_PATTERN = /^(.+),\s*([^,]+),\s*([A-Za-z]{2})\s+(\d{5}(?:-\d{4})?)(?:,\s*(?:USA?|United States))?$/i;
+
+/**
+ * Event Import Service
+ * Bulk creation of events from CSV spreadsheets and .ics calendar exports
+ *
+ * Every row goes through the same checks as an event created by hand. A dry
+ * run returns the events that would be created with each row's errors; a real
+ * import creates the valid rows as DRAFT events in one transaction, so a
+ * coordinator reviews and publishes them afterwards.
+ */
+class EventImportService {
+  /**
+   * Preview or run an import
+   * @param {string} userId - Importing user ID
+   * @param {Object} importData - { format, content, mapping, defaults, timezone, organizationId, dryRun }
+   *   mapping: event field => CSV column; defaults: field values for rows that leave them blank
+   * @returns {Object} Per-row results, and the created events unless dryRun is false
+   */
+  async importEvents(userId, importData) {
+    const {
+      format,
+      content,
+      mapping = {},
+      defaults = {},
+      timezone = 'UTC',
+      organizationId: requestedId,
+      dryRun = true
+    } = importData;
+
+    if (!recurrence.isValidTimeZone(timezone)) {
+      throw new Error(`Invalid time zone: ${timezone}`);
+    }
+
+    const organizationId = this.resolveOrganization(requestedId);
+
+    const rows = format === 'ics'
+      ? this.readCalendar(content, timezone)
+      : this.readSpreadsheet(content, mapping, timezone);
+
+    if (rows.length === 0) {
+      throw new Error('No events found in the import file');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} events per file`);
+    }
+
+    const skillIds = await this.getSkillIdsByName();
+    const results = rows.map(row => this.checkRow(row, defaults, skillIds));
+    const validRows = results.filter(result => result.errors.length === 0);
+
+    const summary = {
+      dryRun: dryRun !== false,
+      total: results.length,
+      valid: validRows.length,
+      invalid: results.length - validRows.length,
+      rows: results
+    };
+
+    if (summary.dryRun || validRows.length === 0) {
+      return {
+        success: true,
+        message: `${summary.valid} of ${summary.total} events are ready to import`,
+        data: summary
+      };
+    }
+
+    const located = await Promise.all(validRows.map(async result => ({
+      ...result.event,
+      ...await geocodingService.geocode(result.event)
+    })));
+
+    const events = await eventRepository.createMany(located.map(event => ({
+      ...event,
+      organizationId,
+      createdBy: userId,
+      status: 'draft',
+      currentVolunteers: 0
+    })));
+
+    return {
+      success: true,
+      message: summary.invalid > 0
+        ? `Imported ${events.length} events as drafts; ${summary.invalid} rows with errors were skipped`
+        : `Imported ${events.length} events as drafts`,
+      data: {
+        ...summary,
+        events: events.map(event => ({ id: event.id, title: event.title, startDate: event.startDate }))
+      }
+    };
+  }
+
+  /**
+   * Read the rows of a CSV file into event fields
+   * Columns are matched to fields by the mapping, or else by header name
+   * ("Start Date", "start_date" and "startDate" all match startDate).
+   * @returns {Array<Object>} { row, fields, errors } with spreadsheet row numbers
+   */
+  readSpreadsheet(content, mapping, timezone) {
+    const parsed = papaparse.parse(content.replace(/^\uFEFF/, ''), {
+      header: true,
+      skipEmptyLines: 'greedy',
+      transformHeader: header => header.trim()
+    });
+
+    const headers = parsed.meta.fields || [];
+    if (headers.length === 0) {
+      throw new Error('Could not read any columns from the CSV file');
+    }
+
+    const columns = this.resolveColumns(headers, mapping);
+
+    return parsed.data.map((record, index) => {
+      const value = (field) => {
+        const cell = columns[field] ? record[columns[field]] : undefined;
+        return typeof cell === 'string' && cell.trim() !== '' ? cell.trim() : undefined;
+      };
+
+      const fields = {};
+      for (const field of IMPORT_FIELDS) {
+        if (value(field) !== undefined) {
+          fields[field] = value(field);
+        }
+      }
+
+      const { date, startTime, endTime, ...eventFields } = fields;
+
+      if (eventFields.startDate) {
+        eventFields.startDate = this.parseDateTime(eventFields.startDate, timezone);
+      } else if (date && startTime) {
+        eventFields.startDate = this.parseDateTime(`${date} ${startTime}`, timezone);
+      }
+
+      if (eventFields.endDate) {
+        eventFields.endDate = this.parseDateTime(eventFields.endDate, timezone);
+      } else if (date && endTime) {
+        eventFields.endDate = this.parseDateTime(`${date} ${endTime}`, timezone);
+
+        // An end time before the start time is an overnight shift
+        if (eventFields.endDate instanceof Date && eventFields.startDate instanceof Date &&
+            eventFields.endDate <= eventFields.startDate) {
+          eventFields.endDate = new Date(eventFields.endDate.getTime() + DAY_MS);
+        }
+      }
+
+      // Row 1 is the header
+      return { row: index + 2, fields: eventFields, errors: [] };
+    });
+  }
+
+  /**
+   * Read the events of an .ics file into event fields
+   * Cancelled, all-day and repeating events can't be imported and are reported as errors.
+   * @returns {Array<Object>} { row, fields, errors } numbered in file order
+   */
+  readCalendar(content, timezone) {
+    if (!/BEGIN:VCALENDAR/i.test(content)) {
+      throw new Error('The import file is not an iCalendar (.ics) file');
+    }
+
+    return ical.parseEvents(content, timezone).map((event, index) => {
+      const errors = [];
+
+      if (event.status === 'CANCELLED') {
+        errors.push('Event is cancelled in the calendar');
+      }
+
+      if (event.allDay) {
+        errors.push('All-day events need a start and end time');
+      }
+
+      if (event.recurring) {
+        errors.push('Repeating events are not supported; export each occurrence separately');
+      }
+
+      const fields = {
+        title: event.summary || undefined,
+        description: event.description || undefined,
+        startDate: event.start || undefined,
+        endDate: event.end || undefined,
+        ...this.parseLocation(event.location)
+      };
+
+      Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+      return { row: index + 1, fields, errors };
+    });
+  }
+
+  /**
+   * Validate one row as an event
+   * @returns {Object} { row, event, errors }
+   */
+  checkRow({ row, fields, errors }, defaults, skillIds) {
+    const data = { ...defaults, ...fields };
+
+    if (data.urgencyLevel) {
+      data.urgencyLevel = String(data.urgencyLevel).toLowerCase();
+    }
+
+    if (data.category) {
+      data.category = String(data.category).toLowerCase();
+    }
+
+    if (typeof data.requiredSkills === 'string') {
+      const { requiredSkills, unknown } = this.resolveSkills(data.requiredSkills, skillIds);
+      data.requiredSkills = requiredSkills;
+      unknown.forEach(name => errors.push(`Unknown skill: ${name}`));
+    }
+
+    const { error, value } = schemas.createEvent.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      errors.push(...error.details.map(detail => detail.message.replace(/"/g, '')));
+    } else {
+      try {
+        eventService.validateEventDates(value.startDate, value.endDate);
+      } catch (dateError) {
+        errors.push(dateError.message);
+      }
+    }
+
+    return { row, event: error ? data : value, errors };
+  }
+
+  /**
+   * Turn a cell like "First Aid; Forklift:advanced" into required skills
+   * A skill without a level requires beginner proficiency.
+   */
+  resolveSkills(cell, skillIds) {
+    const requiredSkills = [];
+    const unknown = [];
+
+    for (const entry of cell.split(';').map(part => part.trim()).filter(Boolean)) {
+      const [name, level] = entry.split(':').map(part => part.trim());
+      const skillId = skillIds.get(name.toLowerCase());
+
+      if (!skillId) {
+        unknown.push(name);
+        continue;
+      }
+
+      requiredSkills.push({ skillId, minLevel: (level || 'beginner').toLowerCase() });
+    }
+
+    return { requiredSkills, unknown };
+  }
+
+  /**
+   * Work out which column holds each field
+   */
+  resolveColumns(headers, mapping) {
+    const columns = {};
+
+    for (const [field, column] of Object.entries(mapping)) {
+      if (!IMPORT_FIELDS.includes(field)) {
+        throw new Error(`Unknown import field: ${field}`);
+      }
+
+      if (!headers.includes(column)) {
+        throw new Error(`Column not found in the CSV file: ${column}`);
+      }
+      columns[field] = column;
+    }
+
+    const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    for (const field of IMPORT_FIELDS) {
+      if (!columns[field]) {
+        const header = headers.find(candidate => normalize(candidate) === normalize(field));
+        if (header) {
+          columns[field] = header;
+        }
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Read a spreadsheet date and time
+   * Values with a UTC offset are taken as is; others ("2030-06-01 09:00",
+   * "6/1/2030 9:00 AM") are local times in the import's time zone.
+   * @returns {Date|string} Date, or the original text if it can't be read
+   */
+  parseDateTime(text, timezone) {
+    if (/T\d{2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      return new Date(text);
+    }
+
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})[T ]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(text);
+    const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})[T ]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(text);
+    if (!iso && !us) {
+      return text;
+    }
+
+    const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : [us[3], us[1], us[2]];
+    const [, , , , hourText, minute, second = '0', meridiem] = iso || us;
+
+    let hour = Number(hourText);
+    if (meridiem) {
+      hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+
+    return recurrence.fromWallClock({
+      year: Number(year),
+      month: Number(month) - 1,
+      day: Number(day),
+      hour,
+      minute: Number(minute),
+      second: Number(second)
+    }, timezone);
+  }
+
+  /**
+   * Split a calendar location into address fields where it has the usual shape
+   */
+  parseLocation(location) {
+    if (!location) {
+      return {};
+    }
+
+    const match = LOCATION_PATTERN.exec(location.trim());
+    if (!match) {
+      return { address: location.trim() };
+    }
+
+    return {
+      address: match[1].trim(),
+      city: match[2].trim(),
+      state: match[3].toUpperCase(),
+      zipCode: match[4]
+    };
+  }
+
+  async getSkillIdsByName() {
+    const skills = await skillRepository.findAll();
+    return new Map(skills.map(skill => [skill.name.toLowerCase(), skill.id]));
+  }
+
+  resolveOrganization(requestedId) {
+    const organizationId = requestedId || organizationScope.activeOrganizationId();
+    if (!organizationId) {
+      throw new Error('Select an organization to create the event in');
+    }
+
+    if (!organizationScope.includes(organizationId)) {
+      throw new Error('You are not a member of this organization');
+    }
+
+    return organizationId;
+  }
+}
+
+module.exports = new EventImportService();
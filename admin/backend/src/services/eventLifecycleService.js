@@ -0,0 +1,131 @@
+const eventRepository = require('../database/repositories/eventRepository');
+const attendanceService = require('./attendanceService');
+
+const DEFAULT_SIGNUP_CUTOFF_HOURS = 1;
+const DEFAULT_FINALIZE_DELAY_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Event Lifecycle Service
+ * Moves events through their statuses on schedule
+ *
+ * Signups close a set time before an event starts, a published event becomes
+ * IN_PROGRESS when it starts, and a set time after it ends its attendance is
+ * finalized exactly as an admin would (no-shows recorded, volunteers still
+ * checked in checked out) and it becomes COMPLETED. The delay gives
+ * coordinators time to record attendance by hand first.
+ */
+class EventLifecycleService {
+  /**
+   * Hours before the start at which signups close
+   * @returns {number} Cutoff in hours
+   */
+  signupCutoffHours() {
+    const hours = parseFloat(process.env.EVENT_SIGNUP_CUTOFF_HOURS);
+    return hours >= 0 ? hours : DEFAULT_SIGNUP_CUTOFF_HOURS;
+  }
+
+  /**
+   * Hours after the end at which attendance is finalized
+   * @returns {number} Delay in hours
+   */
+  finalizeDelayHours() {
+    const hours = parseFloat(process.env.EVENT_FINALIZE_DELAY_HOURS);
+    return hours >= 0 ? hours : DEFAULT_FINALIZE_DELAY_HOURS;
+  }
+
+  /**
+   * Whether an event still takes signups
+   * Checks the cutoff itself as well, so signups close on time even between scheduler runs.
+   * @param {Object} event - Event with startDate and signupsClosedAt
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True if volunteers may still join
+   */
+  signupsOpen(event, now = new Date()) {
+    if (event.signupsClosedAt) {
+      return false;
+    }
+
+    const cutoff = new Date(event.startDate).getTime() - this.signupCutoffHours() * HOUR_MS;
+    return now.getTime() < cutoff;
+  }
+
+  /**
+   * Close signups for events that start within the cutoff
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of events closed
+   */
+  async closeDueSignups(now = new Date()) {
+    const due = await eventRepository.findDueToCloseSignups(
+      new Date(now.getTime() + this.signupCutoffHours() * HOUR_MS)
+    );
+    let closed = 0;
+
+    for (const { id } of due) {
+      if (await eventRepository.closeSignups(id)) {
+        closed++;
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Mark published events that have started as IN_PROGRESS
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of events started
+   */
+  async startDueEvents(now = new Date()) {
+    const due = await eventRepository.findDueToStart(now);
+    let started = 0;
+
+    for (const { id } of due) {
+      if (await eventRepository.markInProgress(id)) {
+        started++;
+      }
+    }
+
+    return started;
+  }
+
+  /**
+   * Finalize attendance of events that ended more than the delay ago
+   * A failure on one event is logged and the rest still run
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of events finalized
+   */
+  async finalizeDueEvents(now = new Date()) {
+    const due = await eventRepository.findDueToFinalize(
+      new Date(now.getTime() - this.finalizeDelayHours() * HOUR_MS)
+    );
+    let finalized = 0;
+
+    for (const { id } of due) {
+      try {
+        // No admin is recording this, so records are left without a recordedBy
+        await attendanceService.finalizeEventAttendance(id, null);
+        finalized++;
+      } catch (error) {
+        console.error(`Failed to finalize event ${id}:`, error.message);
+      }
+    }
+
+    return finalized;
+  }
+
+  /**
+   * Run every transition that is due
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Counts of { signupsClosed, started, finalized }
+   */
+  async run(now = new Date()) {
+    return {
+      signupsClosed: await this.closeDueSignups(now),
+      started: await this.startDueEvents(now),
+      finalized: await this.finalizeDueEvents(now)
+    };
+  }
+}
+
+module.exports = new EventLifecycleService();
@@ -2,6 +2,18 @@ const eventRepository = require('../database/repositories/eventRepository');
 const skillRepository = require('../database/repositories/skillRepository');
 const userRepository = require('../database/repositories/userRepository');
 const historyRepository = require('../database/repositories/historyRepository');
+const eventManagerRepository = require('../database/repositories/eventManagerRepository');
+const eventSeriesRepository = require('../database/repositories/eventSeriesRepository');
+const shiftRepository = require('../database/repositories/shiftRepository');
+const waitlistRepository = require('../database/repositories/waitlistRepository');
+const organizationRepository = require('../database/repositories/organizationRepository');
+const organizationScope = require('../utils/organizationScope');
+const recurrence = require('../utils/recurrence');
+const waitlistService = require('./waitlistService');
+const eventLifecycleService = require('./eventLifecycleService');
+const matchingService = require('./matchingService');
+const emailService = require('./emailService');
+const geocodingService = require('./geocodingService');
 
 // Event metadata - these are static values
 const eventCategories = [
@@ -30,6 +42,22 @@ const eventStatuses = [
   { id: 'cancelled', name: 'Cancelled' }
 ];
 
+// Largest radius, in miles, a location search can cover
+const MAX_SEARCH_RADIUS_MILES = 500;
+
+// Parse "a,b,..." into exactly `count` finite numbers, or null
+const parseNumberList = (value, count) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const numbers = value.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const isLatitude = (value) => value >= -90 && value <= 90;
+const isLongitude = (value) => value >= -180 && value <= 180;
+
 /**
  * Event Service
  * Handles event management operations
@@ -38,15 +66,21 @@ const eventStatuses = [
 class EventService {
   /**
    * Get all events with optional filtering and pagination
+   * Location filters: near ("latitude,longitude", or "me" for the caller's
+   * profile address), radius in miles around it, bounds ("south,west,north,east")
+   * and sort=distance. Events found near a location include their distance in miles.
    * @param {Object} filters - Filter criteria
    * @param {Object} pagination - Pagination options
+   * @param {string} [userId] - Caller, for near=me
    * @returns {Object} Events data with metadata
    */
-  async getEvents(filters = {}, pagination = {}) {
+  async getEvents(filters = {}, pagination = {}, userId = null) {
     const { page = 1, limit = 10 } = pagination;
 
+    const location = await this.resolveLocationFilters(filters, userId);
+
     // Get events from repository with filters and pagination
-    const { events, total } = await eventRepository.findAll(filters, { page, limit });
+    const { events, total } = await eventRepository.findAll({ ...filters, ...location }, { page, limit });
 
     // Enhance events with additional data
     const eventsWithDetails = await Promise.all(
@@ -76,6 +110,75 @@ class EventService {
     };
   }
 
+  /**
+   * Read the location filters of an event listing
+   * @param {Object} filters - { near, radius, bounds, sort } as given in the query
+   * @param {string} [userId] - Caller, for near=me
+   * @returns {Object} The filters given, read: near: { latitude, longitude },
+   *   radius, bounds: { south, west, north, east } and sort
+   */
+  async resolveLocationFilters({ near, radius, bounds, sort }, userId) {
+    const location = {};
+
+    if (near === 'me') {
+      if (!userId) {
+        throw new Error('Sign in to search near your location');
+      }
+
+      const profile = await userRepository.getProfile(userId);
+      if (!profile || profile.latitude == null || profile.longitude == null) {
+        throw new Error('Add your address to your profile to search near your location');
+      }
+
+      location.near = { latitude: profile.latitude, longitude: profile.longitude };
+    } else if (near) {
+      const coordinates = parseNumberList(near, 2);
+      if (!coordinates || !isLatitude(coordinates[0]) || !isLongitude(coordinates[1])) {
+        throw new Error('near must be "latitude,longitude" or "me"');
+      }
+
+      location.near = { latitude: coordinates[0], longitude: coordinates[1] };
+    }
+
+    if (radius !== undefined && radius !== '') {
+      const miles = Number(radius);
+      if (!Number.isFinite(miles) || miles <= 0 || miles > MAX_SEARCH_RADIUS_MILES) {
+        throw new Error(`radius must be a number of miles up to ${MAX_SEARCH_RADIUS_MILES}`);
+      }
+
+      if (!location.near) {
+        throw new Error('radius needs a location to search near');
+      }
+
+      location.radius = miles;
+    }
+
+    if (bounds) {
+      const edges = parseNumberList(bounds, 4);
+      if (!edges || !isLatitude(edges[0]) || !isLatitude(edges[2]) || edges[0] > edges[2] ||
+          !isLongitude(edges[1]) || !isLongitude(edges[3])) {
+        throw new Error('bounds must be "south,west,north,east"');
+      }
+
+      const [south, west, north, east] = edges;
+      location.bounds = { south, west, north, east };
+    }
+
+    if (sort) {
+      if (sort !== 'distance') {
+        throw new Error('sort must be "distance"');
+      }
+
+      if (!location.near) {
+        throw new Error('Sorting by distance needs a location to search near');
+      }
+
+      location.sort = sort;
+    }
+
+    return location;
+  }
+
   /**
    * Get event by ID
    * @param {string} eventId - Event ID
@@ -96,12 +199,18 @@ class EventService {
   }
 
   /**
-   * Create new event (admin only)
-   * @param {string} adminId - Admin user ID
+   * Create new event (coordinators and admins)
+   * The creator becomes the event's owning manager. With a recurrence rule,
+   * an event is created for every occurrence of the series.
+   * @param {string} adminId - Creating user ID
    * @param {Object} eventData - Event creation data
-   * @returns {Object} Created event
+   * @returns {Object} Created event (the first occurrence for a series)
    */
   async createEvent(adminId, eventData) {
+    // Series membership is only ever set from a recurrence rule, never copied
+    const { recurrence: recurrenceRule, seriesId, seriesIndex, ...fields } = eventData;
+    eventData = fields;
+
     // Validate required skills if provided
     if (eventData.requiredSkills) {
       await this.validateRequiredSkills(eventData.requiredSkills);
@@ -110,9 +219,30 @@ class EventService {
     // Validate dates
     this.validateEventDates(eventData.startDate, eventData.endDate);
 
+    // Events belong to the organization the caller is working in
+    const organizationId = eventData.organizationId || organizationScope.activeOrganizationId();
+    if (!organizationId) {
+      throw new Error('Select an organization to create the event in');
+    }
+
+    if (!organizationScope.includes(organizationId)) {
+      throw new Error('You are not a member of this organization');
+    }
+
+    // Locate the event for distance matching and location search
+    const coordinates = await geocodingService.geocode(eventData);
+    if (coordinates) {
+      eventData = { ...eventData, ...coordinates };
+    }
+
+    if (recurrenceRule) {
+      return await this.createEventSeries(adminId, eventData, recurrenceRule, organizationId);
+    }
+
     // Create event
     const newEvent = await eventRepository.create({
       ...eventData,
+      organizationId,
       createdBy: adminId,
       status: eventData.status || 'draft',
       currentVolunteers: 0
@@ -127,19 +257,106 @@ class EventService {
     };
   }
 
+  /**
+   * Create the events of a recurring series
+   * @param {string} adminId - Creating user ID
+   * @param {Object} eventData - Event data shared by every occurrence
+   * @param {Object} recurrenceRule - Recurrence rule from the request
+   * @param {string} organizationId - Organization the series belongs to
+   * @returns {Object} First occurrence, with a summary of the series
+   */
+  async createEventSeries(adminId, eventData, recurrenceRule, organizationId) {
+    const rule = recurrence.normalizeRule(recurrenceRule);
+    const occurrences = recurrence.expand(eventData.startDate, eventData.endDate, rule);
+
+    // The first occurrence may fall after the requested start date
+    this.validateEventDates(occurrences[0].startDate, occurrences[0].endDate);
+
+    const { series, events } = await eventSeriesRepository.createWithOccurrences(
+      { ...rule, organizationId, createdBy: adminId },
+      {
+        ...eventData,
+        organizationId,
+        createdBy: adminId,
+        status: eventData.status || 'draft',
+        currentVolunteers: 0
+      },
+      occurrences
+    );
+
+    const enhancedEvent = await this.enhanceEventData(events[0]);
+
+    return {
+      success: true,
+      message: `Event series created with ${events.length} occurrences`,
+      data: {
+        ...enhancedEvent,
+        series: this.formatSeries(series, events)
+      }
+    };
+  }
+
+  /**
+   * Get the recurrence rule and occurrences of the series an event belongs to
+   * @param {string} eventId - ID of any occurrence
+   * @returns {Object} Series with its occurrences
+   */
+  async getEventSeries(eventId) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    if (!event.seriesId) {
+      throw new Error('Event is not part of a series');
+    }
+
+    const [series, occurrences] = await Promise.all([
+      eventSeriesRepository.findById(event.seriesId),
+      eventSeriesRepository.findOccurrences(event.seriesId)
+    ]);
+
+    return {
+      success: true,
+      data: this.formatSeries(series, occurrences)
+    };
+  }
+
   /**
    * Update event (admin only)
+   * For an occurrence of a series, applyTo chooses which occurrences change:
+   * 'this' (default), 'following' or 'all'.
    * @param {string} eventId - Event ID
    * @param {string} adminId - Admin user ID
-   * @param {Object} updateData - Update data
+   * @param {Object} updateData - Update data, optionally with applyTo
    * @returns {Object} Updated event
    */
   async updateEvent(eventId, adminId, updateData) {
+    const { applyTo = 'this', ...changes } = updateData;
+    updateData = changes;
+
     const existingEvent = await eventRepository.findById(eventId);
     if (!existingEvent) {
       throw new Error('Event not found');
     }
 
+    // Cancelling has to go through cancelEvent so volunteers are told why
+    if (updateData.status === 'cancelled' && existingEvent.status !== 'CANCELLED') {
+      throw new Error('Use the cancel action with a reason to cancel an event');
+    }
+
+    // A new address moves the event
+    if (geocodingService.changesAddress(updateData)) {
+      updateData = {
+        ...updateData,
+        ...await geocodingService.coordinatesFor({ ...existingEvent, ...updateData })
+      };
+    }
+
+    if (existingEvent.seriesId && applyTo !== 'this') {
+      return await this.updateSeriesOccurrences(existingEvent, updateData, applyTo);
+    }
+
     // Validate required skills if provided
     if (updateData.requiredSkills) {
       await this.validateRequiredSkills(updateData.requiredSkills);
@@ -152,12 +369,22 @@ class EventService {
       this.validateEventDates(startDate, endDate, true); // Pass true for isUpdate
     }
 
+    // A new start time reopens signups; the scheduler closes them again if the new start is within the cutoff
+    if (updateData.startDate) {
+      updateData.signupsClosedAt = null;
+    }
+
     // Update event
     const updatedEvent = await eventRepository.update(eventId, updateData);
     if (!updatedEvent) {
       throw new Error('Failed to update event');
     }
 
+    // More places may let volunteers in from the waitlist
+    if (updateData.maxVolunteers > existingEvent.maxVolunteers) {
+      await waitlistService.promote(eventId);
+    }
+
     const enhancedEvent = await this.enhanceEventData(updatedEvent);
 
     return {
@@ -167,6 +394,69 @@ class EventService {
     };
   }
 
+  /**
+   * Apply an update to several occurrences of a series
+   * A new start or end time moves every occurrence by the same amount, so each
+   * keeps its own day. Occurrences that have already ended are left as they were.
+   * @param {Object} event - The occurrence being edited
+   * @param {Object} changes - Update data
+   * @param {string} applyTo - 'following' or 'all'
+   * @returns {Object} The edited occurrence and how many occurrences changed
+   */
+  async updateSeriesOccurrences(event, changes, applyTo) {
+    if (changes.requiredSkills) {
+      await this.validateRequiredSkills(changes.requiredSkills);
+    }
+
+    const { startDate, endDate, ...shared } = changes;
+    const newStart = new Date(startDate || event.startDate);
+    const newEnd = new Date(endDate || event.endDate);
+    const moveDates = Boolean(startDate || endDate);
+
+    if (moveDates) {
+      this.validateEventDates(newStart, newEnd, true);
+    }
+
+    const shift = newStart.getTime() - new Date(event.startDate).getTime();
+    const duration = newEnd.getTime() - newStart.getTime();
+
+    const now = new Date();
+    const occurrences = (await eventSeriesRepository.findOccurrences(
+      event.seriesId,
+      applyTo === 'following' ? event.seriesIndex : 0
+    )).filter(occurrence => occurrence.id === event.id || new Date(occurrence.endDate) >= now);
+
+    for (const occurrence of occurrences) {
+      const data = { ...shared };
+
+      if (moveDates) {
+        const occurrenceStart = new Date(new Date(occurrence.startDate).getTime() + shift);
+        data.startDate = occurrenceStart;
+        data.endDate = new Date(occurrenceStart.getTime() + duration);
+        data.signupsClosedAt = null;
+      }
+
+      await eventRepository.update(occurrence.id, data);
+
+      // More places may let volunteers in from the waitlist
+      if (data.maxVolunteers > occurrence.maxVolunteers) {
+        await waitlistService.promote(occurrence.id);
+      }
+    }
+
+    const updatedEvent = await eventRepository.findById(event.id);
+    const enhancedEvent = await this.enhanceEventData(updatedEvent);
+
+    return {
+      success: true,
+      message: `${occurrences.length} occurrences updated successfully`,
+      data: {
+        ...enhancedEvent,
+        updatedOccurrences: occurrences.length
+      }
+    };
+  }
+
   /**
    * Delete event (admin only)
    * @param {string} eventId - Event ID
@@ -190,6 +480,12 @@ class EventService {
       throw new Error('Cannot delete completed event with volunteer assignments');
     }
 
+    // Volunteers who signed up should hear why the event is off, and it should stay in their history
+    const signedUp = assignments.filter(a => !['CANCELLED', 'DECLINED'].includes(a.status));
+    if (signedUp.length > 0) {
+      throw new Error('Cannot delete an event with volunteers signed up; cancel it instead');
+    }
+
     const deletedEvent = await eventRepository.delete(eventId);
 
     return {
@@ -202,6 +498,243 @@ class EventService {
     };
   }
 
+  /**
+   * Cancel an event
+   * Every volunteer signed up is taken off the event, and gets a notification
+   * and an email with the reason and a few other events that match them.
+   * The event itself is kept as CANCELLED.
+   * @param {string} eventId - Event ID
+   * @param {string} userId - User cancelling the event
+   * @param {string} reason - Why the event was cancelled
+   * @returns {Object} Cancelled event and the volunteers notified
+   */
+  async cancelEvent(eventId, userId, reason) {
+    const existingEvent = await eventRepository.findById(eventId);
+    if (!existingEvent) {
+      throw new Error('Event not found');
+    }
+
+    if (existingEvent.status === 'CANCELLED') {
+      throw new Error('Event is already cancelled');
+    }
+
+    if (existingEvent.status === 'COMPLETED') {
+      throw new Error('Cannot cancel an event that has completed');
+    }
+
+    const result = await eventRepository.cancelEvent(eventId, reason);
+    if (!result) {
+      // Another request cancelled or finalized it since it was read
+      throw new Error('Event is already cancelled');
+    }
+
+    const { event, assignments } = result;
+
+    for (const assignment of assignments) {
+      await this.notifyCancellation(event, assignment.volunteer, reason);
+    }
+
+    const enhancedEvent = await this.enhanceEventData(event);
+
+    return {
+      success: true,
+      message: `Event cancelled; ${assignments.length} volunteer(s) notified`,
+      data: {
+        ...enhancedEvent,
+        cancelledAssignments: assignments.length
+      }
+    };
+  }
+
+  /**
+   * Suggest other events to a volunteer whose event was cancelled
+   * @param {string} volunteerId - Volunteer ID
+   * @returns {Array} Up to three matching events, or none if matching fails
+   */
+  async suggestAlternatives(volunteerId) {
+    try {
+      const result = await matchingService.findMatchesForVolunteer(volunteerId, { limit: 3 });
+
+      return result.data.matches.map(match => ({
+        id: match.event.id,
+        title: match.event.title,
+        startDate: match.event.startDate,
+        matchScore: match.matchScore
+      }));
+    } catch (error) {
+      // A volunteer without a profile has no matches; they are still told about the cancellation
+      console.error(`Failed to find alternatives for volunteer ${volunteerId}:`, error.message);
+      return [];
+    }
+  }
+
+  async notifyCancellation(event, volunteer, reason) {
+    const alternatives = await this.suggestAlternatives(volunteer.id);
+    const title = `Cancelled: ${event.title}`;
+    const actionUrl = '/dashboard/events';
+
+    let message = `${event.title} has been cancelled. Reason: ${reason}`;
+    if (alternatives.length > 0) {
+      message += ` You might like: ${alternatives.map(alternative => alternative.title).join(', ')}.`;
+    }
+
+    try {
+      const notificationRepository = require('../database/repositories/notificationRepository');
+
+      await notificationRepository.create({
+        userId: volunteer.id,
+        type: 'EVENT_UPDATE',
+        priority: 'HIGH',
+        title,
+        message,
+        eventId: event.id,
+        actionUrl,
+        metadata: { reason, alternatives }
+      });
+
+      await emailService.sendNotificationEmail(volunteer.email, volunteer.username, {
+        subject: `❌ ${title} - JACS ShiftPilot`,
+        message: `${event.title} has been cancelled. Reason: ${reason}`,
+        actionUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}${actionUrl}`,
+        actionText: 'Find Another Event',
+        additionalInfo: alternatives.length > 0
+          ? `Other events you might like: ${alternatives.map(alternative => alternative.title).join(', ')}`
+          : null
+      });
+    } catch (error) {
+      // Log error but don't fail the cancellation if a notification fails
+      console.error('Failed to send cancellation notification:', error);
+    }
+  }
+
+  /**
+   * Shape a series for API responses
+   * @param {Object} series - EventSeries record
+   * @param {Array} occurrences - Events of the series
+   * @returns {Object} Series data
+   */
+  formatSeries(series, occurrences) {
+    return {
+      id: series.id,
+      frequency: series.frequency.toLowerCase(),
+      interval: series.interval,
+      daysOfWeek: series.daysOfWeek.map(day => recurrence.dayName(day)),
+      weekOfMonth: series.weekOfMonth,
+      dayOfWeek: series.dayOfWeek === null ? null : recurrence.dayName(series.dayOfWeek),
+      until: series.until,
+      count: series.count,
+      timezone: series.timezone,
+      occurrences: occurrences.map(occurrence => ({
+        id: occurrence.id,
+        seriesIndex: occurrence.seriesIndex,
+        startDate: occurrence.startDate,
+        endDate: occurrence.endDate,
+        status: occurrence.status.toLowerCase().replace('_', '-'),
+        spotsRemaining: occurrence.maxVolunteers - occurrence.currentVolunteers
+      }))
+    };
+  }
+
+  /**
+   * Get co-managers of an event
+   * @param {string} eventId - Event ID
+   * @returns {Object} Event owner and co-managers
+   */
+  async getEventManagers(eventId) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    const managers = await eventManagerRepository.findByEvent(eventId);
+
+    return {
+      success: true,
+      data: {
+        createdBy: event.createdBy,
+        managers: managers.map(manager => this.formatManager(manager))
+      }
+    };
+  }
+
+  /**
+   * Grant a coordinator co-manager access to an event
+   * @param {string} eventId - Event ID
+   * @param {string} email - Email of the user to grant
+   * @param {string} grantedBy - User ID of the granting manager
+   * @returns {Object} Created grant
+   */
+  async addEventManager(eventId, email, grantedBy) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    const user = await userRepository.findByEmail(email.toLowerCase());
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!['COORDINATOR', 'ADMIN'].includes(user.role)) {
+      throw new Error('Only coordinators and admins can manage events');
+    }
+
+    if (user.id === event.createdBy) {
+      throw new Error('User already manages this event as its creator');
+    }
+
+    if (!await organizationRepository.isMember(event.organizationId, user.id)) {
+      throw new Error('User is not a member of this organization');
+    }
+
+    const manager = await eventManagerRepository.add(eventId, user.id, grantedBy);
+
+    return {
+      success: true,
+      message: 'Event manager added successfully',
+      data: this.formatManager(manager)
+    };
+  }
+
+  /**
+   * Revoke co-manager access to an event
+   * @param {string} eventId - Event ID
+   * @param {string} userId - User ID to revoke
+   * @returns {Object} Success response
+   */
+  async removeEventManager(eventId, userId) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    const removed = await eventManagerRepository.remove(eventId, userId);
+    if (!removed) {
+      throw new Error('User is not a manager of this event');
+    }
+
+    return {
+      success: true,
+      message: 'Event manager removed successfully'
+    };
+  }
+
+  /**
+   * Shape a manager grant for API responses
+   * @param {Object} manager - EventManager record with user
+   * @returns {Object} Manager data
+   */
+  formatManager(manager) {
+    return {
+      id: manager.user.id,
+      username: manager.user.username,
+      email: manager.user.email,
+      role: manager.user.role.toLowerCase(),
+      grantedBy: manager.grantedBy,
+      grantedAt: manager.createdAt
+    };
+  }
+
   /**
    * Get event assignments
    * @param {string} eventId - Event ID
@@ -257,6 +790,10 @@ class EventService {
 
   /**
    * Assign volunteer to event
+   * For an event with shifts, assignmentData.positionId picks the shift position;
+   * a volunteer already on the event can be added to further shifts this way.
+   * With assignmentData.waitlist set, a full event puts the volunteer on its
+   * waitlist instead of failing (the result then has data.waitlisted).
    * @param {string} eventId - Event ID
    * @param {string} volunteerId - Volunteer ID
    * @param {Object} assignmentData - Assignment details
@@ -283,9 +820,16 @@ class EventService {
       throw new Error('Event is not accepting volunteers');
     }
 
-    // Check capacity
-    if (event.currentVolunteers >= event.maxVolunteers) {
-      throw new Error('Event is at capacity');
+    if (!eventLifecycleService.signupsOpen(event)) {
+      throw new Error('Signups for this event have closed');
+    }
+
+    // Events with shifts are joined one shift position at a time
+    const position = await this.findShiftPosition(eventId, assignmentData.positionId);
+
+    // For shift events the position's headcount applies instead of the event's
+    if (position && position.filled >= position.capacity) {
+      throw new Error(`${position.name} is full for this shift`);
     }
 
     // Check if volunteer is already assigned
@@ -294,70 +838,244 @@ class EventService {
 
     // If there's an active (non-cancelled) assignment, prevent duplicate
     if (existingAssignment && existingAssignment.status.toLowerCase() !== 'cancelled') {
-      throw new Error('Volunteer is already assigned to this event');
+      if (!position) {
+        throw new Error('Volunteer is already assigned to this event');
+      }
+
+      // Already on the event: add another shift
+      const signup = await this.claimShiftPosition(existingAssignment, position, volunteerId);
+
+      return {
+        success: true,
+        message: `Volunteer signed up for ${position.shift.name}`,
+        data: { ...existingAssignment, shiftSignup: signup }
+      };
     }
 
-    let assignment;
+    // Places offered to waitlisted volunteers are held for them; shift events are limited by position instead
+    const capacity = position ? null : {
+      maxVolunteers: event.maxVolunteers,
+      reserved: await waitlistRepository.countHeldOffers(eventId, volunteerId)
+    };
 
-    // If there's a cancelled assignment, reactivate it instead of creating new
-    if (existingAssignment && existingAssignment.status.toLowerCase() === 'cancelled') {
-      // Reactivate the cancelled assignment by updating its status, notes, and matchScore
-      const prisma = require('../database/prisma');
-      assignment = await prisma.assignment.update({
-        where: { id: existingAssignment.id },
-        data: {
-          status: (assignmentData.status || 'pending').toUpperCase(),
-          notes: assignmentData.notes || '',
-          matchScore: assignmentData.matchScore || 0,
-          updatedAt: new Date()
-        },
-        include: {
-          event: true,
-          volunteer: true
-        }
-      });
-    } else {
-      // Create new assignment
-      assignment = await eventRepository.createAssignment({
+    // Creates the assignment (or reactivates a cancelled one) and takes the place in one transaction
+    let assignment = await eventRepository.createAssignment({
+      eventId,
+      volunteerId,
+      status: assignmentData.status || 'pending',
+      matchScore: assignmentData.matchScore || 0,
+      notes: assignmentData.notes || ''
+    }, capacity);
+
+    if (!assignment) {
+      if (assignmentData.waitlist) {
+        return await waitlistService.join(eventId, volunteerId, assignmentData.notes);
+      }
+      throw new Error('Event is at capacity');
+    }
+
+    if (position) {
+      const signup = await shiftRepository.claimPosition(assignment.id, position);
+      if (!signup) {
+        // The last place went while the assignment was being made; cancelling gives the event place back
+        await eventRepository.updateAssignmentStatus(assignment.id, 'cancelled', 'Shift position filled up');
+        throw new Error(`${position.name} is full for this shift`);
+      }
+      assignment = { ...assignment, shiftSignup: signup };
+    }
+
+    // A volunteer who got in from the waitlist gives up their place in line
+    const waitlistEntry = await waitlistRepository.findEntry(eventId, volunteerId);
+    if (waitlistEntry) {
+      await waitlistRepository.remove(waitlistEntry);
+    }
+
+    // Send assignment notification to volunteer (joinSeries sends one for the whole series)
+    if (assignmentData.notify !== false) {
+      try {
+        const notificationRepository = require('../database/repositories/notificationRepository');
+
+        console.log('Creating ASSIGNMENT notification for user:', volunteerId, 'event:', event.title);
+
+        const notification = await notificationRepository.create({
+          userId: volunteerId,
+          type: 'ASSIGNMENT',
+          priority: 'HIGH',
+          title: `Joined: ${event.title}`,
+          message: `You have successfully joined ${event.title}. Check your schedule for details.`,
+          eventId: event.id,
+          actionUrl: `/dashboard/schedule`
+        });
+
+        console.log('Notification created successfully:', notification.id);
+      } catch (notificationError) {
+        // Log error but don't fail the assignment if notification fails
+        console.error('Failed to send assignment notification:', notificationError);
+      }
+    }
+
+    return {
+      success: true,
+      message: 'Volunteer assigned successfully',
+      data: assignment
+    };
+  }
+
+  /**
+   * Resolve the shift position a volunteer is joining
+   * @param {string} eventId - Event ID
+   * @param {string} [positionId] - Position ID from the request
+   * @returns {Object|null} Position with its shift, or null for events without shifts
+   */
+  async findShiftPosition(eventId, positionId) {
+    if (!positionId) {
+      const shiftCount = await shiftRepository.countByEvent(eventId);
+      if (shiftCount > 0) {
+        throw new Error('Choose a shift position to join this event');
+      }
+      return null;
+    }
+
+    const position = await shiftRepository.findPosition(eventId, positionId);
+    if (!position) {
+      throw new Error('Shift position not found');
+    }
+
+    return position;
+  }
+
+  /**
+   * Add a shift to a volunteer who is already on the event
+   * A volunteer holds one position per shift and cannot be in two shifts at once.
+   */
+  async claimShiftPosition(assignment, position, volunteerId) {
+    const signups = await shiftRepository.findSignupsForVolunteer(assignment.eventId, volunteerId);
+
+    if (signups.some(signup => signup.shiftId === position.shiftId)) {
+      throw new Error('Volunteer is already signed up for this shift');
+    }
+
+    const clash = signups.find(signup =>
+      signup.shift.startDate < position.shift.endDate && position.shift.startDate < signup.shift.endDate
+    );
+    if (clash) {
+      throw new Error(`This shift overlaps ${clash.shift.name}, which the volunteer is already signed up for`);
+    }
+
+    const signup = await shiftRepository.claimPosition(assignment.id, position);
+    if (!signup) {
+      throw new Error(`${position.name} is full for this shift`);
+    }
+
+    return signup;
+  }
+
+  /**
+   * Give up one shift of an event
+   * Leaving the last shift leaves the event.
+   * @param {string} eventId - Event ID
+   * @param {string} shiftId - Shift ID
+   * @param {string} volunteerId - Volunteer ID
+   * @returns {Object} Whether the volunteer is still on the event
+   */
+  async leaveShift(eventId, shiftId, volunteerId) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    const assignment = event.assignments.find(a =>
+      a.volunteerId === volunteerId && a.status !== 'CANCELLED'
+    );
+    if (!assignment) {
+      throw new Error('You are not assigned to this event');
+    }
+
+    const released = await shiftRepository.releaseSignups({ assignmentId: assignment.id, shiftId });
+    if (released === 0) {
+      throw new Error('You are not signed up for this shift');
+    }
+
+    const remaining = await shiftRepository.findSignupsForVolunteer(eventId, volunteerId);
+    if (remaining.length === 0) {
+      await eventRepository.updateAssignmentStatus(assignment.id, 'cancelled', 'Volunteer left their last shift');
+    }
+
+    return {
+      success: true,
+      message: remaining.length === 0 ? 'Left the shift and the event' : 'Left the shift',
+      data: {
         eventId,
-        volunteerId,
-        status: assignmentData.status || 'pending',
-        matchScore: assignmentData.matchScore || 0,
-        notes: assignmentData.notes || ''
-      });
+        shiftId,
+        remainingShifts: remaining.length
+      }
+    };
+  }
+
+  /**
+   * Join every upcoming occurrence of a series
+   * Occurrences that are full, closed or already joined are skipped.
+   * @param {string} eventId - ID of any occurrence
+   * @param {string} volunteerId - Volunteer ID
+   * @param {string} notes - Optional notes for each assignment
+   * @returns {Object} Joined occurrences and skipped ones with reasons
+   */
+  async joinSeries(eventId, volunteerId, notes = '') {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
     }
 
-    // Increment the event's currentVolunteers count
-    await eventRepository.update(eventId, {
-      currentVolunteers: event.currentVolunteers + 1
-    });
+    if (!event.seriesId) {
+      throw new Error('Event is not part of a series');
+    }
 
-    // Send assignment notification to volunteer
+    const now = new Date();
+    const occurrences = (await eventSeriesRepository.findOccurrences(event.seriesId))
+      .filter(occurrence => new Date(occurrence.startDate) > now);
+
+    const joined = [];
+    const skipped = [];
+
+    for (const occurrence of occurrences) {
+      try {
+        await this.assignVolunteer(occurrence.id, volunteerId, {
+          notes,
+          status: 'pending',
+          matchScore: 0,
+          notify: false
+        });
+        joined.push({ eventId: occurrence.id, startDate: occurrence.startDate });
+      } catch (error) {
+        skipped.push({ eventId: occurrence.id, startDate: occurrence.startDate, reason: error.message });
+      }
+    }
+
+    if (joined.length === 0) {
+      throw new Error('There are no upcoming occurrences of this series to join');
+    }
+
+    // One notification for the whole series rather than one per occurrence
     try {
       const notificationRepository = require('../database/repositories/notificationRepository');
 
-      console.log('Creating ASSIGNMENT notification for user:', volunteerId, 'event:', event.title);
-
-      const notification = await notificationRepository.create({
+      await notificationRepository.create({
         userId: volunteerId,
         type: 'ASSIGNMENT',
         priority: 'HIGH',
-        title: `Joined: ${event.title}`,
-        message: `You have successfully joined ${event.title}. Check your schedule for details.`,
+        title: `Joined series: ${event.title}`,
+        message: `You have joined ${joined.length} upcoming occurrences of ${event.title}. Check your schedule for details.`,
         eventId: event.id,
         actionUrl: `/dashboard/schedule`
       });
-
-      console.log('Notification created successfully:', notification.id);
     } catch (notificationError) {
-      // Log error but don't fail the assignment if notification fails
-      console.error('Failed to send assignment notification:', notificationError);
+      console.error('Failed to send series assignment notification:', notificationError);
     }
 
     return {
       success: true,
-      message: 'Volunteer assigned successfully',
-      data: assignment
+      message: `Joined ${joined.length} occurrences of ${event.title}`,
+      data: { seriesId: event.seriesId, joined, skipped }
     };
   }
 
@@ -394,21 +1112,13 @@ class EventService {
       throw new Error('Volunteer is not assigned to this event');
     }
 
-    // Update assignment status to CANCELLED
-    await prisma.assignment.update({
-      where: { id: assignment.id },
-      data: {
-        status: 'CANCELLED',
-        updatedAt: new Date()
-      }
-    });
+    // Cancelling gives the volunteer's place back in the same transaction
+    await eventRepository.updateAssignmentStatus(assignment.id, 'cancelled');
 
-    // Decrement the event's currentVolunteers count
-    if (event.currentVolunteers > 0) {
-      await eventRepository.update(eventId, {
-        currentVolunteers: event.currentVolunteers - 1
-      });
-    }
+    await shiftRepository.releaseSignups({ assignmentId: assignment.id });
+
+    // Offer the freed place to the next volunteer on the waitlist
+    await waitlistService.promote(eventId);
 
     // Delete or mark history record as cancelled if exists
     const historyRecord = await prisma.volunteerHistory.findUnique({
@@ -459,6 +1169,12 @@ class EventService {
       throw new Error('Assignment not found');
     }
 
+    // Free the volunteer's shift places and offer the event place to the waitlist
+    if (status === 'cancelled' || status === 'declined') {
+      await shiftRepository.releaseSignups({ assignmentId });
+      await waitlistService.promote(updatedAssignment.eventId);
+    }
+
     return {
       success: true,
       message: 'Assignment status updated successfully',
@@ -571,6 +1287,29 @@ class EventService {
     };
   }
 
+  /**
+   * Recompute every event's volunteer count from its active assignments (admin only)
+   * Events that turn out to have free places offer them to their waitlist.
+   * @returns {Object} Events checked and the counts that were corrected
+   */
+  async recountVolunteers() {
+    const { checked, corrections } = await eventRepository.recountVolunteers();
+
+    for (const correction of corrections) {
+      if (correction.current < correction.previous) {
+        await waitlistService.promote(correction.id);
+      }
+    }
+
+    return {
+      success: true,
+      message: corrections.length === 0
+        ? `All ${checked} event volunteer counts are correct`
+        : `Corrected volunteer counts for ${corrections.length} of ${checked} events`,
+      data: { checked, corrections }
+    };
+  }
+
   /**
    * Get available event categories
    * @returns {Object} Event categories
@@ -0,0 +1,251 @@
+const eventRepository = require('../database/repositories/eventRepository');
+const eventTemplateRepository = require('../database/repositories/eventTemplateRepository');
+const organizationScope = require('../utils/organizationScope');
+const eventService = require('./eventService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Event Template Service
+ * Business logic for reusable event templates
+ *
+ * A template holds what stays the same each time an organization runs a kind
+ * of event (description, category, required skills, capacity, urgency and how
+ * long it lasts), so creating an event from one only needs a date and a location.
+ */
+class EventTemplateService {
+  /**
+   * Get the templates of the caller's organizations
+   * @returns {Object} Templates ordered by name
+   */
+  async getTemplates() {
+    const templates = await eventTemplateRepository.findAll();
+
+    return {
+      success: true,
+      data: {
+        templates: templates.map(template => this.formatTemplate(template))
+      }
+    };
+  }
+
+  /**
+   * Get a template
+   * @param {string} templateId - Template ID
+   * @returns {Object} Template
+   */
+  async getTemplate(templateId) {
+    const template = await this.findTemplate(templateId);
+
+    return {
+      success: true,
+      data: this.formatTemplate(template)
+    };
+  }
+
+  /**
+   * Create a template
+   * @param {string} userId - Creating user ID
+   * @param {Object} templateData - Template fields, optionally with organizationId
+   * @returns {Object} Created template
+   */
+  async createTemplate(userId, templateData) {
+    const { organizationId: requestedId, ...fields } = templateData;
+
+    const organizationId = this.resolveOrganization(requestedId);
+
+    if (fields.requiredSkills) {
+      await eventService.validateRequiredSkills(fields.requiredSkills);
+    }
+
+    await this.ensureNameAvailable(organizationId, fields.name);
+
+    const template = await eventTemplateRepository.create({
+      ...fields,
+      organizationId,
+      createdBy: userId
+    });
+
+    return {
+      success: true,
+      message: 'Event template created successfully',
+      data: this.formatTemplate(template)
+    };
+  }
+
+  /**
+   * Update a template
+   * @param {string} templateId - Template ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Object} Updated template
+   */
+  async updateTemplate(templateId, updateData) {
+    const template = await this.findTemplate(templateId);
+
+    if (updateData.requiredSkills) {
+      await eventService.validateRequiredSkills(updateData.requiredSkills);
+    }
+
+    if (updateData.name && updateData.name !== template.name) {
+      await this.ensureNameAvailable(template.organizationId, updateData.name);
+    }
+
+    const updatedTemplate = await eventTemplateRepository.update(templateId, updateData);
+
+    return {
+      success: true,
+      message: 'Event template updated successfully',
+      data: this.formatTemplate(updatedTemplate)
+    };
+  }
+
+  /**
+   * Delete a template
+   * @param {string} templateId - Template ID
+   * @returns {Object} Success response
+   */
+  async deleteTemplate(templateId) {
+    await this.findTemplate(templateId);
+    await eventTemplateRepository.delete(templateId);
+
+    return {
+      success: true,
+      message: 'Event template deleted successfully'
+    };
+  }
+
+  /**
+   * Create an event from a template
+   * The template's duration sets the end time unless one is given.
+   * @param {string} userId - Creating user ID
+   * @param {string} templateId - Template ID
+   * @param {Object} eventData - startDate, location and optional endDate, title and status
+   * @returns {Object} Created event
+   */
+  async createEventFromTemplate(userId, templateId, eventData) {
+    const template = await this.findTemplate(templateId);
+    const { startDate, endDate, title, status, address, city, state, zipCode } = eventData;
+
+    const start = new Date(startDate);
+
+    return await eventService.createEvent(userId, {
+      title: title || template.title,
+      description: template.description,
+      category: template.category,
+      urgencyLevel: template.urgencyLevel.toLowerCase(),
+      maxVolunteers: template.maxVolunteers,
+      requiredSkills: template.requirements.map(requirement => ({
+        skillId: requirement.skillId,
+        minLevel: requirement.minLevel.toLowerCase(),
+        isRequired: requirement.isRequired
+      })),
+      organizationId: template.organizationId,
+      address,
+      city,
+      state,
+      zipCode,
+      startDate: start,
+      endDate: endDate ? new Date(endDate) : new Date(start.getTime() + template.durationMinutes * MINUTE_MS),
+      status
+    });
+  }
+
+  /**
+   * Save an existing event as a template
+   * @param {string} userId - Saving user ID
+   * @param {string} eventId - Event to copy
+   * @param {string} name - Template name
+   * @returns {Object} Created template
+   */
+  async saveEventAsTemplate(userId, eventId, name) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    await this.ensureNameAvailable(event.organizationId, name);
+
+    const durationMinutes = Math.round(
+      (new Date(event.endDate).getTime() - new Date(event.startDate).getTime()) / MINUTE_MS
+    );
+
+    const template = await eventTemplateRepository.create({
+      name,
+      title: event.title,
+      description: event.description,
+      category: event.category,
+      urgencyLevel: event.urgencyLevel,
+      maxVolunteers: event.maxVolunteers,
+      durationMinutes,
+      requiredSkills: (event.requirements || []).map(requirement => ({
+        skillId: requirement.skillId,
+        minLevel: requirement.minLevel,
+        isRequired: requirement.isRequired
+      })),
+      organizationId: event.organizationId,
+      createdBy: userId
+    });
+
+    return {
+      success: true,
+      message: 'Event saved as a template',
+      data: this.formatTemplate(template)
+    };
+  }
+
+  async findTemplate(templateId) {
+    const template = await eventTemplateRepository.findById(templateId);
+    if (!template) {
+      throw new Error('Event template not found');
+    }
+    return template;
+  }
+
+  resolveOrganization(requestedId) {
+    const organizationId = requestedId || organizationScope.activeOrganizationId();
+    if (!organizationId) {
+      throw new Error('Select an organization to create the template in');
+    }
+
+    if (!organizationScope.includes(organizationId)) {
+      throw new Error('You are not a member of this organization');
+    }
+
+    return organizationId;
+  }
+
+  async ensureNameAvailable(organizationId, name) {
+    const existing = await eventTemplateRepository.findByName(organizationId, name);
+    if (existing) {
+      throw new Error(`A template named ${name} already exists`);
+    }
+  }
+
+  /**
+   * Shape a template for API responses
+   */
+  formatTemplate(template) {
+    return {
+      id: template.id,
+      organizationId: template.organizationId,
+      name: template.name,
+      title: template.title,
+      description: template.description,
+      category: template.category,
+      urgencyLevel: template.urgencyLevel.toLowerCase(),
+      maxVolunteers: template.maxVolunteers,
+      durationMinutes: template.durationMinutes,
+      requiredSkills: (template.requirements || []).map(requirement => ({
+        skillId: requirement.skillId,
+        minLevel: requirement.minLevel.toLowerCase(),
+        isRequired: requirement.isRequired,
+        skillName: requirement.skill ? requirement.skill.name : 'Unknown Skill'
+      })),
+      creator: template.creator || null,
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    };
+  }
+}
+
+module.exports = new EventTemplateService();
@@ -0,0 +1,99 @@
+const zipCentroids = require('../utils/zipCentroids');
+
+const DEFAULT_PROVIDER = 'zip-centroid';
+
+// Fields whose change moves a profile or event
+const ADDRESS_FIELDS = ['address', 'city', 'state', 'zipCode'];
+
+/**
+ * Geocoding Service
+ * Turns profile and event addresses into coordinates for distance matching
+ * and location search
+ *
+ * A provider is any object with a name and an async geocode({ address, city,
+ * state, zipCode }) method resolving to { latitude, longitude } or null. The
+ * bundled offline ZIP code centroids are the default; others are registered
+ * with registerProvider and chosen with GEOCODING_PROVIDER.
+ *
+ * Geocoding never blocks a save: an address that can't be located, or a
+ * provider that fails, leaves the record without coordinates.
+ */
+class GeocodingService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(zipCentroids);
+  }
+
+  /**
+   * Make a provider available
+   * @param {Object} provider - { name, geocode(address) }
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.geocode !== 'function') {
+      throw new Error('A geocoding provider needs a name and a geocode function');
+    }
+
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Provider selected by GEOCODING_PROVIDER
+   * @returns {Object} Provider
+   */
+  provider() {
+    const name = process.env.GEOCODING_PROVIDER || DEFAULT_PROVIDER;
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw new Error(`Unknown geocoding provider: ${name}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Locate an address
+   * @param {Object} address - { address, city, state, zipCode }
+   * @returns {Promise<Object|null>} { latitude, longitude }, or null if it can't be located
+   */
+  async geocode({ address, city, state, zipCode }) {
+    if (!zipCode && !(address && city && state)) {
+      return null;
+    }
+
+    const provider = this.provider();
+
+    try {
+      const result = await provider.geocode({ address, city, state, zipCode });
+      if (!result || !Number.isFinite(result.latitude) || !Number.isFinite(result.longitude)) {
+        return null;
+      }
+
+      return { latitude: result.latitude, longitude: result.longitude };
+    } catch (error) {
+      console.error(`Geocoding with ${provider.name} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Coordinates to store after an address change
+   * @param {Object} address - The full address after the change
+   * @returns {Promise<Object>} { latitude, longitude }, both null if it can't be located
+   *   so that coordinates of the old address aren't kept
+   */
+  async coordinatesFor(address) {
+    return await this.geocode(address) || { latitude: null, longitude: null };
+  }
+
+  /**
+   * Whether an update touches the address
+   * @param {Object} changes - Update data
+   * @returns {boolean} True if any address field is being set
+   */
+  changesAddress(changes) {
+    return ADDRESS_FIELDS.some(field => changes[field] !== undefined);
+  }
+}
+
+module.exports = new GeocodingService();
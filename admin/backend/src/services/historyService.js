@@ -2,6 +2,7 @@ const historyRepository = require('../database/repositories/historyRepository');
 const userRepository = require('../database/repositories/userRepository');
 const eventRepository = require('../database/repositories/eventRepository');
 const prisma = require('../database/prisma');
+const organizationScope = require('../utils/organizationScope');
 
 // Static constants
 const participationStatuses = ['registered', 'confirmed', 'completed', 'no_show', 'cancelled'];
@@ -362,7 +363,9 @@ class HistoryService {
       const allStats = await historyRepository.getAllVolunteerStats();
 
       // Get all history for calculations
-      const allHistory = await prisma.volunteerHistory.findMany();
+      const allHistory = await prisma.volunteerHistory.findMany({
+        where: organizationScope.eventWhere()
+      });
 
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -0,0 +1,246 @@
+const jwt = require('jsonwebtoken');
+const userRepository = require('../database/repositories/userRepository');
+const impersonationRepository = require('../database/repositories/impersonationRepository');
+const auditLogService = require('./auditLogService');
+
+const DEFAULT_DURATION_MINUTES = 30;
+
+// Methods a read-only impersonation may use
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Writes allowed even when read-only, so the admin can always get out
+const READ_ONLY_EXEMPT_PATHS = ['/api/auth/impersonation/stop'];
+
+// Credentials and account lifecycle no impersonation may change, read-only
+// or not: what these create outlives the time-limited, audited session
+const DENIED_PATHS = [
+  '/api/auth/tokens',
+  '/api/auth/sessions',
+  '/api/auth/identities',
+  '/api/auth/2fa',
+  '/api/auth/set-password',
+  '/api/auth/change-password',
+  '/api/calendar/token',
+  '/api/profile/account'
+];
+
+/**
+ * Impersonation Service
+ * Lets admins view the app as a volunteer to reproduce support issues
+ *
+ * An impersonation token is an access token for the target user marked with
+ * type 'impersonation' and the session ID. It is not refreshable and stops
+ * working when the session is stopped or expires. Start, stop and every
+ * request made with the token are written to the audit log.
+ */
+class ImpersonationService {
+  /**
+   * Start impersonating a user
+   * @param {string} adminId - Admin starting the session
+   * @param {string} targetUserId - User to view as
+   * @param {Object} options - { reason, readOnly, durationMinutes }
+   * @param {Object} [context] - { ipAddress, userAgent } of the admin
+   * @returns {Promise<Object>} Token, session and target user
+   */
+  async start(adminId, targetUserId, options, context = {}) {
+    const { reason, readOnly = true, durationMinutes = DEFAULT_DURATION_MINUTES } = options;
+
+    if (adminId === targetUserId) {
+      throw new Error('You cannot impersonate yourself');
+    }
+
+    const target = await userRepository.findById(targetUserId);
+    if (!target) {
+      throw new Error('User not found');
+    }
+
+    if (target.role === 'ADMIN' || target.isSuperAdmin) {
+      throw new Error('Administrators cannot be impersonated');
+    }
+
+    const session = await impersonationRepository.create({
+      adminId,
+      targetUserId,
+      reason,
+      readOnly,
+      expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000)
+    });
+
+    const token = jwt.sign(
+      { userId: targetUserId, imp: session.id, type: 'impersonation' },
+      process.env.JWT_SECRET,
+      { expiresIn: durationMinutes * 60 }
+    );
+
+    await auditLogService.record('impersonation.start', {
+      actorId: adminId,
+      targetUserId,
+      impersonationId: session.id,
+      metadata: { reason, readOnly, expiresAt: session.expiresAt, ...context }
+    });
+
+    return {
+      success: true,
+      message: `Now viewing as ${target.username}`,
+      data: {
+        token,
+        impersonation: this.formatSession(session),
+        user: {
+          id: target.id,
+          email: target.email,
+          username: target.username,
+          role: target.role.toLowerCase()
+        }
+      }
+    };
+  }
+
+  /**
+   * Stop an impersonation
+   * @param {Object} impersonation - req.impersonation
+   * @returns {Promise<Object>} Success response
+   */
+  async stop(impersonation) {
+    await impersonationRepository.end(impersonation.id);
+
+    await auditLogService.record('impersonation.stop', {
+      actorId: impersonation.adminId,
+      targetUserId: impersonation.targetUserId,
+      impersonationId: impersonation.id
+    });
+
+    return {
+      success: true,
+      message: 'Impersonation ended'
+    };
+  }
+
+  /**
+   * Look up the session behind an impersonation token
+   * @param {string} impersonationId - Session ID from the token
+   * @returns {Promise<Object|null>} Session, or null if stopped or expired
+   */
+  async verify(impersonationId) {
+    if (!impersonationId) {
+      return null;
+    }
+
+    const session = await impersonationRepository.findById(impersonationId);
+    if (!session || session.endedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Whether a read-only impersonation may make this request
+   * @param {string} method - HTTP method
+   * @param {string} path - Full request path
+   * @returns {boolean} True if allowed
+   */
+  isAllowedWhileReadOnly(method, path) {
+    return SAFE_METHODS.includes(method) || READ_ONLY_EXEMPT_PATHS.includes(path);
+  }
+
+  /**
+   * Whether any impersonation may make this request
+   * Reads are allowed; writes under DENIED_PATHS are not
+   * @param {string} method - HTTP method
+   * @param {string} path - Full request path
+   * @returns {boolean} True if allowed
+   */
+  isAllowedWhileImpersonating(method, path) {
+    if (SAFE_METHODS.includes(method)) {
+      return true;
+    }
+
+    // Routing ignores case and trailing slashes, so compare the same way
+    const normalized = path.toLowerCase();
+    return !DENIED_PATHS.some(denied => normalized === denied || normalized.startsWith(`${denied}/`));
+  }
+
+  /**
+   * Audit a request made while impersonating
+   * @param {Object} impersonation - req.impersonation
+   * @param {Object} request - { method, path, statusCode }
+   * @returns {Promise<void>}
+   */
+  async recordRequest(impersonation, { method, path, statusCode }) {
+    await auditLogService.record('impersonation.request', {
+      actorId: impersonation.adminId,
+      targetUserId: impersonation.targetUserId,
+      impersonationId: impersonation.id,
+      method,
+      path: path.slice(0, 500),
+      statusCode
+    });
+  }
+
+  /**
+   * List impersonation sessions
+   * @param {Object} filters - { adminId, targetUserId }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} Sessions and pagination
+   */
+  async listSessions(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const { sessions, total } = await impersonationRepository.findAll(filters, { page, limit });
+
+    return {
+      success: true,
+      data: {
+        sessions: sessions.map(session => this.formatSession(session)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    };
+  }
+
+  /**
+   * Get a session with its audit trail
+   * @param {string} impersonationId - Session ID
+   * @returns {Promise<Object>} Session and audit entries
+   */
+  async getSession(impersonationId) {
+    const session = await impersonationRepository.findById(impersonationId);
+
+    // Only sessions on users the admin can see
+    if (!session || !(await userRepository.findById(session.targetUserId))) {
+      throw new Error('Impersonation session not found');
+    }
+
+    return {
+      success: true,
+      data: {
+        session: this.formatSession(session),
+        auditLog: await auditLogService.forImpersonation(impersonationId)
+      }
+    };
+  }
+
+  /**
+   * Shape a session for API responses
+   */
+  formatSession(session) {
+    return {
+      id: session.id,
+      adminId: session.adminId,
+      targetUserId: session.targetUserId,
+      ...(session.admin && { admin: session.admin }),
+      ...(session.targetUser && { targetUser: session.targetUser }),
+      reason: session.reason,
+      readOnly: session.readOnly,
+      expiresAt: session.expiresAt,
+      endedAt: session.endedAt,
+      createdAt: session.createdAt,
+      active: !session.endedAt && session.expiresAt > new Date()
+    };
+  }
+}
+
+module.exports = new ImpersonationService();
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const Joi = require('joi');
+const userRepository = require('../database/repositories/userRepository');
+const invitationRepository = require('../database/repositories/invitationRepository');
+const emailService = require('./emailService');
+const auditLogService = require('./auditLogService');
+
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Upper bound on one bulk request, to keep a paste from a spreadsheet sane
+const MAX_BULK_INVITATIONS = 200;
+
+const emailSchema = Joi.string().email().required();
+
+// Profile fields an admin can fill in ahead of time
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'city', 'state', 'zipCode'];
+
+/**
+ * Invitation Service
+ * Admin invitations that let a person register with a pre-assigned role,
+ * organization and profile details
+ *
+ * The emailed token is a signed JWT naming the invitation. Only its hash is
+ * stored; resending issues a new token, which replaces the hash so the old
+ * link stops working. Accepting an invitation creates a verified account,
+ * since the invitee proved they own the address by following the link.
+ */
+class InvitationService {
+  /**
+   * Invite one person
+   * @param {Object} inviter - req.user of the admin
+   * @param {Object} invitationData - { email, role, profile }
+   * @param {string} organizationId - Organization to invite into
+   * @returns {Promise<Object>} Invitation
+   */
+  async createInvitation(inviter, invitationData, organizationId) {
+    const email = invitationData.email.trim().toLowerCase();
+    const role = (invitationData.role || 'volunteer').toUpperCase();
+
+    if (await userRepository.findByEmail(email)) {
+      throw new Error('A user with this email already exists');
+    }
+
+    if (await invitationRepository.findPendingByEmail(email, organizationId)) {
+      throw new Error('An invitation is already pending for this email');
+    }
+
+    const id = crypto.randomUUID();
+    const { token, tokenHash, expiresAt } = this.issueToken(id);
+
+    const invitation = await invitationRepository.create({
+      id,
+      email,
+      role,
+      organizationId,
+      invitedBy: inviter.id,
+      tokenHash,
+      profileData: this.pickProfile(invitationData.profile),
+      expiresAt
+    });
+
+    const emailSent = await this.sendInvitation(invitation, inviter, token);
+
+    await auditLogService.record('invitation.created', {
+      actorId: inviter.id,
+      metadata: { invitationId: id, email, role }
+    });
+
+    return {
+      success: true,
+      message: emailSent ? `Invitation sent to ${email}` : `Invitation created, but the email to ${email} could not be sent`,
+      data: {
+        invitation: this.formatInvitation(invitation),
+        emailSent
+      }
+    };
+  }
+
+  /**
+   * Invite a pasted list of emails with the same role
+   * Emails that are invalid, already registered or already invited are skipped
+   * @param {Object} inviter - req.user of the admin
+   * @param {Object} bulkData - { emails (string or array), role }
+   * @param {string} organizationId - Organization to invite into
+   * @returns {Promise<Object>} Created invitations and skipped emails with reasons
+   */
+  async bulkInvite(inviter, { emails, role }, organizationId) {
+    const addresses = this.parseEmails(emails);
+
+    if (addresses.length === 0) {
+      throw new Error('No email addresses found');
+    }
+
+    if (addresses.length > MAX_BULK_INVITATIONS) {
+      throw new Error(`A bulk invite can include at most ${MAX_BULK_INVITATIONS} emails`);
+    }
+
+    const created = [];
+    const skipped = [];
+
+    for (const email of addresses) {
+      if (emailSchema.validate(email).error) {
+        skipped.push({ email, reason: 'Invalid email address' });
+        continue;
+      }
+
+      try {
+        const result = await this.createInvitation(inviter, { email, role }, organizationId);
+        created.push(result.data.invitation);
+      } catch (error) {
+        skipped.push({ email, reason: error.message });
+      }
+    }
+
+    return {
+      success: true,
+      message: `${created.length} invitation(s) sent, ${skipped.length} skipped`,
+      data: { created, skipped }
+    };
+  }
+
+  /**
+   * List invitations in the admin's organizations
+   * @param {Object} filters - { status }
+   * @returns {Promise<Object>} Invitations
+   */
+  async listInvitations(filters = {}) {
+    await invitationRepository.expireStale();
+
+    const invitations = await invitationRepository.findAll({
+      status: filters.status ? filters.status.toUpperCase() : undefined
+    });
+
+    return {
+      success: true,
+      data: {
+        invitations: invitations.map(invitation => this.formatInvitation(invitation))
+      }
+    };
+  }
+
+  /**
+   * Send an invitation again with a fresh token and expiry
+   * @param {Object} inviter - req.user of the admin
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} Invitation
+   */
+  async resendInvitation(inviter, invitationId) {
+    const existing = await invitationRepository.findById(invitationId);
+    if (!existing) {
+      throw new Error('Invitation not found');
+    }
+
+    if (!['PENDING', 'EXPIRED'].includes(existing.status)) {
+      throw new Error('Only pending or expired invitations can be resent');
+    }
+
+    const { token, tokenHash, expiresAt } = this.issueToken(invitationId);
+    const invitation = await invitationRepository.renew(invitationId, tokenHash, expiresAt);
+
+    const emailSent = await this.sendInvitation(invitation, inviter, token);
+
+    return {
+      success: true,
+      message: emailSent ? `Invitation resent to ${invitation.email}` : `The email to ${invitation.email} could not be sent`,
+      data: {
+        invitation: this.formatInvitation(invitation),
+        emailSent
+      }
+    };
+  }
+
+  /**
+   * Revoke an invitation so its link stops working
+   * @param {Object} inviter - req.user of the admin
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} Success response
+   */
+  async revokeInvitation(inviter, invitationId) {
+    const existing = await invitationRepository.findById(invitationId);
+    if (!existing) {
+      throw new Error('Invitation not found');
+    }
+
+    if (!(await invitationRepository.revoke(invitationId))) {
+      throw new Error('Only pending or expired invitations can be revoked');
+    }
+
+    await auditLogService.record('invitation.revoked', {
+      actorId: inviter.id,
+      metadata: { invitationId, email: existing.email }
+    });
+
+    return {
+      success: true,
+      message: 'Invitation revoked'
+    };
+  }
+
+  /**
+   * Details shown to the invitee on the registration page
+   * @param {string} token - Invite token
+   * @returns {Promise<Object>} Email, role, organization and pre-filled profile
+   */
+  async getInvitationByToken(token) {
+    const invitation = await this.findValidInvitation(token);
+
+    return {
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role.toLowerCase(),
+        organization: invitation.organization,
+        profile: invitation.profileData || {},
+        expiresAt: invitation.expiresAt
+      }
+    };
+  }
+
+  /**
+   * Create an account from an invitation
+   * @param {Object} acceptData - { token, username, password }
+   * @returns {Promise<Object>} User and profile, in the same shape as registration
+   */
+  async acceptInvitation({ token, username, password }) {
+    const invitation = await this.findValidInvitation(token);
+
+    if (await userRepository.findByEmail(invitation.email)) {
+      throw new Error('User with this email already exists');
+    }
+
+    if (await userRepository.findByUsername(username.toLowerCase())) {
+      throw new Error('Username already taken');
+    }
+
+    if (!(await invitationRepository.claim(invitation.id))) {
+      throw new Error('Invalid or expired invitation');
+    }
+
+    let newUser;
+    let newProfile;
+    try {
+      newUser = await userRepository.create({
+        username: username.toLowerCase(),
+        email: invitation.email,
+        password: await bcrypt.hash(password, 12),
+        role: invitation.role,
+        verified: true,
+        organizationId: invitation.organizationId
+      });
+
+      const profile = invitation.profileData || {};
+      newProfile = await userRepository.createProfile(newUser.id, {
+        firstName: profile.firstName || '',
+        lastName: profile.lastName || '',
+        phone: profile.phone || '',
+        address: '',
+        city: profile.city || '',
+        state: profile.state || '',
+        zipCode: profile.zipCode || '',
+        bio: '',
+        maxTravelDistance: 50,
+        preferredDays: [],
+        preferredTimeSlots: [],
+        preferredCauses: [],
+        emailNotifications: true,
+        eventReminders: true,
+        weekendsOnly: false,
+        profileCompleteness: 0
+      });
+    } catch (error) {
+      // Let the invitee try again, e.g. with another username
+      if (!newUser) {
+        await invitationRepository.releaseClaim(invitation.id);
+      }
+      throw error;
+    }
+
+    await invitationRepository.setAcceptedUser(invitation.id, newUser.id);
+
+    await auditLogService.record('invitation.accepted', {
+      actorId: newUser.id,
+      targetUserId: newUser.id,
+      metadata: { invitationId: invitation.id, invitedBy: invitation.invitedBy }
+    });
+
+    return {
+      success: true,
+      message: `Welcome to ${invitation.organization.name}!`,
+      data: {
+        user: {
+          id: newUser.id,
+          username: newUser.username,
+          email: newUser.email,
+          role: newUser.role.toLowerCase(),
+          verified: newUser.verified,
+          createdAt: newUser.createdAt
+        },
+        profile: newProfile
+      }
+    };
+  }
+
+  /**
+   * Look up the pending invitation behind a token
+   * @param {string} token - Invite token
+   * @returns {Promise<Object>} Invitation
+   */
+  async findValidInvitation(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.type !== 'invitation') {
+        throw new Error('Wrong token type');
+      }
+    } catch (error) {
+      throw new Error('Invalid or expired invitation');
+    }
+
+    const invitation = await invitationRepository.findByTokenHash(this.hashToken(token));
+    if (!invitation || invitation.status !== 'PENDING' || invitation.expiresAt <= new Date()) {
+      throw new Error('Invalid or expired invitation');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Sign a new token for an invitation
+   * The random jwtid makes every token unique, even when resent within a second
+   */
+  issueToken(invitationId) {
+    const expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    const token = jwt.sign(
+      { invitationId, type: 'invitation' },
+      process.env.JWT_SECRET,
+      { expiresIn: `${INVITATION_EXPIRY_DAYS}d`, jwtid: crypto.randomUUID() }
+    );
+
+    return { token, tokenHash: this.hashToken(token), expiresAt };
+  }
+
+  /**
+   * Email an invitation
+   * @returns {Promise<boolean>} False if the email could not be sent
+   */
+  async sendInvitation(invitation, inviter, token) {
+    try {
+      await emailService.sendInvitationEmail(invitation.email, {
+        inviterName: inviter.username,
+        organizationName: invitation.organization.name,
+        role: invitation.role.toLowerCase(),
+        inviteToken: token,
+        expiresAt: invitation.expiresAt
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to send invitation email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Split a pasted list on commas, semicolons and whitespace
+   * @param {string|Array<string>} emails - Pasted text or list
+   * @returns {Array<string>} Unique lowercased addresses
+   */
+  parseEmails(emails) {
+    const list = Array.isArray(emails) ? emails : String(emails || '').split(/[\s,;]+/);
+
+    return [...new Set(
+      list.map(email => email.trim().toLowerCase()).filter(Boolean)
+    )];
+  }
+
+  /**
+   * Keep only the profile fields an invitation can pre-fill
+   */
+  pickProfile(profile) {
+    if (!profile) {
+      return null;
+    }
+
+    const picked = Object.fromEntries(
+      PROFILE_FIELDS.filter(field => profile[field]).map(field => [field, profile[field]])
+    );
+
+    return Object.keys(picked).length > 0 ? picked : null;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Shape an invitation for API responses
+   * Pending invitations past their expiry are reported as expired
+   */
+  formatInvitation(invitation) {
+    const expired = invitation.status === 'PENDING' && invitation.expiresAt <= new Date();
+
+    return {
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role.toLowerCase(),
+      status: expired ? 'expired' : invitation.status.toLowerCase(),
+      organization: invitation.organization,
+      invitedBy: invitation.inviter,
+      profile: invitation.profileData || {},
+      expiresAt: invitation.expiresAt,
+      sentAt: invitation.sentAt,
+      sendCount: invitation.sendCount,
+      acceptedAt: invitation.acceptedAt,
+      createdAt: invitation.createdAt
+    };
+  }
+}
+
+module.exports = new InvitationService();
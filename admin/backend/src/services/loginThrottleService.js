@@ -0,0 +1,156 @@
+const userRepository = require('../database/repositories/userRepository');
+const emailService = require('./emailService');
+
+// Failures allowed before each further attempt has to wait
+const BACKOFF_AFTER_ATTEMPTS = 3;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+/**
+ * Login Throttle Service
+ * Per-account protection against password guessing, independent of client IP
+ * Failures beyond a threshold impose an exponentially growing wait between
+ * attempts; too many failures lock the account for a while
+ */
+class LoginThrottleService {
+  constructor() {
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+  }
+
+  /**
+   * Count the attempt, then refuse it if the account is locked or still backing off
+   * Runs before the password is checked, so a correct password does not help.
+   * The attempt is counted atomically up front and the wait decided from that
+   * count, so parallel attempts can't all pass the same backoff check
+   * @param {Object} user - User record
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Failed attempts including this one
+   * @throws {Error} With statusCode 429 and retryAfter (seconds)
+   */
+  async beginAttempt(user, now = new Date()) {
+    if (user.lockedUntil && user.lockedUntil > now) {
+      const minutes = Math.ceil((user.lockedUntil - now) / 60000);
+      throw this.throttledError(
+        `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        Math.ceil((user.lockedUntil - now) / 1000)
+      );
+    }
+
+    const attempts = await userRepository.recordLoginAttempt(user.id);
+
+    // Earlier failures decide the wait since the latest of them
+    const waitSeconds = this.getBackoffSeconds(attempts - 1);
+    if (waitSeconds > 0 && user.lastFailedLoginAt) {
+      const retryAt = user.lastFailedLoginAt.getTime() + waitSeconds * 1000;
+      if (retryAt > now.getTime()) {
+        // A refused attempt doesn't count, or waiting it out would never catch up
+        await userRepository.releaseLoginAttempt(user.id);
+
+        const retryAfter = Math.ceil((retryAt - now.getTime()) / 1000);
+        throw this.throttledError(
+          `Too many failed login attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+          retryAfter
+        );
+      }
+    }
+
+    return attempts;
+  }
+
+  /**
+   * Stop counting an attempt whose password was right but still needs a
+   * second factor
+   * @param {Object} user - User record
+   */
+  async releaseAttempt(user) {
+    await userRepository.releaseLoginAttempt(user.id);
+  }
+
+  /**
+   * Record a failed attempt and lock the account once the limit is reached
+   * @param {Object} user - User record
+   * @param {number} attempts - Count returned by beginAttempt
+   */
+  async recordFailure(user, attempts) {
+    await userRepository.recordFailedLogin(user.id);
+
+    if (attempts < this.maxFailedAttempts) {
+      return;
+    }
+
+    const lockedUntil = new Date(Date.now() + this.lockoutMinutes * 60 * 1000);
+    const locked = await userRepository.lockAccount(user.id, lockedUntil);
+
+    if (locked) {
+      console.warn(`Account ${user.id} locked until ${lockedUntil.toISOString()} after repeated failed logins`);
+
+      try {
+        await emailService.sendAccountLockedEmail(user.email, user.username, lockedUntil);
+      } catch (error) {
+        console.error('Failed to send account locked email:', error);
+      }
+    }
+  }
+
+  /**
+   * Clear the failure count after a successful login
+   * (beginAttempt has always counted the attempt, so there is one to clear)
+   * @param {Object} user - User record
+   */
+  async recordSuccess(user) {
+    await userRepository.resetLoginFailures(user.id);
+  }
+
+  /**
+   * Remove a lockout (admin action)
+   * @param {string} userId - User ID
+   * @returns {Object} Success response
+   */
+  async unlock(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await userRepository.resetLoginFailures(userId);
+
+    return {
+      success: true,
+      message: 'Account unlocked successfully'
+    };
+  }
+
+  /**
+   * Required wait before the next attempt
+   * @param {number} failedAttempts - Consecutive failures so far
+   * @returns {number} Seconds (1, 2, 4, ... capped), 0 below the threshold
+   */
+  getBackoffSeconds(failedAttempts = 0) {
+    if (failedAttempts < BACKOFF_AFTER_ATTEMPTS) {
+      return 0;
+    }
+
+    return Math.min(2 ** (failedAttempts - BACKOFF_AFTER_ATTEMPTS), MAX_BACKOFF_SECONDS);
+  }
+
+  /**
+   * Whether the account is currently locked
+   * @param {Object} user - User record
+   * @returns {boolean} True while the lockout is in effect
+   */
+  isLocked(user) {
+    return !!user.lockedUntil && user.lockedUntil > new Date();
+  }
+
+  /**
+   * Build an error the controllers can turn into a 429 with Retry-After
+   */
+  throttledError(message, retryAfter) {
+    const error = new Error(message);
+    error.statusCode = 429;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -1,6 +1,7 @@
 const matchingAlgorithm = require('../utils/matchingAlgorithm');
 const eventRepository = require('../database/repositories/eventRepository');
 const userRepository = require('../database/repositories/userRepository');
+const shiftRepository = require('../database/repositories/shiftRepository');
 
 /**
  * Matching Service
@@ -9,18 +10,24 @@ const userRepository = require('../database/repositories/userRepository');
 class MatchingService {
   /**
    * Find best volunteer matches for an event
+   * With options.shiftId, volunteers are scored against that shift's times and
+   * each open position's skill need, and matched to their best position.
    * @param {string} eventId - Event ID
    * @param {Object} options - Matching options
    * @returns {Object} Matching results
    */
   async findMatchesForEvent(eventId, options = {}) {
-    const { limit = 20, minScore = 0, includeAssigned = false } = options;
+    const { limit = 20, minScore = 0, includeAssigned = false, shiftId } = options;
 
     const event = await eventRepository.findById(eventId);
     if (!event) {
       throw new Error('Event not found');
     }
 
+    if (shiftId) {
+      return await this.findMatchesForShift(event, shiftId, { limit, minScore });
+    }
+
     // Get all available volunteers
     const availableVolunteers = await this.getAvailableVolunteers(eventId, includeAssigned);
 
@@ -123,6 +130,106 @@ class MatchingService {
     };
   }
 
+  /**
+   * Find best volunteer matches for the open positions of a shift
+   * @param {Object} event - Event with requirements
+   * @param {string} shiftId - Shift ID
+   * @param {Object} options - { limit, minScore }
+   * @returns {Object} Matching results, each with the suggested position
+   */
+  async findMatchesForShift(event, shiftId, { limit, minScore }) {
+    const shift = await shiftRepository.findById(event.id, shiftId);
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+
+    const openPositions = shift.positions.filter(position => position.filled < position.capacity);
+    const signups = await shiftRepository.findSignupsForEvent(event.id);
+    const signedUp = new Set(signups
+      .filter(signup => signup.shiftId === shiftId)
+      .map(signup => signup.assignment.volunteerId));
+
+    const volunteers = (await userRepository.getVolunteersWithProfiles())
+      .filter(volunteer => !signedUp.has(volunteer.id));
+
+    const matches = [];
+    for (const volunteer of volunteers) {
+      let best = null;
+
+      for (const position of openPositions) {
+        const matchResult = matchingAlgorithm.calculateMatchScore(volunteer, this.shiftView(event, shift, position));
+        if (!best || matchResult.totalScore > best.matchResult.totalScore) {
+          best = { position, matchResult };
+        }
+      }
+
+      if (best && best.matchResult.totalScore >= minScore) {
+        matches.push({
+          volunteer: {
+            id: volunteer.id,
+            username: volunteer.username,
+            email: volunteer.email,
+            profile: {
+              firstName: volunteer.profile.firstName,
+              lastName: volunteer.profile.lastName,
+              city: volunteer.profile.city,
+              state: volunteer.profile.state,
+              skills: volunteer.profile.skills
+            }
+          },
+          position: {
+            id: best.position.id,
+            name: best.position.name,
+            spotsRemaining: best.position.capacity - best.position.filled
+          },
+          matchScore: best.matchResult.totalScore,
+          scoreBreakdown: best.matchResult.scoreBreakdown,
+          matchQuality: best.matchResult.matchQuality,
+          matchReasons: best.matchResult.recommendations?.map(r => r.message) || [],
+          calculatedAt: best.matchResult.calculatedAt
+        });
+      }
+    }
+
+    matches.sort((a, b) => b.matchScore - a.matchScore);
+
+    return {
+      success: true,
+      data: {
+        eventId: event.id,
+        shift: {
+          id: shift.id,
+          name: shift.name,
+          startDate: shift.startDate,
+          endDate: shift.endDate,
+          openPositions: openPositions.map(position => ({
+            id: position.id,
+            name: position.name,
+            spotsRemaining: position.capacity - position.filled
+          }))
+        },
+        matches: matches.slice(0, limit),
+        totalMatches: matches.length,
+        totalVolunteers: volunteers.length
+      }
+    };
+  }
+
+  /**
+   * The event as seen by one position of a shift: the shift's times, and the
+   * position's skill as the requirement (the event's own skills when it has none)
+   */
+  shiftView(event, shift, position) {
+    return {
+      ...event,
+      startDate: shift.startDate,
+      endDate: shift.endDate,
+      requirements: position.skillId
+        ? [{ skillId: position.skillId, minLevel: position.minLevel, isRequired: true }]
+        : event.requirements
+    };
+  }
+
   /**
    * Find best event matches for a volunteer
    * @param {string} volunteerId - Volunteer ID
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const userRepository = require('../database/repositories/userRepository');
+const oauthIdentityRepository = require('../database/repositories/oauthIdentityRepository');
+const oauthLinkRequestRepository = require('../database/repositories/oauthLinkRequestRepository');
+
+// Providers and the credentials that enable them (see config/passport.js)
+const PROVIDERS = {
+  google: ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET'],
+  github: ['GITHUB_CLIENT_ID', 'GITHUB_CLIENT_SECRET'],
+  microsoft: ['MICROSOFT_CLIENT_ID', 'MICROSOFT_CLIENT_SECRET']
+};
+
+const PROVIDER_NAMES = {
+  google: 'Google',
+  github: 'GitHub',
+  microsoft: 'Microsoft'
+};
+
+// A link flow must be completed within 10 minutes
+const LINK_REQUEST_EXPIRY_MS = 10 * 60 * 1000;
+
+// Cookie holding the link token in the browser that asked to link
+const LINK_COOKIE = 'oauthLink';
+
+/**
+ * Error for a failed OAuth flow
+ * The code is passed to the frontend in the redirect
+ */
+const oauthError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * OAuth Service
+ * Signs users in with linked provider accounts and manages those links
+ *
+ * A provider account is only ever matched by its provider user ID. An
+ * unlinked account whose email belongs to an existing user is refused rather
+ * than merged: the user signs in another way and links it from their profile.
+ */
+class OAuthService {
+  /**
+   * Providers with credentials configured
+   * @returns {Array<string>} Provider keys
+   */
+  configuredProviders() {
+    return Object.keys(PROVIDERS).filter(provider =>
+      PROVIDERS[provider].every(variable => process.env[variable])
+    );
+  }
+
+  /**
+   * Handle a provider callback
+   * A link token in the OAuth state means the signed-in user is linking the
+   * provider account; otherwise the account is used to sign in
+   * @param {string} provider - Provider key
+   * @param {Object} profile - Passport profile
+   * @param {string} [state] - OAuth state parameter
+   * @param {string} [browserToken] - Link token from the caller's link cookie
+   * @returns {Promise<Object>} { user, linked }
+   */
+  async handleCallback(provider, profile, state, browserToken) {
+    if (!state) {
+      return { user: await this.signIn(provider, profile), linked: false };
+    }
+
+    const userId = await this.verifyLinkToken(state, provider, browserToken);
+    if (!userId) {
+      throw oauthError('The link request has expired. Please try again from your profile.', 'oauth_link_expired');
+    }
+
+    return { user: await this.link(userId, provider, profile), linked: true };
+  }
+
+  /**
+   * Find or create the user for a provider sign-in
+   * @param {string} provider - Provider key
+   * @param {Object} profile - Passport profile
+   * @returns {Promise<Object>} User record
+   */
+  async signIn(provider, profile) {
+    const account = this.normalizeProfile(profile);
+
+    const identity = await oauthIdentityRepository.findByProviderAccount(provider, account.providerUserId);
+    if (identity) {
+      await oauthIdentityRepository.touch(identity.id);
+      return identity.user;
+    }
+
+    if (!account.email) {
+      throw oauthError(`No email address was provided by ${PROVIDER_NAMES[provider]}`, 'oauth_no_email');
+    }
+
+    // Never attach a provider account to someone else's account by email alone
+    const existingUser = await userRepository.findByEmail(account.email);
+    if (existingUser) {
+      throw oauthError(
+        `An account with this email already exists. Sign in with your password, then link ${PROVIDER_NAMES[provider]} from your profile.`,
+        'oauth_email_exists'
+      );
+    }
+
+    const user = await userRepository.create({
+      username: await this.generateUsername(account.email),
+      email: account.email,
+      password: null,
+      role: 'volunteer',
+      verified: true, // The provider has confirmed the address
+      identity: {
+        provider,
+        providerUserId: account.providerUserId,
+        email: account.email,
+        displayName: account.displayName
+      }
+    });
+
+    await userRepository.createProfile(user.id, {
+      firstName: account.firstName,
+      lastName: account.lastName,
+      avatar: account.avatar,
+      maxTravelDistance: 50,
+      profileCompleteness: 0
+    });
+
+    return user;
+  }
+
+  /**
+   * Link a provider account to a signed-in user
+   * @param {string} userId - User ID
+   * @param {string} provider - Provider key
+   * @param {Object} profile - Passport profile
+   * @returns {Promise<Object>} User record
+   */
+  async link(userId, provider, profile) {
+    const account = this.normalizeProfile(profile);
+
+    const identity = await oauthIdentityRepository.findByProviderAccount(provider, account.providerUserId);
+    if (identity) {
+      if (identity.userId !== userId) {
+        throw oauthError(
+          `This ${PROVIDER_NAMES[provider]} account is already linked to another user`,
+          'oauth_identity_in_use'
+        );
+      }
+
+      return identity.user;
+    }
+
+    const linked = await oauthIdentityRepository.findByUser(userId);
+    if (linked.some(existing => existing.provider === provider)) {
+      throw oauthError(
+        `A different ${PROVIDER_NAMES[provider]} account is already linked. Unlink it first.`,
+        'oauth_provider_linked'
+      );
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw oauthError('User not found', 'oauth_failed');
+    }
+
+    await oauthIdentityRepository.create({
+      userId,
+      provider,
+      providerUserId: account.providerUserId,
+      email: account.email,
+      displayName: account.displayName
+    });
+
+    return user;
+  }
+
+  /**
+   * List a user's sign-in methods
+   * @param {string} userId - User ID
+   * @returns {Object} Linked identities, configured providers and whether a password is set
+   */
+  async listIdentities(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const identities = await oauthIdentityRepository.findByUser(userId);
+
+    return {
+      success: true,
+      data: {
+        identities: identities.map(identity => ({
+          id: identity.id,
+          provider: identity.provider,
+          email: identity.email,
+          displayName: identity.displayName,
+          lastUsedAt: identity.lastUsedAt,
+          createdAt: identity.createdAt
+        })),
+        availableProviders: this.configuredProviders(),
+        hasPassword: !!user.password
+      }
+    };
+  }
+
+  /**
+   * Unlink one of a user's identities
+   * Refused if it would leave the account with no way to sign in
+   * @param {string} userId - User ID
+   * @param {string} identityId - Identity ID
+   * @returns {Object} Success response
+   */
+  async unlinkIdentity(userId, identityId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const identities = await oauthIdentityRepository.findByUser(userId);
+    const identity = identities.find(existing => existing.id === identityId);
+    if (!identity) {
+      throw new Error('Linked account not found');
+    }
+
+    if (!user.password && identities.length === 1) {
+      throw new Error('Set a password before unlinking your only sign-in method');
+    }
+
+    await oauthIdentityRepository.delete(identityId, userId);
+
+    return {
+      success: true,
+      message: `${PROVIDER_NAMES[identity.provider] || identity.provider} account unlinked`
+    };
+  }
+
+  /**
+   * Issue a token that marks an OAuth flow as linking to the caller's account
+   * It travels through the provider in the state parameter and is also set in
+   * the caller's link cookie, so only the browser that asked can complete it.
+   * The token is random and single-use; only its hash is stored.
+   * @param {string} userId - User ID
+   * @param {string} provider - Provider key
+   * @returns {Promise<Object>} Link token
+   */
+  async createLinkToken(userId, provider) {
+    if (!this.configuredProviders().includes(provider)) {
+      throw new Error('Unknown or unavailable provider');
+    }
+
+    const linkToken = crypto.randomBytes(32).toString('hex');
+
+    await oauthLinkRequestRepository.replaceForUser({
+      userId,
+      provider,
+      tokenHash: this.hashToken(linkToken),
+      expiresAt: new Date(Date.now() + LINK_REQUEST_EXPIRY_MS)
+    });
+
+    return {
+      success: true,
+      data: { linkToken }
+    };
+  }
+
+  /**
+   * Redeem the link token from the OAuth state parameter
+   * @param {string} token - State value
+   * @param {string} provider - Provider handling the callback
+   * @param {string} [browserToken] - Link token from the caller's link cookie
+   * @returns {Promise<string|null>} User ID, or null if the token is missing,
+   *   invalid, used, expired or was issued to another browser
+   */
+  async verifyLinkToken(token, provider, browserToken) {
+    if (!token || token !== browserToken) {
+      return null;
+    }
+
+    const request = await oauthLinkRequestRepository.consume(this.hashToken(token));
+    if (!request || request.provider !== provider || request.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return request.userId;
+  }
+
+  /**
+   * Link token from the caller's link cookie
+   * @param {Object} req - Express request
+   * @returns {string|undefined} Link token
+   */
+  linkCookie(req) {
+    return req.cookies?.[LINK_COOKIE];
+  }
+
+  /**
+   * Remember a link token in the browser that asked to link
+   * Limited to the OAuth routes and the lifetime of the link request
+   * @param {Object} res - Express response object
+   * @param {string} linkToken - Link token
+   */
+  setLinkCookie(res, linkToken) {
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    res.cookie(LINK_COOKIE, linkToken, {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: isProduction ? 'none' : 'lax', // The provider redirects back cross-site
+      path: '/api/auth',
+      maxAge: LINK_REQUEST_EXPIRY_MS
+    });
+  }
+
+  /**
+   * Clear the link cookie once the flow has finished
+   * @param {Object} res - Express response object
+   */
+  clearLinkCookie(res) {
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    res.clearCookie(LINK_COOKIE, {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: isProduction ? 'none' : 'lax',
+      path: '/api/auth'
+    });
+  }
+
+  /**
+   * Hash a link token for storage
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Pull the fields we use out of a passport profile
+   */
+  normalizeProfile(profile) {
+    const email = profile.emails && profile.emails[0]?.value;
+
+    return {
+      providerUserId: String(profile.id),
+      email: email ? email.toLowerCase() : null,
+      displayName: profile.displayName || null,
+      firstName: profile.name?.givenName || profile.displayName?.split(' ')[0] || 'User',
+      lastName: profile.name?.familyName || profile.displayName?.split(' ').slice(1).join(' ') || '',
+      avatar: profile.photos?.[0]?.value || null
+    };
+  }
+
+  /**
+   * Username from the email's local part, suffixed if taken
+   */
+  async generateUsername(email) {
+    const base = email.split('@')[0].toLowerCase().replace(/[^a-z0-9_]/g, '_').slice(0, 40) || 'user';
+
+    let username = base;
+    while (await userRepository.findByUsername(username)) {
+      username = `${base}_${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    return username;
+  }
+}
+
+module.exports = new OAuthService();
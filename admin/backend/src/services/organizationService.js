@@ -0,0 +1,201 @@
+const organizationRepository = require('../database/repositories/organizationRepository');
+const userRepository = require('../database/repositories/userRepository');
+
+/**
+ * Organization Service
+ * Business logic for organizations and their membership
+ * Super-admins manage every organization; admins manage the ones they belong to
+ */
+class OrganizationService {
+  /**
+   * Get the organizations visible to a user
+   * @param {Object} user - req.user
+   * @returns {Object} Organizations
+   */
+  async getOrganizations(user) {
+    const ids = user.superAdmin
+      ? null
+      : (user.organizations || []).map(organization => organization.id);
+
+    const organizations = await organizationRepository.findAll(ids);
+
+    return {
+      success: true,
+      data: {
+        organizations: organizations.map(organization => this.formatOrganization(organization)),
+        superAdmin: !!user.superAdmin
+      }
+    };
+  }
+
+  /**
+   * Create an organization (super-admin only)
+   * @param {Object} organizationData - { name, slug, requireAdminTwoFactor }
+   * @returns {Object} Created organization
+   */
+  async createOrganization(organizationData) {
+    const existing = await organizationRepository.findBySlug(organizationData.slug);
+    if (existing) {
+      throw new Error('Organization slug already in use');
+    }
+
+    const organization = await organizationRepository.create(organizationData);
+
+    return {
+      success: true,
+      message: 'Organization created successfully',
+      data: this.formatOrganization(organization)
+    };
+  }
+
+  /**
+   * Update an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} updateData - Fields to update
+   * @param {Object} user - req.user
+   * @returns {Object} Updated organization
+   */
+  async updateOrganization(organizationId, updateData, user) {
+    await this.getManagedOrganization(organizationId, user);
+
+    if (updateData.slug) {
+      const existing = await organizationRepository.findBySlug(updateData.slug);
+      if (existing && existing.id !== organizationId) {
+        throw new Error('Organization slug already in use');
+      }
+    }
+
+    const organization = await organizationRepository.update(organizationId, updateData);
+
+    return {
+      success: true,
+      message: 'Organization updated successfully',
+      data: this.formatOrganization(organization)
+    };
+  }
+
+  /**
+   * Get members of an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} user - req.user
+   * @returns {Object} Members
+   */
+  async getMembers(organizationId, user) {
+    await this.getManagedOrganization(organizationId, user);
+
+    const members = await organizationRepository.findMembers(organizationId);
+
+    return {
+      success: true,
+      data: {
+        members: members.map(member => this.formatMember(member))
+      }
+    };
+  }
+
+  /**
+   * Add an existing user to an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} email - Email of the user to add
+   * @param {Object} user - req.user
+   * @returns {Object} Created membership
+   */
+  async addMember(organizationId, email, user) {
+    await this.getManagedOrganization(organizationId, user);
+
+    const member = await userRepository.findByEmail(email.toLowerCase());
+    if (!member) {
+      throw new Error('User not found');
+    }
+
+    const membership = await organizationRepository.addMember(organizationId, member.id);
+
+    return {
+      success: true,
+      message: 'Member added successfully',
+      data: this.formatMember(membership)
+    };
+  }
+
+  /**
+   * Remove a user from an organization
+   * Users must keep at least one organization; delete the account instead
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID to remove
+   * @param {Object} user - req.user
+   * @returns {Object} Success response
+   */
+  async removeMember(organizationId, userId, user) {
+    await this.getManagedOrganization(organizationId, user);
+
+    const memberships = await organizationRepository.findMembershipsByUser(userId);
+    if (!memberships.some(membership => membership.organizationId === organizationId)) {
+      throw new Error('User is not a member of this organization');
+    }
+
+    if (memberships.length === 1) {
+      throw new Error('Users must belong to at least one organization');
+    }
+
+    await organizationRepository.removeMember(organizationId, userId);
+
+    return {
+      success: true,
+      message: 'Member removed successfully'
+    };
+  }
+
+  /**
+   * Load an organization the user is allowed to manage
+   * @param {string} organizationId - Organization ID
+   * @param {Object} user - req.user
+   * @returns {Object} Organization record
+   */
+  async getManagedOrganization(organizationId, user) {
+    const isMember = (user.organizations || []).some(organization => organization.id === organizationId);
+    if (!user.superAdmin && !isMember) {
+      throw new Error('Organization not found');
+    }
+
+    const organization = await organizationRepository.findById(organizationId);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+
+    return organization;
+  }
+
+  /**
+   * Shape an organization for API responses
+   * @param {Object} organization - Organization record
+   * @returns {Object} Organization data
+   */
+  formatOrganization(organization) {
+    return {
+      id: organization.id,
+      name: organization.name,
+      slug: organization.slug,
+      requireAdminTwoFactor: organization.requireAdminTwoFactor,
+      memberCount: organization._count ? organization._count.members : undefined,
+      eventCount: organization._count ? organization._count.events : undefined,
+      createdAt: organization.createdAt
+    };
+  }
+
+  /**
+   * Shape a membership for API responses
+   * @param {Object} membership - OrganizationMember record with user
+   * @returns {Object} Member data
+   */
+  formatMember(membership) {
+    return {
+      id: membership.user.id,
+      username: membership.user.username,
+      email: membership.user.email,
+      role: membership.user.role.toLowerCase(),
+      joinedAt: membership.createdAt
+    };
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const personalAccessTokenRepository = require('../database/repositories/personalAccessTokenRepository');
+
+// Marks a Bearer token as a personal access token rather than a JWT
+const TOKEN_PREFIX = 'jsp_';
+
+// API areas tokens can be granted, by router mount path
+const SCOPE_RESOURCES = {
+  '/api/events': 'events',
+  '/api/attendance': 'attendance',
+  '/api/matching': 'matching',
+  '/api/history': 'history',
+  '/api/profile': 'profile',
+  '/api/notifications': 'notifications',
+  '/api/admin/reporting': 'reports'
+};
+
+// Scopes a token can carry; ":write" also grants ":read" on the same area
+const SCOPES = Object.freeze([
+  'events:read',
+  'events:write',
+  'attendance:read',
+  'attendance:write',
+  'matching:read',
+  'matching:write',
+  'history:read',
+  'history:write',
+  'profile:read',
+  'profile:write',
+  'notifications:read',
+  'notifications:write',
+  'reports:read'
+]);
+
+// Don't write lastUsedAt more than once a minute for a busy token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Personal Access Token Service
+ * Long-lived, scoped API tokens for scripts and partner integrations
+ * Only a SHA-256 hash is stored; the token itself is shown once, at creation
+ */
+class PersonalAccessTokenService {
+  /**
+   * Whether a Bearer token is a personal access token
+   * @param {string} token - Raw Bearer token
+   * @returns {boolean} True for personal access tokens
+   */
+  isPersonalAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a token
+   * @param {string} userId - Owner
+   * @param {Object} tokenData - { name, scopes, expiresInDays }
+   * @returns {Object} Token metadata plus the plain token
+   */
+  async createToken(userId, { name, scopes, expiresInDays }) {
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope: ${unknown.join(', ')}`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const record = await personalAccessTokenRepository.create({
+      userId,
+      name,
+      tokenPrefix: token.slice(0, 12),
+      tokenHash: this.hashToken(token),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    return {
+      success: true,
+      message: 'Access token created. Copy it now; it will not be shown again.',
+      data: {
+        ...record,
+        token
+      }
+    };
+  }
+
+  /**
+   * List a user's active and expired tokens
+   * @param {string} userId - Owner
+   * @returns {Object} Tokens (without secrets)
+   */
+  async listTokens(userId) {
+    const tokens = await personalAccessTokenRepository.findByUser(userId);
+
+    return {
+      success: true,
+      data: {
+        tokens,
+        availableScopes: SCOPES
+      }
+    };
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   * @param {string} userId - Owner
+   * @param {string} tokenId - Token ID
+   * @returns {Object} Success response
+   */
+  async revokeToken(userId, tokenId) {
+    const revoked = await personalAccessTokenRepository.revoke(tokenId, userId);
+    if (!revoked) {
+      throw new Error('Access token not found');
+    }
+
+    return {
+      success: true,
+      message: 'Access token revoked successfully'
+    };
+  }
+
+  /**
+   * Look up a presented token
+   * @param {string} token - Raw Bearer token
+   * @returns {Promise<Object|null>} Token record with user, or null if unknown, revoked or expired
+   */
+  async verify(token) {
+    const record = await personalAccessTokenRepository.findByHash(this.hashToken(token));
+
+    if (!record || record.revokedAt || (record.expiresAt && record.expiresAt <= new Date())) {
+      return null;
+    }
+
+    try {
+      await personalAccessTokenRepository.touch(record.id, new Date(Date.now() - LAST_USED_RESOLUTION_MS));
+    } catch (error) {
+      console.error('Failed to record access token use:', error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Scope a request needs
+   * @param {string} baseUrl - Router mount path (req.baseUrl)
+   * @param {string} method - HTTP method
+   * @returns {string|null} Scope, or null if tokens cannot reach this API area
+   */
+  requiredScope(baseUrl, method) {
+    const resource = SCOPE_RESOURCES[baseUrl];
+    if (!resource) {
+      return null;
+    }
+
+    const action = ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read' : 'write';
+    return `${resource}:${action}`;
+  }
+
+  /**
+   * Whether a token's scopes cover a required scope
+   * @param {Array<string>} scopes - Token scopes
+   * @param {string|null} required - Scope from requiredScope
+   * @returns {boolean} True if allowed
+   */
+  hasScope(scopes, required) {
+    if (!required) {
+      return false;
+    }
+
+    if (scopes.includes(required)) {
+      return true;
+    }
+
+    const [resource, action] = required.split(':');
+    return action === 'read' && scopes.includes(`${resource}:write`);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new PersonalAccessTokenService();
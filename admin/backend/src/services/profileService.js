@@ -1,5 +1,6 @@
 const userRepository = require('../database/repositories/userRepository');
 const skillRepository = require('../database/repositories/skillRepository');
+const geocodingService = require('./geocodingService');
 
 /**
  * Profile Service
@@ -114,6 +115,14 @@ class ProfileService {
     // Extract skills and availability for separate handling
     const { skills, availability, ...profileUpdates } = profileData;
 
+    // A new address moves the volunteer for distance matching
+    if (geocodingService.changesAddress(profileUpdates)) {
+      Object.assign(
+        profileUpdates,
+        await geocodingService.coordinatesFor({ ...existingProfile, ...profileUpdates })
+      );
+    }
+
     // Update profile basic fields
     const updatedProfile = await userRepository.updateProfile(userId, profileUpdates);
 
@@ -0,0 +1,115 @@
+const os = require('os');
+const crypto = require('crypto');
+const jobLockRepository = require('../database/repositories/jobLockRepository');
+
+// Share of the interval a finished run keeps the job claimed, so the owner's next tick can always reclaim it
+const CLAIM_SHARE = 0.9;
+
+/**
+ * Scheduler Service
+ * Runs recurring background jobs inside the API process
+ *
+ * Every instance runs the same timers. Before a run, the instance claims the
+ * job in the database and keeps it claimed until shortly before the next run
+ * is due, so with several instances each job still runs once per interval.
+ * A run that crashes its instance stops holding the job after timeoutMs.
+ */
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = [];
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Add a job; takes effect on start()
+   * @param {string} name - Unique job name (also its lock name)
+   * @param {Object} options
+   * @param {number} options.intervalMs - Time between runs
+   * @param {Function} options.task - Async function doing the work
+   * @param {boolean} [options.runOnStart=false] - Also run once when the scheduler starts
+   * @param {number} [options.timeoutMs] - How long a run may hold the job (defaults to the interval)
+   */
+  register(name, { intervalMs, task, runOnStart = false, timeoutMs }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      task,
+      runOnStart,
+      timeoutMs: timeoutMs || intervalMs
+    });
+  }
+
+  /**
+   * Start the timers for every registered job
+   */
+  start() {
+    if (this.timers.length > 0) {
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      const timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+      // Don't keep the process alive just for background jobs
+      timer.unref();
+      this.timers.push(timer);
+
+      if (job.runOnStart) {
+        this.runJob(job.name);
+      }
+    }
+  }
+
+  /**
+   * Stop all timers; a run in progress finishes on its own
+   */
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Run a job now if no other instance holds it
+   * Errors are logged rather than thrown so a failing job cannot take down the process.
+   * @param {string} name - Job name
+   * @returns {Promise<boolean>} True if this instance ran the job
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const claimed = await jobLockRepository.acquire(name, this.instanceId, new Date(startedAt + job.timeoutMs));
+      if (!claimed) {
+        return false;
+      }
+    } catch (error) {
+      console.error(`Could not claim job ${name}:`, error.message);
+      return false;
+    }
+
+    try {
+      await job.task();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error.message);
+    }
+
+    try {
+      await jobLockRepository.release(name, this.instanceId, new Date(startedAt + job.intervalMs * CLAIM_SHARE));
+    } catch (error) {
+      console.error(`Could not release job ${name}:`, error.message);
+    }
+
+    return true;
+  }
+}
+
+module.exports = new SchedulerService();
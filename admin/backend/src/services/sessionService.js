@@ -0,0 +1,115 @@
+const sessionRepository = require('../database/repositories/sessionRepository');
+const refreshTokenRepository = require('../database/repositories/refreshTokenRepository');
+const userRepository = require('../database/repositories/userRepository');
+
+// Don't write lastSeenAt more than once a minute for an active session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Session Service
+ * Login sessions and the devices they come from
+ * Sessions are started by authService.startSession; a session is a refresh
+ * token family, so ending one revokes the family and access tokens carrying
+ * its ID stop working at once
+ */
+class SessionService {
+  /**
+   * List a user's signed-in sessions
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session making the request
+   * @returns {Object} Sessions, with the caller's marked as current
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await sessionRepository.findActiveByUser(userId);
+
+    return {
+      success: true,
+      data: {
+        sessions: sessions.map(session => this.formatSession(session, currentSessionId))
+      }
+    };
+  }
+
+  /**
+   * Sign out one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Success response
+   */
+  async revokeSession(userId, sessionId) {
+    const revoked = await sessionRepository.revoke(sessionId, userId);
+    if (!revoked) {
+      throw new Error('Session not found');
+    }
+
+    await refreshTokenRepository.revokeFamily(sessionId);
+
+    return {
+      success: true,
+      message: 'Session signed out successfully'
+    };
+  }
+
+  /**
+   * Sign a user out everywhere (admin action)
+   * @param {string} userId - User ID
+   * @returns {Object} Success response
+   */
+  async forceSignOut(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await refreshTokenRepository.revokeAllForUser(userId);
+    await sessionRepository.revokeAllForUser(userId);
+
+    return {
+      success: true,
+      message: 'User signed out of all sessions'
+    };
+  }
+
+  /**
+   * Check that a session is still signed in and record activity
+   * A session that no longer exists (e.g. deleted when its account was
+   * anonymized) counts as signed out
+   * @param {string} sessionId - Session ID from the access token
+   * @returns {Promise<boolean>} False if the session was signed out, has expired or is gone
+   */
+  async verify(sessionId) {
+    const session = await sessionRepository.findById(sessionId);
+
+    if (!session) {
+      return false;
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      return false;
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() >= LAST_SEEN_RESOLUTION_MS) {
+      try {
+        await sessionRepository.touch(sessionId);
+      } catch (error) {
+        console.error('Failed to record session activity:', error);
+      }
+    }
+
+    return true;
+  }
+
+  formatSession(session, currentSessionId) {
+    return {
+      id: session.id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      lastSeenAt: session.lastSeenAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId
+    };
+  }
+}
+
+module.exports = new SessionService();
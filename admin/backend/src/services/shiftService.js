@@ -0,0 +1,261 @@
+const eventRepository = require('../database/repositories/eventRepository');
+const shiftRepository = require('../database/repositories/shiftRepository');
+const skillRepository = require('../database/repositories/skillRepository');
+
+const PROFICIENCY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+/**
+ * Shift Service
+ * Business logic for shifts within an event and the positions to fill in each
+ *
+ * Once an event has shifts, volunteers join a position in a shift rather than
+ * the event as a whole, and the event's headcount is the total of its positions.
+ */
+class ShiftService {
+  /**
+   * Get the shifts of an event
+   * @param {string} eventId - Event ID
+   * @returns {Object} Shifts with positions and remaining places
+   */
+  async getShifts(eventId) {
+    await this.findEvent(eventId);
+    const shifts = await shiftRepository.findByEvent(eventId);
+
+    return {
+      success: true,
+      data: {
+        eventId,
+        shifts: shifts.map(shift => this.formatShift(shift))
+      }
+    };
+  }
+
+  /**
+   * Add a shift to an event
+   * @param {string} eventId - Event ID
+   * @param {Object} shiftData - { name, startDate, endDate, positions: [{ name, capacity, skillId, minLevel }] }
+   * @returns {Object} Created shift
+   */
+  async createShift(eventId, shiftData) {
+    const event = await this.findEvent(eventId);
+    const { name, startDate, endDate, positions = [] } = shiftData;
+
+    this.validateShiftTimes(event, startDate, endDate);
+
+    if (positions.length === 0) {
+      throw new Error('A shift needs at least one position');
+    }
+    await this.validatePositions(positions);
+
+    const shift = await shiftRepository.create(eventId, {
+      name,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate)
+    }, positions);
+
+    await this.syncEventCapacity(eventId);
+
+    return {
+      success: true,
+      message: 'Shift created successfully',
+      data: this.formatShift(shift)
+    };
+  }
+
+  /**
+   * Update a shift
+   * When positions are given they replace the shift's positions: entries with an
+   * id are changed, entries without one are added, and missing ones are removed.
+   * @param {string} eventId - Event ID
+   * @param {string} shiftId - Shift ID
+   * @param {Object} updateData - Shift fields and optional positions
+   * @returns {Object} Updated shift
+   */
+  async updateShift(eventId, shiftId, updateData) {
+    const event = await this.findEvent(eventId);
+    const shift = await shiftRepository.findById(eventId, shiftId);
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+
+    const { positions, ...fields } = updateData;
+    const shiftData = {};
+    if (fields.name !== undefined) shiftData.name = fields.name;
+    if (fields.startDate !== undefined) shiftData.startDate = new Date(fields.startDate);
+    if (fields.endDate !== undefined) shiftData.endDate = new Date(fields.endDate);
+
+    this.validateShiftTimes(
+      event,
+      shiftData.startDate || shift.startDate,
+      shiftData.endDate || shift.endDate
+    );
+
+    const changes = positions ? await this.planPositionChanges(shift, positions) : {};
+
+    const updatedShift = await shiftRepository.update(shiftId, shiftData, changes);
+
+    if (positions) {
+      await this.syncEventCapacity(eventId);
+    }
+
+    return {
+      success: true,
+      message: 'Shift updated successfully',
+      data: this.formatShift(updatedShift)
+    };
+  }
+
+  /**
+   * Remove a shift that nobody has signed up for
+   * @param {string} eventId - Event ID
+   * @param {string} shiftId - Shift ID
+   */
+  async deleteShift(eventId, shiftId) {
+    await this.findEvent(eventId);
+    const shift = await shiftRepository.findById(eventId, shiftId);
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+
+    const signups = await shiftRepository.countSignups({ shiftId });
+    if (signups > 0) {
+      throw new Error('Shift has volunteers signed up; remove them before deleting it');
+    }
+
+    await shiftRepository.delete(shiftId);
+    await this.syncEventCapacity(eventId);
+
+    return {
+      success: true,
+      message: 'Shift deleted successfully'
+    };
+  }
+
+  /**
+   * Work out which positions to create, update and remove
+   */
+  async planPositionChanges(shift, positions) {
+    if (positions.length === 0) {
+      throw new Error('A shift needs at least one position');
+    }
+    await this.validatePositions(positions);
+
+    const existing = new Map(shift.positions.map(position => [position.id, position]));
+    const create = [];
+    const update = [];
+
+    for (const position of positions) {
+      if (!position.id) {
+        if (!position.name || !position.capacity) {
+          throw new Error('New positions need a name and capacity');
+        }
+        create.push(position);
+        continue;
+      }
+
+      const current = existing.get(position.id);
+      if (!current) {
+        throw new Error('Shift position not found');
+      }
+      if (position.capacity !== undefined && position.capacity < current.filled) {
+        throw new Error(`${current.name} already has ${current.filled} volunteers signed up; capacity cannot be lower`);
+      }
+      update.push(position);
+      existing.delete(position.id);
+    }
+
+    for (const position of existing.values()) {
+      if (position.filled > 0) {
+        throw new Error(`${position.name} has volunteers signed up and cannot be removed`);
+      }
+    }
+
+    return { create, update, remove: [...existing.keys()] };
+  }
+
+  /**
+   * Check that a shift lies within its event
+   */
+  validateShiftTimes(event, startDate, endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Shift start and end times are required');
+    }
+
+    if (end <= start) {
+      throw new Error('Shift must end after it starts');
+    }
+
+    if (start < new Date(event.startDate) || end > new Date(event.endDate)) {
+      throw new Error("Shift must fall within the event's start and end times");
+    }
+  }
+
+  async validatePositions(positions) {
+    for (const position of positions) {
+      if (position.capacity !== undefined && (!Number.isInteger(position.capacity) || position.capacity < 1)) {
+        throw new Error('Each position needs room for at least one volunteer');
+      }
+
+      if (position.minLevel && !PROFICIENCY_LEVELS.includes(position.minLevel.toLowerCase())) {
+        throw new Error(`Invalid proficiency level: ${position.minLevel}`);
+      }
+
+      if (position.skillId) {
+        const skill = await skillRepository.findById(position.skillId);
+        if (!skill) {
+          throw new Error(`Skill with ID ${position.skillId} not found`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Keep the event's headcount equal to the places across its shifts
+   */
+  async syncEventCapacity(eventId) {
+    const shifts = await shiftRepository.findByEvent(eventId);
+    if (shifts.length === 0) {
+      return;
+    }
+
+    const capacity = shifts.reduce((sum, shift) =>
+      sum + shift.positions.reduce((total, position) => total + position.capacity, 0), 0);
+
+    await eventRepository.update(eventId, { maxVolunteers: capacity });
+  }
+
+  async findEvent(eventId) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    return event;
+  }
+
+  formatShift(shift) {
+    const positions = shift.positions.map(position => ({
+      id: position.id,
+      name: position.name,
+      capacity: position.capacity,
+      filled: position.filled,
+      spotsRemaining: Math.max(0, position.capacity - position.filled),
+      skill: position.skill ? { id: position.skill.id, name: position.skill.name } : null,
+      minLevel: position.minLevel.toLowerCase()
+    }));
+
+    return {
+      id: shift.id,
+      name: shift.name,
+      startDate: shift.startDate,
+      endDate: shift.endDate,
+      positions,
+      capacity: positions.reduce((sum, position) => sum + position.capacity, 0),
+      filled: positions.reduce((sum, position) => sum + position.filled, 0)
+    };
+  }
+}
+
+module.exports = new ShiftService();
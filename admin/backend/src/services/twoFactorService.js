@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const totp = require('../utils/totp');
+const userRepository = require('../database/repositories/userRepository');
+const twoFactorRepository = require('../database/repositories/twoFactorRepository');
+const organizationRepository = require('../database/repositories/organizationRepository');
+
+const ISSUER = 'JACS ShiftPilot';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrollment, verification and recovery codes
+ */
+class TwoFactorService {
+  /**
+   * Start enrollment by generating a new secret
+   * The secret is stored but not active until confirmed with enable()
+   * @param {string} userId - User ID
+   * @returns {Object} Secret, provisioning URI and QR code image
+   */
+  async beginSetup(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    await userRepository.update(userId, {
+      twoFactorSecret: this.encryptSecret(secret),
+      twoFactorLastStep: null
+    });
+
+    const otpauthUrl = totp.buildProvisioningUri(secret, user.email, ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return {
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Object} Success response with one-time display of recovery codes
+   */
+  async enable(userId, code) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    if (!(await this.verifyTotp(user, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    await userRepository.update(userId, { twoFactorEnabled: true });
+    const recoveryCodes = await this.generateRecoveryCodes(userId);
+
+    return {
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    };
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @param {string} code - TOTP or recovery code
+   * @returns {Object} Success response
+   */
+  async disable(userId, password, code) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (await this.isRequiredFor(user)) {
+      throw new Error('Two-factor authentication is required for admin accounts');
+    }
+
+    const isPasswordValid = user.password && await bcrypt.compare(password || '', user.password);
+    if (!isPasswordValid || !(await this.verifyCode(user, code))) {
+      throw new Error('Invalid password or verification code');
+    }
+
+    await userRepository.update(userId, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorLastStep: null
+    });
+    await twoFactorRepository.deleteRecoveryCodes(userId);
+
+    return {
+      success: true,
+      message: 'Two-factor authentication disabled'
+    };
+  }
+
+  /**
+   * Replace recovery codes after confirming a current TOTP code
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Object} Success response with the new recovery codes
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await userRepository.findById(userId);
+    if (!user || !user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (!(await this.verifyTotp(user, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = await this.generateRecoveryCodes(userId);
+
+    return {
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    };
+  }
+
+  /**
+   * Get two-factor status for the current user
+   * @param {string} userId - User ID
+   * @returns {Object} Status response
+   */
+  async getStatus(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required: await this.isRequiredFor(user),
+        recoveryCodesRemaining: user.twoFactorEnabled
+          ? await twoFactorRepository.countRemainingRecoveryCodes(userId)
+          : 0
+      }
+    };
+  }
+
+  /**
+   * Check a login code, accepting either a TOTP code or a recovery code
+   * @param {Object} user - User record
+   * @param {string} code - Code entered by the user
+   * @returns {boolean} True if the code is valid
+   */
+  async verifyCode(user, code) {
+    if (await this.verifyTotp(user, code)) {
+      return true;
+    }
+
+    return await twoFactorRepository.useRecoveryCode(user.id, this.hashRecoveryCode(code));
+  }
+
+  /**
+   * Check a TOTP code and mark its time step as used
+   * @param {Object} user - User record
+   * @param {string} code - Code entered by the user
+   * @returns {boolean} True if the code is valid and not replayed
+   */
+  async verifyTotp(user, code) {
+    if (!user.twoFactorSecret) {
+      return false;
+    }
+
+    const step = totp.verify(this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      return false;
+    }
+
+    return await twoFactorRepository.recordStep(user.id, step);
+  }
+
+  /**
+   * Whether organization policy requires this user to use 2FA
+   * Admins must enroll if any organization they belong to demands it
+   * @param {Object} user - User record
+   * @returns {boolean} True if 2FA is mandatory for the user
+   */
+  async isRequiredFor(user) {
+    if (user.role !== 'ADMIN') {
+      return false;
+    }
+
+    return await organizationRepository.requiresAdminTwoFactor(user.id);
+  }
+
+  /**
+   * Whether the user must enroll before using admin features
+   * @param {Object} user - User record
+   * @returns {boolean} True if 2FA is required but not yet enabled
+   */
+  async isSetupRequired(user) {
+    return !user.twoFactorEnabled && await this.isRequiredFor(user);
+  }
+
+  /**
+   * Generate and store a fresh set of recovery codes
+   * @param {string} userId - User ID
+   * @returns {Array<string>} Plain recovery codes (shown to the user once)
+   */
+  async generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = totp.base32Encode(crypto.randomBytes(5));
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    await twoFactorRepository.replaceRecoveryCodes(userId, codes.map(code => this.hashRecoveryCode(code)));
+
+    return codes;
+  }
+
+  /**
+   * Hash a recovery code, ignoring case and separators
+   * @param {string} code - Recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage (AES-256-GCM)
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:authTag:ciphertext, base64 encoded
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} stored - Value produced by encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(stored) {
+    const [iv, authTag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Derive the secret encryption key from configuration
+   * @returns {Buffer} 32-byte key
+   */
+  getEncryptionKey() {
+    const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+  }
+}
+
+module.exports = new TwoFactorService();
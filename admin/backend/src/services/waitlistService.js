@@ -0,0 +1,348 @@
+const eventRepository = require('../database/repositories/eventRepository');
+const userRepository = require('../database/repositories/userRepository');
+const waitlistRepository = require('../database/repositories/waitlistRepository');
+const notificationRepository = require('../database/repositories/notificationRepository');
+const emailService = require('./emailService');
+const eventLifecycleService = require('./eventLifecycleService');
+
+const DEFAULT_OFFER_HOURS = 24;
+
+/**
+ * Waitlist Service
+ * First-come, first-served waitlist for full events
+ *
+ * When a place opens up it is offered to the first volunteer in line and held
+ * for them until the offer expires (or signups close, if that is sooner).
+ * An offer that is not confirmed in time is dropped and the place goes to the
+ * next volunteer. Events with shifts fill by position and have no waitlist.
+ */
+class WaitlistService {
+  /**
+   * Hours a volunteer has to confirm an offered place
+   * @returns {number} Offer window in hours
+   */
+  offerHours() {
+    const hours = parseFloat(process.env.WAITLIST_OFFER_HOURS);
+    return hours > 0 ? hours : DEFAULT_OFFER_HOURS;
+  }
+
+  /**
+   * Put a volunteer at the back of an event's waitlist
+   * Called by eventService.assignVolunteer once it has found the event full.
+   * @param {string} eventId - Event ID
+   * @param {string} volunteerId - Volunteer ID
+   * @param {string} [notes] - Notes to carry over to the assignment
+   * @returns {Object} Waitlist entry
+   */
+  async join(eventId, volunteerId, notes) {
+    const existing = await waitlistRepository.findEntry(eventId, volunteerId);
+    if (existing) {
+      throw new Error('You are already on the waitlist for this event');
+    }
+
+    const entry = await waitlistRepository.add(eventId, volunteerId, notes);
+
+    return {
+      success: true,
+      message: `Event is full; you are number ${entry.position} on the waitlist`,
+      data: {
+        waitlisted: true,
+        ...this.formatEntry(entry)
+      }
+    };
+  }
+
+  /**
+   * Get an event's waitlist (admin view)
+   * @param {string} eventId - Event ID
+   * @returns {Object} Entries in order
+   */
+  async getWaitlist(eventId) {
+    await this.findEvent(eventId);
+    const entries = await waitlistRepository.findByEvent(eventId);
+
+    return {
+      success: true,
+      data: {
+        eventId,
+        entries: entries.map(entry => this.formatEntry(entry)),
+        totalEntries: entries.length
+      }
+    };
+  }
+
+  /**
+   * Get a volunteer's place on an event's waitlist
+   * @param {string} eventId - Event ID
+   * @param {string} volunteerId - Volunteer ID
+   * @returns {Object} Waitlist entry
+   */
+  async getEntry(eventId, volunteerId) {
+    const entry = await this.findEntry(eventId, volunteerId);
+
+    return {
+      success: true,
+      data: this.formatEntry(entry)
+    };
+  }
+
+  /**
+   * Get the waitlists a volunteer is on for events that have not started
+   * @param {string} volunteerId - Volunteer ID
+   * @returns {Object} Entries with their events
+   */
+  async getVolunteerEntries(volunteerId) {
+    const now = new Date();
+    const entries = await waitlistRepository.findByVolunteer(volunteerId);
+
+    return {
+      success: true,
+      data: entries
+        .filter(entry => new Date(entry.event.startDate) > now)
+        .map(entry => ({
+          ...this.formatEntry(entry),
+          event: {
+            id: entry.event.id,
+            title: entry.event.title,
+            startDate: entry.event.startDate,
+            location: entry.event.location
+          }
+        }))
+    };
+  }
+
+  /**
+   * Take up an offered place
+   * @param {string} eventId - Event ID
+   * @param {string} volunteerId - Volunteer ID
+   * @returns {Object} Assignment result
+   */
+  async confirmOffer(eventId, volunteerId) {
+    const entry = await this.findEntry(eventId, volunteerId);
+
+    if (entry.status !== 'OFFERED') {
+      throw new Error('You have not been offered a place yet');
+    }
+
+    if (new Date(entry.offerExpiresAt) <= new Date()) {
+      await this.promote(eventId);
+      throw new Error('Your offer has expired');
+    }
+
+    // assignVolunteer takes the entry off the waitlist once the assignment is made
+    const eventService = require('./eventService');
+    return await eventService.assignVolunteer(eventId, volunteerId, {
+      status: 'pending',
+      notes: entry.notes || '',
+      matchScore: 0
+    });
+  }
+
+  /**
+   * Leave an event's waitlist, or turn down an offered place
+   * @param {string} eventId - Event ID
+   * @param {string} volunteerId - Volunteer ID
+   */
+  async leave(eventId, volunteerId) {
+    const entry = await this.findEntry(eventId, volunteerId);
+
+    await waitlistRepository.remove(entry);
+
+    if (entry.status === 'OFFERED') {
+      await this.promote(eventId);
+    }
+
+    return {
+      success: true,
+      message: entry.status === 'OFFERED' ? 'Offer declined' : 'You have left the waitlist'
+    };
+  }
+
+  /**
+   * Move a volunteer to a different place in line
+   * @param {string} eventId - Event ID
+   * @param {string} volunteerId - Volunteer ID
+   * @param {number} position - New 1-based position
+   * @returns {Object} Reordered waitlist
+   */
+  async reorder(eventId, volunteerId, position) {
+    await this.findEvent(eventId);
+
+    const entry = await waitlistRepository.findEntry(eventId, volunteerId);
+    if (!entry) {
+      throw new Error('Volunteer is not on the waitlist for this event');
+    }
+
+    const total = await waitlistRepository.countByEvent(eventId);
+    if (position < 1 || position > total) {
+      throw new Error(`Position must be between 1 and ${total}`);
+    }
+
+    await waitlistRepository.move(entry, position);
+
+    const result = await this.getWaitlist(eventId);
+    return {
+      ...result,
+      message: 'Waitlist updated successfully'
+    };
+  }
+
+  /**
+   * Offer any open places to the volunteers at the front of the line
+   * Call whenever a place may have opened up: a volunteer left or was removed,
+   * an offer lapsed, or the event's capacity went up.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Array>} Entries that were offered a place
+   */
+  async promote(eventId) {
+    await this.expireOffers(eventId);
+
+    const event = await eventRepository.findById(eventId);
+    if (!event || event.status.toLowerCase() !== 'published' || !eventLifecycleService.signupsOpen(event)) {
+      return [];
+    }
+
+    const offered = await waitlistRepository.offerOpenPlaces(eventId, this.offerExpiry(event));
+
+    for (const entry of offered) {
+      await this.notifyOffer(event, entry);
+    }
+
+    return offered;
+  }
+
+  /**
+   * Drop offers that were not confirmed in time
+   * The volunteer loses their place in line.
+   * @param {string} [eventId] - Limit to one event; all events when omitted
+   * @returns {Promise<Array<string>>} IDs of events that have a place to pass on
+   */
+  async expireOffers(eventId) {
+    const expired = await waitlistRepository.findExpiredOffers(eventId);
+
+    for (const entry of expired) {
+      await waitlistRepository.remove(entry);
+      await this.notify(entry.volunteerId, entry.event, {
+        type: 'SYSTEM',
+        priority: 'MEDIUM',
+        title: `Offer expired: ${entry.event.title}`,
+        message: `The place offered to you for ${entry.event.title} was not confirmed in time and has passed to the next volunteer.`
+      });
+    }
+
+    return [...new Set(expired.map(entry => entry.eventId))];
+  }
+
+  /**
+   * Expire stale offers across all events and pass their places on
+   * @returns {Promise<number>} Number of events whose waitlist moved
+   */
+  async processExpiredOffers() {
+    const eventIds = await this.expireOffers();
+
+    for (const eventId of eventIds) {
+      await this.promote(eventId);
+    }
+
+    return eventIds.length;
+  }
+
+  /**
+   * When an offer runs out: the offer window from now, but no later than signups close
+   */
+  offerExpiry(event) {
+    const expiresAt = new Date(Date.now() + this.offerHours() * 60 * 60 * 1000);
+    const signupsClose = new Date(
+      new Date(event.startDate).getTime() - eventLifecycleService.signupCutoffHours() * 60 * 60 * 1000
+    );
+    return expiresAt < signupsClose ? expiresAt : signupsClose;
+  }
+
+  async notifyOffer(event, entry) {
+    const deadline = new Date(entry.offerExpiresAt).toLocaleString('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+
+    await this.notify(entry.volunteerId, event, {
+      type: 'ASSIGNMENT',
+      priority: 'HIGH',
+      title: `A place opened up: ${event.title}`,
+      message: `A place opened up for ${event.title}. Confirm it by ${deadline} or it will be offered to the next volunteer.`,
+      email: true
+    });
+  }
+
+  async notify(volunteerId, event, { type, priority, title, message, email = false }) {
+    const actionUrl = '/dashboard/events';
+
+    try {
+      await notificationRepository.create({
+        userId: volunteerId,
+        type,
+        priority,
+        title,
+        message,
+        eventId: event.id,
+        actionUrl
+      });
+
+      if (email) {
+        const volunteer = await userRepository.findById(volunteerId);
+        if (volunteer) {
+          await emailService.sendNotificationEmail(volunteer.email, volunteer.username, {
+            subject: `🎟️ ${title} - JACS ShiftPilot`,
+            message,
+            actionUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}${actionUrl}`,
+            actionText: 'Confirm Your Place'
+          });
+        }
+      }
+    } catch (error) {
+      // Log error but don't hold up the waitlist if a notification fails
+      console.error('Failed to send waitlist notification:', error);
+    }
+  }
+
+  async findEvent(eventId) {
+    const event = await eventRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    return event;
+  }
+
+  async findEntry(eventId, volunteerId) {
+    await this.findEvent(eventId);
+
+    const entry = await waitlistRepository.findEntry(eventId, volunteerId);
+    if (!entry) {
+      throw new Error('You are not on the waitlist for this event');
+    }
+    return entry;
+  }
+
+  formatEntry(entry) {
+    return {
+      id: entry.id,
+      eventId: entry.eventId,
+      volunteerId: entry.volunteerId,
+      position: entry.position,
+      status: entry.status.toLowerCase(),
+      offeredAt: entry.offeredAt,
+      offerExpiresAt: entry.offerExpiresAt,
+      joinedAt: entry.createdAt,
+      volunteer: entry.volunteer ? {
+        id: entry.volunteer.id,
+        username: entry.volunteer.username,
+        email: entry.volunteer.email,
+        profile: entry.volunteer.profile ? {
+          firstName: entry.volunteer.profile.firstName,
+          lastName: entry.volunteer.profile.lastName
+        } : null
+      } : undefined
+    };
+  }
+}
+
+module.exports = new WaitlistService();
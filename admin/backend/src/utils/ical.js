@@ -0,0 +1,304 @@
+const recurrence = require('./recurrence');
+
+// Content lines longer than this many octets must be folded (RFC 5545 §3.1)
+const MAX_LINE_OCTETS = 75;
+
+const STATUSES = ['CONFIRMED', 'TENTATIVE', 'CANCELLED'];
+
+/**
+ * iCalendar (RFC 5545) support
+ * Writes the published, read-only feeds calendar apps subscribe to, and reads
+ * the events out of .ics files exported from other calendars.
+ *
+ * Calendar apps poll a subscribed feed and replace their copy with it, so each
+ * event keeps a stable UID and changes are picked up on the next refresh.
+ */
+class ICal {
+  constructor() {
+    this.productId = '-//JACS ShiftPilot//Volunteer Calendar//EN';
+    this.uidDomain = 'jacs-shiftpilot';
+    this.refreshInterval = 'PT1H';
+  }
+
+  /**
+   * Build a VCALENDAR document
+   * @param {Object} calendar - { name, events }
+   * @param {Array<Object>} calendar.events - { uid, start, end, summary, description,
+   *   location, status, url, lastModified }
+   * @returns {string} Calendar with CRLF line endings
+   */
+  buildCalendar({ name, events = [] }) {
+    const stamp = this.formatDate(new Date());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${this.refreshInterval}`,
+      `X-PUBLISHED-TTL:${this.refreshInterval}`
+    ];
+
+    for (const event of events) {
+      lines.push(...this.buildEvent(event, stamp));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the content lines of one VEVENT
+   * @param {Object} event - See buildCalendar
+   * @param {string} stamp - DTSTAMP value
+   * @returns {Array<string>} Unfolded content lines
+   */
+  buildEvent(event, stamp) {
+    const status = STATUSES.includes(event.status) ? event.status : 'CONFIRMED';
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@${this.uidDomain}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${this.formatDate(event.start)}`,
+      `DTEND:${this.formatDate(event.end)}`,
+      `SUMMARY:${this.escapeText(event.summary)}`
+    ];
+
+    if (event.location) {
+      lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    }
+
+    if (event.description) {
+      lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+    }
+
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${this.formatDate(event.lastModified)}`);
+    }
+
+    lines.push(`STATUS:${status}`);
+
+    // Busy time for shifts the volunteer is going to, free time for cancelled ones
+    lines.push(`TRANSP:${status === 'CANCELLED' ? 'TRANSPARENT' : 'OPAQUE'}`);
+
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * Read the events of an iCalendar file
+   * Components nested in an event (e.g. VALARM reminders) are skipped.
+   * @param {string} content - .ics file contents
+   * @param {string} [timezone='UTC'] - Time zone for times without one
+   * @returns {Array<Object>} { uid, summary, description, location, start, end,
+   *   allDay, status, recurring } for each VEVENT; unreadable times are null
+   */
+  parseEvents(content, timezone = 'UTC') {
+    const lines = String(content).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    const events = [];
+    let event = null;
+    let nested = 0;
+
+    for (const line of lines) {
+      const property = this.parseContentLine(line);
+      if (!property) {
+        continue;
+      }
+
+      const { name, params, value } = property;
+
+      if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+        event = { properties: {} };
+      } else if (!event) {
+        continue;
+      } else if (name === 'BEGIN') {
+        nested++;
+      } else if (name === 'END' && nested > 0) {
+        nested--;
+      } else if (name === 'END') {
+        events.push(this.toParsedEvent(event.properties, timezone));
+        event = null;
+      } else if (nested === 0) {
+        event.properties[name] = { params, value };
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Split a content line into its name, parameters and value
+   * @returns {Object|null} { name, params, value }, or null for blank or malformed lines
+   */
+  parseContentLine(line) {
+    // The value starts at the first colon outside a quoted parameter value
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') {
+        quoted = !quoted;
+      } else if (line[i] === ':' && !quoted) {
+        colon = i;
+        break;
+      }
+    }
+
+    if (colon <= 0) {
+      return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  toParsedEvent(properties, timezone) {
+    const text = (name) => (properties[name] ? this.unescapeText(properties[name].value) : '');
+
+    const start = properties.DTSTART ? this.parseDate(properties.DTSTART, timezone) : null;
+    let end = properties.DTEND ? this.parseDate(properties.DTEND, timezone) : null;
+
+    if (!end && start && properties.DURATION) {
+      const duration = this.parseDuration(properties.DURATION.value);
+      end = duration === null ? null : new Date(start.getTime() + duration);
+    }
+
+    return {
+      uid: text('UID'),
+      summary: text('SUMMARY'),
+      description: text('DESCRIPTION'),
+      location: text('LOCATION'),
+      start,
+      end,
+      allDay: Boolean(properties.DTSTART) && properties.DTSTART.params.VALUE === 'DATE',
+      status: text('STATUS').toUpperCase() || null,
+      recurring: Boolean(properties.RRULE || properties.RDATE)
+    };
+  }
+
+  /**
+   * Read a DATE or DATE-TIME property value
+   * UTC times end in Z; others are local to their TZID parameter or, without
+   * one, to the given time zone. All-day dates are midnight UTC.
+   * @returns {Date|null} Instant, or null if the value can't be read
+   */
+  parseDate({ params, value }, timezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+    const local = {
+      year: Number(year),
+      month: Number(month) - 1,
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second)
+    };
+
+    if (utc || params.VALUE === 'DATE') {
+      return new Date(Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second));
+    }
+
+    const zone = params.TZID && recurrence.isValidTimeZone(params.TZID) ? params.TZID : timezone;
+    return recurrence.fromWallClock(local, zone);
+  }
+
+  /**
+   * Read a DURATION value such as PT2H30M or P1D
+   * @returns {number|null} Milliseconds, or null if the value can't be read
+   */
+  parseDuration(value) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) {
+      return null;
+    }
+
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  }
+
+  /**
+   * Undo TEXT escaping
+   */
+  unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+  }
+
+  /**
+   * Format a date as a UTC date-time, e.g. 20300601T090000Z
+   * @param {Date|string} date - Date to format
+   * @returns {string} iCalendar date-time
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape a TEXT property value
+   * @param {string} value - Raw text
+   * @returns {string} Text with backslashes, separators and newlines escaped
+   */
+  escapeText(value) {
+    return String(value == null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to at most 75 octets per physical line
+   * Continuation lines start with a space; multi-byte characters are never split.
+   * @param {string} line - Unfolded content line
+   * @returns {string} Folded line joined with CRLF
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    // The leading space of a continuation line counts towards its length
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+      const octets = Buffer.byteLength(char);
+
+      if (currentOctets + octets > limit) {
+        parts.push(current);
+        current = '';
+        currentOctets = 0;
+        limit = MAX_LINE_OCTETS - 1;
+      }
+
+      current += char;
+      currentOctets += octets;
+    }
+
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new ICal();
@@ -0,0 +1,147 @@
+/**
+ * Organization Scope
+ * Request-scoped record of which organizations the caller can see
+ *
+ * The auth middleware runs each authenticated request inside a scope;
+ * repositories read it to filter their queries. Anonymous visitors get a
+ * scope without a userId covering the one organization they picked. Code
+ * running outside a request (login, token refresh, scripts, seeds) is
+ * unscoped.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Organization that pre-tenancy data was migrated into
+const DEFAULT_ORGANIZATION_ID = 'default';
+
+// Event statuses anonymous visitors can see
+const PUBLIC_EVENT_STATUSES = ['PUBLISHED', 'IN_PROGRESS', 'COMPLETED'];
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback with the given scope
+ * @param {Object} scope - { userId, organizationIds, activeOrganizationId }
+ *   organizationIds is null for super-admins (no restriction); userId is null
+ *   for anonymous visitors
+ * @param {Function} callback - Continuation (usually Express next)
+ */
+const run = (scope, callback) => storage.run(scope, callback);
+
+/**
+ * Current scope, or null outside a request
+ */
+const current = () => storage.getStore() || null;
+
+/**
+ * Organizations the caller can see
+ * @returns {Array<string>|null} Organization IDs, or null when unrestricted
+ */
+const organizationIds = () => {
+  const scope = current();
+  return scope ? scope.organizationIds : null;
+};
+
+/**
+ * Whether the request comes from an anonymous visitor
+ * @returns {boolean} True inside a scope without a user
+ */
+const isAnonymous = () => {
+  const scope = current();
+  return scope !== null && !scope.userId;
+};
+
+/**
+ * Whether the caller can see an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {boolean} True if visible
+ */
+const includes = (organizationId) => {
+  const ids = organizationIds();
+  return ids === null || ids.includes(organizationId);
+};
+
+/**
+ * Organization new records are created in
+ * The one selected by the caller, or their only organization
+ * @returns {string|null} Organization ID, or null if the caller must pick one
+ */
+const activeOrganizationId = () => {
+  const scope = current();
+  if (!scope) {
+    return DEFAULT_ORGANIZATION_ID;
+  }
+
+  if (scope.activeOrganizationId) {
+    return scope.activeOrganizationId;
+  }
+
+  return scope.organizationIds && scope.organizationIds.length === 1
+    ? scope.organizationIds[0]
+    : null;
+};
+
+/**
+ * Prisma filter for records with an organizationId column
+ * @param {string} [field='organizationId'] - Column name
+ * @returns {Object} Where fragment (empty when unrestricted)
+ */
+const where = (field = 'organizationId') => {
+  const ids = organizationIds();
+  return ids === null ? {} : { [field]: { in: ids } };
+};
+
+/**
+ * Prisma filter for records that belong to an event
+ * @returns {Object} Where fragment (empty when unrestricted)
+ */
+const eventWhere = () => {
+  const ids = organizationIds();
+  return ids === null ? {} : { event: { organizationId: { in: ids } } };
+};
+
+/**
+ * Prisma filter for the events anonymous visitors can see
+ * @returns {Object} Where fragment (empty for signed-in callers)
+ */
+const publicEventWhere = () => {
+  return isAnonymous() ? { status: { in: PUBLIC_EVENT_STATUSES } } : {};
+};
+
+/**
+ * Prisma filter for users: members of a visible organization, plus the caller
+ * @returns {Object} Where fragment (empty when unrestricted)
+ */
+const userWhere = () => {
+  const ids = organizationIds();
+  if (ids === null) {
+    return {};
+  }
+
+  const members = { memberships: { some: { organizationId: { in: ids } } } };
+  if (isAnonymous()) {
+    return members;
+  }
+
+  return {
+    OR: [
+      { id: current().userId },
+      members
+    ]
+  };
+};
+
+module.exports = {
+  DEFAULT_ORGANIZATION_ID,
+  PUBLIC_EVENT_STATUSES,
+  run,
+  current,
+  organizationIds,
+  isAnonymous,
+  includes,
+  activeOrganizationId,
+  where,
+  eventWhere,
+  publicEventWhere,
+  userWhere
+};
@@ -0,0 +1,254 @@
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recurrence rules for event series
+ * Expands a weekly or monthly rule into the dates of each occurrence.
+ *
+ * Dates are worked out on the wall clock of the series' time zone, so a
+ * 9 AM Saturday shift stays at 9 AM local time across daylight saving changes.
+ * Calendar days are represented as UTC midnights, which makes day arithmetic
+ * independent of the server's own time zone.
+ */
+class Recurrence {
+  constructor() {
+    this.maxOccurrences = 100;
+  }
+
+  /**
+   * Validate a rule from the API and convert it to its stored form
+   * @param {Object} rule - { frequency, interval, daysOfWeek, weekOfMonth, dayOfWeek, until, count, timezone }
+   * @returns {Object} Rule with day names converted to numbers (0 = Sunday)
+   */
+  normalizeRule(rule) {
+    const frequency = (rule.frequency || '').toUpperCase();
+    if (!['WEEKLY', 'MONTHLY'].includes(frequency)) {
+      throw new Error('Recurrence frequency must be weekly or monthly');
+    }
+
+    if (!rule.until && !rule.count) {
+      throw new Error('Recurrence must end on a date or after a number of occurrences');
+    }
+
+    const timezone = rule.timezone || 'UTC';
+    if (!this.isValidTimeZone(timezone)) {
+      throw new Error(`Invalid time zone: ${timezone}`);
+    }
+
+    const normalized = {
+      frequency,
+      interval: rule.interval || 1,
+      daysOfWeek: [],
+      weekOfMonth: null,
+      dayOfWeek: null,
+      until: rule.until ? new Date(rule.until) : null,
+      count: rule.count || null,
+      timezone
+    };
+
+    if (frequency === 'WEEKLY') {
+      normalized.daysOfWeek = [...new Set((rule.daysOfWeek || []).map(day => this.dayNumber(day)))].sort((a, b) => a - b);
+      if (normalized.daysOfWeek.length === 0) {
+        throw new Error('Weekly recurrence needs at least one day of the week');
+      }
+    } else {
+      if (![1, 2, 3, 4, -1].includes(rule.weekOfMonth)) {
+        throw new Error('Monthly recurrence needs a week of the month (1-4, or -1 for the last)');
+      }
+      normalized.weekOfMonth = rule.weekOfMonth;
+      normalized.dayOfWeek = this.dayNumber(rule.dayOfWeek);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Expand a rule into occurrences
+   * The first occurrence is the first matching day on or after the start date;
+   * every occurrence keeps the start date's local time and duration.
+   * @param {Date} startDate - Start of the first event
+   * @param {Date} endDate - End of the first event
+   * @param {Object} rule - Normalized rule
+   * @returns {Array<{startDate: Date, endDate: Date}>} Occurrences in order
+   */
+  expand(startDate, endDate, rule) {
+    const start = new Date(startDate);
+    const duration = new Date(endDate).getTime() - start.getTime();
+    const local = this.wallClock(start, rule.timezone);
+    const firstDay = Date.UTC(local.year, local.month, local.day);
+    const lastDay = rule.until ? this.calendarDay(rule.until) : null;
+
+    const days = rule.frequency === 'WEEKLY'
+      ? this.weeklyDays(firstDay, rule)
+      : this.monthlyDays(firstDay, rule);
+
+    const occurrences = [];
+    for (const day of days) {
+      if (lastDay !== null && day > lastDay) {
+        break;
+      }
+      if (rule.count && occurrences.length >= rule.count) {
+        break;
+      }
+      if (occurrences.length >= this.maxOccurrences) {
+        throw new Error(`A series can have at most ${this.maxOccurrences} occurrences`);
+      }
+
+      const date = new Date(day);
+      const occurrenceStart = this.fromWallClock({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth(),
+        day: date.getUTCDate(),
+        hour: local.hour,
+        minute: local.minute,
+        second: local.second
+      }, rule.timezone);
+
+      occurrences.push({
+        startDate: occurrenceStart,
+        endDate: new Date(occurrenceStart.getTime() + duration)
+      });
+    }
+
+    if (occurrences.length === 0) {
+      throw new Error('Recurrence does not produce any occurrences');
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Matching days for a weekly rule, starting with the week of the first day
+   */
+  *weeklyDays(firstDay, rule) {
+    const weekStart = firstDay - new Date(firstDay).getUTCDay() * DAY_MS;
+
+    for (let week = 0; ; week += rule.interval) {
+      for (const dayOfWeek of rule.daysOfWeek) {
+        const day = weekStart + (week * 7 + dayOfWeek) * DAY_MS;
+        if (day >= firstDay) {
+          yield day;
+        }
+      }
+    }
+  }
+
+  /**
+   * Matching days for a monthly rule (the nth or last given weekday)
+   */
+  *monthlyDays(firstDay, rule) {
+    const first = new Date(firstDay);
+
+    for (let offset = 0; ; offset += rule.interval) {
+      const year = first.getUTCFullYear();
+      const month = first.getUTCMonth() + offset;
+      const day = this.nthWeekday(year, month, rule.dayOfWeek, rule.weekOfMonth);
+      if (day >= firstDay) {
+        yield day;
+      }
+    }
+  }
+
+  /**
+   * Day of the nth (or last, when n is -1) weekday of a month
+   */
+  nthWeekday(year, month, dayOfWeek, n) {
+    if (n === -1) {
+      const lastOfMonth = Date.UTC(year, month + 1, 0);
+      const back = (new Date(lastOfMonth).getUTCDay() - dayOfWeek + 7) % 7;
+      return lastOfMonth - back * DAY_MS;
+    }
+
+    const firstOfMonth = Date.UTC(year, month, 1);
+    const forward = (dayOfWeek - new Date(firstOfMonth).getUTCDay() + 7) % 7;
+    return firstOfMonth + (forward + (n - 1) * 7) * DAY_MS;
+  }
+
+  /**
+   * Local date and time of an instant in a time zone
+   */
+  wallClock(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date);
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+
+    return {
+      year: value('year'),
+      month: value('month') - 1,
+      day: value('day'),
+      hour: value('hour'),
+      minute: value('minute'),
+      second: value('second')
+    };
+  }
+
+  /**
+   * Instant at which a time zone's clock shows the given local time
+   * The offset is looked up twice so times next to a DST change resolve correctly.
+   */
+  fromWallClock(local, timezone) {
+    const asUtc = Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second);
+
+    let instant = asUtc - this.offset(asUtc, timezone);
+    instant = asUtc - this.offset(instant, timezone);
+
+    return new Date(instant);
+  }
+
+  /**
+   * Offset of a time zone from UTC at an instant, in milliseconds
+   */
+  offset(instant, timezone) {
+    const local = this.wallClock(new Date(instant), timezone);
+    const localAsUtc = Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second);
+
+    return localAsUtc - Math.floor(instant / 1000) * 1000;
+  }
+
+  /**
+   * Calendar day of an end date, as a UTC midnight
+   * Date-only values ("2026-06-30") are parsed as UTC midnight, so the UTC day
+   * is the day that was picked.
+   */
+  calendarDay(date) {
+    const d = new Date(date);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  }
+
+  /**
+   * Convert a day name or number to a number (0 = Sunday)
+   */
+  dayNumber(day) {
+    const number = typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).toLowerCase());
+    if (!Number.isInteger(number) || number < 0 || number > 6) {
+      throw new Error(`Invalid day of the week: ${day}`);
+    }
+
+    return number;
+  }
+
+  dayName(number) {
+    return DAY_NAMES[number];
+  }
+
+  isValidTimeZone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new Recurrence();
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based One-Time Passwords (RFC 6238)
+ * Compatible with standard authenticator apps (SHA-1, 6 digits, 30s period)
+ * Everything is computed locally, no network access is required
+ */
+class Totp {
+  constructor() {
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1;  // accept one step of clock drift either side
+  }
+
+  /**
+   * Generate a random base32 secret
+   * @param {number} bytes - Secret length in bytes (20 = 160 bits, per RFC 4226)
+   * @returns {string} Base32 encoded secret
+   */
+  generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  /**
+   * Build the otpauth:// provisioning URI used for QR enrollment
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Label shown in the authenticator (usually email)
+   * @param {string} issuer - Service name shown in the authenticator
+   * @returns {string} Provisioning URI
+   */
+  buildProvisioningUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate the code for a given time step
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  /**
+   * Verify a code against the secret, allowing for clock drift
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number|null} Matching time step, or null if the code is invalid
+   */
+  verify(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const current = this.currentStep(now);
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const step = current + drift;
+      const expected = this.generateCode(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the time step for a timestamp
+   * @param {number} [now] - Time in milliseconds
+   * @returns {number} Time step counter
+   */
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / this.period);
+  }
+
+  /**
+   * Encode bytes as unpadded base32
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+
+      value &= (1 << bits) - 1; // keep only the unconsumed bits
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode a base32 string (case-insensitive, padding and spaces ignored)
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Decoded bytes
+   */
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+
+      value &= (1 << bits) - 1;
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = new Totp();
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '../data/zip-centroids.csv');
+
+/**
+ * Offline ZIP code geocoder
+ * Looks up the centroid of a US ZIP code in a bundled CSV file (zip,latitude,longitude),
+ * so addresses are located without any network access. ZIP codes missing from
+ * the file fall back to the average of the ZIP codes sharing their first three
+ * digits, which is usually within a few miles for a new or unlisted ZIP.
+ *
+ * Implements the geocoding provider interface (see geocodingService).
+ */
+class ZipCentroids {
+  constructor() {
+    this.name = 'zip-centroid';
+    this.dataFile = process.env.ZIP_CENTROIDS_FILE || DEFAULT_DATA_FILE;
+    this.centroids = null;
+    this.prefixCentroids = null;
+  }
+
+  /**
+   * Geocode an address by its ZIP code
+   * @param {Object} address - { zipCode } (other address fields are ignored)
+   * @returns {Promise<Object|null>} { latitude, longitude, precision } where precision
+   *   is 'zip' or 'zip3', or null if the ZIP code can't be located
+   */
+  async geocode({ zipCode }) {
+    return this.lookup(zipCode);
+  }
+
+  /**
+   * Centroid of a ZIP code
+   * @param {string} zipCode - 5-digit ZIP, optionally ZIP+4
+   * @returns {Object|null} { latitude, longitude, precision }
+   */
+  lookup(zipCode) {
+    const match = /^(\d{5})(?:-?\d{4})?$/.exec(String(zipCode || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    this.load();
+
+    const zip = match[1];
+    const exact = this.centroids.get(zip);
+    if (exact) {
+      return { ...exact, precision: 'zip' };
+    }
+
+    const prefix = this.prefixCentroids.get(zip.slice(0, 3));
+    return prefix ? { ...prefix, precision: 'zip3' } : null;
+  }
+
+  /**
+   * Read the data file on first use
+   */
+  load() {
+    if (this.centroids) {
+      return;
+    }
+
+    this.centroids = this.parse(fs.readFileSync(this.dataFile, 'utf8'));
+    this.prefixCentroids = this.averageByPrefix(this.centroids);
+  }
+
+  /**
+   * Parse the CSV data file
+   * Lines starting with # and the header line are skipped.
+   * @param {string} content - File contents
+   * @returns {Map<string, Object>} ZIP code => { latitude, longitude }
+   */
+  parse(content) {
+    const centroids = new Map();
+
+    for (const line of content.split(/\r?\n/)) {
+      const [zip, latitude, longitude] = line.split(',').map(part => part.trim());
+      if (!/^\d{5}$/.test(zip || '')) {
+        continue;
+      }
+
+      const point = { latitude: Number(latitude), longitude: Number(longitude) };
+      if (Number.isFinite(point.latitude) && Number.isFinite(point.longitude)) {
+        centroids.set(zip, point);
+      }
+    }
+
+    return centroids;
+  }
+
+  /**
+   * Average centroid of each 3-digit ZIP prefix
+   * @param {Map<string, Object>} centroids - ZIP code => { latitude, longitude }
+   * @returns {Map<string, Object>} Prefix => { latitude, longitude }
+   */
+  averageByPrefix(centroids) {
+    const sums = new Map();
+
+    for (const [zip, { latitude, longitude }] of centroids) {
+      const sum = sums.get(zip.slice(0, 3)) || { latitude: 0, longitude: 0, count: 0 };
+      sum.latitude += latitude;
+      sum.longitude += longitude;
+      sum.count++;
+      sums.set(zip.slice(0, 3), sum);
+    }
+
+    const averages = new Map();
+    for (const [prefix, sum] of sums) {
+      averages.set(prefix, {
+        latitude: Math.round((sum.latitude / sum.count) * 1e6) / 1e6,
+        longitude: Math.round((sum.longitude / sum.count) * 1e6) / 1e6
+      });
+    }
+
+    return averages;
+  }
+}
+
+module.exports = new ZipCentroids();
@@ -9,11 +9,18 @@ const adminController = require('../../src/controllers/adminController');
 const userRepository = require('../../src/database/repositories/userRepository');
 const eventRepository = require('../../src/database/repositories/eventRepository');
 const historyRepository = require('../../src/database/repositories/historyRepository');
+const organizationRepository = require('../../src/database/repositories/organizationRepository');
+const refreshTokenRepository = require('../../src/database/repositories/refreshTokenRepository');
+const sessionRepository = require('../../src/database/repositories/sessionRepository');
+const organizationScope = require('../../src/utils/organizationScope');
 
 // Mock the repositories
 jest.mock('../../src/database/repositories/userRepository');
 jest.mock('../../src/database/repositories/eventRepository');
 jest.mock('../../src/database/repositories/historyRepository');
+jest.mock('../../src/database/repositories/organizationRepository');
+jest.mock('../../src/database/repositories/refreshTokenRepository');
+jest.mock('../../src/database/repositories/sessionRepository');
 
 const app = express();
 app.use(express.json());
@@ -31,6 +38,10 @@ app.put('/admin/users/:userId', mockAdminAuth, adminController.updateUser);
 app.delete('/admin/users/:userId', mockAdminAuth, adminController.deleteUser);
 app.get('/admin/metrics', mockAdminAuth, adminController.getMetrics);
 app.get('/admin/users/:userId/metrics', mockAdminAuth, adminController.getVolunteerMetrics);
+app.post('/admin/users/:userId/unlock', mockAdminAuth, adminController.unlockUser);
+app.delete('/admin/users/:userId/sessions', mockAdminAuth, adminController.signOutUser);
+app.get('/admin/settings', mockAdminAuth, adminController.getSettings);
+app.put('/admin/settings', mockAdminAuth, adminController.updateSettings);
 
 describe('AdminController', () => {
   beforeEach(() => {
@@ -53,6 +64,74 @@ describe('AdminController', () => {
       expect(response.body.data.users).toBeDefined();
       expect(Array.isArray(response.body.data.users)).toBe(true);
     });
+
+    it('should not expose credentials in the user list', async () => {
+      userRepository.findAll.mockResolvedValue([
+        { id: 'user-1', username: 'admin', role: 'ADMIN', password: 'hash', twoFactorSecret: 'secret', twoFactorLastStep: 1 }
+      ]);
+
+      const response = await request(app).get('/admin/users');
+
+      expect(response.body.data.users[0]).not.toHaveProperty('password');
+      expect(response.body.data.users[0]).not.toHaveProperty('twoFactorSecret');
+      expect(response.body.data.users[0]).not.toHaveProperty('twoFactorLastStep');
+    });
+
+    it('should flag accounts that are currently locked', async () => {
+      userRepository.findAll.mockResolvedValue([
+        { id: 'user-1', username: 'locked', role: 'VOLUNTEER', failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + 60000) },
+        { id: 'user-2', username: 'expired', role: 'VOLUNTEER', failedLoginAttempts: 2, lockedUntil: new Date(Date.now() - 60000) }
+      ]);
+
+      const response = await request(app).get('/admin/users');
+
+      expect(response.body.data.users[0].locked).toBe(true);
+      expect(response.body.data.users[1].locked).toBe(false);
+      expect(response.body.data.users[1].failedLoginAttempts).toBe(2);
+    });
+  });
+
+  describe('POST /admin/users/:userId/unlock', () => {
+    it('should clear the lockout', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'user-1', lockedUntil: new Date(Date.now() + 60000) });
+
+      const response = await request(app).post('/admin/users/user-1/unlock');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Account unlocked successfully');
+      expect(userRepository.resetLoginFailures).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      userRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app).post('/admin/users/missing/unlock');
+
+      expect(response.status).toBe(404);
+      expect(userRepository.resetLoginFailures).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /admin/users/:userId/sessions', () => {
+    it('should sign the user out everywhere', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'user-1' });
+
+      const response = await request(app).delete('/admin/users/user-1/sessions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('User signed out of all sessions');
+      expect(refreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith('user-1');
+      expect(sessionRepository.revokeAllForUser).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should return 404 for users outside the admin\'s organizations', async () => {
+      userRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app).delete('/admin/users/other-org-user/sessions');
+
+      expect(response.status).toBe(404);
+      expect(sessionRepository.revokeAllForUser).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /admin/users/:userId', () => {
@@ -395,6 +474,29 @@ describe('AdminController', () => {
 
       expect(response.status).toBe(500);
     });
+
+    it('should only remove the membership when the user belongs to other organizations', async () => {
+      const testApp = express();
+      const orgAdminAuth = (req, res, next) => {
+        req.user = { id: 'admin_001', email: 'admin@example.com', role: 'admin' };
+        organizationScope.run({ userId: 'admin_001', organizationIds: ['org_a'], activeOrganizationId: null }, next);
+      };
+      testApp.delete('/admin/users/:userId', orgAdminAuth, adminController.deleteUser);
+
+      userRepository.findById.mockResolvedValue({ id: 'user_002', role: 'VOLUNTEER' });
+      organizationRepository.findMembershipsByUser.mockResolvedValue([
+        { organizationId: 'org_a' },
+        { organizationId: 'org_b' }
+      ]);
+      organizationRepository.removeMember.mockResolvedValue(true);
+
+      const response = await request(testApp).delete('/admin/users/user_002');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('User removed from your organization');
+      expect(organizationRepository.removeMember).toHaveBeenCalledWith('org_a', 'user_002');
+      expect(userRepository.delete).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /admin/metrics', () => {
@@ -672,6 +774,41 @@ describe('AdminController', () => {
     });
   });
 
+  describe('Organization settings', () => {
+    it('should get organization settings', async () => {
+      organizationRepository.findById.mockResolvedValue({ id: 'default', requireAdminTwoFactor: false });
+
+      const response = await request(app).get('/admin/settings');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ requireAdminTwoFactor: false });
+    });
+
+    it('should require 2FA for admins when the caller has 2FA enabled', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'admin_001', twoFactorEnabled: true });
+      organizationRepository.update.mockResolvedValue({ id: 'default', requireAdminTwoFactor: true });
+
+      const response = await request(app)
+        .put('/admin/settings')
+        .send({ requireAdminTwoFactor: true });
+
+      expect(response.status).toBe(200);
+      expect(organizationRepository.update).toHaveBeenCalledWith('default', { requireAdminTwoFactor: true });
+      expect(response.body.data.requireAdminTwoFactor).toBe(true);
+    });
+
+    it('should refuse to require 2FA when the caller has not enrolled', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'admin_001', twoFactorEnabled: false });
+
+      const response = await request(app)
+        .put('/admin/settings')
+        .send({ requireAdminTwoFactor: true });
+
+      expect(response.status).toBe(400);
+      expect(organizationRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error handling', () => {
     it('should handle getAllUsers errors', async () => {
       userRepository.findAll.mockRejectedValue(new Error('Database error'));
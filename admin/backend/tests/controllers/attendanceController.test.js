@@ -14,6 +14,7 @@ describe('AttendanceController', () => {
     req = {
       user: { id: 'user-123', role: 'ADMIN' },
       params: {},
+      query: {},
       body: {}
     };
 
@@ -179,7 +180,7 @@ describe('AttendanceController', () => {
 
       await controller.getEventRoster(req, res);
 
-      expect(attendanceService.getEventRoster).toHaveBeenCalledWith(req.params.eventId);
+      expect(attendanceService.getEventRoster).toHaveBeenCalledWith(req.params.eventId, { shiftId: undefined });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -188,6 +189,17 @@ describe('AttendanceController', () => {
       });
     });
 
+    it('should pass a shift filter to the roster', async () => {
+      req.params.eventId = 'event-123';
+      req.query.shiftId = 'shift-1';
+
+      attendanceService.getEventRoster.mockResolvedValue({ shifts: [] });
+
+      await controller.getEventRoster(req, res);
+
+      expect(attendanceService.getEventRoster).toHaveBeenCalledWith('event-123', { shiftId: 'shift-1' });
+    });
+
     it('should handle get roster errors', async () => {
       req.params.eventId = 'event-123';
 
@@ -25,6 +25,11 @@ app.get('/auth/verify', authController.verifyToken);
 describe('AuthController', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    authService.startSession.mockResolvedValue({
+      accessToken: 'session-token',
+      refreshToken: 'refresh-token',
+      sessionId: 'session_001'
+    });
   });
 
   describe('POST /auth/register', () => {
@@ -100,6 +105,85 @@ describe('AuthController', () => {
     });
   });
 
+  describe('POST /auth/login - throttled', () => {
+    it('should return 429 with Retry-After when the account is locked', async () => {
+      const error = new Error('Account temporarily locked due to too many failed login attempts. Try again in 15 minutes.');
+      error.statusCode = 429;
+      error.retryAfter = 900;
+      authService.login.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('900');
+      expect(response.body.retryAfter).toBe(900);
+    });
+  });
+
+  describe('POST /auth/login - two-factor required', () => {
+    it('should return the challenge without setting session cookies', async () => {
+      authService.login.mockResolvedValue({
+        message: 'Two-factor authentication required',
+        data: { twoFactorRequired: true, challengeToken: 'challenge-token' }
+      });
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'admin@example.com', password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.challengeToken).toBe('challenge-token');
+      expect(authService.startSession).not.toHaveBeenCalled();
+      expect(authService.setAuthCookies).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /auth/2fa/verify', () => {
+    beforeAll(() => {
+      app.post('/auth/2fa/verify', authController.verifyTwoFactorLogin);
+    });
+
+    it('should complete login and set session cookies', async () => {
+      authService.verifyTwoFactorLogin.mockResolvedValue({
+        message: 'Login successful',
+        data: { token: 'jwt-token', user: { id: 'admin_001' } }
+      });
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .set('User-Agent', 'Kiosk/1.0')
+        .send({ challengeToken: 'challenge-token', code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBe('session-token');
+      expect(authService.startSession).toHaveBeenCalledWith('admin_001', expect.objectContaining({ userAgent: 'Kiosk/1.0' }));
+      expect(authService.setAuthCookies).toHaveBeenCalledWith(expect.anything(), 'session-token', 'refresh-token');
+    });
+
+    it('should return 401 for an invalid code', async () => {
+      authService.verifyTwoFactorLogin.mockRejectedValue(new Error('Invalid verification code'));
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .send({ challengeToken: 'challenge-token', code: '000000' });
+
+      expect(response.status).toBe(401);
+      expect(authService.setAuthCookies).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for an expired challenge', async () => {
+      authService.verifyTwoFactorLogin.mockRejectedValue(new Error('Invalid or expired two-factor challenge'));
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .send({ challengeToken: 'expired', code: '123456' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
   describe('GET /auth/profile', () => {
     it('should get current user successfully', async () => {
       const mockResponse = {
@@ -189,6 +273,151 @@ describe('AuthController', () => {
     });
   });
 
+  describe('POST /auth/set-password', () => {
+    beforeAll(() => {
+      app.post('/auth/set-password', mockAuth, authController.setPassword);
+    });
+
+    it('should set a password on an OAuth-only account', async () => {
+      authService.setPassword.mockResolvedValue({ message: 'Password set' });
+
+      const response = await request(app)
+        .post('/auth/set-password')
+        .send({ newPassword: 'NewPass@word456' });
+
+      expect(response.status).toBe(200);
+      expect(authService.setPassword).toHaveBeenCalledWith('user_001', 'NewPass@word456');
+    });
+
+    it('should refuse accounts that already have a password', async () => {
+      authService.setPassword.mockRejectedValue(new Error('Account already has a password; use change password instead'));
+
+      const response = await request(app)
+        .post('/auth/set-password')
+        .send({ newPassword: 'NewPass@word456' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('POST /auth/forgot-password', () => {
+    beforeEach(() => {
+      app.post('/auth/forgot-password', authController.forgotPassword);
+    });
+
+    it('should accept a reset request', async () => {
+      authService.requestPasswordReset.mockResolvedValue({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+      });
+
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(authService.requestPasswordReset).toHaveBeenCalledWith('test@example.com');
+    });
+
+    it('should call next for unexpected errors', async () => {
+      authService.requestPasswordReset.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('POST /auth/reset-password', () => {
+    beforeEach(() => {
+      app.post('/auth/reset-password', authController.resetPassword);
+    });
+
+    it('should reset password successfully', async () => {
+      authService.resetPassword.mockResolvedValue({
+        success: true,
+        message: 'Password has been reset successfully'
+      });
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'a'.repeat(64), newPassword: 'NewPass@word456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(authService.resetPassword).toHaveBeenCalledWith('a'.repeat(64), 'NewPass@word456');
+    });
+
+    it('should return 400 for an invalid or expired token', async () => {
+      authService.resetPassword.mockRejectedValue(new Error('Invalid or expired reset token'));
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'b'.repeat(64), newPassword: 'NewPass@word456' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+  });
+
+  describe('GET /auth/verify-email/:token', () => {
+    beforeEach(() => {
+      app.get('/auth/verify-email/:token', authController.verifyEmail);
+    });
+
+    it('should verify email successfully', async () => {
+      authService.verifyEmail.mockResolvedValue({
+        success: true,
+        message: 'Email verified successfully'
+      });
+
+      const response = await request(app).get('/auth/verify-email/verification-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Email verified successfully');
+      expect(authService.verifyEmail).toHaveBeenCalledWith('verification-token');
+    });
+
+    it('should return 400 for an invalid or expired token', async () => {
+      authService.verifyEmail.mockRejectedValue(new Error('Invalid or expired verification token'));
+
+      const response = await request(app).get('/auth/verify-email/bad-token');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired verification token');
+    });
+  });
+
+  describe('POST /auth/resend-verification', () => {
+    beforeEach(() => {
+      app.post('/auth/resend-verification', mockAuth, authController.resendVerification);
+    });
+
+    it('should resend verification email', async () => {
+      authService.resendVerificationEmail.mockResolvedValue({
+        success: true,
+        message: 'Verification email sent'
+      });
+
+      const response = await request(app).post('/auth/resend-verification');
+
+      expect(response.status).toBe(200);
+      expect(authService.resendVerificationEmail).toHaveBeenCalledWith('user_001');
+    });
+
+    it('should return 400 when email is already verified', async () => {
+      authService.resendVerificationEmail.mockRejectedValue(new Error('Email is already verified'));
+
+      const response = await request(app).post('/auth/resend-verification');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Email is already verified');
+    });
+  });
+
   describe('POST /auth/logout', () => {
     beforeEach(() => {
       app.post('/auth/logout', mockAuth, authController.logout);
@@ -250,6 +479,41 @@ describe('AuthController', () => {
       expect(response.body.status).toBe('success');
       expect(response.body.data.token).toBe('new-token');
     });
+
+    it('should set the rotated refresh token cookie', async () => {
+      const withRefreshCookie = (req, res, next) => {
+        req.cookies = { refreshToken: 'old-refresh-token' };
+        next();
+      };
+      app.post('/auth/refresh-rotate', withRefreshCookie, authController.refreshToken);
+      authService.refreshAccessToken.mockResolvedValue({
+        data: {
+          accessToken: 'new-access-token',
+          refreshToken: 'new-refresh-token',
+          user: { id: 'user_001' }
+        }
+      });
+
+      const response = await request(app).post('/auth/refresh-rotate');
+
+      expect(response.status).toBe(200);
+      expect(authService.refreshAccessToken).toHaveBeenCalledWith('old-refresh-token');
+      expect(authService.setAuthCookies).toHaveBeenCalledWith(expect.anything(), 'new-access-token', 'new-refresh-token');
+    });
+
+    it('should return 401 when the refresh token is rejected', async () => {
+      const withRefreshCookie = (req, res, next) => {
+        req.cookies = { refreshToken: 'reused-refresh-token' };
+        next();
+      };
+      app.post('/auth/refresh-reused', withRefreshCookie, authController.refreshToken);
+      authService.refreshAccessToken.mockRejectedValue(new Error('Invalid or expired refresh token'));
+
+      const response = await request(app).post('/auth/refresh-reused');
+
+      expect(response.status).toBe(401);
+      expect(authService.clearAuthCookies).toHaveBeenCalled();
+    });
   });
 
   describe('POST /auth/validate-registration', () => {
@@ -340,10 +604,6 @@ describe('AuthController', () => {
 
   describe('GET /auth/oauth/callback', () => {
     beforeEach(() => {
-      // Mock JWT sign
-      const jwt = require('jsonwebtoken');
-      jwt.sign = jest.fn().mockReturnValue('mock-token');
-
       app.get('/auth/oauth/callback', authController.oauthCallback);
     });
 
@@ -358,7 +618,40 @@ describe('AuthController', () => {
       const response = await request(appWithUser).get('/auth/oauth/callback');
 
       expect(response.status).toBe(302); // Redirect
-      expect(response.header.location).toContain('/oauth/callback?token=');
+      expect(response.header.location).toContain('/oauth/callback?token=session-token');
+      expect(authService.startSession).toHaveBeenCalledWith('user_001', expect.any(Object));
+      expect(authService.setAuthCookies).toHaveBeenCalledWith(expect.anything(), 'session-token', 'refresh-token');
+    });
+
+    it('should return to the profile after linking a provider', async () => {
+      const appLinking = express();
+      appLinking.use((req, res, next) => {
+        req.user = { id: 'user_001' };
+        req.authInfo = { linked: true };
+        next();
+      });
+      appLinking.get('/auth/oauth/callback', authController.oauthCallback);
+
+      const response = await request(appLinking).get('/auth/oauth/callback');
+
+      expect(response.header.location).toContain('/dashboard/profile?linked=success');
+      expect(response.headers['set-cookie'].join()).toMatch(/oauthLink=;.*Path=\/api\/auth/);
+      expect(authService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should ask for a two-factor code before starting a session', async () => {
+      authService.generateTwoFactorChallenge.mockReturnValue('challenge-token');
+      const appWith2fa = express();
+      appWith2fa.use((req, res, next) => {
+        req.user = { id: 'admin_001', twoFactorEnabled: true };
+        next();
+      });
+      appWith2fa.get('/auth/oauth/callback', authController.oauthCallback);
+
+      const response = await request(appWith2fa).get('/auth/oauth/callback');
+
+      expect(response.header.location).toContain('/oauth/callback?challenge=challenge-token');
+      expect(authService.startSession).not.toHaveBeenCalled();
     });
 
     it('should handle OAuth callback without user', async () => {
@@ -382,11 +675,8 @@ describe('AuthController', () => {
         next();
       });
 
-      // Mock JWT to throw error
-      const jwt = require('jsonwebtoken');
-      jwt.sign = jest.fn().mockImplementation(() => {
-        throw new Error('JWT Error');
-      });
+      authService.startSession.mockRejectedValue(new Error('Database error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
       appWithError.get('/auth/oauth/callback', authController.oauthCallback);
 
@@ -394,6 +684,43 @@ describe('AuthController', () => {
 
       expect(response.status).toBe(302); // Redirect
       expect(response.header.location).toContain('/login?error=oauth_error');
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('OAuth verification errors', () => {
+    const failingApp = (error) => {
+      const appWithError = express();
+      appWithError.get('/auth/google/callback', (req, res, next) => next(error), authController.oauthError);
+      return appWithError;
+    };
+
+    it('should send sign-in failures to the callback page with their code', async () => {
+      const error = new Error('An account with this email already exists');
+      error.code = 'oauth_email_exists';
+
+      const response = await request(failingApp(error)).get('/auth/google/callback');
+
+      expect(response.status).toBe(302);
+      expect(response.header.location).toContain('/oauth/callback?error=oauth_email_exists');
+    });
+
+    it('should send link failures back to the profile page', async () => {
+      const error = new Error('Already linked to another user');
+      error.code = 'oauth_identity_in_use';
+      error.linking = true;
+
+      const response = await request(failingApp(error)).get('/auth/google/callback');
+
+      expect(response.header.location).toContain('/dashboard/profile?linkError=oauth_identity_in_use');
+      expect(response.headers['set-cookie'].join()).toContain('oauthLink=;');
+    });
+
+    it('should not leak unexpected error details', async () => {
+      const response = await request(failingApp(new Error('connection refused'))).get('/auth/google/callback');
+
+      expect(response.header.location).toContain('/oauth/callback?error=oauth_error');
     });
   });
 
@@ -8,7 +8,11 @@ const eventController = require('../../src/controllers/eventController');
 
 // Mock the event service
 jest.mock('../../src/services/eventService');
+jest.mock('../../src/services/eventTemplateService');
+jest.mock('../../src/services/eventImportService');
 const eventService = require('../../src/services/eventService');
+const eventTemplateService = require('../../src/services/eventTemplateService');
+const eventImportService = require('../../src/services/eventImportService');
 
 const app = express();
 app.use(express.json());
@@ -32,6 +36,7 @@ app.get('/events/:id', mockAuth, eventController.getEventById);
 app.post('/events', mockAuth, eventController.createEvent);
 app.put('/events/:id', mockAuth, eventController.updateEvent);
 app.delete('/events/:id', mockAuth, eventController.deleteEvent);
+app.post('/events/:id/cancel', mockAuth, eventController.cancelEvent);
 app.get('/events/:id/assignments', mockAuth, eventController.getEventAssignments);
 app.post('/events/:eventId/assign/:volunteerId', mockAuth, eventController.assignVolunteer);
 app.get('/my-events', mockAuth, eventController.getMyEvents);
@@ -102,10 +107,34 @@ describe('EventController', () => {
           page: 2,
           limit: 5,
           sortBy: 'title'
-        })
+        }),
+        'user_001'
       );
     });
 
+    it('should pass location filters and the caller to the service', async () => {
+      eventService.getEvents.mockResolvedValue({ success: true, data: { events: [] } });
+
+      await request(app)
+        .get('/events')
+        .query({ near: 'me', radius: '10', sort: 'distance' });
+
+      expect(eventService.getEvents).toHaveBeenCalledWith(
+        expect.objectContaining({ near: 'me', radius: '10', sort: 'distance' }),
+        expect.any(Object),
+        'user_001'
+      );
+    });
+
+    it('should return 400 for unusable location filters', async () => {
+      eventService.getEvents.mockRejectedValue(new Error('radius needs a location to search near'));
+
+      const response = await request(app).get('/events').query({ radius: '10' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('radius needs a location to search near');
+    });
+
     it('should handle service errors', async () => {
       eventService.getEvents.mockRejectedValue(new Error('Database error'));
 
@@ -323,6 +352,44 @@ describe('EventController', () => {
     });
   });
 
+  describe('POST /events/:id/cancel', () => {
+    it('should cancel event with a reason', async () => {
+      eventService.cancelEvent.mockResolvedValue({
+        success: true,
+        message: 'Event cancelled; 2 volunteer(s) notified',
+        data: { id: 'event_001', status: 'cancelled', cancelledAssignments: 2 }
+      });
+
+      const response = await request(app)
+        .post('/events/event_001/cancel')
+        .send({ reason: 'Storm warning' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cancelled');
+      expect(eventService.cancelEvent).toHaveBeenCalledWith('event_001', 'user_001', 'Storm warning');
+    });
+
+    it('should return 404 when event not found', async () => {
+      eventService.cancelEvent.mockRejectedValue(new Error('Event not found'));
+
+      const response = await request(app)
+        .post('/events/nonexistent/cancel')
+        .send({ reason: 'Storm warning' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 400 for an event that cannot be cancelled', async () => {
+      eventService.cancelEvent.mockRejectedValue(new Error('Event is already cancelled'));
+
+      const response = await request(app)
+        .post('/events/event_001/cancel')
+        .send({ reason: 'Storm warning' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /events/:id/assignments', () => {
     it('should get event assignments successfully', async () => {
       const mockResponse = {
@@ -521,7 +588,12 @@ describe('EventController', () => {
 
       const mockUpdateResponse = {
         success: true,
-        message: 'Assignment cancelled successfully'
+        message: 'Assignment cancelled successfully',
+        data: {
+          id: 'assign_001',
+          status: 'CANCELLED',
+          event: { id: 'event_001', title: 'Community Cleanup' }
+        }
       };
 
       eventService.getEventAssignments.mockResolvedValue(mockAssignmentResponse);
@@ -978,4 +1050,232 @@ describe('EventController', () => {
       expect(response.status).toBe(500);
     });
   });
+
+  describe('GET /events/managed', () => {
+    beforeEach(() => {
+      app.get('/managed-events', (req, res, next) => {
+        req.user = { id: 'coord_001', role: 'coordinator' };
+        next();
+      }, eventController.getManagedEvents);
+    });
+
+    it('should list events managed by the current user', async () => {
+      eventService.getEvents.mockResolvedValue({
+        success: true,
+        data: { events: [{ id: 'event_001' }], pagination: { total: 1 } }
+      });
+
+      const response = await request(app).get('/managed-events?status=published');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events).toHaveLength(1);
+      expect(eventService.getEvents).toHaveBeenCalledWith(
+        expect.objectContaining({ managedBy: 'coord_001', status: 'published' }),
+        { page: 1, limit: 10 }
+      );
+    });
+  });
+
+  describe('event managers', () => {
+    beforeEach(() => {
+      app.get('/events/:id/managers', mockAuth, eventController.getEventManagers);
+      app.post('/events/:id/managers', mockAuth, eventController.addEventManager);
+      app.delete('/events/:id/managers/:userId', mockAuth, eventController.removeEventManager);
+    });
+
+    it('should list event managers', async () => {
+      eventService.getEventManagers.mockResolvedValue({
+        success: true,
+        data: { createdBy: 'user_001', managers: [] }
+      });
+
+      const response = await request(app).get('/events/event_001/managers');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.createdBy).toBe('user_001');
+    });
+
+    it('should return 404 when listing managers of a missing event', async () => {
+      eventService.getEventManagers.mockRejectedValue(new Error('Event not found'));
+
+      const response = await request(app).get('/events/missing/managers');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should add a manager', async () => {
+      eventService.addEventManager.mockResolvedValue({
+        success: true,
+        message: 'Event manager added successfully',
+        data: { id: 'coord_001', email: 'coordinator@example.com' }
+      });
+
+      const response = await request(app)
+        .post('/events/event_001/managers')
+        .send({ email: 'coordinator@example.com' });
+
+      expect(response.status).toBe(201);
+      expect(eventService.addEventManager).toHaveBeenCalledWith('event_001', 'coordinator@example.com', 'user_001');
+    });
+
+    it('should return 400 when the grantee cannot manage events', async () => {
+      eventService.addEventManager.mockRejectedValue(new Error('Only coordinators and admins can manage events'));
+
+      const response = await request(app)
+        .post('/events/event_001/managers')
+        .send({ email: 'volunteer@example.com' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 when the grantee does not exist', async () => {
+      eventService.addEventManager.mockRejectedValue(new Error('User not found'));
+
+      const response = await request(app)
+        .post('/events/event_001/managers')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should remove a manager', async () => {
+      eventService.removeEventManager.mockResolvedValue({
+        success: true,
+        message: 'Event manager removed successfully'
+      });
+
+      const response = await request(app).delete('/events/event_001/managers/coord_001');
+
+      expect(response.status).toBe(200);
+      expect(eventService.removeEventManager).toHaveBeenCalledWith('event_001', 'coord_001');
+    });
+
+    it('should return 404 when removing a user who is not a manager', async () => {
+      eventService.removeEventManager.mockRejectedValue(new Error('User is not a manager of this event'));
+
+      const response = await request(app).delete('/events/event_001/managers/user_002');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('event templates', () => {
+    beforeEach(() => {
+      app.post('/events/templates', mockAuth, eventController.createEventTemplate);
+      app.post('/events/templates/:templateId/events', mockAuth, eventController.createEventFromTemplate);
+      app.post('/events/:id/save-as-template', mockAuth, eventController.saveEventAsTemplate);
+    });
+
+    it('should create a template', async () => {
+      eventTemplateService.createTemplate.mockResolvedValue({
+        success: true,
+        message: 'Event template created successfully',
+        data: { id: 'template_001', name: 'Beach cleanup' }
+      });
+
+      const response = await request(app)
+        .post('/events/templates')
+        .send({ name: 'Beach cleanup' });
+
+      expect(response.status).toBe(201);
+      expect(eventTemplateService.createTemplate).toHaveBeenCalledWith('user_001', { name: 'Beach cleanup' });
+    });
+
+    it('should return 409 for a template name already in use', async () => {
+      eventTemplateService.createTemplate.mockRejectedValue(new Error('A template named Beach cleanup already exists'));
+
+      const response = await request(app)
+        .post('/events/templates')
+        .send({ name: 'Beach cleanup' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should create an event from a template', async () => {
+      eventTemplateService.createEventFromTemplate.mockResolvedValue({
+        success: true,
+        message: 'Event created successfully',
+        data: { id: 'event_002' }
+      });
+
+      const response = await request(app)
+        .post('/events/templates/template_001/events')
+        .send({ startDate: '2030-06-01T09:00:00.000Z' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.id).toBe('event_002');
+    });
+
+    it('should return 404 for a missing template', async () => {
+      eventTemplateService.createEventFromTemplate.mockRejectedValue(new Error('Event template not found'));
+
+      const response = await request(app)
+        .post('/events/templates/missing/events')
+        .send({ startDate: '2030-06-01T09:00:00.000Z' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should save an event as a template', async () => {
+      eventTemplateService.saveEventAsTemplate.mockResolvedValue({
+        success: true,
+        message: 'Event saved as a template',
+        data: { id: 'template_002', name: 'Pantry sort' }
+      });
+
+      const response = await request(app)
+        .post('/events/event_001/save-as-template')
+        .send({ name: 'Pantry sort' });
+
+      expect(response.status).toBe(201);
+      expect(eventTemplateService.saveEventAsTemplate).toHaveBeenCalledWith('user_001', 'event_001', 'Pantry sort');
+    });
+  });
+
+  describe('POST /events/import', () => {
+    beforeEach(() => {
+      app.post('/events/import', mockAuth, eventController.importEvents);
+    });
+
+    it('should return the preview of a dry run', async () => {
+      eventImportService.importEvents.mockResolvedValue({
+        success: true,
+        message: '1 of 2 events are ready to import',
+        data: { dryRun: true, total: 2, valid: 1, invalid: 1, rows: [] }
+      });
+
+      const response = await request(app)
+        .post('/events/import')
+        .send({ format: 'csv', content: 'Title\nPantry Sort' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.valid).toBe(1);
+      expect(eventImportService.importEvents).toHaveBeenCalledWith('user_001', { format: 'csv', content: 'Title\nPantry Sort' });
+    });
+
+    it('should return 201 once events are imported', async () => {
+      eventImportService.importEvents.mockResolvedValue({
+        success: true,
+        message: 'Imported 1 events as drafts',
+        data: { dryRun: false, total: 1, valid: 1, invalid: 0, rows: [], events: [{ id: 'event_001' }] }
+      });
+
+      const response = await request(app)
+        .post('/events/import')
+        .send({ format: 'csv', content: 'Title\nPantry Sort', dryRun: false });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should return 400 for a file that cannot be imported', async () => {
+      eventImportService.importEvents.mockRejectedValue(new Error('Column not found in the CSV file: Name'));
+
+      const response = await request(app)
+        .post('/events/import')
+        .send({ format: 'csv', content: 'Title', mapping: { title: 'Name' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Column not found in the CSV file: Name');
+    });
+  });
 });
\ No newline at end of file
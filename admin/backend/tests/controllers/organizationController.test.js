@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Organization Controller
+ */
+
+const request = require('supertest');
+const express = require('express');
+const organizationController = require('../../src/controllers/organizationController');
+
+// Mock the organization service
+jest.mock('../../src/services/organizationService');
+const organizationService = require('../../src/services/organizationService');
+
+const app = express();
+app.use(express.json());
+
+const mockAdminAuth = (req, res, next) => {
+  req.user = { id: 'admin_001', role: 'admin', superAdmin: false, organizations: [{ id: 'org_a' }] };
+  next();
+};
+
+app.get('/organizations', mockAdminAuth, organizationController.getOrganizations);
+app.post('/organizations', mockAdminAuth, organizationController.createOrganization);
+app.put('/organizations/:id', mockAdminAuth, organizationController.updateOrganization);
+app.get('/organizations/:id/members', mockAdminAuth, organizationController.getMembers);
+app.post('/organizations/:id/members', mockAdminAuth, organizationController.addMember);
+app.delete('/organizations/:id/members/:userId', mockAdminAuth, organizationController.removeMember);
+
+// Error handler
+app.use((err, req, res, next) => {
+  res.status(500).json({ status: 'error', message: err.message });
+});
+
+describe('OrganizationController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /organizations', () => {
+    it('should list organizations for the current user', async () => {
+      organizationService.getOrganizations.mockResolvedValue({
+        success: true,
+        data: { organizations: [{ id: 'org_a', name: 'Org A' }], superAdmin: false }
+      });
+
+      const response = await request(app).get('/organizations');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.organizations).toHaveLength(1);
+      expect(organizationService.getOrganizations).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'admin_001' })
+      );
+    });
+  });
+
+  describe('POST /organizations', () => {
+    it('should create an organization', async () => {
+      organizationService.createOrganization.mockResolvedValue({
+        success: true,
+        message: 'Organization created successfully',
+        data: { id: 'org_b', name: 'Org B', slug: 'org-b' }
+      });
+
+      const response = await request(app)
+        .post('/organizations')
+        .send({ name: 'Org B', slug: 'org-b' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.slug).toBe('org-b');
+    });
+
+    it('should return 409 for a duplicate slug', async () => {
+      organizationService.createOrganization.mockRejectedValue(new Error('Organization slug already in use'));
+
+      const response = await request(app)
+        .post('/organizations')
+        .send({ name: 'Org A', slug: 'org-a' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /organizations/:id', () => {
+    it('should return 404 for organizations the admin cannot manage', async () => {
+      organizationService.updateOrganization.mockRejectedValue(new Error('Organization not found'));
+
+      const response = await request(app)
+        .put('/organizations/org_b')
+        .send({ name: 'Renamed' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('members', () => {
+    it('should list members', async () => {
+      organizationService.getMembers.mockResolvedValue({
+        success: true,
+        data: { members: [{ id: 'user_001', email: 'volunteer1@example.com' }] }
+      });
+
+      const response = await request(app).get('/organizations/org_a/members');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.members).toHaveLength(1);
+    });
+
+    it('should add a member by email', async () => {
+      organizationService.addMember.mockResolvedValue({
+        success: true,
+        message: 'Member added successfully',
+        data: { id: 'user_001', email: 'volunteer1@example.com' }
+      });
+
+      const response = await request(app)
+        .post('/organizations/org_a/members')
+        .send({ email: 'volunteer1@example.com' });
+
+      expect(response.status).toBe(201);
+      expect(organizationService.addMember).toHaveBeenCalledWith(
+        'org_a',
+        'volunteer1@example.com',
+        expect.objectContaining({ id: 'admin_001' })
+      );
+    });
+
+    it('should return 400 when removing a user\'s last organization', async () => {
+      organizationService.removeMember.mockRejectedValue(new Error('Users must belong to at least one organization'));
+
+      const response = await request(app).delete('/organizations/org_a/members/user_001');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should pass unexpected errors to the error handler', async () => {
+      organizationService.removeMember.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).delete('/organizations/org_a/members/user_001');
+
+      expect(response.status).toBe(500);
+    });
+  });
+});
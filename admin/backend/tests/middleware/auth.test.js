@@ -3,12 +3,38 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { authenticate, authorize, optionalAuth } = require('../../src/middleware/auth');
+const {
+  Permissions,
+  authenticate,
+  authorize,
+  optionalAuth,
+  authenticateCalendarToken,
+  requireSuperAdmin,
+  requireVerifiedEmail,
+  hasPermission,
+  requirePermission,
+  requireEventPermission
+} = require('../../src/middleware/auth');
 const userRepository = require('../../src/database/repositories/userRepository');
+const eventManagerRepository = require('../../src/database/repositories/eventManagerRepository');
+const organizationRepository = require('../../src/database/repositories/organizationRepository');
+const personalAccessTokenRepository = require('../../src/database/repositories/personalAccessTokenRepository');
+const sessionRepository = require('../../src/database/repositories/sessionRepository');
+const impersonationRepository = require('../../src/database/repositories/impersonationRepository');
+const auditLogRepository = require('../../src/database/repositories/auditLogRepository');
+const twoFactorService = require('../../src/services/twoFactorService');
+const organizationScope = require('../../src/utils/organizationScope');
 
 // Mock dependencies
 jest.mock('jsonwebtoken');
 jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/eventManagerRepository');
+jest.mock('../../src/database/repositories/organizationRepository');
+jest.mock('../../src/database/repositories/personalAccessTokenRepository');
+jest.mock('../../src/database/repositories/sessionRepository');
+jest.mock('../../src/database/repositories/impersonationRepository');
+jest.mock('../../src/database/repositories/auditLogRepository');
+jest.mock('../../src/services/twoFactorService');
 
 // Mock user data
 const mockVolunteer = {
@@ -42,12 +68,16 @@ describe('Auth Middleware', () => {
     };
     mockNext = jest.fn();
     jest.clearAllMocks();
+    organizationRepository.findMembershipsByUser.mockResolvedValue([
+      { organizationId: 'org_a', organization: { id: 'org_a', name: 'Org A', slug: 'org-a' } },
+      { organizationId: 'org_b', organization: { id: 'org_b', name: 'Org B', slug: 'org-b' } }
+    ]);
   });
 
   describe('authenticate', () => {
     it('should authenticate valid token successfully', async () => {
       mockReq.headers.authorization = 'Bearer valid-token';
-      jwt.verify.mockReturnValue({ userId: 'user_001' });
+      jwt.verify.mockReturnValue({ userId: 'user_001', type: 'access' });
       userRepository.findById.mockResolvedValue(mockVolunteer);
 
       await authenticate(mockReq, mockRes, mockNext);
@@ -122,7 +152,7 @@ describe('Auth Middleware', () => {
 
     it('should handle user not found', async () => {
       mockReq.headers.authorization = 'Bearer valid-token';
-      jwt.verify.mockReturnValue({ userId: 'nonexistent' });
+      jwt.verify.mockReturnValue({ userId: 'nonexistent', type: 'access' });
       userRepository.findById.mockResolvedValue(null);
 
       await authenticate(mockReq, mockRes, mockNext);
@@ -135,6 +165,47 @@ describe('Auth Middleware', () => {
       expect(mockNext).not.toHaveBeenCalled();
     });
 
+    it('should reject a two-factor challenge token', async () => {
+      mockReq.headers.authorization = 'Bearer challenge-token';
+      jwt.verify.mockReturnValue({ userId: 'user_001', type: 'two_factor' });
+      userRepository.findById.mockResolvedValue(mockVolunteer);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Invalid token'
+      });
+      expect(userRepository.findById).not.toHaveBeenCalled();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject an email verification token', async () => {
+      mockReq.headers.authorization = 'Bearer verification-token';
+      jwt.verify.mockReturnValue({
+        userId: 'user_001',
+        email: 'volunteer1@example.com',
+        type: 'email_verification',
+        aud: 'email-verification'
+      });
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens without a type', async () => {
+      mockReq.headers.authorization = 'Bearer untyped-token';
+      jwt.verify.mockReturnValue({ userId: 'user_001' });
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
     it('should handle unexpected errors', async () => {
       mockReq.headers.authorization = 'Bearer valid-token';
       jwt.verify.mockImplementation(() => {
@@ -150,6 +221,364 @@ describe('Auth Middleware', () => {
       });
       expect(mockNext).not.toHaveBeenCalled();
     });
+
+    describe('personal access tokens', () => {
+      const accessToken = {
+        id: 'pat_001',
+        scopes: ['events:read', 'attendance:write'],
+        expiresAt: null,
+        revokedAt: null,
+        user: mockVolunteer
+      };
+
+      beforeEach(() => {
+        mockReq.headers.authorization = 'Bearer jsp_partner-token';
+        mockReq.baseUrl = '/api/events';
+        mockReq.method = 'GET';
+        personalAccessTokenRepository.findByHash.mockResolvedValue(accessToken);
+        personalAccessTokenRepository.touch.mockResolvedValue({ count: 1 });
+      });
+
+      it('should authenticate a token that carries the required scope', async () => {
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(jwt.verify).not.toHaveBeenCalled();
+        expect(mockReq.user.id).toBe('user_001');
+        expect(mockReq.accessToken).toEqual({ id: 'pat_001', scopes: ['events:read', 'attendance:write'] });
+        expect(personalAccessTokenRepository.touch).toHaveBeenCalledWith('pat_001', expect.any(Date));
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      it('should let a write scope read the same area', async () => {
+        mockReq.baseUrl = '/api/attendance';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      it('should refuse a request outside the token\'s scopes', async () => {
+        mockReq.method = 'POST';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          status: 'error',
+          message: 'Access token is missing the events:write scope',
+          code: 'INSUFFICIENT_SCOPE'
+        });
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should refuse areas tokens cannot be granted', async () => {
+        mockReq.baseUrl = '/api/auth';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should reject revoked tokens', async () => {
+        personalAccessTokenRepository.findByHash.mockResolvedValue({ ...accessToken, revokedAt: new Date() });
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          status: 'error',
+          message: 'Invalid or expired access token'
+        });
+      });
+
+      it('should reject expired tokens', async () => {
+        personalAccessTokenRepository.findByHash.mockResolvedValue({
+          ...accessToken,
+          expiresAt: new Date(Date.now() - 1000)
+        });
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('sessions', () => {
+      const session = {
+        id: 'session_001',
+        userId: 'user_001',
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        lastSeenAt: new Date()
+      };
+
+      beforeEach(() => {
+        mockReq.headers.authorization = 'Bearer valid-token';
+        jwt.verify.mockReturnValue({ userId: 'user_001', type: 'access', sid: 'session_001' });
+        userRepository.findById.mockResolvedValue(mockVolunteer);
+      });
+
+      it('should accept tokens from an active session', async () => {
+        sessionRepository.findById.mockResolvedValue(session);
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockReq.sessionId).toBe('session_001');
+        expect(mockNext).toHaveBeenCalled();
+        expect(sessionRepository.touch).not.toHaveBeenCalled();
+      });
+
+      it('should record activity at most once a minute', async () => {
+        sessionRepository.findById.mockResolvedValue({
+          ...session,
+          lastSeenAt: new Date(Date.now() - 5 * 60 * 1000)
+        });
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(sessionRepository.touch).toHaveBeenCalledWith('session_001');
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      it('should reject tokens from a session that was signed out', async () => {
+        sessionRepository.findById.mockResolvedValue({ ...session, revokedAt: new Date() });
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          status: 'error',
+          message: 'Session has been signed out',
+          code: 'SESSION_REVOKED'
+        });
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should accept tokens issued before sessions were tracked', async () => {
+        jwt.verify.mockReturnValue({ userId: 'user_001', type: 'access' });
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(sessionRepository.findById).not.toHaveBeenCalled();
+        expect(mockReq.sessionId).toBeUndefined();
+        expect(mockNext).toHaveBeenCalled();
+      });
+    });
+
+    describe('impersonation', () => {
+      const impersonation = {
+        id: 'imp_001',
+        adminId: 'admin_001',
+        targetUserId: 'user_001',
+        readOnly: true,
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+        endedAt: null
+      };
+
+      beforeEach(() => {
+        mockReq.method = 'GET';
+        mockReq.baseUrl = '/api/events';
+        mockReq.path = '/recommended';
+        mockReq.originalUrl = '/api/events/recommended';
+        mockReq.headers.authorization = 'Bearer impersonation-token';
+        mockRes.on = jest.fn();
+        mockRes.statusCode = 200;
+        jwt.verify.mockReturnValue({ userId: 'user_001', imp: 'imp_001', type: 'impersonation' });
+        userRepository.findById.mockResolvedValue(mockVolunteer);
+        auditLogRepository.create.mockResolvedValue({});
+      });
+
+      it('should authenticate as the target user and audit the request', async () => {
+        impersonationRepository.findById.mockResolvedValue(impersonation);
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockReq.user.id).toBe('user_001');
+        expect(mockReq.impersonation).toMatchObject({ id: 'imp_001', adminId: 'admin_001', readOnly: true });
+        expect(mockNext).toHaveBeenCalled();
+
+        const [event, onFinish] = mockRes.on.mock.calls[0];
+        expect(event).toBe('finish');
+        onFinish();
+        expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+          action: 'impersonation.request',
+          actorId: 'admin_001',
+          targetUserId: 'user_001',
+          impersonationId: 'imp_001',
+          method: 'GET',
+          path: '/api/events/recommended',
+          statusCode: 200
+        }));
+      });
+
+      it('should refuse writes on a read-only session', async () => {
+        impersonationRepository.findById.mockResolvedValue(impersonation);
+        mockReq.method = 'POST';
+        mockReq.baseUrl = '/api/events';
+        mockReq.path = '/event_001/join';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IMPERSONATION_READ_ONLY' }));
+        expect(mockRes.on).toHaveBeenCalledWith('finish', expect.any(Function));
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should let a read-only session stop itself', async () => {
+        impersonationRepository.findById.mockResolvedValue(impersonation);
+        mockReq.method = 'POST';
+        mockReq.baseUrl = '/api/auth';
+        mockReq.path = '/impersonation/stop';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      it('should allow writes when the admin opted out of read-only', async () => {
+        impersonationRepository.findById.mockResolvedValue({ ...impersonation, readOnly: false });
+        mockReq.method = 'POST';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      it.each([
+        ['POST', '/api/auth', '/tokens'],
+        ['POST', '/api/auth', '/identities/google/link'],
+        ['POST', '/api/auth', '/2fa/disable'],
+        ['PUT', '/api/auth', '/change-password'],
+        ['POST', '/api/calendar', '/token'],
+        ['DELETE', '/api/profile', '/account'],
+        ['DELETE', '/api/profile', '/Account/']
+      ])('should refuse %s %s%s even when the session is not read-only', async (method, baseUrl, path) => {
+        impersonationRepository.findById.mockResolvedValue({ ...impersonation, readOnly: false });
+        mockReq.method = method;
+        mockReq.baseUrl = baseUrl;
+        mockReq.path = path;
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IMPERSONATION_FORBIDDEN' }));
+        expect(mockRes.on).toHaveBeenCalledWith('finish', expect.any(Function));
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should still let an impersonation read credential pages', async () => {
+        impersonationRepository.findById.mockResolvedValue({ ...impersonation, readOnly: false });
+        mockReq.baseUrl = '/api/auth';
+        mockReq.path = '/tokens';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      it('should reject tokens from a stopped session', async () => {
+        impersonationRepository.findById.mockResolvedValue({ ...impersonation, endedAt: new Date() });
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+        expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IMPERSONATION_ENDED' }));
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('organization scope', () => {
+      let scope;
+
+      beforeEach(() => {
+        mockReq.headers.authorization = 'Bearer valid-token';
+        jwt.verify.mockReturnValue({ userId: 'user_001', type: 'access' });
+        userRepository.findById.mockResolvedValue(mockVolunteer);
+        scope = undefined;
+        mockNext.mockImplementation(() => {
+          scope = organizationScope.current();
+        });
+      });
+
+      it('should scope the request to the user\'s organizations', async () => {
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(scope.organizationIds).toEqual(['org_a', 'org_b']);
+        expect(scope.activeOrganizationId).toBeNull();
+        expect(mockReq.user.organizations).toEqual([
+          { id: 'org_a', name: 'Org A', slug: 'org-a' },
+          { id: 'org_b', name: 'Org B', slug: 'org-b' }
+        ]);
+        expect(mockReq.user.superAdmin).toBe(false);
+      });
+
+      it('should narrow the scope to the organization in X-Organization-Id', async () => {
+        mockReq.headers['x-organization-id'] = 'org_b';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(scope.organizationIds).toEqual(['org_b']);
+        expect(scope.activeOrganizationId).toBe('org_b');
+      });
+
+      it('should reject an organization the user does not belong to', async () => {
+        mockReq.headers['x-organization-id'] = 'org_c';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          status: 'error',
+          message: 'You are not a member of this organization'
+        });
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should leave super-admins unrestricted', async () => {
+        userRepository.findById.mockResolvedValue({ ...mockAdmin, isSuperAdmin: true });
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(scope.organizationIds).toBeNull();
+        expect(mockReq.user.superAdmin).toBe(true);
+      });
+
+      it('should let super-admins select any organization', async () => {
+        userRepository.findById.mockResolvedValue({ ...mockAdmin, isSuperAdmin: true });
+        mockReq.headers['x-organization-id'] = 'org_c';
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(scope.organizationIds).toEqual(['org_c']);
+        expect(scope.activeOrganizationId).toBe('org_c');
+      });
+    });
+  });
+
+  describe('requireSuperAdmin', () => {
+    it('should allow super-admins', () => {
+      mockReq.user = { id: 'admin_001', role: 'admin', superAdmin: true };
+
+      requireSuperAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should deny organization admins', () => {
+      mockReq.user = { id: 'admin_001', role: 'admin', superAdmin: false };
+
+      requireSuperAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Super-admin access required'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
   });
 
   describe('authorize', () => {
@@ -187,6 +616,19 @@ describe('Auth Middleware', () => {
       expect(mockNext).not.toHaveBeenCalled();
     });
 
+    it('should deny admins who have not completed required 2FA setup', () => {
+      mockReq.user = { id: 'admin_001', role: 'admin', twoFactorSetupRequired: true };
+      const middleware = authorize('admin');
+
+      middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
     it('should deny request without user (not authenticated)', () => {
       const middleware = authorize('admin');
 
@@ -204,7 +646,7 @@ describe('Auth Middleware', () => {
   describe('optionalAuth', () => {
     it('should set user when valid token provided', async () => {
       mockReq.headers.authorization = 'Bearer valid-token';
-      jwt.verify.mockReturnValue({ userId: 'user_001' });
+      jwt.verify.mockReturnValue({ userId: 'user_001', type: 'access' });
       userRepository.findById.mockResolvedValue(mockVolunteer);
 
       await optionalAuth(mockReq, mockRes, mockNext);
@@ -239,7 +681,7 @@ describe('Auth Middleware', () => {
 
     it('should not set user when user not found for token', async () => {
       mockReq.headers.authorization = 'Bearer valid-token';
-      jwt.verify.mockReturnValue({ userId: 'nonexistent' });
+      jwt.verify.mockReturnValue({ userId: 'nonexistent', type: 'access' });
       userRepository.findById.mockResolvedValue(null);
 
       await optionalAuth(mockReq, mockRes, mockNext);
@@ -249,6 +691,18 @@ describe('Auth Middleware', () => {
       expect(mockRes.status).not.toHaveBeenCalled();
     });
 
+    it('should continue without user for a two-factor challenge token', async () => {
+      mockReq.headers.authorization = 'Bearer challenge-token';
+      jwt.verify.mockReturnValue({ userId: 'user_001', type: 'two_factor' });
+      userRepository.findById.mockResolvedValue(mockVolunteer);
+
+      await optionalAuth(mockReq, mockRes, mockNext);
+
+      expect(mockReq.user).toBeUndefined();
+      expect(userRepository.findById).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalled();
+    });
+
     it('should continue without user when authorization header has invalid format', async () => {
       mockReq.headers.authorization = 'InvalidFormat token';
 
@@ -258,5 +712,276 @@ describe('Auth Middleware', () => {
       expect(mockNext).toHaveBeenCalled();
       expect(mockRes.status).not.toHaveBeenCalled();
     });
+
+    it('should read the access token cookie like authenticate', async () => {
+      mockReq.cookies = { accessToken: 'cookie-token' };
+      jwt.verify.mockReturnValue({ userId: 'user_001', type: 'access' });
+      userRepository.findById.mockResolvedValue(mockVolunteer);
+
+      await optionalAuth(mockReq, mockRes, mockNext);
+
+      expect(jwt.verify).toHaveBeenCalledWith('cookie-token', process.env.JWT_SECRET);
+      expect(mockReq.user.id).toBe('user_001');
+    });
+
+    it('should run anonymous requests in a scope that sees no organization', async () => {
+      let scope;
+      mockNext.mockImplementation(() => {
+        scope = organizationScope.current();
+      });
+
+      await optionalAuth(mockReq, mockRes, mockNext);
+
+      expect(scope).toEqual(expect.objectContaining({ userId: null, organizationIds: [] }));
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should scope anonymous requests to the organization named by slug', async () => {
+      mockReq.query = { organization: 'org-a' };
+      organizationRepository.findBySlug.mockResolvedValue({ id: 'org_a', slug: 'org-a' });
+
+      let scope;
+      mockNext.mockImplementation(() => {
+        scope = organizationScope.current();
+      });
+
+      await optionalAuth(mockReq, mockRes, mockNext);
+
+      expect(organizationRepository.findBySlug).toHaveBeenCalledWith('org-a');
+      expect(scope.organizationIds).toEqual(['org_a']);
+    });
+
+    it('should scope anonymous requests to the organization in the header', async () => {
+      mockReq.headers['x-organization-id'] = 'org_b';
+      organizationRepository.findById.mockResolvedValue({ id: 'org_b', slug: 'org-b' });
+
+      let anonymous;
+      let scope;
+      mockNext.mockImplementation(() => {
+        scope = organizationScope.current();
+        anonymous = organizationScope.isAnonymous();
+      });
+
+      await optionalAuth(mockReq, mockRes, mockNext);
+
+      expect(scope.organizationIds).toEqual(['org_b']);
+      expect(anonymous).toBe(true);
+    });
+  });
+
+  describe('authenticateCalendarToken', () => {
+    it('should authenticate the owner of the calendar token', async () => {
+      mockReq.params = { token: 'cal_secret' };
+      userRepository.findByCalendarTokenHash.mockResolvedValue(mockVolunteer);
+
+      let scope;
+      mockNext.mockImplementation(() => {
+        scope = organizationScope.current();
+      });
+
+      await authenticateCalendarToken(mockReq, mockRes, mockNext);
+
+      expect(userRepository.findByCalendarTokenHash).toHaveBeenCalledWith(expect.stringMatching(/^[0-9a-f]{64}$/));
+      expect(mockReq.user).toMatchObject({ id: 'user_001', role: 'volunteer' });
+      expect(scope.organizationIds).toEqual(['org_a', 'org_b']);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should not look up tokens without the calendar prefix', async () => {
+      mockReq.params = { token: 'jsp_secret' };
+
+      await authenticateCalendarToken(mockReq, mockRes, mockNext);
+
+      expect(userRepository.findByCalendarTokenHash).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown or regenerated token', async () => {
+      mockReq.params = { token: 'cal_old' };
+      userRepository.findByCalendarTokenHash.mockResolvedValue(null);
+
+      await authenticateCalendarToken(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Calendar feed not found'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireVerifiedEmail', () => {
+    const originalSetting = process.env.REQUIRE_EMAIL_VERIFICATION;
+
+    afterEach(() => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = originalSetting;
+    });
+
+    it('should allow unverified user when policy is disabled', () => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+      mockReq.user = { id: 'user_001', role: 'volunteer', verified: false };
+
+      requireVerifiedEmail(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should allow verified user when policy is enabled', () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      mockReq.user = { id: 'user_001', role: 'volunteer', verified: true };
+
+      requireVerifiedEmail(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should deny unverified user when policy is enabled', () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      mockReq.user = { id: 'user_001', role: 'volunteer', verified: false };
+
+      requireVerifiedEmail(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Please verify your email address before joining events',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should grant admins every permission without an event lookup', async () => {
+      const user = { id: 'admin_001', role: 'admin' };
+
+      for (const permission of Object.values(Permissions)) {
+        expect(await hasPermission(user, permission, 'event_001')).toBe(true);
+      }
+      expect(eventManagerRepository.isManager).not.toHaveBeenCalled();
+    });
+
+    it('should let coordinators create events globally', async () => {
+      const user = { id: 'coord_001', role: 'coordinator' };
+
+      expect(await hasPermission(user, Permissions.EVENT_CREATE)).toBe(true);
+    });
+
+    it('should grant coordinators event permissions only on events they manage', async () => {
+      const user = { id: 'coord_001', role: 'coordinator' };
+      eventManagerRepository.isManager.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      expect(await hasPermission(user, Permissions.EVENT_ATTENDANCE, 'event_001')).toBe(true);
+      expect(await hasPermission(user, Permissions.EVENT_ATTENDANCE, 'event_002')).toBe(false);
+      expect(eventManagerRepository.isManager).toHaveBeenCalledWith('event_001', 'coord_001');
+      expect(eventManagerRepository.isManager).toHaveBeenCalledWith('event_002', 'coord_001');
+    });
+
+    it('should never let coordinators delete events', async () => {
+      const user = { id: 'coord_001', role: 'coordinator' };
+      eventManagerRepository.isManager.mockResolvedValue(true);
+
+      expect(await hasPermission(user, Permissions.EVENT_DELETE, 'event_001')).toBe(false);
+    });
+
+    it('should ignore manager grants held by volunteers', async () => {
+      const user = { id: 'user_001', role: 'volunteer' };
+      eventManagerRepository.isManager.mockResolvedValue(true);
+
+      expect(await hasPermission(user, Permissions.EVENT_EDIT, 'event_001')).toBe(false);
+      expect(eventManagerRepository.isManager).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should allow a role holding the permission', async () => {
+      mockReq.user = { id: 'coord_001', role: 'coordinator' };
+
+      await requirePermission(Permissions.EVENT_CREATE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should deny a role without the permission', async () => {
+      mockReq.user = { id: 'user_001', role: 'volunteer' };
+
+      await requirePermission(Permissions.EVENT_CREATE)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should deny request without user (not authenticated)', async () => {
+      await requirePermission(Permissions.EVENT_CREATE)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireEventPermission', () => {
+    it('should check the event from the route param', async () => {
+      mockReq.user = { id: 'coord_001', role: 'coordinator' };
+      mockReq.params = { eventId: 'event_001' };
+      eventManagerRepository.isManager.mockResolvedValue(true);
+
+      await requireEventPermission(Permissions.EVENT_ATTENDANCE, 'eventId')(mockReq, mockRes, mockNext);
+
+      expect(eventManagerRepository.isManager).toHaveBeenCalledWith('event_001', 'coord_001');
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should deny coordinators on events they do not manage', async () => {
+      mockReq.user = { id: 'coord_001', role: 'coordinator' };
+      mockReq.params = { id: 'event_002' };
+      eventManagerRepository.isManager.mockResolvedValue(false);
+
+      await requireEventPermission(Permissions.EVENT_EDIT)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Insufficient permissions'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should resolve the event with a custom resolver', async () => {
+      mockReq.user = { id: 'coord_001', role: 'coordinator' };
+      const resolveEventId = jest.fn().mockResolvedValue('event_003');
+      eventManagerRepository.isManager.mockResolvedValue(true);
+
+      await requireEventPermission(Permissions.EVENT_ASSIGN, resolveEventId)(mockReq, mockRes, mockNext);
+
+      expect(resolveEventId).toHaveBeenCalledWith(mockReq);
+      expect(eventManagerRepository.isManager).toHaveBeenCalledWith('event_003', 'coord_001');
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should allow admins without resolving the event', async () => {
+      mockReq.user = { id: 'admin_001', role: 'admin' };
+      const resolveEventId = jest.fn();
+
+      await requireEventPermission(Permissions.EVENT_ASSIGN, resolveEventId)(mockReq, mockRes, mockNext);
+
+      expect(resolveEventId).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should pass lookup errors to the error handler', async () => {
+      mockReq.user = { id: 'coord_001', role: 'coordinator' };
+      mockReq.params = { id: 'event_001' };
+      const error = new Error('Database error');
+      eventManagerRepository.isManager.mockRejectedValue(error);
+
+      await requireEventPermission(Permissions.EVENT_EDIT)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
   });
-});
\ No newline at end of file
+});
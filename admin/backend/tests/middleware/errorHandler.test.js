@@ -115,6 +115,21 @@ describe('Error Handler Middleware', () => {
     );
   });
 
+  it('should handle Prisma record not found errors (P2025)', () => {
+    const err = new Error('Record to update not found.');
+    err.code = 'P2025';
+
+    errorHandler(err, mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 'error',
+        message: 'Resource not found'
+      })
+    );
+  });
+
   it('should handle CastError', () => {
     const err = new Error('Cast to ObjectId failed');
     err.name = 'CastError';
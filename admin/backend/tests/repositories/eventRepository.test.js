@@ -1,12 +1,18 @@
 const EventRepository = require('../../src/database/repositories/eventRepository');
 const prisma = require('../../src/database/prisma');
+const organizationScope = require('../../src/utils/organizationScope');
 
 jest.mock('../../src/database/prisma', () => ({
+  $transaction: jest.fn(),
+  $queryRaw: jest.fn(),
+  $executeRaw: jest.fn(),
   event: {
+    fields: { maxVolunteers: 'Event.maxVolunteers' },
     findMany: jest.fn(),
     findUnique: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     delete: jest.fn(),
     count: jest.fn()
   },
@@ -16,6 +22,7 @@ jest.mock('../../src/database/prisma', () => ({
     findFirst: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     delete: jest.fn(),
     count: jest.fn(),
     deleteMany: jest.fn()
@@ -36,12 +43,19 @@ jest.mock('../../src/database/prisma', () => ({
   eventRequirement: {
     createMany: jest.fn(),
     deleteMany: jest.fn()
+  },
+  volunteerHistory: {
+    updateMany: jest.fn()
+  },
+  waitlistEntry: {
+    deleteMany: jest.fn()
   }
 }));
 
 describe('EventRepository', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    prisma.$transaction.mockImplementation(async (fn) => fn(prisma));
   });
 
   describe('findAll', () => {
@@ -94,6 +108,222 @@ describe('EventRepository', () => {
         })
       );
     });
+
+    it('should filter by date range and ignore unreadable dates', async () => {
+      prisma.event.count.mockResolvedValue(0);
+      prisma.event.findMany.mockResolvedValue([]);
+
+      await EventRepository.findAll({ startDate: '2030-06-01', endDate: 'soon' });
+
+      const { where } = prisma.event.findMany.mock.calls[0][0];
+      expect(where.startDate).toEqual({ gte: new Date('2030-06-01') });
+      expect(where.endDate).toBeUndefined();
+    });
+
+    it('should rank search results instead of filtering by substring', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      const result = await EventRepository.findAll({ search: 'dog shelter weekend' });
+
+      expect(prisma.$queryRaw).toHaveBeenCalled();
+      expect(prisma.event.count).not.toHaveBeenCalled();
+      expect(result).toEqual({ events: [], total: 0, page: 1, limit: 10 });
+    });
+  });
+
+  describe('location filters', () => {
+    const sqlOf = () => {
+      const [query] = prisma.$queryRaw.mock.calls[0];
+      return { text: query.sql, values: query.values };
+    };
+
+    it('should keep to the map bounds without a location', async () => {
+      prisma.event.count.mockResolvedValue(0);
+      prisma.event.findMany.mockResolvedValue([]);
+
+      await EventRepository.findAll({ bounds: { south: 29, west: -96, north: 30, east: -95 } });
+
+      const { where } = prisma.event.findMany.mock.calls[0][0];
+      expect(where.latitude).toEqual({ gte: 29, lte: 30 });
+      expect(where.longitude).toEqual({ gte: -96, lte: -95 });
+    });
+
+    it('should handle bounds across the antimeridian', async () => {
+      prisma.event.count.mockResolvedValue(0);
+      prisma.event.findMany.mockResolvedValue([]);
+
+      await EventRepository.findAll({ bounds: { south: -20, west: 170, north: -10, east: -170 } });
+
+      const { where } = prisma.event.findMany.mock.calls[0][0];
+      expect(where.OR).toEqual([{ longitude: { gte: 170 } }, { longitude: { lte: -170 } }]);
+    });
+
+    it('should return events within the radius, nearest first, with their distance', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { id: '2', distance: 1.234, total: BigInt(2) },
+        { id: '1', distance: 8.77, total: BigInt(2) }
+      ]);
+      prisma.event.findMany.mockResolvedValue([{ id: '1' }, { id: '2' }]);
+
+      const result = await EventRepository.findAll({
+        near: { latitude: 29.76, longitude: -95.37 },
+        radius: 10,
+        sort: 'distance'
+      });
+
+      expect(result.total).toBe(2);
+      expect(result.events).toEqual([{ id: '2', distance: 1.2 }, { id: '1', distance: 8.8 }]);
+
+      const { text, values } = sqlOf();
+      expect(text).toContain('asin(');
+      expect(text).toContain('ORDER BY distance ASC NULLS LAST');
+      expect(text).toContain('e.latitude BETWEEN ? AND ?');
+      expect(text).toContain('e.longitude BETWEEN ? AND ?');
+      expect(values).toEqual(expect.arrayContaining([29.76, -95.37, 10]));
+      expect(prisma.event.count).not.toHaveBeenCalled();
+    });
+
+    it('should prefilter with a box around the radius', () => {
+      const [latitudeBand, longitudeBand] = EventRepository.radiusConditions({ latitude: 60, longitude: 10 }, 69.05);
+
+      expect(latitudeBand.values).toEqual([59, 61]);
+      // A degree of longitude is half as long at 60° latitude
+      expect(longitudeBand.values[0]).toBeCloseTo(8);
+      expect(longitudeBand.values[1]).toBeCloseTo(12);
+    });
+
+    it('should only use the latitude band where the box would wrap', () => {
+      const conditions = EventRepository.radiusConditions({ latitude: 10, longitude: 179.9 }, 50);
+
+      expect(conditions).toHaveLength(2);
+      expect(conditions[1].sql).toContain('asin(');
+    });
+
+    it('should sort search results by distance when asked', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { id: '1', rank: 0.1, distance: 2, total: BigInt(1), title: 'Park', snippet: 'Park' }
+      ]);
+      prisma.event.findMany.mockResolvedValue([{ id: '1' }]);
+
+      const result = await EventRepository.findAll({
+        search: 'park',
+        near: { latitude: 29.76, longitude: -95.37 },
+        sort: 'distance'
+      });
+
+      expect(sqlOf().text).toContain('ORDER BY distance ASC NULLS LAST, rank DESC');
+      expect(result.events[0]).toMatchObject({ id: '1', distance: 2, search: { rank: 0.1 } });
+    });
+  });
+
+  describe('search', () => {
+    const sqlOf = () => {
+      const [query] = prisma.$queryRaw.mock.calls[0];
+      return { text: query.sql, values: query.values };
+    };
+
+    it('should return events in rank order with highlights', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { id: '2', rank: 0.9, total: BigInt(2), title: '<mark>Dog</mark> Walking', snippet: 'Walk <mark>dogs</mark>' },
+        { id: '1', rank: 0.2, total: BigInt(2), title: 'Animal <mark>Shelter</mark>', snippet: 'Help out' }
+      ]);
+      prisma.event.findMany.mockResolvedValue([
+        { id: '1', title: 'Animal Shelter' },
+        { id: '2', title: 'Dog Walking' }
+      ]);
+
+      const result = await EventRepository.search({ search: '  dog shelter  ' }, { page: 1, limit: 5 });
+
+      expect(prisma.event.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: { in: ['2', '1'] } }
+      }));
+      expect(result.total).toBe(2);
+      expect(result.events.map(event => event.id)).toEqual(['2', '1']);
+      expect(result.events[0].search).toEqual({
+        rank: 0.9,
+        title: '<mark>Dog</mark> Walking',
+        snippet: 'Walk <mark>dogs</mark>'
+      });
+      expect(sqlOf().values).toEqual(expect.arrayContaining(['dog shelter', 5, 0]));
+    });
+
+    it('should find candidates through the indexed search vector and trigram indexes', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      await EventRepository.search({ search: 'gardening' });
+
+      const { text } = sqlOf();
+      expect(text).toContain('"searchVector" @@');
+      expect(text).toContain('<% title');
+      expect(text).not.toContain('to_tsvector(\'english\', e.title)');
+      expect(prisma.$executeRaw).toHaveBeenCalledWith(
+        expect.arrayContaining([expect.stringContaining('pg_trgm.word_similarity_threshold')]),
+        '0.4'
+      );
+    });
+
+    it('should combine the search with the other filters and the organization scope', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      await organizationScope.run(
+        { userId: 'user_001', organizationIds: ['org_001', 'org_002'] },
+        () => EventRepository.search(
+          { search: 'cleanup', status: 'published', category: 'environmental', startDate: '2030-06-01' },
+          { page: 3, limit: 10 }
+        )
+      );
+
+      const { text, values } = sqlOf();
+      expect(text).toContain('e."organizationId" IN');
+      expect(text).toContain('e.status::text = ?');
+      expect(text).toContain('e.category = ?');
+      expect(text).toContain('e."startDate" >= ?');
+      expect(values).toEqual(expect.arrayContaining([
+        'org_001', 'org_002', 'PUBLISHED', 'environmental', new Date('2030-06-01'), 10, 20
+      ]));
+      expect(prisma.event.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('for anonymous visitors', () => {
+    const visitorScope = { userId: null, organizationIds: ['org_001'], activeOrganizationId: null };
+
+    it('should only find published events without contact details', async () => {
+      prisma.event.findUnique.mockResolvedValue(null);
+
+      await organizationScope.run(visitorScope, () => EventRepository.findById('event_001'));
+
+      const { where, include } = prisma.event.findUnique.mock.calls[0][0];
+      expect(where).toEqual({
+        id: 'event_001',
+        organizationId: { in: ['org_001'] },
+        status: { in: organizationScope.PUBLIC_EVENT_STATUSES }
+      });
+      expect(include.creator.select).toEqual({ id: true, username: true });
+      expect(include.assignments).toBeUndefined();
+    });
+
+    it('should only list published events whatever status is asked for', async () => {
+      prisma.event.findMany.mockResolvedValue([]);
+      prisma.event.count.mockResolvedValue(0);
+
+      await organizationScope.run(visitorScope, () => EventRepository.findAll({ status: 'draft' }));
+
+      const { where, include } = prisma.event.findMany.mock.calls[0][0];
+      expect(where.status).toBe('DRAFT');
+      expect(where.AND).toContainEqual({ status: { in: organizationScope.PUBLIC_EVENT_STATUSES } });
+      expect(include.creator.select.email).toBeUndefined();
+    });
+
+    it('should only search published events', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      await organizationScope.run(visitorScope, () => EventRepository.search({ search: 'cleanup' }));
+
+      const [query] = prisma.$queryRaw.mock.calls[0];
+      expect(query.sql).toContain('e.status::text IN');
+      expect(query.values).toEqual(expect.arrayContaining(organizationScope.PUBLIC_EVENT_STATUSES));
+    });
   });
 
   describe('findById', () => {
@@ -178,6 +408,40 @@ describe('EventRepository', () => {
     });
   });
 
+  describe('createMany', () => {
+    it('should create every event in one transaction', async () => {
+      prisma.event.create.mockImplementation(async ({ data }) => ({ id: data.title, ...data }));
+
+      const events = await EventRepository.createMany([
+        { title: 'Park cleanup', requiredSkills: [{ skillId: 'skill_1', minLevel: 'beginner' }] },
+        { title: 'Food drive', status: 'published' }
+      ]);
+
+      expect(events.map(event => [event.title, event.status])).toEqual([['Park cleanup', 'DRAFT'], ['Food drive', 'PUBLISHED']]);
+      expect(prisma.event.create.mock.calls[0][0].data.requirements).toEqual({
+        create: [{ skillId: 'skill_1', minLevel: 'BEGINNER', isRequired: true }]
+      });
+    });
+
+    it('should give a full import longer than the default transaction timeout', async () => {
+      prisma.event.create.mockResolvedValue({});
+
+      await EventRepository.createMany(Array.from({ length: 500 }, (_, i) => ({ title: `Event ${i}` })));
+
+      const options = prisma.$transaction.mock.calls[0][1];
+      expect(options.timeout).toBeGreaterThanOrEqual(30 * 1000);
+      expect(options.maxWait).toBeGreaterThan(2000);
+    });
+
+    it('should keep at least the default timeout for a small import', async () => {
+      prisma.event.create.mockResolvedValue({});
+
+      await EventRepository.createMany([{ title: 'Park cleanup' }]);
+
+      expect(prisma.$transaction.mock.calls[0][1].timeout).toBe(5000);
+    });
+  });
+
   describe('update', () => {
     it('should update event successfully', async () => {
       const updateData = { title: 'Updated Title', description: 'Updated Description' };
@@ -214,6 +478,29 @@ describe('EventRepository', () => {
         where: { eventId: '1' }
       });
     });
+
+    it('should not update an event in another organization', async () => {
+      // Prisma finds no record when the organization filter excludes it
+      const notFound = Object.assign(new Error('Record to update not found.'), { code: 'P2025' });
+      prisma.event.update.mockImplementation(async ({ where }) => {
+        if (where.organizationId && !where.organizationId.in.includes('org_002')) {
+          throw notFound;
+        }
+        return { id: '1', organizationId: 'org_002' };
+      });
+
+      await expect(organizationScope.run(
+        { userId: 'admin_001', organizationIds: ['org_001'] },
+        () => EventRepository.update('1', { title: 'Taken Over', requiredSkills: [] })
+      )).rejects.toMatchObject({ code: 'P2025' });
+
+      expect(prisma.event.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: '1', organizationId: { in: ['org_001'] } }
+      }));
+      expect(prisma.eventRequirement.deleteMany).toHaveBeenCalledWith({
+        where: { eventId: '1', event: { organizationId: { in: ['org_001'] } } }
+      });
+    });
   });
 
   describe('delete', () => {
@@ -229,6 +516,19 @@ describe('EventRepository', () => {
       });
     });
 
+    it('should only delete events in the caller\'s organizations', async () => {
+      prisma.event.delete.mockResolvedValue({ id: '1' });
+
+      await organizationScope.run(
+        { userId: 'admin_001', organizationIds: ['org_001'] },
+        () => EventRepository.delete('1')
+      );
+
+      expect(prisma.event.delete).toHaveBeenCalledWith({
+        where: { id: '1', organizationId: { in: ['org_001'] } }
+      });
+    });
+
     it('should handle deletion of non-existent event', async () => {
       prisma.event.delete.mockRejectedValue(new Error('Record not found'));
 
@@ -319,6 +619,200 @@ describe('EventRepository', () => {
     });
   });
 
+  describe('createAssignment', () => {
+    const assignmentData = { eventId: 'event-1', volunteerId: 'user-1', status: 'pending', notes: 'Hi' };
+
+    it('should take a place only while the event is below capacity', async () => {
+      prisma.event.updateMany.mockResolvedValue({ count: 1 });
+      prisma.assignment.findUnique.mockResolvedValue(null);
+      prisma.assignment.create.mockResolvedValue({ id: 'assignment-1' });
+
+      const result = await EventRepository.createAssignment(assignmentData, { maxVolunteers: 10, reserved: 2 });
+
+      expect(result).toEqual({ id: 'assignment-1' });
+      expect(prisma.event.updateMany).toHaveBeenCalledWith({
+        where: { id: 'event-1', maxVolunteers: 10, currentVolunteers: { lt: 8 } },
+        data: { currentVolunteers: { increment: 1 } }
+      });
+      expect(prisma.assignment.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ eventId: 'event-1', volunteerId: 'user-1', status: 'PENDING' })
+      }));
+    });
+
+    it('should return null without creating an assignment when the event is full', async () => {
+      prisma.event.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await EventRepository.createAssignment(assignmentData, { maxVolunteers: 10 });
+
+      expect(result).toBeNull();
+      expect(prisma.assignment.create).not.toHaveBeenCalled();
+    });
+
+    it('should reactivate a cancelled assignment', async () => {
+      prisma.event.updateMany.mockResolvedValue({ count: 1 });
+      prisma.assignment.findUnique
+        .mockResolvedValueOnce({ id: 'assignment-1', status: 'CANCELLED' })
+        .mockResolvedValueOnce({ id: 'assignment-1', status: 'PENDING' });
+      prisma.assignment.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await EventRepository.createAssignment(assignmentData);
+
+      expect(result.status).toBe('PENDING');
+      expect(prisma.event.updateMany).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'event-1' } }));
+      expect(prisma.assignment.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'assignment-1', status: { in: ['CANCELLED', 'DECLINED'] } }
+      }));
+      expect(prisma.assignment.create).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when the volunteer is already active on the event', async () => {
+      prisma.event.updateMany.mockResolvedValue({ count: 1 });
+      prisma.assignment.findUnique.mockResolvedValue({ id: 'assignment-1', status: 'PENDING' });
+      prisma.assignment.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(EventRepository.createAssignment(assignmentData))
+        .rejects.toThrow('Volunteer is already assigned to this event');
+    });
+  });
+
+  describe('updateAssignmentStatus', () => {
+    it('should give the place back when an active assignment is cancelled', async () => {
+      prisma.assignment.findUnique
+        .mockResolvedValueOnce({ id: 'assignment-1', eventId: 'event-1', status: 'CONFIRMED' })
+        .mockResolvedValueOnce({ id: 'assignment-1', eventId: 'event-1', status: 'CANCELLED' });
+      prisma.assignment.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await EventRepository.updateAssignmentStatus('assignment-1', 'cancelled');
+
+      expect(result.status).toBe('CANCELLED');
+      expect(prisma.assignment.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'assignment-1', status: 'CONFIRMED' }
+      }));
+      expect(prisma.event.updateMany).toHaveBeenCalledWith({
+        where: { id: 'event-1', currentVolunteers: { gt: 0 } },
+        data: { currentVolunteers: { decrement: 1 } }
+      });
+    });
+
+    it('should not give a place back twice', async () => {
+      prisma.assignment.findUnique.mockResolvedValueOnce({ id: 'assignment-1', eventId: 'event-1', status: 'CANCELLED' });
+      prisma.assignment.updateMany.mockResolvedValue({ count: 1 });
+
+      await EventRepository.updateAssignmentStatus('assignment-1', 'declined');
+
+      expect(prisma.event.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to reinstate an assignment on a full event', async () => {
+      prisma.assignment.findUnique.mockResolvedValueOnce({ id: 'assignment-1', eventId: 'event-1', status: 'CANCELLED' });
+      prisma.assignment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.event.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(EventRepository.updateAssignmentStatus('assignment-1', 'pending'))
+        .rejects.toThrow('Event is at capacity');
+      expect(prisma.event.updateMany).toHaveBeenCalledWith({
+        where: { id: 'event-1', currentVolunteers: { lt: 'Event.maxVolunteers' } },
+        data: { currentVolunteers: { increment: 1 } }
+      });
+    });
+
+    it('should fail when another request changed the assignment first', async () => {
+      prisma.assignment.findUnique.mockResolvedValueOnce({ id: 'assignment-1', eventId: 'event-1', status: 'PENDING' });
+      prisma.assignment.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(EventRepository.updateAssignmentStatus('assignment-1', 'cancelled'))
+        .rejects.toThrow('Assignment was changed by another request');
+      expect(prisma.event.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return null for a missing assignment', async () => {
+      prisma.assignment.findUnique.mockResolvedValueOnce(null);
+
+      const result = await EventRepository.updateAssignmentStatus('missing', 'confirmed');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('deleteAssignment', () => {
+    it('should only give a place back for an active assignment', async () => {
+      prisma.assignment.findUnique.mockResolvedValueOnce({ id: 'assignment-1', eventId: 'event-1', status: 'DECLINED' });
+      prisma.assignment.delete.mockResolvedValue({ id: 'assignment-1' });
+
+      await EventRepository.deleteAssignment('assignment-1');
+
+      expect(prisma.assignment.delete).toHaveBeenCalledWith({ where: { id: 'assignment-1' } });
+      expect(prisma.event.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recountVolunteers', () => {
+    it('should set drifted counts from active assignments', async () => {
+      prisma.event.findMany.mockResolvedValue([
+        { id: 'event-1', title: 'Food Drive' },
+        { id: 'event-2', title: 'Beach Cleanup' }
+      ]);
+      prisma.event.update
+        .mockResolvedValueOnce({ currentVolunteers: 7 })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ currentVolunteers: 3 });
+      prisma.assignment.count
+        .mockResolvedValueOnce(5)
+        .mockResolvedValueOnce(3);
+
+      const result = await EventRepository.recountVolunteers();
+
+      expect(result).toEqual({
+        checked: 2,
+        corrections: [{ id: 'event-1', title: 'Food Drive', previous: 7, current: 5 }]
+      });
+      expect(prisma.assignment.count).toHaveBeenCalledWith({
+        where: { eventId: 'event-1', status: { notIn: ['CANCELLED', 'DECLINED'] } }
+      });
+      expect(prisma.event.update).toHaveBeenCalledWith({
+        where: { id: 'event-1' },
+        data: { currentVolunteers: 5 }
+      });
+      expect(prisma.event.update).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('cancelEvent', () => {
+    it('should cancel the event with its active assignments', async () => {
+      const assignments = [{ id: 'assign-1', volunteer: { id: 'user-1' } }];
+      prisma.event.updateMany.mockResolvedValue({ count: 1 });
+      prisma.assignment.findMany.mockResolvedValue(assignments);
+      prisma.event.findUnique.mockResolvedValue({ id: 'event-1', status: 'CANCELLED' });
+
+      const result = await EventRepository.cancelEvent('event-1', 'Storm warning');
+
+      expect(result).toEqual({ event: { id: 'event-1', status: 'CANCELLED' }, assignments });
+      expect(prisma.event.updateMany).toHaveBeenCalledWith({
+        where: { id: 'event-1', status: { notIn: ['CANCELLED', 'COMPLETED'] } },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: expect.any(Date),
+          cancellationReason: 'Storm warning',
+          currentVolunteers: 0
+        }
+      });
+      expect(prisma.assignment.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['assign-1'] } },
+        data: { status: 'CANCELLED' }
+      });
+      expect(prisma.waitlistEntry.deleteMany).toHaveBeenCalledWith({ where: { eventId: 'event-1' } });
+    });
+
+    it('should return null when the event was already cancelled', async () => {
+      prisma.event.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await EventRepository.cancelEvent('event-1', 'Storm warning');
+
+      expect(result).toBeNull();
+      expect(prisma.assignment.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
   describe('findByVolunteer', () => {
     it('should find events by volunteer', async () => {
       const mockAssignments = [
@@ -0,0 +1,67 @@
+const JobLockRepository = require('../../src/database/repositories/jobLockRepository');
+const prisma = require('../../src/database/prisma');
+
+jest.mock('../../src/database/prisma', () => ({
+  jobLock: {
+    createMany: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+describe('JobLockRepository', () => {
+  const lockedUntil = new Date(Date.now() + 60 * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('acquire', () => {
+    it('should create the lock on a job\'s first run', async () => {
+      prisma.jobLock.createMany.mockResolvedValue({ count: 1 });
+
+      const acquired = await JobLockRepository.acquire('event-lifecycle', 'host:1', lockedUntil);
+
+      expect(acquired).toBe(true);
+      expect(prisma.jobLock.createMany).toHaveBeenCalledWith({
+        data: [{ name: 'event-lifecycle', lockedBy: 'host:1', lockedUntil }],
+        skipDuplicates: true
+      });
+      expect(prisma.jobLock.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should take over a lock that has lapsed', async () => {
+      prisma.jobLock.createMany.mockResolvedValue({ count: 0 });
+      prisma.jobLock.updateMany.mockResolvedValue({ count: 1 });
+
+      const acquired = await JobLockRepository.acquire('event-lifecycle', 'host:1', lockedUntil);
+
+      expect(acquired).toBe(true);
+      expect(prisma.jobLock.updateMany).toHaveBeenCalledWith({
+        where: { name: 'event-lifecycle', lockedUntil: { lte: expect.any(Date) } },
+        data: { lockedBy: 'host:1', lockedUntil }
+      });
+    });
+
+    it('should not take a lock another instance still holds', async () => {
+      prisma.jobLock.createMany.mockResolvedValue({ count: 0 });
+      prisma.jobLock.updateMany.mockResolvedValue({ count: 0 });
+
+      const acquired = await JobLockRepository.acquire('event-lifecycle', 'host:2', lockedUntil);
+
+      expect(acquired).toBe(false);
+    });
+  });
+
+  describe('release', () => {
+    it('should only release a lock held by the caller', async () => {
+      prisma.jobLock.updateMany.mockResolvedValue({ count: 1 });
+
+      await JobLockRepository.release('event-lifecycle', 'host:1', lockedUntil);
+
+      expect(prisma.jobLock.updateMany).toHaveBeenCalledWith({
+        where: { name: 'event-lifecycle', lockedBy: 'host:1' },
+        data: { lockedUntil, lastRunAt: expect.any(Date) }
+      });
+    });
+  });
+});
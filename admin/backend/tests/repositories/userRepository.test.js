@@ -134,9 +134,7 @@ describe('UserRepository', () => {
           email: userData.email,
           password: userData.password,
           role: userData.role,
-          verified: false,
-          oauthProvider: null,
-          oauthId: null
+          verified: false
         }),
         include: { profile: true }
       });
@@ -311,8 +309,7 @@ describe('UserRepository', () => {
     it('should verify user email', async () => {
       const mockUser = {
         id: 'user-123',
-        verified: true,
-        verificationToken: null
+        verified: true
       };
 
       prisma.user.update.mockResolvedValue(mockUser);
@@ -323,8 +320,7 @@ describe('UserRepository', () => {
       expect(prisma.user.update).toHaveBeenCalledWith({
         where: { id: 'user-123' },
         data: {
-          verified: true,
-          verificationToken: null
+          verified: true
         }
       });
     });
@@ -0,0 +1,106 @@
+const WaitlistRepository = require('../../src/database/repositories/waitlistRepository');
+const prisma = require('../../src/database/prisma');
+
+jest.mock('../../src/database/prisma', () => ({
+  $transaction: jest.fn(),
+  $queryRaw: jest.fn(),
+  waitlistEntry: {
+    aggregate: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+describe('WaitlistRepository', () => {
+  const offerExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  const entry = (id, position) => ({ id, eventId: 'event_001', position, status: 'WAITING' });
+
+  // SQL of the nth raw query, to check the event row was locked
+  const rawSql = (call = 0) => prisma.$queryRaw.mock.calls[call][0].join('?');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$transaction.mockImplementation(async (fn) => fn(prisma));
+    prisma.$queryRaw.mockResolvedValue([{ id: 'event_001', maxVolunteers: 10, currentVolunteers: 8 }]);
+  });
+
+  describe('offerOpenPlaces', () => {
+    it('should offer the open places to the front of the line with the event locked', async () => {
+      prisma.waitlistEntry.count.mockResolvedValue(0);
+      prisma.waitlistEntry.findMany.mockResolvedValue([entry('wait_1', 1), entry('wait_2', 2)]);
+      prisma.waitlistEntry.updateMany.mockResolvedValue({ count: 1 });
+
+      const offered = await WaitlistRepository.offerOpenPlaces('event_001', offerExpiresAt);
+
+      expect(rawSql()).toContain('FOR UPDATE');
+      expect(prisma.waitlistEntry.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { eventId: 'event_001', status: 'WAITING' },
+        take: 2
+      }));
+      expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { id: 'wait_1', status: 'WAITING' },
+        data: { status: 'OFFERED', offeredAt: expect.any(Date), offerExpiresAt }
+      });
+      expect(offered.map(offer => [offer.id, offer.status])).toEqual([['wait_1', 'OFFERED'], ['wait_2', 'OFFERED']]);
+    });
+
+    it('should count places held by unexpired offers as taken', async () => {
+      prisma.waitlistEntry.count.mockResolvedValue(2);
+
+      const offered = await WaitlistRepository.offerOpenPlaces('event_001', offerExpiresAt);
+
+      expect(offered).toEqual([]);
+      expect(prisma.waitlistEntry.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should skip an entry that stopped waiting in the meantime', async () => {
+      prisma.waitlistEntry.count.mockResolvedValue(1);
+      prisma.waitlistEntry.findMany.mockResolvedValue([entry('wait_1', 1)]);
+      prisma.waitlistEntry.updateMany.mockResolvedValue({ count: 0 });
+
+      const offered = await WaitlistRepository.offerOpenPlaces('event_001', offerExpiresAt);
+
+      expect(offered).toEqual([]);
+    });
+
+    it('should offer nothing for an event that no longer exists', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      await expect(WaitlistRepository.offerOpenPlaces('event_001', offerExpiresAt)).resolves.toEqual([]);
+      expect(prisma.waitlistEntry.count).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('add', () => {
+    it('should lock the event before taking the next position', async () => {
+      prisma.waitlistEntry.aggregate.mockResolvedValue({ _max: { position: 3 } });
+      prisma.waitlistEntry.create.mockResolvedValue(entry('wait_4', 4));
+
+      await WaitlistRepository.add('event_001', 'user_004');
+
+      expect(rawSql()).toContain('FOR UPDATE');
+      expect(prisma.$queryRaw.mock.invocationCallOrder[0])
+        .toBeLessThan(prisma.waitlistEntry.aggregate.mock.invocationCallOrder[0]);
+      expect(prisma.waitlistEntry.create).toHaveBeenCalledWith({
+        data: { eventId: 'event_001', volunteerId: 'user_004', notes: null, position: 4 }
+      });
+    });
+  });
+
+  describe('remove', () => {
+    it('should lock the event before closing the gap', async () => {
+      await WaitlistRepository.remove(entry('wait_2', 2));
+
+      expect(rawSql()).toContain('FOR UPDATE');
+      expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { eventId: 'event_001', position: { gt: 2 } },
+        data: { position: { decrement: 1 } }
+      });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the API route table
+ * Uses the production mount order so middleware on parent paths runs as it
+ * does in the server
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { mountRoutes } = require('../../src/routes');
+const personalAccessTokenRepository = require('../../src/database/repositories/personalAccessTokenRepository');
+const organizationRepository = require('../../src/database/repositories/organizationRepository');
+const reportingService = require('../../src/services/reportingService');
+
+// Every database call goes through the mocked repositories and services
+jest.mock('../../src/database/prisma', () => ({}));
+jest.mock('../../src/database/repositories/personalAccessTokenRepository');
+jest.mock('../../src/database/repositories/organizationRepository');
+jest.mock('../../src/services/reportingService');
+
+const app = express();
+app.use(express.json());
+mountRoutes(app);
+
+const tokenWithScopes = (scopes) => ({
+  id: 'pat_001',
+  scopes,
+  revokedAt: null,
+  expiresAt: null,
+  user: {
+    id: 'admin_001',
+    email: 'admin@example.com',
+    username: 'admin',
+    role: 'ADMIN',
+    verified: true,
+    twoFactorEnabled: true
+  }
+});
+
+describe('API routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    personalAccessTokenRepository.touch.mockResolvedValue();
+    organizationRepository.findMembershipsByUser.mockResolvedValue([
+      { organizationId: 'org_001', organization: { id: 'org_001', name: 'Food Bank' } }
+    ]);
+    reportingService.getVolunteerReportData.mockResolvedValue([{ volunteer: 'Jane' }]);
+  });
+
+  describe('access tokens on reporting', () => {
+    it('should accept a token with the reports:read scope', async () => {
+      personalAccessTokenRepository.findByHash.mockResolvedValue(tokenWithScopes(['reports:read']));
+
+      const response = await request(app)
+        .get('/api/admin/reporting/volunteers')
+        .set('Authorization', 'Bearer jsp_reporting_token');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ volunteer: 'Jane' }]);
+    });
+
+    it('should refuse a token without the reports:read scope', async () => {
+      personalAccessTokenRepository.findByHash.mockResolvedValue(tokenWithScopes(['events:read']));
+
+      const response = await request(app)
+        .get('/api/admin/reporting/volunteers')
+        .set('Authorization', 'Bearer jsp_events_token');
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('INSUFFICIENT_SCOPE');
+      expect(reportingService.getVolunteerReportData).not.toHaveBeenCalled();
+    });
+
+    it('should not let the reports scope reach the rest of the admin API', async () => {
+      personalAccessTokenRepository.findByHash.mockResolvedValue(tokenWithScopes(['reports:read']));
+
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', 'Bearer jsp_reporting_token');
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('INSUFFICIENT_SCOPE');
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit Tests for Account Service
+ */
+
+const bcrypt = require('bcryptjs');
+const accountService = require('../../src/services/accountService');
+const accountRepository = require('../../src/database/repositories/accountRepository');
+const userRepository = require('../../src/database/repositories/userRepository');
+const refreshTokenRepository = require('../../src/database/repositories/refreshTokenRepository');
+const sessionRepository = require('../../src/database/repositories/sessionRepository');
+const auditLogRepository = require('../../src/database/repositories/auditLogRepository');
+const waitlistService = require('../../src/services/waitlistService');
+const prisma = require('../../src/database/prisma');
+
+jest.mock('bcryptjs');
+jest.mock('../../src/database/repositories/accountRepository');
+jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/refreshTokenRepository');
+jest.mock('../../src/database/repositories/sessionRepository');
+jest.mock('../../src/database/repositories/auditLogRepository');
+jest.mock('../../src/services/waitlistService');
+jest.mock('../../src/database/prisma', () => ({ $transaction: jest.fn() }));
+
+describe('AccountService', () => {
+  const volunteer = {
+    id: 'user_001',
+    username: 'volunteer1',
+    email: 'volunteer1@example.com',
+    password: '$2a$12$hash',
+    role: 'VOLUNTEER',
+    deletionScheduledFor: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+    auditLogRepository.create.mockResolvedValue({});
+  });
+
+  describe('exportData', () => {
+    it('should include every area of the user\'s data without credentials', async () => {
+      accountRepository.findForExport.mockResolvedValue({
+        ...volunteer,
+        verified: true,
+        twoFactorEnabled: false,
+        twoFactorSecret: 'encrypted',
+        createdAt: new Date('2025-01-01'),
+        memberships: [{ createdAt: new Date(), organization: { id: 'org_a', name: 'Org A' } }],
+        identities: [{ provider: 'github', email: 'v1@example.com', createdAt: new Date() }],
+        profile: {
+          firstName: 'Jane',
+          lastName: 'Doe',
+          city: 'Houston',
+          preferredDays: ['saturday'],
+          skills: [{ proficiency: 'ADVANCED', yearsOfExp: 3, certified: true, skill: { name: 'First Aid', category: 'Medical' } }],
+          availability: [{ dayOfWeek: 'saturday', isRecurring: true, startTime: '09:00', endTime: '12:00' }]
+        },
+        assignments: [{ status: 'CONFIRMED', event: { id: 'event_001', title: 'Food Drive' }, assignedAt: new Date() }],
+        history: [{ status: 'COMPLETED', attendance: 'PRESENT', hoursWorked: 4, adminNotes: 'internal', event: { id: 'event_001' } }],
+        notifications: [{ type: 'ASSIGNMENT', priority: 'HIGH', title: 'Assigned', message: 'You are in', read: false }]
+      });
+
+      const data = await accountService.exportData('user_001');
+
+      expect(data.account.email).toBe('volunteer1@example.com');
+      expect(data.profile.firstName).toBe('Jane');
+      expect(data.skills).toEqual([expect.objectContaining({ name: 'First Aid', proficiency: 'advanced' })]);
+      expect(data.availability).toHaveLength(1);
+      expect(data.assignments[0].status).toBe('confirmed');
+      expect(data.history[0].hoursWorked).toBe(4);
+      expect(data.history[0]).not.toHaveProperty('adminNotes');
+      expect(data.notifications[0].type).toBe('assignment');
+      expect(data.linkedAccounts[0].provider).toBe('github');
+
+      const serialized = JSON.stringify(data);
+      expect(serialized).not.toContain('$2a$12$hash');
+      expect(serialized).not.toContain('encrypted');
+    });
+
+    it('should reject unknown users', async () => {
+      accountRepository.findForExport.mockResolvedValue(null);
+
+      await expect(accountService.exportData('missing')).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('requestDeletion', () => {
+    it('should schedule deletion after the grace period and sign out everywhere', async () => {
+      userRepository.findById.mockResolvedValue(volunteer);
+      bcrypt.compare.mockResolvedValue(true);
+
+      const before = Date.now();
+      const result = await accountService.requestDeletion('user_001', { password: 'Password123!' });
+
+      const [, scheduledFor] = accountRepository.scheduleDeletion.mock.calls[0];
+      expect(scheduledFor.getTime() - before).toBeGreaterThanOrEqual(14 * 24 * 60 * 60 * 1000);
+      expect(result.data.deletionScheduledFor).toBe(scheduledFor);
+      expect(refreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
+      expect(sessionRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
+      expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'account.deletion_requested',
+        targetUserId: 'user_001'
+      }));
+    });
+
+    it('should honour a configured grace period', async () => {
+      process.env.ACCOUNT_DELETION_GRACE_DAYS = '0';
+      userRepository.findById.mockResolvedValue(volunteer);
+      bcrypt.compare.mockResolvedValue(true);
+
+      await accountService.requestDeletion('user_001', { password: 'Password123!' });
+
+      const [, scheduledFor] = accountRepository.scheduleDeletion.mock.calls[0];
+      expect(scheduledFor.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should require the password when the account has one', async () => {
+      userRepository.findById.mockResolvedValue(volunteer);
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(accountService.requestDeletion('user_001', { password: 'wrong' }))
+        .rejects.toThrow('Password is incorrect');
+      expect(accountRepository.scheduleDeletion).not.toHaveBeenCalled();
+    });
+
+    it('should not need a password for accounts that only use OAuth', async () => {
+      userRepository.findById.mockResolvedValue({ ...volunteer, password: null });
+
+      await accountService.requestDeletion('user_001', {});
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(accountRepository.scheduleDeletion).toHaveBeenCalled();
+    });
+
+    it('should refuse admin accounts', async () => {
+      userRepository.findById.mockResolvedValue({ ...volunteer, role: 'ADMIN' });
+
+      await expect(accountService.requestDeletion('user_001', { password: 'Password123!' }))
+        .rejects.toThrow('Admin accounts must be removed by another admin');
+    });
+  });
+
+  describe('cancelDeletion', () => {
+    it('should clear a scheduled deletion', async () => {
+      userRepository.findById.mockResolvedValue({ ...volunteer, deletionScheduledFor: new Date() });
+
+      await accountService.cancelDeletion('user_001');
+
+      expect(accountRepository.cancelDeletion).toHaveBeenCalledWith('user_001');
+    });
+
+    it('should report when nothing is scheduled', async () => {
+      userRepository.findById.mockResolvedValue(volunteer);
+
+      await expect(accountService.cancelDeletion('user_001'))
+        .rejects.toThrow('Account deletion is not scheduled');
+    });
+  });
+
+  describe('anonymizeDueAccounts', () => {
+    it('should anonymize each due account with unique placeholders', async () => {
+      accountRepository.findDueForAnonymization.mockResolvedValue([{ id: 'user-001' }, { id: 'user-002' }]);
+      accountRepository.anonymize.mockResolvedValue({ user: {}, releasedEventIds: [] });
+
+      const count = await accountService.anonymizeDueAccounts();
+
+      expect(count).toBe(2);
+      expect(accountRepository.anonymize).toHaveBeenCalledWith('user-001', {
+        username: 'deleted_user001',
+        email: 'deleted+user-001@deleted.invalid'
+      });
+      expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'account.anonymized',
+        targetUserId: 'user-002'
+      }));
+    });
+
+    it('should carry on past an account that fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      accountRepository.findDueForAnonymization.mockResolvedValue([{ id: 'user-001' }, { id: 'user-002' }]);
+      accountRepository.anonymize
+        .mockRejectedValueOnce(new Error('deadlock'))
+        .mockResolvedValueOnce({ user: {}, releasedEventIds: [] });
+
+      expect(await accountService.anonymizeDueAccounts()).toBe(1);
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should offer the places an account gave up to the waitlists', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      accountRepository.findDueForAnonymization.mockResolvedValue([{ id: 'user-001' }]);
+      accountRepository.anonymize.mockResolvedValue({ user: {}, releasedEventIds: ['event-001', 'event-002'] });
+      waitlistService.promote
+        .mockRejectedValueOnce(new Error('mail server down'))
+        .mockResolvedValueOnce([]);
+
+      expect(await accountService.anonymizeDueAccounts()).toBe(1);
+
+      expect(waitlistService.promote).toHaveBeenCalledWith('event-001');
+      expect(waitlistService.promote).toHaveBeenCalledWith('event-002');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('anonymizing the account row', () => {
+    const realAccountRepository = jest.requireActual('../../src/database/repositories/accountRepository');
+
+    // Transaction client whose models find nothing and accept every write
+    const transactionClient = () => new Proxy({}, {
+      get: (models, name) => (models[name] ??= {
+        findUnique: jest.fn().mockResolvedValue(null),
+        findMany: jest.fn().mockResolvedValue([]),
+        update: jest.fn().mockResolvedValue({}),
+        updateMany: jest.fn().mockResolvedValue({ count: 0 }),
+        delete: jest.fn().mockResolvedValue({}),
+        deleteMany: jest.fn().mockResolvedValue({ count: 0 })
+      })
+    });
+
+    it('should clear the calendar feed token so the old feed URL stops working', async () => {
+      const tx = transactionClient();
+      prisma.$transaction.mockImplementation(async (fn) => fn(tx));
+
+      await realAccountRepository.anonymize('user-001', {
+        username: 'deleted_user001',
+        email: 'deleted+user-001@deleted.invalid'
+      });
+
+      expect(tx.user.update).toHaveBeenCalledWith({
+        where: { id: 'user-001' },
+        data: expect.objectContaining({ calendarTokenHash: null, password: null })
+      });
+    });
+  });
+});
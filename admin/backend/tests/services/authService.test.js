@@ -5,6 +5,12 @@
 
 const authService = require('../../src/services/authService');
 const userRepository = require('../../src/database/repositories/userRepository');
+const passwordResetRepository = require('../../src/database/repositories/passwordResetRepository');
+const refreshTokenRepository = require('../../src/database/repositories/refreshTokenRepository');
+const sessionRepository = require('../../src/database/repositories/sessionRepository');
+const emailService = require('../../src/services/emailService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const loginThrottleService = require('../../src/services/loginThrottleService');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -12,6 +18,12 @@ const jwt = require('jsonwebtoken');
 jest.mock('bcryptjs');
 jest.mock('jsonwebtoken');
 jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/passwordResetRepository');
+jest.mock('../../src/database/repositories/refreshTokenRepository');
+jest.mock('../../src/database/repositories/sessionRepository');
+jest.mock('../../src/services/emailService');
+jest.mock('../../src/services/twoFactorService');
+jest.mock('../../src/services/loginThrottleService');
 
 describe('AuthService', () => {
   beforeEach(() => {
@@ -134,6 +146,33 @@ describe('AuthService', () => {
       await authService.register(validUserData);
       expect(bcrypt.hash).toHaveBeenCalledWith(validUserData.password, 12);
     });
+
+    it('should create unverified users and send a verification link', async () => {
+      userRepository.findByEmail.mockResolvedValue(null);
+      userRepository.findByUsername.mockResolvedValue(null);
+      userRepository.create.mockResolvedValue({
+        id: 'new_user_001',
+        username: 'testuser',
+        email: 'test@example.com',
+        role: 'VOLUNTEER',
+        verified: false,
+        createdAt: new Date()
+      });
+      userRepository.createProfile.mockResolvedValue({ id: 'profile_001', userId: 'new_user_001' });
+      bcrypt.hash.mockResolvedValue('hashedPassword');
+      jwt.sign.mockReturnValue('verification-token');
+
+      const result = await authService.register(validUserData);
+
+      expect(result.data.user.verified).toBe(false);
+      expect(userRepository.create).toHaveBeenCalledWith(expect.objectContaining({ verified: false }));
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 'new_user_001', email: 'test@example.com', type: 'email_verification' },
+        process.env.JWT_SECRET,
+        expect.objectContaining({ audience: 'email-verification' })
+      );
+      expect(emailService.sendVerificationEmail).toHaveBeenCalledWith('test@example.com', 'testuser', 'verification-token');
+    });
   });
 
   describe('loginUser', () => {
@@ -188,6 +227,14 @@ describe('AuthService', () => {
         .rejects.toThrow('Invalid email or password');
     });
 
+    it('should reject password login for accounts that only use OAuth', async () => {
+      userRepository.findByEmail.mockResolvedValue({ ...mockUser, password: null });
+
+      await expect(authService.login(validLoginData))
+        .rejects.toThrow('Invalid email or password');
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
     it('should handle unverified user according to service logic', async () => {
       const unverifiedUser = { ...mockUser, verified: false };
       userRepository.findByEmail.mockResolvedValue(unverifiedUser);
@@ -211,9 +258,127 @@ describe('AuthService', () => {
     });
   });
 
+  describe('login throttling', () => {
+    const mockUser = {
+      id: 'user_002',
+      username: 'johnsmith',
+      email: 'john.smith@email.com',
+      password: 'hashedPassword',
+      role: 'VOLUNTEER',
+      verified: true,
+      failedLoginAttempts: 2
+    };
+
+    it('should record a failure for a wrong password', async () => {
+      userRepository.findByEmail.mockResolvedValue(mockUser);
+      loginThrottleService.beginAttempt.mockResolvedValue(3);
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(authService.login({ email: mockUser.email, password: 'wrong' }))
+        .rejects.toThrow('Invalid email or password');
+      expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(mockUser, 3);
+      expect(loginThrottleService.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a throttled account before checking the password', async () => {
+      userRepository.findByEmail.mockResolvedValue(mockUser);
+      loginThrottleService.beginAttempt.mockRejectedValue(new Error('Too many failed login attempts. Try again in 4 seconds.'));
+
+      await expect(authService.login({ email: mockUser.email, password: 'Volunteer123!' }))
+        .rejects.toThrow('Too many failed login attempts');
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+
+      loginThrottleService.beginAttempt.mockReset();
+    });
+
+    it('should clear failures after a successful login', async () => {
+      userRepository.findByEmail.mockResolvedValue(mockUser);
+      userRepository.getProfile.mockResolvedValue(null);
+      bcrypt.compare.mockResolvedValue(true);
+      jwt.sign.mockReturnValue('mock-jwt-token');
+
+      await authService.login({ email: mockUser.email, password: 'Volunteer123!' });
+
+      expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(mockUser);
+    });
+
+    it('should not clear failures until the two-factor code is verified', async () => {
+      userRepository.findByEmail.mockResolvedValue({ ...mockUser, twoFactorEnabled: true });
+      bcrypt.compare.mockResolvedValue(true);
+      jwt.sign.mockReturnValue('challenge-token');
+
+      await authService.login({ email: mockUser.email, password: 'Volunteer123!' });
+
+      expect(loginThrottleService.recordSuccess).not.toHaveBeenCalled();
+      expect(loginThrottleService.releaseAttempt).toHaveBeenCalledWith({ ...mockUser, twoFactorEnabled: true });
+    });
+  });
+
+  describe('two-factor login', () => {
+    const mockUser = {
+      id: 'admin_001',
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedPassword',
+      role: 'ADMIN',
+      verified: true,
+      twoFactorEnabled: true
+    };
+
+    it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+      userRepository.findByEmail.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(true);
+      jwt.sign.mockReturnValue('challenge-token');
+
+      const result = await authService.login({ email: mockUser.email, password: 'Admin123!' });
+
+      expect(result.data).toEqual({ twoFactorRequired: true, challengeToken: 'challenge-token' });
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 'admin_001', type: 'two_factor' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+    });
+
+    it('should complete login with a valid code', async () => {
+      jwt.verify.mockReturnValue({ userId: 'admin_001', type: 'two_factor' });
+      jwt.sign.mockReturnValue('mock-jwt-token');
+      userRepository.findById.mockResolvedValue(mockUser);
+      userRepository.getProfile.mockResolvedValue(null);
+      twoFactorService.verifyCode.mockResolvedValue(true);
+      twoFactorService.isSetupRequired.mockResolvedValue(false);
+
+      const result = await authService.verifyTwoFactorLogin('challenge-token', '123456');
+
+      expect(result.message).toBe('Login successful');
+      expect(result.data.token).toBe('mock-jwt-token');
+      expect(result.data.user.twoFactorEnabled).toBe(true);
+      expect(twoFactorService.verifyCode).toHaveBeenCalledWith(mockUser, '123456');
+    });
+
+    it('should reject tokens that are not two-factor challenges', async () => {
+      jwt.verify.mockReturnValue({ userId: 'admin_001', type: 'email_verification' });
+
+      await expect(authService.verifyTwoFactorLogin('other-token', '123456'))
+        .rejects.toThrow('Invalid or expired two-factor challenge');
+      expect(twoFactorService.verifyCode).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid code', async () => {
+      jwt.verify.mockReturnValue({ userId: 'admin_001', type: 'two_factor' });
+      userRepository.findById.mockResolvedValue(mockUser);
+      loginThrottleService.beginAttempt.mockResolvedValue(4);
+      twoFactorService.verifyCode.mockResolvedValue(false);
+
+      await expect(authService.verifyTwoFactorLogin('challenge-token', '000000'))
+        .rejects.toThrow('Invalid verification code');
+      expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(mockUser, 4);
+    });
+  });
+
   describe('verifyToken', () => {
     const mockToken = 'valid-jwt-token';
-    const mockDecodedToken = { userId: 'user_002' };
+    const mockDecodedToken = { userId: 'user_002', type: 'access' };
     const mockUser = {
       id: 'user_002',
       username: 'johnsmith',
@@ -241,6 +406,15 @@ describe('AuthService', () => {
         .rejects.toThrow('Invalid or expired token');
     });
 
+    it('should reject tokens that are not access tokens', async () => {
+      jwt.verify.mockReturnValue({ userId: 'user_002', type: 'two_factor' });
+      userRepository.findById.mockResolvedValue(mockUser);
+
+      await expect(authService.verifyToken(mockToken))
+        .rejects.toThrow('Invalid or expired token');
+      expect(userRepository.findById).not.toHaveBeenCalled();
+    });
+
     it('should handle token for non-existent user', async () => {
       jwt.verify.mockReturnValue(mockDecodedToken);
       userRepository.findById.mockResolvedValue(null);
@@ -309,6 +483,124 @@ describe('AuthService', () => {
       expect(result.success).toBe(true);
       expect(result.message).toBe('Logout successful');
     });
+
+    it('should revoke the refresh token family of the session', async () => {
+      refreshTokenRepository.findByHash.mockResolvedValue({ id: 'rt_001', userId: 'user_001', familyId: 'family_001' });
+
+      await authService.logout('user_001', 'refresh-token');
+
+      expect(refreshTokenRepository.findByHash).toHaveBeenCalledWith(authService.hashToken('refresh-token'));
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family_001');
+      expect(sessionRepository.revoke).toHaveBeenCalledWith('family_001');
+    });
+
+    it('should not revoke a family owned by another user', async () => {
+      refreshTokenRepository.findByHash.mockResolvedValue({ id: 'rt_002', userId: 'user_002', familyId: 'family_002' });
+
+      await authService.logout('user_001', 'refresh-token');
+
+      expect(refreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startSession', () => {
+    it('should record the device and tie the tokens to the session', async () => {
+      jwt.sign.mockReturnValue('signed-token');
+      jwt.decode.mockReturnValue({ exp: 1900000000 });
+
+      const result = await authService.startSession('user_001', {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0)',
+        ipAddress: '203.0.113.7'
+      });
+
+      const { familyId } = refreshTokenRepository.create.mock.calls[0][0];
+      expect(result.sessionId).toBe(familyId);
+      expect(sessionRepository.create).toHaveBeenCalledWith({
+        id: familyId,
+        userId: 'user_001',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0)',
+        ipAddress: '203.0.113.7',
+        expiresAt: new Date(1900000000 * 1000)
+      });
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 'user_001', type: 'access', sid: familyId },
+        process.env.JWT_SECRET,
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('refreshAccessToken', () => {
+    const activeRecord = {
+      id: 'rt_001',
+      userId: 'user_001',
+      familyId: 'family_001',
+      usedAt: null,
+      revokedAt: null
+    };
+
+    beforeEach(() => {
+      jwt.verify.mockReturnValue({ userId: 'user_001', familyId: 'family_001', type: 'refresh' });
+      jwt.sign.mockReturnValue('new-token');
+      jwt.decode.mockReturnValue({ exp: Math.floor(Date.now() / 1000) + 3600 });
+    });
+
+    it('should rotate the refresh token within the same family', async () => {
+      refreshTokenRepository.findByHash.mockResolvedValue(activeRecord);
+      refreshTokenRepository.markUsed.mockResolvedValue(true);
+      userRepository.findById.mockResolvedValue({
+        id: 'user_001',
+        username: 'testuser',
+        email: 'test@example.com',
+        role: 'VOLUNTEER'
+      });
+
+      const result = await authService.refreshAccessToken('old-refresh-token');
+
+      expect(result.data.accessToken).toBe('new-token');
+      expect(result.data.refreshToken).toBe('new-token');
+      expect(refreshTokenRepository.markUsed).toHaveBeenCalledWith('rt_001');
+      expect(refreshTokenRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user_001',
+        familyId: 'family_001',
+        tokenHash: authService.hashToken('new-token')
+      }));
+      expect(refreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+      expect(sessionRepository.extend).toHaveBeenCalledWith('family_001', expect.any(Date));
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      refreshTokenRepository.findByHash.mockResolvedValue({ ...activeRecord, usedAt: new Date() });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await expect(authService.refreshAccessToken('old-refresh-token'))
+        .rejects.toThrow('Invalid or expired refresh token');
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family_001');
+      expect(sessionRepository.revoke).toHaveBeenCalledWith('family_001');
+      expect(refreshTokenRepository.create).not.toHaveBeenCalled();
+
+      console.warn.mockRestore();
+    });
+
+    it('should revoke the family when a concurrent request already rotated the token', async () => {
+      refreshTokenRepository.findByHash.mockResolvedValue(activeRecord);
+      refreshTokenRepository.markUsed.mockResolvedValue(false);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await expect(authService.refreshAccessToken('old-refresh-token'))
+        .rejects.toThrow('Invalid or expired refresh token');
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family_001');
+
+      console.warn.mockRestore();
+    });
+
+    it('should reject revoked or unknown tokens', async () => {
+      refreshTokenRepository.findByHash.mockResolvedValue({ ...activeRecord, revokedAt: new Date() });
+
+      await expect(authService.refreshAccessToken('old-refresh-token'))
+        .rejects.toThrow('Invalid or expired refresh token');
+      expect(refreshTokenRepository.markUsed).not.toHaveBeenCalled();
+    });
   });
 
   describe('changePassword', () => {
@@ -336,6 +628,8 @@ describe('AuthService', () => {
       expect(userRepository.update).toHaveBeenCalledWith('user_001', {
         password: 'hashedNewPassword'
       });
+      expect(refreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
+      expect(sessionRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
     });
 
     it('should reject if user not found', async () => {
@@ -358,6 +652,200 @@ describe('AuthService', () => {
     });
   });
 
+  describe('setPassword', () => {
+    it('should set a password on an account without one', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'user_001', password: null });
+      bcrypt.hash.mockResolvedValue('hashedPassword');
+
+      const result = await authService.setPassword('user_001', 'NewPass456!');
+
+      expect(result.success).toBe(true);
+      expect(bcrypt.hash).toHaveBeenCalledWith('NewPass456!', 12);
+      expect(userRepository.updatePassword).toHaveBeenCalledWith('user_001', 'hashedPassword');
+    });
+
+    it('should not replace an existing password', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'user_001', password: 'hashedOldPassword' });
+
+      await expect(authService.setPassword('user_001', 'NewPass456!'))
+        .rejects.toThrow('Account already has a password');
+      expect(userRepository.updatePassword).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestPasswordReset', () => {
+    const mockUser = {
+      id: 'user_001',
+      username: 'testuser',
+      email: 'test@example.com',
+      profile: { firstName: 'Test' }
+    };
+
+    it('should store a hashed token and email the raw token', async () => {
+      userRepository.findByEmail.mockResolvedValue(mockUser);
+      passwordResetRepository.invalidateForUser.mockResolvedValue({ count: 0 });
+      passwordResetRepository.create.mockResolvedValue({ id: 'reset_001' });
+      emailService.sendPasswordResetEmail.mockResolvedValue({ success: true });
+
+      const result = await authService.requestPasswordReset('Test@Example.com');
+
+      expect(result.success).toBe(true);
+      expect(userRepository.findByEmail).toHaveBeenCalledWith('test@example.com');
+      expect(passwordResetRepository.invalidateForUser).toHaveBeenCalledWith('user_001');
+
+      const rawToken = emailService.sendPasswordResetEmail.mock.calls[0][2];
+      const stored = passwordResetRepository.create.mock.calls[0][0];
+      expect(rawToken).toMatch(/^[a-f0-9]{64}$/);
+      expect(stored.tokenHash).toBe(authService.hashToken(rawToken));
+      expect(stored.tokenHash).not.toBe(rawToken);
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(emailService.sendPasswordResetEmail).toHaveBeenCalledWith('test@example.com', 'Test', rawToken);
+    });
+
+    it('should return the same response for unknown emails', async () => {
+      userRepository.findByEmail.mockResolvedValue(null);
+
+      const result = await authService.requestPasswordReset('nobody@example.com');
+
+      expect(result.success).toBe(true);
+      expect(passwordResetRepository.create).not.toHaveBeenCalled();
+      expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not fail if the reset email cannot be sent', async () => {
+      userRepository.findByEmail.mockResolvedValue(mockUser);
+      passwordResetRepository.create.mockResolvedValue({ id: 'reset_001' });
+      emailService.sendPasswordResetEmail.mockRejectedValue(new Error('SMTP down'));
+
+      const result = await authService.requestPasswordReset('test@example.com');
+
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('resetPassword', () => {
+    const rawToken = 'a'.repeat(64);
+    const tokenRecord = { id: 'reset_001', userId: 'user_001' };
+
+    it('should reset the password and consume the token', async () => {
+      passwordResetRepository.findValidByHash.mockResolvedValue(tokenRecord);
+      passwordResetRepository.markUsed.mockResolvedValue(true);
+      bcrypt.hash.mockResolvedValue('hashedNewPassword');
+
+      const result = await authService.resetPassword(rawToken, 'NewPass456!');
+
+      expect(result.success).toBe(true);
+      expect(passwordResetRepository.findValidByHash).toHaveBeenCalledWith(authService.hashToken(rawToken));
+      expect(passwordResetRepository.markUsed).toHaveBeenCalledWith('reset_001');
+      expect(userRepository.updatePassword).toHaveBeenCalledWith('user_001', 'hashedNewPassword');
+      expect(passwordResetRepository.invalidateForUser).toHaveBeenCalledWith('user_001');
+      expect(refreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
+      expect(sessionRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
+      expect(userRepository.resetLoginFailures).toHaveBeenCalledWith('user_001');
+    });
+
+    it('should reject unknown or expired tokens', async () => {
+      passwordResetRepository.findValidByHash.mockResolvedValue(null);
+
+      await expect(authService.resetPassword(rawToken, 'NewPass456!'))
+        .rejects.toThrow('Invalid or expired reset token');
+      expect(userRepository.updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token that was already claimed', async () => {
+      passwordResetRepository.findValidByHash.mockResolvedValue(tokenRecord);
+      passwordResetRepository.markUsed.mockResolvedValue(false);
+
+      await expect(authService.resetPassword(rawToken, 'NewPass456!'))
+        .rejects.toThrow('Invalid or expired reset token');
+      expect(userRepository.updatePassword).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyEmail', () => {
+    const mockUser = {
+      id: 'user_001',
+      email: 'test@example.com',
+      verified: false
+    };
+
+    it('should mark the user as verified', async () => {
+      jwt.verify.mockReturnValue({ userId: 'user_001', email: 'test@example.com', type: 'email_verification' });
+      userRepository.findById.mockResolvedValue(mockUser);
+
+      const result = await authService.verifyEmail('verification-token');
+
+      expect(result.success).toBe(true);
+      expect(userRepository.verifyEmail).toHaveBeenCalledWith('user_001');
+      expect(jwt.verify).toHaveBeenCalledWith(
+        'verification-token',
+        process.env.JWT_SECRET,
+        { audience: 'email-verification' }
+      );
+    });
+
+    it('should succeed without updating an already verified user', async () => {
+      jwt.verify.mockReturnValue({ userId: 'user_001', email: 'test@example.com', type: 'email_verification' });
+      userRepository.findById.mockResolvedValue({ ...mockUser, verified: true });
+
+      const result = await authService.verifyEmail('verification-token');
+
+      expect(result.success).toBe(true);
+      expect(userRepository.verifyEmail).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens of another type', async () => {
+      jwt.verify.mockReturnValue({ userId: 'user_001', type: 'access' });
+
+      await expect(authService.verifyEmail('access-token'))
+        .rejects.toThrow('Invalid or expired verification token');
+    });
+
+    it('should reject tokens issued for a previous email address', async () => {
+      jwt.verify.mockReturnValue({ userId: 'user_001', email: 'old@example.com', type: 'email_verification' });
+      userRepository.findById.mockResolvedValue(mockUser);
+
+      await expect(authService.verifyEmail('verification-token'))
+        .rejects.toThrow('Invalid or expired verification token');
+      expect(userRepository.verifyEmail).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired tokens', async () => {
+      jwt.verify.mockImplementation(() => {
+        throw new Error('jwt expired');
+      });
+
+      await expect(authService.verifyEmail('expired-token'))
+        .rejects.toThrow('Invalid or expired verification token');
+    });
+  });
+
+  describe('resendVerificationEmail', () => {
+    it('should send a new verification link', async () => {
+      userRepository.findById.mockResolvedValue({
+        id: 'user_001',
+        username: 'testuser',
+        email: 'test@example.com',
+        verified: false,
+        profile: { firstName: 'Test' }
+      });
+      jwt.sign.mockReturnValue('verification-token');
+
+      const result = await authService.resendVerificationEmail('user_001');
+
+      expect(result.success).toBe(true);
+      expect(emailService.sendVerificationEmail).toHaveBeenCalledWith('test@example.com', 'Test', 'verification-token');
+    });
+
+    it('should reject users who are already verified', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'user_001', email: 'test@example.com', verified: true });
+
+      await expect(authService.resendVerificationEmail('user_001'))
+        .rejects.toThrow('Email is already verified');
+      expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+    });
+  });
+
   describe('validateRegistrationData', () => {
     it('should return no errors for valid data', () => {
       const validData = {
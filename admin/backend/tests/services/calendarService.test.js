@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for Calendar Service
+ */
+
+const calendarService = require('../../src/services/calendarService');
+const eventRepository = require('../../src/database/repositories/eventRepository');
+const userRepository = require('../../src/database/repositories/userRepository');
+
+jest.mock('../../src/database/repositories/eventRepository');
+jest.mock('../../src/database/repositories/userRepository');
+
+describe('CalendarService', () => {
+  const volunteer = { id: 'user_001', role: 'volunteer' };
+
+  const mockEvent = {
+    id: 'event_001',
+    title: 'Beach Cleanup',
+    description: 'Pick up litter along the shoreline',
+    category: 'environmental',
+    status: 'PUBLISHED',
+    startDate: new Date('2030-06-01T09:00:00.000Z'),
+    endDate: new Date('2030-06-01T12:00:00.000Z'),
+    address: '1 Ocean Drive',
+    city: 'Galveston',
+    state: 'TX',
+    zipCode: '77550',
+    currentVolunteers: 8,
+    maxVolunteers: 25,
+    updatedAt: new Date('2030-05-01T00:00:00.000Z')
+  };
+
+  const mockAssignment = {
+    id: 'assignment_001',
+    status: 'CONFIRMED',
+    updatedAt: new Date('2030-05-02T00:00:00.000Z'),
+    event: mockEvent,
+    shiftSignups: []
+  };
+
+  const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventRepository.getCalendarAssignments.mockResolvedValue([mockAssignment]);
+    eventRepository.findForCalendar.mockResolvedValue([{ ...mockEvent, shifts: [] }]);
+  });
+
+  describe('regenerateToken', () => {
+    it('should store only the hash of a new token', async () => {
+      const result = await calendarService.regenerateToken(volunteer);
+
+      expect(result.data.token).toMatch(/^cal_/);
+      expect(userRepository.setCalendarTokenHash).toHaveBeenCalledWith(
+        'user_001',
+        calendarService.hashToken(result.data.token)
+      );
+      expect(result.data.feedUrl).toBe(`http://localhost:3001/api/calendar/${result.data.token}.ics`);
+      expect(result.data.eventFeedUrl).toBeUndefined();
+    });
+
+    it('should issue a different token each time', async () => {
+      const first = await calendarService.regenerateToken(volunteer);
+      const second = await calendarService.regenerateToken(volunteer);
+
+      expect(first.data.token).not.toBe(second.data.token);
+    });
+
+    it('should include the event feed URL for coordinators', async () => {
+      const result = await calendarService.regenerateToken({ id: 'coord_001', role: 'coordinator' });
+
+      expect(result.data.eventFeedUrl).toBe(`http://localhost:3001/api/calendar/${result.data.token}/events.ics`);
+    });
+  });
+
+  describe('verify', () => {
+    it('should find the user by token hash', async () => {
+      userRepository.findByCalendarTokenHash.mockResolvedValue(volunteer);
+
+      const user = await calendarService.verify('cal_secret');
+
+      expect(user).toBe(volunteer);
+      expect(userRepository.findByCalendarTokenHash).toHaveBeenCalledWith(calendarService.hashToken('cal_secret'));
+    });
+
+    it('should ignore tokens that are not calendar tokens', async () => {
+      expect(await calendarService.verify('jsp_secret')).toBeNull();
+      expect(await calendarService.verify(undefined)).toBeNull();
+      expect(userRepository.findByCalendarTokenHash).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPersonalFeed', () => {
+    it('should list assigned events with location, description and status', async () => {
+      const calendar = unfold(await calendarService.getPersonalFeed(volunteer));
+
+      expect(eventRepository.getCalendarAssignments).toHaveBeenCalledWith('user_001', expect.any(Date));
+      expect(calendar).toContain('UID:assignment-assignment_001@jacs-shiftpilot');
+      expect(calendar).toContain('SUMMARY:Beach Cleanup\r\n');
+      expect(calendar).toContain('LOCATION:1 Ocean Drive\\, Galveston\\, TX 77550');
+      expect(calendar).toContain('DESCRIPTION:Pick up litter along the shoreline\\n\\nStatus: published\\nYour assignment: confirmed');
+      expect(calendar).toContain('STATUS:CONFIRMED');
+    });
+
+    it('should show pending assignments as tentative', async () => {
+      eventRepository.getCalendarAssignments.mockResolvedValue([{ ...mockAssignment, status: 'PENDING' }]);
+
+      const calendar = await calendarService.getPersonalFeed(volunteer);
+
+      expect(calendar).toContain('STATUS:TENTATIVE');
+    });
+
+    it('should show cancelled events as cancelled with the reason', async () => {
+      eventRepository.getCalendarAssignments.mockResolvedValue([{
+        ...mockAssignment,
+        status: 'CANCELLED',
+        event: { ...mockEvent, status: 'CANCELLED', cancellationReason: 'Storm warning' }
+      }]);
+
+      const calendar = unfold(await calendarService.getPersonalFeed(volunteer));
+
+      expect(calendar).toContain('SUMMARY:Cancelled: Beach Cleanup');
+      expect(calendar).toContain('Cancellation reason: Storm warning');
+      expect(calendar).toContain('STATUS:CANCELLED');
+    });
+
+    it('should list each shift the volunteer signed up for', async () => {
+      eventRepository.getCalendarAssignments.mockResolvedValue([{
+        ...mockAssignment,
+        shiftSignups: [{
+          id: 'signup_001',
+          shift: {
+            name: 'Morning',
+            startDate: new Date('2030-06-01T09:00:00.000Z'),
+            endDate: new Date('2030-06-01T10:30:00.000Z')
+          },
+          position: { name: 'Driver' }
+        }]
+      }]);
+
+      const calendar = unfold(await calendarService.getPersonalFeed(volunteer));
+
+      expect(calendar).toContain('UID:shift-signup-signup_001@jacs-shiftpilot');
+      expect(calendar).toContain('SUMMARY:Beach Cleanup (Morning\\, Driver)');
+      expect(calendar).toContain('DTEND:20300601T103000Z');
+      expect(calendar).not.toContain('UID:assignment-');
+    });
+  });
+
+  describe('getEventFeed', () => {
+    it('should build a feed of one event named after it', async () => {
+      const calendar = unfold(await calendarService.getEventFeed({ eventId: 'event_001' }));
+
+      expect(eventRepository.findForCalendar).toHaveBeenCalledWith({
+        eventId: 'event_001',
+        category: undefined,
+        since: expect.any(Date)
+      });
+      expect(calendar).toContain('X-WR-CALNAME:JACS ShiftPilot - Beach Cleanup');
+      expect(calendar).toContain('UID:event-event_001@jacs-shiftpilot');
+      expect(calendar).toContain('Volunteers: 8/25');
+    });
+
+    it('should list each shift of events that have them', async () => {
+      eventRepository.findForCalendar.mockResolvedValue([{
+        ...mockEvent,
+        shifts: [
+          { id: 'shift_001', name: 'Morning', startDate: mockEvent.startDate, endDate: mockEvent.endDate },
+          { id: 'shift_002', name: 'Afternoon', startDate: mockEvent.startDate, endDate: mockEvent.endDate }
+        ]
+      }]);
+
+      const calendar = await calendarService.getEventFeed({ category: 'environmental' });
+
+      expect(calendar).toContain('X-WR-CALNAME:JACS ShiftPilot - environmental events');
+      expect(calendar).toContain('UID:shift-shift_001@jacs-shiftpilot');
+      expect(calendar).toContain('UID:shift-shift_002@jacs-shiftpilot');
+    });
+
+    it('should show draft events as tentative', async () => {
+      eventRepository.findForCalendar.mockResolvedValue([{ ...mockEvent, status: 'DRAFT', shifts: [] }]);
+
+      const calendar = await calendarService.getEventFeed({ category: 'environmental' });
+
+      expect(calendar).toContain('STATUS:TENTATIVE');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Unit Tests for Event Import Service
+ */
+
+const eventImportService = require('../../src/services/eventImportService');
+const eventRepository = require('../../src/database/repositories/eventRepository');
+const skillRepository = require('../../src/database/repositories/skillRepository');
+const eventService = require('../../src/services/eventService');
+const organizationScope = require('../../src/utils/organizationScope');
+
+jest.mock('../../src/database/repositories/eventRepository');
+jest.mock('../../src/database/repositories/skillRepository');
+jest.mock('../../src/services/eventService');
+
+describe('EventImportService', () => {
+  const scope = { userId: 'coord_001', organizationIds: ['org_001'], activeOrganizationId: 'org_001' };
+
+  const importAs = (importData) => organizationScope.run(
+    scope,
+    () => eventImportService.importEvents('coord_001', importData)
+  );
+
+  const csv = [
+    'Title,Description,Start Date,End Date,Address,City,State,Zip Code,Max Volunteers,Category,Required Skills',
+    'Pantry Sort,Sort donations at the food pantry,2030-06-01 09:00,2030-06-01 12:00,1 Main St,Houston,tx,77002,10,Food,First Aid; forklift:advanced',
+    'Sea,Too short,2030-06-02 09:00,2030-06-02 08:00,1 Ocean Drive,Galveston,TX,77550,5,environmental,Juggling'
+  ].join('\n');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    skillRepository.findAll.mockResolvedValue([
+      { id: 'skill_001', name: 'First Aid' },
+      { id: 'skill_002', name: 'Forklift' }
+    ]);
+    eventService.validateEventDates.mockImplementation(() => {});
+    eventRepository.createMany.mockImplementation(async (events) =>
+      events.map((event, index) => ({ id: `event_00${index + 1}`, ...event })));
+  });
+
+  describe('CSV', () => {
+    it('should preview rows with per-row errors without creating anything', async () => {
+      const result = await importAs({ format: 'csv', content: csv });
+
+      expect(result.data).toMatchObject({ dryRun: true, total: 2, valid: 1, invalid: 1 });
+      expect(eventRepository.createMany).not.toHaveBeenCalled();
+
+      const [valid, invalid] = result.data.rows;
+      expect(valid.row).toBe(2);
+      expect(valid.errors).toEqual([]);
+      expect(valid.event).toMatchObject({
+        title: 'Pantry Sort',
+        state: 'TX',
+        category: 'food',
+        maxVolunteers: 10,
+        startDate: new Date('2030-06-01T09:00:00.000Z'),
+        requiredSkills: [
+          { skillId: 'skill_001', minLevel: 'beginner' },
+          { skillId: 'skill_002', minLevel: 'advanced' }
+        ]
+      });
+
+      expect(invalid.row).toBe(3);
+      expect(invalid.errors).toEqual(expect.arrayContaining([
+        'Unknown skill: Juggling',
+        'title length must be at least 5 characters long',
+        'description length must be at least 10 characters long',
+        'Event end date must be after start date'
+      ]));
+    });
+
+    it('should import the valid rows as drafts when not a dry run', async () => {
+      const result = await importAs({ format: 'csv', content: csv, dryRun: false });
+
+      expect(eventRepository.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({
+          title: 'Pantry Sort',
+          organizationId: 'org_001',
+          createdBy: 'coord_001',
+          status: 'draft',
+          latitude: 29.7604,
+          longitude: -95.3698
+        })
+      ]);
+      expect(result.message).toBe('Imported 1 events as drafts; 1 rows with errors were skipped');
+      expect(result.data.events).toEqual([
+        { id: 'event_001', title: 'Pantry Sort', startDate: new Date('2030-06-01T09:00:00.000Z') }
+      ]);
+    });
+
+    it('should use the column mapping and local times in the given time zone', async () => {
+      const content = [
+        'Shift,Notes,Day,From,To,Where,Town,ST,ZIP,Spots,Type',
+        'Night Shelter,Overnight help at the shelter,6/1/2030,9:00 PM,1:00 AM,5 Elm St,Austin,TX,78701,4,community'
+      ].join('\n');
+
+      const result = await importAs({
+        format: 'csv',
+        content,
+        timezone: 'America/Chicago',
+        mapping: {
+          title: 'Shift',
+          description: 'Notes',
+          date: 'Day',
+          startTime: 'From',
+          endTime: 'To',
+          address: 'Where',
+          city: 'Town',
+          state: 'ST',
+          zipCode: 'ZIP',
+          maxVolunteers: 'Spots',
+          category: 'Type'
+        }
+      });
+
+      const [row] = result.data.rows;
+      expect(row.errors).toEqual([]);
+      // 9 PM CDT is 02:00 UTC the next day; the 1 AM end is the following morning
+      expect(row.event.startDate).toEqual(new Date('2030-06-02T02:00:00.000Z'));
+      expect(row.event.endDate).toEqual(new Date('2030-06-02T06:00:00.000Z'));
+    });
+
+    it('should report dates that fail the event date rules', async () => {
+      eventService.validateEventDates.mockImplementation(() => {
+        throw new Error('Event duration cannot exceed 7 days');
+      });
+
+      const result = await importAs({ format: 'csv', content: csv });
+
+      expect(result.data.rows[0].errors).toEqual(['Event duration cannot exceed 7 days']);
+    });
+
+    it('should refuse a mapping to a column the file does not have', async () => {
+      await expect(importAs({ format: 'csv', content: csv, mapping: { title: 'Name' } }))
+        .rejects.toThrow('Column not found in the CSV file: Name');
+    });
+
+    it('should refuse a file without rows', async () => {
+      await expect(importAs({ format: 'csv', content: 'Title,Description\n' }))
+        .rejects.toThrow('No events found in the import file');
+    });
+  });
+
+  describe('ICS', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:1@partner',
+      'SUMMARY:Food Bank Shift',
+      'DTSTART;TZID=America/Chicago:20300601T090000',
+      'DTEND;TZID=America/Chicago:20300601T120000',
+      'LOCATION:1 Main St\\, Houston\\, TX 77002',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:2@partner',
+      'SUMMARY:Weekly Tutoring',
+      'DTSTART:20300602T150000Z',
+      'DTEND:20300602T170000Z',
+      'RRULE:FREQ=WEEKLY',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    it('should read events and fill blank fields from the defaults', async () => {
+      const result = await importAs({
+        format: 'ics',
+        content: ics,
+        defaults: { description: 'Shift from our partner calendar', category: 'food', maxVolunteers: 8 }
+      });
+
+      const [foodBank, tutoring] = result.data.rows;
+      expect(foodBank.errors).toEqual([]);
+      expect(foodBank.event).toMatchObject({
+        title: 'Food Bank Shift',
+        description: 'Shift from our partner calendar',
+        address: '1 Main St',
+        city: 'Houston',
+        state: 'TX',
+        zipCode: '77002',
+        startDate: new Date('2030-06-01T14:00:00.000Z'),
+        maxVolunteers: 8
+      });
+      expect(tutoring.errors).toContain('Repeating events are not supported; export each occurrence separately');
+    });
+
+    it('should refuse content that is not a calendar', async () => {
+      await expect(importAs({ format: 'ics', content: csv }))
+        .rejects.toThrow('The import file is not an iCalendar (.ics) file');
+    });
+  });
+
+  it('should refuse an unknown time zone', async () => {
+    await expect(importAs({ format: 'csv', content: csv, timezone: 'Mars/Olympus' }))
+      .rejects.toThrow('Invalid time zone: Mars/Olympus');
+  });
+
+  it('should refuse an organization the caller is not in', async () => {
+    await expect(importAs({ format: 'csv', content: csv, organizationId: 'org_002' }))
+      .rejects.toThrow('You are not a member of this organization');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for Event Lifecycle Service
+ */
+
+const eventLifecycleService = require('../../src/services/eventLifecycleService');
+const eventRepository = require('../../src/database/repositories/eventRepository');
+const attendanceService = require('../../src/services/attendanceService');
+
+jest.mock('../../src/database/repositories/eventRepository');
+jest.mock('../../src/services/attendanceService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('EventLifecycleService', () => {
+  const now = new Date('2025-11-20T12:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.EVENT_SIGNUP_CUTOFF_HOURS;
+    delete process.env.EVENT_FINALIZE_DELAY_HOURS;
+    eventRepository.findDueToCloseSignups.mockResolvedValue([]);
+    eventRepository.findDueToStart.mockResolvedValue([]);
+    eventRepository.findDueToFinalize.mockResolvedValue([]);
+  });
+
+  describe('signupsOpen', () => {
+    it('should close signups at the cutoff before the start', () => {
+      process.env.EVENT_SIGNUP_CUTOFF_HOURS = '2';
+
+      expect(eventLifecycleService.signupsOpen({ startDate: new Date(now.getTime() + 3 * HOUR) }, now)).toBe(true);
+      expect(eventLifecycleService.signupsOpen({ startDate: new Date(now.getTime() + 2 * HOUR) }, now)).toBe(false);
+    });
+
+    it('should stay closed once the scheduler has closed them', () => {
+      const event = { startDate: new Date(now.getTime() + 48 * HOUR), signupsClosedAt: now };
+
+      expect(eventLifecycleService.signupsOpen(event, now)).toBe(false);
+    });
+  });
+
+  describe('closeDueSignups', () => {
+    it('should close signups for events starting within the cutoff', async () => {
+      eventRepository.findDueToCloseSignups.mockResolvedValue([{ id: 'event_1' }, { id: 'event_2' }]);
+      eventRepository.closeSignups.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const closed = await eventLifecycleService.closeDueSignups(now);
+
+      expect(eventRepository.findDueToCloseSignups).toHaveBeenCalledWith(new Date(now.getTime() + HOUR));
+      expect(closed).toBe(1);
+    });
+  });
+
+  describe('startDueEvents', () => {
+    it('should mark started events as in progress', async () => {
+      eventRepository.findDueToStart.mockResolvedValue([{ id: 'event_1' }]);
+      eventRepository.markInProgress.mockResolvedValue(true);
+
+      const started = await eventLifecycleService.startDueEvents(now);
+
+      expect(eventRepository.findDueToStart).toHaveBeenCalledWith(now);
+      expect(eventRepository.markInProgress).toHaveBeenCalledWith('event_1');
+      expect(started).toBe(1);
+    });
+  });
+
+  describe('finalizeDueEvents', () => {
+    it('should finalize events once the delay after their end has passed', async () => {
+      process.env.EVENT_FINALIZE_DELAY_HOURS = '6';
+      eventRepository.findDueToFinalize.mockResolvedValue([{ id: 'event_1' }]);
+      attendanceService.finalizeEventAttendance.mockResolvedValue({ status: 'finalized' });
+
+      const finalized = await eventLifecycleService.finalizeDueEvents(now);
+
+      expect(eventRepository.findDueToFinalize).toHaveBeenCalledWith(new Date(now.getTime() - 6 * HOUR));
+      expect(attendanceService.finalizeEventAttendance).toHaveBeenCalledWith('event_1', null);
+      expect(finalized).toBe(1);
+    });
+
+    it('should carry on past an event that fails to finalize', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      eventRepository.findDueToFinalize.mockResolvedValue([{ id: 'event_1' }, { id: 'event_2' }]);
+      attendanceService.finalizeEventAttendance
+        .mockRejectedValueOnce(new Error('Event not found'))
+        .mockResolvedValueOnce({ status: 'finalized' });
+
+      const finalized = await eventLifecycleService.finalizeDueEvents(now);
+
+      expect(attendanceService.finalizeEventAttendance).toHaveBeenCalledTimes(2);
+      expect(finalized).toBe(1);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('run', () => {
+    it('should report every transition made', async () => {
+      eventRepository.findDueToStart.mockResolvedValue([{ id: 'event_1' }]);
+      eventRepository.markInProgress.mockResolvedValue(true);
+
+      const result = await eventLifecycleService.run(now);
+
+      expect(result).toEqual({ signupsClosed: 0, started: 1, finalized: 0 });
+    });
+  });
+});
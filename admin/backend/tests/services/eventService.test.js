@@ -7,11 +7,31 @@ const eventService = require('../../src/services/eventService');
 const eventRepository = require('../../src/database/repositories/eventRepository');
 const userRepository = require('../../src/database/repositories/userRepository');
 const skillRepository = require('../../src/database/repositories/skillRepository');
+const eventManagerRepository = require('../../src/database/repositories/eventManagerRepository');
+const organizationRepository = require('../../src/database/repositories/organizationRepository');
+const eventSeriesRepository = require('../../src/database/repositories/eventSeriesRepository');
+const notificationRepository = require('../../src/database/repositories/notificationRepository');
+const shiftRepository = require('../../src/database/repositories/shiftRepository');
+const waitlistRepository = require('../../src/database/repositories/waitlistRepository');
+const waitlistService = require('../../src/services/waitlistService');
+const matchingService = require('../../src/services/matchingService');
+const emailService = require('../../src/services/emailService');
+const organizationScope = require('../../src/utils/organizationScope');
 
 // Mock dependencies
 jest.mock('../../src/database/repositories/eventRepository');
 jest.mock('../../src/database/repositories/userRepository');
 jest.mock('../../src/database/repositories/skillRepository');
+jest.mock('../../src/database/repositories/historyRepository');
+jest.mock('../../src/database/repositories/eventManagerRepository');
+jest.mock('../../src/database/repositories/organizationRepository');
+jest.mock('../../src/database/repositories/eventSeriesRepository');
+jest.mock('../../src/database/repositories/notificationRepository');
+jest.mock('../../src/database/repositories/shiftRepository');
+jest.mock('../../src/database/repositories/waitlistRepository');
+jest.mock('../../src/services/waitlistService');
+jest.mock('../../src/services/matchingService');
+jest.mock('../../src/services/emailService');
 
 describe('EventService', () => {
   const mockEvent = {
@@ -68,6 +88,7 @@ describe('EventService', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    waitlistRepository.countHeldOffers.mockResolvedValue(0);
   });
 
   describe('getEvents', () => {
@@ -106,6 +127,55 @@ describe('EventService', () => {
       expect(eventRepository.findAll).toHaveBeenCalledWith(filters, { page: 1, limit: 10 });
     });
 
+    it('should read location filters before querying', async () => {
+      eventRepository.findAll.mockResolvedValue({ events: [], total: 0 });
+
+      await eventService.getEvents(
+        { near: '29.76,-95.37', radius: '10', bounds: '29,-96,30,-95', sort: 'distance' }
+      );
+
+      expect(eventRepository.findAll).toHaveBeenCalledWith({
+        near: { latitude: 29.76, longitude: -95.37 },
+        radius: 10,
+        bounds: { south: 29, west: -96, north: 30, east: -95 },
+        sort: 'distance'
+      }, { page: 1, limit: 10 });
+    });
+
+    it('should search near the caller\'s profile address', async () => {
+      eventRepository.findAll.mockResolvedValue({ events: [], total: 0 });
+      userRepository.getProfile.mockResolvedValue({ latitude: 40.7, longitude: -74 });
+
+      await eventService.getEvents({ near: 'me', radius: '5' }, {}, 'user_001');
+
+      expect(userRepository.getProfile).toHaveBeenCalledWith('user_001');
+      expect(eventRepository.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ near: { latitude: 40.7, longitude: -74 }, radius: 5 }),
+        { page: 1, limit: 10 }
+      );
+    });
+
+    it.each([
+      [{ near: 'me' }, null, 'Sign in to search near your location'],
+      [{ near: 'here' }, 'user_001', 'near must be "latitude,longitude" or "me"'],
+      [{ near: '91,0' }, 'user_001', 'near must be "latitude,longitude" or "me"'],
+      [{ near: '40,-74', radius: '0' }, 'user_001', 'radius must be a number of miles up to 500'],
+      [{ radius: '10' }, 'user_001', 'radius needs a location to search near'],
+      [{ bounds: '30,-96,29,-95' }, 'user_001', 'bounds must be "south,west,north,east"'],
+      [{ sort: 'distance' }, 'user_001', 'Sorting by distance needs a location to search near'],
+      [{ near: '40,-74', sort: 'title' }, 'user_001', 'sort must be "distance"']
+    ])('should refuse location filters %j', async (filters, userId, message) => {
+      await expect(eventService.getEvents(filters, {}, userId)).rejects.toThrow(message);
+      expect(eventRepository.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should ask for an address when the profile has no location', async () => {
+      userRepository.getProfile.mockResolvedValue({ latitude: null, longitude: null });
+
+      await expect(eventService.getEvents({ near: 'me' }, {}, 'user_001'))
+        .rejects.toThrow('Add your address to your profile to search near your location');
+    });
+
     it('should handle pagination correctly', async () => {
       const mockEvents = Array(5).fill(mockEvent).map((e, i) => ({ ...e, id: `event_${i}` }));
       const pagination = { page: 2, limit: 5 };
@@ -203,6 +273,32 @@ describe('EventService', () => {
       expect(result.message).toBe('Event created successfully');
     });
 
+    it('should create the event in the caller\'s active organization', async () => {
+      eventRepository.create.mockResolvedValue({ ...mockEvent, ...validEventData, id: 'event_new' });
+      const scope = { userId: 'admin_001', organizationIds: ['org_a', 'org_b'], activeOrganizationId: 'org_b' };
+
+      await organizationScope.run(scope, () => eventService.createEvent('admin_001', { ...validEventData }));
+
+      expect(eventRepository.create).toHaveBeenCalledWith(expect.objectContaining({ organizationId: 'org_b' }));
+    });
+
+    it('should require an organization when the caller belongs to several', async () => {
+      const scope = { userId: 'admin_001', organizationIds: ['org_a', 'org_b'], activeOrganizationId: null };
+
+      await expect(organizationScope.run(scope, () => eventService.createEvent('admin_001', { ...validEventData })))
+        .rejects.toThrow('Select an organization');
+      expect(eventRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to create events in another organization', async () => {
+      const scope = { userId: 'admin_001', organizationIds: ['org_a'], activeOrganizationId: null };
+
+      await expect(organizationScope.run(scope, () =>
+        eventService.createEvent('admin_001', { ...validEventData, organizationId: 'org_b' })
+      )).rejects.toThrow('You are not a member of this organization');
+      expect(eventRepository.create).not.toHaveBeenCalled();
+    });
+
     it('should validate start date is in future', async () => {
       const pastDate = { ...validEventData, startDate: new Date(Date.now() - 86400000).toISOString() };
 
@@ -314,6 +410,14 @@ describe('EventService', () => {
       await expect(eventService.updateEvent('nonexistent', 'admin_001', {}))
         .rejects.toThrow('Event not found');
     });
+
+    it('should not cancel an event by setting its status', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+
+      await expect(eventService.updateEvent('event_001', 'admin_001', { status: 'cancelled' }))
+        .rejects.toThrow('Use the cancel action with a reason to cancel an event');
+      expect(eventRepository.update).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteEvent', () => {
@@ -347,6 +451,18 @@ describe('EventService', () => {
         .rejects.toThrow('Cannot delete completed event with volunteer assignments');
     });
 
+    it('should prevent deletion of events volunteers have signed up for', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventRepository.getAssignments.mockResolvedValue([
+        { id: 'assign_001', status: 'CONFIRMED' },
+        { id: 'assign_002', status: 'CANCELLED' }
+      ]);
+
+      await expect(eventService.deleteEvent('event_001', 'admin_001'))
+        .rejects.toThrow('Cannot delete an event with volunteers signed up; cancel it instead');
+      expect(eventRepository.delete).not.toHaveBeenCalled();
+    });
+
     it('should prevent deletion of in-progress events', async () => {
       const inProgressEvent = { ...mockEvent, status: 'IN_PROGRESS' };
       eventRepository.findById.mockResolvedValue(inProgressEvent);
@@ -356,6 +472,118 @@ describe('EventService', () => {
     });
   });
 
+  describe('cancelEvent', () => {
+    const cancelledEvent = {
+      ...mockEvent,
+      status: 'CANCELLED',
+      currentVolunteers: 0,
+      cancelledAt: new Date(),
+      cancellationReason: 'Storm warning'
+    };
+
+    beforeEach(() => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventRepository.cancelEvent.mockResolvedValue({
+        event: cancelledEvent,
+        assignments: [{ id: 'assign_001', volunteer: mockUser }]
+      });
+      notificationRepository.create.mockResolvedValue({ id: 'notif_001' });
+      emailService.sendNotificationEmail.mockResolvedValue({ success: true });
+      matchingService.findMatchesForVolunteer.mockResolvedValue({
+        success: true,
+        data: {
+          matches: [
+            { event: { id: 'event_002', title: 'Food Drive', startDate: mockEvent.startDate }, matchScore: 82 }
+          ]
+        }
+      });
+    });
+
+    it('should cancel the event and tell each volunteer why', async () => {
+      const result = await eventService.cancelEvent('event_001', 'admin_001', 'Storm warning');
+
+      expect(eventRepository.cancelEvent).toHaveBeenCalledWith('event_001', 'Storm warning');
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Event cancelled; 1 volunteer(s) notified');
+      expect(result.data.status).toBe('cancelled');
+      expect(result.data.cancelledAssignments).toBe(1);
+      expect(notificationRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user_001',
+        type: 'EVENT_UPDATE',
+        title: 'Cancelled: Community Cleanup',
+        eventId: 'event_001'
+      }));
+      expect(emailService.sendNotificationEmail).toHaveBeenCalledWith(
+        'volunteer1@example.com',
+        'volunteer1',
+        expect.objectContaining({ message: expect.stringContaining('Storm warning') })
+      );
+    });
+
+    it('should suggest matching events as alternatives', async () => {
+      await eventService.cancelEvent('event_001', 'admin_001', 'Storm warning');
+
+      expect(matchingService.findMatchesForVolunteer).toHaveBeenCalledWith('user_001', { limit: 3 });
+      const notification = notificationRepository.create.mock.calls[0][0];
+      expect(notification.message).toContain('You might like: Food Drive.');
+      expect(notification.metadata.alternatives).toEqual([
+        { id: 'event_002', title: 'Food Drive', startDate: mockEvent.startDate, matchScore: 82 }
+      ]);
+    });
+
+    it('should still notify a volunteer who has no matches', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      matchingService.findMatchesForVolunteer.mockRejectedValue(new Error('Volunteer profile not found'));
+
+      await eventService.cancelEvent('event_001', 'admin_001', 'Storm warning');
+
+      const notification = notificationRepository.create.mock.calls[0][0];
+      expect(notification.metadata.alternatives).toEqual([]);
+      expect(emailService.sendNotificationEmail).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should not fail the cancellation when a notification fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      notificationRepository.create.mockRejectedValue(new Error('Database unavailable'));
+
+      const result = await eventService.cancelEvent('event_001', 'admin_001', 'Storm warning');
+
+      expect(result.success).toBe(true);
+      console.error.mockRestore();
+    });
+
+    it('should refuse an event that is already cancelled', async () => {
+      eventRepository.findById.mockResolvedValue(cancelledEvent);
+
+      await expect(eventService.cancelEvent('event_001', 'admin_001', 'Storm warning'))
+        .rejects.toThrow('Event is already cancelled');
+      expect(eventRepository.cancelEvent).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an event that has completed', async () => {
+      eventRepository.findById.mockResolvedValue({ ...mockEvent, status: 'COMPLETED' });
+
+      await expect(eventService.cancelEvent('event_001', 'admin_001', 'Storm warning'))
+        .rejects.toThrow('Cannot cancel an event that has completed');
+    });
+
+    it('should not notify twice when another request cancelled it first', async () => {
+      eventRepository.cancelEvent.mockResolvedValue(null);
+
+      await expect(eventService.cancelEvent('event_001', 'admin_001', 'Storm warning'))
+        .rejects.toThrow('Event is already cancelled');
+      expect(notificationRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should handle event not found', async () => {
+      eventRepository.findById.mockResolvedValue(null);
+
+      await expect(eventService.cancelEvent('nonexistent', 'admin_001', 'Storm warning'))
+        .rejects.toThrow('Event not found');
+    });
+  });
+
   describe('getEventAssignments', () => {
     it('should get event assignments successfully', async () => {
       const mockAssignments = [
@@ -456,14 +684,84 @@ describe('EventService', () => {
         .rejects.toThrow('Event is not accepting volunteers');
     });
 
+    it('should reject signups after the cutoff before the start', async () => {
+      eventRepository.findById.mockResolvedValue({ ...mockEvent, signupsClosedAt: new Date() });
+      userRepository.findById.mockResolvedValue(mockUser);
+
+      await expect(eventService.assignVolunteer('event_001', 'user_001', {}))
+        .rejects.toThrow('Signups for this event have closed');
+      expect(eventRepository.createAssignment).not.toHaveBeenCalled();
+    });
+
     it('should check event capacity', async () => {
       const fullEvent = { ...mockEvent, status: 'PUBLISHED', currentVolunteers: 10, maxVolunteers: 10 };
       eventRepository.findById.mockResolvedValue(fullEvent);
       userRepository.findById.mockResolvedValue(mockUser);
       eventRepository.getVolunteerAssignments.mockResolvedValue([]);
+      eventRepository.createAssignment.mockResolvedValue(null);
 
       await expect(eventService.assignVolunteer('event_001', 'user_001', {}))
         .rejects.toThrow('Event is at capacity');
+      expect(eventRepository.createAssignment).toHaveBeenCalledWith(
+        expect.objectContaining({ eventId: 'event_001', volunteerId: 'user_001' }),
+        { maxVolunteers: 10, reserved: 0 }
+      );
+    });
+
+    it('should leave the volunteer count to the repository transaction', async () => {
+      eventRepository.findById.mockResolvedValue({ ...mockEvent, status: 'PUBLISHED', currentVolunteers: 5 });
+      userRepository.findById.mockResolvedValue(mockUser);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([
+        { id: 'assign_old', volunteerId: 'user_001', eventId: 'event_001', status: 'CANCELLED' }
+      ]);
+      eventRepository.createAssignment.mockResolvedValue({ id: 'assign_old', status: 'PENDING' });
+
+      await eventService.assignVolunteer('event_001', 'user_001', {});
+
+      expect(eventRepository.createAssignment).toHaveBeenCalledTimes(1);
+      expect(eventRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should put the volunteer on the waitlist when the event is full', async () => {
+      const fullEvent = { ...mockEvent, status: 'PUBLISHED', currentVolunteers: 10, maxVolunteers: 10 };
+      eventRepository.findById.mockResolvedValue(fullEvent);
+      userRepository.findById.mockResolvedValue(mockUser);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([]);
+      eventRepository.createAssignment.mockResolvedValue(null);
+      waitlistService.join.mockResolvedValue({ success: true, data: { waitlisted: true, position: 3 } });
+
+      const result = await eventService.assignVolunteer('event_001', 'user_001', { notes: 'Any role', waitlist: true });
+
+      expect(waitlistService.join).toHaveBeenCalledWith('event_001', 'user_001', 'Any role');
+      expect(result.data).toEqual({ waitlisted: true, position: 3 });
+    });
+
+    it('should hold places offered to waitlisted volunteers', async () => {
+      const event = { ...mockEvent, status: 'PUBLISHED', currentVolunteers: 9, maxVolunteers: 10 };
+      eventRepository.findById.mockResolvedValue(event);
+      userRepository.findById.mockResolvedValue(mockUser);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([]);
+      waitlistRepository.countHeldOffers.mockResolvedValue(1);
+      eventRepository.createAssignment.mockResolvedValue(null);
+
+      await expect(eventService.assignVolunteer('event_001', 'user_001', {}))
+        .rejects.toThrow('Event is at capacity');
+      expect(waitlistRepository.countHeldOffers).toHaveBeenCalledWith('event_001', 'user_001');
+      expect(eventRepository.createAssignment).toHaveBeenCalledWith(expect.any(Object), { maxVolunteers: 10, reserved: 1 });
+    });
+
+    it('should take a volunteer who got in off the waitlist', async () => {
+      const event = { ...mockEvent, status: 'PUBLISHED', currentVolunteers: 9, maxVolunteers: 10 };
+      const entry = { id: 'wait_1', eventId: 'event_001', volunteerId: 'user_001', position: 1 };
+      eventRepository.findById.mockResolvedValue(event);
+      userRepository.findById.mockResolvedValue(mockUser);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([]);
+      eventRepository.createAssignment.mockResolvedValue({ id: 'assign_new', status: 'PENDING' });
+      waitlistRepository.findEntry.mockResolvedValue(entry);
+
+      await eventService.assignVolunteer('event_001', 'user_001', {});
+
+      expect(waitlistRepository.remove).toHaveBeenCalledWith(entry);
     });
 
     it('should validate user is a volunteer', async () => {
@@ -475,6 +773,137 @@ describe('EventService', () => {
     });
   });
 
+  describe('shifts', () => {
+    const shiftStart = new Date(Date.now() + 86400000);
+    const morning = {
+      id: 'shift_am',
+      name: 'Morning',
+      startDate: shiftStart,
+      endDate: new Date(shiftStart.getTime() + 4 * 3600000)
+    };
+    const afternoon = {
+      id: 'shift_pm',
+      name: 'Afternoon',
+      startDate: new Date(shiftStart.getTime() + 4 * 3600000),
+      endDate: new Date(shiftStart.getTime() + 8 * 3600000)
+    };
+    const driver = { id: 'pos_driver', shiftId: 'shift_am', name: 'Driver', capacity: 4, filled: 1, shift: morning };
+
+    beforeEach(() => {
+      userRepository.findById.mockResolvedValue(mockUser);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([]);
+      eventRepository.createAssignment.mockResolvedValue({ id: 'assign_new', eventId: 'event_001', status: 'PENDING' });
+      shiftRepository.countByEvent.mockResolvedValue(2);
+    });
+
+    afterEach(() => {
+      shiftRepository.countByEvent.mockReset();
+    });
+
+    it('should require a position when the event has shifts', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+
+      await expect(eventService.assignVolunteer('event_001', 'user_001', {}))
+        .rejects.toThrow('Choose a shift position to join this event');
+      expect(eventRepository.createAssignment).not.toHaveBeenCalled();
+    });
+
+    it('should join a position using its headcount rather than the event total', async () => {
+      eventRepository.findById.mockResolvedValue({ ...mockEvent, currentVolunteers: 10, maxVolunteers: 10 });
+      shiftRepository.findPosition.mockResolvedValue(driver);
+      shiftRepository.claimPosition.mockResolvedValue({ id: 'signup_1', shiftId: 'shift_am', positionId: 'pos_driver' });
+
+      const result = await eventService.assignVolunteer('event_001', 'user_001', { positionId: 'pos_driver' });
+
+      expect(shiftRepository.findPosition).toHaveBeenCalledWith('event_001', 'pos_driver');
+      expect(shiftRepository.claimPosition).toHaveBeenCalledWith('assign_new', driver);
+      expect(eventRepository.createAssignment).toHaveBeenCalledWith(expect.any(Object), null);
+      expect(result.data.shiftSignup.id).toBe('signup_1');
+    });
+
+    it('should cancel the new assignment when the position fills up first', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      shiftRepository.findPosition.mockResolvedValue(driver);
+      shiftRepository.claimPosition.mockResolvedValue(null);
+
+      await expect(eventService.assignVolunteer('event_001', 'user_001', { positionId: 'pos_driver' }))
+        .rejects.toThrow('Driver is full for this shift');
+      expect(eventRepository.updateAssignmentStatus).toHaveBeenCalledWith('assign_new', 'cancelled', 'Shift position filled up');
+      expect(eventRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a full position', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      shiftRepository.findPosition.mockResolvedValue({ ...driver, filled: 4 });
+
+      await expect(eventService.assignVolunteer('event_001', 'user_001', { positionId: 'pos_driver' }))
+        .rejects.toThrow('Driver is full for this shift');
+    });
+
+    it('should reject a position from another event', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      shiftRepository.findPosition.mockResolvedValue(null);
+
+      await expect(eventService.assignVolunteer('event_001', 'user_001', { positionId: 'pos_other' }))
+        .rejects.toThrow('Shift position not found');
+    });
+
+    it('should add a further shift for a volunteer already on the event', async () => {
+      const assignment = { id: 'assign_001', eventId: 'event_001', status: 'PENDING' };
+      const medic = { id: 'pos_medic', shiftId: 'shift_pm', name: 'First Aid', capacity: 2, filled: 0, shift: afternoon };
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([assignment]);
+      shiftRepository.findPosition.mockResolvedValue(medic);
+      shiftRepository.findSignupsForVolunteer.mockResolvedValue([{ shiftId: 'shift_am', shift: morning }]);
+      shiftRepository.claimPosition.mockResolvedValue({ id: 'signup_2' });
+
+      const result = await eventService.assignVolunteer('event_001', 'user_001', { positionId: 'pos_medic' });
+
+      expect(result.message).toBe('Volunteer signed up for Afternoon');
+      expect(shiftRepository.claimPosition).toHaveBeenCalledWith('assign_001', medic);
+      expect(eventRepository.createAssignment).not.toHaveBeenCalled();
+    });
+
+    it('should reject a second position in the same shift and overlapping shifts', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([{ id: 'assign_001', eventId: 'event_001', status: 'PENDING' }]);
+      shiftRepository.findPosition.mockResolvedValue(driver);
+
+      shiftRepository.findSignupsForVolunteer.mockResolvedValue([{ shiftId: 'shift_am', shift: morning }]);
+      await expect(eventService.assignVolunteer('event_001', 'user_001', { positionId: 'pos_driver' }))
+        .rejects.toThrow('already signed up for this shift');
+
+      const overlapping = { id: 'shift_mid', name: 'Midday', startDate: new Date(shiftStart.getTime() + 2 * 3600000), endDate: afternoon.endDate };
+      shiftRepository.findSignupsForVolunteer.mockResolvedValue([{ shiftId: 'shift_mid', shift: overlapping }]);
+      await expect(eventService.assignVolunteer('event_001', 'user_001', { positionId: 'pos_driver' }))
+        .rejects.toThrow('This shift overlaps Midday');
+    });
+
+    it('should leave the event when leaving the last shift', async () => {
+      eventRepository.findById.mockResolvedValue({
+        ...mockEvent,
+        assignments: [{ id: 'assign_001', volunteerId: 'user_001', status: 'PENDING' }]
+      });
+      shiftRepository.releaseSignups.mockResolvedValue(1);
+      shiftRepository.findSignupsForVolunteer.mockResolvedValue([]);
+
+      const result = await eventService.leaveShift('event_001', 'shift_am', 'user_001');
+
+      expect(shiftRepository.releaseSignups).toHaveBeenCalledWith({ assignmentId: 'assign_001', shiftId: 'shift_am' });
+      expect(eventRepository.updateAssignmentStatus).toHaveBeenCalledWith('assign_001', 'cancelled', expect.any(String));
+      expect(result.data.remainingShifts).toBe(0);
+    });
+
+    it('should free shift places when an assignment is cancelled', async () => {
+      eventRepository.updateAssignmentStatus.mockResolvedValue({ id: 'assign_001', eventId: 'event_001', status: 'CANCELLED' });
+
+      await eventService.updateAssignmentStatus('assign_001', 'cancelled');
+
+      expect(shiftRepository.releaseSignups).toHaveBeenCalledWith({ assignmentId: 'assign_001' });
+      expect(waitlistService.promote).toHaveBeenCalledWith('event_001');
+    });
+  });
+
   describe('getVolunteerEvents', () => {
     it('should get volunteer events successfully', async () => {
       const mockAssignments = [
@@ -687,4 +1116,288 @@ describe('EventService', () => {
         .rejects.toThrow('Assignment not found');
     });
   });
-});
\ No newline at end of file
+
+  describe('recountVolunteers', () => {
+    it('should offer places to the waitlist where the count went down', async () => {
+      eventRepository.recountVolunteers.mockResolvedValue({
+        checked: 3,
+        corrections: [
+          { id: 'event_1', title: 'Food Drive', previous: 8, current: 6 },
+          { id: 'event_2', title: 'Beach Cleanup', previous: 2, current: 3 }
+        ]
+      });
+
+      const result = await eventService.recountVolunteers();
+
+      expect(result.message).toBe('Corrected volunteer counts for 2 of 3 events');
+      expect(waitlistService.promote).toHaveBeenCalledTimes(1);
+      expect(waitlistService.promote).toHaveBeenCalledWith('event_1');
+    });
+
+    it('should report when every count is already correct', async () => {
+      eventRepository.recountVolunteers.mockResolvedValue({ checked: 4, corrections: [] });
+
+      const result = await eventService.recountVolunteers();
+
+      expect(result.message).toBe('All 4 event volunteer counts are correct');
+      expect(result.data.corrections).toEqual([]);
+    });
+  });
+
+  describe('event managers', () => {
+    const mockCoordinator = {
+      id: 'coord_001',
+      username: 'coordinator',
+      email: 'coordinator@example.com',
+      role: 'COORDINATOR'
+    };
+
+    const mockGrant = {
+      eventId: 'event_001',
+      userId: 'coord_001',
+      grantedBy: 'admin_001',
+      createdAt: new Date(),
+      user: mockCoordinator
+    };
+
+    it('should list the event owner and co-managers', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventManagerRepository.findByEvent.mockResolvedValue([mockGrant]);
+
+      const result = await eventService.getEventManagers('event_001');
+
+      expect(result.data.createdBy).toBe('admin_001');
+      expect(result.data.managers).toEqual([
+        expect.objectContaining({ id: 'coord_001', role: 'coordinator', grantedBy: 'admin_001' })
+      ]);
+    });
+
+    it('should grant a coordinator by email', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      userRepository.findByEmail.mockResolvedValue(mockCoordinator);
+      organizationRepository.isMember.mockResolvedValue(true);
+      eventManagerRepository.add.mockResolvedValue(mockGrant);
+
+      const result = await eventService.addEventManager('event_001', 'Coordinator@Example.com', 'admin_001');
+
+      expect(result.success).toBe(true);
+      expect(userRepository.findByEmail).toHaveBeenCalledWith('coordinator@example.com');
+      expect(eventManagerRepository.add).toHaveBeenCalledWith('event_001', 'coord_001', 'admin_001');
+      expect(result.data.email).toBe('coordinator@example.com');
+    });
+
+    it('should refuse to grant volunteers', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      userRepository.findByEmail.mockResolvedValue({ ...mockCoordinator, role: 'VOLUNTEER' });
+
+      await expect(eventService.addEventManager('event_001', 'volunteer@example.com', 'admin_001'))
+        .rejects.toThrow('Only coordinators and admins can manage events');
+      expect(eventManagerRepository.add).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to grant the event creator', async () => {
+      eventRepository.findById.mockResolvedValue({ ...mockEvent, createdBy: 'coord_001' });
+      userRepository.findByEmail.mockResolvedValue(mockCoordinator);
+
+      await expect(eventService.addEventManager('event_001', 'coordinator@example.com', 'admin_001'))
+        .rejects.toThrow('already manages this event');
+    });
+
+    it('should refuse to grant users outside the event\'s organization', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      userRepository.findByEmail.mockResolvedValue(mockCoordinator);
+      organizationRepository.isMember.mockResolvedValue(false);
+
+      await expect(eventService.addEventManager('event_001', 'coordinator@example.com', 'admin_001'))
+        .rejects.toThrow('User is not a member of this organization');
+      expect(eventManagerRepository.add).not.toHaveBeenCalled();
+    });
+
+    it('should handle unknown users', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      userRepository.findByEmail.mockResolvedValue(null);
+
+      await expect(eventService.addEventManager('event_001', 'nobody@example.com', 'admin_001'))
+        .rejects.toThrow('User not found');
+    });
+
+    it('should revoke a co-manager', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventManagerRepository.remove.mockResolvedValue(true);
+
+      const result = await eventService.removeEventManager('event_001', 'coord_001');
+
+      expect(result.success).toBe(true);
+      expect(eventManagerRepository.remove).toHaveBeenCalledWith('event_001', 'coord_001');
+    });
+
+    it('should report revoking a user who is not a co-manager', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventManagerRepository.remove.mockResolvedValue(false);
+
+      await expect(eventService.removeEventManager('event_001', 'user_001'))
+        .rejects.toThrow('User is not a manager of this event');
+    });
+  });
+
+  describe('event series', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    // Next Monday at 14:00 UTC, at least a day away
+    const nextMonday = (() => {
+      const date = new Date(Date.now() + 2 * DAY);
+      date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+      date.setUTCHours(14, 0, 0, 0);
+      return date;
+    })();
+
+    const occurrence = (index, overrides = {}) => ({
+      ...mockEvent,
+      id: `event_${index}`,
+      seriesId: 'series_001',
+      seriesIndex: index,
+      startDate: new Date(nextMonday.getTime() + index * 7 * DAY),
+      endDate: new Date(nextMonday.getTime() + index * 7 * DAY + 3 * 60 * 60 * 1000),
+      ...overrides
+    });
+
+    const seriesRecord = {
+      id: 'series_001',
+      frequency: 'WEEKLY',
+      interval: 1,
+      daysOfWeek: [1],
+      weekOfMonth: null,
+      dayOfWeek: null,
+      until: null,
+      count: 3,
+      timezone: 'UTC'
+    };
+
+    it('should create an event for every occurrence of a recurrence rule', async () => {
+      eventSeriesRepository.createWithOccurrences.mockImplementation(async (series, eventData, occurrences) => ({
+        series: { ...seriesRecord, ...series, id: 'series_001' },
+        events: occurrences.map((dates, index) => occurrence(index, dates))
+      }));
+
+      const result = await eventService.createEvent('admin_001', {
+        title: 'Food Pantry Shift',
+        description: 'Weekly pantry shift',
+        startDate: nextMonday.toISOString(),
+        endDate: new Date(nextMonday.getTime() + 3 * 60 * 60 * 1000).toISOString(),
+        maxVolunteers: 8,
+        category: 'food',
+        recurrence: { frequency: 'weekly', daysOfWeek: ['monday', 'thursday'], count: 4 }
+      });
+
+      const [series, eventData, occurrences] = eventSeriesRepository.createWithOccurrences.mock.calls[0];
+      expect(series).toEqual(expect.objectContaining({ frequency: 'WEEKLY', daysOfWeek: [1, 4], count: 4 }));
+      expect(eventData).not.toHaveProperty('recurrence');
+      expect(occurrences.map(dates => dates.startDate.getUTCDay())).toEqual([1, 4, 1, 4]);
+      expect(eventRepository.create).not.toHaveBeenCalled();
+      expect(result.message).toBe('Event series created with 4 occurrences');
+      expect(result.data.series.daysOfWeek).toEqual(['monday', 'thursday']);
+      expect(result.data.series.occurrences).toHaveLength(4);
+    });
+
+    it('should not copy series membership when creating a single event', async () => {
+      eventRepository.create.mockResolvedValue(mockEvent);
+
+      await eventService.createEvent('admin_001', {
+        title: 'Copy',
+        startDate: nextMonday.toISOString(),
+        endDate: new Date(nextMonday.getTime() + 3600000).toISOString(),
+        maxVolunteers: 5,
+        seriesId: 'series_001',
+        seriesIndex: 2
+      });
+
+      const created = eventRepository.create.mock.calls[0][0];
+      expect(created).not.toHaveProperty('seriesId');
+      expect(created).not.toHaveProperty('seriesIndex');
+    });
+
+    it('should update only the edited occurrence by default', async () => {
+      eventRepository.findById.mockResolvedValue(occurrence(1));
+      eventRepository.update.mockResolvedValue(occurrence(1, { title: 'Renamed' }));
+
+      await eventService.updateEvent('event_1', 'admin_001', { title: 'Renamed' });
+
+      expect(eventSeriesRepository.findOccurrences).not.toHaveBeenCalled();
+      expect(eventRepository.update).toHaveBeenCalledTimes(1);
+      expect(eventRepository.update).toHaveBeenCalledWith('event_1', { title: 'Renamed' });
+    });
+
+    it('should move this and following occurrences by the same amount', async () => {
+      eventRepository.findById.mockResolvedValue(occurrence(1));
+      eventSeriesRepository.findOccurrences.mockResolvedValue([occurrence(1), occurrence(2)]);
+      eventRepository.update.mockResolvedValue({});
+
+      const start = occurrence(1).startDate;
+      const result = await eventService.updateEvent('event_1', 'admin_001', {
+        applyTo: 'following',
+        title: 'Later Shift',
+        startDate: new Date(start.getTime() + 60 * 60 * 1000).toISOString(),
+        endDate: new Date(start.getTime() + 5 * 60 * 60 * 1000).toISOString()
+      });
+
+      expect(eventSeriesRepository.findOccurrences).toHaveBeenCalledWith('series_001', 1);
+      const [, secondUpdate] = eventRepository.update.mock.calls;
+      expect(secondUpdate[0]).toBe('event_2');
+      expect(secondUpdate[1].title).toBe('Later Shift');
+      expect(secondUpdate[1].startDate.getTime()).toBe(occurrence(2).startDate.getTime() + 60 * 60 * 1000);
+      expect(secondUpdate[1].endDate.getTime() - secondUpdate[1].startDate.getTime()).toBe(4 * 60 * 60 * 1000);
+      expect(result.data.updatedOccurrences).toBe(2);
+    });
+
+    it('should leave occurrences that already ended when updating all', async () => {
+      const past = occurrence(0, { startDate: new Date(Date.now() - 2 * DAY), endDate: new Date(Date.now() - DAY) });
+      eventRepository.findById.mockResolvedValue(occurrence(1));
+      eventSeriesRepository.findOccurrences.mockResolvedValue([past, occurrence(1), occurrence(2)]);
+      eventRepository.update.mockResolvedValue({});
+
+      await eventService.updateEvent('event_1', 'admin_001', { applyTo: 'all', maxVolunteers: 12 });
+
+      expect(eventSeriesRepository.findOccurrences).toHaveBeenCalledWith('series_001', 0);
+      expect(eventRepository.update.mock.calls.map(call => call[0])).toEqual(['event_1', 'event_2']);
+    });
+
+    it('should offer new places to the waitlist of each occurrence whose capacity went up', async () => {
+      eventRepository.findById.mockResolvedValue(occurrence(1));
+      eventSeriesRepository.findOccurrences.mockResolvedValue([
+        occurrence(1, { maxVolunteers: 10 }),
+        occurrence(2, { maxVolunteers: 15 }),
+        occurrence(3, { maxVolunteers: 8 })
+      ]);
+      eventRepository.update.mockResolvedValue({});
+
+      await eventService.updateEvent('event_1', 'admin_001', { applyTo: 'following', maxVolunteers: 12 });
+
+      expect(waitlistService.promote.mock.calls.map(call => call[0])).toEqual(['event_1', 'event_3']);
+    });
+
+    it('should join every upcoming occurrence and report the ones skipped', async () => {
+      const occurrences = [occurrence(0), occurrence(1), occurrence(2, { currentVolunteers: 10 })];
+      eventRepository.findById.mockImplementation(async (id) => occurrences.find(event => event.id === id));
+      eventSeriesRepository.findOccurrences.mockResolvedValue(occurrences);
+      userRepository.findById.mockResolvedValue(mockUser);
+      eventRepository.getVolunteerAssignments.mockResolvedValue([]);
+      eventRepository.createAssignment.mockImplementation(async ({ eventId }) =>
+        (eventId === 'event_2' ? null : { id: 'assign_new' }));
+      notificationRepository.create.mockResolvedValue({ id: 'notification_001' });
+
+      const result = await eventService.joinSeries('event_0', 'user_001');
+
+      expect(result.data.joined.map(joined => joined.eventId)).toEqual(['event_0', 'event_1']);
+      expect(result.data.skipped).toEqual([
+        expect.objectContaining({ eventId: 'event_2', reason: 'Event is at capacity' })
+      ]);
+      expect(notificationRepository.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse to join a series for a standalone event', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+
+      await expect(eventService.joinSeries('event_001', 'user_001'))
+        .rejects.toThrow('Event is not part of a series');
+    });
+  });
+});
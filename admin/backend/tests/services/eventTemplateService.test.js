@@ -0,0 +1,237 @@
+/**
+ * Unit Tests for Event Template Service
+ */
+
+const eventTemplateService = require('../../src/services/eventTemplateService');
+const eventTemplateRepository = require('../../src/database/repositories/eventTemplateRepository');
+const eventRepository = require('../../src/database/repositories/eventRepository');
+const eventService = require('../../src/services/eventService');
+const organizationScope = require('../../src/utils/organizationScope');
+
+jest.mock('../../src/database/repositories/eventTemplateRepository');
+jest.mock('../../src/database/repositories/eventRepository');
+jest.mock('../../src/services/eventService');
+
+describe('EventTemplateService', () => {
+  const mockTemplate = {
+    id: 'template_001',
+    organizationId: 'org_001',
+    name: 'Beach cleanup',
+    title: 'Beach Cleanup Day',
+    description: 'Pick up litter along the shoreline',
+    category: 'environmental',
+    urgencyLevel: 'MEDIUM',
+    maxVolunteers: 25,
+    durationMinutes: 180,
+    requirements: [
+      {
+        skillId: 'skill_001',
+        minLevel: 'BEGINNER',
+        isRequired: true,
+        skill: { id: 'skill_001', name: 'First Aid' }
+      }
+    ],
+    creator: { id: 'coord_001', username: 'coordinator' }
+  };
+
+  const location = {
+    address: '1 Ocean Drive',
+    city: 'Galveston',
+    state: 'TX',
+    zipCode: '77550'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventTemplateRepository.findById.mockResolvedValue(mockTemplate);
+    eventTemplateRepository.findByName.mockResolvedValue(null);
+    eventService.validateRequiredSkills.mockResolvedValue();
+    eventService.createEvent.mockResolvedValue({ success: true, message: 'Event created successfully', data: { id: 'event_001' } });
+  });
+
+  describe('getTemplates', () => {
+    it('should list templates with their skills', async () => {
+      eventTemplateRepository.findAll.mockResolvedValue([mockTemplate]);
+
+      const result = await eventTemplateService.getTemplates();
+
+      expect(result.data.templates).toHaveLength(1);
+      expect(result.data.templates[0]).toMatchObject({
+        name: 'Beach cleanup',
+        urgencyLevel: 'medium',
+        requiredSkills: [{ skillId: 'skill_001', minLevel: 'beginner', isRequired: true, skillName: 'First Aid' }]
+      });
+    });
+  });
+
+  describe('getTemplate', () => {
+    it('should handle template not found', async () => {
+      eventTemplateRepository.findById.mockResolvedValue(null);
+
+      await expect(eventTemplateService.getTemplate('missing'))
+        .rejects.toThrow('Event template not found');
+    });
+  });
+
+  describe('createTemplate', () => {
+    const templateData = {
+      name: 'Beach cleanup',
+      title: 'Beach Cleanup Day',
+      description: 'Pick up litter along the shoreline',
+      category: 'environmental',
+      maxVolunteers: 25,
+      durationMinutes: 180,
+      requiredSkills: [{ skillId: 'skill_001', minLevel: 'beginner' }]
+    };
+
+    it('should create the template in the active organization', async () => {
+      eventTemplateRepository.create.mockResolvedValue(mockTemplate);
+
+      const result = await organizationScope.run(
+        { userId: 'coord_001', organizationIds: ['org_001'] },
+        () => eventTemplateService.createTemplate('coord_001', templateData)
+      );
+
+      expect(result.message).toBe('Event template created successfully');
+      expect(eventService.validateRequiredSkills).toHaveBeenCalledWith(templateData.requiredSkills);
+      expect(eventTemplateRepository.create).toHaveBeenCalledWith({
+        ...templateData,
+        organizationId: 'org_001',
+        createdBy: 'coord_001'
+      });
+    });
+
+    it('should refuse a name already used in the organization', async () => {
+      eventTemplateRepository.findByName.mockResolvedValue(mockTemplate);
+
+      await expect(eventTemplateService.createTemplate('coord_001', templateData))
+        .rejects.toThrow('A template named Beach cleanup already exists');
+      expect(eventTemplateRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an organization the caller is not in', async () => {
+      await expect(organizationScope.run(
+        { userId: 'coord_001', organizationIds: ['org_001'] },
+        () => eventTemplateService.createTemplate('coord_001', { ...templateData, organizationId: 'org_002' })
+      )).rejects.toThrow('You are not a member of this organization');
+    });
+  });
+
+  describe('updateTemplate', () => {
+    it('should update the template', async () => {
+      eventTemplateRepository.update.mockResolvedValue({ ...mockTemplate, maxVolunteers: 30 });
+
+      const result = await eventTemplateService.updateTemplate('template_001', { maxVolunteers: 30 });
+
+      expect(result.data.maxVolunteers).toBe(30);
+      expect(eventTemplateRepository.findByName).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a rename to a name already in use', async () => {
+      eventTemplateRepository.findByName.mockResolvedValue({ id: 'template_002' });
+
+      await expect(eventTemplateService.updateTemplate('template_001', { name: 'Pantry sort' }))
+        .rejects.toThrow('A template named Pantry sort already exists');
+      expect(eventTemplateRepository.findByName).toHaveBeenCalledWith('org_001', 'Pantry sort');
+    });
+  });
+
+  describe('deleteTemplate', () => {
+    it('should delete the template', async () => {
+      const result = await eventTemplateService.deleteTemplate('template_001');
+
+      expect(result.success).toBe(true);
+      expect(eventTemplateRepository.delete).toHaveBeenCalledWith('template_001');
+    });
+  });
+
+  describe('createEventFromTemplate', () => {
+    const startDate = '2030-06-01T09:00:00.000Z';
+
+    it('should create an event from the template with the given date and location', async () => {
+      const result = await eventTemplateService.createEventFromTemplate('coord_001', 'template_001', {
+        startDate,
+        ...location
+      });
+
+      expect(result.data.id).toBe('event_001');
+      expect(eventService.createEvent).toHaveBeenCalledWith('coord_001', {
+        title: 'Beach Cleanup Day',
+        description: 'Pick up litter along the shoreline',
+        category: 'environmental',
+        urgencyLevel: 'medium',
+        maxVolunteers: 25,
+        requiredSkills: [{ skillId: 'skill_001', minLevel: 'beginner', isRequired: true }],
+        organizationId: 'org_001',
+        ...location,
+        startDate: new Date(startDate),
+        endDate: new Date('2030-06-01T12:00:00.000Z'),
+        status: undefined
+      });
+    });
+
+    it('should use the end date and title given instead of the template\'s', async () => {
+      await eventTemplateService.createEventFromTemplate('coord_001', 'template_001', {
+        startDate,
+        endDate: '2030-06-01T10:30:00.000Z',
+        title: 'Beach Cleanup - Spring',
+        ...location
+      });
+
+      const eventData = eventService.createEvent.mock.calls[0][1];
+      expect(eventData.title).toBe('Beach Cleanup - Spring');
+      expect(eventData.endDate).toEqual(new Date('2030-06-01T10:30:00.000Z'));
+    });
+
+    it('should handle template not found', async () => {
+      eventTemplateRepository.findById.mockResolvedValue(null);
+
+      await expect(eventTemplateService.createEventFromTemplate('coord_001', 'missing', { startDate, ...location }))
+        .rejects.toThrow('Event template not found');
+      expect(eventService.createEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveEventAsTemplate', () => {
+    const mockEvent = {
+      id: 'event_001',
+      organizationId: 'org_001',
+      title: 'Pantry Sort',
+      description: 'Sort donations at the food pantry',
+      category: 'food',
+      urgencyLevel: 'HIGH',
+      maxVolunteers: 12,
+      startDate: new Date('2030-06-01T09:00:00.000Z'),
+      endDate: new Date('2030-06-01T11:30:00.000Z'),
+      requirements: [{ skillId: 'skill_002', minLevel: 'INTERMEDIATE', isRequired: false }]
+    };
+
+    it('should copy the event into a new template', async () => {
+      eventRepository.findById.mockResolvedValue(mockEvent);
+      eventTemplateRepository.create.mockResolvedValue({ ...mockTemplate, name: 'Pantry sort' });
+
+      const result = await eventTemplateService.saveEventAsTemplate('coord_001', 'event_001', 'Pantry sort');
+
+      expect(result.message).toBe('Event saved as a template');
+      expect(eventTemplateRepository.create).toHaveBeenCalledWith({
+        name: 'Pantry sort',
+        title: 'Pantry Sort',
+        description: 'Sort donations at the food pantry',
+        category: 'food',
+        urgencyLevel: 'HIGH',
+        maxVolunteers: 12,
+        durationMinutes: 150,
+        requiredSkills: [{ skillId: 'skill_002', minLevel: 'INTERMEDIATE', isRequired: false }],
+        organizationId: 'org_001',
+        createdBy: 'coord_001'
+      });
+    });
+
+    it('should handle event not found', async () => {
+      eventRepository.findById.mockResolvedValue(null);
+
+      await expect(eventTemplateService.saveEventAsTemplate('coord_001', 'missing', 'Pantry sort'))
+        .rejects.toThrow('Event not found');
+    });
+  });
+});
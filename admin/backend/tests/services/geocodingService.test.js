@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Geocoding Service
+ */
+
+const geocodingService = require('../../src/services/geocodingService');
+
+describe('GeocodingService', () => {
+  const address = { address: '1 Main St', city: 'Houston', state: 'TX', zipCode: '77002' };
+  const originalProvider = process.env.GEOCODING_PROVIDER;
+
+  afterEach(() => {
+    if (originalProvider === undefined) {
+      delete process.env.GEOCODING_PROVIDER;
+    } else {
+      process.env.GEOCODING_PROVIDER = originalProvider;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('geocode', () => {
+    it('should use the bundled ZIP code centroids by default', async () => {
+      delete process.env.GEOCODING_PROVIDER;
+
+      await expect(geocodingService.geocode(address))
+        .resolves.toEqual({ latitude: 29.7604, longitude: -95.3698 });
+    });
+
+    it('should use the provider named by GEOCODING_PROVIDER', async () => {
+      const provider = { name: 'test', geocode: jest.fn().mockResolvedValue({ latitude: 1.5, longitude: 2.5 }) };
+      geocodingService.registerProvider(provider);
+      process.env.GEOCODING_PROVIDER = 'test';
+
+      await expect(geocodingService.geocode(address)).resolves.toEqual({ latitude: 1.5, longitude: 2.5 });
+      expect(provider.geocode).toHaveBeenCalledWith(address);
+    });
+
+    it('should not look up an address without a ZIP code or a full street address', async () => {
+      const provider = { name: 'test', geocode: jest.fn() };
+      geocodingService.registerProvider(provider);
+      process.env.GEOCODING_PROVIDER = 'test';
+
+      await expect(geocodingService.geocode({ city: 'Houston', state: 'TX' })).resolves.toBeNull();
+      expect(provider.geocode).not.toHaveBeenCalled();
+    });
+
+    it('should return null when the provider fails or finds nothing', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.GEOCODING_PROVIDER = 'test';
+
+      geocodingService.registerProvider({ name: 'test', geocode: jest.fn().mockRejectedValue(new Error('quota exceeded')) });
+      await expect(geocodingService.geocode(address)).resolves.toBeNull();
+      expect(console.error).toHaveBeenCalledWith('Geocoding with test failed:', 'quota exceeded');
+
+      geocodingService.registerProvider({ name: 'test', geocode: jest.fn().mockResolvedValue({ latitude: NaN, longitude: 2 }) });
+      await expect(geocodingService.geocode(address)).resolves.toBeNull();
+    });
+
+    it('should refuse an unknown provider', async () => {
+      process.env.GEOCODING_PROVIDER = 'nowhere';
+
+      await expect(geocodingService.geocode(address)).rejects.toThrow('Unknown geocoding provider: nowhere');
+    });
+  });
+
+  describe('registerProvider', () => {
+    it('should refuse a provider without a name or geocode function', () => {
+      expect(() => geocodingService.registerProvider({ geocode: jest.fn() }))
+        .toThrow('A geocoding provider needs a name and a geocode function');
+      expect(() => geocodingService.registerProvider({ name: 'broken' }))
+        .toThrow('A geocoding provider needs a name and a geocode function');
+    });
+  });
+
+  describe('coordinatesFor', () => {
+    it('should clear the coordinates of an address that cannot be located', async () => {
+      await expect(geocodingService.coordinatesFor({ zipCode: '00501' }))
+        .resolves.toEqual({ latitude: null, longitude: null });
+    });
+  });
+
+  describe('changesAddress', () => {
+    it('should detect updates to any address field', () => {
+      expect(geocodingService.changesAddress({ zipCode: '77002' })).toBe(true);
+      expect(geocodingService.changesAddress({ city: 'Austin' })).toBe(true);
+      expect(geocodingService.changesAddress({ bio: 'Hello', address: undefined })).toBe(false);
+    });
+  });
+});
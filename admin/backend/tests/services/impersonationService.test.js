@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for Impersonation Service
+ */
+
+const jwt = require('jsonwebtoken');
+const impersonationService = require('../../src/services/impersonationService');
+const impersonationRepository = require('../../src/database/repositories/impersonationRepository');
+const auditLogRepository = require('../../src/database/repositories/auditLogRepository');
+const userRepository = require('../../src/database/repositories/userRepository');
+
+jest.mock('../../src/database/repositories/impersonationRepository');
+jest.mock('../../src/database/repositories/auditLogRepository');
+jest.mock('../../src/database/repositories/userRepository');
+
+describe('ImpersonationService', () => {
+  const volunteer = {
+    id: 'user_001',
+    username: 'volunteer1',
+    email: 'volunteer1@example.com',
+    role: 'VOLUNTEER'
+  };
+
+  const session = {
+    id: 'imp_001',
+    adminId: 'admin_001',
+    targetUserId: 'user_001',
+    reason: 'Ticket #42: recommended events are empty',
+    readOnly: true,
+    expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    endedAt: null,
+    createdAt: new Date()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    auditLogRepository.create.mockResolvedValue({});
+  });
+
+  describe('start', () => {
+    it('should issue a marked token for the target user and audit the start', async () => {
+      userRepository.findById.mockResolvedValue(volunteer);
+      impersonationRepository.create.mockResolvedValue(session);
+
+      const result = await impersonationService.start('admin_001', 'user_001', {
+        reason: session.reason
+      }, { ipAddress: '203.0.113.7' });
+
+      expect(impersonationRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        adminId: 'admin_001',
+        targetUserId: 'user_001',
+        readOnly: true
+      }));
+
+      const decoded = jwt.verify(result.data.token, 'test-secret');
+      expect(decoded).toMatchObject({ userId: 'user_001', imp: 'imp_001', type: 'impersonation' });
+      expect(decoded.exp - decoded.iat).toBe(30 * 60);
+
+      expect(result.data.user.role).toBe('volunteer');
+      expect(result.data.impersonation.active).toBe(true);
+      expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'impersonation.start',
+        actorId: 'admin_001',
+        impersonationId: 'imp_001',
+        metadata: expect.objectContaining({ reason: session.reason, ipAddress: '203.0.113.7' })
+      }));
+    });
+
+    it('should refuse to impersonate admins', async () => {
+      userRepository.findById.mockResolvedValue({ ...volunteer, role: 'ADMIN' });
+
+      await expect(impersonationService.start('admin_001', 'user_001', { reason: 'test' }))
+        .rejects.toThrow('Administrators cannot be impersonated');
+      expect(impersonationRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to impersonate yourself', async () => {
+      await expect(impersonationService.start('admin_001', 'admin_001', { reason: 'test' }))
+        .rejects.toThrow('You cannot impersonate yourself');
+    });
+
+    it('should reject users outside the admin\'s organizations', async () => {
+      userRepository.findById.mockResolvedValue(null);
+
+      await expect(impersonationService.start('admin_001', 'user_999', { reason: 'test' }))
+        .rejects.toThrow('User not found');
+    });
+  });
+
+  describe('stop', () => {
+    it('should end the session and audit the stop', async () => {
+      impersonationRepository.end.mockResolvedValue(true);
+
+      await impersonationService.stop(session);
+
+      expect(impersonationRepository.end).toHaveBeenCalledWith('imp_001');
+      expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'impersonation.stop',
+        actorId: 'admin_001',
+        targetUserId: 'user_001'
+      }));
+    });
+  });
+
+  describe('verify', () => {
+    it('should return open sessions', async () => {
+      impersonationRepository.findById.mockResolvedValue(session);
+
+      expect(await impersonationService.verify('imp_001')).toBe(session);
+    });
+
+    it('should reject stopped and expired sessions', async () => {
+      impersonationRepository.findById.mockResolvedValueOnce({ ...session, endedAt: new Date() });
+      expect(await impersonationService.verify('imp_001')).toBeNull();
+
+      impersonationRepository.findById.mockResolvedValueOnce({ ...session, expiresAt: new Date(Date.now() - 1000) });
+      expect(await impersonationService.verify('imp_001')).toBeNull();
+    });
+  });
+
+  describe('isAllowedWhileImpersonating', () => {
+    it('should refuse writes to credentials and the account lifecycle', () => {
+      expect(impersonationService.isAllowedWhileImpersonating('POST', '/api/auth/tokens')).toBe(false);
+      expect(impersonationService.isAllowedWhileImpersonating('DELETE', '/api/auth/tokens/pat_001')).toBe(false);
+      expect(impersonationService.isAllowedWhileImpersonating('POST', '/api/auth/2fa/recovery-codes')).toBe(false);
+      expect(impersonationService.isAllowedWhileImpersonating('POST', '/api/profile/account/restore')).toBe(false);
+      expect(impersonationService.isAllowedWhileImpersonating('POST', '/API/CALENDAR/TOKEN')).toBe(false);
+    });
+
+    it('should allow reads and other writes', () => {
+      expect(impersonationService.isAllowedWhileImpersonating('GET', '/api/auth/tokens')).toBe(true);
+      expect(impersonationService.isAllowedWhileImpersonating('POST', '/api/events/event_001/join')).toBe(true);
+      expect(impersonationService.isAllowedWhileImpersonating('POST', '/api/auth/tokensmith')).toBe(true);
+    });
+  });
+
+  describe('isAllowedWhileReadOnly', () => {
+    it('should allow reads and stopping, and nothing else', () => {
+      expect(impersonationService.isAllowedWhileReadOnly('GET', '/api/matching/my-matches')).toBe(true);
+      expect(impersonationService.isAllowedWhileReadOnly('POST', '/api/auth/impersonation/stop')).toBe(true);
+      expect(impersonationService.isAllowedWhileReadOnly('PUT', '/api/profile')).toBe(false);
+      expect(impersonationService.isAllowedWhileReadOnly('POST', '/api/auth/logout')).toBe(false);
+    });
+  });
+
+  describe('recordRequest', () => {
+    it('should not fail the request when the audit write fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      auditLogRepository.create.mockRejectedValue(new Error('connection lost'));
+
+      await expect(impersonationService.recordRequest(session, {
+        method: 'GET',
+        path: '/api/events/recommended',
+        statusCode: 200
+      })).resolves.toBeUndefined();
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('getSession', () => {
+    it('should include the audit trail', async () => {
+      impersonationRepository.findById.mockResolvedValue(session);
+      userRepository.findById.mockResolvedValue(volunteer);
+      auditLogRepository.findByImpersonation.mockResolvedValue([
+        { id: 'log_001', action: 'impersonation.start', createdAt: new Date() },
+        { id: 'log_002', action: 'impersonation.request', method: 'GET', path: '/api/events/recommended', statusCode: 200, createdAt: new Date() }
+      ]);
+
+      const result = await impersonationService.getSession('imp_001');
+
+      expect(result.data.session.reason).toBe(session.reason);
+      expect(result.data.auditLog.map(entry => entry.action)).toEqual(['impersonation.start', 'impersonation.request']);
+    });
+
+    it('should hide sessions on users the admin cannot see', async () => {
+      impersonationRepository.findById.mockResolvedValue(session);
+      userRepository.findById.mockResolvedValue(null);
+
+      await expect(impersonationService.getSession('imp_001'))
+        .rejects.toThrow('Impersonation session not found');
+    });
+  });
+});
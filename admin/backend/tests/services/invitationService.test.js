@@ -0,0 +1,268 @@
+/**
+ * Unit Tests for Invitation Service
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const invitationService = require('../../src/services/invitationService');
+const invitationRepository = require('../../src/database/repositories/invitationRepository');
+const userRepository = require('../../src/database/repositories/userRepository');
+const auditLogRepository = require('../../src/database/repositories/auditLogRepository');
+const emailService = require('../../src/services/emailService');
+
+jest.mock('bcryptjs');
+jest.mock('../../src/database/repositories/invitationRepository');
+jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/auditLogRepository');
+jest.mock('../../src/services/emailService');
+
+describe('InvitationService', () => {
+  const admin = { id: 'admin_001', username: 'admin', role: 'admin' };
+  const organization = { id: 'org_a', name: 'Houston Food Bank', slug: 'houston-food-bank' };
+
+  const invitationFor = (overrides = {}) => ({
+    id: 'invite_001',
+    email: 'new@example.com',
+    role: 'VOLUNTEER',
+    status: 'PENDING',
+    organizationId: organization.id,
+    organization,
+    invitedBy: admin.id,
+    inviter: { id: admin.id, username: admin.username },
+    profileData: null,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    sentAt: new Date(),
+    sendCount: 1,
+    createdAt: new Date(),
+    ...overrides
+  });
+
+  const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    auditLogRepository.create.mockResolvedValue({});
+    emailService.sendInvitationEmail.mockResolvedValue(true);
+    userRepository.findByEmail.mockResolvedValue(null);
+    userRepository.findByUsername.mockResolvedValue(null);
+    invitationRepository.findPendingByEmail.mockResolvedValue(null);
+    invitationRepository.create.mockImplementation(async (data) => invitationFor({ ...data }));
+  });
+
+  describe('createInvitation', () => {
+    it('should store only a hash of the emailed token', async () => {
+      const result = await invitationService.createInvitation(admin, {
+        email: ' New@Example.com ',
+        role: 'coordinator',
+        profile: { firstName: 'Jane', lastName: '', notes: 'ignored' }
+      }, organization.id);
+
+      const created = invitationRepository.create.mock.calls[0][0];
+      expect(created).toEqual(expect.objectContaining({
+        email: 'new@example.com',
+        role: 'COORDINATOR',
+        organizationId: organization.id,
+        invitedBy: admin.id,
+        profileData: { firstName: 'Jane' }
+      }));
+
+      const { inviteToken } = emailService.sendInvitationEmail.mock.calls[0][1];
+      expect(created.tokenHash).toBe(hash(inviteToken));
+      expect(created.tokenHash).not.toBe(inviteToken);
+      expect(jwt.verify(inviteToken, 'test-secret')).toEqual(expect.objectContaining({
+        invitationId: created.id,
+        type: 'invitation'
+      }));
+      expect(result.data.emailSent).toBe(true);
+      expect(result.data.invitation.role).toBe('coordinator');
+    });
+
+    it('should default to the volunteer role', async () => {
+      await invitationService.createInvitation(admin, { email: 'new@example.com' }, organization.id);
+
+      expect(invitationRepository.create).toHaveBeenCalledWith(expect.objectContaining({ role: 'VOLUNTEER' }));
+    });
+
+    it('should reject emails that already have an account', async () => {
+      userRepository.findByEmail.mockResolvedValue({ id: 'user_001' });
+
+      await expect(invitationService.createInvitation(admin, { email: 'new@example.com' }, organization.id))
+        .rejects.toThrow('A user with this email already exists');
+      expect(invitationRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a second pending invitation for the same email', async () => {
+      invitationRepository.findPendingByEmail.mockResolvedValue(invitationFor());
+
+      await expect(invitationService.createInvitation(admin, { email: 'new@example.com' }, organization.id))
+        .rejects.toThrow('An invitation is already pending for this email');
+    });
+
+    it('should keep the invitation when the email cannot be sent', async () => {
+      emailService.sendInvitationEmail.mockRejectedValue(new Error('SMTP down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await invitationService.createInvitation(admin, { email: 'new@example.com' }, organization.id);
+
+      expect(result.data.emailSent).toBe(false);
+      expect(invitationRepository.create).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('bulkInvite', () => {
+    it('should invite each unique address and report the ones skipped', async () => {
+      userRepository.findByEmail.mockImplementation(async (email) => (email === 'taken@example.com' ? { id: 'user_001' } : null));
+
+      const result = await invitationService.bulkInvite(admin, {
+        emails: 'a@example.com, A@example.com; taken@example.com\nnot-an-email\nb@example.com',
+        role: 'volunteer'
+      }, organization.id);
+
+      expect(result.data.created.map(invitation => invitation.email)).toEqual(['a@example.com', 'b@example.com']);
+      expect(result.data.skipped).toEqual([
+        { email: 'taken@example.com', reason: 'A user with this email already exists' },
+        { email: 'not-an-email', reason: 'Invalid email address' }
+      ]);
+    });
+
+    it('should reject an empty list', async () => {
+      await expect(invitationService.bulkInvite(admin, { emails: ' ,; ' }, organization.id))
+        .rejects.toThrow('No email addresses found');
+    });
+  });
+
+  describe('resendInvitation', () => {
+    it('should issue a new token and extend the expiry', async () => {
+      invitationRepository.findById.mockResolvedValue(invitationFor({ status: 'EXPIRED', expiresAt: new Date(Date.now() - 1000) }));
+      invitationRepository.renew.mockImplementation(async (id, tokenHash, expiresAt) => invitationFor({ tokenHash, expiresAt, sendCount: 2 }));
+
+      const result = await invitationService.resendInvitation(admin, 'invite_001');
+
+      const [, tokenHash, expiresAt] = invitationRepository.renew.mock.calls[0];
+      expect(tokenHash).toBe(hash(emailService.sendInvitationEmail.mock.calls[0][1].inviteToken));
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+      expect(result.data.invitation.status).toBe('pending');
+    });
+
+    it('should not resend accepted invitations', async () => {
+      invitationRepository.findById.mockResolvedValue(invitationFor({ status: 'ACCEPTED' }));
+
+      await expect(invitationService.resendInvitation(admin, 'invite_001'))
+        .rejects.toThrow('Only pending or expired invitations can be resent');
+    });
+
+    it('should not find invitations outside the admin\'s organizations', async () => {
+      invitationRepository.findById.mockResolvedValue(null);
+
+      await expect(invitationService.resendInvitation(admin, 'invite_001')).rejects.toThrow('Invitation not found');
+    });
+  });
+
+  describe('revokeInvitation', () => {
+    it('should revoke a pending invitation', async () => {
+      invitationRepository.findById.mockResolvedValue(invitationFor());
+      invitationRepository.revoke.mockResolvedValue(true);
+
+      const result = await invitationService.revokeInvitation(admin, 'invite_001');
+
+      expect(result.message).toBe('Invitation revoked');
+      expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'invitation.revoked' }));
+    });
+
+    it('should refuse to revoke an accepted invitation', async () => {
+      invitationRepository.findById.mockResolvedValue(invitationFor({ status: 'ACCEPTED' }));
+      invitationRepository.revoke.mockResolvedValue(false);
+
+      await expect(invitationService.revokeInvitation(admin, 'invite_001'))
+        .rejects.toThrow('Only pending or expired invitations can be revoked');
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    const token = () => invitationService.issueToken('invite_001').token;
+
+    beforeEach(() => {
+      bcrypt.hash.mockResolvedValue('$2a$12$hash');
+      invitationRepository.claim.mockResolvedValue(true);
+      userRepository.create.mockResolvedValue({
+        id: 'user_new',
+        username: 'newbie',
+        email: 'new@example.com',
+        role: 'COORDINATOR',
+        verified: true,
+        createdAt: new Date()
+      });
+      userRepository.createProfile.mockImplementation(async (userId, profile) => ({ userId, ...profile }));
+    });
+
+    it('should create a verified account with the invited role, organization and profile', async () => {
+      invitationRepository.findByTokenHash.mockResolvedValue(invitationFor({
+        role: 'COORDINATOR',
+        profileData: { firstName: 'Jane', city: 'Houston' }
+      }));
+
+      const result = await invitationService.acceptInvitation({ token: token(), username: 'Newbie', password: 'Passw0rd!' });
+
+      expect(userRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'newbie',
+        email: 'new@example.com',
+        role: 'COORDINATOR',
+        verified: true,
+        organizationId: organization.id
+      }));
+      expect(userRepository.createProfile).toHaveBeenCalledWith('user_new', expect.objectContaining({
+        firstName: 'Jane',
+        lastName: '',
+        city: 'Houston'
+      }));
+      expect(invitationRepository.setAcceptedUser).toHaveBeenCalledWith('invite_001', 'user_new');
+      expect(result.data.user.role).toBe('coordinator');
+    });
+
+    it('should reject tokens that do not match a pending invitation', async () => {
+      invitationRepository.findByTokenHash.mockResolvedValue(invitationFor({ status: 'REVOKED' }));
+
+      await expect(invitationService.acceptInvitation({ token: token(), username: 'newbie', password: 'Passw0rd!' }))
+        .rejects.toThrow('Invalid or expired invitation');
+      expect(userRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens that are not invitation tokens', async () => {
+      const accessToken = jwt.sign({ userId: 'user_001', type: 'access' }, 'test-secret');
+
+      await expect(invitationService.acceptInvitation({ token: accessToken, username: 'newbie', password: 'Passw0rd!' }))
+        .rejects.toThrow('Invalid or expired invitation');
+      expect(invitationRepository.findByTokenHash).not.toHaveBeenCalled();
+    });
+
+    it('should only let one request accept an invitation', async () => {
+      invitationRepository.findByTokenHash.mockResolvedValue(invitationFor());
+      invitationRepository.claim.mockResolvedValue(false);
+
+      await expect(invitationService.acceptInvitation({ token: token(), username: 'newbie', password: 'Passw0rd!' }))
+        .rejects.toThrow('Invalid or expired invitation');
+      expect(userRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should release the invitation when the account cannot be created', async () => {
+      invitationRepository.findByTokenHash.mockResolvedValue(invitationFor());
+      userRepository.create.mockRejectedValue(new Error('Unique constraint failed'));
+
+      await expect(invitationService.acceptInvitation({ token: token(), username: 'newbie', password: 'Passw0rd!' }))
+        .rejects.toThrow('Unique constraint failed');
+      expect(invitationRepository.releaseClaim).toHaveBeenCalledWith('invite_001');
+    });
+
+    it('should reject usernames that are taken', async () => {
+      invitationRepository.findByTokenHash.mockResolvedValue(invitationFor());
+      userRepository.findByUsername.mockResolvedValue({ id: 'user_002' });
+
+      await expect(invitationService.acceptInvitation({ token: token(), username: 'newbie', password: 'Passw0rd!' }))
+        .rejects.toThrow('Username already taken');
+      expect(invitationRepository.claim).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Login Throttle Service
+ */
+
+const loginThrottleService = require('../../src/services/loginThrottleService');
+const userRepository = require('../../src/database/repositories/userRepository');
+const emailService = require('../../src/services/emailService');
+
+jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/services/emailService');
+
+describe('LoginThrottleService', () => {
+  const now = new Date('2025-11-04T12:00:00Z');
+
+  const buildUser = (overrides = {}) => ({
+    id: 'user_001',
+    username: 'volunteer1',
+    email: 'volunteer1@example.com',
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getBackoffSeconds', () => {
+    it('should not delay the first few attempts', () => {
+      expect(loginThrottleService.getBackoffSeconds(0)).toBe(0);
+      expect(loginThrottleService.getBackoffSeconds(2)).toBe(0);
+    });
+
+    it('should double the delay for each further failure, up to a cap', () => {
+      expect(loginThrottleService.getBackoffSeconds(3)).toBe(1);
+      expect(loginThrottleService.getBackoffSeconds(4)).toBe(2);
+      expect(loginThrottleService.getBackoffSeconds(7)).toBe(16);
+      expect(loginThrottleService.getBackoffSeconds(30)).toBe(300);
+    });
+  });
+
+  describe('beginAttempt', () => {
+    it('should count the attempt and allow accounts without recent failures', async () => {
+      userRepository.recordLoginAttempt.mockResolvedValue(1);
+
+      await expect(loginThrottleService.beginAttempt(buildUser(), now)).resolves.toBe(1);
+      expect(userRepository.recordLoginAttempt).toHaveBeenCalledWith('user_001');
+    });
+
+    it('should refuse locked accounts with a retry time without counting the attempt', async () => {
+      const user = buildUser({ lockedUntil: new Date(now.getTime() + 10 * 60 * 1000) });
+
+      const error = await loginThrottleService.beginAttempt(user, now).catch(caught => caught);
+
+      expect(error.message).toContain('Account temporarily locked');
+      expect(error.message).toContain('10 minutes');
+      expect(error.statusCode).toBe(429);
+      expect(error.retryAfter).toBe(600);
+      expect(userRepository.recordLoginAttempt).not.toHaveBeenCalled();
+    });
+
+    it('should allow attempts once the lockout has expired', async () => {
+      userRepository.recordLoginAttempt.mockResolvedValue(1);
+      const user = buildUser({ lockedUntil: new Date(now.getTime() - 1000) });
+
+      await expect(loginThrottleService.beginAttempt(user, now)).resolves.toBe(1);
+    });
+
+    it('should refuse attempts made during the backoff window and stop counting them', async () => {
+      userRepository.recordLoginAttempt.mockResolvedValue(6);
+      const user = buildUser({ failedLoginAttempts: 5, lastFailedLoginAt: new Date(now.getTime() - 1000) });
+
+      await expect(loginThrottleService.beginAttempt(user, now))
+        .rejects.toThrow('Too many failed login attempts. Try again in 3 seconds.');
+      expect(userRepository.releaseLoginAttempt).toHaveBeenCalledWith('user_001');
+    });
+
+    it('should allow attempts after the backoff window', async () => {
+      userRepository.recordLoginAttempt.mockResolvedValue(6);
+      const user = buildUser({ failedLoginAttempts: 5, lastFailedLoginAt: new Date(now.getTime() - 5000) });
+
+      await expect(loginThrottleService.beginAttempt(user, now)).resolves.toBe(6);
+      expect(userRepository.releaseLoginAttempt).not.toHaveBeenCalled();
+    });
+
+    it('should decide the wait from the counted attempt, not the stale user record', async () => {
+      // Two requests read the same record; the second to count has to wait longer
+      const user = buildUser({ failedLoginAttempts: 5, lastFailedLoginAt: new Date(now.getTime() - 5000) });
+      userRepository.recordLoginAttempt.mockResolvedValueOnce(6).mockResolvedValueOnce(7);
+
+      await expect(loginThrottleService.beginAttempt(user, now)).resolves.toBe(6);
+      await expect(loginThrottleService.beginAttempt(user, now))
+        .rejects.toThrow('Too many failed login attempts. Try again in 3 seconds.');
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should only record the failure below the limit', async () => {
+      await loginThrottleService.recordFailure(buildUser(), 4);
+
+      expect(userRepository.recordFailedLogin).toHaveBeenCalledWith('user_001');
+      expect(userRepository.lockAccount).not.toHaveBeenCalled();
+    });
+
+    it('should lock the account and email the owner at the limit', async () => {
+      userRepository.lockAccount.mockResolvedValue(true);
+
+      await loginThrottleService.recordFailure(buildUser(), 10);
+
+      const [userId, lockedUntil] = userRepository.lockAccount.mock.calls[0];
+      expect(userId).toBe('user_001');
+      expect(lockedUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+      expect(emailService.sendAccountLockedEmail).toHaveBeenCalledWith('volunteer1@example.com', 'volunteer1', lockedUntil);
+    });
+
+    it('should not email again if another request already applied the lock', async () => {
+      userRepository.lockAccount.mockResolvedValue(false);
+
+      await loginThrottleService.recordFailure(buildUser(), 11);
+
+      expect(emailService.sendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+
+    it('should still lock the account if the email fails', async () => {
+      userRepository.lockAccount.mockResolvedValue(true);
+      emailService.sendAccountLockedEmail.mockRejectedValue(new Error('SMTP down'));
+
+      await expect(loginThrottleService.recordFailure(buildUser(), 10)).resolves.toBeUndefined();
+      expect(userRepository.lockAccount).toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseAttempt', () => {
+    it('should stop counting the attempt', async () => {
+      await loginThrottleService.releaseAttempt(buildUser());
+
+      expect(userRepository.releaseLoginAttempt).toHaveBeenCalledWith('user_001');
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('should reset failures, including the attempt just counted', async () => {
+      await loginThrottleService.recordSuccess(buildUser({ failedLoginAttempts: 2 }));
+
+      expect(userRepository.resetLoginFailures).toHaveBeenCalledWith('user_001');
+    });
+  });
+
+  describe('unlock', () => {
+    it('should reset failures and the lockout', async () => {
+      userRepository.findById.mockResolvedValue(buildUser({ lockedUntil: new Date(Date.now() + 60000) }));
+
+      const result = await loginThrottleService.unlock('user_001');
+
+      expect(result.success).toBe(true);
+      expect(userRepository.resetLoginFailures).toHaveBeenCalledWith('user_001');
+    });
+
+    it('should throw for an unknown user', async () => {
+      userRepository.findById.mockResolvedValue(null);
+
+      await expect(loginThrottleService.unlock('missing')).rejects.toThrow('User not found');
+    });
+  });
+});
@@ -6,11 +6,13 @@ const matchingService = require('../../src/services/matchingService');
 const matchingAlgorithm = require('../../src/utils/matchingAlgorithm');
 const eventRepository = require('../../src/database/repositories/eventRepository');
 const userRepository = require('../../src/database/repositories/userRepository');
+const shiftRepository = require('../../src/database/repositories/shiftRepository');
 
 // Mock dependencies
 jest.mock('../../src/utils/matchingAlgorithm');
 jest.mock('../../src/database/repositories/eventRepository');
 jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/shiftRepository');
 
 describe('MatchingService', () => {
   const mockEvent = {
@@ -132,6 +134,64 @@ describe('MatchingService', () => {
     });
   });
 
+  describe('findMatchesForEvent - shifts', () => {
+    const shift = {
+      id: 'shift_am',
+      name: 'Morning',
+      startDate: new Date('2026-07-04T08:00:00Z'),
+      endDate: new Date('2026-07-04T12:00:00Z'),
+      positions: [
+        { id: 'pos_driver', name: 'Driver', capacity: 4, filled: 1, skillId: null, minLevel: 'BEGINNER' },
+        { id: 'pos_medic', name: 'First Aid', capacity: 2, filled: 0, skillId: 'skill_cpr', minLevel: 'INTERMEDIATE' },
+        { id: 'pos_full', name: 'Setup', capacity: 1, filled: 1, skillId: null, minLevel: 'BEGINNER' }
+      ]
+    };
+
+    beforeEach(() => {
+      eventRepository.findById.mockResolvedValue({ ...mockEvent, requirements: [] });
+      shiftRepository.findById.mockResolvedValue(shift);
+      shiftRepository.findSignupsForEvent.mockResolvedValue([]);
+      userRepository.getVolunteersWithProfiles.mockResolvedValue([mockUser]);
+    });
+
+    it('should score against each open position and suggest the best one', async () => {
+      matchingAlgorithm.calculateMatchScore.mockImplementation((volunteer, view) => ({
+        totalScore: view.requirements.some(r => r.skillId === 'skill_cpr') ? 90 : 60,
+        scoreBreakdown: {},
+        matchQuality: 'good',
+        recommendations: []
+      }));
+
+      const result = await matchingService.findMatchesForEvent('event_001', { shiftId: 'shift_am' });
+
+      expect(matchingAlgorithm.calculateMatchScore).toHaveBeenCalledTimes(2);
+      const [, medicView] = matchingAlgorithm.calculateMatchScore.mock.calls[1];
+      expect(medicView.startDate).toBe(shift.startDate);
+      expect(medicView.requirements).toEqual([{ skillId: 'skill_cpr', minLevel: 'INTERMEDIATE', isRequired: true }]);
+      expect(result.data.matches[0].position).toEqual({ id: 'pos_medic', name: 'First Aid', spotsRemaining: 2 });
+      expect(result.data.matches[0].matchScore).toBe(90);
+      expect(result.data.shift.openPositions).toHaveLength(2);
+    });
+
+    it('should leave out volunteers already in the shift', async () => {
+      shiftRepository.findSignupsForEvent.mockResolvedValue([
+        { shiftId: 'shift_am', assignment: { volunteerId: 'user_001' } }
+      ]);
+
+      const result = await matchingService.findMatchesForEvent('event_001', { shiftId: 'shift_am' });
+
+      expect(result.data.matches).toHaveLength(0);
+      expect(result.data.totalVolunteers).toBe(0);
+    });
+
+    it('should handle shift not found', async () => {
+      shiftRepository.findById.mockResolvedValue(null);
+
+      await expect(matchingService.findMatchesForEvent('event_001', { shiftId: 'missing' }))
+        .rejects.toThrow('Shift not found');
+    });
+  });
+
   describe('findMatchesForVolunteer', () => {
     it('should handle volunteer profile not found', async () => {
       userRepository.findById.mockResolvedValue(mockUser);
@@ -0,0 +1,243 @@
+/**
+ * Unit Tests for OAuth Service
+ */
+
+const oauthService = require('../../src/services/oauthService');
+const userRepository = require('../../src/database/repositories/userRepository');
+const oauthIdentityRepository = require('../../src/database/repositories/oauthIdentityRepository');
+const oauthLinkRequestRepository = require('../../src/database/repositories/oauthLinkRequestRepository');
+
+jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/oauthIdentityRepository');
+jest.mock('../../src/database/repositories/oauthLinkRequestRepository');
+
+describe('OAuthService', () => {
+  const profile = {
+    id: 'gh-12345',
+    displayName: 'Jamie Rivera',
+    name: { givenName: 'Jamie', familyName: 'Rivera' },
+    emails: [{ value: 'Jamie@Example.com' }],
+    photos: [{ value: 'https://example.com/avatar.png' }]
+  };
+
+  const user = { id: 'user_001', email: 'jamie@example.com', password: 'hashed' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GITHUB_CLIENT_ID = 'client-id';
+    process.env.GITHUB_CLIENT_SECRET = 'client-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.GITHUB_CLIENT_ID;
+    delete process.env.GITHUB_CLIENT_SECRET;
+  });
+
+  describe('signIn', () => {
+    it('should sign in the user a provider account is linked to', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue({ id: 'identity_001', user });
+
+      const result = await oauthService.handleCallback('github', profile);
+
+      expect(result).toEqual({ user, linked: false });
+      expect(oauthIdentityRepository.findByProviderAccount).toHaveBeenCalledWith('github', 'gh-12345');
+      expect(oauthIdentityRepository.touch).toHaveBeenCalledWith('identity_001');
+      expect(userRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to take over an existing account with the same email', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue(null);
+      userRepository.findByEmail.mockResolvedValue(user);
+
+      await expect(oauthService.signIn('github', profile)).rejects.toMatchObject({
+        code: 'oauth_email_exists'
+      });
+      expect(userRepository.findByEmail).toHaveBeenCalledWith('jamie@example.com');
+      expect(userRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should create a verified, passwordless account with the identity linked', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue(null);
+      userRepository.findByEmail.mockResolvedValue(null);
+      userRepository.findByUsername.mockResolvedValueOnce({ id: 'someone_else' }).mockResolvedValue(null);
+      userRepository.create.mockResolvedValue({ id: 'user_new' });
+
+      await oauthService.signIn('github', profile);
+
+      const created = userRepository.create.mock.calls[0][0];
+      expect(created.username).toMatch(/^jamie_[a-z0-9]+$/);
+      expect(created).toMatchObject({
+        email: 'jamie@example.com',
+        password: null,
+        verified: true,
+        identity: { provider: 'github', providerUserId: 'gh-12345', email: 'jamie@example.com' }
+      });
+      expect(userRepository.createProfile).toHaveBeenCalledWith('user_new', expect.objectContaining({
+        firstName: 'Jamie',
+        lastName: 'Rivera'
+      }));
+    });
+
+    it('should require an email from the provider', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue(null);
+
+      await expect(oauthService.signIn('github', { ...profile, emails: [] })).rejects.toMatchObject({
+        code: 'oauth_no_email'
+      });
+    });
+  });
+
+  describe('link', () => {
+    // Stands in for the stored link requests, keyed by token hash
+    let linkRequests;
+
+    beforeEach(() => {
+      linkRequests = new Map();
+      oauthLinkRequestRepository.replaceForUser.mockImplementation(async (request) => {
+        linkRequests.set(request.tokenHash, request);
+      });
+      oauthLinkRequestRepository.consume.mockImplementation(async (tokenHash) => {
+        const request = linkRequests.get(tokenHash) || null;
+        linkRequests.delete(tokenHash);
+        return request;
+      });
+    });
+
+    const linkState = async (provider = 'github') =>
+      (await oauthService.createLinkToken('user_001', provider)).data.linkToken;
+
+    it('should issue a random token and store only its hash', async () => {
+      const token = await linkState();
+
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(oauthLinkRequestRepository.replaceForUser).toHaveBeenCalledWith({
+        userId: 'user_001',
+        provider: 'github',
+        tokenHash: oauthService.hashToken(token),
+        expiresAt: expect.any(Date)
+      });
+      expect(linkRequests.has(token)).toBe(false);
+    });
+
+    it('should link a provider account to the user in the link token', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue(null);
+      oauthIdentityRepository.findByUser.mockResolvedValue([]);
+      userRepository.findById.mockResolvedValue(user);
+      const token = await linkState();
+
+      const result = await oauthService.handleCallback('github', profile, token, token);
+
+      expect(result).toEqual({ user, linked: true });
+      expect(oauthIdentityRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user_001',
+        provider: 'github',
+        providerUserId: 'gh-12345'
+      }));
+      expect(userRepository.findByEmail).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a provider account linked to another user', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue({ id: 'identity_009', userId: 'user_009' });
+      const token = await linkState();
+
+      await expect(oauthService.handleCallback('github', profile, token, token)).rejects.toMatchObject({
+        code: 'oauth_identity_in_use'
+      });
+      expect(oauthIdentityRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second account from the same provider', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue(null);
+      oauthIdentityRepository.findByUser.mockResolvedValue([{ id: 'identity_001', provider: 'github' }]);
+      const token = await linkState();
+
+      await expect(oauthService.handleCallback('github', profile, token, token)).rejects.toMatchObject({
+        code: 'oauth_provider_linked'
+      });
+    });
+
+    it('should reject invalid link tokens instead of signing in', async () => {
+      process.env.GOOGLE_CLIENT_ID = 'client-id';
+      process.env.GOOGLE_CLIENT_SECRET = 'client-secret';
+      const otherProvider = await linkState('google');
+      delete process.env.GOOGLE_CLIENT_ID;
+      delete process.env.GOOGLE_CLIENT_SECRET;
+
+      await expect(oauthService.handleCallback('github', profile, otherProvider, otherProvider)).rejects.toMatchObject({
+        code: 'oauth_link_expired'
+      });
+      await expect(oauthService.handleCallback('github', profile, 'garbage', 'garbage')).rejects.toMatchObject({
+        code: 'oauth_link_expired'
+      });
+      expect(oauthIdentityRepository.findByProviderAccount).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a link token completed in a browser that did not ask for it', async () => {
+      const token = await linkState();
+
+      await expect(oauthService.handleCallback('github', profile, token)).rejects.toMatchObject({
+        code: 'oauth_link_expired'
+      });
+      await expect(oauthService.handleCallback('github', profile, token, 'another-browser')).rejects.toMatchObject({
+        code: 'oauth_link_expired'
+      });
+      expect(oauthLinkRequestRepository.consume).not.toHaveBeenCalled();
+    });
+
+    it('should only accept a link token once', async () => {
+      oauthIdentityRepository.findByProviderAccount.mockResolvedValue(null);
+      oauthIdentityRepository.findByUser.mockResolvedValue([]);
+      userRepository.findById.mockResolvedValue(user);
+      const token = await linkState();
+
+      await oauthService.handleCallback('github', profile, token, token);
+
+      await expect(oauthService.handleCallback('github', profile, token, token)).rejects.toMatchObject({
+        code: 'oauth_link_expired'
+      });
+    });
+
+    it('should reject expired link requests', async () => {
+      const token = await linkState();
+      linkRequests.get(oauthService.hashToken(token)).expiresAt = new Date(Date.now() - 1000);
+
+      await expect(oauthService.handleCallback('github', profile, token, token)).rejects.toMatchObject({
+        code: 'oauth_link_expired'
+      });
+    });
+
+    it('should only issue link tokens for configured providers', async () => {
+      await expect(oauthService.createLinkToken('user_001', 'myspace')).rejects.toThrow('Unknown or unavailable provider');
+    });
+  });
+
+  describe('unlinkIdentity', () => {
+    it('should unlink an identity', async () => {
+      userRepository.findById.mockResolvedValue(user);
+      oauthIdentityRepository.findByUser.mockResolvedValue([{ id: 'identity_001', provider: 'github' }]);
+      oauthIdentityRepository.delete.mockResolvedValue(true);
+
+      const result = await oauthService.unlinkIdentity('user_001', 'identity_001');
+
+      expect(result.message).toBe('GitHub account unlinked');
+      expect(oauthIdentityRepository.delete).toHaveBeenCalledWith('identity_001', 'user_001');
+    });
+
+    it('should keep the last sign-in method of an account without a password', async () => {
+      userRepository.findById.mockResolvedValue({ ...user, password: null });
+      oauthIdentityRepository.findByUser.mockResolvedValue([{ id: 'identity_001', provider: 'github' }]);
+
+      await expect(oauthService.unlinkIdentity('user_001', 'identity_001'))
+        .rejects.toThrow('Set a password before unlinking your only sign-in method');
+      expect(oauthIdentityRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it('should report identities that belong to someone else', async () => {
+      userRepository.findById.mockResolvedValue(user);
+      oauthIdentityRepository.findByUser.mockResolvedValue([]);
+
+      await expect(oauthService.unlinkIdentity('user_001', 'identity_009'))
+        .rejects.toThrow('Linked account not found');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for Organization Service
+ */
+
+const organizationService = require('../../src/services/organizationService');
+const organizationRepository = require('../../src/database/repositories/organizationRepository');
+const userRepository = require('../../src/database/repositories/userRepository');
+
+jest.mock('../../src/database/repositories/organizationRepository');
+jest.mock('../../src/database/repositories/userRepository');
+
+describe('OrganizationService', () => {
+  const orgA = {
+    id: 'org_a',
+    name: 'Org A',
+    slug: 'org-a',
+    requireAdminTwoFactor: false,
+    createdAt: new Date()
+  };
+
+  const orgAdmin = {
+    id: 'admin_001',
+    role: 'admin',
+    superAdmin: false,
+    organizations: [{ id: 'org_a', name: 'Org A', slug: 'org-a' }]
+  };
+
+  const superAdmin = {
+    id: 'admin_002',
+    role: 'admin',
+    superAdmin: true,
+    organizations: []
+  };
+
+  const volunteer = {
+    id: 'user_001',
+    username: 'volunteer1',
+    email: 'volunteer1@example.com',
+    role: 'VOLUNTEER'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getOrganizations', () => {
+    it('should list only the organizations a member belongs to', async () => {
+      organizationRepository.findAll.mockResolvedValue([orgA]);
+
+      const result = await organizationService.getOrganizations(orgAdmin);
+
+      expect(organizationRepository.findAll).toHaveBeenCalledWith(['org_a']);
+      expect(result.data.organizations).toHaveLength(1);
+      expect(result.data.superAdmin).toBe(false);
+    });
+
+    it('should list every organization for super-admins', async () => {
+      organizationRepository.findAll.mockResolvedValue([orgA]);
+
+      const result = await organizationService.getOrganizations(superAdmin);
+
+      expect(organizationRepository.findAll).toHaveBeenCalledWith(null);
+      expect(result.data.superAdmin).toBe(true);
+    });
+  });
+
+  describe('createOrganization', () => {
+    it('should create an organization', async () => {
+      organizationRepository.findBySlug.mockResolvedValue(null);
+      organizationRepository.create.mockResolvedValue(orgA);
+
+      const result = await organizationService.createOrganization({ name: 'Org A', slug: 'org-a' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.slug).toBe('org-a');
+    });
+
+    it('should reject a slug that is already in use', async () => {
+      organizationRepository.findBySlug.mockResolvedValue(orgA);
+
+      await expect(organizationService.createOrganization({ name: 'Other', slug: 'org-a' }))
+        .rejects.toThrow('Organization slug already in use');
+      expect(organizationRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateOrganization', () => {
+    it('should let an admin update their own organization', async () => {
+      organizationRepository.findById.mockResolvedValue(orgA);
+      organizationRepository.update.mockResolvedValue({ ...orgA, name: 'Renamed' });
+
+      const result = await organizationService.updateOrganization('org_a', { name: 'Renamed' }, orgAdmin);
+
+      expect(organizationRepository.update).toHaveBeenCalledWith('org_a', { name: 'Renamed' });
+      expect(result.data.name).toBe('Renamed');
+    });
+
+    it('should hide organizations the admin does not belong to', async () => {
+      await expect(organizationService.updateOrganization('org_b', { name: 'Renamed' }, orgAdmin))
+        .rejects.toThrow('Organization not found');
+      expect(organizationRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should let super-admins update any organization', async () => {
+      organizationRepository.findById.mockResolvedValue({ ...orgA, id: 'org_b' });
+      organizationRepository.update.mockResolvedValue({ ...orgA, id: 'org_b' });
+
+      await organizationService.updateOrganization('org_b', { requireAdminTwoFactor: true }, superAdmin);
+
+      expect(organizationRepository.update).toHaveBeenCalledWith('org_b', { requireAdminTwoFactor: true });
+    });
+  });
+
+  describe('addMember', () => {
+    it('should add an existing user by email', async () => {
+      organizationRepository.findById.mockResolvedValue(orgA);
+      userRepository.findByEmail.mockResolvedValue(volunteer);
+      organizationRepository.addMember.mockResolvedValue({ createdAt: new Date(), user: volunteer });
+
+      const result = await organizationService.addMember('org_a', 'Volunteer1@Example.com', orgAdmin);
+
+      expect(userRepository.findByEmail).toHaveBeenCalledWith('volunteer1@example.com');
+      expect(organizationRepository.addMember).toHaveBeenCalledWith('org_a', 'user_001');
+      expect(result.data).toEqual(expect.objectContaining({ id: 'user_001', role: 'volunteer' }));
+    });
+
+    it('should handle unknown users', async () => {
+      organizationRepository.findById.mockResolvedValue(orgA);
+      userRepository.findByEmail.mockResolvedValue(null);
+
+      await expect(organizationService.addMember('org_a', 'nobody@example.com', orgAdmin))
+        .rejects.toThrow('User not found');
+    });
+  });
+
+  describe('removeMember', () => {
+    it('should remove a member who belongs to another organization too', async () => {
+      organizationRepository.findById.mockResolvedValue(orgA);
+      organizationRepository.findMembershipsByUser.mockResolvedValue([
+        { organizationId: 'org_a' },
+        { organizationId: 'org_b' }
+      ]);
+      organizationRepository.removeMember.mockResolvedValue(true);
+
+      const result = await organizationService.removeMember('org_a', 'user_001', orgAdmin);
+
+      expect(result.success).toBe(true);
+      expect(organizationRepository.removeMember).toHaveBeenCalledWith('org_a', 'user_001');
+    });
+
+    it('should keep users in at least one organization', async () => {
+      organizationRepository.findById.mockResolvedValue(orgA);
+      organizationRepository.findMembershipsByUser.mockResolvedValue([{ organizationId: 'org_a' }]);
+
+      await expect(organizationService.removeMember('org_a', 'user_001', orgAdmin))
+        .rejects.toThrow('Users must belong to at least one organization');
+      expect(organizationRepository.removeMember).not.toHaveBeenCalled();
+    });
+
+    it('should report users who are not members', async () => {
+      organizationRepository.findById.mockResolvedValue(orgA);
+      organizationRepository.findMembershipsByUser.mockResolvedValue([{ organizationId: 'org_b' }]);
+
+      await expect(organizationService.removeMember('org_a', 'user_001', orgAdmin))
+        .rejects.toThrow('User is not a member of this organization');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Personal Access Token Service
+ */
+
+const personalAccessTokenService = require('../../src/services/personalAccessTokenService');
+const personalAccessTokenRepository = require('../../src/database/repositories/personalAccessTokenRepository');
+
+jest.mock('../../src/database/repositories/personalAccessTokenRepository');
+
+describe('PersonalAccessTokenService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    personalAccessTokenRepository.create.mockImplementation(async (data) => ({
+      id: 'pat_001',
+      name: data.name,
+      tokenPrefix: data.tokenPrefix,
+      scopes: data.scopes,
+      expiresAt: data.expiresAt,
+      lastUsedAt: null,
+      createdAt: new Date()
+    }));
+  });
+
+  describe('createToken', () => {
+    it('should return the token once and store only its hash', async () => {
+      const result = await personalAccessTokenService.createToken('user_001', {
+        name: 'Inventory sync',
+        scopes: ['events:read', 'attendance:write']
+      });
+
+      const { token } = result.data;
+      expect(token).toMatch(/^jsp_/);
+      expect(personalAccessTokenService.isPersonalAccessToken(token)).toBe(true);
+
+      const stored = personalAccessTokenRepository.create.mock.calls[0][0];
+      expect(stored.tokenHash).toBe(personalAccessTokenService.hashToken(token));
+      expect(stored.tokenHash).not.toContain(token);
+      expect(stored.tokenPrefix).toBe(token.slice(0, 12));
+      expect(stored.expiresAt).toBeNull();
+    });
+
+    it('should set an expiry when requested', async () => {
+      const before = Date.now();
+
+      await personalAccessTokenService.createToken('user_001', {
+        name: 'Nightly export',
+        scopes: ['reports:read'],
+        expiresInDays: 30
+      });
+
+      const { expiresAt } = personalAccessTokenRepository.create.mock.calls[0][0];
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await expect(personalAccessTokenService.createToken('user_001', {
+        name: 'Too much',
+        scopes: ['events:read', 'admin:write']
+      })).rejects.toThrow('Unknown scope: admin:write');
+      expect(personalAccessTokenRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('should revoke the user\'s token', async () => {
+      personalAccessTokenRepository.revoke.mockResolvedValue(true);
+
+      const result = await personalAccessTokenService.revokeToken('user_001', 'pat_001');
+
+      expect(result.success).toBe(true);
+      expect(personalAccessTokenRepository.revoke).toHaveBeenCalledWith('pat_001', 'user_001');
+    });
+
+    it('should report tokens that do not exist or belong to someone else', async () => {
+      personalAccessTokenRepository.revoke.mockResolvedValue(false);
+
+      await expect(personalAccessTokenService.revokeToken('user_002', 'pat_001'))
+        .rejects.toThrow('Access token not found');
+    });
+  });
+
+  describe('verify', () => {
+    it('should return active tokens and record their use', async () => {
+      const record = { id: 'pat_001', scopes: ['events:read'], expiresAt: null, revokedAt: null };
+      personalAccessTokenRepository.findByHash.mockResolvedValue(record);
+      personalAccessTokenRepository.touch.mockResolvedValue({ count: 1 });
+
+      await expect(personalAccessTokenService.verify('jsp_abc')).resolves.toBe(record);
+      expect(personalAccessTokenRepository.findByHash)
+        .toHaveBeenCalledWith(personalAccessTokenService.hashToken('jsp_abc'));
+      expect(personalAccessTokenRepository.touch).toHaveBeenCalled();
+    });
+
+    it('should still authenticate if recording use fails', async () => {
+      const record = { id: 'pat_001', scopes: ['events:read'], expiresAt: null, revokedAt: null };
+      personalAccessTokenRepository.findByHash.mockResolvedValue(record);
+      personalAccessTokenRepository.touch.mockRejectedValue(new Error('Database error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(personalAccessTokenService.verify('jsp_abc')).resolves.toBe(record);
+    });
+
+    it('should ignore unknown tokens', async () => {
+      personalAccessTokenRepository.findByHash.mockResolvedValue(null);
+
+      await expect(personalAccessTokenService.verify('jsp_unknown')).resolves.toBeNull();
+    });
+  });
+
+  describe('scopes', () => {
+    it('should map requests to scopes by API area and method', () => {
+      expect(personalAccessTokenService.requiredScope('/api/events', 'GET')).toBe('events:read');
+      expect(personalAccessTokenService.requiredScope('/api/attendance', 'POST')).toBe('attendance:write');
+      expect(personalAccessTokenService.requiredScope('/api/admin/reporting', 'GET')).toBe('reports:read');
+      expect(personalAccessTokenService.requiredScope('/api/auth', 'POST')).toBeNull();
+      expect(personalAccessTokenService.requiredScope('/api/admin', 'GET')).toBeNull();
+    });
+
+    it('should let write scopes read', () => {
+      expect(personalAccessTokenService.hasScope(['events:write'], 'events:read')).toBe(true);
+      expect(personalAccessTokenService.hasScope(['events:read'], 'events:write')).toBe(false);
+      expect(personalAccessTokenService.hasScope(['events:write'], 'attendance:read')).toBe(false);
+      expect(personalAccessTokenService.hasScope(['events:write'], null)).toBe(false);
+    });
+  });
+});
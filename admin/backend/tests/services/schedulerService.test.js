@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Scheduler Service
+ */
+
+const scheduler = require('../../src/services/schedulerService');
+const jobLockRepository = require('../../src/database/repositories/jobLockRepository');
+
+jest.mock('../../src/database/repositories/jobLockRepository');
+
+describe('SchedulerService', () => {
+  const task = jest.fn();
+
+  beforeAll(() => {
+    scheduler.register('test-job', { intervalMs: 60 * 1000, timeoutMs: 10 * 1000, task });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    task.mockResolvedValue();
+    jobLockRepository.acquire.mockResolvedValue(true);
+    jobLockRepository.release.mockResolvedValue({ count: 1 });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    console.error.mockRestore();
+    jest.useRealTimers();
+  });
+
+  describe('runJob', () => {
+    it('should run the job while holding its lock', async () => {
+      const before = Date.now();
+
+      const ran = await scheduler.runJob('test-job');
+
+      expect(ran).toBe(true);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      const [name, owner, lockedUntil] = jobLockRepository.acquire.mock.calls[0];
+      expect(name).toBe('test-job');
+      expect(owner).toBe(scheduler.instanceId);
+      expect(lockedUntil.getTime()).toBeGreaterThanOrEqual(before + 10 * 1000);
+    });
+
+    it('should keep the job claimed until shortly before the next run', async () => {
+      const before = Date.now();
+
+      await scheduler.runJob('test-job');
+
+      const [, owner, lockedUntil] = jobLockRepository.release.mock.calls[0];
+      expect(owner).toBe(scheduler.instanceId);
+      expect(lockedUntil.getTime()).toBeGreaterThanOrEqual(before + 54 * 1000);
+      expect(lockedUntil.getTime()).toBeLessThan(before + 60 * 1000);
+    });
+
+    it('should skip the job when another instance holds it', async () => {
+      jobLockRepository.acquire.mockResolvedValue(false);
+
+      const ran = await scheduler.runJob('test-job');
+
+      expect(ran).toBe(false);
+      expect(task).not.toHaveBeenCalled();
+      expect(jobLockRepository.release).not.toHaveBeenCalled();
+    });
+
+    it('should log a failing job and still release it', async () => {
+      task.mockRejectedValue(new Error('Database unavailable'));
+
+      const ran = await scheduler.runJob('test-job');
+
+      expect(ran).toBe(true);
+      expect(console.error).toHaveBeenCalledWith('Job test-job failed:', 'Database unavailable');
+      expect(jobLockRepository.release).toHaveBeenCalled();
+    });
+
+    it('should not run when the lock cannot be checked', async () => {
+      jobLockRepository.acquire.mockRejectedValue(new Error('Connection refused'));
+
+      const ran = await scheduler.runJob('test-job');
+
+      expect(ran).toBe(false);
+      expect(task).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown job', async () => {
+      await expect(scheduler.runJob('missing-job')).rejects.toThrow('Unknown job: missing-job');
+    });
+  });
+
+  describe('register', () => {
+    it('should refuse a duplicate job name', () => {
+      expect(() => scheduler.register('test-job', { intervalMs: 1000, task }))
+        .toThrow('Job test-job is already registered');
+    });
+  });
+
+  describe('start', () => {
+    it('should run each job on its interval until stopped', async () => {
+      jest.useFakeTimers();
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+
+      expect(task).toHaveBeenCalledTimes(2);
+
+      scheduler.stop();
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Session Service
+ */
+
+const sessionService = require('../../src/services/sessionService');
+const sessionRepository = require('../../src/database/repositories/sessionRepository');
+const refreshTokenRepository = require('../../src/database/repositories/refreshTokenRepository');
+const userRepository = require('../../src/database/repositories/userRepository');
+
+jest.mock('../../src/database/repositories/sessionRepository');
+jest.mock('../../src/database/repositories/refreshTokenRepository');
+jest.mock('../../src/database/repositories/userRepository');
+
+describe('SessionService', () => {
+  const session = {
+    id: 'session_001',
+    userId: 'user_001',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0',
+    ipAddress: '203.0.113.7',
+    lastSeenAt: new Date(),
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('listSessions', () => {
+    it('should mark the session making the request', async () => {
+      sessionRepository.findActiveByUser.mockResolvedValue([
+        session,
+        { ...session, id: 'session_002' }
+      ]);
+
+      const result = await sessionService.listSessions('user_001', 'session_002');
+
+      expect(result.data.sessions.map(s => s.current)).toEqual([false, true]);
+      expect(result.data.sessions[0]).not.toHaveProperty('revokedAt');
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should sign out the session and its refresh tokens', async () => {
+      sessionRepository.revoke.mockResolvedValue(true);
+
+      const result = await sessionService.revokeSession('user_001', 'session_001');
+
+      expect(result.success).toBe(true);
+      expect(sessionRepository.revoke).toHaveBeenCalledWith('session_001', 'user_001');
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('session_001');
+    });
+
+    it('should report sessions that do not exist or belong to someone else', async () => {
+      sessionRepository.revoke.mockResolvedValue(false);
+
+      await expect(sessionService.revokeSession('user_002', 'session_001'))
+        .rejects.toThrow('Session not found');
+      expect(refreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forceSignOut', () => {
+    it('should end every session the user has', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'user_001' });
+
+      await sessionService.forceSignOut('user_001');
+
+      expect(refreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
+      expect(sessionRepository.revokeAllForUser).toHaveBeenCalledWith('user_001');
+    });
+
+    it('should reject unknown users', async () => {
+      userRepository.findById.mockResolvedValue(null);
+
+      await expect(sessionService.forceSignOut('missing')).rejects.toThrow('User not found');
+      expect(sessionRepository.revokeAllForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verify', () => {
+    it('should reject sessions that no longer exist', async () => {
+      sessionRepository.findById.mockResolvedValue(null);
+
+      await expect(sessionService.verify('session_001')).resolves.toBe(false);
+      expect(sessionRepository.touch).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired sessions', async () => {
+      sessionRepository.findById.mockResolvedValue({ ...session, expiresAt: new Date(Date.now() - 1000) });
+
+      await expect(sessionService.verify('session_001')).resolves.toBe(false);
+    });
+
+    it('should still authenticate if recording activity fails', async () => {
+      sessionRepository.findById.mockResolvedValue({ ...session, lastSeenAt: new Date(0) });
+      sessionRepository.touch.mockRejectedValue(new Error('Database error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(sessionService.verify('session_001')).resolves.toBe(true);
+
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Shift Service
+ */
+
+const shiftService = require('../../src/services/shiftService');
+const eventRepository = require('../../src/database/repositories/eventRepository');
+const shiftRepository = require('../../src/database/repositories/shiftRepository');
+const skillRepository = require('../../src/database/repositories/skillRepository');
+
+jest.mock('../../src/database/repositories/eventRepository');
+jest.mock('../../src/database/repositories/shiftRepository');
+jest.mock('../../src/database/repositories/skillRepository');
+
+describe('ShiftService', () => {
+  const event = {
+    id: 'event_001',
+    startDate: new Date('2026-07-04T08:00:00Z'),
+    endDate: new Date('2026-07-04T16:00:00Z')
+  };
+
+  const shift = {
+    id: 'shift_am',
+    name: 'Morning',
+    startDate: new Date('2026-07-04T08:00:00Z'),
+    endDate: new Date('2026-07-04T12:00:00Z'),
+    positions: [
+      { id: 'pos_driver', name: 'Driver', capacity: 4, filled: 2, skillId: null, skill: null, minLevel: 'BEGINNER' },
+      { id: 'pos_medic', name: 'First Aid', capacity: 2, filled: 0, skillId: 'skill_cpr', skill: { id: 'skill_cpr', name: 'First Aid/CPR' }, minLevel: 'INTERMEDIATE' }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventRepository.findById.mockResolvedValue(event);
+    shiftRepository.findById.mockResolvedValue(shift);
+    shiftRepository.findByEvent.mockResolvedValue([shift]);
+    skillRepository.findById.mockResolvedValue({ id: 'skill_cpr' });
+  });
+
+  describe('createShift', () => {
+    const shiftData = {
+      name: 'Morning',
+      startDate: '2026-07-04T08:00:00Z',
+      endDate: '2026-07-04T12:00:00Z',
+      positions: [
+        { name: 'Driver', capacity: 4 },
+        { name: 'First Aid', capacity: 2, skillId: 'skill_cpr', minLevel: 'intermediate' }
+      ]
+    };
+
+    it('should create a shift and set the event headcount to its places', async () => {
+      shiftRepository.create.mockResolvedValue(shift);
+
+      const result = await shiftService.createShift('event_001', shiftData);
+
+      expect(shiftRepository.create).toHaveBeenCalledWith('event_001', expect.objectContaining({ name: 'Morning' }), shiftData.positions);
+      expect(eventRepository.update).toHaveBeenCalledWith('event_001', { maxVolunteers: 6 });
+      expect(result.data.positions[0]).toMatchObject({ name: 'Driver', spotsRemaining: 2 });
+      expect(result.data.positions[1].skill.name).toBe('First Aid/CPR');
+    });
+
+    it('should reject a shift outside the event', async () => {
+      await expect(shiftService.createShift('event_001', { ...shiftData, endDate: '2026-07-04T17:00:00Z' }))
+        .rejects.toThrow("Shift must fall within the event's start and end times");
+    });
+
+    it('should reject a shift that ends before it starts', async () => {
+      await expect(shiftService.createShift('event_001', { ...shiftData, endDate: '2026-07-04T07:00:00Z' }))
+        .rejects.toThrow('Shift must end after it starts');
+    });
+
+    it('should reject an unknown skill', async () => {
+      skillRepository.findById.mockResolvedValue(null);
+
+      await expect(shiftService.createShift('event_001', shiftData))
+        .rejects.toThrow('Skill with ID skill_cpr not found');
+      expect(shiftRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should handle event not found', async () => {
+      eventRepository.findById.mockResolvedValue(null);
+
+      await expect(shiftService.createShift('missing', shiftData)).rejects.toThrow('Event not found');
+    });
+  });
+
+  describe('updateShift', () => {
+    it('should add, change and remove positions', async () => {
+      shiftRepository.update.mockResolvedValue(shift);
+
+      await shiftService.updateShift('event_001', 'shift_am', {
+        positions: [
+          { id: 'pos_driver', capacity: 5 },
+          { name: 'Cleanup', capacity: 3 }
+        ]
+      });
+
+      expect(shiftRepository.update).toHaveBeenCalledWith('shift_am', {}, {
+        create: [{ name: 'Cleanup', capacity: 3 }],
+        update: [{ id: 'pos_driver', capacity: 5 }],
+        remove: ['pos_medic']
+      });
+      expect(eventRepository.update).toHaveBeenCalled();
+    });
+
+    it('should not lower a capacity below the volunteers signed up', async () => {
+      await expect(shiftService.updateShift('event_001', 'shift_am', {
+        positions: [{ id: 'pos_driver', capacity: 1 }, { id: 'pos_medic' }]
+      })).rejects.toThrow('Driver already has 2 volunteers signed up; capacity cannot be lower');
+    });
+
+    it('should not remove a position with volunteers', async () => {
+      await expect(shiftService.updateShift('event_001', 'shift_am', {
+        positions: [{ id: 'pos_medic' }]
+      })).rejects.toThrow('Driver has volunteers signed up and cannot be removed');
+    });
+
+    it('should handle shift not found', async () => {
+      shiftRepository.findById.mockResolvedValue(null);
+
+      await expect(shiftService.updateShift('event_001', 'missing', { name: 'Late' }))
+        .rejects.toThrow('Shift not found');
+    });
+  });
+
+  describe('deleteShift', () => {
+    it('should delete a shift without signups', async () => {
+      shiftRepository.countSignups.mockResolvedValue(0);
+
+      const result = await shiftService.deleteShift('event_001', 'shift_am');
+
+      expect(shiftRepository.delete).toHaveBeenCalledWith('shift_am');
+      expect(result.success).toBe(true);
+    });
+
+    it('should refuse to delete a shift with signups', async () => {
+      shiftRepository.countSignups.mockResolvedValue(2);
+
+      await expect(shiftService.deleteShift('event_001', 'shift_am'))
+        .rejects.toThrow('Shift has volunteers signed up');
+      expect(shiftRepository.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit Tests for Two-Factor Service
+ */
+
+const twoFactorService = require('../../src/services/twoFactorService');
+const totp = require('../../src/utils/totp');
+const userRepository = require('../../src/database/repositories/userRepository');
+const twoFactorRepository = require('../../src/database/repositories/twoFactorRepository');
+const organizationRepository = require('../../src/database/repositories/organizationRepository');
+const bcrypt = require('bcryptjs');
+
+jest.mock('bcryptjs');
+jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/twoFactorRepository');
+jest.mock('../../src/database/repositories/organizationRepository');
+
+describe('TwoFactorService', () => {
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  const buildUser = (overrides = {}) => ({
+    id: 'admin_001',
+    email: 'admin@example.com',
+    password: 'hashedPassword',
+    role: 'ADMIN',
+    twoFactorEnabled: false,
+    twoFactorSecret: twoFactorService.encryptSecret(secret),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    twoFactorRepository.recordStep.mockResolvedValue(true);
+    organizationRepository.requiresAdminTwoFactor.mockResolvedValue(false);
+  });
+
+  describe('encryptSecret', () => {
+    it('should round-trip the secret without storing it in plain text', () => {
+      const stored = twoFactorService.encryptSecret(secret);
+
+      expect(stored).not.toContain(secret);
+      expect(twoFactorService.decryptSecret(stored)).toBe(secret);
+    });
+  });
+
+  describe('beginSetup', () => {
+    it('should store an encrypted secret and return QR provisioning data', async () => {
+      userRepository.findById.mockResolvedValue(buildUser({ twoFactorSecret: null }));
+
+      const result = await twoFactorService.beginSetup('admin_001');
+
+      expect(result.data.otpauthUrl).toContain(`secret=${result.data.secret}`);
+      expect(result.data.qrCode).toMatch(/^data:image\/png;base64,/);
+      const stored = userRepository.update.mock.calls[0][1].twoFactorSecret;
+      expect(twoFactorService.decryptSecret(stored)).toBe(result.data.secret);
+    });
+
+    it('should reject users who already have 2FA enabled', async () => {
+      userRepository.findById.mockResolvedValue(buildUser({ twoFactorEnabled: true }));
+
+      await expect(twoFactorService.beginSetup('admin_001'))
+        .rejects.toThrow('Two-factor authentication is already enabled');
+    });
+  });
+
+  describe('enable', () => {
+    it('should enable 2FA and return recovery codes for a valid code', async () => {
+      userRepository.findById.mockResolvedValue(buildUser());
+
+      const result = await twoFactorService.enable('admin_001', totp.generateCode(secret));
+
+      expect(userRepository.update).toHaveBeenCalledWith('admin_001', { twoFactorEnabled: true });
+      expect(result.data.recoveryCodes).toHaveLength(10);
+      expect(result.data.recoveryCodes[0]).toMatch(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/);
+
+      // Only hashes are persisted
+      const [, storedHashes] = twoFactorRepository.replaceRecoveryCodes.mock.calls[0];
+      expect(storedHashes[0]).toBe(twoFactorService.hashRecoveryCode(result.data.recoveryCodes[0]));
+    });
+
+    it('should reject an invalid code', async () => {
+      userRepository.findById.mockResolvedValue(buildUser());
+
+      await expect(twoFactorService.enable('admin_001', '000000'))
+        .rejects.toThrow('Invalid verification code');
+      expect(userRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject when setup was not started', async () => {
+      userRepository.findById.mockResolvedValue(buildUser({ twoFactorSecret: null }));
+
+      await expect(twoFactorService.enable('admin_001', '123456'))
+        .rejects.toThrow('Two-factor setup has not been started');
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('should accept a current TOTP code', async () => {
+      const user = buildUser({ twoFactorEnabled: true });
+
+      await expect(twoFactorService.verifyCode(user, totp.generateCode(secret))).resolves.toBe(true);
+      expect(twoFactorRepository.useRecoveryCode).not.toHaveBeenCalled();
+    });
+
+    it('should reject a replayed TOTP code', async () => {
+      const user = buildUser({ twoFactorEnabled: true });
+      twoFactorRepository.recordStep.mockResolvedValue(false);
+      twoFactorRepository.useRecoveryCode.mockResolvedValue(false);
+
+      await expect(twoFactorService.verifyCode(user, totp.generateCode(secret))).resolves.toBe(false);
+    });
+
+    it('should fall back to recovery codes, ignoring case and separators', async () => {
+      const user = buildUser({ twoFactorEnabled: true });
+      twoFactorRepository.useRecoveryCode.mockResolvedValue(true);
+
+      await expect(twoFactorService.verifyCode(user, 'abcd-efgh')).resolves.toBe(true);
+      expect(twoFactorRepository.useRecoveryCode).toHaveBeenCalledWith(
+        'admin_001',
+        twoFactorService.hashRecoveryCode('ABCDEFGH')
+      );
+    });
+  });
+
+  describe('disable', () => {
+    it('should disable 2FA with password and code', async () => {
+      userRepository.findById.mockResolvedValue(buildUser({ twoFactorEnabled: true }));
+      bcrypt.compare.mockResolvedValue(true);
+
+      const result = await twoFactorService.disable('admin_001', 'Password123!', totp.generateCode(secret));
+
+      expect(result.success).toBe(true);
+      expect(userRepository.update).toHaveBeenCalledWith('admin_001', {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null
+      });
+      expect(twoFactorRepository.deleteRecoveryCodes).toHaveBeenCalledWith('admin_001');
+    });
+
+    it('should refuse when organization policy requires 2FA for admins', async () => {
+      userRepository.findById.mockResolvedValue(buildUser({ twoFactorEnabled: true }));
+      organizationRepository.requiresAdminTwoFactor.mockResolvedValue(true);
+
+      await expect(twoFactorService.disable('admin_001', 'Password123!', totp.generateCode(secret)))
+        .rejects.toThrow('Two-factor authentication is required for admin accounts');
+    });
+
+    it('should reject a wrong password', async () => {
+      userRepository.findById.mockResolvedValue(buildUser({ twoFactorEnabled: true }));
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(twoFactorService.disable('admin_001', 'wrong', totp.generateCode(secret)))
+        .rejects.toThrow('Invalid password or verification code');
+      expect(userRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isSetupRequired', () => {
+    it('should require setup for admins without 2FA when policy is on', async () => {
+      organizationRepository.requiresAdminTwoFactor.mockResolvedValue(true);
+
+      await expect(twoFactorService.isSetupRequired(buildUser())).resolves.toBe(true);
+      await expect(twoFactorService.isSetupRequired(buildUser({ twoFactorEnabled: true }))).resolves.toBe(false);
+    });
+
+    it('should never require setup for volunteers', async () => {
+      organizationRepository.requiresAdminTwoFactor.mockResolvedValue(true);
+
+      await expect(twoFactorService.isSetupRequired(buildUser({ role: 'VOLUNTEER' }))).resolves.toBe(false);
+      expect(organizationRepository.requiresAdminTwoFactor).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for Waitlist Service
+ */
+
+const waitlistService = require('../../src/services/waitlistService');
+const eventService = require('../../src/services/eventService');
+const eventRepository = require('../../src/database/repositories/eventRepository');
+const userRepository = require('../../src/database/repositories/userRepository');
+const waitlistRepository = require('../../src/database/repositories/waitlistRepository');
+const notificationRepository = require('../../src/database/repositories/notificationRepository');
+const emailService = require('../../src/services/emailService');
+const eventLifecycleService = require('../../src/services/eventLifecycleService');
+
+jest.mock('../../src/services/eventService');
+jest.mock('../../src/services/emailService');
+jest.mock('../../src/services/eventLifecycleService');
+jest.mock('../../src/database/repositories/eventRepository');
+jest.mock('../../src/database/repositories/userRepository');
+jest.mock('../../src/database/repositories/waitlistRepository');
+jest.mock('../../src/database/repositories/notificationRepository');
+
+describe('WaitlistService', () => {
+  const event = {
+    id: 'event_001',
+    title: 'Food Drive',
+    status: 'PUBLISHED',
+    startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    maxVolunteers: 10,
+    currentVolunteers: 10
+  };
+
+  const entry = (overrides = {}) => ({
+    id: 'wait_1',
+    eventId: 'event_001',
+    volunteerId: 'user_001',
+    position: 1,
+    status: 'WAITING',
+    notes: null,
+    offeredAt: null,
+    offerExpiresAt: null,
+    createdAt: new Date(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventRepository.findById.mockResolvedValue(event);
+    waitlistRepository.findExpiredOffers.mockResolvedValue([]);
+    waitlistRepository.countHeldOffers.mockResolvedValue(0);
+    waitlistRepository.offerOpenPlaces.mockResolvedValue([]);
+    userRepository.findById.mockResolvedValue({ id: 'user_001', email: 'vol@example.com', username: 'vol' });
+    eventLifecycleService.signupsOpen.mockReturnValue(true);
+    eventLifecycleService.signupCutoffHours.mockReturnValue(1);
+  });
+
+  describe('join', () => {
+    it('should add the volunteer to the back of the line', async () => {
+      waitlistRepository.findEntry.mockResolvedValue(null);
+      waitlistRepository.add.mockResolvedValue(entry({ position: 4 }));
+
+      const result = await waitlistService.join('event_001', 'user_001', 'Happy to help');
+
+      expect(waitlistRepository.add).toHaveBeenCalledWith('event_001', 'user_001', 'Happy to help');
+      expect(result.message).toBe('Event is full; you are number 4 on the waitlist');
+      expect(result.data).toMatchObject({ waitlisted: true, position: 4, status: 'waiting' });
+    });
+
+    it('should not add a volunteer twice', async () => {
+      waitlistRepository.findEntry.mockResolvedValue(entry());
+
+      await expect(waitlistService.join('event_001', 'user_001'))
+        .rejects.toThrow('You are already on the waitlist for this event');
+      expect(waitlistRepository.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('promote', () => {
+    it('should offer each open place to the next volunteer in line', async () => {
+      eventRepository.findById.mockResolvedValue({ ...event, currentVolunteers: 8 });
+      waitlistRepository.offerOpenPlaces.mockImplementation(async (eventId, offerExpiresAt) => [
+        entry({ status: 'OFFERED', offerExpiresAt }),
+        entry({ id: 'wait_2', volunteerId: 'user_002', position: 2, status: 'OFFERED', offerExpiresAt })
+      ]);
+
+      const offered = await waitlistService.promote('event_001');
+
+      expect(offered).toHaveLength(2);
+      expect(waitlistRepository.offerOpenPlaces).toHaveBeenCalledWith('event_001', expect.any(Date));
+      expect(notificationRepository.create).toHaveBeenCalledTimes(2);
+      expect(emailService.sendNotificationEmail).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not notify anyone when no place could be offered', async () => {
+      eventRepository.findById.mockResolvedValue({ ...event, currentVolunteers: 9 });
+
+      const offered = await waitlistService.promote('event_001');
+
+      expect(offered).toHaveLength(0);
+      expect(notificationRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep an offer within the time before signups close', async () => {
+      const soon = new Date(Date.now() + 3 * 60 * 60 * 1000);
+      const signupsClose = new Date(soon.getTime() - 60 * 60 * 1000);
+      eventRepository.findById.mockResolvedValue({ ...event, currentVolunteers: 9, startDate: soon });
+      waitlistRepository.offerOpenPlaces.mockResolvedValue([entry({ status: 'OFFERED', offerExpiresAt: signupsClose })]);
+
+      await waitlistService.promote('event_001');
+
+      expect(waitlistRepository.offerOpenPlaces).toHaveBeenCalledWith('event_001', signupsClose);
+    });
+
+    it('should not offer places once signups have closed', async () => {
+      eventRepository.findById.mockResolvedValue({ ...event, currentVolunteers: 8 });
+      eventLifecycleService.signupsOpen.mockReturnValue(false);
+
+      const offered = await waitlistService.promote('event_001');
+
+      expect(offered).toHaveLength(0);
+      expect(waitlistRepository.offerOpenPlaces).not.toHaveBeenCalled();
+    });
+
+    it('should not offer places for an event that is not open', async () => {
+      eventRepository.findById.mockResolvedValue({ ...event, status: 'CANCELLED', currentVolunteers: 0 });
+
+      const offered = await waitlistService.promote('event_001');
+
+      expect(offered).toHaveLength(0);
+      expect(waitlistRepository.offerOpenPlaces).not.toHaveBeenCalled();
+    });
+
+    it('should drop lapsed offers before offering places', async () => {
+      const lapsed = entry({ status: 'OFFERED', offerExpiresAt: new Date(Date.now() - 1000), event });
+      waitlistRepository.findExpiredOffers.mockResolvedValue([lapsed]);
+
+      await waitlistService.promote('event_001');
+
+      expect(waitlistRepository.remove).toHaveBeenCalledWith(lapsed);
+      expect(notificationRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Offer expired: Food Drive' })
+      );
+    });
+  });
+
+  describe('getVolunteerEntries', () => {
+    it('should list upcoming waitlists with their events', async () => {
+      const past = { ...event, id: 'event_past', startDate: new Date(Date.now() - 1000) };
+      waitlistRepository.findByVolunteer.mockResolvedValue([
+        entry({ event }),
+        entry({ id: 'wait_9', eventId: 'event_past', event: past })
+      ]);
+
+      const result = await waitlistService.getVolunteerEntries('user_001');
+
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0]).toMatchObject({ position: 1, event: { id: 'event_001', title: 'Food Drive' } });
+    });
+  });
+
+  describe('confirmOffer', () => {
+    it('should assign the volunteer to the held place', async () => {
+      waitlistRepository.findEntry.mockResolvedValue(entry({
+        status: 'OFFERED',
+        notes: 'Evenings only',
+        offerExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      }));
+      eventService.assignVolunteer.mockResolvedValue({ success: true, data: { id: 'assign_1' } });
+
+      const result = await waitlistService.confirmOffer('event_001', 'user_001');
+
+      expect(eventService.assignVolunteer).toHaveBeenCalledWith('event_001', 'user_001', expect.objectContaining({
+        notes: 'Evenings only'
+      }));
+      expect(result.data.id).toBe('assign_1');
+    });
+
+    it('should refuse an expired offer', async () => {
+      waitlistRepository.findEntry.mockResolvedValue(entry({
+        status: 'OFFERED',
+        offerExpiresAt: new Date(Date.now() - 1000)
+      }));
+
+      await expect(waitlistService.confirmOffer('event_001', 'user_001'))
+        .rejects.toThrow('Your offer has expired');
+      expect(eventService.assignVolunteer).not.toHaveBeenCalled();
+    });
+
+    it('should refuse when no place has been offered', async () => {
+      waitlistRepository.findEntry.mockResolvedValue(entry());
+
+      await expect(waitlistService.confirmOffer('event_001', 'user_001'))
+        .rejects.toThrow('You have not been offered a place yet');
+    });
+  });
+
+  describe('leave', () => {
+    it('should pass a declined offer to the next volunteer', async () => {
+      const offered = entry({ status: 'OFFERED', offerExpiresAt: new Date(Date.now() + 1000) });
+      waitlistRepository.findEntry.mockResolvedValue(offered);
+      eventRepository.findById.mockResolvedValue({ ...event, currentVolunteers: 9 });
+      waitlistRepository.offerOpenPlaces.mockResolvedValue([
+        entry({ id: 'wait_2', volunteerId: 'user_002', status: 'OFFERED', offerExpiresAt: new Date() })
+      ]);
+
+      const result = await waitlistService.leave('event_001', 'user_001');
+
+      expect(waitlistRepository.remove).toHaveBeenCalledWith(offered);
+      expect(waitlistRepository.offerOpenPlaces).toHaveBeenCalledWith('event_001', expect.any(Date));
+      expect(result.message).toBe('Offer declined');
+    });
+
+    it('should handle a volunteer not on the waitlist', async () => {
+      waitlistRepository.findEntry.mockResolvedValue(null);
+
+      await expect(waitlistService.leave('event_001', 'user_001'))
+        .rejects.toThrow('You are not on the waitlist for this event');
+    });
+  });
+
+  describe('reorder', () => {
+    it('should move the volunteer to the new position', async () => {
+      const current = entry({ position: 3 });
+      waitlistRepository.findEntry.mockResolvedValue(current);
+      waitlistRepository.countByEvent.mockResolvedValue(3);
+      waitlistRepository.findByEvent.mockResolvedValue([]);
+
+      const result = await waitlistService.reorder('event_001', 'user_001', 1);
+
+      expect(waitlistRepository.move).toHaveBeenCalledWith(current, 1);
+      expect(result.message).toBe('Waitlist updated successfully');
+    });
+
+    it('should reject a position past the end of the line', async () => {
+      waitlistRepository.findEntry.mockResolvedValue(entry());
+      waitlistRepository.countByEvent.mockResolvedValue(2);
+
+      await expect(waitlistService.reorder('event_001', 'user_001', 5))
+        .rejects.toThrow('Position must be between 1 and 2');
+      expect(waitlistRepository.move).not.toHaveBeenCalled();
+    });
+  });
+});
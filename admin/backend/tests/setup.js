@@ -3,9 +3,14 @@
  * Global setup for Jest tests
  */
 
+const path = require('path');
+
 // Increase timeout for integration tests
 jest.setTimeout(10000);
 
+// Geocode against the small sample of ZIP centroids, not the national file
+process.env.ZIP_CENTROIDS_FILE = path.join(__dirname, 'fixtures/zip-centroids.csv');
+
 // Mock console methods to reduce noise during tests
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
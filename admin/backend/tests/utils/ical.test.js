@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for iCalendar utility
+ */
+
+const ical = require('../../src/utils/ical');
+
+describe('ICal', () => {
+  const event = {
+    uid: 'assignment-001',
+    start: new Date('2030-06-01T09:00:00.000Z'),
+    end: new Date('2030-06-01T12:00:00.000Z'),
+    summary: 'Beach Cleanup',
+    location: '1 Ocean Drive, Galveston, TX 77550',
+    description: 'Bring gloves',
+    status: 'CONFIRMED'
+  };
+
+  const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+  describe('escapeText', () => {
+    it('should escape backslashes, separators and newlines', () => {
+      expect(ical.escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+    });
+
+    it('should treat missing values as empty text', () => {
+      expect(ical.escapeText(null)).toBe('');
+    });
+  });
+
+  describe('formatDate', () => {
+    it('should format dates in UTC without separators', () => {
+      expect(ical.formatDate('2030-06-01T09:05:30.250Z')).toBe('20300601T090530Z');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(ical.foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('should fold long lines to 75 octets without splitting characters', () => {
+      const line = `DESCRIPTION:${'é'.repeat(100)}`;
+
+      const folded = ical.foldLine(line);
+      const physicalLines = folded.split('\r\n');
+
+      expect(physicalLines.length).toBeGreaterThan(1);
+      physicalLines.forEach(physical => {
+        expect(Buffer.byteLength(physical)).toBeLessThanOrEqual(75);
+      });
+      physicalLines.slice(1).forEach(physical => expect(physical.startsWith(' ')).toBe(true));
+      expect(folded.replace(/\r\n /g, '')).toBe(line);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should build a published calendar with CRLF line endings', () => {
+      const calendar = ical.buildCalendar({ name: 'My shifts', events: [event] });
+
+      expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(calendar).toContain('METHOD:PUBLISH\r\n');
+      expect(calendar).toContain('X-WR-CALNAME:My shifts\r\n');
+      expect(calendar.replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    it('should write each event with a stable UID and its details', () => {
+      const calendar = unfold(ical.buildCalendar({ name: 'My shifts', events: [event] }));
+
+      expect(calendar).toContain('UID:assignment-001@jacs-shiftpilot\r\n');
+      expect(calendar).toContain('DTSTART:20300601T090000Z\r\n');
+      expect(calendar).toContain('DTEND:20300601T120000Z\r\n');
+      expect(calendar).toContain('SUMMARY:Beach Cleanup\r\n');
+      expect(calendar).toContain('LOCATION:1 Ocean Drive\\, Galveston\\, TX 77550\r\n');
+      expect(calendar).toContain('DESCRIPTION:Bring gloves\r\n');
+      expect(calendar).toContain('STATUS:CONFIRMED\r\nTRANSP:OPAQUE\r\n');
+    });
+
+    it('should mark cancelled events as cancelled and free time', () => {
+      const calendar = ical.buildCalendar({ name: 'My shifts', events: [{ ...event, status: 'CANCELLED' }] });
+
+      expect(calendar).toContain('STATUS:CANCELLED\r\nTRANSP:TRANSPARENT\r\n');
+    });
+
+    it('should build an empty calendar when there are no events', () => {
+      const calendar = ical.buildCalendar({ name: 'My shifts' });
+
+      expect(calendar).not.toContain('BEGIN:VEVENT');
+    });
+  });
+
+  describe('parseEvents', () => {
+    it('should read back a calendar it built', () => {
+      const description = `Line one\nLine two ${'é'.repeat(60)}`;
+      const calendar = ical.buildCalendar({ name: 'My shifts', events: [{ ...event, description }] });
+
+      const [parsed] = ical.parseEvents(calendar);
+
+      expect(parsed).toMatchObject({
+        uid: 'assignment-001@jacs-shiftpilot',
+        summary: 'Beach Cleanup',
+        description,
+        location: '1 Ocean Drive, Galveston, TX 77550',
+        start: event.start,
+        end: event.end,
+        allDay: false,
+        status: 'CONFIRMED',
+        recurring: false
+      });
+    });
+
+    it('should read local times, durations and all-day dates', () => {
+      const [local, allDay] = ical.parseEvents([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'SUMMARY:Pantry',
+        'DTSTART;TZID="America/Chicago":20300601T090000',
+        'DURATION:PT2H30M',
+        'RRULE:FREQ=WEEKLY',
+        'BEGIN:VALARM',
+        'DESCRIPTION:Reminder',
+        'END:VALARM',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Festival',
+        'DTSTART;VALUE=DATE:20300602',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\n'));
+
+      expect(local.start).toEqual(new Date('2030-06-01T14:00:00.000Z'));
+      expect(local.end).toEqual(new Date('2030-06-01T16:30:00.000Z'));
+      expect(local.recurring).toBe(true);
+      expect(local.description).toBe('');
+      expect(allDay.allDay).toBe(true);
+      expect(allDay.end).toBeNull();
+    });
+
+    it('should use the given time zone for floating times', () => {
+      const [parsed] = ical.parseEvents(
+        'BEGIN:VEVENT\nDTSTART:20300601T090000\nDTEND:20300601T100000\nEND:VEVENT',
+        'America/New_York'
+      );
+
+      expect(parsed.start).toEqual(new Date('2030-06-01T13:00:00.000Z'));
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Organization Scope
+ */
+
+const organizationScope = require('../../src/utils/organizationScope');
+
+describe('organizationScope', () => {
+  const memberScope = {
+    userId: 'user_001',
+    organizationIds: ['org_a', 'org_b'],
+    activeOrganizationId: null
+  };
+
+  const superAdminScope = {
+    userId: 'admin_001',
+    organizationIds: null,
+    activeOrganizationId: null
+  };
+
+  describe('outside a request', () => {
+    it('should not restrict queries', () => {
+      expect(organizationScope.current()).toBeNull();
+      expect(organizationScope.organizationIds()).toBeNull();
+      expect(organizationScope.where()).toEqual({});
+      expect(organizationScope.eventWhere()).toEqual({});
+      expect(organizationScope.userWhere()).toEqual({});
+    });
+
+    it('should create records in the default organization', () => {
+      expect(organizationScope.activeOrganizationId()).toBe(organizationScope.DEFAULT_ORGANIZATION_ID);
+    });
+  });
+
+  describe('for a member', () => {
+    it('should filter records by organization', () => {
+      organizationScope.run(memberScope, () => {
+        expect(organizationScope.where()).toEqual({ organizationId: { in: ['org_a', 'org_b'] } });
+        expect(organizationScope.eventWhere()).toEqual({ event: { organizationId: { in: ['org_a', 'org_b'] } } });
+      });
+    });
+
+    it('should filter users to fellow members and the caller', () => {
+      organizationScope.run(memberScope, () => {
+        expect(organizationScope.userWhere()).toEqual({
+          OR: [
+            { id: 'user_001' },
+            { memberships: { some: { organizationId: { in: ['org_a', 'org_b'] } } } }
+          ]
+        });
+      });
+    });
+
+    it('should report which organizations are visible', () => {
+      organizationScope.run(memberScope, () => {
+        expect(organizationScope.includes('org_a')).toBe(true);
+        expect(organizationScope.includes('org_c')).toBe(false);
+      });
+    });
+
+    it('should only pick an active organization when it is unambiguous', () => {
+      organizationScope.run(memberScope, () => {
+        expect(organizationScope.activeOrganizationId()).toBeNull();
+      });
+
+      organizationScope.run({ ...memberScope, organizationIds: ['org_a'] }, () => {
+        expect(organizationScope.activeOrganizationId()).toBe('org_a');
+      });
+
+      organizationScope.run({ ...memberScope, activeOrganizationId: 'org_b' }, () => {
+        expect(organizationScope.activeOrganizationId()).toBe('org_b');
+      });
+    });
+
+    it('should follow the request across awaits', async () => {
+      await organizationScope.run(memberScope, async () => {
+        await Promise.resolve();
+        expect(organizationScope.organizationIds()).toEqual(['org_a', 'org_b']);
+      });
+
+      expect(organizationScope.current()).toBeNull();
+    });
+  });
+
+  describe('for an anonymous visitor', () => {
+    const visitorScope = {
+      userId: null,
+      organizationIds: ['org_a'],
+      activeOrganizationId: null
+    };
+
+    it('should only show the published events of the picked organization', () => {
+      organizationScope.run(visitorScope, () => {
+        expect(organizationScope.isAnonymous()).toBe(true);
+        expect(organizationScope.where()).toEqual({ organizationId: { in: ['org_a'] } });
+        expect(organizationScope.publicEventWhere()).toEqual({
+          status: { in: organizationScope.PUBLIC_EVENT_STATUSES }
+        });
+        expect(organizationScope.PUBLIC_EVENT_STATUSES).not.toContain('DRAFT');
+      });
+    });
+
+    it('should filter users to members without a caller', () => {
+      organizationScope.run(visitorScope, () => {
+        expect(organizationScope.userWhere()).toEqual({
+          memberships: { some: { organizationId: { in: ['org_a'] } } }
+        });
+      });
+    });
+
+    it('should not filter event status for signed-in callers', () => {
+      expect(organizationScope.publicEventWhere()).toEqual({});
+
+      organizationScope.run(memberScope, () => {
+        expect(organizationScope.isAnonymous()).toBe(false);
+        expect(organizationScope.publicEventWhere()).toEqual({});
+      });
+    });
+  });
+
+  describe('for a super-admin', () => {
+    it('should not restrict queries', () => {
+      organizationScope.run(superAdminScope, () => {
+        expect(organizationScope.where()).toEqual({});
+        expect(organizationScope.userWhere()).toEqual({});
+        expect(organizationScope.includes('org_c')).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for recurrence rules
+ */
+
+const recurrence = require('../../src/utils/recurrence');
+
+describe('Recurrence', () => {
+  const iso = occurrences => occurrences.map(occurrence => occurrence.startDate.toISOString());
+
+  describe('normalizeRule', () => {
+    it('should convert day names to numbers', () => {
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['saturday', 'Monday', 'monday'], count: 4 });
+
+      expect(rule).toEqual(expect.objectContaining({ frequency: 'WEEKLY', interval: 1, daysOfWeek: [1, 6], timezone: 'UTC' }));
+    });
+
+    it('should require an end date or a count', () => {
+      expect(() => recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['monday'] }))
+        .toThrow('Recurrence must end on a date or after a number of occurrences');
+    });
+
+    it('should reject unknown time zones', () => {
+      expect(() => recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['monday'], count: 2, timezone: 'Mars/Olympus' }))
+        .toThrow('Invalid time zone: Mars/Olympus');
+    });
+
+    it('should require a week of the month for monthly rules', () => {
+      expect(() => recurrence.normalizeRule({ frequency: 'monthly', dayOfWeek: 'friday', count: 2 }))
+        .toThrow('Monthly recurrence needs a week of the month');
+    });
+  });
+
+  describe('expand', () => {
+    it('should repeat on the given days of each week, from the start date on', () => {
+      // Wednesday 28 October 2026
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['monday', 'wednesday'], count: 4 });
+
+      const occurrences = recurrence.expand('2026-10-28T14:00:00Z', '2026-10-28T17:00:00Z', rule);
+
+      expect(iso(occurrences)).toEqual([
+        '2026-10-28T14:00:00.000Z',
+        '2026-11-02T14:00:00.000Z',
+        '2026-11-04T14:00:00.000Z',
+        '2026-11-09T14:00:00.000Z'
+      ]);
+      expect(occurrences[3].endDate.toISOString()).toBe('2026-11-09T17:00:00.000Z');
+    });
+
+    it('should skip weeks for an interval', () => {
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', interval: 2, daysOfWeek: ['saturday'], count: 3 });
+
+      expect(iso(recurrence.expand('2026-10-31T15:00:00Z', '2026-10-31T18:00:00Z', rule))).toEqual([
+        '2026-10-31T15:00:00.000Z',
+        '2026-11-14T15:00:00.000Z',
+        '2026-11-28T15:00:00.000Z'
+      ]);
+    });
+
+    it('should keep the local time across a daylight saving change', () => {
+      // 9 AM in Chicago is 14:00 UTC in October and 15:00 UTC in November
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['saturday'], count: 2, timezone: 'America/Chicago' });
+
+      expect(iso(recurrence.expand('2026-10-31T14:00:00Z', '2026-10-31T17:00:00Z', rule))).toEqual([
+        '2026-10-31T14:00:00.000Z',
+        '2026-11-07T15:00:00.000Z'
+      ]);
+    });
+
+    it('should use the local day of the week', () => {
+      // 7 PM Friday in Los Angeles is already Saturday in UTC
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['friday'], count: 2, timezone: 'America/Los_Angeles' });
+
+      expect(iso(recurrence.expand('2026-06-06T02:00:00Z', '2026-06-06T04:00:00Z', rule))).toEqual([
+        '2026-06-06T02:00:00.000Z',
+        '2026-06-13T02:00:00.000Z'
+      ]);
+    });
+
+    it('should repeat on the nth weekday of the month', () => {
+      const rule = recurrence.normalizeRule({ frequency: 'monthly', weekOfMonth: 2, dayOfWeek: 'tuesday', until: '2027-01-31' });
+
+      expect(iso(recurrence.expand('2026-10-01T18:00:00Z', '2026-10-01T20:00:00Z', rule))).toEqual([
+        '2026-10-13T18:00:00.000Z',
+        '2026-11-10T18:00:00.000Z',
+        '2026-12-08T18:00:00.000Z',
+        '2027-01-12T18:00:00.000Z'
+      ]);
+    });
+
+    it('should repeat on the last weekday of the month', () => {
+      const rule = recurrence.normalizeRule({ frequency: 'monthly', weekOfMonth: -1, dayOfWeek: 'friday', count: 3 });
+
+      expect(iso(recurrence.expand('2026-10-01T18:00:00Z', '2026-10-01T20:00:00Z', rule))).toEqual([
+        '2026-10-30T18:00:00.000Z',
+        '2026-11-27T18:00:00.000Z',
+        '2026-12-25T18:00:00.000Z'
+      ]);
+    });
+
+    it('should include occurrences on the end date', () => {
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['monday'], until: '2026-11-09' });
+
+      expect(recurrence.expand('2026-10-26T14:00:00Z', '2026-10-26T15:00:00Z', rule)).toHaveLength(3);
+    });
+
+    it('should cap the number of occurrences', () => {
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['monday', 'thursday'], until: '2028-12-31' });
+
+      expect(() => recurrence.expand('2026-10-26T14:00:00Z', '2026-10-26T15:00:00Z', rule))
+        .toThrow('A series can have at most 100 occurrences');
+    });
+
+    it('should reject rules without any occurrence', () => {
+      const rule = recurrence.normalizeRule({ frequency: 'weekly', daysOfWeek: ['monday'], until: '2026-10-20' });
+
+      expect(() => recurrence.expand('2026-10-26T14:00:00Z', '2026-10-26T15:00:00Z', rule))
+        .toThrow('Recurrence does not produce any occurrences');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for TOTP utility
+ */
+
+const totp = require('../../src/utils/totp');
+
+describe('Totp', () => {
+  // RFC 6238 Appendix B test secret ("12345678901234567890" as base32)
+  const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+
+      expect(totp.base32Encode(bytes)).toBe(rfcSecret);
+      expect(totp.base32Decode(rfcSecret).equals(bytes)).toBe(true);
+    });
+
+    it('should decode lowercase input with spaces and padding', () => {
+      const decoded = totp.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==');
+
+      expect(decoded.toString()).toBe('12345678901234567890');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(totp.generateCode(rfcSecret, totp.currentStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(rfcSecret, totp.currentStep(1111111109 * 1000))).toBe('081804');
+      expect(totp.generateCode(rfcSecret, totp.currentStep(1234567890 * 1000))).toBe('005924');
+      expect(totp.generateCode(rfcSecret, totp.currentStep(2000000000 * 1000))).toBe('279037');
+    });
+  });
+
+  describe('verify', () => {
+    const now = 1234567890 * 1000;
+
+    it('should return the matching time step for a valid code', () => {
+      expect(totp.verify(rfcSecret, '005924', now)).toBe(totp.currentStep(now));
+    });
+
+    it('should accept codes from the adjacent time step', () => {
+      const previousCode = totp.generateCode(rfcSecret, totp.currentStep(now) - 1);
+
+      expect(totp.verify(rfcSecret, previousCode, now)).toBe(totp.currentStep(now) - 1);
+    });
+
+    it('should reject codes outside the drift window', () => {
+      const oldCode = totp.generateCode(rfcSecret, totp.currentStep(now) - 3);
+
+      expect(totp.verify(rfcSecret, oldCode, now)).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verify(rfcSecret, '12345', now)).toBeNull();
+      expect(totp.verify(rfcSecret, 'abcdef', now)).toBeNull();
+      expect(totp.verify(rfcSecret, undefined, now)).toBeNull();
+    });
+  });
+
+  describe('buildProvisioningUri', () => {
+    it('should build an otpauth URI for authenticator apps', () => {
+      const uri = totp.buildProvisioningUri(rfcSecret, 'admin@example.com', 'JACS ShiftPilot');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/JACS%20ShiftPilot%3Aadmin%40example\.com\?/);
+      expect(uri).toContain(`secret=${rfcSecret}`);
+      expect(uri).toContain('digits=6');
+      expect(uri).toContain('period=30');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should generate a 160-bit base32 secret', () => {
+      const secret = totp.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.base32Decode(secret)).toHaveLength(20);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for the offline ZIP code geocoder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zipCentroids = require('../../src/utils/zipCentroids');
+
+describe('ZipCentroids', () => {
+  describe('parse', () => {
+    it('should read ZIP codes and skip comments, the header and bad lines', () => {
+      const centroids = zipCentroids.parse([
+        '# Sample data',
+        'zip,latitude,longitude',
+        '77002,29.7604,-95.3698',
+        '7700,29.0,-95.0',
+        '77003,not-a-number,-95.3720',
+        ''
+      ].join('\r\n'));
+
+      expect([...centroids]).toEqual([['77002', { latitude: 29.7604, longitude: -95.3698 }]]);
+    });
+  });
+
+  describe('averageByPrefix', () => {
+    it('should average the ZIP codes sharing their first three digits', () => {
+      const averages = zipCentroids.averageByPrefix(new Map([
+        ['77002', { latitude: 29.7, longitude: -95.3 }],
+        ['77004', { latitude: 29.8, longitude: -95.5 }],
+        ['78701', { latitude: 30.2672, longitude: -97.7431 }]
+      ]));
+
+      expect(averages.get('770')).toEqual({ latitude: 29.75, longitude: -95.4 });
+      expect(averages.get('787')).toEqual({ latitude: 30.2672, longitude: -97.7431 });
+    });
+  });
+
+  describe('lookup', () => {
+    it('should return the centroid of a listed ZIP code', () => {
+      expect(zipCentroids.lookup('77002')).toEqual({ latitude: 29.7604, longitude: -95.3698, precision: 'zip' });
+    });
+
+    it('should accept ZIP+4 codes', () => {
+      expect(zipCentroids.lookup('77002-1234')).toMatchObject({ latitude: 29.7604, precision: 'zip' });
+      expect(zipCentroids.lookup(' 770021234 ')).toMatchObject({ latitude: 29.7604, precision: 'zip' });
+    });
+
+    it('should fall back to the 3-digit prefix for an unlisted ZIP code', () => {
+      const result = zipCentroids.lookup('77099');
+
+      expect(result.precision).toBe('zip3');
+      expect(result.latitude).toBeCloseTo(29.76, 1);
+      expect(result.longitude).toBeCloseTo(-95.36, 1);
+    });
+
+    it('should return null for unknown or malformed ZIP codes', () => {
+      expect(zipCentroids.lookup('00501')).toBeNull();
+      expect(zipCentroids.lookup('7700')).toBeNull();
+      expect(zipCentroids.lookup('abcde')).toBeNull();
+      expect(zipCentroids.lookup(null)).toBeNull();
+    });
+  });
+
+  describe('bundled dataset', () => {
+    it('should cover ZIP codes across the country', () => {
+      const centroids = zipCentroids.parse(
+        fs.readFileSync(path.join(__dirname, '../../src/data/zip-centroids.csv'), 'utf8')
+      );
+
+      expect(centroids.size).toBeGreaterThan(30000);
+      ['00601', '02108', '60601', '80202', '96813', '99501'].forEach(zip => {
+        expect(centroids.has(zip)).toBe(true);
+      });
+    });
+  });
+
+  describe('geocode', () => {
+    it('should locate an address by its ZIP code', async () => {
+      await expect(zipCentroids.geocode({ address: '1 Main St', city: 'Houston', state: 'TX', zipCode: '77002' }))
+        .resolves.toMatchObject({ latitude: 29.7604, longitude: -95.3698 });
+    });
+  });
+});
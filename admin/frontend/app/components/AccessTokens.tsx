@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { AuthService, type AccessToken } from '~/services/api';
+import { showSuccess, showError } from '~/utils/toast';
+
+const EXPIRY_OPTIONS = [
+  { label: '30 days', value: 30 },
+  { label: '90 days', value: 90 },
+  { label: '1 year', value: 365 },
+  { label: 'Never', value: 0 }
+];
+
+/**
+ * Personal access tokens
+ * Scoped API tokens for scripts and partner integrations
+ */
+export default function AccessTokens() {
+  const [tokens, setTokens] = useState<AccessToken[]>([]);
+  const [availableScopes, setAvailableScopes] = useState<string[]>([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<string[]>([]);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [newToken, setNewToken] = useState<string | null>(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadTokens = async () => {
+    try {
+      const data = await AuthService.getAccessTokens();
+      setTokens(data.tokens);
+      setAvailableScopes(data.availableScopes);
+      setIsLoaded(true);
+    } catch (err) {
+      console.error('Error loading access tokens:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const toggleScope = (scope: string) => {
+    setScopes(scopes.includes(scope) ? scopes.filter(s => s !== scope) : [...scopes, scope]);
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const created = await AuthService.createAccessToken({
+        name: name.trim(),
+        scopes,
+        expiresInDays: expiresInDays || null
+      });
+      setNewToken(created.token);
+      setName('');
+      setScopes([]);
+      showSuccess('Access token created');
+      await loadTokens();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to create access token');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRevoke = async (token: AccessToken) => {
+    setIsBusy(true);
+    try {
+      await AuthService.revokeAccessToken(token.id);
+      showSuccess(`${token.name} revoked`);
+      await loadTokens();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to revoke access token');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  return (
+    <div className="card p-6">
+      <h3 className="title-gradient mb-2">Personal Access Tokens</h3>
+      <p className="text-sm text-slate-600 mb-4">
+        Tokens let scripts and partner systems call the API as you, limited to the scopes you pick. Send them as <span className="font-mono">Authorization: Bearer &lt;token&gt;</span>.
+      </p>
+
+      {newToken && (
+        <div className="mb-4 p-4 bg-slate-50 border border-slate-200 rounded-xl">
+          <p className="text-sm text-slate-700 mb-2">
+            Copy this token now. It will not be shown again.
+          </p>
+          <p className="font-mono text-sm text-slate-900 break-all">{newToken}</p>
+        </div>
+      )}
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-4">No access tokens yet.</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 mb-4">
+          {tokens.map((token) => {
+            const expired = token.expiresAt !== null && new Date(token.expiresAt) <= new Date();
+            return (
+              <li key={token.id} className="flex items-center justify-between gap-4 py-2">
+                <div>
+                  <p className="text-sm font-medium text-slate-900">
+                    {token.name} <span className="font-mono text-xs text-slate-500">{token.tokenPrefix}…</span>
+                  </p>
+                  <p className="text-xs text-slate-500">{token.scopes.join(', ')}</p>
+                  <p className={`text-xs ${expired ? 'text-red-600' : 'text-slate-500'}`}>
+                    {token.expiresAt
+                      ? `${expired ? 'Expired' : 'Expires'} ${new Date(token.expiresAt).toLocaleDateString()}`
+                      : 'Never expires'}
+                    {' · '}
+                    {token.lastUsedAt
+                      ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+                      : 'Never used'}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(token)}
+                  disabled={isBusy}
+                  className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200 disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div className="row">
+          <label className="label">Token name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="input"
+            placeholder="Food bank inventory sync"
+            maxLength={100}
+          />
+        </div>
+        <div className="row">
+          <label className="label">Scopes</label>
+          <div className="grid grid-cols-2 gap-2">
+            {availableScopes.map((scope) => (
+              <label key={scope} className="flex items-center gap-2 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <span className="font-mono">{scope}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="row">
+          <label className="label">Expires</label>
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            className="input"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={isBusy || !name.trim() || scopes.length === 0}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Create token
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router';
+import { ProfileService, type AccountDeletionStatus } from '~/services/api';
+import { useAuth } from '~/contexts/AuthContext';
+import { showSuccess, showError } from '~/utils/toast';
+
+/**
+ * Your data
+ * Download a copy of the account's data, or delete the account after a grace period
+ */
+export default function AccountData() {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [status, setStatus] = useState<AccountDeletionStatus | null>(null);
+  const [showDelete, setShowDelete] = useState(false);
+  const [password, setPassword] = useState('');
+  const [confirmText, setConfirmText] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await ProfileService.getAccountStatus());
+    } catch (err) {
+      console.error('Error loading account status:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const handleExport = async () => {
+    setIsBusy(true);
+    try {
+      const blob = await ProfileService.exportData();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `shiftpilot-export-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to export data');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const result = await ProfileService.deleteAccount(status?.requiresPassword ? password : null);
+      showSuccess(result.message);
+      // The backend has signed the account out everywhere
+      logout();
+      navigate('/login');
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to delete account');
+      setIsBusy(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    setIsBusy(true);
+    try {
+      await ProfileService.cancelAccountDeletion();
+      showSuccess('Account deletion cancelled');
+      await loadStatus();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to cancel deletion');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="card p-6">
+      <h3 className="title-gradient mb-2">Your Data</h3>
+      <p className="text-sm text-slate-600 mb-4">
+        Download a copy of your profile, skills, availability, sign-ups, volunteer history and notifications as JSON.
+      </p>
+
+      <button
+        type="button"
+        onClick={handleExport}
+        disabled={isBusy}
+        className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+      >
+        Download my data
+      </button>
+
+      <div className="mt-6 pt-4 border-t border-slate-100">
+        {status.deletionScheduledFor ? (
+          <div className="rounded-lg border border-red-200 bg-red-50 p-4">
+            <p className="text-sm font-medium text-red-800">
+              Your account will be deleted on {new Date(status.deletionScheduledFor).toLocaleDateString()}.
+            </p>
+            <p className="text-xs text-red-700 mb-3">
+              Your personal details will be removed. Hours you volunteered stay in your organization's totals without your name.
+            </p>
+            <button
+              type="button"
+              onClick={handleCancelDeletion}
+              disabled={isBusy}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-white text-red-700 border border-red-300 hover:bg-red-100 disabled:opacity-50"
+            >
+              Keep my account
+            </button>
+          </div>
+        ) : showDelete ? (
+          <form onSubmit={handleDelete} className="space-y-4">
+            <p className="text-sm text-slate-600">
+              You will be signed out everywhere. You have {status.gracePeriodDays} days to sign back in and cancel; after that your personal details are permanently removed.
+            </p>
+            {status.requiresPassword && (
+              <div className="row">
+                <label className="label">Password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="input"
+                  autoComplete="current-password"
+                />
+              </div>
+            )}
+            <div className="row">
+              <label className="label">Type DELETE to confirm</label>
+              <input
+                type="text"
+                value={confirmText}
+                onChange={(e) => setConfirmText(e.target.value)}
+                className="input"
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={isBusy || confirmText !== 'DELETE' || (status.requiresPassword && !password)}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+              >
+                Delete my account
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowDelete(false)}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setShowDelete(true)}
+            className="text-sm font-medium text-red-600 hover:text-red-800"
+          >
+            Delete my account...
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { EventService, type EventManager } from '~/services/api';
+import { showSuccess, showError } from '~/utils/toast';
+
+interface EventManagersProps {
+  eventId: string;
+}
+
+/**
+ * Event co-managers
+ * Coordinators listed here can run the roster, attendance and assignments for the event
+ */
+export default function EventManagers({ eventId }: EventManagersProps) {
+  const [managers, setManagers] = useState<EventManager[]>([]);
+  const [email, setEmail] = useState('');
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadManagers = async () => {
+    try {
+      const data = await EventService.getEventManagers(eventId);
+      setManagers(data.managers);
+      setIsLoaded(true);
+    } catch (err) {
+      console.error('Error loading event managers:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadManagers();
+  }, [eventId]);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await EventService.addEventManager(eventId, email.trim());
+      setEmail('');
+      showSuccess('Co-manager added');
+      await loadManagers();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to add co-manager');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async (manager: EventManager) => {
+    setIsBusy(true);
+    try {
+      await EventService.removeEventManager(eventId, manager.id);
+      showSuccess(`${manager.username} removed as co-manager`);
+      await loadManagers();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to remove co-manager');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  return (
+    <div className="card p-6">
+      <h3 className="title-gradient mb-2">Co-managers</h3>
+      <p className="text-sm text-slate-600 mb-4">
+        Coordinators added here can edit this event and run its roster, attendance and assignments.
+      </p>
+
+      {managers.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-4">No co-managers yet.</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 mb-4">
+          {managers.map((manager) => (
+            <li key={manager.id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-slate-900">{manager.username}</p>
+                <p className="text-xs text-slate-500">{manager.email}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(manager)}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-3">
+        <div className="row flex-1 min-w-[16rem]">
+          <label className="label">Coordinator email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="input"
+            placeholder="coordinator@example.com"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isBusy || !email.trim()}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Add co-manager
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import { EventService, SkillsService, type EventShift, type ShiftPositionInput } from '~/services/api';
+import { showSuccess, showError } from '~/utils/toast';
+
+interface EventShiftsProps {
+  eventId: string;
+  eventDate: string;
+}
+
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const emptyPosition = (): ShiftPositionInput => ({ name: '', capacity: 1, skillId: '', minLevel: 'beginner' });
+
+const formatTime = (date: string) =>
+  new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+
+/**
+ * Event shifts
+ * Splits an event into time slots with named positions; volunteers then sign up for a position
+ */
+export default function EventShifts({ eventId, eventDate }: EventShiftsProps) {
+  const [shifts, setShifts] = useState<EventShift[]>([]);
+  const [skills, setSkills] = useState<Array<{ id: string; name: string }>>([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const [name, setName] = useState('');
+  const [startTime, setStartTime] = useState('');
+  const [endTime, setEndTime] = useState('');
+  const [positions, setPositions] = useState<ShiftPositionInput[]>([emptyPosition()]);
+
+  const loadShifts = async () => {
+    try {
+      setShifts(await EventService.getShifts(eventId));
+      setIsLoaded(true);
+    } catch (err) {
+      console.error('Error loading shifts:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadShifts();
+    SkillsService.getSkills().then(setSkills).catch(() => setSkills([]));
+  }, [eventId]);
+
+  const updatePosition = (index: number, changes: ShiftPositionInput) => {
+    setPositions(current => current.map((position, i) => (i === index ? { ...position, ...changes } : position)));
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await EventService.createShift(eventId, {
+        name: name.trim(),
+        startDate: new Date(`${eventDate}T${startTime}`).toISOString(),
+        endDate: new Date(`${eventDate}T${endTime}`).toISOString(),
+        positions: positions.map(position => ({
+          ...position,
+          name: position.name?.trim(),
+          skillId: position.skillId || null
+        }))
+      });
+      setName('');
+      setStartTime('');
+      setEndTime('');
+      setPositions([emptyPosition()]);
+      showSuccess('Shift added');
+      await loadShifts();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to add shift');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (shift: EventShift) => {
+    setIsBusy(true);
+    try {
+      await EventService.deleteShift(eventId, shift.id);
+      showSuccess(`${shift.name} removed`);
+      await loadShifts();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to remove shift');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  const canAdd = name.trim() && startTime && endTime && positions.every(position => position.name?.trim() && position.capacity);
+
+  return (
+    <div className="card p-6">
+      <h3 className="title-gradient mb-2">Shifts</h3>
+      <p className="text-sm text-slate-600 mb-4">
+        Split the event into shifts with positions to fill. Once an event has shifts, volunteers pick a position
+        when they join and the volunteers needed is the total across all positions.
+      </p>
+
+      {shifts.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-4">No shifts yet.</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 mb-4">
+          {shifts.map((shift) => (
+            <li key={shift.id} className="py-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-slate-900">{shift.name}</p>
+                  <p className="text-xs text-slate-500">
+                    {formatTime(shift.startDate)} – {formatTime(shift.endDate)} · {shift.filled}/{shift.capacity} filled
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(shift)}
+                  disabled={isBusy}
+                  className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+              <ul className="mt-2 ml-4 space-y-1">
+                {shift.positions.map((position) => (
+                  <li key={position.id} className="text-xs text-slate-600">
+                    {position.name}: {position.filled}/{position.capacity}
+                    {position.skill && ` · ${position.skill.name} (${position.minLevel}+)`}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="space-y-3">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="row flex-1 min-w-[12rem]">
+            <label className="label">Shift name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="input"
+              placeholder="Morning"
+              maxLength={100}
+            />
+          </div>
+          <div className="row">
+            <label className="label">Starts</label>
+            <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className="input" />
+          </div>
+          <div className="row">
+            <label className="label">Ends</label>
+            <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className="input" />
+          </div>
+        </div>
+
+        {positions.map((position, index) => (
+          <div key={index} className="flex flex-wrap items-end gap-3">
+            <div className="row flex-1 min-w-[10rem]">
+              <label className="label">Position</label>
+              <input
+                type="text"
+                value={position.name}
+                onChange={(e) => updatePosition(index, { name: e.target.value })}
+                className="input"
+                placeholder="Driver"
+              />
+            </div>
+            <div className="row w-24">
+              <label className="label">Places</label>
+              <input
+                type="number"
+                min={1}
+                value={position.capacity}
+                onChange={(e) => updatePosition(index, { capacity: parseInt(e.target.value) || 0 })}
+                className="input"
+              />
+            </div>
+            <div className="row">
+              <label className="label">Skill</label>
+              <select
+                value={position.skillId || ''}
+                onChange={(e) => updatePosition(index, { skillId: e.target.value })}
+                className="input"
+              >
+                <option value="">Any</option>
+                {skills.map(skill => (
+                  <option key={skill.id} value={skill.id}>{skill.name}</option>
+                ))}
+              </select>
+            </div>
+            {position.skillId && (
+              <div className="row">
+                <label className="label">Minimum level</label>
+                <select
+                  value={position.minLevel}
+                  onChange={(e) => updatePosition(index, { minLevel: e.target.value })}
+                  className="input"
+                >
+                  {LEVELS.map(level => (
+                    <option key={level} value={level}>{level}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {positions.length > 1 && (
+              <button
+                type="button"
+                onClick={() => setPositions(current => current.filter((_, i) => i !== index))}
+                className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={() => setPositions(current => [...current, emptyPosition()])}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-indigo-700 hover:bg-slate-200"
+          >
+            Add position
+          </button>
+          <button
+            type="submit"
+            disabled={isBusy || !canAdd}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Add shift
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
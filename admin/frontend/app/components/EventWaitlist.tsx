@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import { EventService, type WaitlistEntry } from '~/services/api';
+import { showSuccess, showError } from '~/utils/toast';
+
+interface EventWaitlistProps {
+  eventId: string;
+}
+
+const volunteerName = (entry: WaitlistEntry) =>
+  entry.volunteer?.profile
+    ? `${entry.volunteer.profile.firstName} ${entry.volunteer.profile.lastName}`
+    : entry.volunteer?.username || 'Unknown volunteer';
+
+/**
+ * Event waitlist
+ * Volunteers waiting for a place, first in line at the top; places that open up are offered in this order
+ */
+export default function EventWaitlist({ eventId }: EventWaitlistProps) {
+  const [entries, setEntries] = useState<WaitlistEntry[]>([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadWaitlist = async () => {
+    try {
+      setEntries(await EventService.getWaitlist(eventId));
+      setIsLoaded(true);
+    } catch (err) {
+      console.error('Error loading waitlist:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadWaitlist();
+  }, [eventId]);
+
+  const handleMove = async (entry: WaitlistEntry, position: number) => {
+    setIsBusy(true);
+    try {
+      setEntries(await EventService.reorderWaitlist(eventId, entry.volunteerId, position));
+      showSuccess(`${volunteerName(entry)} moved to number ${position}`);
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to reorder waitlist');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  return (
+    <div className="card p-6">
+      <h3 className="title-gradient mb-2">Waitlist ({entries.length})</h3>
+      <p className="text-sm text-slate-600 mb-4">
+        When a place opens up it is offered to the first volunteer in line, who has a limited time to confirm it.
+      </p>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-slate-500">Nobody is waiting for a place.</p>
+      ) : (
+        <ol className="divide-y divide-slate-100">
+          {entries.map((entry, index) => (
+            <li key={entry.id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-slate-900">
+                  {entry.position}. {volunteerName(entry)}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {entry.status === 'offered' && entry.offerExpiresAt
+                    ? `Place offered, expires ${new Date(entry.offerExpiresAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}`
+                    : `Waiting since ${new Date(entry.joinedAt).toLocaleDateString()}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => handleMove(entry, entry.position - 1)}
+                  disabled={isBusy || index === 0}
+                  className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(entry, entry.position + 1)}
+                  disabled={isBusy || index === entries.length - 1}
+                  className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
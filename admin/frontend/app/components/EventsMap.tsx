@@ -1,29 +1,63 @@
-import { APIProvider, Map, AdvancedMarker, InfoWindow } from '@vis.gl/react-google-maps';
-import { useState } from 'react';
-import type { FrontendEvent } from '~/services/api';
+import { APIProvider, Map, AdvancedMarker, InfoWindow, type MapEvent } from '@vis.gl/react-google-maps';
+import { useEffect, useState } from 'react';
+import { EventService, type EventFilters, type FrontendEvent } from '~/services/api';
 
 interface EventsMapProps {
+  // Events the map opens on; once it settles it shows the events in view
   events: FrontendEvent[];
+  filters?: EventFilters;
   onJoinEvent?: (eventId: string) => void;
   joiningEvent?: string | null;
 }
 
-export default function EventsMap({ events, onJoinEvent, joiningEvent }: EventsMapProps) {
+export default function EventsMap({ events, filters, onJoinEvent, joiningEvent }: EventsMapProps) {
   const [selectedEvent, setSelectedEvent] = useState<FrontendEvent | null>(null);
+  const [bounds, setBounds] = useState<string | null>(null);
+  const [eventsInView, setEventsInView] = useState<FrontendEvent[] | null>(null);
+  const [isLoadingArea, setIsLoadingArea] = useState(false);
 
   // Get API key from environment variable
   const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || '';
 
+  // Load the events in view whenever the map stops moving or the filters change
+  useEffect(() => {
+    if (!bounds) return;
+
+    let cancelled = false;
+    setIsLoadingArea(true);
+
+    EventService.getEvents({ ...filters, bounds }, { limit: 100 })
+      .then(loaded => {
+        if (!cancelled) setEventsInView(loaded);
+      })
+      .catch(err => console.error('Failed to load events in view:', err))
+      .finally(() => {
+        if (!cancelled) setIsLoadingArea(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bounds, filters]);
+
+  const handleIdle = (event: MapEvent) => {
+    const visible = event.map.getBounds()?.toJSON();
+    if (visible) {
+      setBounds([visible.south, visible.west, visible.north, visible.east].map(edge => edge.toFixed(4)).join(','));
+    }
+  };
+
   // Filter events that have valid coordinates
-  const eventsWithCoordinates = events.filter(
+  const eventsWithCoordinates = (eventsInView ?? events).filter(
     event => event.latitude != null && event.longitude != null
   );
 
-  // Calculate map center (average of all event locations)
-  const center = eventsWithCoordinates.length > 0
+  // Calculate map center (average of the initial event locations)
+  const initialEvents = events.filter(event => event.latitude != null && event.longitude != null);
+  const center = initialEvents.length > 0
     ? {
-        lat: eventsWithCoordinates.reduce((sum, e) => sum + (e.latitude || 0), 0) / eventsWithCoordinates.length,
-        lng: eventsWithCoordinates.reduce((sum, e) => sum + (e.longitude || 0), 0) / eventsWithCoordinates.length,
+        lat: initialEvents.reduce((sum, e) => sum + (e.latitude || 0), 0) / initialEvents.length,
+        lng: initialEvents.reduce((sum, e) => sum + (e.longitude || 0), 0) / initialEvents.length,
       }
     : { lat: 40.7128, lng: -74.0060 }; // Default to New York City
 
@@ -59,32 +93,21 @@ export default function EventsMap({ events, onJoinEvent, joiningEvent }: EventsM
     );
   }
 
-  if (eventsWithCoordinates.length === 0) {
-    return (
-      <div className="card p-8 text-center">
-        <div className="mb-4">
-          <svg className="w-16 h-16 mx-auto text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-          </svg>
-        </div>
-        <h3 className="text-xl font-semibold text-slate-800 mb-2">No Events with Locations</h3>
-        <p className="text-slate-600">
-          There are currently no events with geographic coordinates to display on the map.
-        </p>
-      </div>
-    );
-  }
-
   return (
     <APIProvider apiKey={apiKey}>
-      <div className="w-full h-[600px] rounded-xl overflow-hidden shadow-lg border border-slate-200">
+      <div className="relative w-full h-[600px] rounded-xl overflow-hidden shadow-lg border border-slate-200">
+        {(isLoadingArea || (eventsInView && eventsWithCoordinates.length === 0)) && (
+          <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10 px-4 py-2 rounded-full bg-white shadow text-sm text-slate-700">
+            {isLoadingArea ? 'Loading events in this area...' : 'No events in this area. Try zooming out.'}
+          </div>
+        )}
         <Map
           defaultCenter={center}
           defaultZoom={11}
           mapId="jacs-shiftpilot-map"
           gestureHandling="greedy"
           disableDefaultUI={false}
+          onIdle={handleIdle}
         >
           {eventsWithCoordinates.map((event) => (
             <AdvancedMarker
@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import { AuthService, type ImpersonationState } from '~/services/api';
+
+/**
+ * Impersonation banner
+ * Shown across the dashboard while an admin is viewing as another user
+ * Ends the session (and returns to the admin account) on Stop or expiry
+ */
+export default function ImpersonationBanner() {
+  const [impersonation, setImpersonation] = useState<ImpersonationState | null>(null);
+  const [isStopping, setIsStopping] = useState(false);
+
+  const handleStop = async () => {
+    setIsStopping(true);
+    await AuthService.stopImpersonation();
+    // Reload so every page and context picks up the admin account again
+    window.location.href = '/dashboard/admin/users';
+  };
+
+  useEffect(() => {
+    setImpersonation(AuthService.getImpersonation());
+  }, []);
+
+  useEffect(() => {
+    if (!impersonation) {
+      return;
+    }
+
+    const checkExpiry = () => {
+      if (new Date(impersonation.expiresAt).getTime() <= Date.now()) {
+        handleStop();
+      }
+    };
+
+    checkExpiry();
+    const interval = setInterval(checkExpiry, 15 * 1000);
+    return () => clearInterval(interval);
+  }, [impersonation]);
+
+  if (!impersonation) {
+    return null;
+  }
+
+  return (
+    <div className="sticky top-0 z-40 mb-4 flex flex-wrap items-center justify-between gap-3 rounded-lg border border-amber-300 bg-amber-100 px-4 py-3 text-amber-900 shadow">
+      <div className="text-sm">
+        <p className="font-semibold">
+          Viewing as {impersonation.targetUsername}
+          <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-amber-200">
+            {impersonation.readOnly ? 'Read-only' : 'Changes allowed'}
+          </span>
+        </p>
+        <p className="text-xs">
+          Ends at {new Date(impersonation.expiresAt).toLocaleTimeString()} · Reason: {impersonation.reason} · Every request is logged
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={handleStop}
+        disabled={isStopping}
+        className="px-4 py-2 rounded-lg text-sm font-medium bg-amber-600 text-white hover:bg-amber-700 disabled:opacity-50"
+      >
+        {isStopping ? 'Stopping...' : 'Stop viewing'}
+      </button>
+    </div>
+  );
+}
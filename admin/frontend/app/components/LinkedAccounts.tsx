@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router';
+import { AuthService, type SignInMethods, type LinkedIdentity } from '~/services/api';
+import { showSuccess, showError } from '~/utils/toast';
+
+const PROVIDER_NAMES: Record<string, string> = {
+  google: 'Google',
+  github: 'GitHub',
+  microsoft: 'Microsoft'
+};
+
+const LINK_ERRORS: Record<string, string> = {
+  oauth_identity_in_use: 'That account is already linked to another user.',
+  oauth_provider_linked: 'A different account from that provider is already linked. Unlink it first.',
+  oauth_link_expired: 'The link request expired. Please try again.'
+};
+
+/**
+ * Sign-in methods
+ * Linked OAuth accounts, plus setting a password on OAuth-only accounts
+ */
+export default function LinkedAccounts() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [methods, setMethods] = useState<SignInMethods | null>(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadMethods = async () => {
+    try {
+      setMethods(await AuthService.getSignInMethods());
+    } catch (err) {
+      console.error('Error loading sign-in methods:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadMethods();
+  }, []);
+
+  // Result of a link flow, passed back by the OAuth callback
+  useEffect(() => {
+    const linked = searchParams.get('linked');
+    const linkError = searchParams.get('linkError');
+    if (!linked && !linkError) {
+      return;
+    }
+
+    if (linked) {
+      showSuccess('Account linked');
+    } else if (linkError) {
+      showError(LINK_ERRORS[linkError] || 'Failed to link account');
+    }
+
+    const next = new URLSearchParams(searchParams);
+    next.delete('linked');
+    next.delete('linkError');
+    setSearchParams(next, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const run = async (action: () => Promise<void>) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleLink = (provider: string) => run(async () => {
+    await AuthService.linkIdentity(provider);
+  });
+
+  const handleUnlink = (identity: LinkedIdentity) => run(async () => {
+    await AuthService.unlinkIdentity(identity.id);
+    showSuccess(`${PROVIDER_NAMES[identity.provider] || identity.provider} account unlinked`);
+    await loadMethods();
+  });
+
+  const handleSetPassword = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await AuthService.setPassword(newPassword);
+      setNewPassword('');
+      showSuccess(result.message);
+      await loadMethods();
+    });
+  };
+
+  if (!methods) {
+    return null;
+  }
+
+  const linkedProviders = methods.identities.map(identity => identity.provider);
+  const unlinkedProviders = methods.availableProviders.filter(provider => !linkedProviders.includes(provider));
+  const onlyMethod = !methods.hasPassword && methods.identities.length === 1;
+
+  return (
+    <div id="sign-in-methods" className="card p-6">
+      <h3 className="title-gradient mb-2">Sign-in Methods</h3>
+      <p className="text-sm text-slate-600 mb-4">
+        Link Google, GitHub or Microsoft to sign in with any of them.
+      </p>
+
+      <ul className="divide-y divide-slate-100 mb-4">
+        <li className="flex items-center justify-between gap-4 py-2">
+          <div>
+            <p className="text-sm font-medium text-slate-900">Password</p>
+            <p className="text-xs text-slate-500">{methods.hasPassword ? 'Set' : 'Not set'}</p>
+          </div>
+        </li>
+        {methods.identities.map((identity) => (
+          <li key={identity.id} className="flex items-center justify-between gap-4 py-2">
+            <div>
+              <p className="text-sm font-medium text-slate-900">{PROVIDER_NAMES[identity.provider] || identity.provider}</p>
+              <p className="text-xs text-slate-500">
+                {identity.email || identity.displayName || 'Linked'}
+                {identity.lastUsedAt && ` · Last used ${new Date(identity.lastUsedAt).toLocaleDateString()}`}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleUnlink(identity)}
+              disabled={isBusy || onlyMethod}
+              title={onlyMethod ? 'Set a password before unlinking your only sign-in method' : undefined}
+              className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200 disabled:opacity-50"
+            >
+              Unlink
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {unlinkedProviders.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {unlinkedProviders.map((provider) => (
+            <button
+              key={provider}
+              type="button"
+              onClick={() => handleLink(provider)}
+              disabled={isBusy}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Link {PROVIDER_NAMES[provider] || provider}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!methods.hasPassword && (
+        <form onSubmit={handleSetPassword} className="space-y-4">
+          <div className="row">
+            <label className="label">Set a password</label>
+            <input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              className="input"
+              autoComplete="new-password"
+              placeholder="At least 8 characters, with upper and lower case, a number and a symbol"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isBusy || newPassword.length < 8}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Set password
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { OrganizationService, TokenManager, type Organization } from '~/services/api';
+
+/**
+ * Organization switcher
+ * Narrows every request to one organization; hidden for users with a single organization
+ */
+export default function OrganizationSwitcher() {
+  const [organizations, setOrganizations] = useState<Organization[]>([]);
+  const [superAdmin, setSuperAdmin] = useState(false);
+  const [selectedId, setSelectedId] = useState('');
+
+  useEffect(() => {
+    setSelectedId(TokenManager.getOrganizationId() || '');
+
+    const loadOrganizations = async () => {
+      try {
+        const data = await OrganizationService.getOrganizations();
+        setOrganizations(data.organizations);
+        setSuperAdmin(data.superAdmin);
+      } catch (err) {
+        console.error('Error loading organizations:', err);
+      }
+    };
+
+    loadOrganizations();
+  }, []);
+
+  const handleChange = (organizationId: string) => {
+    TokenManager.setOrganizationId(organizationId || null);
+    // Everything on screen was loaded for the previous organization
+    window.location.reload();
+  };
+
+  if (organizations.length < 2 && !superAdmin) {
+    return null;
+  }
+
+  return (
+    <div className="px-4 py-3 border-b border-indigo-100/80">
+      <label className="label" htmlFor="organization-switcher">Organization</label>
+      <select
+        id="organization-switcher"
+        value={selectedId}
+        onChange={(e) => handleChange(e.target.value)}
+        className="input"
+      >
+        <option value="">All organizations</option>
+        {organizations.map((organization) => (
+          <option key={organization.id} value={organization.id}>
+            {organization.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router';
+import { AuthService, type UserSession } from '~/services/api';
+import { useAuth } from '~/contexts/AuthContext';
+import { showSuccess, showError } from '~/utils/toast';
+
+/**
+ * Short device description from a user agent, e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent: string | null): string {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    'Browser';
+
+  const os =
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /CrOS/.test(userAgent) ? 'ChromeOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+/**
+ * Active sessions
+ * Lists the devices signed in to the account and lets the user sign them out
+ */
+export default function Sessions() {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadSessions = async () => {
+    try {
+      setSessions(await AuthService.getSessions());
+      setIsLoaded(true);
+    } catch (err) {
+      console.error('Error loading sessions:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session: UserSession) => {
+    setIsBusy(true);
+    try {
+      await AuthService.revokeSession(session.id);
+
+      if (session.current) {
+        logout();
+        navigate('/login');
+        return;
+      }
+
+      showSuccess('Session signed out');
+      await loadSessions();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to sign out session');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  return (
+    <div className="card p-6">
+      <h3 className="title-gradient mb-2">Active Sessions</h3>
+      <p className="text-sm text-slate-600 mb-4">
+        Devices currently signed in to your account. Sign out any you don't recognise or no longer use, such as a shared library computer.
+      </p>
+
+      {sessions.length === 0 ? (
+        <p className="text-sm text-slate-500">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {sessions.map((session) => (
+            <li key={session.id} className="flex items-center justify-between gap-4 py-2">
+              <div>
+                <p className="text-sm font-medium text-slate-900">
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {session.ipAddress || 'Unknown IP'}
+                  {' · '}
+                  Last active {new Date(session.lastSeenAt).toLocaleString()}
+                  {' · '}
+                  Signed in {new Date(session.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200 disabled:opacity-50"
+              >
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { AuthService, type TwoFactorStatus, type TwoFactorSetup } from '~/services/api';
+import { showSuccess, showError } from '~/utils/toast';
+
+/**
+ * Two-factor authentication settings
+ * Enrollment via QR code, recovery codes and disabling 2FA
+ */
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [showDisable, setShowDisable] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await AuthService.getTwoFactorStatus());
+    } catch (err) {
+      console.error('Error loading two-factor status:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const run = async (action: () => Promise<void>) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setSetup(await AuthService.setupTwoFactor());
+    setCode('');
+  });
+
+  const handleEnable = () => run(async () => {
+    const codes = await AuthService.enableTwoFactor(code.trim());
+    setRecoveryCodes(codes);
+    setSetup(null);
+    setCode('');
+    showSuccess('Two-factor authentication enabled');
+    await loadStatus();
+  });
+
+  const handleRegenerate = () => run(async () => {
+    setRecoveryCodes(await AuthService.regenerateRecoveryCodes(code.trim()));
+    setCode('');
+    showSuccess('New recovery codes generated');
+    await loadStatus();
+  });
+
+  const handleDisable = () => run(async () => {
+    await AuthService.disableTwoFactor(password, code.trim());
+    setShowDisable(false);
+    setPassword('');
+    setCode('');
+    setRecoveryCodes([]);
+    showSuccess('Two-factor authentication disabled');
+    await loadStatus();
+  });
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div id="security" className="card p-6">
+      <h3 className="title-gradient mb-4">Two-Factor Authentication</h3>
+
+      {status.required && !status.enabled && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-xl text-sm">
+          Your organization requires two-factor authentication for admin accounts. Set it up to continue using admin features.
+        </div>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="mb-4 p-4 bg-slate-50 border border-slate-200 rounded-xl">
+          <p className="text-sm text-slate-700 mb-3">
+            Save these recovery codes somewhere safe. Each code can be used once if you lose access to your authenticator app. They will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-slate-900">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600">
+            Add a second step to your login using an authenticator app such as Google Authenticator, 1Password or Authy.
+          </p>
+          <button
+            onClick={handleStartSetup}
+            disabled={isBusy}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && setup && (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 border border-slate-200 rounded-xl" />
+          <p className="text-xs text-slate-500">
+            Can't scan it? Enter this key manually: <span className="font-mono text-slate-700 break-all">{setup.secret}</span>
+          </p>
+          <div className="row">
+            <label className="label">Verification code</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input"
+              placeholder="123456"
+            />
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleEnable}
+              disabled={isBusy || !code.trim()}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              Enable
+            </button>
+            <button
+              onClick={() => setSetup(null)}
+              disabled={isBusy}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600">
+            Two-factor authentication is <span className="font-semibold text-green-700">enabled</span>.
+            {' '}{status.recoveryCodesRemaining} recovery {status.recoveryCodesRemaining === 1 ? 'code' : 'codes'} remaining.
+          </p>
+          <div className="row">
+            <label className="label">Authenticator code</label>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input"
+              placeholder={showDisable ? 'Code or recovery code' : '123456'}
+            />
+          </div>
+          {showDisable && (
+            <div className="row">
+              <label className="label">Current password</label>
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input"
+              />
+            </div>
+          )}
+          <div className="flex flex-wrap gap-3">
+            {showDisable ? (
+              <>
+                <button
+                  onClick={handleDisable}
+                  disabled={isBusy || !code.trim() || !password}
+                  className="px-4 py-2 rounded-lg text-sm font-medium bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                >
+                  Confirm disable
+                </button>
+                <button
+                  onClick={() => setShowDisable(false)}
+                  disabled={isBusy}
+                  className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+                >
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={handleRegenerate}
+                  disabled={isBusy || !code.trim()}
+                  className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Regenerate recovery codes
+                </button>
+                {!status.required && (
+                  <button
+                    onClick={() => setShowDisable(true)}
+                    disabled={isBusy}
+                    className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200"
+                  >
+                    Disable
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { NavLink, useNavigate, useLocation } from "react-router";
 import { useState, useEffect } from "react";
 import NotificationCenter from "./NotificationCenter";
+import OrganizationSwitcher from "./OrganizationSwitcher";
 import { useAuth } from "~/contexts/AuthContext";
 import { NotificationService } from "~/services/api";
 
@@ -92,9 +93,9 @@ export default function Sidebar({ onNavigate }: SidebarProps = {}) {
             <span className="font-semibold tracking-wide text-slate-900">JACS ShiftPilot</span>
             <div className="flex items-center gap-2">
               <span className="text-xs text-slate-500">Dashboard</span>
-              {user?.role === 'admin' && (
+              {(user?.role === 'admin' || user?.role === 'coordinator') && (
                 <span className="px-2 py-0.5 bg-indigo-100 text-indigo-700 text-xs rounded-full font-medium">
-                  Admin
+                  {user.role === 'admin' ? 'Admin' : 'Coordinator'}
                 </span>
               )}
             </div>
@@ -102,6 +103,8 @@ export default function Sidebar({ onNavigate }: SidebarProps = {}) {
         </div>
       </div>
 
+      <OrganizationSwitcher />
+
       {/* Navigation */}
       <nav className="flex-1 flex flex-col p-4 space-y-1">
         {/* Home - Standalone */}
@@ -291,8 +294,8 @@ export default function Sidebar({ onNavigate }: SidebarProps = {}) {
           Notifications
         </NavLink>
 
-        {/* Admin Section - Only for admins */}
-        {user?.role === 'admin' && (
+        {/* Admin Section - Admins, plus the event tools for coordinators */}
+        {(user?.role === 'admin' || user?.role === 'coordinator') && (
           <>
             <div className="pt-2 pb-1">
               <div className="h-px bg-slate-200"></div>
@@ -312,7 +315,7 @@ export default function Sidebar({ onNavigate }: SidebarProps = {}) {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
                   </svg>
-                  <span className="font-medium">Admin</span>
+                  <span className="font-medium">{user.role === 'admin' ? 'Admin' : 'Manage'}</span>
                 </div>
                 <svg
                   className={`w-4 h-4 transition-transform ${expandedSections.has('admin') ? 'rotate-180' : ''}`}
@@ -379,32 +382,49 @@ export default function Sidebar({ onNavigate }: SidebarProps = {}) {
                   >
                     Attendance
                   </NavLink>
-                  <NavLink
-                    to="admin/users"
-                    onClick={onNavigate}
-                    className={({ isActive }) =>
-                      `flex items-center gap-3 p-2 pl-3 rounded-lg text-sm transition-colors ${
-                        isActive
-                          ? "bg-indigo-100 text-indigo-700 font-semibold"
-                          : "text-slate-600 hover:bg-indigo-50 hover:text-indigo-600"
-                      }`
-                    }
-                  >
-                    User Management
-                  </NavLink>
-                  <NavLink
-                    to="admin/metrics"
-                    onClick={onNavigate}
-                    className={({ isActive }) =>
-                      `flex items-center gap-3 p-2 pl-3 rounded-lg text-sm transition-colors ${
-                        isActive
-                          ? "bg-indigo-100 text-indigo-700 font-semibold"
-                          : "text-slate-600 hover:bg-indigo-50 hover:text-indigo-600"
-                      }`
-                    }
-                  >
-                    Metrics & Reports
-                  </NavLink>
+                  {user.role === 'admin' && (
+                    <>
+                      <NavLink
+                        to="admin/users"
+                        onClick={onNavigate}
+                        className={({ isActive }) =>
+                          `flex items-center gap-3 p-2 pl-3 rounded-lg text-sm transition-colors ${
+                            isActive
+                              ? "bg-indigo-100 text-indigo-700 font-semibold"
+                              : "text-slate-600 hover:bg-indigo-50 hover:text-indigo-600"
+                          }`
+                        }
+                      >
+                        User Management
+                      </NavLink>
+                      <NavLink
+                        to="admin/invitations"
+                        onClick={onNavigate}
+                        className={({ isActive }) =>
+                          `flex items-center gap-3 p-2 pl-3 rounded-lg text-sm transition-colors ${
+                            isActive
+                              ? "bg-indigo-100 text-indigo-700 font-semibold"
+                              : "text-slate-600 hover:bg-indigo-50 hover:text-indigo-600"
+                          }`
+                        }
+                      >
+                        Invitations
+                      </NavLink>
+                      <NavLink
+                        to="admin/metrics"
+                        onClick={onNavigate}
+                        className={({ isActive }) =>
+                          `flex items-center gap-3 p-2 pl-3 rounded-lg text-sm transition-colors ${
+                            isActive
+                              ? "bg-indigo-100 text-indigo-700 font-semibold"
+                              : "text-slate-600 hover:bg-indigo-50 hover:text-indigo-600"
+                          }`
+                        }
+                      >
+                        Metrics & Reports
+                      </NavLink>
+                    </>
+                  )}
                 </div>
               )}
             </div>
@@ -11,14 +11,24 @@ interface User {
   id: string;
   email: string;
   username: string;
-  role: 'admin' | 'volunteer';
+  role: 'admin' | 'coordinator' | 'volunteer';
+  twoFactorEnabled?: boolean;
+  twoFactorSetupRequired?: boolean;
+}
+
+interface LoginResult {
+  success: boolean;
+  error?: string;
+  twoFactorRequired?: boolean;
+  challengeToken?: string;
 }
 
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (email: string, password: string) => Promise<{ success: boolean; error?: string }>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  verifyTwoFactor: (challengeToken: string, code: string) => Promise<LoginResult>;
   logout: () => void;
   refreshAuth: () => void;
 }
@@ -51,11 +61,15 @@ export function AuthProvider({ children }: AuthProviderProps) {
     initAuth();
   }, []);
 
-  const login = async (email: string, password: string): Promise<{ success: boolean; error?: string }> => {
+  const login = async (email: string, password: string): Promise<LoginResult> => {
     try {
       setIsLoading(true);
       const response = await AuthService.login(email, password);
 
+      if (response.status === 'success' && response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
       if (response.status === 'success') {
         setUser(response.data.user);
         return { success: true };
@@ -71,6 +85,25 @@ export function AuthProvider({ children }: AuthProviderProps) {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken: string, code: string): Promise<LoginResult> => {
+    try {
+      setIsLoading(true);
+      const response = await AuthService.verifyTwoFactor(challengeToken, code);
+
+      if (response.status === 'success') {
+        setUser(response.data.user);
+        return { success: true };
+      } else {
+        return { success: false, error: response.message || 'Verification failed' };
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Verification failed';
+      return { success: false, error: errorMessage };
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const logout = () => {
     AuthService.logout();
     setUser(null);
@@ -88,6 +121,7 @@ export function AuthProvider({ children }: AuthProviderProps) {
     isAuthenticated,
     isLoading,
     login,
+    verifyTwoFactor,
     logout,
     refreshAuth
   };
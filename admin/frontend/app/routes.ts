@@ -8,6 +8,9 @@ export default [
   route("login", "routes/client/login1.tsx"), // Use login1.tsx as main login
   route("register", "routes/client/register.tsx"), // New registration page
   route("signup", "routes/client/signup.tsx"), // Keep existing if needed
+  route("forgot-password", "routes/client/forgot-password.tsx"), // Request a password reset email
+  route("reset-password", "routes/client/reset-password.tsx"), // Set a new password from the emailed link
+  route("verify-email", "routes/client/verify-email.tsx"), // Confirm email address from the emailed link
   route("oauth/callback", "routes/client/oauth-callback.tsx"), // OAuth callback handler
   route("about", "routes/client/about.tsx"), // About us page
   route("contact", "routes/client/contact.tsx"), // Contact page
@@ -32,10 +35,12 @@ export default [
       route("metrics", "routes/client/dashboard/admin/metrics.tsx"),
       route("events", "routes/client/dashboard/admin/event-management.tsx"),
       route("create-event", "routes/client/dashboard/admin/create-event.tsx"),
+      route("import-events", "routes/client/dashboard/admin/import-events.tsx"), // Bulk import from CSV or .ics files
       route("edit-event/:eventId", "routes/client/dashboard/admin/edit-event.tsx"),
       route("event-volunteers/:eventId", "routes/client/dashboard/admin/event-volunteers.$eventId.tsx"),
       route("matching", "routes/client/dashboard/admin/volunteer-matching.tsx"),
       route("users", "routes/client/dashboard/admin/user-management.tsx"),
+      route("invitations", "routes/client/dashboard/admin/invitations.tsx"),
       route("volunteer-metrics/:userId", "routes/client/dashboard/admin/volunteer-metrics.$userId.tsx"),
       route("reporting", "routes/client/dashboard/admin/reporting.tsx"),
       route("attendance", "routes/client/dashboard/admin/attendance.tsx"), // Admin attendance overview
@@ -1,11 +1,39 @@
-import { Outlet } from "react-router";
+import { Outlet, useLocation } from "react-router";
 import { useAuth } from "~/contexts/AuthContext";
 
+// Tabs shown to coordinators as well as admins; everything else is admin-only
+const adminTabs = [
+  { href: "/dashboard/admin/metrics", label: "Analytics", coordinator: false },
+  { href: "/dashboard/admin/events", label: "Event Management", coordinator: true },
+  { href: "/dashboard/admin/create-event", label: "Create Event", coordinator: true },
+  { href: "/dashboard/admin/import-events", label: "Import Events", coordinator: true },
+  { href: "/dashboard/admin/matching", label: "Volunteer Matching", coordinator: true },
+  { href: "/dashboard/admin/users", label: "User Management", coordinator: false },
+  { href: "/dashboard/admin/invitations", label: "Invitations", coordinator: false },
+  { href: "/dashboard/admin/reporting", label: "Reporting", coordinator: false },
+];
+
+// Admin pages coordinators may open for the events they manage
+const coordinatorPaths = [
+  "/dashboard/admin/events",
+  "/dashboard/admin/create-event",
+  "/dashboard/admin/import-events",
+  "/dashboard/admin/edit-event/",
+  "/dashboard/admin/event-volunteers/",
+  "/dashboard/admin/matching",
+  "/dashboard/admin/attendance",
+];
+
 export default function AdminLayout() {
   const { user } = useAuth();
+  const { pathname } = useLocation();
+
+  const isAdmin = user?.role === 'admin';
+  const isCoordinator = user?.role === 'coordinator';
+  const canAccess = isAdmin || (isCoordinator && coordinatorPaths.some(path => pathname.startsWith(path)));
 
-  // Redirect non-admin users
-  if (user?.role !== 'admin') {
+  // Redirect users without access to this page
+  if (!canAccess) {
     return (
       <div className="flex items-center justify-center min-h-64">
         <div className="card p-8 text-center">
@@ -17,7 +45,9 @@ export default function AdminLayout() {
           </div>
           <h2 className="text-xl font-semibold text-slate-800 mb-2">Access Restricted</h2>
           <p className="text-slate-600">
-            This section is only available to administrators. Please contact your system administrator if you need access.
+            {isCoordinator
+              ? 'This section is only available to administrators. Coordinators can manage the events they own from Event Management.'
+              : 'This section is only available to administrators. Please contact your system administrator if you need access.'}
           </p>
         </div>
       </div>
@@ -31,15 +61,15 @@ export default function AdminLayout() {
         <div className="flex items-center justify-between">
           <div>
             <h1 className="text-2xl font-bold title-gradient">
-              Administrator Dashboard
+              {isAdmin ? 'Administrator Dashboard' : 'Coordinator Dashboard'}
             </h1>
             <p className="text-slate-600 mt-1">
-              Manage events, volunteers, and system settings
+              {isAdmin ? 'Manage events, volunteers, and system settings' : 'Run rosters, attendance and assignments for your events'}
             </p>
           </div>
           <div className="flex items-center space-x-2 text-sm">
             <span className="px-3 py-1 bg-indigo-100 text-indigo-800 rounded-full font-medium">
-              Admin Access
+              {isAdmin ? 'Admin Access' : 'Coordinator Access'}
             </span>
             <div className="w-2 h-2 bg-green-500 rounded-full"></div>
           </div>
@@ -49,42 +79,15 @@ export default function AdminLayout() {
       {/* Admin Navigation Tabs */}
       <div className="card p-1">
         <nav className="flex space-x-1 overflow-x-auto">
-          <a
-            href="/dashboard/admin/metrics"
-            className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-slate-600 hover:text-slate-800 hover:bg-slate-50 whitespace-nowrap"
-          >
-            Analytics
-          </a>
-          <a
-            href="/dashboard/admin/events"
-            className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-slate-600 hover:text-slate-800 hover:bg-slate-50 whitespace-nowrap"
-          >
-            Event Management
-          </a>
-          <a
-            href="/dashboard/admin/create-event"
-            className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-slate-600 hover:text-slate-800 hover:bg-slate-50 whitespace-nowrap"
-          >
-            Create Event
-          </a>
-          <a
-            href="/dashboard/admin/matching"
-            className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-slate-600 hover:text-slate-800 hover:bg-slate-50 whitespace-nowrap"
-          >
-            Volunteer Matching
-          </a>
-          <a
-            href="/dashboard/admin/users"
-            className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-slate-600 hover:text-slate-800 hover:bg-slate-50 whitespace-nowrap"
-          >
-            User Management
-          </a>
-          <a
-            href="/dashboard/admin/reporting"
-            className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-slate-600 hover:text-slate-800 hover:bg-slate-50 whitespace-nowrap"
-          >
-            Reporting
-          </a>
+          {adminTabs.filter(tab => isAdmin || tab.coordinator).map(tab => (
+            <a
+              key={tab.href}
+              href={tab.href}
+              className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-slate-600 hover:text-slate-800 hover:bg-slate-50 whitespace-nowrap"
+            >
+              {tab.label}
+            </a>
+          ))}
         </nav>
       </div>
 
@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router";
-import { EventService, type FrontendEvent, type EventFilters } from "~/services/api";
+import { AuthService, EventService, type FrontendEvent, type EventFilters } from "~/services/api";
 
 export default function AdminAttendance() {
   const navigate = useNavigate();
@@ -21,7 +21,10 @@ export default function AdminAttendance() {
       setIsLoading(true);
       setError("");
 
-      const eventsData = await EventService.getEvents(filters, { limit: 100 });
+      // Coordinators only take attendance for the events they manage
+      const eventsData = AuthService.getCurrentUser()?.role === 'coordinator'
+        ? await EventService.getManagedEvents(filters, { limit: 100 })
+        : await EventService.getEvents(filters, { limit: 100 });
       setEvents(eventsData);
     } catch (err) {
       console.error("Failed to load events:", err);
@@ -1,7 +1,34 @@
 import { useState, useEffect, useRef } from 'react';
-import { SkillsService, EventService } from "~/services/api";
+import { SkillsService, EventService, type EventRecurrence, type EventTemplate } from "~/services/api";
 import { showSuccess, showError } from "~/utils/toast";
 
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+interface RepeatSettings {
+  frequency: 'none' | 'weekly' | 'monthly';
+  interval: number;
+  daysOfWeek: string[];
+  weekOfMonth: number;
+  dayOfWeek: string;
+  ends: 'count' | 'until';
+  count: number;
+  until: string;
+}
+
+// Fields still asked for when creating an event from a template
+const TEMPLATE_FIELDS = ['address', 'city', 'state', 'zipCode', 'eventDate', 'eventTime'];
+
+const defaultRepeat: RepeatSettings = {
+  frequency: 'none',
+  interval: 1,
+  daysOfWeek: [],
+  weekOfMonth: 1,
+  dayOfWeek: 'saturday',
+  ends: 'count',
+  count: 4,
+  until: ''
+};
+
 interface EventFormData {
   eventName: string;
   eventDescription: string;
@@ -48,6 +75,8 @@ export default function CreateEventPage() {
     volunteersNeeded: 1
   });
 
+  const [repeat, setRepeat] = useState<RepeatSettings>(defaultRepeat);
+
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth());
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
@@ -92,6 +121,17 @@ export default function CreateEventPage() {
     loadSkills();
   }, []);
 
+  // Templates are optional; without any the form works as before
+  const [templates, setTemplates] = useState<EventTemplate[]>([]);
+  const [templateId, setTemplateId] = useState('');
+  const template = templates.find(t => t.id === templateId);
+
+  useEffect(() => {
+    EventService.getEventTemplates()
+      .then(setTemplates)
+      .catch(error => console.error('Failed to load event templates:', error));
+  }, []);
+
   const validateField = (name: string, value: any): string | null => {
     switch (name) {
       case 'eventName':
@@ -353,6 +393,9 @@ export default function CreateEventPage() {
     const newErrors: FormErrors = {};
     
     Object.keys(formData).forEach(key => {
+      if (template && !TEMPLATE_FIELDS.includes(key)) {
+        return;
+      }
       const error = validateField(key, formData[key as keyof EventFormData]);
       if (error) {
         newErrors[key as keyof FormErrors] = error;
@@ -363,6 +406,26 @@ export default function CreateEventPage() {
     return Object.keys(newErrors).length === 0;
   };
 
+  const toggleRepeatDay = (day: string) => {
+    setRepeat(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day]
+    }));
+  };
+
+  // Weekly series default to the weekday of the first event when no day is ticked
+  const buildRecurrence = (start: Date): EventRecurrence => ({
+    frequency: repeat.frequency as 'weekly' | 'monthly',
+    interval: repeat.interval,
+    ...(repeat.frequency === 'weekly'
+      ? { daysOfWeek: repeat.daysOfWeek.length > 0 ? repeat.daysOfWeek : [WEEKDAYS[start.getDay()]] }
+      : { weekOfMonth: repeat.weekOfMonth, dayOfWeek: repeat.dayOfWeek }),
+    ...(repeat.ends === 'until' ? { until: repeat.until } : { count: repeat.count }),
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  });
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -370,54 +433,29 @@ export default function CreateEventPage() {
       return;
     }
 
+    if (!template && repeat.frequency !== 'none' && repeat.ends === 'until' && !repeat.until) {
+      showError('Choose the date the series ends');
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
       // Combine date and time into startDate
       const startDateTime = new Date(`${formData.eventDate}T${formData.eventTime}`);
-      // Set end date to 4 hours after start for now (can be made configurable)
-      const endDateTime = new Date(startDateTime.getTime() + 4 * 60 * 60 * 1000);
-
-      // Get skill IDs from skill names
-      const allSkills = await SkillsService.getSkills();
-      const skillNameToId = new Map(allSkills.map(skill => [skill.name, skill.id]));
-      const requiredSkillsArray = formData.requiredSkills
-        .map(skillName => {
-          const skillId = skillNameToId.get(skillName);
-          if (skillId) {
-            return {
-              skillId: skillId,
-              minLevel: 'beginner',
-              required: true
-            };
-          }
-          return null;
-        })
-        .filter(skill => skill !== null);
-
-      // Map urgency level to match Prisma enum values (LOW, MEDIUM, HIGH, CRITICAL)
-      const urgencyMap: Record<string, string> = {
-        'LOW': 'low',
-        'MEDIUM': 'medium',
-        'HIGH': 'high',
-        'URGENT': 'critical'
-      };
-
-      // Create the event
-      await EventService.createEvent({
-        title: formData.eventName,
-        description: formData.eventDescription,
-        address: formData.address,
-        city: formData.city,
-        state: formData.state,
-        zipCode: formData.zipCode,
-        startDate: startDateTime.toISOString(),
-        endDate: endDateTime.toISOString(),
-        maxVolunteers: formData.volunteersNeeded,
-        urgencyLevel: urgencyMap[formData.urgency] || 'medium',
-        requiredSkills: requiredSkillsArray as any,
-        category: formData.category
-      });
+
+      if (template) {
+        // The template sets everything else, including how long the event lasts
+        await EventService.createEventFromTemplate(template.id, {
+          startDate: startDateTime.toISOString(),
+          address: formData.address,
+          city: formData.city,
+          state: formData.state,
+          zipCode: formData.zipCode
+        });
+      } else {
+        await createEventFromForm(startDateTime);
+      }
 
       setShowSuccess(true);
 
@@ -437,6 +475,8 @@ export default function CreateEventPage() {
           eventTime: '09:00',
           volunteersNeeded: 1
         });
+        setRepeat(defaultRepeat);
+        setTemplateId('');
         setShowSuccess(false);
       }, 3000);
 
@@ -448,6 +488,53 @@ export default function CreateEventPage() {
     }
   };
 
+  const createEventFromForm = async (startDateTime: Date) => {
+    // Set end date to 4 hours after start for now (can be made configurable)
+    const endDateTime = new Date(startDateTime.getTime() + 4 * 60 * 60 * 1000);
+
+    // Get skill IDs from skill names
+    const allSkills = await SkillsService.getSkills();
+    const skillNameToId = new Map(allSkills.map(skill => [skill.name, skill.id]));
+    const requiredSkillsArray = formData.requiredSkills
+      .map(skillName => {
+        const skillId = skillNameToId.get(skillName);
+        if (skillId) {
+          return {
+            skillId: skillId,
+            minLevel: 'beginner',
+            required: true
+          };
+        }
+        return null;
+      })
+      .filter(skill => skill !== null);
+
+    // Map urgency level to match Prisma enum values (LOW, MEDIUM, HIGH, CRITICAL)
+    const urgencyMap: Record<string, string> = {
+      'LOW': 'low',
+      'MEDIUM': 'medium',
+      'HIGH': 'high',
+      'URGENT': 'critical'
+    };
+
+    // Create the event
+    await EventService.createEvent({
+      title: formData.eventName,
+      description: formData.eventDescription,
+      address: formData.address,
+      city: formData.city,
+      state: formData.state,
+      zipCode: formData.zipCode,
+      startDate: startDateTime.toISOString(),
+      endDate: endDateTime.toISOString(),
+      maxVolunteers: formData.volunteersNeeded,
+      urgencyLevel: urgencyMap[formData.urgency] || 'medium',
+      requiredSkills: requiredSkillsArray as any,
+      category: formData.category,
+      ...(repeat.frequency !== 'none' && { recurrence: buildRecurrence(startDateTime) })
+    });
+  };
+
   const getCharacterCount = (text: string, max: number) => {
     return `${text.length}/${max}`;
   };
@@ -499,10 +586,44 @@ export default function CreateEventPage() {
 
       {/* Event Creation Form */}
       <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Template */}
+        {templates.length > 0 && (
+          <div className="card p-6">
+            <h3 className="text-lg font-semibold text-slate-800 mb-4">Start From a Template</h3>
+            <div className="max-w-md">
+              <select
+                value={templateId}
+                onChange={(e) => setTemplateId(e.target.value)}
+                className="input"
+              >
+                <option value="">No template - enter all details</option>
+                {templates.map(t => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {template && (
+              <div className="mt-4 p-4 bg-slate-50 rounded-lg text-sm text-slate-700 space-y-1">
+                <p className="font-medium text-slate-900">{template.title}</p>
+                <p>{template.description}</p>
+                <p>
+                  {template.category} · {template.urgencyLevel} urgency · {template.maxVolunteers} volunteers · {Math.round(template.durationMinutes / 60 * 10) / 10} hours
+                </p>
+                {template.requiredSkills.length > 0 && (
+                  <p>Skills: {template.requiredSkills.map(skill => skill.skillName).join(', ')}</p>
+                )}
+                <p className="text-slate-500 pt-1">Only the date, time and location are needed.</p>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Basic Information */}
         <div className="card p-6">
-          <h3 className="text-lg font-semibold text-slate-800 mb-4">Basic Information</h3>
-          
+          <h3 className="text-lg font-semibold text-slate-800 mb-4">{template ? 'Location' : 'Basic Information'}</h3>
+
+          {!template && (<>
           {/* Event Name */}
           <div className="mb-4">
             <label className="label">
@@ -538,6 +659,7 @@ export default function CreateEventPage() {
               <p className="text-sm text-red-600 mt-1">{errors.eventDescription}</p>
             )}
           </div>
+          </>)}
 
           {/* Address */}
           <div className="mb-4">
@@ -645,6 +767,7 @@ export default function CreateEventPage() {
             </div>
 
             {/* Urgency */}
+            {!template && (
             <div>
               <label className="label">Urgency Level *</label>
               <select
@@ -661,8 +784,10 @@ export default function CreateEventPage() {
                 <p className="text-sm text-red-600 mt-1">{errors.urgency}</p>
               )}
             </div>
+            )}
           </div>
 
+          {!template && (<>
           {/* Category - Separate row */}
           <div className="mt-4">
             <div className="max-w-xs">
@@ -706,9 +831,149 @@ export default function CreateEventPage() {
               <p className="text-xs text-slate-500 mt-1">Maximum 100 volunteers per event</p>
             </div>
           </div>
+          </>)}
+        </div>
+
+        {/* Repeat */}
+        {!template && (
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-slate-800 mb-4">Repeat</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="label">Repeats</label>
+              <select
+                value={repeat.frequency}
+                onChange={(e) => setRepeat(prev => ({ ...prev, frequency: e.target.value as RepeatSettings['frequency'] }))}
+                className="input"
+              >
+                <option value="none">Does not repeat</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+              </select>
+            </div>
+
+            {repeat.frequency !== 'none' && (
+              <div>
+                <label className="label">Every</label>
+                <select
+                  value={repeat.interval}
+                  onChange={(e) => setRepeat(prev => ({ ...prev, interval: parseInt(e.target.value) }))}
+                  className="input"
+                >
+                  {[1, 2, 3, 4].map(n => (
+                    <option key={n} value={n}>
+                      {n === 1 ? (repeat.frequency === 'weekly' ? 'Week' : 'Month') : `${n} ${repeat.frequency === 'weekly' ? 'weeks' : 'months'}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {repeat.frequency === 'weekly' && (
+            <div className="mt-4">
+              <label className="label">On</label>
+              <div className="flex flex-wrap gap-3">
+                {WEEKDAYS.map(day => (
+                  <label key={day} className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={repeat.daysOfWeek.includes(day)}
+                      onChange={() => toggleRepeatDay(day)}
+                      className="w-4 h-4 text-indigo-600 border-slate-300 rounded focus:ring-indigo-500"
+                    />
+                    <span className="text-sm text-slate-700 capitalize">{day.slice(0, 3)}</span>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">Leave empty to repeat on the event's own weekday</p>
+            </div>
+          )}
+
+          {repeat.frequency === 'monthly' && (
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">On the</label>
+                <select
+                  value={repeat.weekOfMonth}
+                  onChange={(e) => setRepeat(prev => ({ ...prev, weekOfMonth: parseInt(e.target.value) }))}
+                  className="input"
+                >
+                  <option value={1}>First</option>
+                  <option value={2}>Second</option>
+                  <option value={3}>Third</option>
+                  <option value={4}>Fourth</option>
+                  <option value={-1}>Last</option>
+                </select>
+              </div>
+              <div>
+                <label className="label">Weekday</label>
+                <select
+                  value={repeat.dayOfWeek}
+                  onChange={(e) => setRepeat(prev => ({ ...prev, dayOfWeek: e.target.value }))}
+                  className="input capitalize"
+                >
+                  {WEEKDAYS.map(day => (
+                    <option key={day} value={day} className="capitalize">{day}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+
+          {repeat.frequency !== 'none' && (
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Ends</label>
+                <select
+                  value={repeat.ends}
+                  onChange={(e) => setRepeat(prev => ({ ...prev, ends: e.target.value as RepeatSettings['ends'] }))}
+                  className="input"
+                >
+                  <option value="count">After a number of events</option>
+                  <option value="until">On a date</option>
+                </select>
+              </div>
+              <div>
+                {repeat.ends === 'count' ? (
+                  <>
+                    <label className="label">Number of events</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={repeat.count}
+                      onChange={(e) => setRepeat(prev => ({ ...prev, count: parseInt(e.target.value) || 1 }))}
+                      className="input"
+                    />
+                  </>
+                ) : (
+                  <>
+                    <label className="label">Last date</label>
+                    <input
+                      type="date"
+                      value={repeat.until}
+                      min={formData.eventDate}
+                      onChange={(e) => setRepeat(prev => ({ ...prev, until: e.target.value }))}
+                      className="input"
+                    />
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {repeat.frequency !== 'none' && (
+            <p className="text-xs text-slate-500 mt-3">
+              Each occurrence is a separate event with the same details. A series can have up to 100 events.
+            </p>
+          )}
         </div>
+        )}
 
         {/* Required Skills */}
+        {!template && (
         <div className="card p-6">
           <h3 className="text-lg font-semibold text-slate-800 mb-4">
             Required Skills *
@@ -760,6 +1025,7 @@ export default function CreateEventPage() {
             </div>
           )}
         </div>
+        )}
 
         {/* Submit Buttons */}
         <div className="flex flex-col-reverse md:flex-row justify-end gap-3 md:gap-4 pt-4 border-t border-slate-200">
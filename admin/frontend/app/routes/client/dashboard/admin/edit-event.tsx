@@ -1,7 +1,9 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router';
-import { SkillsService, EventService, type FrontendEvent } from "~/services/api";
+import { SkillsService, EventService, type FrontendEvent, type SeriesEditScope } from "~/services/api";
 import { showSuccess, showError, showWarning } from "~/utils/toast";
+import EventManagers from "~/components/EventManagers";
+import EventShifts from "~/components/EventShifts";
 
 interface EventFormData {
   eventName: string;
@@ -44,6 +46,8 @@ export default function EditEventPage() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [showSuccess, setShowSuccess] = useState(false);
+  const [seriesId, setSeriesId] = useState<string | null>(null);
+  const [applyTo, setApplyTo] = useState<SeriesEditScope>('this');
 
   // Load skills from backend
   const [availableSkills, setAvailableSkills] = useState<string[]>([]);
@@ -98,6 +102,7 @@ export default function EditEventPage() {
           eventTime,
           volunteersNeeded: event.maxVolunteers
         });
+        setSeriesId(event.seriesId || null);
       } catch (error) {
         console.error('Failed to load event:', error);
         showError('Failed to load event data');
@@ -211,7 +216,7 @@ export default function EditEventPage() {
         maxVolunteers: formData.volunteersNeeded,
       };
 
-      await EventService.updateEvent(eventId, updateData);
+      await EventService.updateEvent(eventId, updateData, seriesId ? applyTo : 'this');
 
       setShowSuccess(true);
       setTimeout(() => {
@@ -406,6 +411,40 @@ export default function EditEventPage() {
           {errors.requiredSkills && <p className="text-red-600 text-sm mt-1">{errors.requiredSkills}</p>}
         </div>
 
+        {/* Series scope */}
+        {seriesId && (
+          <div className="card p-6">
+            <h3 className="text-lg font-semibold text-slate-800 mb-2">Recurring Event</h3>
+            <p className="text-sm text-slate-600 mb-4">
+              This event is part of a series. Choose which occurrences your changes apply to.
+            </p>
+            <div className="space-y-2">
+              {([
+                ['this', 'This event only'],
+                ['following', 'This and following events'],
+                ['all', 'All events in the series']
+              ] as [SeriesEditScope, string][]).map(([value, label]) => (
+                <label key={value} className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="applyTo"
+                    value={value}
+                    checked={applyTo === value}
+                    onChange={() => setApplyTo(value)}
+                    className="border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <span className="text-sm text-slate-700">{label}</span>
+                </label>
+              ))}
+            </div>
+            {applyTo !== 'this' && (
+              <p className="text-xs text-slate-500 mt-2">
+                Other occurrences keep their own dates, moved by the same amount as this one. Events that already ended are not changed.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Submit Buttons */}
         <div className="flex justify-end space-x-4 pt-6 border-t border-slate-200">
           <button
@@ -436,6 +475,10 @@ export default function EditEventPage() {
           </button>
         </div>
       </form>
+
+      {eventId && formData.eventDate && <EventShifts eventId={eventId} eventDate={formData.eventDate} />}
+
+      {eventId && <EventManagers eventId={eventId} />}
     </div>
   );
 }
\ No newline at end of file
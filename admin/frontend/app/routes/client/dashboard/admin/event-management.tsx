@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { EventService, API_BASE_URL } from "~/services/api";
+import { useAuth } from "~/contexts/AuthContext";
 import { showSuccess, showError } from "~/utils/toast";
 
 interface Event {
@@ -16,6 +17,8 @@ interface Event {
 }
 
 export default function EventManagementPage() {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
   const [events, setEvents] = useState<Event[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string>("");
@@ -26,7 +29,9 @@ export default function EventManagementPage() {
       setIsLoading(true);
 
       // Use direct API call to get full backend event data with actual status
-      const response = await fetch(`${API_BASE_URL}/events?limit=100`, {
+      // Coordinators only see the events they created or co-manage
+      const endpoint = isAdmin ? 'events' : 'events/managed';
+      const response = await fetch(`${API_BASE_URL}/${endpoint}?limit=100`, {
         headers: {
           'Content-Type': 'application/json'
         },
@@ -116,8 +121,10 @@ export default function EventManagementPage() {
   };
 
   useEffect(() => {
-    loadEvents();
-  }, []);
+    if (user) {
+      loadEvents();
+    }
+  }, [user]);
 
   const [filter, setFilter] = useState<'ALL' | 'DRAFT' | 'PUBLISHED' | 'COMPLETED' | 'CANCELLED'>('ALL');
   const [searchTerm, setSearchTerm] = useState('');
@@ -143,7 +150,33 @@ export default function EventManagementPage() {
     }
   };
 
+  const handleCancelEvent = async (eventId: string) => {
+    const reason = prompt('Why is this event being cancelled? Volunteers who signed up will be sent this reason.');
+    if (reason === null) {
+      return;
+    }
+    if (reason.trim().length < 3) {
+      showError('Please give a reason for cancelling the event');
+      return;
+    }
+
+    try {
+      await EventService.cancelEvent(eventId, reason.trim());
+      await loadEvents();
+      showSuccess('Event cancelled and volunteers notified');
+    } catch (error) {
+      console.error('Error cancelling event:', error);
+      showError('Failed to cancel event: ' + (error instanceof Error ? error.message : 'Unknown error'));
+      await loadEvents();
+    }
+  };
+
   const handleStatusChange = async (eventId: string, newStatus: Event['status']) => {
+    // Cancelling notifies volunteers and needs a reason
+    if (newStatus === 'CANCELLED') {
+      return handleCancelEvent(eventId);
+    }
+
     try {
       console.log(`Attempting to change status for event ${eventId} to ${newStatus}`);
 
@@ -159,9 +192,6 @@ export default function EventManagementPage() {
         case 'COMPLETED':
           backendStatus = 'completed';
           break;
-        case 'CANCELLED':
-          backendStatus = 'cancelled';
-          break;
         default:
           backendStatus = 'draft'; // Default fallback
       }
@@ -186,6 +216,25 @@ export default function EventManagementPage() {
     }
   };
 
+  const handleSaveAsTemplate = async (event: Event) => {
+    const name = prompt('Name this template (e.g. "Beach cleanup"):', event.eventName);
+    if (name === null) {
+      return;
+    }
+    if (name.trim().length < 3) {
+      showError('Template names need at least 3 characters');
+      return;
+    }
+
+    try {
+      await EventService.saveEventAsTemplate(event.id, name.trim());
+      showSuccess(`Saved as the ${name.trim()} template`);
+    } catch (error) {
+      console.error('Error saving event as template:', error);
+      showError(error instanceof Error ? error.message : 'Failed to save event as template');
+    }
+  };
+
   const handleEditEvent = (eventId: string) => {
     // Navigate to edit page or open edit modal
     window.location.href = `/dashboard/admin/edit-event/${eventId}`;
@@ -367,14 +416,26 @@ export default function EventManagementPage() {
                   Edit
                 </button>
                 <button
-                  onClick={() => handleDeleteEvent(event.id)}
-                  className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors flex items-center justify-center gap-2"
+                  onClick={() => handleSaveAsTemplate(event)}
+                  title="Save as template"
+                  className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg text-sm font-medium hover:bg-slate-50 transition-colors flex items-center justify-center gap-2"
                 >
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2" />
                   </svg>
-                  Delete
+                  Template
                 </button>
+                {isAdmin && (
+                  <button
+                    onClick={() => handleDeleteEvent(event.id)}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors flex items-center justify-center gap-2"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                    Delete
+                  </button>
+                )}
               </div>
               <a
                 href={`/dashboard/admin/event-volunteers/${event.id}`}
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router';
 import { EventVolunteerService, EventService } from "~/services/api";
 import { showError } from "~/utils/toast";
+import EventWaitlist from "~/components/EventWaitlist";
 
 interface Volunteer {
   id: string;
@@ -332,6 +333,8 @@ export default function EventVolunteersPage() {
         </div>
       </div>
 
+      {eventId && <EventWaitlist eventId={eventId} />}
+
       {/* Review Modal */}
       {showReviewModal && selectedVolunteer && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -0,0 +1,333 @@
+import { useState } from 'react';
+import { EventService, type EventImportField, type EventImportRequest, type EventImportResult } from "~/services/api";
+import { showSuccess, showError } from "~/utils/toast";
+
+// CSV columns offered for mapping; unmapped fields are matched by header name
+const MAPPABLE_FIELDS: { field: EventImportField; label: string }[] = [
+  { field: 'title', label: 'Title' },
+  { field: 'description', label: 'Description' },
+  { field: 'startDate', label: 'Start date & time' },
+  { field: 'endDate', label: 'End date & time' },
+  { field: 'date', label: 'Date (with separate times)' },
+  { field: 'startTime', label: 'Start time' },
+  { field: 'endTime', label: 'End time' },
+  { field: 'address', label: 'Street address' },
+  { field: 'city', label: 'City' },
+  { field: 'state', label: 'State' },
+  { field: 'zipCode', label: 'ZIP code' },
+  { field: 'maxVolunteers', label: 'Volunteers needed' },
+  { field: 'urgencyLevel', label: 'Urgency' },
+  { field: 'category', label: 'Category' },
+  { field: 'requiredSkills', label: 'Required skills' }
+];
+
+const CATEGORIES = ['community', 'environmental', 'educational', 'healthcare', 'food', 'disaster', 'fundraising', 'administrative'];
+
+// Column names from the first line of a CSV file, allowing for quoted names
+const readCsvHeaders = (content: string): string[] => {
+  const firstLine = content.replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+  const headers: string[] = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of firstLine) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      headers.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  headers.push(current.trim());
+
+  return headers.filter(Boolean);
+};
+
+export default function ImportEventsPage() {
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState<'csv' | 'ics'>('csv');
+  const [content, setContent] = useState('');
+  const [headers, setHeaders] = useState<string[]>([]);
+  const [mapping, setMapping] = useState<Partial<Record<EventImportField, string>>>({});
+  const [defaults, setDefaults] = useState({
+    description: '',
+    address: '',
+    city: '',
+    state: '',
+    zipCode: '',
+    maxVolunteers: '',
+    category: ''
+  });
+  const [timezone, setTimezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const [preview, setPreview] = useState<EventImportResult | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    setPreview(null);
+    setMapping({});
+
+    if (!file) {
+      setFileName('');
+      setContent('');
+      setHeaders([]);
+      return;
+    }
+
+    const text = await file.text();
+    const isCalendar = file.name.toLowerCase().endsWith('.ics') || /BEGIN:VCALENDAR/i.test(text);
+
+    setFileName(file.name);
+    setFormat(isCalendar ? 'ics' : 'csv');
+    setContent(text);
+    setHeaders(isCalendar ? [] : readCsvHeaders(text));
+  };
+
+  const buildRequest = (dryRun: boolean): EventImportRequest => {
+    const filledDefaults = Object.fromEntries(
+      Object.entries(defaults).filter(([, value]) => value.trim() !== '')
+    );
+
+    return {
+      format,
+      content,
+      ...(format === 'csv' && Object.keys(mapping).length > 0 && { mapping }),
+      defaults: {
+        ...filledDefaults,
+        ...(filledDefaults.maxVolunteers && { maxVolunteers: Number(filledDefaults.maxVolunteers) })
+      },
+      timezone,
+      dryRun
+    };
+  };
+
+  const run = async (dryRun: boolean) => {
+    setIsBusy(true);
+    try {
+      const result = await EventService.importEvents(buildRequest(dryRun));
+
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        showSuccess(result.message);
+        setPreview(null);
+        setContent('');
+        setFileName('');
+        setHeaders([]);
+      }
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to import events');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleImport = () => {
+    if (!preview) {
+      return;
+    }
+
+    const skipped = preview.invalid > 0 ? ` ${preview.invalid} rows with errors will be skipped.` : '';
+    if (!confirm(`Import ${preview.valid} events as drafts?${skipped}`)) {
+      return;
+    }
+
+    run(false);
+  };
+
+  const defaultField = (field: keyof typeof defaults, label: string, type = 'text') => (
+    <div className="row">
+      <label className="label">{label}</label>
+      <input
+        type={type}
+        value={defaults[field]}
+        onChange={(e) => {
+          setDefaults(prev => ({ ...prev, [field]: e.target.value }));
+          setPreview(null);
+        }}
+        className="input"
+      />
+    </div>
+  );
+
+  const formatDate = (value: unknown) =>
+    value && !Number.isNaN(new Date(value as string).getTime())
+      ? new Date(value as string).toLocaleString()
+      : String(value || '—');
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <h3 className="title-gradient mb-2">Import Events</h3>
+        <p className="text-sm text-slate-600 mb-4">
+          Upload a spreadsheet saved as CSV or a calendar export (.ics). Events are checked like ones created by hand
+          and imported as drafts, so you can review them before publishing. Required skills are skill names separated
+          by semicolons, optionally with a level, e.g. <code>First Aid; Forklift:advanced</code>.
+        </p>
+
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div className="row">
+            <label className="label">File *</label>
+            <input type="file" accept=".csv,.ics,text/csv,text/calendar" onChange={handleFileChange} className="input" />
+            {fileName && (
+              <p className="text-xs text-slate-500 mt-1">{fileName} ({format === 'ics' ? 'calendar' : 'spreadsheet'})</p>
+            )}
+          </div>
+          <div className="row">
+            <label className="label">Time zone for times in the file</label>
+            <input
+              type="text"
+              value={timezone}
+              onChange={(e) => {
+                setTimezone(e.target.value);
+                setPreview(null);
+              }}
+              className="input"
+            />
+          </div>
+        </div>
+      </div>
+
+      {format === 'csv' && headers.length > 0 && (
+        <div className="card p-6">
+          <h3 className="title-gradient mb-2">Column Mapping</h3>
+          <p className="text-sm text-slate-600 mb-4">
+            Columns named like the fields (e.g. "Start Date") are matched automatically.
+          </p>
+          <div className="grid sm:grid-cols-3 gap-4">
+            {MAPPABLE_FIELDS.map(({ field, label }) => (
+              <div key={field} className="row">
+                <label className="label">{label}</label>
+                <select
+                  value={mapping[field] || ''}
+                  onChange={(e) => {
+                    const column = e.target.value;
+                    setMapping(prev => {
+                      const next = { ...prev };
+                      if (column) {
+                        next[field] = column;
+                      } else {
+                        delete next[field];
+                      }
+                      return next;
+                    });
+                    setPreview(null);
+                  }}
+                  className="input"
+                >
+                  <option value="">Automatic</option>
+                  {headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {content && (
+        <div className="card p-6">
+          <h3 className="title-gradient mb-2">Defaults</h3>
+          <p className="text-sm text-slate-600 mb-4">
+            Used for rows that leave a field blank. Calendar exports usually need a category and the number of volunteers.
+          </p>
+          <div className="grid sm:grid-cols-3 gap-4">
+            <div className="row">
+              <label className="label">Category</label>
+              <select
+                value={defaults.category}
+                onChange={(e) => {
+                  setDefaults(prev => ({ ...prev, category: e.target.value }));
+                  setPreview(null);
+                }}
+                className="input capitalize"
+              >
+                <option value="">None</option>
+                {CATEGORIES.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </div>
+            {defaultField('maxVolunteers', 'Volunteers needed', 'number')}
+            {defaultField('description', 'Description')}
+            {defaultField('address', 'Street address')}
+            {defaultField('city', 'City')}
+            {defaultField('state', 'State')}
+            {defaultField('zipCode', 'ZIP code')}
+          </div>
+
+          <button
+            type="button"
+            onClick={() => run(true)}
+            disabled={isBusy}
+            className="mt-4 px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Preview import
+          </button>
+        </div>
+      )}
+
+      {preview && (
+        <div className="card p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="title-gradient">Preview</h3>
+              <p className="text-sm text-slate-600">
+                {preview.valid} of {preview.total} rows are ready to import
+                {preview.invalid > 0 && `; ${preview.invalid} have errors and will be skipped`}.
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={isBusy || preview.valid === 0}
+              className="btn-primary w-auto px-4 py-2 text-sm disabled:opacity-50"
+            >
+              Import {preview.valid} events as drafts
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-200">
+                  <th className="py-2 pr-4 font-medium">Row</th>
+                  <th className="py-2 pr-4 font-medium">Title</th>
+                  <th className="py-2 pr-4 font-medium">Starts</th>
+                  <th className="py-2 pr-4 font-medium">Ends</th>
+                  <th className="py-2 pr-4 font-medium">Location</th>
+                  <th className="py-2 font-medium">Problems</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {preview.rows.map(({ row, event, errors }) => (
+                  <tr key={row} className={errors.length > 0 ? 'bg-red-50' : ''}>
+                    <td className="py-2 pr-4 text-slate-500">{row}</td>
+                    <td className="py-2 pr-4 text-slate-900">{event.title || '—'}</td>
+                    <td className="py-2 pr-4 text-slate-600">{formatDate(event.startDate)}</td>
+                    <td className="py-2 pr-4 text-slate-600">{formatDate(event.endDate)}</td>
+                    <td className="py-2 pr-4 text-slate-600">
+                      {[event.address, event.city, event.state].filter(Boolean).join(', ') || '—'}
+                    </td>
+                    <td className="py-2">
+                      {errors.length === 0 ? (
+                        <span className="text-green-700">Ready</span>
+                      ) : (
+                        <ul className="text-red-700 space-y-0.5">
+                          {errors.map(error => <li key={error}>{error}</li>)}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
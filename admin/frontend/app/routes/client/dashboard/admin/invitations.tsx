@@ -0,0 +1,296 @@
+import { useState, useEffect } from 'react';
+import { InvitationService, type Invitation, type InvitationProfile, type InvitationStatus, type UserRole } from "~/services/api";
+import { showSuccess, showError } from "~/utils/toast";
+
+const STATUS_STYLES: Record<InvitationStatus, string> = {
+  pending: 'bg-amber-100 text-amber-800',
+  accepted: 'bg-green-100 text-green-800',
+  expired: 'bg-slate-100 text-slate-600',
+  revoked: 'bg-red-100 text-red-700'
+};
+
+const emptyProfile: InvitationProfile = {
+  firstName: '',
+  lastName: '',
+  phone: '',
+  city: '',
+  state: '',
+  zipCode: ''
+};
+
+export default function InvitationsPage() {
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [statusFilter, setStatusFilter] = useState<'ALL' | InvitationStatus>('ALL');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<UserRole>('volunteer');
+  const [profile, setProfile] = useState<InvitationProfile>(emptyProfile);
+
+  const [bulkEmails, setBulkEmails] = useState('');
+  const [bulkRole, setBulkRole] = useState<UserRole>('volunteer');
+  const [skipped, setSkipped] = useState<{ email: string; reason: string }[]>([]);
+
+  const loadInvitations = async () => {
+    try {
+      setIsLoading(true);
+      setInvitations(await InvitationService.getInvitations(statusFilter === 'ALL' ? undefined : statusFilter));
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to load invitations');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadInvitations();
+  }, [statusFilter]);
+
+  const run = async (action: () => Promise<void>) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleInvite = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const filled = Object.fromEntries(Object.entries(profile).filter(([, value]) => value)) as InvitationProfile;
+      const result = await InvitationService.invite({
+        email,
+        role,
+        ...(Object.keys(filled).length > 0 && { profile: filled })
+      });
+      result.emailSent ? showSuccess(result.message) : showError(result.message);
+      setEmail('');
+      setProfile(emptyProfile);
+      await loadInvitations();
+    });
+  };
+
+  const handleBulkInvite = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await InvitationService.bulkInvite(bulkEmails, bulkRole);
+      showSuccess(result.message);
+      setSkipped(result.skipped);
+      setBulkEmails('');
+      await loadInvitations();
+    });
+  };
+
+  const handleResend = (invitation: Invitation) => run(async () => {
+    const result = await InvitationService.resend(invitation.id);
+    result.emailSent ? showSuccess(result.message) : showError(result.message);
+    await loadInvitations();
+  });
+
+  const handleRevoke = (invitation: Invitation) => {
+    if (!confirm(`Revoke the invitation for ${invitation.email}?`)) {
+      return;
+    }
+
+    run(async () => {
+      await InvitationService.revoke(invitation.id);
+      showSuccess('Invitation revoked');
+      await loadInvitations();
+    });
+  };
+
+  const profileField = (field: keyof InvitationProfile, label: string) => (
+    <div className="row">
+      <label className="label">{label}</label>
+      <input
+        type="text"
+        value={profile[field] || ''}
+        onChange={(e) => setProfile(prev => ({ ...prev, [field]: e.target.value }))}
+        className="input"
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div className="card p-6">
+          <h3 className="title-gradient mb-2">Invite Someone</h3>
+          <p className="text-sm text-slate-600 mb-4">
+            They get an email with a link to finish registering. Details you fill in are pre-filled on their profile.
+          </p>
+
+          <form onSubmit={handleInvite} className="space-y-4">
+            <div className="grid sm:grid-cols-2 gap-4">
+              <div className="row">
+                <label className="label">Email *</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="input"
+                  required
+                />
+              </div>
+              <div className="row">
+                <label className="label">Role</label>
+                <select value={role} onChange={(e) => setRole(e.target.value as UserRole)} className="input">
+                  <option value="volunteer">Volunteer</option>
+                  <option value="coordinator">Coordinator</option>
+                  <option value="admin">Admin</option>
+                </select>
+              </div>
+              {profileField('firstName', 'First name')}
+              {profileField('lastName', 'Last name')}
+              {profileField('phone', 'Phone')}
+              {profileField('city', 'City')}
+              {profileField('state', 'State')}
+              {profileField('zipCode', 'Zip code')}
+            </div>
+            <button
+              type="submit"
+              disabled={isBusy || !email}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Send invitation
+            </button>
+          </form>
+        </div>
+
+        <div className="card p-6">
+          <h3 className="title-gradient mb-2">Bulk Invite</h3>
+          <p className="text-sm text-slate-600 mb-4">
+            Paste email addresses separated by commas, spaces or new lines. Everyone gets the same role.
+          </p>
+
+          <form onSubmit={handleBulkInvite} className="space-y-4">
+            <textarea
+              value={bulkEmails}
+              onChange={(e) => setBulkEmails(e.target.value)}
+              rows={6}
+              className="input"
+              placeholder={'jane@example.org\njohn@example.org'}
+            />
+            <div className="flex items-center gap-4">
+              <select value={bulkRole} onChange={(e) => setBulkRole(e.target.value as UserRole)} className="input max-w-48">
+                <option value="volunteer">Volunteer</option>
+                <option value="coordinator">Coordinator</option>
+                <option value="admin">Admin</option>
+              </select>
+              <button
+                type="submit"
+                disabled={isBusy || !bulkEmails.trim()}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Send invitations
+              </button>
+            </div>
+          </form>
+
+          {skipped.length > 0 && (
+            <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm">
+              <p className="font-medium text-amber-800 mb-1">Skipped</p>
+              <ul className="space-y-1 text-amber-700">
+                {skipped.map(item => (
+                  <li key={item.email}>{item.email}: {item.reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="title-gradient">Invitations</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value as 'ALL' | InvitationStatus)}
+            className="input max-w-48"
+          >
+            <option value="ALL">All statuses</option>
+            <option value="pending">Pending</option>
+            <option value="accepted">Accepted</option>
+            <option value="expired">Expired</option>
+            <option value="revoked">Revoked</option>
+          </select>
+        </div>
+
+        {isLoading ? (
+          <p className="text-sm text-slate-500">Loading invitations...</p>
+        ) : invitations.length === 0 ? (
+          <p className="text-sm text-slate-500">No invitations yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-200">
+                  <th className="py-2 pr-4 font-medium">Email</th>
+                  <th className="py-2 pr-4 font-medium">Role</th>
+                  <th className="py-2 pr-4 font-medium">Status</th>
+                  <th className="py-2 pr-4 font-medium">Invited by</th>
+                  <th className="py-2 pr-4 font-medium">Last sent</th>
+                  <th className="py-2 pr-4 font-medium">Expires</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {invitations.map(invitation => {
+                  const open = invitation.status === 'pending' || invitation.status === 'expired';
+
+                  return (
+                    <tr key={invitation.id}>
+                      <td className="py-2 pr-4 text-slate-900">{invitation.email}</td>
+                      <td className="py-2 pr-4 capitalize">{invitation.role}</td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[invitation.status]}`}>
+                          {invitation.status}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-slate-600">{invitation.invitedBy?.username || '—'}</td>
+                      <td className="py-2 pr-4 text-slate-600">
+                        {new Date(invitation.sentAt).toLocaleDateString()}
+                        {invitation.sendCount > 1 && ` (${invitation.sendCount}×)`}
+                      </td>
+                      <td className="py-2 pr-4 text-slate-600">
+                        {invitation.status === 'accepted' && invitation.acceptedAt
+                          ? `Accepted ${new Date(invitation.acceptedAt).toLocaleDateString()}`
+                          : new Date(invitation.expiresAt).toLocaleDateString()}
+                      </td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        {open && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => handleResend(invitation)}
+                              disabled={isBusy}
+                              className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-indigo-700 hover:bg-slate-200 disabled:opacity-50 mr-2"
+                            >
+                              Resend
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleRevoke(invitation)}
+                              disabled={isBusy}
+                              className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200 disabled:opacity-50"
+                            >
+                              Revoke
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ interface MetricsData {
     totalUsers: number;
     adminUsers: number;
     volunteerUsers: number;
+    coordinatorUsers: number;
     verifiedUsers: number;
     totalEvents: number;
     publishedEvents: number;
@@ -139,7 +140,7 @@ export default function MetricsPage() {
               <p className="text-sm text-indigo-600 font-medium">Total Users</p>
               <p className="text-3xl font-bold text-indigo-900 mt-1">{metrics.overview.totalUsers}</p>
               <p className="text-xs text-indigo-600 mt-1">
-                {metrics.overview.volunteerUsers} volunteers, {metrics.overview.adminUsers} admins
+                {metrics.overview.volunteerUsers} volunteers, {metrics.overview.coordinatorUsers} coordinators, {metrics.overview.adminUsers} admins
               </p>
             </div>
             <div className="h-12 w-12 bg-indigo-200 rounded-full flex items-center justify-center">
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { UserService, type UserData, type CreateUserData, type UpdateUserData } from "~/services/api";
+import { UserService, SettingsService, type UserData, type CreateUserData, type UpdateUserData, type OrganizationSettings, type UserRole } from "~/services/api";
 import { showSuccess, showError } from "~/utils/toast";
 
 export default function UserManagementPage() {
@@ -7,7 +7,7 @@ export default function UserManagementPage() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string>("");
   const [searchTerm, setSearchTerm] = useState('');
-  const [roleFilter, setRoleFilter] = useState<'ALL' | 'admin' | 'volunteer'>('ALL');
+  const [roleFilter, setRoleFilter] = useState<'ALL' | UserRole>('ALL');
   const [verifiedFilter, setVerifiedFilter] = useState<'ALL' | 'verified' | 'unverified'>('ALL');
 
   // Modal states
@@ -24,6 +24,7 @@ export default function UserManagementPage() {
   });
 
   const [editFormData, setEditFormData] = useState<UpdateUserData>({});
+  const [settings, setSettings] = useState<OrganizationSettings | null>(null);
 
   // Load users from backend
   const loadUsers = async () => {
@@ -42,8 +43,27 @@ export default function UserManagementPage() {
 
   useEffect(() => {
     loadUsers();
+    SettingsService.getSettings()
+      .then(setSettings)
+      .catch((err) => console.error("Error loading settings:", err));
   }, []);
 
+  const handleToggleAdminTwoFactor = async () => {
+    if (!settings) return;
+
+    try {
+      const updated = await SettingsService.updateSettings({
+        requireAdminTwoFactor: !settings.requireAdminTwoFactor
+      });
+      setSettings(updated);
+      showSuccess(updated.requireAdminTwoFactor
+        ? 'Two-factor authentication is now required for admins'
+        : 'Two-factor authentication is now optional for admins');
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to update settings');
+    }
+  };
+
   // Filter users
   const filteredUsers = users.filter(user => {
     const matchesSearch =
@@ -112,6 +132,44 @@ export default function UserManagementPage() {
     }
   };
 
+  const handleUnlockUser = async (userId: string) => {
+    try {
+      await UserService.unlockUser(userId);
+      await loadUsers();
+      showSuccess('Account unlocked');
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      showError('Failed to unlock user: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleSignOutUser = async (userId: string, username: string) => {
+    if (confirm(`Sign "${username}" out of every device?`)) {
+      try {
+        await UserService.signOutUser(userId);
+        showSuccess('User signed out of all sessions');
+      } catch (error) {
+        console.error('Error signing out user:', error);
+        showError('Failed to sign out user: ' + (error instanceof Error ? error.message : 'Unknown error'));
+      }
+    }
+  };
+
+  const handleImpersonate = async (userId: string, username: string) => {
+    const reason = prompt(`View the app as "${username}" (read-only, 30 minutes).\n\nReason or ticket number (recorded in the audit log):`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      await UserService.impersonate(userId, { reason: reason.trim() });
+      window.location.href = '/dashboard/home';
+    } catch (error) {
+      console.error('Error starting impersonation:', error);
+      showError(error instanceof Error ? error.message : 'Failed to start impersonation');
+    }
+  };
+
   // Open edit modal
   const openEditModal = (user: UserData) => {
     setSelectedUser(user);
@@ -125,7 +183,9 @@ export default function UserManagementPage() {
   };
 
   const getRoleBadgeColor = (role: string) => {
-    return role === 'admin' ? 'bg-purple-100 text-purple-800' : 'bg-blue-100 text-blue-800';
+    if (role === 'admin') return 'bg-purple-100 text-purple-800';
+    if (role === 'coordinator') return 'bg-amber-100 text-amber-800';
+    return 'bg-blue-100 text-blue-800';
   };
 
   const getVerifiedBadgeColor = (verified: boolean) => {
@@ -205,6 +265,7 @@ export default function UserManagementPage() {
             >
               <option value="ALL">All Roles</option>
               <option value="admin">Admin</option>
+              <option value="coordinator">Coordinator</option>
               <option value="volunteer">Volunteer</option>
             </select>
           </div>
@@ -223,6 +284,34 @@ export default function UserManagementPage() {
         </div>
       </div>
 
+      {/* Security Policy */}
+      {settings && (
+        <div className="card p-6">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-semibold text-slate-900">Require two-factor authentication for this organization's admins</h3>
+              <p className="text-sm text-slate-600 mt-1">
+                Admins without two-factor authentication will be asked to set it up before they can use admin features.
+              </p>
+            </div>
+            <button
+              onClick={handleToggleAdminTwoFactor}
+              role="switch"
+              aria-checked={settings.requireAdminTwoFactor}
+              className={`relative inline-flex h-6 w-11 flex-shrink-0 rounded-full transition ${
+                settings.requireAdminTwoFactor ? 'bg-indigo-600' : 'bg-slate-300'
+              }`}
+            >
+              <span
+                className={`inline-block h-5 w-5 mt-0.5 rounded-full bg-white shadow transform transition ${
+                  settings.requireAdminTwoFactor ? 'translate-x-5' : 'translate-x-0.5'
+                }`}
+              />
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Users Table */}
       <div className="card overflow-hidden">
         <div className="overflow-x-auto">
@@ -269,6 +358,18 @@ export default function UserManagementPage() {
                     <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${getVerifiedBadgeColor(user.verified)}`}>
                       {user.verified ? 'Verified' : 'Unverified'}
                     </span>
+                    {user.locked ? (
+                      <span
+                        className="ml-2 px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800"
+                        title={user.lockedUntil ? `Locked until ${new Date(user.lockedUntil).toLocaleString()}` : undefined}
+                      >
+                        Locked
+                      </span>
+                    ) : !!user.failedLoginAttempts && (
+                      <span className="ml-2 text-xs text-amber-700">
+                        {user.failedLoginAttempts} failed login{user.failedLoginAttempts === 1 ? '' : 's'}
+                      </span>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
                     {new Date(user.createdAt).toLocaleDateString()}
@@ -283,6 +384,28 @@ export default function UserManagementPage() {
                           Metrics
                         </a>
                       )}
+                      {(user.locked || !!user.failedLoginAttempts) && (
+                        <button
+                          onClick={() => handleUnlockUser(user.id)}
+                          className="text-amber-600 hover:text-amber-900 transition"
+                        >
+                          Unlock
+                        </button>
+                      )}
+                      {user.role !== 'admin' && (
+                        <button
+                          onClick={() => handleImpersonate(user.id, user.username)}
+                          className="text-amber-600 hover:text-amber-900 transition"
+                        >
+                          View as
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleSignOutUser(user.id, user.username)}
+                        className="text-slate-600 hover:text-slate-900 transition"
+                      >
+                        Sign out
+                      </button>
                       <button
                         onClick={() => openEditModal(user)}
                         className="text-indigo-600 hover:text-indigo-900 transition"
@@ -380,10 +503,11 @@ export default function UserManagementPage() {
                 <label className="label">Role</label>
                 <select
                   value={formData.role}
-                  onChange={(e) => setFormData({ ...formData, role: e.target.value as 'admin' | 'volunteer' })}
+                  onChange={(e) => setFormData({ ...formData, role: e.target.value as UserRole })}
                   className="input"
                 >
                   <option value="volunteer">Volunteer</option>
+                  <option value="coordinator">Coordinator</option>
                   <option value="admin">Admin</option>
                 </select>
               </div>
@@ -455,10 +579,11 @@ export default function UserManagementPage() {
                 <label className="label">Role</label>
                 <select
                   value={editFormData.role || selectedUser.role}
-                  onChange={(e) => setEditFormData({ ...editFormData, role: e.target.value as 'admin' | 'volunteer' })}
+                  onChange={(e) => setEditFormData({ ...editFormData, role: e.target.value as UserRole })}
                   className="input"
                 >
                   <option value="volunteer">Volunteer</option>
+                  <option value="coordinator">Coordinator</option>
                   <option value="admin">Admin</option>
                 </select>
               </div>
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { EventService, MatchingService, EventVolunteerService, type VolunteerMatch } from '../../../../services/api';
+import { AuthService, EventService, MatchingService, EventVolunteerService, type VolunteerMatch } from '../../../../services/api';
 import { showSuccess, showError } from "~/utils/toast";
 
 interface EventOption {
@@ -25,7 +25,10 @@ export default function VolunteerMatchingPage() {
     async function fetchEvents() {
       try {
         setIsLoadingEvents(true);
-        const fetchedEvents = await EventService.getEvents({ status: 'published' }, { limit: 100 });
+        // Coordinators can only match volunteers for the events they manage
+        const fetchedEvents = AuthService.getCurrentUser()?.role === 'coordinator'
+          ? await EventService.getManagedEvents({ status: 'published' }, { limit: 100 })
+          : await EventService.getEvents({ status: 'published' }, { limit: 100 });
 
         // Transform to EventOption format
         const eventOptions: EventOption[] = fetchedEvents.map(event => ({
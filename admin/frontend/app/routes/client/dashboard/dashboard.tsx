@@ -1,6 +1,7 @@
 import { Outlet } from "react-router";
 import { useState } from "react";
 import Sidebar from "~/components/sidebar";
+import ImpersonationBanner from "~/components/ImpersonationBanner";
 import { withAuth } from "~/contexts/AuthContext";
 
 function DashboardLayout() {
@@ -46,6 +47,7 @@ function DashboardLayout() {
         <div className="bg-ornament absolute inset-0 z-0" />
 
         <div className="p-4 sm:p-6 w-full relative z-10 pt-16 lg:pt-6">
+          <ImpersonationBanner />
           <Outlet /> {/* Nested page content renders here */}
         </div>
       </main>
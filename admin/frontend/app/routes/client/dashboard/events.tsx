@@ -1,7 +1,7 @@
 import { useState, useEffect } from "react";
-import { EventService, AuthService, type FrontendEvent, type EventFilters } from "~/services/api";
+import { EventService, AuthService, type FrontendEvent, type EventFilters, type EventShift, type WaitlistEntry } from "~/services/api";
 import EventsMap from "~/components/EventsMap";
-import { showSuccess, showWarning } from "~/utils/toast";
+import { showSuccess, showWarning, showError } from "~/utils/toast";
 
 // Helper function to get event image based on title/category
 const getEventImage = (title: string, description?: string): string => {
@@ -30,6 +30,20 @@ const getEventImage = (title: string, description?: string): string => {
   return '/images/events/default.jpg';
 };
 
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+// Search result text with the matched words (between <mark> tags) highlighted
+const Highlighted = ({ text }: { text: string }) => (
+  <>
+    {text.split(/(<mark>.*?<\/mark>)/g).map((part, index) =>
+      part.startsWith('<mark>')
+        ? <mark key={index} className="bg-amber-100 text-inherit rounded px-0.5">{part.slice(6, -7)}</mark>
+        : part
+    )}
+  </>
+);
+
 export default function Events() {
   console.log('🎬 Events component is rendering');
 
@@ -37,6 +51,8 @@ export default function Events() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string>("");
   const [joiningEvent, setJoiningEvent] = useState<string | null>(null);
+  const [shiftPicker, setShiftPicker] = useState<{ event: FrontendEvent; shifts: EventShift[] } | null>(null);
+  const [myWaitlist, setMyWaitlist] = useState<WaitlistEntry[]>([]);
 
   // Recommended events state
   const [recommendedEvents, setRecommendedEvents] = useState<(FrontendEvent & { matchScore?: number; matchReason?: string })[]>([]);
@@ -71,6 +87,7 @@ export default function Events() {
 
         setEvents(eventsData);
         console.log("🎉 Events state updated successfully");
+        await loadMyWaitlist();
       } catch (err) {
         console.error("💥 Error loading events:", err);
         console.error("🔍 Error details:", {
@@ -87,6 +104,36 @@ export default function Events() {
     loadEvents();
   }, [filters]);
 
+  // Search once the volunteer stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const search = searchTerm.trim() || undefined;
+      setFilters(prev => (prev.search === search ? prev : { ...prev, search }));
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Load the waitlists the volunteer is on and mark those events
+  const loadMyWaitlist = async () => {
+    if (currentUser?.role !== 'volunteer') return;
+
+    try {
+      const entries = await EventService.getMyWaitlist();
+      const waitlisted = new Set(entries.map(entry => entry.eventId));
+      setMyWaitlist(entries);
+      setEvents(events =>
+        events.map(event =>
+          waitlisted.has(event.id) && event.status !== 'registered'
+            ? { ...event, status: 'waitlisted' }
+            : event
+        )
+      );
+    } catch (err) {
+      console.error('Failed to load waitlist:', err);
+    }
+  };
+
   // Load recommended events based on availability
   useEffect(() => {
     const loadRecommendedEvents = async () => {
@@ -145,14 +192,38 @@ export default function Events() {
       case 'registered': return 'bg-emerald-100 text-emerald-800';
       case 'open': return 'bg-blue-100 text-blue-800';
       case 'full': return 'bg-gray-100 text-gray-800';
+      case 'waitlisted': return 'bg-amber-100 text-amber-800';
+      case 'closed': return 'bg-slate-200 text-slate-700';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
 
-  const handleJoinEvent = async (eventId: string) => {
+  const openShiftPicker = async (eventId: string) => {
+    const event = events.find(e => e.id === eventId) || recommendedEvents.find(e => e.id === eventId);
+    if (!event) return;
+
+    try {
+      const shifts = await EventService.getShifts(eventId);
+      setShiftPicker({ event, shifts });
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to load shifts');
+    }
+  };
+
+  const handleJoinEvent = async (eventId: string, positionId?: string) => {
     try {
       setJoiningEvent(eventId);
-      await EventService.joinEvent(eventId);
+      const result = await EventService.joinEvent(eventId, positionId);
+      setShiftPicker(null);
+
+      if (result.waitlisted) {
+        setEvents(events =>
+          events.map(event => (event.id === eventId ? { ...event, status: 'waitlisted' } : event))
+        );
+        await loadMyWaitlist();
+        showWarning(result.message);
+        return;
+      }
 
       // Update local state to reflect the change
       setEvents(events =>
@@ -180,8 +251,12 @@ export default function Events() {
     } catch (err) {
       console.error("Error joining event:", err);
 
-      // Check if already registered
-      if (err instanceof Error && err.message.includes('already registered')) {
+      // Events split into shifts need a position picked first
+      if (err instanceof Error && err.message.includes('Choose a shift position')) {
+        await openShiftPicker(eventId);
+      } else if (positionId && err instanceof Error) {
+        showError(err.message);
+      } else if (err instanceof Error && err.message.includes('already registered')) {
         // Update local state to show as registered
         setEvents(events =>
           events.map(event =>
@@ -197,6 +272,8 @@ export default function Events() {
         );
 
         showWarning('You are already registered for this event!');
+      } else if (err instanceof Error && err.message.includes('already on the waitlist')) {
+        showWarning('You are already on the waitlist for this event');
       } else {
         setError("Failed to join event");
       }
@@ -205,15 +282,89 @@ export default function Events() {
     }
   };
 
+  const handleJoinSeries = async (eventId: string) => {
+    try {
+      setJoiningEvent(eventId);
+      const result = await EventService.joinSeries(eventId);
+      const joinedIds = new Set(result.joined.map(occurrence => occurrence.eventId));
+
+      setEvents(events =>
+        events.map(event =>
+          joinedIds.has(event.id)
+            ? { ...event, status: 'registered', volunteers: event.volunteers + 1 }
+            : event
+        )
+      );
+
+      if (result.joined.length > 0) {
+        showSuccess(result.message);
+      }
+      if (result.skipped.length > 0) {
+        showWarning(`${result.skipped.length} occurrence${result.skipped.length === 1 ? ' was' : 's were'} skipped: ${result.skipped.map(s => s.reason).join('; ')}`);
+      }
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to join series');
+    } finally {
+      setJoiningEvent(null);
+    }
+  };
+
+  const handleConfirmOffer = async (entry: WaitlistEntry) => {
+    try {
+      setJoiningEvent(entry.eventId);
+      await EventService.confirmWaitlistOffer(entry.eventId);
+      setMyWaitlist(entries => entries.filter(e => e.id !== entry.id));
+      setEvents(events =>
+        events.map(event =>
+          event.id === entry.eventId
+            ? { ...event, status: 'registered', volunteers: event.volunteers + 1 }
+            : event
+        )
+      );
+      showSuccess('Your place is confirmed!');
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to confirm place');
+      await loadMyWaitlist();
+    } finally {
+      setJoiningEvent(null);
+    }
+  };
+
+  const handleLeaveWaitlist = async (entry: WaitlistEntry) => {
+    try {
+      setJoiningEvent(entry.eventId);
+      const message = await EventService.leaveWaitlist(entry.eventId);
+      setMyWaitlist(entries => entries.filter(e => e.id !== entry.id));
+      setEvents(events =>
+        events.map(event =>
+          event.id === entry.eventId
+            ? { ...event, status: event.volunteers >= event.maxVolunteers ? 'full' : 'open' }
+            : event
+        )
+      );
+      showSuccess(message);
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to leave waitlist');
+    } finally {
+      setJoiningEvent(null);
+    }
+  };
+
   // Filter functions
   const handleFilterEvents = () => {
     setShowFilters(!showFilters);
   };
 
   const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const value = e.target.value;
-    setSearchTerm(value);
-    setFilters(prev => ({ ...prev, search: value || undefined }));
+    setSearchTerm(e.target.value);
+  };
+
+  // Distance filters search around the volunteer's profile address
+  const handleDistanceChange = (value: string) => {
+    setFilters(prev => {
+      const { near, radius, sort, ...rest } = prev;
+      return value ? { ...rest, near: 'me', radius: Number(value), sort: 'distance' } : rest;
+    });
   };
 
   const handleFilterChange = (key: keyof EventFilters, value: string) => {
@@ -241,6 +392,47 @@ export default function Events() {
 
   return (
     <div className="max-w-6xl mx-auto space-y-6">
+      {/* Waitlists - Only for volunteers */}
+      {currentUser?.role === 'volunteer' && myWaitlist.length > 0 && (
+        <div className="card p-6">
+          <h2 className="text-2xl font-semibold text-slate-900 mb-4">Your Waitlists</h2>
+          <ul className="divide-y divide-slate-100">
+            {myWaitlist.map(entry => (
+              <li key={entry.id} className="flex flex-wrap items-center justify-between gap-3 py-3">
+                <div>
+                  <p className="font-medium text-slate-900">{entry.event?.title}</p>
+                  {entry.status === 'offered' && entry.offerExpiresAt ? (
+                    <p className="text-sm text-amber-700">
+                      A place opened up for you. Confirm by {new Date(entry.offerExpiresAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}.
+                    </p>
+                  ) : (
+                    <p className="text-sm text-slate-600">Number {entry.position} in line</p>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  {entry.status === 'offered' && (
+                    <button
+                      onClick={() => handleConfirmOffer(entry)}
+                      disabled={joiningEvent === entry.eventId}
+                      className="bg-gradient-to-r from-indigo-700 to-violet-700 text-white px-4 py-2 rounded-lg text-sm font-medium hover:from-indigo-600 hover:to-violet-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Confirm Place
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleLeaveWaitlist(entry)}
+                    disabled={joiningEvent === entry.eventId}
+                    className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-red-700 hover:bg-slate-200 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {entry.status === 'offered' ? 'Decline' : 'Leave Waitlist'}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Recommended Events Carousel - Only for volunteers */}
       {currentUser?.role === 'volunteer' && !isLoadingRecommended && recommendedEvents.length > 0 && (
         <div className="card p-6">
@@ -393,7 +585,7 @@ export default function Events() {
           <div className="flex-1">
             <input
               type="text"
-              placeholder="Search events..."
+              placeholder="Search by cause, skill or place, e.g. dog shelter weekend"
               value={searchTerm}
               onChange={handleSearchChange}
               className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
@@ -412,7 +604,7 @@ export default function Events() {
         {/* Filter Panel */}
         {showFilters && (
           <div className="card p-4 space-y-4">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               {/* Category Filter */}
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1">Category</label>
@@ -462,6 +654,22 @@ export default function Events() {
                   <option value="completed">Completed</option>
                 </select>
               </div>
+
+              {/* Distance Filter */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Distance</label>
+                <select
+                  value={filters.near === 'me' ? String(filters.radius || '') : ''}
+                  onChange={(e) => handleDistanceChange(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  <option value="">Any Distance</option>
+                  <option value="5">Within 5 miles of me</option>
+                  <option value="10">Within 10 miles of me</option>
+                  <option value="25">Within 25 miles of me</option>
+                  <option value="50">Within 50 miles of me</option>
+                </select>
+              </div>
             </div>
 
             {/* Needs Volunteers Filter */}
@@ -502,6 +710,7 @@ export default function Events() {
       {!isLoading && !error && viewMode === 'map' && (
         <EventsMap
           events={events}
+          filters={filters}
           onJoinEvent={handleJoinEvent}
           joiningEvent={joiningEvent}
         />
@@ -512,7 +721,9 @@ export default function Events() {
         <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
           {events.length === 0 ? (
             <div className="col-span-full text-center py-12">
-              <p className="text-slate-600">No events available at the moment.</p>
+              <p className="text-slate-600">
+                {filters.search ? `No events match "${filters.search}".` : 'No events available at the moment.'}
+              </p>
             </div>
           ) : (
             events.map((event) => (
@@ -525,12 +736,19 @@ export default function Events() {
                 className="w-full h-full object-cover"
               />
               <span className={`absolute top-3 right-3 px-3 py-1 rounded-full text-xs font-medium shadow-lg ${getStatusColor(event.status)}`}>
-                {event.status === 'registered' ? 'Registered' : event.status === 'open' ? 'Open' : 'Full'}
+                {event.status === 'registered' ? 'Registered' : event.status === 'open' ? 'Open' : event.status === 'waitlisted' ? 'Waitlisted' : event.status === 'closed' ? 'Signups Closed' : 'Full'}
               </span>
             </div>
 
             <div className="p-6">
-              <h3 className="text-xl font-semibold text-slate-900 mb-3">{event.title}</h3>
+              <h3 className="text-xl font-semibold text-slate-900 mb-3">
+                {event.search ? <Highlighted text={event.search.title} /> : event.title}
+              </h3>
+              {event.search?.snippet && (
+                <p className="text-sm text-slate-600 mb-3 line-clamp-3">
+                  <Highlighted text={event.search.snippet} />
+                </p>
+              )}
               <div className="flex flex-wrap items-center gap-4 text-sm text-slate-600 mb-4">
                 <div className="flex items-center gap-1">
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -551,6 +769,11 @@ export default function Events() {
                   </svg>
                   {event.location}
                 </div>
+                {event.distance != null && (
+                  <div className="flex items-center gap-1 text-indigo-700 font-medium">
+                    {event.distance} mi away
+                  </div>
+                )}
               </div>
             
             <div className="flex items-center justify-between">
@@ -564,11 +787,20 @@ export default function Events() {
               {currentUser?.role === 'volunteer' && (
                 <>
                   {event.status === 'full' && (
+                    <button
+                      onClick={() => handleJoinEvent(event.id)}
+                      disabled={joiningEvent === event.id}
+                      className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-indigo-700 hover:bg-slate-200 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {joiningEvent === event.id ? "Joining..." : "Join Waitlist"}
+                    </button>
+                  )}
+                  {event.status === 'waitlisted' && (
                     <button
                       disabled
-                      className="bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium cursor-not-allowed"
+                      className="bg-amber-500 text-white px-4 py-2 rounded-lg text-sm font-medium cursor-not-allowed opacity-75"
                     >
-                      Full
+                      On Waitlist
                     </button>
                   )}
                   {event.status === 'registered' && (
@@ -579,6 +811,14 @@ export default function Events() {
                       Joined
                     </button>
                   )}
+                  {event.status === 'closed' && (
+                    <button
+                      disabled
+                      className="bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium cursor-not-allowed opacity-75"
+                    >
+                      Signups Closed
+                    </button>
+                  )}
                   {event.status === 'open' && (
                     <button
                       onClick={() => handleJoinEvent(event.id)}
@@ -588,6 +828,15 @@ export default function Events() {
                       {joiningEvent === event.id ? "Joining..." : "Join Event"}
                     </button>
                   )}
+                  {event.seriesId && (
+                    <button
+                      onClick={() => handleJoinSeries(event.id)}
+                      disabled={joiningEvent === event.id}
+                      className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-indigo-700 hover:bg-slate-200 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Join Series
+                    </button>
+                  )}
                 </>
               )}
               {/* Show message for admins */}
@@ -603,6 +852,69 @@ export default function Events() {
           )}
         </div>
       )}
+
+      {/* Shift Picker Modal */}
+      {shiftPicker && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-6">
+                <div>
+                  <h2 className="text-2xl font-semibold text-slate-900">Choose a Shift</h2>
+                  <p className="text-sm text-slate-600 mt-1">{shiftPicker.event.title}</p>
+                </div>
+                <button
+                  onClick={() => setShiftPicker(null)}
+                  className="text-slate-400 hover:text-slate-600 transition"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                {shiftPicker.shifts.map(shift => (
+                  <div key={shift.id} className="border border-slate-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="font-semibold text-slate-900">{shift.name}</h3>
+                      <span className="text-sm text-slate-600">
+                        {new Date(shift.startDate).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}
+                        {' – '}
+                        {new Date(shift.endDate).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </span>
+                    </div>
+                    <div className="space-y-2">
+                      {shift.positions.map(position => (
+                        <div key={position.id} className="flex items-center justify-between text-sm">
+                          <div>
+                            <span className="font-medium text-slate-800">{position.name}</span>
+                            {position.skill && (
+                              <span className="text-slate-500 ml-2">
+                                {position.skill.name} ({position.minLevel}+)
+                              </span>
+                            )}
+                            <span className="text-slate-500 ml-2">
+                              {position.spotsRemaining} of {position.capacity} open
+                            </span>
+                          </div>
+                          <button
+                            onClick={() => handleJoinEvent(shiftPicker.event.id, position.id)}
+                            disabled={position.spotsRemaining === 0 || joiningEvent === shiftPicker.event.id}
+                            className="px-3 py-1 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            {position.spotsRemaining === 0 ? 'Full' : 'Sign Up'}
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router";
-import { ProfileService, SkillsService } from "~/services/api";
+import { ProfileService, SkillsService, TokenManager } from "~/services/api";
 import { showError } from "~/utils/toast";
 
 const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
@@ -57,6 +57,21 @@ export default function Onboarding() {
     loadSkills();
   }, []);
 
+  // Start from details already on the profile, e.g. filled in by an admin's invitation
+  useEffect(() => {
+    const profile = TokenManager.getProfile();
+    if (!profile) {
+      return;
+    }
+
+    setFirstName(profile.firstName || '');
+    setLastName(profile.lastName || '');
+    setPhone(profile.phone || '');
+    setCity(profile.city || '');
+    setState(profile.state || '');
+    setZipCode(profile.zipCode || '');
+  }, []);
+
   const totalSteps = 4;
   const progress = (currentStep / totalSteps) * 100;
 
@@ -2,6 +2,11 @@ import { useState, useEffect } from "react";
 import { ProfileService, SkillsService, DashboardService, EventService, type FrontendProfile } from "~/services/api";
 import AvailabilityCalendar from "~/components/AvailabilityCalendar";
 import ProfilePictureUpload from "~/components/ProfilePictureUpload";
+import TwoFactorSettings from "~/components/TwoFactorSettings";
+import AccessTokens from "~/components/AccessTokens";
+import Sessions from "~/components/Sessions";
+import LinkedAccounts from "~/components/LinkedAccounts";
+import AccountData from "~/components/AccountData";
 import { showSuccess, showError, showWarning } from "~/utils/toast";
 
 export default function Profile() {
@@ -503,6 +508,21 @@ export default function Profile() {
               </div>
             </div>
           </div>
+
+          {/* Account Security */}
+          <TwoFactorSettings />
+
+          {/* Linked OAuth Accounts */}
+          <LinkedAccounts />
+
+          {/* Signed-in Devices */}
+          <Sessions />
+
+          {/* API Access */}
+          <AccessTokens />
+
+          {/* Data Export and Account Deletion */}
+          <AccountData />
         </div>
       </div>
     </div>
@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router";
-import { HistoryService, type VolunteerHistoryRecord, API_BASE_URL, AttendanceService } from "~/services/api";
+import { HistoryService, type VolunteerHistoryRecord, API_BASE_URL, AttendanceService, ScheduleService, type CalendarLink } from "~/services/api";
 import { showSuccess, showError, showInfo } from "~/utils/toast";
 
 interface MyEvent {
@@ -38,6 +38,9 @@ export default function Schedule() {
   const [attendanceStatus, setAttendanceStatus] = useState<Record<string, any>>({});
   const [checkInProcessing, setCheckInProcessing] = useState<Set<string>>(new Set());
 
+  // Calendar subscription link, shown once after it is created
+  const [calendarLink, setCalendarLink] = useState<CalendarLink | null>(null);
+
   // Load schedule data from backend
   useEffect(() => {
     const loadSchedule = async () => {
@@ -179,6 +182,27 @@ export default function Schedule() {
     showInfo('Export schedule functionality would generate a PDF or CSV file of your schedule.');
   };
 
+  const handleSubscribeCalendar = async () => {
+    if (!confirm('Create a calendar link? Any calendar link you created before will stop working.')) {
+      return;
+    }
+
+    try {
+      setCalendarLink(await ScheduleService.createCalendarLink());
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'Failed to create calendar link');
+    }
+  };
+
+  const handleCopyCalendarLink = async (url: string) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showSuccess('Calendar link copied');
+    } catch {
+      showError('Could not copy the link; select it and copy it instead');
+    }
+  };
+
   const handleAddAvailability = () => {
     navigate('/dashboard/availability');
   };
@@ -287,6 +311,12 @@ export default function Schedule() {
           >
             Export Schedule
           </button>
+          <button
+            onClick={handleSubscribeCalendar}
+            className="bg-white border border-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium hover:bg-slate-50 transition"
+          >
+            Subscribe in Calendar
+          </button>
           <button
             onClick={handleAddAvailability}
             className="btn-primary px-4 py-2 w-auto text-sm"
@@ -296,6 +326,55 @@ export default function Schedule() {
         </div>
       </div>
 
+      {calendarLink && (
+        <div className="card p-4 space-y-3">
+          <div className="flex items-start justify-between">
+            <div>
+              <h2 className="text-sm font-semibold text-slate-900">Your calendar link</h2>
+              <p className="text-sm text-slate-600">
+                Add this link to your calendar app as a subscription. Keep it private: anyone with it can see your shifts.
+              </p>
+            </div>
+            <button
+              onClick={() => setCalendarLink(null)}
+              className="text-sm text-slate-500 hover:text-slate-700"
+            >
+              Close
+            </button>
+          </div>
+          {[
+            { label: 'My shifts', url: calendarLink.feedUrl },
+            ...(calendarLink.eventFeedUrl
+              ? [{ label: 'Events (add ?eventId=... or ?category=...)', url: calendarLink.eventFeedUrl }]
+              : [])
+          ].map(({ label, url }) => (
+            <div key={url}>
+              <p className="text-xs font-medium text-slate-500 mb-1">{label}</p>
+              <div className="flex gap-2">
+                <input
+                  readOnly
+                  value={url}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 border border-slate-200 rounded-lg px-3 py-2 text-sm text-slate-700 bg-slate-50"
+                />
+                <button
+                  onClick={() => handleCopyCalendarLink(url)}
+                  className="bg-white border border-slate-200 text-slate-700 px-3 py-2 rounded-lg text-sm font-medium hover:bg-slate-50 transition"
+                >
+                  Copy
+                </button>
+                <a
+                  href={url.replace(/^https?:/, 'webcal:')}
+                  className="btn-primary px-3 py-2 w-auto text-sm"
+                >
+                  Open
+                </a>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Summary Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="card p-4">
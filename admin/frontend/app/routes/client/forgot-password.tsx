@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { AuthService } from "~/services/api";
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const onSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setIsLoading(true);
+
+    try {
+      const response = await AuthService.forgotPassword(email.trim());
+      setMessage(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Unable to send reset link");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-indigo-200 via-violet-200 to-slate-100 text-slate-800 flex flex-col">
+      <header className="w-full border-b border-indigo-100/80 bg-white/70 backdrop-blur">
+        <div className="max-w-6xl mx-auto px-4 h-16 flex items-center justify-between">
+          <a href="/login" className="flex flex-col leading-none">
+            <span className="font-semibold tracking-wide text-slate-900">JACS ShiftPilot</span>
+            <span className="text-xs text-slate-500">Volunteer Management</span>
+          </a>
+          <div className="hidden sm:block text-sm text-slate-600">
+            Helping hands, smarter shifts.
+          </div>
+        </div>
+      </header>
+
+      <main className="flex-1 flex items-center justify-center px-4 py-10">
+        <div className="w-full max-w-md bg-white/90 border border-indigo-100 rounded-2xl p-6 sm:p-8 shadow-2xl backdrop-blur">
+          <h2 className="text-2xl font-semibold tracking-wide mb-2 bg-gradient-to-r from-indigo-700 to-sky-700 bg-clip-text text-transparent">Forgot password</h2>
+          <p className="text-sm text-slate-600 mb-6">
+            Enter the email you use to log in and we'll send you a link to choose a new password.
+          </p>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-xl text-sm">
+              {error}
+            </div>
+          )}
+
+          {message ? (
+            <div className="space-y-5">
+              <div className="p-3 bg-emerald-50 border border-emerald-200 text-emerald-700 rounded-xl text-sm">
+                {message}. The link expires in 1 hour.
+              </div>
+              <a
+                href="/login"
+                className="w-full inline-flex justify-center rounded-xl bg-gradient-to-r from-indigo-700 via-violet-700 to-sky-700 text-white font-semibold py-3 shadow-lg hover:from-indigo-600 hover:via-violet-600 hover:to-sky-600 transition"
+              >
+                Back to Login
+              </a>
+            </div>
+          ) : (
+            <form className="space-y-5" onSubmit={onSubmit}>
+              <div className="space-y-2">
+                <label htmlFor="email" className="text-sm text-slate-700">Email</label>
+                <input
+                  id="email"
+                  type="email"
+                  autoComplete="username"
+                  placeholder="you@example.org"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  className="w-full rounded-xl bg-white border border-slate-200 px-4 py-3 outline-none focus:ring-4 ring-indigo-300/40 focus:border-indigo-600"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={!email.trim() || isLoading}
+                className="w-full rounded-xl bg-gradient-to-r from-indigo-700 via-violet-700 to-sky-700 text-white font-semibold py-3 shadow-lg hover:from-indigo-600 hover:via-violet-600 hover:to-sky-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoading ? "Sending..." : "Send Reset Link"}
+              </button>
+
+              <p className="text-sm text-slate-600 text-center">
+                Remembered it? <a href="/login" className="text-indigo-700 hover:text-indigo-600">Back to login</a>
+              </p>
+            </form>
+          )}
+        </div>
+      </main>
+
+      <footer className="border-t border-indigo-100/80 bg-white/70">
+        <div className="max-w-6xl mx-auto px-4 py-8">
+          <div className="text-slate-800 font-semibold mb-4">Quick Links</div>
+          <nav className="flex flex-wrap gap-x-6 gap-y-3 text-sm text-slate-600">
+            <a href="/about" className="hover:text-slate-900">About Us</a>
+            <a href="/contact" className="hover:text-slate-900">Contact</a>
+            <a href="/privacy" className="hover:text-slate-900">Privacy Policy</a>
+          </nav>
+          <div className="mt-6 text-xs text-slate-500">© {new Date().getFullYear()} JACS ShiftPilot. All rights reserved.</div>
+        </div>
+      </footer>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { useAuth } from "~/contexts/AuthContext";
-import { useNavigate } from "react-router";
+import { useNavigate, useSearchParams } from "react-router";
 import { AuthService, API_SERVER_URL } from "~/services/api";
 
 export default function LoginPage() {
@@ -9,9 +9,51 @@ export default function LoginPage() {
   const [password, setPassword] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
+  const [challengeToken, setChallengeToken] = useState("");
+  const [twoFactorCode, setTwoFactorCode] = useState("");
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // OAuth sign-ins to accounts with 2FA come back here for the code
+  useEffect(() => {
+    const challenge = searchParams.get("challenge");
+    if (challenge) {
+      setChallengeToken(challenge);
+    }
+  }, [searchParams]);
+
+  const redirectAfterLogin = () => {
+    // Get user and profile data
+    const currentUser = AuthService.getCurrentUser();
+    const currentProfile = AuthService.getCurrentProfile();
+
+    console.log("Profile data:", currentProfile);
+    console.log("Profile completeness:", currentProfile?.profileCompleteness);
+
+    // Check if user needs to complete onboarding
+    const profileCompleteness = currentProfile?.profileCompleteness || 0;
+    const isNewUser = profileCompleteness === 0;
+
+    // Check user role and redirect accordingly
+    if (currentUser?.twoFactorSetupRequired) {
+      console.log("🔐 Two-factor setup required, redirecting to security settings");
+      navigate("/dashboard/profile#security");
+    } else if (currentUser && currentUser.role === 'admin') {
+      console.log("🔑 Admin user detected, redirecting to admin dashboard");
+      navigate("/dashboard/admin/metrics");
+    } else if (currentUser && currentUser.role === 'coordinator') {
+      console.log("📋 Coordinator detected, redirecting to event management");
+      navigate("/dashboard/admin/events");
+    } else if (isNewUser) {
+      console.log("🆕 New user detected, redirecting to onboarding");
+      navigate("/dashboard/onboarding");
+    } else {
+      console.log("👤 Regular user detected, redirecting to regular dashboard");
+      navigate("/dashboard/home");
+    }
+  };
 
   // Debug state changes
 
@@ -28,31 +70,12 @@ export default function LoginPage() {
       const result = await login(email, password);
       console.log("🎯 Login result:", result);
 
-      if (result.success) {
+      if (result.twoFactorRequired && result.challengeToken) {
+        console.log("🔐 Two-factor code required");
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
         console.log("✅ Login successful");
-
-        // Get user and profile data
-        const currentUser = AuthService.getCurrentUser();
-        const currentProfile = AuthService.getCurrentProfile();
-
-        console.log("Profile data:", currentProfile);
-        console.log("Profile completeness:", currentProfile?.profileCompleteness);
-
-        // Check if user needs to complete onboarding
-        const profileCompleteness = currentProfile?.profileCompleteness || 0;
-        const isNewUser = profileCompleteness === 0;
-
-        // Check user role and redirect accordingly
-        if (currentUser && currentUser.role === 'admin') {
-          console.log("🔑 Admin user detected, redirecting to admin dashboard");
-          navigate("/dashboard/admin/metrics");
-        } else if (isNewUser) {
-          console.log("🆕 New user detected, redirecting to onboarding");
-          navigate("/dashboard/onboarding");
-        } else {
-          console.log("👤 Regular user detected, redirecting to regular dashboard");
-          navigate("/dashboard/home");
-        }
+        redirectAfterLogin();
       } else {
         console.log("❌ Login failed:", result.error);
         setError(result.error || "Login failed");
@@ -65,6 +88,31 @@ export default function LoginPage() {
     }
   };
 
+  const onVerifyTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(challengeToken, twoFactorCode.trim());
+
+      if (result.success) {
+        redirectAfterLogin();
+      } else {
+        setError(result.error || "Verification failed");
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken("");
+    setTwoFactorCode("");
+    setPassword("");
+    setError("");
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-indigo-200 via-violet-200 to-slate-100 text-slate-800 flex flex-col">
       <style>{`
@@ -151,6 +199,45 @@ export default function LoginPage() {
                 </div>
               )}
 
+              {challengeToken ? (
+                <form className="space-y-5" onSubmit={onVerifyTwoFactor}>
+                  <p className="text-sm text-slate-600">
+                    Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                  </p>
+
+                  <div className="space-y-2">
+                    <label htmlFor="twoFactorCode" className="text-sm text-slate-700">Verification code</label>
+                    <input
+                      id="twoFactorCode"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      autoFocus
+                      placeholder="123456"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      required
+                      className="w-full rounded-xl bg-white border border-slate-200 px-4 py-3 tracking-widest outline-none focus:ring-4 ring-indigo-300/40 focus:border-indigo-600"
+                    />
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={!twoFactorCode.trim() || isLoading}
+                    className="w-full rounded-xl bg-gradient-to-r from-indigo-700 via-violet-700 to-sky-700 text-white font-semibold py-3 shadow-lg hover:from-indigo-600 hover:via-violet-600 hover:to-sky-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isLoading ? "Verifying..." : "Verify"}
+                  </button>
+
+                  <button
+                    type="button"
+                    onClick={cancelTwoFactor}
+                    className="w-full text-sm text-indigo-700 hover:text-indigo-600"
+                  >
+                    Back to login
+                  </button>
+                </form>
+              ) : (
               <form className="space-y-5" onSubmit={onSubmit}>
                 <div className="space-y-2">
                   <label htmlFor="email" className="text-sm text-slate-700">Email</label>
@@ -194,7 +281,7 @@ export default function LoginPage() {
                     <input id="remember" type="checkbox" className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-400" />
                     <span className="text-slate-700">Remember me</span>
                   </label>
-                  <a href="#" className="text-indigo-700 hover:text-indigo-600">Forgot password?</a>
+                  <a href="/forgot-password" className="text-indigo-700 hover:text-indigo-600">Forgot password?</a>
                 </div>
 
                 <button
@@ -277,6 +364,7 @@ export default function LoginPage() {
                   By continuing you agree to our <a href="/privacy" className="text-indigo-700 hover:text-indigo-600">Privacy Policy</a>.
                 </p>
               </form>
+              )}
             </div>
           </section>
         </div>
@@ -14,6 +14,13 @@ export default function OAuthCallback() {
         // Get token or error from URL params
         const token = searchParams.get('token');
         const error = searchParams.get('error');
+        const challenge = searchParams.get('challenge');
+
+        // Account has two-factor authentication; the login page asks for the code
+        if (challenge) {
+          navigate(`/login?challenge=${encodeURIComponent(challenge)}`);
+          return;
+        }
 
         if (error) {
           // Handle OAuth error
@@ -23,6 +30,8 @@ export default function OAuthCallback() {
           const errorMessages: Record<string, string> = {
             'oauth_failed': 'OAuth authentication failed. Please try again.',
             'oauth_error': 'An error occurred during authentication.',
+            'oauth_email_exists': 'An account with this email already exists. Sign in with your password, then link this provider from your profile.',
+            'oauth_no_email': 'Your provider did not share an email address. Make your email visible to the app and try again.',
             'no_token': 'No authentication token received.'
           };
 
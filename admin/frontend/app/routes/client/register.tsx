@@ -1,9 +1,12 @@
-import React, { useState } from "react";
-import { useNavigate } from "react-router";
-import { AuthService, API_SERVER_URL } from "../../services/api";
+import React, { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router";
+import { AuthService, API_SERVER_URL, type InvitationPreview } from "../../services/api";
 
 export default function RegisterPage() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const [invitation, setInvitation] = useState<InvitationPreview | null>(null);
   const [formData, setFormData] = useState({
     username: '',
     email: '',
@@ -17,6 +20,24 @@ export default function RegisterPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
 
+  // Invited users register with the email and role the admin chose
+  useEffect(() => {
+    if (!inviteToken) {
+      return;
+    }
+
+    AuthService.getInvitation(inviteToken)
+      .then((preview) => {
+        setInvitation(preview);
+        setFormData(prev => ({ ...prev, email: preview.email }));
+      })
+      .catch((error) => {
+        setErrors({
+          general: error instanceof Error ? error.message : 'Invalid or expired invitation'
+        });
+      });
+  }, [inviteToken]);
+
   // Validation function
   const validateForm = () => {
     const newErrors: Record<string, string> = {};
@@ -85,6 +106,13 @@ export default function RegisterPage() {
     setIsLoading(true);
 
     try {
+      // An accepted invitation signs the new user in, so continue to onboarding
+      if (invitation && inviteToken) {
+        await AuthService.acceptInvitation(inviteToken, formData.username, formData.password);
+        navigate('/dashboard/onboarding');
+        return;
+      }
+
       // Call the registration API
       const response = await AuthService.register(
         formData.username,
@@ -197,6 +225,12 @@ export default function RegisterPage() {
           <section className="w-full flex justify-center">
             <div className="w-full max-w-md bg-white/90 border border-indigo-100 rounded-2xl p-6 sm:p-8 shadow-2xl backdrop-blur">
               <h2 className="text-2xl font-semibold tracking-wide mb-6 bg-gradient-to-r from-indigo-700 to-sky-700 bg-clip-text text-transparent">Create Account</h2>
+
+              {invitation && (
+                <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-indigo-800 text-sm">
+                  You've been invited to join <strong>{invitation.organization.name}</strong> as {invitation.role === 'admin' ? 'an' : 'a'} <strong>{invitation.role}</strong>.
+                </div>
+              )}
               
               {errors.general && (
                 <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
@@ -231,6 +265,7 @@ export default function RegisterPage() {
                     type="email"
                     value={formData.email}
                     onChange={handleInputChange}
+                    readOnly={!!invitation}
                     placeholder="you@example.org"
                     className={`w-full rounded-xl bg-white border px-4 py-3 outline-none focus:ring-4 ring-indigo-300/40 transition ${
                       errors.email ? 'border-red-300 focus:border-red-600 ring-red-300/40' : 'border-slate-200 focus:border-indigo-600'
@@ -239,7 +274,8 @@ export default function RegisterPage() {
                   {errors.email && <p className="text-sm text-red-600">{errors.email}</p>}
                 </div>
 
-                {/* Role Selection */}
+                {/* Role Selection (set by the invitation for invited users) */}
+                {!invitation && (
                 <div className="space-y-2">
                   <label htmlFor="role" className="text-sm text-slate-700">I am registering as *</label>
                   <div className="flex gap-4">
@@ -267,6 +303,7 @@ export default function RegisterPage() {
                     </label>
                   </div>
                 </div>
+                )}
 
                 {/* Password Field */}
                 <div className="space-y-2">
@@ -0,0 +1,157 @@
+import React, { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router";
+import { AuthService } from "~/services/api";
+
+export default function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const navigate = useNavigate();
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState(false);
+
+  const validatePassword = (): string | null => {
+    if (password.length < 8) {
+      return "Password must be at least 8 characters long";
+    }
+    if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])/.test(password)) {
+      return "Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character";
+    }
+    if (password !== confirmPassword) {
+      return "Passwords do not match";
+    }
+    return null;
+  };
+
+  const onSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError("");
+
+    const validationError = validatePassword();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await AuthService.resetPassword(token, password);
+      setSuccess(true);
+      setTimeout(() => navigate("/login"), 3000);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Unable to reset password");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-indigo-200 via-violet-200 to-slate-100 text-slate-800 flex flex-col">
+      <header className="w-full border-b border-indigo-100/80 bg-white/70 backdrop-blur">
+        <div className="max-w-6xl mx-auto px-4 h-16 flex items-center justify-between">
+          <a href="/login" className="flex flex-col leading-none">
+            <span className="font-semibold tracking-wide text-slate-900">JACS ShiftPilot</span>
+            <span className="text-xs text-slate-500">Volunteer Management</span>
+          </a>
+          <div className="hidden sm:block text-sm text-slate-600">
+            Helping hands, smarter shifts.
+          </div>
+        </div>
+      </header>
+
+      <main className="flex-1 flex items-center justify-center px-4 py-10">
+        <div className="w-full max-w-md bg-white/90 border border-indigo-100 rounded-2xl p-6 sm:p-8 shadow-2xl backdrop-blur">
+          <h2 className="text-2xl font-semibold tracking-wide mb-6 bg-gradient-to-r from-indigo-700 to-sky-700 bg-clip-text text-transparent">Choose a new password</h2>
+
+          {!token ? (
+            <div className="space-y-5">
+              <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-xl text-sm">
+                This reset link is missing its token. Please request a new one.
+              </div>
+              <a href="/forgot-password" className="text-sm text-indigo-700 hover:text-indigo-600">Request a new reset link</a>
+            </div>
+          ) : success ? (
+            <div className="space-y-5">
+              <div className="p-3 bg-emerald-50 border border-emerald-200 text-emerald-700 rounded-xl text-sm">
+                Your password has been reset. Redirecting you to login...
+              </div>
+              <a href="/login" className="text-sm text-indigo-700 hover:text-indigo-600">Go to login now</a>
+            </div>
+          ) : (
+            <form className="space-y-5" onSubmit={onSubmit}>
+              {error && (
+                <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-xl text-sm">
+                  {error}
+                  {error.includes("expired") && (
+                    <> <a href="/forgot-password" className="underline">Request a new link</a>.</>
+                  )}
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <label htmlFor="password" className="text-sm text-slate-700">New password</label>
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword((s) => !s)}
+                    className="text-xs font-medium text-indigo-700 hover:text-indigo-600"
+                  >
+                    {showPassword ? "Hide" : "Show"}
+                  </button>
+                </div>
+                <input
+                  id="password"
+                  type={showPassword ? "text" : "password"}
+                  autoComplete="new-password"
+                  placeholder="••••••••"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className="w-full rounded-xl bg-white border border-slate-200 px-4 py-3 outline-none focus:ring-4 ring-indigo-300/40 focus:border-indigo-600"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="confirmPassword" className="text-sm text-slate-700">Confirm new password</label>
+                <input
+                  id="confirmPassword"
+                  type={showPassword ? "text" : "password"}
+                  autoComplete="new-password"
+                  placeholder="••••••••"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  required
+                  className="w-full rounded-xl bg-white border border-slate-200 px-4 py-3 outline-none focus:ring-4 ring-indigo-300/40 focus:border-indigo-600"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={!password || !confirmPassword || isLoading}
+                className="w-full rounded-xl bg-gradient-to-r from-indigo-700 via-violet-700 to-sky-700 text-white font-semibold py-3 shadow-lg hover:from-indigo-600 hover:via-violet-600 hover:to-sky-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoading ? "Resetting..." : "Reset Password"}
+              </button>
+            </form>
+          )}
+        </div>
+      </main>
+
+      <footer className="border-t border-indigo-100/80 bg-white/70">
+        <div className="max-w-6xl mx-auto px-4 py-8">
+          <div className="text-slate-800 font-semibold mb-4">Quick Links</div>
+          <nav className="flex flex-wrap gap-x-6 gap-y-3 text-sm text-slate-600">
+            <a href="/about" className="hover:text-slate-900">About Us</a>
+            <a href="/contact" className="hover:text-slate-900">Contact</a>
+            <a href="/privacy" className="hover:text-slate-900">Privacy Policy</a>
+          </nav>
+          <div className="mt-6 text-xs text-slate-500">© {new Date().getFullYear()} JACS ShiftPilot. All rights reserved.</div>
+        </div>
+      </footer>
+    </div>
+  );
+}
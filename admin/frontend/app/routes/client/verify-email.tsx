@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router";
+import { AuthService } from "~/services/api";
+
+type VerifyState = "verifying" | "success" | "error";
+
+export default function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [state, setState] = useState<VerifyState>(token ? "verifying" : "error");
+  const [error, setError] = useState(token ? "" : "This verification link is missing its token.");
+  const [resendMessage, setResendMessage] = useState("");
+  const [isResending, setIsResending] = useState(false);
+  const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Session lives in localStorage, which is only available in the browser
+    setIsLoggedIn(AuthService.isAuthenticated());
+  }, []);
+
+  useEffect(() => {
+    // Guard against the double effect run in development so the token is only submitted once
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    AuthService.verifyEmail(token)
+      .then(() => setState("success"))
+      .catch((err) => {
+        setError(err instanceof Error ? err.message : "Unable to verify email");
+        setState("error");
+      });
+  }, [token]);
+
+  const onResend = async () => {
+    setResendMessage("");
+    setIsResending(true);
+    try {
+      const response = await AuthService.resendVerificationEmail();
+      setResendMessage(response.message);
+    } catch (err) {
+      setResendMessage(err instanceof Error ? err.message : "Unable to resend verification email");
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-indigo-200 via-violet-200 to-slate-100 text-slate-800 flex flex-col">
+      <header className="w-full border-b border-indigo-100/80 bg-white/70 backdrop-blur">
+        <div className="max-w-6xl mx-auto px-4 h-16 flex items-center justify-between">
+          <a href="/login" className="flex flex-col leading-none">
+            <span className="font-semibold tracking-wide text-slate-900">JACS ShiftPilot</span>
+            <span className="text-xs text-slate-500">Volunteer Management</span>
+          </a>
+          <div className="hidden sm:block text-sm text-slate-600">
+            Helping hands, smarter shifts.
+          </div>
+        </div>
+      </header>
+
+      <main className="flex-1 flex items-center justify-center px-4 py-10">
+        <div className="w-full max-w-md bg-white/90 border border-indigo-100 rounded-2xl p-6 sm:p-8 shadow-2xl backdrop-blur">
+          <h2 className="text-2xl font-semibold tracking-wide mb-6 bg-gradient-to-r from-indigo-700 to-sky-700 bg-clip-text text-transparent">Verify your email</h2>
+
+          {state === "verifying" && (
+            <div className="flex items-center gap-3 text-sm text-slate-600">
+              <div className="h-5 w-5 rounded-full border-2 border-indigo-600 border-t-transparent animate-spin" />
+              Confirming your email address...
+            </div>
+          )}
+
+          {state === "success" && (
+            <div className="space-y-5">
+              <div className="p-3 bg-emerald-50 border border-emerald-200 text-emerald-700 rounded-xl text-sm">
+                Your email address has been verified. You'll now receive assignment updates and event reminders.
+              </div>
+              <a
+                href={isLoggedIn ? "/dashboard/home" : "/login"}
+                className="w-full inline-flex justify-center rounded-xl bg-gradient-to-r from-indigo-700 via-violet-700 to-sky-700 text-white font-semibold py-3 shadow-lg hover:from-indigo-600 hover:via-violet-600 hover:to-sky-600 transition"
+              >
+                {isLoggedIn ? "Go to Dashboard" : "Go to Login"}
+              </a>
+            </div>
+          )}
+
+          {state === "error" && (
+            <div className="space-y-5">
+              <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-xl text-sm">
+                {error}
+              </div>
+
+              {isLoggedIn ? (
+                <>
+                  <button
+                    type="button"
+                    onClick={onResend}
+                    disabled={isResending}
+                    className="w-full rounded-xl bg-gradient-to-r from-indigo-700 via-violet-700 to-sky-700 text-white font-semibold py-3 shadow-lg hover:from-indigo-600 hover:via-violet-600 hover:to-sky-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isResending ? "Sending..." : "Send a New Link"}
+                  </button>
+                  {resendMessage && (
+                    <p className="text-sm text-slate-600 text-center">{resendMessage}</p>
+                  )}
+                </>
+              ) : (
+                <p className="text-sm text-slate-600">
+                  <a href="/login" className="text-indigo-700 hover:text-indigo-600">Log in</a> to request a new verification link.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+
+      <footer className="border-t border-indigo-100/80 bg-white/70">
+        <div className="max-w-6xl mx-auto px-4 py-8">
+          <div className="text-slate-800 font-semibold mb-4">Quick Links</div>
+          <nav className="flex flex-wrap gap-x-6 gap-y-3 text-sm text-slate-600">
+            <a href="/about" className="hover:text-slate-900">About Us</a>
+            <a href="/contact" className="hover:text-slate-900">Contact</a>
+            <a href="/privacy" className="hover:text-slate-900">Privacy Policy</a>
+          </nav>
+          <div className="mt-6 text-xs text-slate-500">© {new Date().getFullYear()} JACS ShiftPilot. All rights reserved.</div>
+        </div>
+      </footer>
+    </div>
+  );
+}
@@ -27,6 +27,8 @@ class TokenManager {
     // Actual token clearing happens via API logout call (clears cookies)
     localStorage.removeItem('user');
     localStorage.removeItem('profile');
+    localStorage.removeItem('organizationId');
+    localStorage.removeItem('impersonation');
     localStorage.removeItem('authToken'); // Legacy cleanup
   }
 
@@ -53,6 +55,33 @@ class TokenManager {
   static setProfile(profile: any): void {
     localStorage.setItem('profile', JSON.stringify(profile));
   }
+
+  // Admin "view as" session, with the admin's own user data to restore afterwards
+  static getImpersonation(): ImpersonationState | null {
+    const impersonation = localStorage.getItem('impersonation');
+    return impersonation ? JSON.parse(impersonation) : null;
+  }
+
+  static setImpersonation(impersonation: ImpersonationState | null): void {
+    if (impersonation) {
+      localStorage.setItem('impersonation', JSON.stringify(impersonation));
+    } else {
+      localStorage.removeItem('impersonation');
+    }
+  }
+
+  // Organization selected in the switcher (null = all of the user's organizations)
+  static getOrganizationId(): string | null {
+    return localStorage.getItem('organizationId');
+  }
+
+  static setOrganizationId(organizationId: string | null): void {
+    if (organizationId) {
+      localStorage.setItem('organizationId', organizationId);
+    } else {
+      localStorage.removeItem('organizationId');
+    }
+  }
 }
 
 // HTTP client with auth headers and automatic token refresh
@@ -69,6 +98,12 @@ class HttpClient {
     // Tokens are sent automatically via httpOnly cookies
     // This is more secure (XSS-proof)
 
+    // Scope requests to the organization picked in the switcher
+    const organizationId = typeof window !== 'undefined' ? TokenManager.getOrganizationId() : null;
+    if (organizationId) {
+      headers['X-Organization-Id'] = organizationId;
+    }
+
     return headers;
   }
 
@@ -277,11 +312,12 @@ class HttpClient {
     }
   }
 
-  static async delete<T>(endpoint: string): Promise<T> {
+  static async delete<T>(endpoint: string, data?: any): Promise<T> {
     try {
       const response = await fetch(`${API_BASE_URL}${endpoint}`, {
         method: 'DELETE',
         headers: this.getHeaders(),
+        ...(data !== undefined && { body: JSON.stringify(data) }),
         credentials: 'include', // Include cookies for authentication
       });
 
@@ -292,6 +328,7 @@ class HttpClient {
         const retryResponse = await fetch(`${API_BASE_URL}${endpoint}`, {
           method: 'DELETE',
           headers: this.getHeaders(),
+          ...(data !== undefined && { body: JSON.stringify(data) }),
           credentials: 'include',
         });
 
@@ -303,7 +340,16 @@ class HttpClient {
       }
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        let errorMessage = `HTTP error! status: ${response.status}`;
+        try {
+          const errorData = await response.json();
+          if (errorData.message) {
+            errorMessage = errorData.message;
+          }
+        } catch (e) {
+          // Use default error message
+        }
+        throw new Error(errorMessage);
       }
 
       return response.json();
@@ -384,6 +430,19 @@ export interface BackendEvent {
   spotsRemaining: number;
   fillPercentage: number;
   timeStatus: string;
+  seriesId?: string | null;
+  seriesIndex?: number | null;
+  signupsClosedAt?: string | null;
+  // Present in search results; matched words are wrapped in <mark></mark>
+  search?: EventSearchMatch;
+  // Miles from the near location, when one was given
+  distance?: number | null;
+}
+
+export interface EventSearchMatch {
+  rank: number;
+  title: string;
+  snippet: string;
 }
 
 export interface FrontendEvent {
@@ -396,11 +455,186 @@ export interface FrontendEvent {
   longitude?: number;
   volunteers: number;
   maxVolunteers: number;
-  status: 'open' | 'registered' | 'full';
+  status: 'open' | 'registered' | 'full' | 'waitlisted' | 'closed';
   description?: string;
   spotsRemaining?: number;
   urgencyLevel?: string;
   requiredSkills?: Array<{ skillId: string; minLevel: string; required: boolean }>;
+  seriesId?: string | null;
+  search?: EventSearchMatch;
+  distance?: number | null;
+}
+
+export type SeriesEditScope = 'this' | 'following' | 'all';
+
+export interface EventRecurrence {
+  frequency: 'weekly' | 'monthly';
+  interval?: number;
+  daysOfWeek?: string[];
+  weekOfMonth?: number;
+  dayOfWeek?: string;
+  until?: string;
+  count?: number;
+  timezone?: string;
+}
+
+export interface EventSeries {
+  id: string;
+  frequency: 'weekly' | 'monthly';
+  interval: number;
+  daysOfWeek: string[];
+  weekOfMonth: number | null;
+  dayOfWeek: string | null;
+  until: string | null;
+  count: number | null;
+  timezone: string;
+  occurrences: Array<{
+    id: string;
+    seriesIndex: number;
+    startDate: string;
+    endDate: string;
+    status: string;
+    spotsRemaining: number;
+  }>;
+}
+
+export interface SeriesJoinResult {
+  seriesId: string;
+  joined: Array<{ eventId: string; startDate: string }>;
+  skipped: Array<{ eventId: string; startDate: string; reason: string }>;
+}
+
+export interface WaitlistEntry {
+  id: string;
+  eventId: string;
+  volunteerId: string;
+  position: number;
+  status: 'waiting' | 'offered';
+  offeredAt: string | null;
+  offerExpiresAt: string | null;
+  joinedAt: string;
+  volunteer?: {
+    id: string;
+    username: string;
+    email: string;
+    profile: { firstName: string; lastName: string } | null;
+  };
+  event?: {
+    id: string;
+    title: string;
+    startDate: string;
+    location: string;
+  };
+}
+
+export interface JoinEventResult {
+  message: string;
+  waitlisted: boolean;
+  position?: number;
+}
+
+export interface ShiftPosition {
+  id: string;
+  name: string;
+  capacity: number;
+  filled: number;
+  spotsRemaining: number;
+  skill: { id: string; name: string } | null;
+  minLevel: string;
+}
+
+export interface EventShift {
+  id: string;
+  name: string;
+  startDate: string;
+  endDate: string;
+  positions: ShiftPosition[];
+  capacity: number;
+  filled: number;
+}
+
+export interface ShiftPositionInput {
+  id?: string;
+  name?: string;
+  capacity?: number;
+  skillId?: string | null;
+  minLevel?: string;
+}
+
+export interface ShiftInput {
+  name: string;
+  startDate: string;
+  endDate: string;
+  positions: ShiftPositionInput[];
+}
+
+export interface EventTemplate {
+  id: string;
+  organizationId: string;
+  name: string;
+  title: string;
+  description: string;
+  category: string;
+  urgencyLevel: string;
+  maxVolunteers: number;
+  durationMinutes: number;
+  requiredSkills: Array<{ skillId: string; minLevel: string; isRequired: boolean; skillName: string }>;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface EventTemplateInput {
+  name: string;
+  title: string;
+  description: string;
+  category: string;
+  urgencyLevel?: string;
+  maxVolunteers: number;
+  durationMinutes: number;
+  requiredSkills?: Array<{ skillId: string; minLevel: string; isRequired?: boolean }>;
+}
+
+// What changes each time a templated event is run
+export interface TemplatedEventInput {
+  startDate: string;
+  endDate?: string;
+  address: string;
+  city: string;
+  state: string;
+  zipCode: string;
+  title?: string;
+}
+
+// Event fields a CSV column can be mapped to for a bulk import
+export type EventImportField =
+  | 'title' | 'description' | 'startDate' | 'endDate' | 'date' | 'startTime' | 'endTime'
+  | 'address' | 'city' | 'state' | 'zipCode' | 'maxVolunteers' | 'urgencyLevel' | 'category' | 'requiredSkills';
+
+export interface EventImportRequest {
+  format: 'csv' | 'ics';
+  content: string;
+  mapping?: Partial<Record<EventImportField, string>>;
+  defaults?: {
+    description?: string;
+    address?: string;
+    city?: string;
+    state?: string;
+    zipCode?: string;
+    maxVolunteers?: number;
+    urgencyLevel?: string;
+    category?: string;
+  };
+  timezone?: string;
+  dryRun?: boolean;
+}
+
+export interface EventImportResult {
+  dryRun: boolean;
+  total: number;
+  valid: number;
+  invalid: number;
+  rows: Array<{ row: number; event: Record<string, any>; errors: string[] }>;
+  events?: Array<{ id: string; title: string; startDate: string }>;
 }
 
 export interface BackendProfile {
@@ -452,12 +686,16 @@ export interface FrontendProfile {
   emergencyContact: string;
 }
 
+export type UserRole = 'admin' | 'coordinator' | 'volunteer';
+
 export interface User {
   id: string;
   username: string;
   email: string;
-  role: 'admin' | 'volunteer';
+  role: UserRole;
   verified: boolean;
+  twoFactorEnabled?: boolean;
+  twoFactorSetupRequired?: boolean;
 }
 
 export interface AuthResponse {
@@ -467,9 +705,128 @@ export interface AuthResponse {
     user: User;
     token: string;
     profile: BackendProfile;
+    // Set instead of user/token when the password step needs a second factor
+    twoFactorRequired?: boolean;
+    challengeToken?: string;
   };
 }
 
+export interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface AccessToken {
+  id: string;
+  name: string;
+  tokenPrefix: string;
+  scopes: string[];
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+export interface CreatedAccessToken extends AccessToken {
+  token: string;
+}
+
+// Subscription URLs for the user's calendar app; eventFeedUrl is for coordinators and admins
+export interface CalendarLink {
+  token: string;
+  feedUrl: string;
+  eventFeedUrl?: string;
+}
+
+export interface UserSession {
+  id: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  lastSeenAt: string;
+  createdAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+export interface AccountDeletionStatus {
+  deletionRequestedAt: string | null;
+  deletionScheduledFor: string | null;
+  gracePeriodDays: number;
+  requiresPassword: boolean;
+}
+
+export interface ImpersonationSession {
+  id: string;
+  adminId: string;
+  targetUserId: string;
+  reason: string;
+  readOnly: boolean;
+  expiresAt: string;
+  endedAt: string | null;
+  createdAt: string;
+  active: boolean;
+}
+
+export interface ImpersonationState extends ImpersonationSession {
+  targetUsername: string;
+  adminUser: User;
+}
+
+export type InvitationStatus = 'pending' | 'accepted' | 'expired' | 'revoked';
+
+export interface InvitationProfile {
+  firstName?: string;
+  lastName?: string;
+  phone?: string;
+  city?: string;
+  state?: string;
+  zipCode?: string;
+}
+
+export interface Invitation {
+  id: string;
+  email: string;
+  role: UserRole;
+  status: InvitationStatus;
+  organization: { id: string; name: string; slug: string };
+  invitedBy: { id: string; username: string } | null;
+  profile: InvitationProfile;
+  expiresAt: string;
+  sentAt: string;
+  sendCount: number;
+  acceptedAt: string | null;
+  createdAt: string;
+}
+
+export interface InvitationPreview {
+  email: string;
+  role: UserRole;
+  organization: { id: string; name: string; slug: string };
+  profile: InvitationProfile;
+  expiresAt: string;
+}
+
+export interface LinkedIdentity {
+  id: string;
+  provider: string;
+  email: string | null;
+  displayName: string | null;
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+export interface SignInMethods {
+  identities: LinkedIdentity[];
+  availableProviders: string[];
+  hasPassword: boolean;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+}
+
 export interface DashboardStats {
   overview: {
     totalVolunteers: number;
@@ -553,10 +910,15 @@ export class DataTransformer {
       longitude: backendEvent.longitude,
       volunteers: backendEvent.currentVolunteers,
       maxVolunteers: backendEvent.maxVolunteers,
-      status: backendEvent.spotsRemaining === 0 ? 'full' : DataTransformer.mapEventStatus(backendEvent.status),
+      status: backendEvent.status === 'published' && backendEvent.signupsClosedAt
+        ? 'closed'
+        : backendEvent.spotsRemaining === 0 ? 'full' : DataTransformer.mapEventStatus(backendEvent.status),
       description: backendEvent.description,
       spotsRemaining: backendEvent.spotsRemaining,
-      urgencyLevel: backendEvent.urgencyLevel
+      urgencyLevel: backendEvent.urgencyLevel,
+      seriesId: backendEvent.seriesId,
+      search: backendEvent.search,
+      distance: backendEvent.distance
     };
   }
 
@@ -615,6 +977,36 @@ export class AuthService {
     }
   }
 
+  static async getInvitation(token: string): Promise<InvitationPreview> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: InvitationPreview }>(
+        `/auth/invitations/${encodeURIComponent(token)}`
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(error instanceof Error ? error.message : 'Invalid or expired invitation');
+    }
+  }
+
+  static async acceptInvitation(token: string, username: string, password: string): Promise<AuthResponse> {
+    try {
+      const response = await HttpClient.post<AuthResponse>('/auth/invitations/accept', {
+        token,
+        username,
+        password
+      });
+
+      if (response.status === 'success') {
+        TokenManager.setUser(response.data.user);
+        TokenManager.setProfile(response.data.profile);
+      }
+
+      return response;
+    } catch (error) {
+      throw new Error(`Registration failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
   static async login(email: string, password: string): Promise<AuthResponse> {
     try {
       const response = await HttpClient.post<AuthResponse>('/auth/login', {
@@ -622,7 +1014,8 @@ export class AuthService {
         password
       });
 
-      if (response.status === 'success') {
+      // No session exists until the two-factor code is verified
+      if (response.status === 'success' && !response.data.twoFactorRequired) {
         // Tokens are now stored in httpOnly cookies by the backend
         // We only store user/profile data in localStorage for quick access
         TokenManager.setUser(response.data.user);
@@ -635,6 +1028,24 @@ export class AuthService {
     }
   }
 
+  static async verifyTwoFactor(challengeToken: string, code: string): Promise<AuthResponse> {
+    try {
+      const response = await HttpClient.post<AuthResponse>('/auth/2fa/verify', {
+        challengeToken,
+        code
+      });
+
+      if (response.status === 'success') {
+        TokenManager.setUser(response.data.user);
+        TokenManager.setProfile(response.data.profile);
+      }
+
+      return response;
+    } catch (error) {
+      throw new Error(`Verification failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
   static async logout(): Promise<void> {
     try {
       // Call backend to clear httpOnly cookies
@@ -648,6 +1059,212 @@ export class AuthService {
     }
   }
 
+  static async forgotPassword(email: string): Promise<{ status: string; message: string }> {
+    try {
+      return await HttpClient.post<{ status: string; message: string }>('/auth/forgot-password', { email });
+    } catch (error) {
+      throw new Error(`Password reset request failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async resetPassword(token: string, newPassword: string): Promise<{ status: string; message: string }> {
+    try {
+      return await HttpClient.post<{ status: string; message: string }>('/auth/reset-password', {
+        token,
+        newPassword
+      });
+    } catch (error) {
+      throw new Error(`Password reset failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async verifyEmail(token: string): Promise<{ status: string; message: string }> {
+    try {
+      return await HttpClient.get<{ status: string; message: string }>(`/auth/verify-email/${encodeURIComponent(token)}`);
+    } catch (error) {
+      throw new Error(`Email verification failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async resendVerificationEmail(): Promise<{ status: string; message: string }> {
+    try {
+      return await HttpClient.post<{ status: string; message: string }>('/auth/resend-verification', {});
+    } catch (error) {
+      throw new Error(`Failed to resend verification email: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getTwoFactorStatus(): Promise<TwoFactorStatus> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: TwoFactorStatus }>('/auth/2fa/status');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load two-factor status: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async setupTwoFactor(): Promise<TwoFactorSetup> {
+    try {
+      const response = await HttpClient.post<{ status: string; data: TwoFactorSetup }>('/auth/2fa/setup', {});
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to start two-factor setup: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async enableTwoFactor(code: string): Promise<string[]> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        data: { recoveryCodes: string[] };
+      }>('/auth/2fa/enable', { code });
+
+      // Keep the cached user in sync so admin gating clears without a re-login
+      const user = TokenManager.getUser();
+      if (user) {
+        TokenManager.setUser({ ...user, twoFactorEnabled: true, twoFactorSetupRequired: false });
+      }
+
+      return response.data.recoveryCodes;
+    } catch (error) {
+      throw new Error(`Failed to enable two-factor authentication: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async disableTwoFactor(password: string, code: string): Promise<void> {
+    try {
+      await HttpClient.post<{ status: string; message: string }>('/auth/2fa/disable', { password, code });
+
+      const user = TokenManager.getUser();
+      if (user) {
+        TokenManager.setUser({ ...user, twoFactorEnabled: false });
+      }
+    } catch (error) {
+      throw new Error(`Failed to disable two-factor authentication: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async regenerateRecoveryCodes(code: string): Promise<string[]> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        data: { recoveryCodes: string[] };
+      }>('/auth/2fa/recovery-codes', { code });
+      return response.data.recoveryCodes;
+    } catch (error) {
+      throw new Error(`Failed to regenerate recovery codes: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getAccessTokens(): Promise<{ tokens: AccessToken[]; availableScopes: string[] }> {
+    try {
+      const response = await HttpClient.get<{
+        status: string;
+        data: { tokens: AccessToken[]; availableScopes: string[] };
+      }>('/auth/tokens');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load access tokens: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async createAccessToken(token: { name: string; scopes: string[]; expiresInDays: number | null }): Promise<CreatedAccessToken> {
+    try {
+      const response = await HttpClient.post<{ status: string; data: CreatedAccessToken }>('/auth/tokens', token);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to create access token: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async revokeAccessToken(tokenId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/auth/tokens/${tokenId}`);
+    } catch (error) {
+      throw new Error(`Failed to revoke access token: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getSessions(): Promise<UserSession[]> {
+    try {
+      const response = await HttpClient.get<{
+        status: string;
+        data: { sessions: UserSession[] };
+      }>('/auth/sessions');
+      return response.data.sessions;
+    } catch (error) {
+      throw new Error(`Failed to load sessions: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async revokeSession(sessionId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/auth/sessions/${sessionId}`);
+    } catch (error) {
+      throw new Error(`Failed to sign out session: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getSignInMethods(): Promise<SignInMethods> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: SignInMethods }>('/auth/identities');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load linked accounts: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Start linking a provider; navigates away to the provider's consent page
+   */
+  static async linkIdentity(provider: string): Promise<void> {
+    try {
+      const response = await HttpClient.post<{ status: string; data: { linkToken: string } }>(
+        `/auth/identities/${provider}/link`,
+        {}
+      );
+      window.location.href = `${API_SERVER_URL}/api/auth/${provider}?link=${encodeURIComponent(response.data.linkToken)}`;
+    } catch (error) {
+      throw new Error(`Failed to link account: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async unlinkIdentity(identityId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/auth/identities/${identityId}`);
+    } catch (error) {
+      throw new Error(`Failed to unlink account: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async setPassword(newPassword: string): Promise<{ status: string; message: string }> {
+    try {
+      return await HttpClient.post<{ status: string; message: string }>('/auth/set-password', { newPassword });
+    } catch (error) {
+      throw new Error(`Failed to set password: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static getImpersonation(): ImpersonationState | null {
+    return TokenManager.getImpersonation();
+  }
+
+  static async stopImpersonation(): Promise<void> {
+    const impersonation = TokenManager.getImpersonation();
+
+    try {
+      await HttpClient.post('/auth/impersonation/stop', {});
+    } catch (error) {
+      // The session may already have expired; return to the admin account regardless
+      console.error('Stop impersonation API call failed:', error);
+    } finally {
+      if (impersonation) {
+        TokenManager.setUser(impersonation.adminUser);
+      }
+      TokenManager.setImpersonation(null);
+    }
+  }
+
   static getCurrentUser(): User | null {
     const userStr = localStorage.getItem('user');
     return userStr ? JSON.parse(userStr) : null;
@@ -671,6 +1288,13 @@ export interface EventFilters {
   endDate?: string;
   needsVolunteers?: boolean;
   search?: string;
+  // "latitude,longitude", or "me" for the signed-in user's profile address
+  near?: string;
+  // Miles around near
+  radius?: number;
+  // "south,west,north,east"
+  bounds?: string;
+  sort?: 'distance';
 }
 
 export interface EventPagination {
@@ -680,6 +1304,15 @@ export interface EventPagination {
   sortOrder?: 'asc' | 'desc';
 }
 
+export interface EventManager {
+  id: string;
+  username: string;
+  email: string;
+  role: UserRole;
+  grantedBy: string | null;
+  grantedAt: string;
+}
+
 export class EventService {
   static async getEvents(filters?: EventFilters, pagination?: EventPagination): Promise<FrontendEvent[]> {
     try {
@@ -774,6 +1407,38 @@ export class EventService {
     }
   }
 
+  /**
+   * Get events the current user created or co-manages (coordinators)
+   */
+  static async getManagedEvents(filters?: EventFilters, pagination?: EventPagination): Promise<FrontendEvent[]> {
+    try {
+      const queryParams = new URLSearchParams();
+      Object.entries({ ...filters, ...pagination }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          queryParams.append(key, value.toString());
+        }
+      });
+
+      const queryString = queryParams.toString();
+      const endpoint = queryString ? `/events/managed?${queryString}` : '/events/managed';
+
+      const response = await HttpClient.get<{
+        status: string;
+        data: {
+          events: BackendEvent[];
+        };
+      }>(endpoint);
+
+      if (response.status === 'success') {
+        return response.data.events.map(DataTransformer.transformEvent);
+      }
+
+      throw new Error('Failed to fetch managed events');
+    } catch (error) {
+      throw new Error(`Failed to fetch managed events: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
   static async createEvent(eventData: {
     title: string;
     description: string;
@@ -787,6 +1452,7 @@ export class EventService {
     urgencyLevel: string;
     requiredSkills: Array<{ skillId: string; minLevel: string; required: boolean }>;
     category: string;
+    recurrence?: EventRecurrence;
   }): Promise<any> {
     try {
       const response = await HttpClient.post('/events', eventData);
@@ -797,24 +1463,232 @@ export class EventService {
     }
   }
 
-  static async joinEvent(eventId: string): Promise<void> {
+  /**
+   * Join an event; a full event puts the volunteer on its waitlist instead
+   */
+  static async joinEvent(eventId: string, positionId?: string): Promise<JoinEventResult> {
+    try {
+      console.log('Joining event:', eventId); // Debug log
+      const response = await HttpClient.post<{ status: string; message: string; data: any }>(
+        `/events/${eventId}/join`,
+        positionId ? { positionId } : {}
+      );
+      console.log('Join event response:', response); // Debug log
+      return {
+        message: response.message,
+        waitlisted: Boolean(response.data?.waitlisted),
+        position: response.data?.waitlisted ? response.data.position : undefined
+      };
+    } catch (error) {
+      console.error('Join event error:', error); // Debug log
+
+      // Handle specific error cases
+      if (error instanceof Error && error.message.includes('already assigned')) {
+        throw new Error('You are already registered for this event');
+      }
+
+      throw new Error(`Failed to join event: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Sign up for every upcoming occurrence of the event's series
+   */
+  static async joinSeries(eventId: string): Promise<SeriesJoinResult & { message: string }> {
+    try {
+      const response = await HttpClient.post<{ status: string; message: string; data: SeriesJoinResult }>(
+        `/events/${eventId}/join-series`,
+        {}
+      );
+      return { ...response.data, message: response.message };
+    } catch (error) {
+      throw new Error(`Failed to join series: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getMyWaitlist(): Promise<WaitlistEntry[]> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: WaitlistEntry[] }>('/events/my-waitlist');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch waitlist: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Take up a place offered from the waitlist
+   */
+  static async confirmWaitlistOffer(eventId: string): Promise<void> {
+    try {
+      await HttpClient.post(`/events/${eventId}/waitlist/confirm`, {});
+    } catch (error) {
+      throw new Error(`Failed to confirm place: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Leave a waitlist, or decline an offered place
+   */
+  static async leaveWaitlist(eventId: string): Promise<string> {
+    try {
+      const response = await HttpClient.delete<{ status: string; message: string }>(`/events/${eventId}/waitlist/me`);
+      return response.message;
+    } catch (error) {
+      throw new Error(`Failed to leave waitlist: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getWaitlist(eventId: string): Promise<WaitlistEntry[]> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: { entries: WaitlistEntry[] } }>(
+        `/events/${eventId}/waitlist`
+      );
+      return response.data.entries;
+    } catch (error) {
+      throw new Error(`Failed to fetch waitlist: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async reorderWaitlist(eventId: string, volunteerId: string, position: number): Promise<WaitlistEntry[]> {
+    try {
+      const response = await HttpClient.put<{ status: string; data: { entries: WaitlistEntry[] } }>(
+        `/events/${eventId}/waitlist/${volunteerId}`,
+        { position }
+      );
+      return response.data.entries;
+    } catch (error) {
+      throw new Error(`Failed to reorder waitlist: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getShifts(eventId: string): Promise<EventShift[]> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: { eventId: string; shifts: EventShift[] } }>(
+        `/events/${eventId}/shifts`
+      );
+      return response.data.shifts;
+    } catch (error) {
+      throw new Error(`Failed to fetch shifts: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async createShift(eventId: string, shift: ShiftInput): Promise<EventShift> {
+    try {
+      const response = await HttpClient.post<{ status: string; data: EventShift }>(`/events/${eventId}/shifts`, shift);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to create shift: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Update a shift; positions without an id are added and any left out are removed
+   */
+  static async updateShift(eventId: string, shiftId: string, shift: Partial<ShiftInput>): Promise<EventShift> {
+    try {
+      const response = await HttpClient.put<{ status: string; data: EventShift }>(
+        `/events/${eventId}/shifts/${shiftId}`,
+        shift
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to update shift: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async deleteShift(eventId: string, shiftId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/events/${eventId}/shifts/${shiftId}`);
+    } catch (error) {
+      throw new Error(`Failed to delete shift: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async leaveShift(eventId: string, shiftId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/events/${eventId}/shifts/${shiftId}/leave`);
+    } catch (error) {
+      throw new Error(`Failed to leave shift: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getEventTemplates(): Promise<EventTemplate[]> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: { templates: EventTemplate[] } }>('/events/templates');
+      return response.data.templates;
+    } catch (error) {
+      throw new Error(`Failed to fetch event templates: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async createEventTemplate(template: EventTemplateInput): Promise<EventTemplate> {
+    try {
+      const response = await HttpClient.post<{ status: string; data: EventTemplate }>('/events/templates', template);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to create event template: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async updateEventTemplate(templateId: string, template: Partial<EventTemplateInput>): Promise<EventTemplate> {
+    try {
+      const response = await HttpClient.put<{ status: string; data: EventTemplate }>(`/events/templates/${templateId}`, template);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to update event template: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async deleteEventTemplate(templateId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/events/templates/${templateId}`);
+    } catch (error) {
+      throw new Error(`Failed to delete event template: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Create an event from a template; only the date and location are needed
+   */
+  static async createEventFromTemplate(templateId: string, eventData: TemplatedEventInput): Promise<any> {
+    try {
+      return await HttpClient.post(`/events/templates/${templateId}/events`, eventData);
+    } catch (error) {
+      throw new Error(`Failed to create event: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Preview (dryRun) or run a bulk import of events from a CSV or .ics file's contents
+   */
+  static async importEvents(request: EventImportRequest): Promise<EventImportResult & { message: string }> {
     try {
-      console.log('Joining event:', eventId); // Debug log
-      const response = await HttpClient.post(`/events/${eventId}/join`, {});
-      console.log('Join event response:', response); // Debug log
+      const response = await HttpClient.post<{ status: string; message: string; data: EventImportResult }>('/events/import', request);
+      return { message: response.message, ...response.data };
     } catch (error) {
-      console.error('Join event error:', error); // Debug log
+      throw new Error(`Failed to import events: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
 
-      // Handle specific error cases
-      if (error instanceof Error && error.message.includes('already assigned')) {
-        throw new Error('You are already registered for this event');
-      }
+  static async saveEventAsTemplate(eventId: string, name: string): Promise<EventTemplate> {
+    try {
+      const response = await HttpClient.post<{ status: string; data: EventTemplate }>(`/events/${eventId}/save-as-template`, { name });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to save event as template: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
 
-      throw new Error(`Failed to join event: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  static async getEventSeries(eventId: string): Promise<EventSeries> {
+    try {
+      const response = await HttpClient.get<{ status: string; data: EventSeries }>(`/events/${eventId}/series`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch event series: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   }
 
-  static async updateEvent(eventId: string, eventData: Partial<FrontendEvent>): Promise<void> {
+  static async updateEvent(eventId: string, eventData: Partial<FrontendEvent>, applyTo: SeriesEditScope = 'this'): Promise<void> {
     try {
       const payload: any = {};
 
@@ -834,6 +1708,7 @@ export class EventService {
       if (eventData.maxVolunteers !== undefined) payload.maxVolunteers = eventData.maxVolunteers;
       if (eventData.urgencyLevel !== undefined) payload.urgencyLevel = eventData.urgencyLevel;
       if (eventData.requiredSkills !== undefined) payload.requiredSkills = eventData.requiredSkills;
+      if (applyTo !== 'this') payload.applyTo = applyTo;
 
       const response = await HttpClient.put(`/events/${eventId}`, payload);
       console.log('Update event response:', response);
@@ -860,6 +1735,15 @@ export class EventService {
     }
   }
 
+  static async cancelEvent(eventId: string, reason: string): Promise<void> {
+    try {
+      const response = await HttpClient.post(`/events/${eventId}/cancel`, { reason });
+      console.log('Cancel event response:', response);
+    } catch (error) {
+      throw new Error(`Failed to cancel event: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
   static async getRecommendedEvents(limit: number = 10): Promise<(FrontendEvent & { matchScore?: number; matchReason?: string })[]> {
     try {
       const queryParams = new URLSearchParams();
@@ -950,6 +1834,58 @@ export class EventService {
       throw new Error(`Failed to remove volunteer: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   }
+
+  /**
+   * Get the creator and co-managers of an event
+   */
+  static async getEventManagers(eventId: string): Promise<{ createdBy: string; managers: EventManager[] }> {
+    try {
+      const response = await HttpClient.get<{
+        status: string;
+        data: { createdBy: string; managers: EventManager[] };
+      }>(`/events/${eventId}/managers`);
+
+      if (response.status === 'success') {
+        return response.data;
+      }
+
+      throw new Error('Failed to fetch event managers');
+    } catch (error) {
+      throw new Error(`Failed to fetch event managers: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Grant a coordinator co-manager access to an event
+   */
+  static async addEventManager(eventId: string, email: string): Promise<EventManager> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        message: string;
+        data: EventManager;
+      }>(`/events/${eventId}/managers`, { email });
+
+      if (response.status === 'success') {
+        return response.data;
+      }
+
+      throw new Error('Failed to add event manager');
+    } catch (error) {
+      throw new Error(`Failed to add event manager: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Revoke co-manager access to an event
+   */
+  static async removeEventManager(eventId: string, userId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/events/${eventId}/managers/${userId}`);
+    } catch (error) {
+      throw new Error(`Failed to remove event manager: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
 }
 
 export class ProfileService {
@@ -1099,6 +2035,41 @@ export class ProfileService {
     }
   }
 
+  static async exportData(): Promise<Blob> {
+    try {
+      return await HttpClient.download('/profile/export');
+    } catch (error) {
+      throw new Error(`Failed to export data: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getAccountStatus(): Promise<AccountDeletionStatus> {
+    try {
+      const response = await HttpClient.get<{
+        status: string;
+        data: AccountDeletionStatus;
+      }>('/profile/account');
+
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load account status: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async deleteAccount(password: string | null): Promise<{ message: string; deletionScheduledFor: string }> {
+    const response = await HttpClient.delete<{
+      status: string;
+      message: string;
+      data: { deletionScheduledFor: string };
+    }>('/profile/account', { confirm: 'DELETE', ...(password && { password }) });
+
+    return { message: response.message, deletionScheduledFor: response.data.deletionScheduledFor };
+  }
+
+  static async cancelAccountDeletion(): Promise<void> {
+    await HttpClient.post('/profile/account/restore', {});
+  }
+
   static async getCurrentBackendProfile(): Promise<any> {
     try {
       const response = await HttpClient.get<{
@@ -1225,6 +2196,16 @@ export class ScheduleService {
       throw new Error(`Failed to fetch schedule: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   }
+
+  // Creates a new calendar subscription link; any previous link stops working
+  static async createCalendarLink(): Promise<CalendarLink> {
+    try {
+      const response = await HttpClient.post<{ status: string; data: CalendarLink }>('/calendar/token', {});
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to create calendar link: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
 }
 
 export class HistoryService {
@@ -1351,10 +2332,13 @@ export interface UserData {
   id: string;
   username: string;
   email: string;
-  role: 'admin' | 'volunteer';
+  role: UserRole;
   verified: boolean;
   createdAt: string;
   lastLogin?: string;
+  failedLoginAttempts?: number;
+  lockedUntil?: string | null;
+  locked?: boolean;
   profile?: {
     firstName: string;
     lastName: string;
@@ -1368,13 +2352,13 @@ export interface CreateUserData {
   username: string;
   email: string;
   password: string;
-  role: 'admin' | 'volunteer';
+  role: UserRole;
 }
 
 export interface UpdateUserData {
   username?: string;
   email?: string;
-  role?: 'admin' | 'volunteer';
+  role?: UserRole;
   verified?: boolean;
   password?: string;
 }
@@ -1465,6 +2449,66 @@ export class UserService {
     }
   }
 
+  static async unlockUser(userId: string): Promise<void> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        message: string;
+      }>(`/admin/users/${userId}/unlock`, {});
+
+      if (response.status !== 'success') {
+        throw new Error('Failed to unlock user');
+      }
+    } catch (error) {
+      throw new Error(`Failed to unlock user: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async impersonate(
+    userId: string,
+    options: { reason: string; readOnly?: boolean; durationMinutes?: number }
+  ): Promise<ImpersonationState> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        message: string;
+        data: { impersonation: ImpersonationSession; user: User };
+      }>(`/admin/users/${userId}/impersonate`, options);
+
+      if (response.status !== 'success') {
+        throw new Error(response.message || 'Failed to start impersonation');
+      }
+
+      // The backend swapped the access token cookie; mirror that in local user data
+      const impersonation: ImpersonationState = {
+        ...response.data.impersonation,
+        targetUsername: response.data.user.username,
+        adminUser: TokenManager.getUser()
+      };
+      TokenManager.setImpersonation(impersonation);
+      TokenManager.setUser(response.data.user);
+
+      return impersonation;
+    } catch (error) {
+      throw new Error(`Failed to start impersonation: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async signOutUser(userId: string): Promise<void> {
+    try {
+      const response = await HttpClient.delete<{
+        status: string;
+        message: string;
+      }>(`/admin/users/${userId}/sessions`);
+
+      if (response.status !== 'success') {
+        throw new Error('Failed to sign out user');
+      }
+    } catch (error) {
+      throw new Error(`Failed to sign out user: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
   static async getVolunteerMetrics(userId: string): Promise<any> {
     try {
       const response = await HttpClient.get<{
@@ -1483,6 +2527,219 @@ export class UserService {
   }
 }
 
+export class InvitationService {
+  static async getInvitations(status?: InvitationStatus): Promise<Invitation[]> {
+    try {
+      const query = status ? `?status=${status}` : '';
+      const response = await HttpClient.get<{
+        status: string;
+        data: { invitations: Invitation[] };
+      }>(`/admin/invitations${query}`);
+
+      return response.data.invitations;
+    } catch (error) {
+      throw new Error(`Failed to fetch invitations: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async invite(invitation: {
+    email: string;
+    role: UserRole;
+    profile?: InvitationProfile;
+  }): Promise<{ message: string; invitation: Invitation; emailSent: boolean }> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        message: string;
+        data: { invitation: Invitation; emailSent: boolean };
+      }>('/admin/invitations', invitation);
+
+      return { message: response.message, ...response.data };
+    } catch (error) {
+      throw new Error(`Failed to send invitation: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async bulkInvite(emails: string, role: UserRole): Promise<{
+    message: string;
+    created: Invitation[];
+    skipped: { email: string; reason: string }[];
+  }> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        message: string;
+        data: { created: Invitation[]; skipped: { email: string; reason: string }[] };
+      }>('/admin/invitations/bulk', { emails, role });
+
+      return { message: response.message, ...response.data };
+    } catch (error) {
+      throw new Error(`Failed to send invitations: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async resend(invitationId: string): Promise<{ message: string; invitation: Invitation; emailSent: boolean }> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        message: string;
+        data: { invitation: Invitation; emailSent: boolean };
+      }>(`/admin/invitations/${invitationId}/resend`, {});
+
+      return { message: response.message, ...response.data };
+    } catch (error) {
+      throw new Error(`Failed to resend invitation: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async revoke(invitationId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/admin/invitations/${invitationId}`);
+    } catch (error) {
+      throw new Error(`Failed to revoke invitation: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+}
+
+export interface OrganizationSettings {
+  requireAdminTwoFactor: boolean;
+}
+
+export interface Organization {
+  id: string;
+  name: string;
+  slug: string;
+  requireAdminTwoFactor: boolean;
+  memberCount?: number;
+  eventCount?: number;
+  createdAt: string;
+}
+
+export interface OrganizationMember {
+  id: string;
+  username: string;
+  email: string;
+  role: UserRole;
+  joinedAt: string;
+}
+
+export class OrganizationService {
+  /**
+   * Organizations the current user can switch between
+   */
+  static async getOrganizations(): Promise<{ organizations: Organization[]; superAdmin: boolean }> {
+    try {
+      const response = await HttpClient.get<{
+        status: string;
+        data: { organizations: Organization[]; superAdmin: boolean };
+      }>('/organizations');
+
+      if (response.status === 'success') {
+        return response.data;
+      }
+
+      throw new Error('Failed to fetch organizations');
+    } catch (error) {
+      throw new Error(`Failed to fetch organizations: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async createOrganization(organization: { name: string; slug: string }): Promise<Organization> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        data: Organization;
+      }>('/organizations', organization);
+
+      if (response.status === 'success') {
+        return response.data;
+      }
+
+      throw new Error('Failed to create organization');
+    } catch (error) {
+      throw new Error(`Failed to create organization: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async getMembers(organizationId: string): Promise<OrganizationMember[]> {
+    try {
+      const response = await HttpClient.get<{
+        status: string;
+        data: { members: OrganizationMember[] };
+      }>(`/organizations/${organizationId}/members`);
+
+      if (response.status === 'success') {
+        return response.data.members;
+      }
+
+      throw new Error('Failed to fetch organization members');
+    } catch (error) {
+      throw new Error(`Failed to fetch organization members: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async addMember(organizationId: string, email: string): Promise<OrganizationMember> {
+    try {
+      const response = await HttpClient.post<{
+        status: string;
+        data: OrganizationMember;
+      }>(`/organizations/${organizationId}/members`, { email });
+
+      if (response.status === 'success') {
+        return response.data;
+      }
+
+      throw new Error('Failed to add member');
+    } catch (error) {
+      throw new Error(`Failed to add member: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async removeMember(organizationId: string, userId: string): Promise<void> {
+    try {
+      await HttpClient.delete(`/organizations/${organizationId}/members/${userId}`);
+    } catch (error) {
+      throw new Error(`Failed to remove member: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+}
+
+export class SettingsService {
+  static async getSettings(): Promise<OrganizationSettings> {
+    try {
+      const response = await HttpClient.get<{
+        status: string;
+        data: OrganizationSettings;
+      }>('/admin/settings');
+
+      if (response.status === 'success') {
+        return response.data;
+      }
+
+      throw new Error('Failed to fetch settings');
+    } catch (error) {
+      throw new Error(`Failed to fetch settings: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  static async updateSettings(settings: Partial<OrganizationSettings>): Promise<OrganizationSettings> {
+    try {
+      const response = await HttpClient.put<{
+        status: string;
+        data: OrganizationSettings;
+      }>('/admin/settings', settings);
+
+      if (response.status === 'success') {
+        return response.data;
+      }
+
+      throw new Error('Failed to update settings');
+    } catch (error) {
+      throw new Error(`Failed to update settings: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+}
+
 export interface EventVolunteer {
   id: string;
   volunteerId: string;